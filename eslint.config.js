@@ -81,4 +81,14 @@ export default defineConfig([
       "object-shorthand": ["warn", "always"],
     },
   },
+
+  // Node scripts
+  {
+    files: ["scripts/**/*.js"],
+    languageOptions: {
+      globals: {
+        ...globals.node,
+      },
+    },
+  },
 ]);
@@ -0,0 +1,70 @@
+/**
+ * Runs a Node script against the app's source
+ *
+ * The game code uses bundler-style imports (no file extensions), so it is
+ * loaded through Vite's SSR module loader rather than Node's own resolver.
+ * Errors are printed without a stack trace and set a failing exit code.
+ */
+
+import { createServer } from "vite";
+
+/**
+ * Loads a source module and hands it to `run`, closing the loader afterwards
+ * @param {string} modulePath - Module path from the project root
+ * @param {Function} run - Receives the module's exports (may be async)
+ */
+export const withSourceModule = async (modulePath, run) => {
+  const server = await createServer({
+    configFile: false,
+    appType: "custom",
+    logLevel: "error",
+    server: { middlewareMode: true, hmr: false, watch: null },
+    // Only the engine and AI are loaded, so skip scanning the app for deps
+    optimizeDeps: { noDiscovery: true, entries: [] },
+  });
+
+  try {
+    await run(await server.ssrLoadModule(modulePath));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  } finally {
+    await server.close();
+  }
+};
+
+/**
+ * Parses arguments, printing the usage on a mistake or on --help
+ * @param {Function} parse - Argument parser that throws on bad input
+ * @param {string} usage - Help text
+ * @returns {Object|null} Options, or null when there is nothing to run
+ */
+export const parseArgsOrUsage = (parse, usage) => {
+  try {
+    const options = parse(process.argv.slice(2));
+    if (!options.help) return options;
+    process.stdout.write(`${usage}\n`);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${usage}\n`);
+    process.exitCode = 1;
+  }
+  return null;
+};
+
+/**
+ * Shows a running count on an interactive terminal
+ * @param {string} label - What is being counted
+ * @returns {{update: Function, done: Function}} Progress callbacks
+ */
+export const createProgress = (label) => ({
+  update: (done, total) => {
+    if (process.stderr.isTTY) {
+      process.stderr.write(
+        `\r${label}: ${done}${total === undefined ? "" : ` of ${total}`}`,
+      );
+    }
+  },
+  done: () => {
+    if (process.stderr.isTTY) process.stderr.write("\n");
+  },
+});
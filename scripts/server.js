@@ -0,0 +1,29 @@
+/**
+ * Multiplayer room server
+ *
+ *   npm run server
+ *   PORT=9000 npm run server
+ *
+ * Runs until interrupted (Ctrl+C). See src/multiplayer for the rooms.
+ */
+
+import { withSourceModule } from "./loadSource.js";
+
+await withSourceModule(
+  "/src/multiplayer/server.js",
+  async ({ startServer }) => {
+    const server = await startServer(
+      process.env.PORT ? { port: Number(process.env.PORT) } : {},
+    );
+    process.stderr.write(
+      `Room server listening on ws://localhost:${server.port}\n`,
+    );
+
+    await new Promise((resolve) => {
+      process.once("SIGINT", resolve);
+      process.once("SIGTERM", resolve);
+    });
+    await server.close();
+    process.stderr.write("Room server stopped\n");
+  },
+);
@@ -0,0 +1,40 @@
+/**
+ * Headless AI-vs-AI simulation
+ *
+ *   npm run simulate -- --rules spades-trump --games 10000 --seed 42 \
+ *     --bots hard,easy,easy,easy
+ *
+ * See src/simulation for the simulation itself.
+ */
+
+import { writeFile } from "node:fs/promises";
+import {
+  withSourceModule,
+  parseArgsOrUsage,
+  createProgress,
+} from "./loadSource.js";
+
+await withSourceModule("/src/simulation/index.js", async (simulation) => {
+  const options = parseArgsOrUsage(
+    simulation.parseSimulationArgs,
+    simulation.SIMULATION_USAGE,
+  );
+  if (!options) return;
+
+  const { json, out, help, ...simulationOptions } = options;
+  const progress = createProgress("Games played");
+  const report = simulation.runSimulation({
+    ...simulationOptions,
+    onProgress: progress.update,
+  });
+  progress.done();
+
+  const reportJson = JSON.stringify(report, null, 2);
+  process.stdout.write(
+    `${json ? reportJson : simulation.formatReport(report)}\n`,
+  );
+  if (out) {
+    await writeFile(out, `${reportJson}\n`);
+    process.stderr.write(`Report written to ${out}\n`);
+  }
+});
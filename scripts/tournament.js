@@ -0,0 +1,38 @@
+/**
+ * Bot tournament with Elo ratings
+ *
+ *   npm run tournament -- --bots easy,medium,hard --format swiss --seed 42
+ *
+ * Writes the full results, including every deal's seed, to a JSON file so a
+ * run can be checked or repeated. See src/simulation/tournament.js.
+ */
+
+import { writeFile } from "node:fs/promises";
+import {
+  withSourceModule,
+  parseArgsOrUsage,
+  createProgress,
+} from "./loadSource.js";
+
+await withSourceModule("/src/simulation/index.js", async (simulation) => {
+  const options = parseArgsOrUsage(
+    simulation.parseTournamentArgs,
+    simulation.TOURNAMENT_USAGE,
+  );
+  if (!options) return;
+
+  const { json, out, help, ...tournamentOptions } = options;
+  const progress = createProgress("Matches played");
+  const results = simulation.runTournament({
+    ...tournamentOptions,
+    onProgress: progress.update,
+  });
+  progress.done();
+
+  const resultsJson = JSON.stringify(results, null, 2);
+  process.stdout.write(
+    `${json ? resultsJson : simulation.formatTournament(results)}\n`,
+  );
+  await writeFile(out, `${resultsJson}\n`);
+  process.stderr.write(`Results written to ${out}\n`);
+});
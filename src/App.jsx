@@ -10,10 +10,13 @@ import {
   HowToPlayModal,
   LoadingScreen,
   WaitingRoom,
+  HandSummary,
   Leaderboard,
   GameTable,
   WinnerModal,
   TurnTimer,
+  HintButton,
+  OnlineGame,
 } from "./components";
 import ErrorBoundary from "./components/ErrorBoundary";
 
@@ -23,6 +26,10 @@ import ruleSets from "./config/ruleSets";
 
 import { CONFETTI_COLORS, GAME_PHASES } from "./constants";
 
+import { getSeedFromUrl } from "./utils/urlParams";
+import { isPassAndPlay } from "./utils/playerUtils";
+import { getInviteFromLink, getHeldServerUrl } from "./multiplayer";
+
 import "./styles/gameStyles.css";
 
 function AppContent() {
@@ -35,6 +42,13 @@ function AppContent() {
 
   const [selectedRuleSet, setSelectedRuleSet] = useState(0);
   const [isLandscapeHelpOpen, setIsLandscapeHelpOpen] = useState(false);
+  const [urlSeed] = useState(getSeedFromUrl);
+  // An invite link opens straight into the online lobby
+  const [initialInvite] = useState(() => getInviteFromLink() ?? "");
+  // So does a reload while seated on a room server, to resume the seat
+  const [isOnline, setIsOnline] = useState(
+    () => Boolean(initialInvite) || getHeldServerUrl() !== null,
+  );
 
   const {
     gameState,
@@ -42,24 +56,61 @@ function AppContent() {
     playAreaCards,
     cardPositions,
     selectedCard,
+    legalCards,
     dealingAnimation,
     trickWinner,
     showWinnerModal,
     showConfetti,
     startGame,
+    nextHand,
     resetGame,
     getGameWinner,
     handleCardSelect,
     handlePlaySelectedCard,
     autoPlayCard,
+    hint,
+    hintsLeft,
+    hintLimit,
+    requestHint,
+    setHintLimit,
+    passSelection,
+    passSelectedCards,
+    handHidden,
+    placeBid,
+    revealHand,
+    viewerSeat,
+    handoffSeat,
+    takeDevice,
     username,
     setUsername,
-  } = useGameLogic(selectedRuleSet);
+    seed,
+    setSeed,
+    setMaxRounds,
+    setPartnerships,
+    setPlayerCount,
+    setHandSize,
+    setAIDifficulty,
+    setHumanSeat,
+    speech,
+    tableTalkMuted,
+    toggleTableTalk,
+  } = useGameLogic(selectedRuleSet, { seed: urlSeed });
 
   const isGameActive =
     gameState.phase === GAME_PHASES.DEALING ||
+    gameState.phase === GAME_PHASES.PASSING ||
+    gameState.phase === GAME_PHASES.BIDDING ||
     gameState.phase === GAME_PHASES.PLAYING ||
-    gameState.phase === GAME_PHASES.EVALUATING;
+    gameState.phase === GAME_PHASES.EVALUATING ||
+    gameState.phase === GAME_PHASES.HAND_OVER;
+
+  // The human holding the device is choosing a card, so the timer runs and
+  // hints are offered
+  const isMyTurnToPlay =
+    gameState.phase === GAME_PHASES.PLAYING &&
+    gameState.currentPlayer === viewerSeat &&
+    handoffSeat === null &&
+    !dealingAnimation;
 
   const winner = showWinnerModal ? getGameWinner() : null;
 
@@ -124,7 +175,10 @@ function AppContent() {
           selectedRuleSet={selectedRuleSet}
           setSelectedRuleSet={setSelectedRuleSet}
           ruleSets={ruleSets}
+          isRuleSetLocked={isGameActive}
           resetGame={resetGame}
+          tableTalkMuted={tableTalkMuted}
+          toggleTableTalk={toggleTableTalk}
         />
 
         <LandscapeMenu
@@ -133,8 +187,11 @@ function AppContent() {
           ruleSets={ruleSets}
           selectedRuleSet={selectedRuleSet}
           setSelectedRuleSet={setSelectedRuleSet}
+          isRuleSetLocked={isGameActive}
           resetGame={resetGame}
           onHelpClick={() => setIsLandscapeHelpOpen(true)}
+          tableTalkMuted={tableTalkMuted}
+          toggleTableTalk={toggleTableTalk}
         />
 
         <HowToPlayModal
@@ -184,6 +241,30 @@ function AppContent() {
               >
                 {ruleSets[selectedRuleSet].description}
               </span>
+              {gameState.maxRounds > 1 && (
+                <span
+                  className="game-round"
+                  style={{
+                    color: "var(--color-text-gold)",
+                    fontSize: "clamp(10px, 2vw, 12px)",
+                  }}
+                >
+                  Hand {gameState.round}/{gameState.maxRounds}
+                </span>
+              )}
+              {seed && (
+                <span
+                  className="game-seed"
+                  title="Enter this seed in the waiting room to replay the deal"
+                  style={{
+                    color: "var(--color-text-muted)",
+                    fontSize: "clamp(10px, 2vw, 12px)",
+                    fontFamily: "monospace",
+                  }}
+                >
+                  Seed: {seed}
+                </span>
+              )}
             </div>
           </div>
         )}
@@ -195,15 +276,45 @@ function AppContent() {
             paddingRight: "max(12px, env(safe-area-inset-right))",
           }}
         >
-          {gameState.phase === GAME_PHASES.WAITING && (
+          {isOnline && (
+            <OnlineGame
+              settings={{
+                ruleSetId: ruleSets[selectedRuleSet].id,
+                seats: players.length,
+                maxRounds: gameState.maxRounds,
+                handSize: gameState.handSize,
+                partnerships: gameState.partnerships,
+              }}
+              playerName={username}
+              initialInvite={initialInvite}
+              onExit={() => setIsOnline(false)}
+            />
+          )}
+
+          {!isOnline && gameState.phase === GAME_PHASES.WAITING && (
             <WaitingRoom
               players={players}
               startGame={startGame}
               username={username}
               setUsername={setUsername}
+              seed={seed}
+              setSeed={setSeed}
+              maxRounds={gameState.maxRounds}
+              setMaxRounds={setMaxRounds}
+              partnerships={gameState.partnerships}
+              setPartnerships={setPartnerships}
+              setPlayerCount={setPlayerCount}
+              handSize={gameState.handSize}
+              cardsPerHand={gameState.cardsPerHand}
+              setHandSize={setHandSize}
+              setAIDifficulty={setAIDifficulty}
+              setHumanSeat={setHumanSeat}
+              hintLimit={hintLimit}
+              setHintLimit={setHintLimit}
               ruleSets={ruleSets}
               selectedRuleSet={selectedRuleSet}
               setSelectedRuleSet={setSelectedRuleSet}
+              onPlayOnline={() => setIsOnline(true)}
             />
           )}
 
@@ -217,11 +328,22 @@ function AppContent() {
                 trickWinner={trickWinner}
                 dealingAnimation={dealingAnimation}
                 selectedCard={selectedCard}
+                legalCards={legalCards}
                 handleCardSelect={handleCardSelect}
                 handlePlaySelectedCard={handlePlaySelectedCard}
                 ruleSetName={ruleSets[selectedRuleSet].name}
                 ruleSetDescription={ruleSets[selectedRuleSet].description}
                 scores={gameState.scores}
+                passSelection={passSelection}
+                handlePassCards={passSelectedCards}
+                handHidden={handHidden}
+                handlePlaceBid={placeBid}
+                handleRevealHand={revealHand}
+                speech={speech}
+                hintedCardId={hint?.card.id}
+                viewerSeat={viewerSeat}
+                handoffSeat={handoffSeat}
+                handleTakeDevice={takeDevice}
               />
 
               <Leaderboard
@@ -230,6 +352,10 @@ function AppContent() {
                 currentPlayer={gameState.currentPlayer}
                 trickWinner={trickWinner}
                 ruleSetName={ruleSets[selectedRuleSet].name}
+                lowScoreWins={gameState.lowScoreWins}
+                bids={gameState.bidding ? gameState.bids : undefined}
+                tricksWon={gameState.tricksWon}
+                teams={gameState.teams}
               />
 
               <div
@@ -241,25 +367,47 @@ function AppContent() {
                   zIndex: 30,
                 }}
               >
+                <HintButton
+                  isActive={isMyTurnToPlay && hintLimit !== 0}
+                  hint={hint}
+                  hintsLeft={hintsLeft}
+                  onHint={requestHint}
+                />
                 <TurnTimer
-                  isActive={
-                    gameState.phase === GAME_PHASES.PLAYING &&
-                    gameState.currentPlayer === 0 &&
-                    !dealingAnimation
-                  }
+                  isActive={isMyTurnToPlay}
                   onTimeUp={autoPlayCard}
                   isPaused={gameState.phase !== GAME_PHASES.PLAYING}
+                  playerName={
+                    isPassAndPlay(players)
+                      ? players[viewerSeat].name
+                      : undefined
+                  }
                 />
               </div>
             </div>
           )}
 
+          {gameState.phase === GAME_PHASES.HAND_OVER && (
+            <HandSummary
+              players={players}
+              handScores={gameState.handScores}
+              scores={gameState.scores}
+              round={gameState.round}
+              maxRounds={gameState.maxRounds}
+              nextHand={nextHand}
+              lowScoreWins={gameState.lowScoreWins}
+            />
+          )}
+
           {showWinnerModal && winner && (
             <WinnerModal
               players={players}
               scores={gameState.scores}
               winner={winner}
               resetGame={resetGame}
+              handHistory={gameState.handHistory}
+              lowScoreWins={gameState.lowScoreWins}
+              teams={gameState.teams}
             />
           )}
         </div>
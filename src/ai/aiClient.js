@@ -0,0 +1,149 @@
+/**
+ * AI Client
+ * Asks for computer player moves without blocking the main thread
+ *
+ * Searching strategies such as Hard take hundreds of milliseconds per card,
+ * which would stall the deal and card animations if run on the main thread.
+ * The client hands each decision to a dedicated Web Worker (aiWorker.js) and
+ * answers with a promise. Where Web Workers are not available, such as the
+ * jsdom test environment, it decides on the calling thread and settles
+ * straight away, so callbacks run before chooseCard returns.
+ *
+ * Seats playing a plugin bot (see bots.js) choose their cards on the calling
+ * thread, since registered bots only exist there.
+ */
+
+import { GAME_PHASES } from "../constants";
+import { getAIAction } from "./strategies";
+import { getBot, chooseBotAction } from "./bots";
+import { logWarning } from "../utils/errorLogger";
+
+/**
+ * Starts the AI worker, or returns null where Web Workers are not supported
+ * @returns {Worker|null} Worker running aiWorker.js
+ */
+const spawnAIWorker = () =>
+  typeof Worker === "undefined"
+    ? null
+    : new Worker(new URL("./aiWorker.js", import.meta.url), {
+        type: "module",
+      });
+
+/**
+ * Wraps a value in a thenable that runs its callbacks immediately
+ * @param {*} value - Value to settle with
+ * @returns {Object} Thenable with then and catch
+ */
+const settled = (value) => ({
+  then: (onFulfilled) => settled(onFulfilled ? onFulfilled(value) : value),
+  catch: () => settled(value),
+});
+
+/**
+ * Creates an AI client
+ * @param {Object} options - Client options
+ * @param {Function} options.createWorker - Starts a worker, or returns null
+ *   to decide on the calling thread (defaults to the bundled AI worker)
+ * @returns {Object} Client with chooseCard and cancel
+ */
+export const createAIClient = ({ createWorker = spawnAIWorker } = {}) => {
+  let worker = null;
+  let workerFailed = false;
+  let nextId = 1;
+  const pending = new Map();
+
+  // Settles every open request, e.g. with null once they are cancelled
+  const settleAll = (getResult) => {
+    pending.forEach(({ resolve, state, playerIndex }) =>
+      resolve(getResult(state, playerIndex)),
+    );
+    pending.clear();
+  };
+
+  const stopWorker = () => {
+    worker?.terminate();
+    worker = null;
+  };
+
+  const handleMessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+
+    if (data.error) {
+      logWarning("AI worker failed to choose a move", { error: data.error });
+      request.resolve(getAIAction(request.state, request.playerIndex));
+      return;
+    }
+    request.resolve(data.action);
+  };
+
+  // A worker that cannot load gives way to the calling thread for good
+  const handleError = (event) => {
+    logWarning("AI worker stopped, choosing moves on the main thread", {
+      error: event.message,
+    });
+    workerFailed = true;
+    stopWorker();
+    settleAll(getAIAction);
+  };
+
+  const getWorker = () => {
+    if (!worker && !workerFailed) {
+      worker = createWorker();
+      if (!worker) {
+        workerFailed = true;
+      } else {
+        worker.onmessage = handleMessage;
+        worker.onerror = handleError;
+      }
+    }
+    return worker;
+  };
+
+  return {
+    /**
+     * Chooses the move for a computer seat in the current phase
+     * @param {Object} state - Engine state
+     * @param {number} playerIndex - Seat to decide for
+     * @returns {Promise<Object|null>} Engine action, or null if the request
+     *   was cancelled or the phase needs no decision from the seat
+     */
+    chooseCard: (state, playerIndex) => {
+      const bot = getBot(state.players[playerIndex]?.difficulty);
+      const active = bot ? null : getWorker();
+      if (!bot && !active) return settled(getAIAction(state, playerIndex));
+
+      const id = nextId;
+      nextId += 1;
+      return new Promise((resolve) => {
+        pending.set(id, { resolve, state, playerIndex });
+        if (!bot) {
+          active.postMessage({ id, state, playerIndex });
+          return;
+        }
+
+        const choice =
+          state.phase === GAME_PHASES.PLAYING
+            ? chooseBotAction(bot, state, playerIndex)
+            : Promise.resolve(getAIAction(state, playerIndex));
+        choice.then((action) => {
+          // A cancelled request has already been settled
+          if (!pending.has(id)) return;
+          pending.delete(id);
+          resolve(action);
+        });
+      });
+    },
+
+    /**
+     * Abandons every open request: they resolve with null and any search
+     * still running is stopped. The next request starts a fresh worker, so
+     * this also shuts the client down
+     */
+    cancel: () => {
+      stopWorker();
+      settleAll(() => null);
+    },
+  };
+};
@@ -0,0 +1,268 @@
+/**
+ * Tests for the AI client
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createAIClient } from "./aiClient";
+import { getAIAction } from "./strategies";
+import { registerBot, unregisterBot } from "./bots";
+import { createGame, applyAction, ENGINE_ACTIONS } from "../engine";
+
+vi.mock("../utils/errorLogger", () => ({
+  logWarning: vi.fn(),
+}));
+
+/**
+ * Stand-in for a Web Worker that holds messages until the test replies
+ */
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  // Answers the oldest message the way aiWorker.js would
+  reply(data) {
+    const { id, state, playerIndex } = this.messages.shift();
+    this.onmessage({
+      data: data ?? { id, action: getAIAction(state, playerIndex) },
+    });
+  }
+}
+
+const playingState = () => {
+  let state = createGame({ seed: "client" });
+  [
+    { type: ENGINE_ACTIONS.START_GAME },
+    { type: ENGINE_ACTIONS.DEAL_CARDS },
+    { type: ENGINE_ACTIONS.START_PLAYING },
+  ].forEach((action) => {
+    state = applyAction(state, action).state;
+  });
+  return state;
+};
+
+describe("AI client", () => {
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("without Web Workers", () => {
+    it("should decide on the calling thread before returning", () => {
+      const state = playingState();
+      const client = createAIClient({ createWorker: () => null });
+      let chosen = null;
+
+      client.chooseCard(state, state.currentPlayer).then((action) => {
+        chosen = action;
+      });
+
+      expect(chosen).toEqual(getAIAction(state, state.currentPlayer));
+    });
+
+    it("should still work with await", async () => {
+      const state = playingState();
+      const client = createAIClient({ createWorker: () => null });
+
+      await expect(
+        client.chooseCard(state, state.currentPlayer),
+      ).resolves.toEqual(getAIAction(state, state.currentPlayer));
+    });
+
+    it("should fall back when Worker is undefined", () => {
+      vi.stubGlobal("Worker", undefined);
+      const state = playingState();
+      let chosen = null;
+
+      createAIClient()
+        .chooseCard(state, state.currentPlayer)
+        .then((action) => {
+          chosen = action;
+        });
+      vi.unstubAllGlobals();
+
+      expect(chosen).not.toBeNull();
+    });
+  });
+
+  describe("with a worker", () => {
+    it("should send the state to the worker and resolve with its answer", async () => {
+      const worker = new FakeWorker();
+      const client = createAIClient({ createWorker: () => worker });
+      const state = playingState();
+
+      const choice = client.chooseCard(state, state.currentPlayer);
+      expect(worker.messages).toEqual([
+        { id: 1, state, playerIndex: state.currentPlayer },
+      ]);
+      worker.reply();
+
+      await expect(choice).resolves.toEqual(
+        getAIAction(state, state.currentPlayer),
+      );
+    });
+
+    it("should match answers to requests by id", async () => {
+      const worker = new FakeWorker();
+      const client = createAIClient({ createWorker: () => worker });
+      const state = playingState();
+
+      const first = client.chooseCard(state, 1);
+      const second = client.chooseCard(state, 2);
+      const [firstMessage, secondMessage] = worker.messages;
+      worker.onmessage({ data: { id: secondMessage.id, action: "second" } });
+      worker.onmessage({ data: { id: firstMessage.id, action: "first" } });
+
+      await expect(first).resolves.toBe("first");
+      await expect(second).resolves.toBe("second");
+    });
+
+    it("should only start one worker", () => {
+      const createWorker = vi.fn(() => new FakeWorker());
+      const client = createAIClient({ createWorker });
+      const state = playingState();
+
+      client.chooseCard(state, 1);
+      client.chooseCard(state, 2);
+
+      expect(createWorker).toHaveBeenCalledTimes(1);
+    });
+
+    it("should resolve open requests with null when cancelled", async () => {
+      const worker = new FakeWorker();
+      const client = createAIClient({ createWorker: () => worker });
+      const state = playingState();
+
+      const choice = client.chooseCard(state, state.currentPlayer);
+      client.cancel();
+
+      await expect(choice).resolves.toBeNull();
+      expect(worker.terminated).toBe(true);
+    });
+
+    it("should ignore answers to cancelled requests", async () => {
+      const worker = new FakeWorker();
+      const client = createAIClient({ createWorker: () => worker });
+      const state = playingState();
+      const choice = client.chooseCard(state, state.currentPlayer);
+      client.cancel();
+
+      expect(() => worker.reply()).not.toThrow();
+      await expect(choice).resolves.toBeNull();
+    });
+
+    it("should start a fresh worker after a cancel", () => {
+      const workers = [];
+      const client = createAIClient({
+        createWorker: () => {
+          workers.push(new FakeWorker());
+          return workers[workers.length - 1];
+        },
+      });
+      const state = playingState();
+
+      client.chooseCard(state, 1);
+      client.cancel();
+      client.chooseCard(state, 1);
+
+      expect(workers).toHaveLength(2);
+      expect(workers[1].messages).toHaveLength(1);
+    });
+
+    it("should answer on the main thread when the strategy fails", async () => {
+      const worker = new FakeWorker();
+      const client = createAIClient({ createWorker: () => worker });
+      const state = playingState();
+
+      const choice = client.chooseCard(state, state.currentPlayer);
+      worker.reply({ id: 1, error: "boom" });
+
+      await expect(choice).resolves.toEqual(
+        getAIAction(state, state.currentPlayer),
+      );
+    });
+
+    it("should stop using a worker that fails to load", async () => {
+      const createWorker = vi.fn(() => new FakeWorker());
+      const client = createAIClient({ createWorker });
+      const state = playingState();
+
+      const choice = client.chooseCard(state, state.currentPlayer);
+      createWorker.mock.results[0].value.onerror({ message: "404" });
+      let later = null;
+      client.chooseCard(state, state.currentPlayer).then((action) => {
+        later = action;
+      });
+
+      await expect(choice).resolves.toEqual(
+        getAIAction(state, state.currentPlayer),
+      );
+      expect(later).toEqual(getAIAction(state, state.currentPlayer));
+      expect(createWorker).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("with a plugin bot", () => {
+    const botState = () => {
+      const state = playingState();
+      const players = state.players.map((player, idx) =>
+        idx === state.currentPlayer
+          ? { ...player, difficulty: "client-bot" }
+          : player,
+      );
+      return { ...state, players };
+    };
+
+    afterEach(() => {
+      unregisterBot("client-bot");
+    });
+
+    it("should ask the bot on the calling thread, not the worker", async () => {
+      registerBot({
+        id: "client-bot",
+        name: "Client Bot",
+        chooseCard: (view) => view.legalCards[view.legalCards.length - 1],
+      });
+      const createWorker = vi.fn(() => new FakeWorker());
+      const client = createAIClient({ createWorker });
+      const state = botState();
+      const seat = state.players[state.currentPlayer];
+
+      const action = await client.chooseCard(state, state.currentPlayer);
+
+      expect(action.type).toBe(ENGINE_ACTIONS.PLAY_CARD);
+      expect(action.playerId).toBe(seat.id);
+      expect(seat.hand).toContainEqual(action.card);
+      expect(createWorker).not.toHaveBeenCalled();
+    });
+
+    it("should resolve with null when cancelled while the bot thinks", async () => {
+      let answer;
+      registerBot({
+        id: "client-bot",
+        name: "Client Bot",
+        chooseCard: (view) =>
+          new Promise((resolve) => {
+            answer = () => resolve(view.legalCards[0]);
+          }),
+      });
+      const client = createAIClient({ createWorker: () => null });
+      const state = botState();
+
+      const choice = client.chooseCard(state, state.currentPlayer);
+      client.cancel();
+      await Promise.resolve();
+      answer?.();
+
+      await expect(choice).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * AI Worker
+ * Web Worker entry that makes computer player decisions off the main thread
+ *
+ * Messages in: { id, state, playerIndex }
+ * Messages out: { id, action } with the seat's engine action, or
+ *   { id, error } if the strategy threw
+ */
+
+import { getAIAction } from "./strategies";
+
+self.onmessage = ({ data }) => {
+  const { id, state, playerIndex } = data;
+  try {
+    self.postMessage({ id, action: getAIAction(state, playerIndex) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,226 @@
+/**
+ * Bot Plugins
+ * Lets third-party code add computer players without touching the game logic
+ *
+ * Bot shape:
+ * - id - unique id, stored as the seat's difficulty once picked
+ * - name, description - labels for the waiting room seat list
+ * - chooseCard(view) - returns a card from view.legalCards (or its id), or a
+ *   promise of one
+ *
+ * The view is a frozen copy of what the seat can see: its own hand, the
+ * trick in play, the lead player, the tricks already played this hand, the
+ * suits each seat has shown it is out of and the rule set id. Bots never
+ * see the engine state, so they cannot peek at other hands or change the
+ * game. Whatever a bot returns is checked against the engine's legal cards;
+ * a card it may not play, an error or running past BOT_TIME_LIMIT logs a
+ * warning and plays the fallback strategy's card instead. Plugin bots only
+ * choose cards: passing and bidding follow the fallback strategy.
+ */
+
+import { BOT_TIME_LIMIT, DEFAULT_AI_DIFFICULTY } from "../constants";
+import { getLegalCards, ENGINE_ACTIONS } from "../engine";
+import { AI_STRATEGIES, getStrategy, getPlayerDifficulty } from "./strategies";
+import { logWarning } from "../utils/errorLogger";
+
+// Strategy whose card is played when a bot fails to choose a legal one
+export const BOT_FALLBACK_DIFFICULTY = DEFAULT_AI_DIFFICULTY;
+
+// Registered plugin bots, keyed by id, in registration order
+const registry = new Map();
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Registers a plugin bot so seats can be given it in the waiting room
+ * Register bots before the app renders, e.g. in main.jsx
+ * @param {Object} bot - Bot with id, name, description and chooseCard
+ * @returns {Object} The registered bot
+ * @throws {Error} When the bot is malformed or its id is taken
+ */
+export const registerBot = (bot) => {
+  if (typeof bot?.id !== "string" || bot.id.trim() === "") {
+    throw new Error("A bot needs a non-empty string id");
+  }
+  if (AI_STRATEGIES[bot.id] || registry.has(bot.id)) {
+    throw new Error(`A bot with the id "${bot.id}" already exists`);
+  }
+  if (typeof bot.name !== "string" || bot.name.trim() === "") {
+    throw new Error(`Bot "${bot.id}" needs a name`);
+  }
+  if (typeof bot.chooseCard !== "function") {
+    throw new Error(`Bot "${bot.id}" needs a chooseCard function`);
+  }
+
+  const registered = Object.freeze({ description: "", ...bot });
+  registry.set(bot.id, registered);
+  return registered;
+};
+
+/**
+ * Removes a plugin bot; seats that had it fall back to the default strategy
+ * @param {string} id - Bot id
+ * @returns {boolean} True when a bot was removed
+ */
+export const unregisterBot = (id) => registry.delete(id);
+
+/**
+ * Looks up a plugin bot
+ * @param {string} id - Bot id
+ * @returns {Object|null} Registered bot, or null
+ */
+export const getBot = (id) => registry.get(id) ?? null;
+
+/**
+ * Lists the plugin bots
+ * @returns {Array<Object>} Registered bots, in registration order
+ */
+export const getRegisteredBots = () => [...registry.values()];
+
+/**
+ * Gets the bot a computer seat plays with: its plugin bot if one is
+ * registered under the seat's difficulty, otherwise the built-in strategy
+ * @param {Object} player - Seat descriptor
+ * @returns {Object} Plugin bot or strategy, both with id and name
+ */
+export const getSeatBot = (player) =>
+  getBot(player?.difficulty) ?? getStrategy(getPlayerDifficulty(player));
+
+// ============================================================================
+// VIEW
+// ============================================================================
+
+/**
+ * Freezes an object and everything inside it
+ */
+const deepFreeze = (value) => {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+/**
+ * Lists a trick's cards in the order they were played
+ * @param {Object} state - Engine state
+ * @param {Object} cards - Cards keyed by player id
+ * @param {string} leadPlayerId - Player who led the trick
+ * @returns {Array<{playerId: string, card: Object}>} Plays in order
+ */
+const orderPlays = (state, cards, leadPlayerId) => {
+  const seats = state.players.length;
+  const lead = state.players.findIndex((p) => p.id === leadPlayerId);
+  if (lead === -1) return [];
+  return Array.from(
+    { length: seats },
+    (_, offset) => state.players[(lead + offset) % seats].id,
+  )
+    .filter((playerId) => cards[playerId])
+    .map((playerId) => ({ playerId, card: { ...cards[playerId] } }));
+};
+
+/**
+ * Builds the read-only view a plugin bot chooses from
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat to play
+ * @returns {Object} Frozen view: ruleSetId, seat, playerId, hand,
+ *   legalCards, trick (plays so far, in order), leadPlayerId, tricks (this
+ *   hand's earlier tricks with their plays, lead and winner), voids (suits
+ *   each seat is known to be out of, keyed by player id) and players (id,
+ *   name and cards left)
+ */
+export const createBotView = (state, playerIndex) => {
+  const player = state.players[playerIndex];
+  return deepFreeze({
+    ruleSetId: state.ruleSetId,
+    seat: playerIndex,
+    playerId: player.id,
+    hand: player.hand.map((card) => ({ ...card })),
+    legalCards: getLegalCards(state, playerIndex).map((card) => ({ ...card })),
+    trick: orderPlays(state, state.playArea, state.leadPlayerId),
+    leadPlayerId: state.leadPlayerId,
+    tricks: state.tricks.map((trick) => ({
+      plays: orderPlays(state, trick.cards, trick.leadPlayerId),
+      leadPlayerId: trick.leadPlayerId,
+      winnerId: trick.winnerId,
+    })),
+    voids: Object.fromEntries(
+      Object.entries(state.ledger.voids).map(([id, suits]) => [id, [...suits]]),
+    ),
+    players: state.players.map(({ id, name, hand }) => ({
+      id,
+      name,
+      cardsLeft: hand.length,
+    })),
+  });
+};
+
+// ============================================================================
+// TURNS
+// ============================================================================
+
+const TIMED_OUT = Symbol("timed out");
+
+/**
+ * Asks a plugin bot for its card and turns it into an engine action
+ * @param {Object} bot - Registered bot
+ * @param {Object} state - Engine state with the seat to play
+ * @param {number} playerIndex - Seat to play
+ * @param {Object} options - Turn options
+ * @param {number} options.timeLimit - Milliseconds the bot may take
+ *   (defaults to BOT_TIME_LIMIT)
+ * @returns {Promise<Object>} PLAY_CARD action with a legal card; the
+ *   fallback strategy's action if the bot throws, times out or picks a card
+ *   it may not play
+ */
+export const chooseBotAction = async (
+  bot,
+  state,
+  playerIndex,
+  { timeLimit = BOT_TIME_LIMIT } = {},
+) => {
+  const fallback = (problem, context = {}) => {
+    logWarning(`Bot "${bot.id}" ${problem}, playing a safe card instead`, {
+      botId: bot.id,
+      ...context,
+    });
+    return getStrategy(BOT_FALLBACK_DIFFICULTY).chooseCard(state, playerIndex);
+  };
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), timeLimit);
+  });
+
+  try {
+    const choice = await Promise.race([
+      Promise.resolve().then(() =>
+        bot.chooseCard(createBotView(state, playerIndex)),
+      ),
+      timeout,
+    ]);
+    if (choice === TIMED_OUT) {
+      return fallback("ran out of time", { timeLimit });
+    }
+
+    const cardId = typeof choice === "string" ? choice : choice?.id;
+    const card = getLegalCards(state, playerIndex).find(
+      (legal) => legal.id === cardId,
+    );
+    if (!card) {
+      return fallback("chose a card it cannot play", { cardId });
+    }
+    return {
+      type: ENGINE_ACTIONS.PLAY_CARD,
+      playerId: state.players[playerIndex].id,
+      card,
+    };
+  } catch (error) {
+    return fallback("failed", { error: error?.message ?? String(error) });
+  } finally {
+    clearTimeout(timer);
+  }
+};
@@ -0,0 +1,347 @@
+/**
+ * Tests for plugin bots
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  BOT_FALLBACK_DIFFICULTY,
+  registerBot,
+  unregisterBot,
+  getBot,
+  getRegisteredBots,
+  getSeatBot,
+  createBotView,
+  chooseBotAction,
+} from "./bots";
+import { AI_STRATEGIES } from "./strategies";
+import {
+  createGame,
+  applyAction,
+  getLegalCards,
+  ENGINE_ACTIONS,
+} from "../engine";
+import { BOT_TIME_LIMIT } from "../constants";
+import { logWarning } from "../utils/errorLogger";
+
+vi.mock("../utils/errorLogger", () => ({
+  logWarning: vi.fn(),
+}));
+
+const playingState = () => {
+  let state = createGame({ ruleSetId: "suit-follows", seed: "bots" });
+  [
+    { type: ENGINE_ACTIONS.START_GAME },
+    { type: ENGINE_ACTIONS.DEAL_CARDS },
+    { type: ENGINE_ACTIONS.START_PLAYING },
+  ].forEach((action) => {
+    state = applyAction(state, action).state;
+  });
+  return state;
+};
+
+/**
+ * Plays the given number of cards, collecting each trick once it is full
+ */
+const playOn = (state, plays) => {
+  let next = state;
+  for (let i = 0; i < plays; i += 1) {
+    if (Object.keys(next.playArea).length === next.players.length) {
+      next = applyAction(next, { type: ENGINE_ACTIONS.COLLECT_TRICK }).state;
+    }
+    const [card] = getLegalCards(next, next.currentPlayer);
+    next = applyAction(next, {
+      type: ENGINE_ACTIONS.PLAY_CARD,
+      playerId: next.players[next.currentPlayer].id,
+      card,
+    }).state;
+  }
+  return next;
+};
+
+const bot = (overrides = {}) => ({
+  id: "test-bot",
+  name: "Test Bot",
+  description: "Plays its first legal card",
+  chooseCard: (view) => view.legalCards[0],
+  ...overrides,
+});
+
+describe("bot registry", () => {
+  afterEach(() => {
+    unregisterBot("test-bot");
+    unregisterBot("other-bot");
+  });
+
+  it("registers and looks up bots by id", () => {
+    const registered = registerBot(bot());
+
+    expect(getBot("test-bot")).toBe(registered);
+    expect(getRegisteredBots()).toEqual([registered]);
+    expect(Object.isFrozen(registered)).toBe(true);
+  });
+
+  it("lists bots in registration order", () => {
+    registerBot(bot());
+    registerBot(bot({ id: "other-bot", name: "Other" }));
+
+    expect(getRegisteredBots().map((b) => b.id)).toEqual([
+      "test-bot",
+      "other-bot",
+    ]);
+  });
+
+  it("defaults the description", () => {
+    const { description, ...noDescription } = bot();
+
+    expect(registerBot(noDescription).description).toBe("");
+  });
+
+  it("removes bots", () => {
+    registerBot(bot());
+
+    expect(unregisterBot("test-bot")).toBe(true);
+    expect(getBot("test-bot")).toBeNull();
+    expect(unregisterBot("test-bot")).toBe(false);
+  });
+
+  it.each([
+    [{ id: "" }, "A bot needs a non-empty string id"],
+    [{ id: 7 }, "A bot needs a non-empty string id"],
+    [{ id: "hard" }, 'A bot with the id "hard" already exists'],
+    [{ name: "" }, 'Bot "test-bot" needs a name'],
+    [{ chooseCard: "first" }, 'Bot "test-bot" needs a chooseCard function'],
+  ])("rejects %j", (overrides, message) => {
+    expect(() => registerBot(bot(overrides))).toThrow(message);
+  });
+
+  it("rejects a second bot with the same id", () => {
+    registerBot(bot());
+
+    expect(() => registerBot(bot())).toThrow(
+      'A bot with the id "test-bot" already exists',
+    );
+  });
+
+  it("finds a seat's plugin bot or built-in strategy", () => {
+    const registered = registerBot(bot());
+
+    expect(getSeatBot({ difficulty: "test-bot" })).toBe(registered);
+    expect(getSeatBot({ difficulty: "hard" })).toBe(AI_STRATEGIES.hard);
+    expect(getSeatBot({ difficulty: "gone" })).toBe(
+      AI_STRATEGIES[BOT_FALLBACK_DIFFICULTY],
+    );
+  });
+});
+
+describe("createBotView", () => {
+  it("shows the seat its own hand and legal cards", () => {
+    const state = playingState();
+    const seat = state.currentPlayer;
+    const view = createBotView(state, seat);
+
+    expect(view.ruleSetId).toBe("suit-follows");
+    expect(view.seat).toBe(seat);
+    expect(view.playerId).toBe(state.players[seat].id);
+    expect(view.hand).toEqual(state.players[seat].hand);
+    expect(view.legalCards).toEqual(getLegalCards(state, seat));
+    expect(view.players.map((p) => p.cardsLeft)).toEqual(
+      state.players.map((p) => p.hand.length),
+    );
+  });
+
+  it("does not show other seats' hands", () => {
+    const state = playingState();
+    const view = createBotView(state, state.currentPlayer);
+
+    view.players.forEach((player) => {
+      expect(player).not.toHaveProperty("hand");
+    });
+  });
+
+  it("lists the trick in play and earlier tricks in play order", () => {
+    const seats = 4;
+    const state = playOn(playingState(), seats + 2);
+    const view = createBotView(state, state.currentPlayer);
+
+    expect(view.leadPlayerId).toBe(state.leadPlayerId);
+    expect(view.trick).toHaveLength(2);
+    expect(view.trick[0].playerId).toBe(state.leadPlayerId);
+    expect(view.trick.map((play) => play.card)).toEqual(
+      view.trick.map((play) => state.playArea[play.playerId]),
+    );
+    expect(view.tricks).toHaveLength(1);
+    expect(view.tricks[0].plays).toHaveLength(seats);
+    expect(view.tricks[0].plays[0].playerId).toBe(state.tricks[0].leadPlayerId);
+    expect(view.tricks[0].winnerId).toBe(state.tricks[0].winnerId);
+  });
+
+  it("shows the suits seats are known to be out of", () => {
+    const state = {
+      ...playingState(),
+      ledger: { plays: [], voids: { player2: ["hearts"] } },
+    };
+    const view = createBotView(state, state.currentPlayer);
+
+    expect(view.voids).toEqual({ player2: ["hearts"] });
+    expect(Object.isFrozen(view.voids.player2)).toBe(true);
+    expect(Object.isFrozen(state.ledger.voids.player2)).toBe(false);
+  });
+
+  it("is frozen all the way down and leaves the state alone", () => {
+    const state = playingState();
+    const view = createBotView(state, state.currentPlayer);
+
+    expect(Object.isFrozen(view)).toBe(true);
+    expect(Object.isFrozen(view.hand[0])).toBe(true);
+    expect(() => {
+      view.hand[0].rank = 1;
+    }).toThrow(TypeError);
+    expect(Object.isFrozen(state.players[state.currentPlayer].hand[0])).toBe(
+      false,
+    );
+  });
+});
+
+describe("chooseBotAction", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.clearAllMocks();
+  });
+
+  const fallbackAction = (state) =>
+    AI_STRATEGIES[BOT_FALLBACK_DIFFICULTY].chooseCard(
+      state,
+      state.currentPlayer,
+    );
+
+  it("plays the card the bot returns", async () => {
+    const state = playingState();
+    const seat = state.currentPlayer;
+    const legal = getLegalCards(state, seat);
+
+    const action = await chooseBotAction(
+      bot({ chooseCard: (view) => view.legalCards[1] }),
+      state,
+      seat,
+    );
+
+    expect(action).toEqual({
+      type: ENGINE_ACTIONS.PLAY_CARD,
+      playerId: state.players[seat].id,
+      card: legal[1],
+    });
+    expect(logWarning).not.toHaveBeenCalled();
+  });
+
+  it("accepts a card id or a promise of a card", async () => {
+    const state = playingState();
+    const seat = state.currentPlayer;
+    const [first] = getLegalCards(state, seat);
+
+    const byId = await chooseBotAction(
+      bot({ chooseCard: () => first.id }),
+      state,
+      seat,
+    );
+    const byPromise = await chooseBotAction(
+      bot({ chooseCard: async (view) => view.legalCards[0] }),
+      state,
+      seat,
+    );
+
+    expect(byId.card).toEqual(first);
+    expect(byPromise.card).toEqual(first);
+  });
+
+  it("falls back when the bot picks a card it cannot play", async () => {
+    const state = playOn(playingState(), 1);
+    const seat = state.currentPlayer;
+    const legalIds = getLegalCards(state, seat).map((card) => card.id);
+    const illegal = state.players[seat].hand.find(
+      (card) => !legalIds.includes(card.id),
+    ) ?? { id: "not-a-card" };
+
+    const action = await chooseBotAction(
+      bot({ chooseCard: () => illegal }),
+      state,
+      seat,
+    );
+
+    expect(action).toEqual(fallbackAction(state));
+    expect(logWarning).toHaveBeenCalledWith(
+      'Bot "test-bot" chose a card it cannot play, playing a safe card instead',
+      { botId: "test-bot", cardId: illegal.id },
+    );
+  });
+
+  it("falls back when the bot throws", async () => {
+    const state = playingState();
+
+    const action = await chooseBotAction(
+      bot({
+        chooseCard: () => {
+          throw new Error("confused");
+        },
+      }),
+      state,
+      state.currentPlayer,
+    );
+
+    expect(action).toEqual(fallbackAction(state));
+    expect(logWarning).toHaveBeenCalledWith(
+      'Bot "test-bot" failed, playing a safe card instead',
+      { botId: "test-bot", error: "confused" },
+    );
+  });
+
+  it("falls back when the bot tries to change its view", async () => {
+    const state = playingState();
+
+    const action = await chooseBotAction(
+      bot({
+        chooseCard: (view) => {
+          view.hand.pop();
+          return view.legalCards[0];
+        },
+      }),
+      state,
+      state.currentPlayer,
+    );
+
+    expect(action).toEqual(fallbackAction(state));
+    expect(state.players[state.currentPlayer].hand.length).toBeGreaterThan(0);
+  });
+
+  it("falls back when the bot takes too long", async () => {
+    vi.useFakeTimers();
+    const state = playingState();
+
+    const choice = chooseBotAction(
+      bot({ chooseCard: () => new Promise(() => {}) }),
+      state,
+      state.currentPlayer,
+    );
+    await vi.advanceTimersByTimeAsync(BOT_TIME_LIMIT);
+
+    await expect(choice).resolves.toEqual(fallbackAction(state));
+    expect(logWarning).toHaveBeenCalledWith(
+      'Bot "test-bot" ran out of time, playing a safe card instead',
+      { botId: "test-bot", timeLimit: BOT_TIME_LIMIT },
+    );
+  });
+
+  it("takes a time limit of its own", async () => {
+    vi.useFakeTimers();
+    const state = playingState();
+
+    const choice = chooseBotAction(
+      bot({ chooseCard: () => new Promise(() => {}) }),
+      state,
+      state.currentPlayer,
+      { timeLimit: 50 },
+    );
+    await vi.advanceTimersByTimeAsync(50);
+
+    await expect(choice).resolves.toEqual(fallbackAction(state));
+  });
+});
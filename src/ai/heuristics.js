@@ -0,0 +1,189 @@
+/**
+ * AI Heuristics
+ * Card-reading helpers shared by the computer player strategies
+ *
+ * Every helper is a pure function of the engine state, so strategies run
+ * wherever the engine does. Trick outcomes are worked out with the rule set's
+ * own evaluateWinner, which keeps the heuristics right for every rule set.
+ */
+
+import { getRuleSet, getTeams, getTricksWon, stripDeck } from "../engine";
+
+// Value of the highest card in a suit
+export const ACE_VALUE = 14;
+
+// ============================================================================
+// CARD VALUES
+// ============================================================================
+
+/**
+ * Gets the points a card alone adds to a trick under a rule set
+ * @param {Object} ruleSet - Rule set configuration
+ * @param {Object} card - Card to score
+ * @returns {number} Points the card is worth, 0 for plain cards
+ */
+export const getCardPoints = (ruleSet, card) =>
+  ruleSet.scoreTrick({ [card.id]: card }) - ruleSet.scoreTrick({});
+
+/**
+ * Checks whether a card belongs to the rule set's trump suit
+ * @param {Object} ruleSet - Rule set configuration
+ * @param {Object} card - Card to check
+ * @returns {boolean} True for trump cards
+ */
+export const isTrump = (ruleSet, card) =>
+  Boolean(ruleSet.trumpSuit) && card.suit === ruleSet.trumpSuit;
+
+/**
+ * Sorts cards from cheapest to dearest: plain cards before trump, then by
+ * value, so the first card is the one a seat misses least
+ * @param {Object} ruleSet - Rule set configuration
+ * @param {Array} cards - Cards to sort
+ * @returns {Array} Sorted copy of the cards
+ */
+export const sortByCost = (ruleSet, cards) =>
+  [...cards].sort(
+    (a, b) =>
+      Number(isTrump(ruleSet, a)) - Number(isTrump(ruleSet, b)) ||
+      a.value - b.value,
+  );
+
+// ============================================================================
+// TRICK READING
+// ============================================================================
+
+/**
+ * Checks whether a card would win the trick in play if it were played now
+ * Seats still to play may beat it later
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat that would play the card
+ * @param {Object} card - Card to try
+ * @returns {boolean} True if the card would take the lead in the trick
+ */
+export const wouldWinTrick = (state, playerIndex, card) => {
+  const { id } = state.players[playerIndex];
+  const cards = { ...state.playArea, [id]: card };
+  return (
+    getRuleSet(state).evaluateWinner(cards, state.leadPlayerId ?? id) === id
+  );
+};
+
+/**
+ * Finds the seat currently winning the trick in play
+ * @param {Object} state - Engine state
+ * @returns {number} Seat index, or -1 before anyone has played
+ */
+export const getTrickLeaderIndex = (state) => {
+  if (Object.keys(state.playArea).length === 0) return -1;
+  const winnerId = getRuleSet(state).evaluateWinner(
+    state.playArea,
+    state.leadPlayerId,
+  );
+  return state.players.findIndex((player) => player.id === winnerId);
+};
+
+/**
+ * Lists the seats playing on the same side as a seat, not counting itself
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat index
+ * @returns {Array<number>} Partner seat indices (empty in solo play)
+ */
+export const getPartners = (state, playerIndex) =>
+  getTeams(state)
+    .find((team) => team.includes(playerIndex))
+    .filter((seat) => seat !== playerIndex);
+
+/**
+ * Checks whether the seat to play closes the trick
+ * @param {Object} state - Engine state
+ * @returns {boolean} True when every other seat has played
+ */
+export const isLastToPlay = (state) =>
+  Object.keys(state.playArea).length === state.players.length - 1;
+
+/**
+ * Decides whether a seat is trying to win tricks this hand
+ * Seats duck when the lowest score wins or when they bid nil. With
+ * avoidBags they also duck once their side has made its contract, so
+ * overtricks do not pile up as bags
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat index
+ * @param {Object} options - Options
+ * @param {boolean} options.avoidBags - Duck overtricks in bidding games
+ * @returns {boolean} True when the seat wants to take tricks
+ */
+export const wantsTricks = (state, playerIndex, { avoidBags = false } = {}) => {
+  const ruleSet = getRuleSet(state);
+  if (ruleSet.lowScoreWins) return false;
+  if (state.bids[playerIndex]?.tricks === 0) return false;
+  if (!avoidBags || !ruleSet.bidding) return true;
+
+  const side = getTeams(state).find((team) => team.includes(playerIndex));
+  const tricksWon = getTricksWon(state);
+  const contract = side.reduce(
+    (total, seat) => total + (state.bids[seat]?.tricks ?? 0),
+    0,
+  );
+  const taken = side.reduce((total, seat) => total + tricksWon[seat], 0);
+  return contract === 0 || taken < contract;
+};
+
+// ============================================================================
+// CARD MEMORY
+// ============================================================================
+
+/**
+ * Lists every card played so far this hand, including the trick in play,
+ * from the engine's cards-seen ledger
+ * @param {Object} state - Engine state
+ * @returns {Array} Played cards, in the order they were played
+ */
+export const getPlayedCards = (state) =>
+  state.ledger.plays.map(({ card }) => card);
+
+/**
+ * Lists the cards a seat has not seen yet: neither played nor in its hand
+ * Cards stripped from the deck are left out, since every seat knows them
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat index
+ * @returns {Array} Cards other seats (or the kitty) may still hold
+ */
+export const getUnseenCards = (state, playerIndex) => {
+  const deck = getRuleSet(state).stripDeck
+    ? stripDeck(state.deck, state.players.length)
+    : state.deck;
+  const seen = new Set(
+    [...getPlayedCards(state), ...state.players[playerIndex].hand].map(
+      (card) => card.id,
+    ),
+  );
+  return deck.filter((card) => !seen.has(card.id));
+};
+
+/**
+ * Reads which suits each seat has shown it is out of from the ledger; the
+ * engine notes a void when a seat does not follow the suit led
+ * @param {Object} state - Engine state
+ * @returns {Array<Set<string>>} Suits each seat cannot hold, by seat index
+ */
+export const getVoidSuits = (state) =>
+  state.players.map((player) => new Set(state.ledger.voids[player.id]));
+
+/**
+ * Counts the unseen cards that outrank a card in its own suit
+ * @param {Object} card - Card to check
+ * @param {Array} unseen - Cards from getUnseenCards
+ * @returns {number} Higher cards of the suit still out
+ */
+export const countHigherUnseen = (card, unseen) =>
+  unseen.filter((other) => other.suit === card.suit && other.value > card.value)
+    .length;
+
+/**
+ * Checks whether a card is the highest of its suit still out
+ * @param {Object} card - Card to check
+ * @param {Array} unseen - Cards from getUnseenCards
+ * @returns {boolean} True when no unseen card of the suit outranks it
+ */
+export const isBossCard = (card, unseen) =>
+  countHigherUnseen(card, unseen) === 0;
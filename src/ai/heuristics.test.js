@@ -0,0 +1,279 @@
+/**
+ * Tests for the AI heuristics
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  getCardPoints,
+  isTrump,
+  sortByCost,
+  wouldWinTrick,
+  getTrickLeaderIndex,
+  getPartners,
+  isLastToPlay,
+  wantsTricks,
+  getPlayedCards,
+  getUnseenCards,
+  getVoidSuits,
+  countHigherUnseen,
+  isBossCard,
+} from "./heuristics";
+import { createGame, createPlayers, getRuleSet, buildLedger } from "../engine";
+import { GAME_PHASES } from "../constants";
+
+const card = (suit, rank) => ({
+  id: `${suit}-${rank}`,
+  suit,
+  rank,
+  value: rank === 1 ? 14 : rank,
+});
+
+/**
+ * Builds a game in the middle of a trick with the given hands and plays
+ */
+const trickState = ({
+  ruleSetId = "suit-follows",
+  hands = [[], [], [], []],
+  playArea = {},
+  leadPlayerId = null,
+  currentPlayer = 0,
+  ...rest
+} = {}) => {
+  const game = createGame({ ruleSetId, seed: "heuristics" });
+  const state = {
+    ...game,
+    phase: GAME_PHASES.PLAYING,
+    players: game.players.map((player, idx) => ({
+      ...player,
+      hand: hands[idx] ?? [],
+    })),
+    playArea,
+    leadPlayerId,
+    currentPlayer,
+    ...rest,
+  };
+  return { ...state, ledger: buildLedger(state) };
+};
+
+describe("AI heuristics", () => {
+  describe("card values", () => {
+    it("should read penalty points from the rule set", () => {
+      const hearts = getRuleSet({ ruleSetId: "hearts" });
+
+      expect(getCardPoints(hearts, card("spades", 12))).toBe(13);
+      expect(getCardPoints(hearts, card("hearts", 2))).toBe(1);
+      expect(getCardPoints(hearts, card("clubs", 1))).toBe(0);
+    });
+
+    it("should not count the trick itself as points", () => {
+      const ruleSet = getRuleSet({ ruleSetId: "suit-follows" });
+
+      expect(getCardPoints(ruleSet, card("hearts", 1))).toBe(0);
+    });
+
+    it("should only treat the rule set's trump suit as trump", () => {
+      const spades = getRuleSet({ ruleSetId: "spades-trump" });
+      const plain = getRuleSet({ ruleSetId: "suit-follows" });
+
+      expect(isTrump(spades, card("spades", 2))).toBe(true);
+      expect(isTrump(spades, card("hearts", 2))).toBe(false);
+      expect(isTrump(plain, card("spades", 2))).toBe(false);
+    });
+
+    it("should sort plain cards before trump, lowest first", () => {
+      const spades = getRuleSet({ ruleSetId: "spades-trump" });
+      const sorted = sortByCost(spades, [
+        card("spades", 2),
+        card("hearts", 9),
+        card("clubs", 4),
+      ]);
+
+      expect(sorted.map((c) => c.id)).toEqual([
+        "clubs-4",
+        "hearts-9",
+        "spades-2",
+      ]);
+    });
+  });
+
+  describe("trick reading", () => {
+    it("should tell whether a card would take the trick", () => {
+      const state = trickState({
+        playArea: { player2: card("hearts", 10) },
+        leadPlayerId: "player2",
+      });
+
+      expect(wouldWinTrick(state, 0, card("hearts", 12))).toBe(true);
+      expect(wouldWinTrick(state, 0, card("hearts", 4))).toBe(false);
+      expect(wouldWinTrick(state, 0, card("clubs", 1))).toBe(false);
+    });
+
+    it("should respect trump when reading the trick", () => {
+      const state = trickState({
+        ruleSetId: "spades-trump",
+        playArea: { player2: card("hearts", 1) },
+        leadPlayerId: "player2",
+      });
+
+      expect(wouldWinTrick(state, 0, card("spades", 2))).toBe(true);
+    });
+
+    it("should count a lead as winning", () => {
+      expect(wouldWinTrick(trickState(), 0, card("clubs", 2))).toBe(true);
+    });
+
+    it("should find the seat winning the trick", () => {
+      const state = trickState({
+        playArea: {
+          player2: card("hearts", 10),
+          player3: card("hearts", 13),
+        },
+        leadPlayerId: "player2",
+      });
+
+      expect(getTrickLeaderIndex(state)).toBe(2);
+      expect(getTrickLeaderIndex(trickState())).toBe(-1);
+    });
+
+    it("should find partners only in partnership play", () => {
+      expect(getPartners(trickState(), 0)).toEqual([]);
+      expect(getPartners(trickState({ partnerships: true }), 1)).toEqual([3]);
+    });
+
+    it("should know when a seat closes the trick", () => {
+      const state = trickState({
+        playArea: {
+          player2: card("hearts", 10),
+          player3: card("hearts", 13),
+          player4: card("hearts", 2),
+        },
+      });
+
+      expect(isLastToPlay(state)).toBe(true);
+      expect(isLastToPlay(trickState())).toBe(false);
+    });
+  });
+
+  describe("wantsTricks", () => {
+    it("should duck in low-score games", () => {
+      expect(wantsTricks(trickState({ ruleSetId: "hearts" }), 0)).toBe(false);
+      expect(wantsTricks(trickState(), 0)).toBe(true);
+    });
+
+    it("should duck after a nil bid", () => {
+      const state = trickState({
+        ruleSetId: "spades",
+        bids: [{ tricks: 0, blind: false }, null, null, null],
+      });
+
+      expect(wantsTricks(state, 0)).toBe(false);
+    });
+
+    it("should duck overtricks once the side has made its contract", () => {
+      const bids = [
+        { tricks: 1, blind: false },
+        { tricks: 3, blind: false },
+        { tricks: 1, blind: false },
+        { tricks: 3, blind: false },
+      ];
+      const tricks = [
+        { cards: {}, leadPlayerId: "player1", winnerId: "player1" },
+        { cards: {}, leadPlayerId: "player1", winnerId: "player3" },
+      ];
+      const state = trickState({ ruleSetId: "spades", bids, tricks });
+
+      expect(wantsTricks(state, 0)).toBe(true);
+      expect(wantsTricks(state, 0, { avoidBags: true })).toBe(false);
+      expect(wantsTricks(state, 1, { avoidBags: true })).toBe(true);
+    });
+  });
+
+  describe("card memory", () => {
+    const state = trickState({
+      hands: [[card("hearts", 13), card("clubs", 2)]],
+      tricks: [
+        {
+          cards: {
+            player1: card("hearts", 1),
+            player2: card("hearts", 3),
+          },
+          leadPlayerId: "player1",
+          winnerId: "player1",
+        },
+      ],
+      playArea: { player3: card("hearts", 12) },
+      leadPlayerId: "player3",
+    });
+
+    it("should list played cards including the trick in play", () => {
+      expect(getPlayedCards(state).map((c) => c.id)).toEqual([
+        "hearts-1",
+        "hearts-3",
+        "hearts-12",
+      ]);
+    });
+
+    it("should leave out played cards and the seat's own hand", () => {
+      const unseen = getUnseenCards(state, 0).map((c) => c.id);
+
+      expect(unseen).toHaveLength(52 - 5);
+      expect(unseen).not.toContain("hearts-13");
+      expect(unseen).not.toContain("hearts-12");
+      expect(unseen).toContain("hearts-11");
+    });
+
+    it("should leave out cards stripped from the deck", () => {
+      const game = createGame({
+        ruleSetId: "hearts",
+        players: createPlayers(3),
+        seed: "heuristics",
+      });
+      const unseen = getUnseenCards(game, 0).map((c) => c.id);
+
+      expect(unseen).toHaveLength(51);
+      expect(unseen).not.toContain("diamonds-2");
+    });
+
+    it("should spot the highest card of a suit still out", () => {
+      const unseen = getUnseenCards(state, 0);
+
+      expect(isBossCard(card("hearts", 13), unseen)).toBe(true);
+      expect(isBossCard(card("clubs", 2), unseen)).toBe(false);
+      expect(countHigherUnseen(card("clubs", 2), unseen)).toBe(12);
+    });
+  });
+
+  describe("void suits", () => {
+    it("should mark seats that could not follow the suit led", () => {
+      const state = trickState({
+        tricks: [
+          {
+            cards: {
+              player1: card("hearts", 1),
+              player2: card("clubs", 3),
+              player3: card("hearts", 4),
+              player4: card("diamonds", 9),
+            },
+            leadPlayerId: "player1",
+            winnerId: "player1",
+          },
+        ],
+        playArea: { player3: card("spades", 5), player4: card("clubs", 2) },
+        leadPlayerId: "player3",
+      });
+      const voids = getVoidSuits(state).map((suits) => [...suits]);
+
+      expect(voids).toEqual([[], ["hearts"], [], ["hearts", "spades"]]);
+    });
+
+    it("should not read voids when seats may play any card", () => {
+      const state = trickState({
+        ruleSetId: "highest-card",
+        playArea: { player1: card("hearts", 1), player2: card("clubs", 3) },
+        leadPlayerId: "player1",
+      });
+
+      expect(getVoidSuits(state).every((suits) => suits.size === 0)).toBe(true);
+    });
+  });
+});
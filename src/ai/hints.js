@@ -0,0 +1,146 @@
+/**
+ * Move Hints
+ * Suggests a card for a human seat, with a one-line reason
+ *
+ * The card comes from the card counting rules of thumb, which are quick
+ * enough to run on the main thread between clicks. The reason is worked out
+ * afterwards from the trick in play, so it describes the card that was
+ * picked rather than the strategy's internals.
+ */
+
+import { GAME_PHASES } from "../constants";
+import { getRuleSet, getLegalCards, ENGINE_ACTIONS } from "../engine";
+import { chooseCountingCard } from "./strategies";
+import {
+  getCardPoints,
+  isTrump,
+  sortByCost,
+  wouldWinTrick,
+  getTrickLeaderIndex,
+  getPartners,
+  getUnseenCards,
+  isBossCard,
+  wantsTricks,
+} from "./heuristics";
+
+// Singular suit names for reasons such as "lowest heart that still wins"
+const SUIT_NAMES = {
+  hearts: "heart",
+  diamonds: "diamond",
+  clubs: "club",
+  spades: "spade",
+};
+
+/**
+ * Explains a lead
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat on lead
+ * @param {Object} card - Card to lead
+ * @returns {string} Reason
+ */
+const explainLead = (state, playerIndex, card) => {
+  const ruleSet = getRuleSet(state);
+  const suit = SUIT_NAMES[card.suit];
+
+  if (!wantsTricks(state, playerIndex)) {
+    return `Lead a low ${suit} to stay out of trouble`;
+  }
+  if (isBossCard(card, getUnseenCards(state, playerIndex))) {
+    return `Highest ${suit} still out, so it should win`;
+  }
+  if (isTrump(ruleSet, card)) {
+    return "Lead trump to draw out everyone else's";
+  }
+  return `Lead a low ${suit} and keep your big cards for later`;
+};
+
+/**
+ * Explains a card played into a trick someone else led
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat to play
+ * @param {Object} card - Card to play
+ * @param {Array} legalCards - Cards the seat may play
+ * @returns {string} Reason
+ */
+const explainFollow = (state, playerIndex, card, legalCards) => {
+  const ruleSet = getRuleSet(state);
+  const lead = state.playArea[state.leadPlayerId];
+  const suit = SUIT_NAMES[card.suit];
+  const wins = wouldWinTrick(state, playerIndex, card);
+  const isVoid = !state.players[playerIndex].hand.some(
+    (c) => c.suit === lead.suit,
+  );
+
+  if (isVoid && card.suit !== lead.suit) {
+    if (wins && isTrump(ruleSet, card)) {
+      return `You're void in ${lead.suit}, trump in`;
+    }
+    if (!wins && getCardPoints(ruleSet, card) > 0) {
+      return `You're void in ${lead.suit}, dump your points on someone else`;
+    }
+    return `You're void in ${lead.suit}, throw away a card you won't miss`;
+  }
+
+  const partnerWinning = getPartners(state, playerIndex).includes(
+    getTrickLeaderIndex(state),
+  );
+  if (partnerWinning && !wins) {
+    return "Your partner has this trick, so play low";
+  }
+
+  const sameSuit = sortByCost(
+    ruleSet,
+    legalCards.filter((c) => c.suit === card.suit),
+  );
+  if (wins) {
+    const cheapestWinner = sameSuit.find((c) =>
+      wouldWinTrick(state, playerIndex, c),
+    );
+    return cheapestWinner?.id === card.id
+      ? `Lowest ${suit} that still wins`
+      : `Your top ${suit} makes sure of the trick`;
+  }
+  if (!wantsTricks(state, playerIndex)) {
+    const losers = sameSuit.filter(
+      (c) => !wouldWinTrick(state, playerIndex, c),
+    );
+    return losers[losers.length - 1]?.id === card.id
+      ? `Highest ${suit} that still ducks under the trick`
+      : "Play under the winning card to stay out of trouble";
+  }
+  return `You can't win this trick, so play your lowest ${suit}`;
+};
+
+/**
+ * Suggests the card a seat should play and says why
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat asking for a hint
+ * @returns {{card: Object, reason: string}|null} Hint, or null when it is
+ *   not the seat's turn to play a card
+ */
+export const getHint = (state, playerIndex) => {
+  if (
+    state.phase !== GAME_PHASES.PLAYING ||
+    state.currentPlayer !== playerIndex
+  ) {
+    return null;
+  }
+
+  const legalCards = getLegalCards(state, playerIndex);
+  if (legalCards.length === 0) return null;
+  if (legalCards.length === 1) {
+    return { card: legalCards[0], reason: "It's your only legal card" };
+  }
+
+  const action = chooseCountingCard(state, playerIndex);
+  const card =
+    action?.type === ENGINE_ACTIONS.PLAY_CARD ? action.card : legalCards[0];
+  const isLeading = Object.keys(state.playArea).length === 0;
+
+  return {
+    card,
+    reason: isLeading
+      ? explainLead(state, playerIndex, card)
+      : explainFollow(state, playerIndex, card, legalCards),
+  };
+};
@@ -0,0 +1,154 @@
+/**
+ * Tests for move hints
+ */
+
+import { describe, it, expect } from "vitest";
+import { getHint } from "./hints";
+import { getAIAction } from "./strategies";
+import {
+  createGame,
+  applyAction,
+  getLegalCards,
+  ENGINE_ACTIONS,
+  buildLedger,
+} from "../engine";
+import { GAME_PHASES } from "../constants";
+
+const card = (suit, rank) => ({
+  id: `${suit}-${rank}`,
+  suit,
+  rank,
+  value: rank === 1 ? 14 : rank,
+});
+
+/**
+ * Builds a game with seat 0 to play the last card of a trick
+ */
+const followState = ({ ruleSetId, hand, playArea, leadPlayerId, ...rest }) => {
+  const game = createGame({ ruleSetId, seed: "hints" });
+  const state = {
+    ...game,
+    phase: GAME_PHASES.PLAYING,
+    players: game.players.map((player, idx) => ({
+      ...player,
+      hand: idx === 0 ? hand : [],
+    })),
+    playArea,
+    leadPlayerId,
+    currentPlayer: 0,
+    ...rest,
+  };
+  return { ...state, ledger: buildLedger(state) };
+};
+
+describe("getHint", () => {
+  it("should not hint when it is not the seat's turn", () => {
+    const game = createGame({ seed: "hints" });
+
+    expect(getHint(game, 0)).toBeNull();
+    expect(
+      getHint({ ...game, phase: GAME_PHASES.PLAYING, currentPlayer: 1 }, 0),
+    ).toBeNull();
+  });
+
+  it("should point out the only legal card", () => {
+    const hand = [card("hearts", 5), card("clubs", 9)];
+    const state = followState({
+      ruleSetId: "suit-follows",
+      hand,
+      playArea: { player2: card("hearts", 8) },
+      leadPlayerId: "player2",
+    });
+
+    expect(getHint(state, 0)).toEqual({
+      card: hand[0],
+      reason: "It's your only legal card",
+    });
+  });
+
+  it("should win as cheaply as it can", () => {
+    const hand = [card("hearts", 5), card("hearts", 9), card("hearts", 13)];
+    const state = followState({
+      ruleSetId: "suit-follows",
+      hand,
+      playArea: {
+        player2: card("hearts", 8),
+        player3: card("hearts", 2),
+        player4: card("hearts", 3),
+      },
+      leadPlayerId: "player2",
+    });
+
+    expect(getHint(state, 0)).toEqual({
+      card: hand[1],
+      reason: "Lowest heart that still wins",
+    });
+  });
+
+  it("should trump in when void in the suit led", () => {
+    const hand = [card("spades", 3), card("hearts", 2)];
+    const state = followState({
+      ruleSetId: "spades-trump",
+      hand,
+      playArea: {
+        player2: card("clubs", 10),
+        player3: card("clubs", 2),
+        player4: card("clubs", 3),
+      },
+      leadPlayerId: "player2",
+    });
+
+    expect(getHint(state, 0)).toEqual({
+      card: hand[0],
+      reason: "You're void in clubs, trump in",
+    });
+  });
+
+  it("should dump points when void in a low-score game", () => {
+    const hand = [card("spades", 12), card("diamonds", 2)];
+    const state = followState({
+      ruleSetId: "hearts",
+      hand,
+      playArea: {
+        player2: card("clubs", 10),
+        player3: card("clubs", 2),
+        player4: card("clubs", 3),
+      },
+      leadPlayerId: "player2",
+      tricks: [{ cards: {}, leadPlayerId: "player2", winnerId: "player2" }],
+    });
+
+    expect(getHint(state, 0)).toEqual({
+      card: hand[0],
+      reason: "You're void in clubs, dump your points on someone else",
+    });
+  });
+
+  it("should give a legal card and a reason on every turn of a hand", () => {
+    let state = createGame({ ruleSetId: "spades-trump", seed: "hint-hand" });
+    [
+      { type: ENGINE_ACTIONS.START_GAME },
+      { type: ENGINE_ACTIONS.DEAL_CARDS },
+      { type: ENGINE_ACTIONS.START_PLAYING },
+    ].forEach((action) => {
+      state = applyAction(state, action).state;
+    });
+
+    while (state.phase === GAME_PHASES.PLAYING) {
+      if (state.currentPlayer === 0) {
+        const hint = getHint(state, 0);
+        const legalIds = getLegalCards(state, 0).map((c) => c.id);
+        expect(legalIds).toContain(hint.card.id);
+        expect(hint.reason).toMatch(/\w/);
+      }
+      state = applyAction(state, getAIAction(state, state.currentPlayer)).state;
+      if (state.phase === GAME_PHASES.EVALUATING) {
+        state = applyAction(state, {
+          type: ENGINE_ACTIONS.COLLECT_TRICK,
+        }).state;
+      }
+    }
+
+    expect(state.phase).not.toBe(GAME_PHASES.PLAYING);
+  });
+});
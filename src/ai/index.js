@@ -0,0 +1,49 @@
+/**
+ * Barrel export for the computer player strategies
+ * Provides clean imports from a single entry point
+ */
+
+export {
+  AI_STRATEGIES,
+  getStrategy,
+  getPlayerDifficulty,
+  getAIAction,
+  estimateTricks,
+  chooseCountingCard,
+  createHardStrategy,
+} from "./strategies";
+export { sampleHands, searchBestCard } from "./search";
+export { createAIClient } from "./aiClient";
+export {
+  AI_PERSONALITIES,
+  TABLE_TALK_MOMENTS,
+  getPersonality,
+  applyPersonality,
+  getTableTalk,
+} from "./personalities";
+export { getHint } from "./hints";
+export {
+  BOT_FALLBACK_DIFFICULTY,
+  registerBot,
+  unregisterBot,
+  getBot,
+  getRegisteredBots,
+  getSeatBot,
+  createBotView,
+  chooseBotAction,
+} from "./bots";
+export {
+  getCardPoints,
+  isTrump,
+  sortByCost,
+  wouldWinTrick,
+  getTrickLeaderIndex,
+  getPartners,
+  isLastToPlay,
+  wantsTricks,
+  getPlayedCards,
+  getUnseenCards,
+  getVoidSuits,
+  countHigherUnseen,
+  isBossCard,
+} from "./heuristics";
@@ -0,0 +1,241 @@
+/**
+ * AI Personalities
+ * Named characters that bend a computer seat's play and give it a voice
+ *
+ * Personality shape:
+ * - id, name, description - personality id from AI_PERSONALITY and labels
+ * - adjustCard(state, playerIndex, card, legalCards) - returns the card the
+ *   personality would rather play than the one its strategy chose
+ * - lines - table talk for each moment in TABLE_TALK_MOMENTS
+ *
+ * A personality only nudges card play: passing and bidding are left to the
+ * strategy, Easy seats keep playing at random, and Hard plays the card its
+ * search found.
+ */
+
+import { AI_PERSONALITY } from "../constants";
+import {
+  getRuleSet,
+  getLegalCards,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+} from "../engine";
+import {
+  isTrump,
+  sortByCost,
+  wouldWinTrick,
+  getTrickLeaderIndex,
+  getPartners,
+  isLastToPlay,
+  wantsTricks,
+} from "./heuristics";
+
+// Moments a computer seat may comment on
+export const TABLE_TALK_MOMENTS = {
+  TRUMPED: "trumped",
+  WON_TRICK: "wonTrick",
+  TOOK_POINTS: "tookPoints",
+  WON_GAME: "wonGame",
+  LOST_GAME: "lostGame",
+};
+
+const isLeading = (state) => Object.keys(state.playArea).length === 0;
+
+// ============================================================================
+// PERSONALITIES
+// ============================================================================
+
+/**
+ * Aggressive trumper - leads its highest trump and trumps in whenever it is
+ * out of the suit led, unless its partner already has the trick
+ */
+const trumper = {
+  id: AI_PERSONALITY.TRUMPER,
+  name: "Aggressive trumper",
+  description: "Trumps in whenever it can",
+  adjustCard: (state, playerIndex, card, legalCards) => {
+    const ruleSet = getRuleSet(state);
+    const trumps = sortByCost(
+      ruleSet,
+      legalCards.filter((c) => isTrump(ruleSet, c)),
+    );
+    if (trumps.length === 0 || !wantsTricks(state, playerIndex)) return card;
+    if (isLeading(state)) return trumps[trumps.length - 1];
+    if (isTrump(ruleSet, card)) return card;
+
+    const partnerWinning = getPartners(state, playerIndex).includes(
+      getTrickLeaderIndex(state),
+    );
+    const winningTrump = trumps.find((c) =>
+      wouldWinTrick(state, playerIndex, c),
+    );
+    return partnerWinning || !winningTrump ? card : winningTrump;
+  },
+  lines: {
+    trumped: ["Ha, trumped!", "Trump beats all!", "Didn't see that coming?"],
+    wonTrick: ["Mine!", "Too easy."],
+    tookPoints: ["Worth it.", "I'll take those."],
+    wonGame: ["Nobody out-trumps me!"],
+    lostGame: ["I'll trump you next time."],
+  },
+};
+
+/**
+ * Cautious ducker - leads low and plays under the trick while others are
+ * still to play, only winning with the last card
+ */
+const ducker = {
+  id: AI_PERSONALITY.DUCKER,
+  name: "Cautious ducker",
+  description: "Stays low unless it plays last",
+  adjustCard: (state, playerIndex, card, legalCards) => {
+    const byCost = sortByCost(getRuleSet(state), legalCards);
+    if (isLeading(state)) return byCost[0];
+    if (isLastToPlay(state) || !wouldWinTrick(state, playerIndex, card)) {
+      return card;
+    }
+
+    const losers = byCost.filter((c) => !wouldWinTrick(state, playerIndex, c));
+    return losers.length > 0 ? losers[losers.length - 1] : card;
+  },
+  lines: {
+    trumped: ["Sorry, had to.", "Oh, that was trump?"],
+    wonTrick: ["Oh, that one's mine?", "Didn't mean to."],
+    tookPoints: ["Oh dear.", "Not what I wanted..."],
+    wonGame: ["Slow and steady!"],
+    lostGame: ["Well played, everyone."],
+  },
+};
+
+/**
+ * Reckless leader - leads its highest card every time it is on lead
+ */
+const leader = {
+  id: AI_PERSONALITY.LEADER,
+  name: "Reckless leader",
+  description: "Leads its biggest card every time",
+  adjustCard: (state, playerIndex, card, legalCards) => {
+    if (!isLeading(state)) return card;
+    const byCost = sortByCost(getRuleSet(state), legalCards);
+    return byCost[byCost.length - 1];
+  },
+  lines: {
+    trumped: ["Surprise!", "Boom!"],
+    wonTrick: ["Follow that!", "Full speed ahead!"],
+    tookPoints: ["Whoops!", "Yolo."],
+    wonGame: ["Fortune favours the bold!"],
+    lostGame: ["Worth the risk."],
+  },
+};
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+// Personalities keyed by id
+export const AI_PERSONALITIES = {
+  [AI_PERSONALITY.TRUMPER]: trumper,
+  [AI_PERSONALITY.DUCKER]: ducker,
+  [AI_PERSONALITY.LEADER]: leader,
+};
+
+/**
+ * Gets a seat's personality
+ * @param {Object} player - Seat descriptor
+ * @returns {Object|null} Personality, or null for seats without one
+ */
+export const getPersonality = (player) =>
+  AI_PERSONALITIES[player?.personality] ?? null;
+
+/**
+ * Lets a seat's personality have its say over the action its strategy chose
+ * Only PLAY_CARD actions are changed, and only ever to another legal card
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat to act
+ * @param {Object} action - Engine action from the strategy
+ * @returns {Object} The action to take
+ */
+export const applyPersonality = (state, playerIndex, action) => {
+  const personality = getPersonality(state.players[playerIndex]);
+  if (!personality || action?.type !== ENGINE_ACTIONS.PLAY_CARD) {
+    return action;
+  }
+
+  const card = personality.adjustCard(
+    state,
+    playerIndex,
+    action.card,
+    getLegalCards(state, playerIndex),
+  );
+  return card.id === action.card.id ? action : { ...action, card };
+};
+
+// ============================================================================
+// TABLE TALK
+// ============================================================================
+
+/**
+ * Picks a line for a moment, cycling through the personality's lines
+ * @param {Object} personality - Personality
+ * @param {string} moment - Moment from TABLE_TALK_MOMENTS
+ * @param {number} turn - Any counter, e.g. the event sequence number
+ * @returns {string} Line to say
+ */
+const pickLine = (personality, moment, turn) => {
+  const lines = personality.lines[moment];
+  return lines[turn % lines.length];
+};
+
+/**
+ * Works out what a computer seat says about an engine event, if anything
+ * Trick winners comment on trumping in, on taking penalty points in
+ * low-score games, or just on winning; at the end of a match the first
+ * seat with a personality among the winners gloats, or else the first one
+ * at the table commiserates
+ * @param {Object} state - Engine state when the event was raised
+ * @param {Object} event - Engine event with its sequence number
+ * @returns {{playerIndex: number, text: string}|null} Speech bubble, or
+ *   null when nobody has anything to say
+ */
+export const getTableTalk = (state, event) => {
+  const turn = event.seq ?? 0;
+
+  if (event.type === ENGINE_EVENTS.TRICK_COMPLETE) {
+    const personality = getPersonality(state.players[event.winnerIndex]);
+    if (!personality) return null;
+
+    const ruleSet = getRuleSet(state);
+    const lead = event.cards[event.leadPlayerId];
+    const winning = event.cards[event.winnerId];
+    let moment = TABLE_TALK_MOMENTS.WON_TRICK;
+    if (isTrump(ruleSet, winning) && !isTrump(ruleSet, lead)) {
+      moment = TABLE_TALK_MOMENTS.TRUMPED;
+    } else if (ruleSet.lowScoreWins && ruleSet.scoreTrick(event.cards) > 0) {
+      moment = TABLE_TALK_MOMENTS.TOOK_POINTS;
+    }
+    return {
+      playerIndex: event.winnerIndex,
+      text: pickLine(personality, moment, turn),
+    };
+  }
+
+  if (event.type === ENGINE_EVENTS.GAME_OVER) {
+    const talkers = state.players
+      .map((player, idx) => idx)
+      .filter((idx) => getPersonality(state.players[idx]));
+    const winner = talkers.find((idx) => event.winners.includes(idx));
+    const speaker = winner ?? talkers[0];
+    if (speaker === undefined) return null;
+
+    const moment =
+      winner === undefined
+        ? TABLE_TALK_MOMENTS.LOST_GAME
+        : TABLE_TALK_MOMENTS.WON_GAME;
+    return {
+      playerIndex: speaker,
+      text: pickLine(getPersonality(state.players[speaker]), moment, turn),
+    };
+  }
+
+  return null;
+};
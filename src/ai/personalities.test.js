@@ -0,0 +1,279 @@
+/**
+ * Tests for the AI personalities and their table talk
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  AI_PERSONALITIES,
+  TABLE_TALK_MOMENTS,
+  getPersonality,
+  applyPersonality,
+  getTableTalk,
+} from "./personalities";
+import { getAIAction } from "./strategies";
+import {
+  createGame,
+  createPlayers,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+} from "../engine";
+import { AI_PERSONALITY, GAME_PHASES } from "../constants";
+
+const card = (suit, rank) => ({
+  id: `${suit}-${rank}`,
+  suit,
+  rank,
+  value: rank === 1 ? 14 : rank,
+});
+
+/**
+ * Builds a game in the middle of a trick with seat 0 to play as the given
+ * personality
+ */
+const trickState = ({
+  ruleSetId = "spades-trump",
+  personality,
+  hand,
+  playArea = {},
+  leadPlayerId = null,
+  ...rest
+}) => {
+  const game = createGame({ ruleSetId, seed: "personalities" });
+  return {
+    ...game,
+    phase: GAME_PHASES.PLAYING,
+    players: game.players.map((player, idx) => ({
+      ...player,
+      personality: idx === 0 ? personality : undefined,
+      hand: idx === 0 ? hand : [],
+    })),
+    playArea,
+    leadPlayerId,
+    currentPlayer: 0,
+    ...rest,
+  };
+};
+
+const play = (state, chosen) =>
+  applyPersonality(state, 0, {
+    type: ENGINE_ACTIONS.PLAY_CARD,
+    playerId: "player1",
+    card: chosen,
+  }).card.id;
+
+describe("AI personalities", () => {
+  describe("registry", () => {
+    it("should have a personality for every id with lines for every moment", () => {
+      Object.values(AI_PERSONALITY).forEach((id) => {
+        const personality = AI_PERSONALITIES[id];
+        expect(personality.id).toBe(id);
+        expect(typeof personality.name).toBe("string");
+        Object.values(TABLE_TALK_MOMENTS).forEach((moment) => {
+          expect(personality.lines[moment].length).toBeGreaterThan(0);
+        });
+      });
+    });
+
+    it("should give the first three opponents a personality each", () => {
+      const [human, ...opponents] = createPlayers(4);
+
+      expect(getPersonality(human)).toBeNull();
+      expect(opponents.map((p) => getPersonality(p).id)).toEqual([
+        AI_PERSONALITY.TRUMPER,
+        AI_PERSONALITY.DUCKER,
+        AI_PERSONALITY.LEADER,
+      ]);
+    });
+  });
+
+  describe("card biases", () => {
+    it("should leave seats without a personality alone", () => {
+      const hand = [card("spades", 3), card("clubs", 2)];
+      const state = trickState({
+        hand,
+        playArea: { player2: card("hearts", 10) },
+        leadPlayerId: "player2",
+      });
+
+      expect(play(state, hand[1])).toBe("clubs-2");
+    });
+
+    it("should not change a random play", () => {
+      const state = trickState({
+        personality: AI_PERSONALITY.LEADER,
+        hand: [card("clubs", 2)],
+      });
+      const action = {
+        type: ENGINE_ACTIONS.PLAY_RANDOM_CARD,
+        playerId: "player1",
+      };
+
+      expect(applyPersonality(state, 0, action)).toBe(action);
+    });
+
+    it("should trump in rather than discard as a trumper", () => {
+      const hand = [card("spades", 3), card("clubs", 2)];
+      const state = trickState({
+        personality: AI_PERSONALITY.TRUMPER,
+        hand,
+        playArea: { player2: card("hearts", 10) },
+        leadPlayerId: "player2",
+      });
+
+      expect(play(state, hand[1])).toBe("spades-3");
+    });
+
+    it("should lead its highest trump as a trumper", () => {
+      const hand = [card("spades", 3), card("spades", 11), card("hearts", 1)];
+      const state = trickState({ personality: AI_PERSONALITY.TRUMPER, hand });
+
+      expect(play(state, hand[2])).toBe("spades-11");
+    });
+
+    it("should not trump a partner's winning trick", () => {
+      const hand = [card("spades", 3), card("clubs", 2)];
+      const state = trickState({
+        personality: AI_PERSONALITY.TRUMPER,
+        partnerships: true,
+        hand,
+        playArea: { player3: card("hearts", 1) },
+        leadPlayerId: "player3",
+      });
+
+      expect(play(state, hand[1])).toBe("clubs-2");
+    });
+
+    it("should play under the trick as a ducker while others are to play", () => {
+      const hand = [card("hearts", 13), card("hearts", 9), card("hearts", 4)];
+      const state = trickState({
+        personality: AI_PERSONALITY.DUCKER,
+        hand,
+        playArea: { player2: card("hearts", 10) },
+        leadPlayerId: "player2",
+      });
+
+      expect(play(state, hand[0])).toBe("hearts-9");
+    });
+
+    it("should still win with the last card as a ducker", () => {
+      const hand = [card("hearts", 13), card("hearts", 4)];
+      const state = trickState({
+        personality: AI_PERSONALITY.DUCKER,
+        hand,
+        playArea: {
+          player2: card("hearts", 10),
+          player3: card("hearts", 2),
+          player4: card("hearts", 3),
+        },
+        leadPlayerId: "player2",
+      });
+
+      expect(play(state, hand[0])).toBe("hearts-13");
+    });
+
+    it("should lead its biggest card as a reckless leader", () => {
+      const hand = [card("clubs", 2), card("hearts", 1), card("diamonds", 9)];
+      const state = trickState({
+        ruleSetId: "suit-follows",
+        personality: AI_PERSONALITY.LEADER,
+        hand,
+      });
+
+      expect(play(state, hand[0])).toBe("hearts-1");
+    });
+
+    it("should apply the personality to strategy choices", () => {
+      const hand = [card("clubs", 2), card("hearts", 1), card("diamonds", 9)];
+      const state = trickState({
+        ruleSetId: "suit-follows",
+        personality: AI_PERSONALITY.DUCKER,
+        hand,
+      });
+
+      expect(getAIAction(state, 0).card.id).toBe("clubs-2");
+    });
+  });
+
+  describe("table talk", () => {
+    const game = createGame({ ruleSetId: "spades-trump", seed: "talk" });
+    const trick = (cards, leadPlayerId, winnerId, seq = 0) => ({
+      type: ENGINE_EVENTS.TRICK_COMPLETE,
+      seq,
+      cards,
+      leadPlayerId,
+      winnerId,
+      winnerIndex: game.players.findIndex((p) => p.id === winnerId),
+    });
+
+    it("should crow about trumping in", () => {
+      const talk = getTableTalk(
+        game,
+        trick(
+          { player1: card("hearts", 10), player2: card("spades", 2) },
+          "player1",
+          "player2",
+        ),
+      );
+
+      expect(talk).toEqual({ playerIndex: 1, text: "Ha, trumped!" });
+    });
+
+    it("should cycle through lines with the event sequence", () => {
+      const cards = { player2: card("hearts", 10), player3: card("hearts", 2) };
+
+      expect(
+        getTableTalk(game, trick(cards, "player2", "player2", 0)).text,
+      ).toBe("Mine!");
+      expect(
+        getTableTalk(game, trick(cards, "player2", "player2", 1)).text,
+      ).toBe("Too easy.");
+    });
+
+    it("should groan about taking points in low-score games", () => {
+      const hearts = { ...game, ruleSetId: "hearts" };
+      const talk = getTableTalk(
+        hearts,
+        trick(
+          { player1: card("hearts", 2), player3: card("hearts", 10) },
+          "player1",
+          "player3",
+        ),
+      );
+
+      expect(talk.text).toBe(AI_PERSONALITIES.ducker.lines.tookPoints[0]);
+    });
+
+    it("should stay quiet when the human or a plain seat wins", () => {
+      const cards = { player1: card("hearts", 10), player2: card("hearts", 2) };
+
+      expect(getTableTalk(game, trick(cards, "player1", "player1"))).toBeNull();
+      expect(
+        getTableTalk(game, { type: ENGINE_EVENTS.CARD_PLAYED, seq: 1 }),
+      ).toBeNull();
+    });
+
+    it("should gloat from a winner at the end of the match", () => {
+      const talk = getTableTalk(game, {
+        type: ENGINE_EVENTS.GAME_OVER,
+        seq: 0,
+        winners: [3],
+      });
+
+      expect(talk).toEqual({
+        playerIndex: 3,
+        text: AI_PERSONALITIES.leader.lines.wonGame[0],
+      });
+    });
+
+    it("should commiserate when the human wins the match", () => {
+      const talk = getTableTalk(game, {
+        type: ENGINE_EVENTS.GAME_OVER,
+        seq: 0,
+        winners: [0],
+      });
+
+      expect(talk.playerIndex).toBe(1);
+      expect(talk.text).toBe(AI_PERSONALITIES.trumper.lines.lostGame[0]);
+    });
+  });
+});
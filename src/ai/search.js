@@ -0,0 +1,205 @@
+/**
+ * AI Search
+ * Determinized Monte Carlo search for the Hard computer player
+ *
+ * The hidden hands are unknown, so the search samples deals that agree with
+ * everything the seat has seen: cards played, suits other seats have shown
+ * they are out of, and how many cards each seat still holds. Each candidate
+ * card is played into every sampled deal and the rest of the hand is rolled
+ * out by a quick playing policy through the engine itself, so the active
+ * rule set's evaluateWinner and scoring decide every trick. The card with
+ * the best average result is chosen.
+ *
+ * Sampling draws from the game's seeded stream without advancing it, so a
+ * search over the same state and budget always gives the same answer.
+ */
+
+import { AI_SEARCH_BUDGET, GAME_PHASES } from "../constants";
+import {
+  applyAction,
+  getLegalCards,
+  getRuleSet,
+  getTeams,
+  resumeRandom,
+  shuffleDeck,
+  ENGINE_ACTIONS,
+} from "../engine";
+import { sortByCost, getUnseenCards, getVoidSuits } from "./heuristics";
+
+// Reshuffles allowed before a deal ignores the seats' known void suits
+const MAX_DEAL_ATTEMPTS = 20;
+
+// ============================================================================
+// SAMPLING
+// ============================================================================
+
+/**
+ * Deals cards to seats, filling the seats with the most void suits first
+ * @param {Array} pool - Cards to deal, in dealing order
+ * @param {Array<number>} seats - Seat indices to deal to
+ * @param {Array<number>} sizes - Cards each seat needs, by seat index
+ * @param {Array<Set<string>>} voids - Suits each seat cannot hold
+ * @returns {Object|null} Hands keyed by seat index, or null when the
+ *   voids cannot be respected with this order
+ */
+const dealAround = (pool, seats, sizes, voids) => {
+  const remaining = [...pool];
+  const hands = {};
+  const order = [...seats].sort((a, b) => voids[b].size - voids[a].size);
+
+  for (const seat of order) {
+    const hand = [];
+    for (let i = 0; i < remaining.length && hand.length < sizes[seat]; ) {
+      if (voids[seat].has(remaining[i].suit)) {
+        i += 1;
+      } else {
+        hand.push(...remaining.splice(i, 1));
+      }
+    }
+    if (hand.length < sizes[seat]) return null;
+    hands[seat] = hand;
+  }
+  return hands;
+};
+
+/**
+ * Samples one deal of the hidden cards that fits what a seat has seen
+ * Every other seat gets as many cards as it holds, none of them from a suit
+ * it has shown it is out of. If reshuffling cannot find such a deal the
+ * voids are ignored rather than giving up
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat doing the sampling
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Array<Array>} A hand for every seat, its own hand unchanged
+ */
+export const sampleHands = (state, playerIndex, random) => {
+  const unseen = getUnseenCards(state, playerIndex);
+  const others = state.players
+    .map((_, idx) => idx)
+    .filter((idx) => idx !== playerIndex);
+  const sizes = state.players.map((player) => player.hand.length);
+  const voids = getVoidSuits(state);
+
+  let hands = null;
+  for (let attempt = 0; !hands && attempt < MAX_DEAL_ATTEMPTS; attempt += 1) {
+    hands = dealAround(shuffleDeck(unseen, random), others, sizes, voids);
+  }
+  if (!hands) {
+    const noVoids = state.players.map(() => new Set());
+    hands = dealAround(shuffleDeck(unseen, random), others, sizes, noVoids);
+  }
+
+  return state.players.map((player, idx) =>
+    idx === playerIndex ? player.hand : hands[idx],
+  );
+};
+
+// ============================================================================
+// ROLLOUTS
+// ============================================================================
+
+/**
+ * Scores the end of a hand from one seat's point of view: its side's points
+ * less the average of the other sides, turned around when low scores win
+ * @param {Object} state - Engine state once the hand is over
+ * @param {number} playerIndex - Seat to score for
+ * @returns {number} Higher is better for the seat
+ */
+const scoreHandFor = (state, playerIndex) => {
+  const teams = getTeams(state);
+  const mine = teams.find((team) => team.includes(playerIndex));
+  const others = teams.filter((team) => team !== mine);
+  const theirs =
+    others.reduce((total, team) => total + state.handScores[team[0]], 0) /
+    Math.max(others.length, 1);
+  const margin = state.handScores[playerIndex] - theirs;
+  return getRuleSet(state).lowScoreWins ? -margin : margin;
+};
+
+/**
+ * Plays out the rest of the hand with every seat following a policy
+ * @param {Object} state - Engine state with every hand known
+ * @param {Function} policy - (state, playerIndex) => PLAY_CARD action
+ * @returns {Object} Engine state once the hand is over
+ */
+const rollout = (state, policy) => {
+  let current = state;
+  while (
+    current.phase === GAME_PHASES.PLAYING ||
+    current.phase === GAME_PHASES.EVALUATING
+  ) {
+    const action =
+      current.phase === GAME_PHASES.EVALUATING
+        ? { type: ENGINE_ACTIONS.COLLECT_TRICK }
+        : policy(current, current.currentPlayer);
+    const { state: next } = applyAction(current, action);
+    // A rejected move leaves the state as it was, so stop rather than spin
+    if (next === current) break;
+    current = next;
+  }
+  return current;
+};
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+const now = () => (globalThis.performance ?? Date).now();
+
+/**
+ * Picks the card with the best average result over sampled deals
+ * Every legal card is tried in the same deals, so they are compared on
+ * equal terms. The search stops after budget.iterations deals or once
+ * budget.timeLimit milliseconds have passed, whichever comes first, but
+ * always finishes at least one deal
+ * @param {Object} state - Engine state with the seat to play
+ * @param {number} playerIndex - Seat to choose for
+ * @param {Object} options - Search options
+ * @param {Function} options.policy - (state, playerIndex) => PLAY_CARD
+ *   action used for every seat during rollouts
+ * @param {Object} options.budget - { iterations, timeLimit } (defaults to
+ *   AI_SEARCH_BUDGET)
+ * @returns {Object} The chosen card
+ */
+export const searchBestCard = (
+  state,
+  playerIndex,
+  { policy, budget = AI_SEARCH_BUDGET },
+) => {
+  const ruleSet = getRuleSet(state);
+  const candidates = sortByCost(ruleSet, getLegalCards(state, playerIndex));
+  if (candidates.length <= 1) return candidates[0];
+
+  const { id } = state.players[playerIndex];
+  const random = resumeRandom(state.rngState);
+  const totals = candidates.map(() => 0);
+  const deadline = now() + budget.timeLimit;
+
+  let deals = 0;
+  while (deals === 0 || (deals < budget.iterations && now() < deadline)) {
+    const hands = sampleHands(state, playerIndex, random);
+    const sampled = {
+      ...state,
+      players: state.players.map((player, idx) => ({
+        ...player,
+        hand: hands[idx],
+      })),
+    };
+    candidates.forEach((card, idx) => {
+      const { state: next } = applyAction(sampled, {
+        type: ENGINE_ACTIONS.PLAY_CARD,
+        playerId: id,
+        card,
+      });
+      totals[idx] += scoreHandFor(rollout(next, policy), playerIndex);
+    });
+    deals += 1;
+  }
+
+  // Ties keep the cheaper card, since candidates are sorted by cost
+  const best = totals.reduce(
+    (bestIdx, total, idx) => (total > totals[bestIdx] ? idx : bestIdx),
+    0,
+  );
+  return candidates[best];
+};
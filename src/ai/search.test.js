@@ -0,0 +1,385 @@
+/**
+ * Tests for the Monte Carlo search and the Hard player built on it
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { sampleHands, searchBestCard } from "./search";
+import { createHardStrategy, getStrategy, getAIAction } from "./strategies";
+import {
+  createGame,
+  createPlayers,
+  applyAction,
+  getLegalActions,
+  getLegalCards,
+  getTricksWon,
+  createRandom,
+  isTerminal,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+  buildLedger,
+} from "../engine";
+import { AI_DIFFICULTY, AI_PERSONALITY, GAME_PHASES } from "../constants";
+
+const card = (suit, rank) => ({
+  id: `${suit}-${rank}`,
+  suit,
+  rank,
+  value: rank === 1 ? 14 : rank,
+});
+
+// Quick stand-in rollout policy: the first legal card
+const firstLegal = (state, playerIndex) => ({
+  type: ENGINE_ACTIONS.PLAY_CARD,
+  playerId: state.players[playerIndex].id,
+  card: getLegalCards(state, playerIndex)[0],
+});
+
+const smallBudget = { iterations: 8, timeLimit: Infinity };
+
+/**
+ * Plays a game up to its first card, every decision made by the strategies
+ */
+const firstTurn = (config) => {
+  let state = createGame(config);
+  while (state.phase !== GAME_PHASES.PLAYING) {
+    let action;
+    if (state.phase === GAME_PHASES.PASSING) {
+      const seat = state.players.findIndex((p) => !state.passes[p.id]);
+      action = getAIAction(state, seat);
+    } else if (state.phase === GAME_PHASES.BIDDING) {
+      action = getAIAction(state, state.currentPlayer);
+    } else {
+      [action] = getLegalActions(state);
+    }
+    state = applyAction(state, action).state;
+  }
+  return state;
+};
+
+/**
+ * Builds a game in the middle of a trick with the given hands and plays
+ */
+const trickState = ({
+  ruleSetId = "suit-follows",
+  hands,
+  playArea = {},
+  leadPlayerId = null,
+  currentPlayer = 0,
+  ...rest
+}) => {
+  const game = createGame({ ruleSetId, seed: "search" });
+  const state = {
+    ...game,
+    phase: GAME_PHASES.PLAYING,
+    deck: [...hands.flat(), ...Object.values(playArea)],
+    players: game.players.map((player, idx) => ({
+      ...player,
+      hand: hands[idx],
+    })),
+    playArea,
+    leadPlayerId,
+    currentPlayer,
+    tricks: [],
+    ...rest,
+  };
+  return { ...state, ledger: buildLedger(state) };
+};
+
+describe("AI search", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe("sampleHands", () => {
+    const state = firstTurn({ ruleSetId: "suit-follows", seed: "sampling" });
+    const seat = state.currentPlayer;
+
+    it("should keep the seat's own hand and the other seats' hand sizes", () => {
+      const hands = sampleHands(state, seat, createRandom("deal"));
+
+      expect(hands[seat]).toBe(state.players[seat].hand);
+      hands.forEach((hand, idx) => {
+        expect(hand).toHaveLength(state.players[idx].hand.length);
+      });
+    });
+
+    it("should only deal cards the seat has not seen", () => {
+      const hands = sampleHands(state, seat, createRandom("deal"));
+      const own = new Set(state.players[seat].hand.map((c) => c.id));
+      const dealt = hands
+        .filter((_, idx) => idx !== seat)
+        .flat()
+        .map((c) => c.id);
+
+      expect(new Set(dealt).size).toBe(dealt.length);
+      dealt.forEach((id) => expect(own.has(id)).toBe(false));
+    });
+
+    it("should keep suits away from seats known to be out of them", () => {
+      const hands = [
+        [card("clubs", 5), card("hearts", 2)],
+        [card("spades", 9), card("diamonds", 4)],
+        [card("hearts", 9), card("diamonds", 6)],
+        [card("clubs", 11), card("hearts", 12)],
+      ];
+      const tricks = [
+        {
+          cards: {
+            player1: card("spades", 2),
+            player2: card("spades", 3),
+            player3: card("clubs", 2),
+            player4: card("spades", 5),
+          },
+          leadPlayerId: "player1",
+          winnerId: "player4",
+        },
+      ];
+      const state = trickState({
+        hands,
+        deck: [...hands.flat(), ...Object.values(tricks[0].cards)],
+        tricks,
+      });
+      const random = createRandom("voids");
+
+      for (let i = 0; i < 10; i += 1) {
+        const sampled = sampleHands(state, 0, random);
+        expect(sampled[2].map((c) => c.suit)).not.toContain("spades");
+      }
+    });
+  });
+
+  describe("searchBestCard", () => {
+    it("should not search when only one card is legal", () => {
+      const policy = vi.fn(firstLegal);
+      const state = trickState({
+        hands: [
+          [card("hearts", 2), card("clubs", 9)],
+          [card("hearts", 5)],
+          [card("hearts", 8)],
+          [card("hearts", 11)],
+        ],
+        playArea: {
+          player2: card("hearts", 4),
+          player3: card("hearts", 7),
+          player4: card("hearts", 10),
+        },
+        leadPlayerId: "player2",
+      });
+
+      expect(searchBestCard(state, 0, { policy, budget: smallBudget }).id).toBe(
+        "hearts-2",
+      );
+      expect(policy).not.toHaveBeenCalled();
+    });
+
+    it("should take a trick it can win", () => {
+      const state = trickState({
+        hands: [
+          [card("hearts", 13), card("hearts", 3), card("clubs", 2)],
+          [card("clubs", 5), card("diamonds", 4)],
+          [card("clubs", 8), card("diamonds", 7)],
+          [card("clubs", 9), card("diamonds", 10)],
+        ],
+        playArea: {
+          player2: card("hearts", 10),
+          player3: card("hearts", 4),
+          player4: card("hearts", 6),
+        },
+        leadPlayerId: "player2",
+      });
+
+      expect(
+        searchBestCard(state, 0, { policy: firstLegal, budget: smallBudget })
+          .id,
+      ).toBe("hearts-13");
+    });
+
+    it("should duck the queen of spades in Hearts", () => {
+      const state = trickState({
+        ruleSetId: "hearts",
+        hands: [
+          [card("spades", 13), card("spades", 3), card("clubs", 2)],
+          [card("hearts", 5), card("diamonds", 4)],
+          [card("hearts", 8), card("diamonds", 7)],
+          [card("hearts", 9), card("diamonds", 10)],
+        ],
+        playArea: {
+          player2: card("spades", 12),
+          player3: card("spades", 4),
+          player4: card("spades", 6),
+        },
+        leadPlayerId: "player2",
+        tricks: [
+          {
+            cards: { player2: card("hearts", 2) },
+            leadPlayerId: "player2",
+            winnerId: "player2",
+          },
+        ],
+        // Another seat already holds a heart, so nobody can shoot the moon
+        handScores: [0, 1, 0, 0],
+      });
+
+      expect(
+        searchBestCard(state, 0, { policy: firstLegal, budget: smallBudget })
+          .id,
+      ).toBe("spades-3");
+    });
+
+    it("should stop at the iteration budget", () => {
+      const state = firstTurn({ seed: "iterations" });
+      const policy = vi.fn(firstLegal);
+      searchBestCard(state, state.currentPlayer, {
+        policy,
+        budget: { iterations: 1, timeLimit: Infinity },
+      });
+      const oneDeal = policy.mock.calls.length;
+      policy.mockClear();
+      searchBestCard(state, state.currentPlayer, {
+        policy,
+        budget: { iterations: 3, timeLimit: Infinity },
+      });
+
+      expect(oneDeal).toBeGreaterThan(0);
+      expect(policy.mock.calls.length).toBeGreaterThan(oneDeal);
+    });
+
+    it("should stop once the time limit has passed, after one deal", () => {
+      const state = firstTurn({ seed: "time" });
+      let clock = 0;
+      vi.spyOn(performance, "now").mockImplementation(() => {
+        clock += 50;
+        return clock;
+      });
+      const policy = vi.fn(firstLegal);
+      searchBestCard(state, state.currentPlayer, {
+        policy,
+        budget: { iterations: 1, timeLimit: Infinity },
+      });
+      const oneDeal = policy.mock.calls.length;
+      policy.mockClear();
+      searchBestCard(state, state.currentPlayer, {
+        policy,
+        budget: { iterations: 1000, timeLimit: 10 },
+      });
+
+      expect(policy.mock.calls.length).toBe(oneDeal);
+    });
+
+    it("should give the same answer for the same state", () => {
+      const state = firstTurn({ ruleSetId: "hearts", seed: "repeat" });
+      const choose = () =>
+        searchBestCard(state, state.currentPlayer, {
+          policy: firstLegal,
+          budget: smallBudget,
+        });
+
+      const { rngState } = state;
+
+      expect(choose()).toEqual(choose());
+      expect(state.rngState).toEqual(rngState);
+    });
+  });
+
+  describe("hard strategy", () => {
+    const hard = createHardStrategy({ iterations: 2, timeLimit: Infinity });
+
+    /**
+     * Plays a whole game with each seat's decisions made by its strategy,
+     * returning the final state and any rejected actions
+     */
+    const playGame = (config, strategies) => {
+      let state = createGame(config);
+      const rejected = [];
+      while (!isTerminal(state)) {
+        let action;
+        if (state.phase === GAME_PHASES.PASSING) {
+          const seat = state.players.findIndex((p) => !state.passes[p.id]);
+          action = strategies[seat].choosePass(state, seat);
+        } else if (state.phase === GAME_PHASES.BIDDING) {
+          const seat = state.currentPlayer;
+          action = strategies[seat].chooseBid(state, seat);
+        } else if (state.phase === GAME_PHASES.PLAYING) {
+          const seat = state.currentPlayer;
+          action = strategies[seat].chooseCard(state, seat);
+        } else {
+          [action] = getLegalActions(state);
+        }
+        const outcome = applyAction(state, action);
+        rejected.push(
+          ...outcome.events.filter(
+            (e) => e.type === ENGINE_EVENTS.ACTION_REJECTED,
+          ),
+        );
+        state = outcome.state;
+      }
+      return { state, rejected };
+    };
+
+    it("should be the strategy behind the Hard difficulty", () => {
+      expect(getStrategy(AI_DIFFICULTY.HARD)).toMatchObject({
+        id: AI_DIFFICULTY.HARD,
+        searches: true,
+      });
+    });
+
+    it.each(["suit-follows", "highest-card", "hearts", "spades"])(
+      "should play a whole game of %s legally",
+      (ruleSetId) => {
+        const { rejected } = playGame(
+          {
+            ruleSetId,
+            seed: `hard-${ruleSetId}`,
+            players: createPlayers(4),
+          },
+          Array(4).fill(hard),
+        );
+
+        expect(rejected).toEqual([]);
+      },
+    );
+
+    it("should take more tricks than Easy", () => {
+      const easy = getStrategy(AI_DIFFICULTY.EASY);
+      let total = 0;
+      for (let game = 0; game < 3; game += 1) {
+        const { state } = playGame(
+          {
+            ruleSetId: "spades-trump",
+            seed: `strength-${game}`,
+            players: createPlayers(4),
+          },
+          [hard, easy, hard, easy],
+        );
+        const won = getTricksWon(state);
+        total += won[0] + won[2] - won[1] - won[3];
+      }
+
+      expect(total).toBeGreaterThan(0);
+    });
+
+    it("should play its searched card whatever the seat's personality", () => {
+      // A ducker would rather play the three than win the trick
+      const state = trickState({
+        hands: [
+          [card("hearts", 13), card("hearts", 3)],
+          [card("clubs", 5), card("diamonds", 4)],
+          [card("clubs", 8), card("diamonds", 7)],
+          [card("clubs", 9)],
+        ],
+        playArea: { player4: card("hearts", 10) },
+        leadPlayerId: "player4",
+      });
+      const seated = {
+        ...state,
+        players: state.players.map((player) => ({
+          ...player,
+          difficulty: AI_DIFFICULTY.HARD,
+          personality: AI_PERSONALITY.DUCKER,
+        })),
+      };
+
+      expect(getAIAction(seated, 0).card.id).toBe("hearts-13");
+    });
+  });
+});
@@ -0,0 +1,404 @@
+/**
+ * AI Strategies
+ * Pluggable computer players, one for each difficulty level
+ *
+ * Strategy shape:
+ * - id, name, description - difficulty id from AI_DIFFICULTY and its labels
+ * - chooseCard(state, playerIndex) - PLAY_CARD (or PLAY_RANDOM_CARD) action
+ *   for the seat's turn
+ * - choosePass(state, playerIndex) - PASS_CARDS action before a hand
+ * - chooseBid(state, playerIndex) - PLACE_BID action while bidding
+ * - searches - optional, true when chooseCard looks ahead by search; its
+ *   cards are played as chosen, without the seat's personality
+ *
+ * Every choice is an engine action that can be applied as is, and cards are
+ * only ever picked from the ones the engine says are legal.
+ */
+
+import {
+  AI_DIFFICULTY,
+  AI_SEARCH_BUDGET,
+  DEFAULT_AI_DIFFICULTY,
+  GAME_PHASES,
+} from "../constants";
+import {
+  getRuleSet,
+  getLegalCards,
+  getPassInfo,
+  getDefaultPass,
+  getDefaultBid,
+  getHandSize,
+  ENGINE_ACTIONS,
+} from "../engine";
+import {
+  ACE_VALUE,
+  getCardPoints,
+  isTrump,
+  sortByCost,
+  wouldWinTrick,
+  getTrickLeaderIndex,
+  getPartners,
+  isLastToPlay,
+  wantsTricks,
+  getUnseenCards,
+  countHigherUnseen,
+  isBossCard,
+} from "./heuristics";
+import { searchBestCard } from "./search";
+import { applyPersonality } from "./personalities";
+
+// ============================================================================
+// ACTION BUILDERS
+// ============================================================================
+
+const playAction = (state, playerIndex, card) => ({
+  type: ENGINE_ACTIONS.PLAY_CARD,
+  playerId: state.players[playerIndex].id,
+  card,
+});
+
+const passAction = (state, playerIndex, cards) => ({
+  type: ENGINE_ACTIONS.PASS_CARDS,
+  playerId: state.players[playerIndex].id,
+  cards,
+});
+
+const bidAction = (state, playerIndex, bid) => ({
+  type: ENGINE_ACTIONS.PLACE_BID,
+  playerId: state.players[playerIndex].id,
+  bid,
+});
+
+const isLeading = (state) => Object.keys(state.playArea).length === 0;
+
+// ============================================================================
+// SHARED CHOICES
+// ============================================================================
+
+const chooseDefaultPass = (state, playerIndex) => {
+  const { count } = getPassInfo(state);
+  return passAction(
+    state,
+    playerIndex,
+    getDefaultPass(state.players[playerIndex].hand, count),
+  );
+};
+
+const chooseDefaultBid = (state, playerIndex) =>
+  bidAction(state, playerIndex, getDefaultBid(state.players[playerIndex].hand));
+
+/**
+ * Picks a card for a seat that is trying not to win the trick
+ * Leads its safest card; when following, sheds the most costly card that
+ * still loses, or wins with its highest card when it cannot lose
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat to play
+ * @param {Array} legalCards - Cards the seat may play
+ * @param {Function} rankLead - Optional extra ordering for leads
+ * @returns {Object} Card to play
+ */
+const chooseDuck = (state, playerIndex, legalCards, rankLead) => {
+  const ruleSet = getRuleSet(state);
+  const points = (card) => getCardPoints(ruleSet, card);
+
+  if (isLeading(state)) {
+    return [...legalCards].sort(
+      (a, b) => points(a) - points(b) || rankLead?.(a, b) || a.value - b.value,
+    )[0];
+  }
+
+  const losers = legalCards.filter(
+    (card) => !wouldWinTrick(state, playerIndex, card),
+  );
+  if (losers.length > 0) {
+    return [...losers].sort(
+      (a, b) => points(b) - points(a) || b.value - a.value,
+    )[0];
+  }
+  return [...legalCards].sort(
+    (a, b) => points(a) - points(b) || b.value - a.value,
+  )[0];
+};
+
+// ============================================================================
+// EASY
+// ============================================================================
+
+/**
+ * Easy - plays a random legal card, drawn from the game's seeded stream
+ */
+const easyStrategy = {
+  id: AI_DIFFICULTY.EASY,
+  name: "Easy",
+  description: "Plays any legal card at random",
+  chooseCard: (state, playerIndex) => ({
+    type: ENGINE_ACTIONS.PLAY_RANDOM_CARD,
+    playerId: state.players[playerIndex].id,
+  }),
+  choosePass: chooseDefaultPass,
+  chooseBid: chooseDefaultBid,
+};
+
+// ============================================================================
+// MEDIUM
+// ============================================================================
+
+/**
+ * Medium - follows simple rules of thumb: leads side-suit aces, wins tricks
+ * as cheaply as it can, lets a partner's winning card stand, and dumps its
+ * lowest loser (keeping trump) when it cannot win
+ */
+const chooseMediumCard = (state, playerIndex) => {
+  const ruleSet = getRuleSet(state);
+  const legalCards = getLegalCards(state, playerIndex);
+  const byCost = sortByCost(ruleSet, legalCards);
+
+  if (!wantsTricks(state, playerIndex)) {
+    return playAction(
+      state,
+      playerIndex,
+      chooseDuck(state, playerIndex, legalCards),
+    );
+  }
+
+  if (isLeading(state)) {
+    const ace = byCost.find(
+      (card) => card.value === ACE_VALUE && !isTrump(ruleSet, card),
+    );
+    return playAction(state, playerIndex, ace ?? byCost[0]);
+  }
+
+  const partnerWinning = getPartners(state, playerIndex).includes(
+    getTrickLeaderIndex(state),
+  );
+  const winners = byCost.filter((card) =>
+    wouldWinTrick(state, playerIndex, card),
+  );
+  if (partnerWinning || winners.length === 0) {
+    return playAction(state, playerIndex, byCost[0]);
+  }
+  return playAction(state, playerIndex, winners[0]);
+};
+
+const mediumStrategy = {
+  id: AI_DIFFICULTY.MEDIUM,
+  name: "Medium",
+  description: "Wins tricks cheaply and dumps its lowest losers",
+  chooseCard: chooseMediumCard,
+  choosePass: chooseDefaultPass,
+  chooseBid: chooseDefaultBid,
+};
+
+// ============================================================================
+// HARD
+// ============================================================================
+
+/**
+ * Card counting - remembers every card played this hand. It cashes the
+ * highest cards still out, draws trump while opponents hold it, wins with a
+ * card nobody can beat when others are still to play, only covers a partner
+ * who could be beaten, and ducks overtricks once its side has made its
+ * contract. Hard searches instead, which is too slow to run between clicks,
+ * so move hints pick their card here
+ * @param {Object} state - Engine state with the seat to play
+ * @param {number} playerIndex - Seat to choose for
+ * @returns {Object} PLAY_CARD action
+ */
+export const chooseCountingCard = (state, playerIndex) => {
+  const ruleSet = getRuleSet(state);
+  const legalCards = getLegalCards(state, playerIndex);
+  const byCost = sortByCost(ruleSet, legalCards);
+  const unseen = getUnseenCards(state, playerIndex);
+
+  if (!wantsTricks(state, playerIndex, { avoidBags: true })) {
+    // Lead the card the most unseen cards can still beat
+    const rankLead = (a, b) =>
+      countHigherUnseen(b, unseen) - countHigherUnseen(a, unseen);
+    return playAction(
+      state,
+      playerIndex,
+      chooseDuck(state, playerIndex, legalCards, rankLead),
+    );
+  }
+
+  if (isLeading(state)) {
+    const bosses = byCost.filter((card) => isBossCard(card, unseen));
+    const sideBoss = bosses.find((card) => !isTrump(ruleSet, card));
+    if (sideBoss) return playAction(state, playerIndex, sideBoss);
+
+    const trumpOut = unseen.some((card) => isTrump(ruleSet, card));
+    const trumpBoss = bosses.find((card) => isTrump(ruleSet, card));
+    if (trumpBoss && trumpOut) return playAction(state, playerIndex, trumpBoss);
+
+    // Lead low from the longest plain suit to set up its remaining cards
+    const suitLength = (card) =>
+      legalCards.filter((other) => other.suit === card.suit).length;
+    const lead = [...byCost].sort(
+      (a, b) =>
+        Number(isTrump(ruleSet, a)) - Number(isTrump(ruleSet, b)) ||
+        suitLength(b) - suitLength(a) ||
+        a.value - b.value,
+    )[0];
+    return playAction(state, playerIndex, lead);
+  }
+
+  const leaderIndex = getTrickLeaderIndex(state);
+  const isLast = isLastToPlay(state);
+  if (getPartners(state, playerIndex).includes(leaderIndex)) {
+    const partnerCard = state.playArea[state.players[leaderIndex].id];
+    if (isLast || isBossCard(partnerCard, unseen)) {
+      return playAction(state, playerIndex, byCost[0]);
+    }
+  }
+
+  const winners = byCost.filter((card) =>
+    wouldWinTrick(state, playerIndex, card),
+  );
+  if (winners.length === 0) {
+    return playAction(state, playerIndex, byCost[0]);
+  }
+  if (isLast) {
+    return playAction(state, playerIndex, winners[0]);
+  }
+  const safeWinner = winners.find((card) => isBossCard(card, unseen));
+  return playAction(state, playerIndex, safeWinner ?? winners[0]);
+};
+
+/**
+ * Passes the cards most likely to cost points or win unwanted tricks:
+ * penalty cards first, then the highest cards
+ */
+const chooseHardPass = (state, playerIndex) => {
+  const ruleSet = getRuleSet(state);
+  const { count } = getPassInfo(state);
+  const danger = (card) => card.value + getCardPoints(ruleSet, card) * 2;
+  const cards = [...state.players[playerIndex].hand]
+    .sort((a, b) => danger(b) - danger(a))
+    .slice(0, count);
+  return passAction(state, playerIndex, cards);
+};
+
+/**
+ * Estimates the tricks a hand will take: aces, guarded kings and queens,
+ * and trump length beyond three cards
+ * @param {Object} ruleSet - Rule set configuration
+ * @param {Array} hand - Cards in the seat's hand
+ * @returns {number} Expected tricks
+ */
+export const estimateTricks = (ruleSet, hand) => {
+  const suitLength = (suit) => hand.filter((card) => card.suit === suit).length;
+  const trumpCount = hand.filter((card) => isTrump(ruleSet, card)).length;
+
+  const honours = hand.reduce((tricks, card) => {
+    const length = suitLength(card.suit);
+    if (card.value === ACE_VALUE) return tricks + 1;
+    if (card.value === ACE_VALUE - 1 && length >= 2) return tricks + 1;
+    if (card.value === ACE_VALUE - 2 && length >= 3) return tricks + 0.5;
+    return tricks;
+  }, 0);
+
+  return Math.round(honours + Math.max(0, trumpCount - 3));
+};
+
+/**
+ * Bids the estimated tricks, or nil with a hand that cannot expect any
+ * trick and holds nothing above a ten
+ */
+const chooseHardBid = (state, playerIndex) => {
+  const ruleSet = getRuleSet(state);
+  const { hand } = state.players[playerIndex];
+  const estimate = estimateTricks(ruleSet, hand);
+  const canDuckEverything = hand.every((card) => card.value <= 10);
+
+  if (ruleSet.bidding?.nil && estimate === 0 && canDuckEverything) {
+    return bidAction(state, playerIndex, 0);
+  }
+  return bidAction(
+    state,
+    playerIndex,
+    Math.min(Math.max(estimate, 1), getHandSize(state)),
+  );
+};
+
+/**
+ * Creates the Hard strategy: it samples the hidden hands and plays out the
+ * rest of the hand for every legal card, with Medium's rules of thumb
+ * standing in for every seat, then plays the card that scored best
+ * @param {Object} budget - { iterations, timeLimit } for each card choice
+ *   (defaults to AI_SEARCH_BUDGET)
+ * @returns {Object} Hard strategy
+ */
+export const createHardStrategy = (budget = AI_SEARCH_BUDGET) => ({
+  id: AI_DIFFICULTY.HARD,
+  name: "Hard",
+  description: "Simulates the rest of the hand before every card",
+  searches: true,
+  chooseCard: (state, playerIndex) =>
+    playAction(
+      state,
+      playerIndex,
+      searchBestCard(state, playerIndex, {
+        policy: chooseMediumCard,
+        budget,
+      }),
+    ),
+  choosePass: chooseHardPass,
+  chooseBid: chooseHardBid,
+});
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+// Strategies keyed by difficulty, easiest first
+export const AI_STRATEGIES = {
+  [AI_DIFFICULTY.EASY]: easyStrategy,
+  [AI_DIFFICULTY.MEDIUM]: mediumStrategy,
+  [AI_DIFFICULTY.HARD]: createHardStrategy(),
+};
+
+/**
+ * Looks up the strategy for a difficulty
+ * @param {string} difficulty - Difficulty id from AI_DIFFICULTY
+ * @returns {Object} Strategy, or the default one for unknown ids
+ */
+export const getStrategy = (difficulty) =>
+  AI_STRATEGIES[difficulty] ?? AI_STRATEGIES[DEFAULT_AI_DIFFICULTY];
+
+/**
+ * Gets the difficulty a computer seat plays at
+ * @param {Object} player - Seat descriptor
+ * @returns {string} Difficulty id from AI_DIFFICULTY
+ */
+export const getPlayerDifficulty = (player) =>
+  AI_STRATEGIES[player?.difficulty] ? player.difficulty : DEFAULT_AI_DIFFICULTY;
+
+/**
+ * Asks a seat's strategy for the action it takes in the current phase
+ * Card choices then pass through the seat's personality, if it has one,
+ * unless the strategy searched for them
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat to act
+ * @returns {Object|null} Engine action, or null when the phase needs no
+ *   decision from the seat
+ */
+export const getAIAction = (state, playerIndex) => {
+  const strategy = getStrategy(getPlayerDifficulty(state.players[playerIndex]));
+
+  switch (state.phase) {
+    case GAME_PHASES.PASSING:
+      return strategy.choosePass(state, playerIndex);
+    case GAME_PHASES.BIDDING:
+      return strategy.chooseBid(state, playerIndex);
+    case GAME_PHASES.PLAYING: {
+      const action = strategy.chooseCard(state, playerIndex);
+      // A searched card is the best the seat found, and a quirk would only
+      // throw that away
+      return strategy.searches
+        ? action
+        : applyPersonality(state, playerIndex, action);
+    }
+    default:
+      return null;
+  }
+};
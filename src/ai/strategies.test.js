@@ -0,0 +1,450 @@
+/**
+ * Tests for the AI strategies
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  AI_STRATEGIES,
+  getStrategy,
+  getPlayerDifficulty,
+  getAIAction,
+  estimateTricks,
+  chooseCountingCard,
+} from "./strategies";
+import {
+  createGame,
+  createPlayers,
+  applyAction,
+  getLegalActions,
+  getLegalCards,
+  getRuleSet,
+  getTricksWon,
+  isTerminal,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+  buildLedger,
+} from "../engine";
+import {
+  AI_DIFFICULTY,
+  DEFAULT_AI_DIFFICULTY,
+  GAME_PHASES,
+} from "../constants";
+
+const card = (suit, rank) => ({
+  id: `${suit}-${rank}`,
+  suit,
+  rank,
+  value: rank === 1 ? 14 : rank,
+});
+
+/**
+ * Builds a game in the middle of a trick where the given seat is to play
+ */
+const trickState = ({
+  ruleSetId = "suit-follows",
+  difficulty = AI_DIFFICULTY.MEDIUM,
+  hands = [[], [], [], []],
+  playArea = {},
+  leadPlayerId = null,
+  currentPlayer = 0,
+  ...rest
+} = {}) => {
+  const game = createGame({ ruleSetId, seed: "strategies" });
+  const state = {
+    ...game,
+    phase: GAME_PHASES.PLAYING,
+    players: game.players.map((player, idx) => ({
+      ...player,
+      difficulty,
+      hand: hands[idx] ?? [],
+    })),
+    playArea,
+    leadPlayerId,
+    currentPlayer,
+    ...rest,
+  };
+  return { ...state, ledger: buildLedger(state) };
+};
+
+const chosenCard = (state, playerIndex = state.currentPlayer) =>
+  getAIAction(state, playerIndex).card.id;
+
+// Card id the card counting rules pick; Hard searches instead
+const countedCard = (state, playerIndex = state.currentPlayer) =>
+  chooseCountingCard(state, playerIndex).card.id;
+
+/**
+ * Plays a whole game with every seat's decisions made by its strategy,
+ * returning the final state and any rejected actions
+ */
+const playGame = (config) => {
+  let state = createGame(config);
+  const rejected = [];
+  let guard = 0;
+  while (!isTerminal(state) && guard < 2000) {
+    let action;
+    if (state.phase === GAME_PHASES.PASSING) {
+      const seat = state.players.findIndex((p) => !state.passes[p.id]);
+      action = getAIAction(state, seat);
+    } else if (
+      state.phase === GAME_PHASES.BIDDING ||
+      state.phase === GAME_PHASES.PLAYING
+    ) {
+      action = getAIAction(state, state.currentPlayer);
+    } else {
+      [action] = getLegalActions(state);
+    }
+    const outcome = applyAction(state, action);
+    rejected.push(
+      ...outcome.events.filter((e) => e.type === ENGINE_EVENTS.ACTION_REJECTED),
+    );
+    state = outcome.state;
+    guard += 1;
+  }
+  return { state, rejected };
+};
+
+// Seats without personalities, so only the strategies are compared
+const seatsAt = (difficulties) =>
+  createPlayers(difficulties.length).map(({ personality, ...player }, idx) => ({
+    ...player,
+    difficulty: difficulties[idx],
+  }));
+
+describe("AI strategies", () => {
+  describe("registry", () => {
+    it("should have a strategy for every difficulty", () => {
+      Object.values(AI_DIFFICULTY).forEach((difficulty) => {
+        const strategy = AI_STRATEGIES[difficulty];
+        expect(strategy.id).toBe(difficulty);
+        expect(typeof strategy.name).toBe("string");
+        expect(typeof strategy.chooseCard).toBe("function");
+        expect(typeof strategy.choosePass).toBe("function");
+        expect(typeof strategy.chooseBid).toBe("function");
+      });
+    });
+
+    it("should fall back to the default difficulty", () => {
+      expect(getStrategy("impossible")).toBe(
+        AI_STRATEGIES[DEFAULT_AI_DIFFICULTY],
+      );
+      expect(getPlayerDifficulty({ id: "player2" })).toBe(
+        DEFAULT_AI_DIFFICULTY,
+      );
+      expect(getPlayerDifficulty({ difficulty: AI_DIFFICULTY.HARD })).toBe(
+        AI_DIFFICULTY.HARD,
+      );
+    });
+
+    it("should not ask for a decision outside passing, bidding and play", () => {
+      expect(getAIAction(createGame(), 1)).toBeNull();
+    });
+  });
+
+  describe("easy", () => {
+    it("should leave the card to the game's seeded random stream", () => {
+      const state = trickState({
+        difficulty: AI_DIFFICULTY.EASY,
+        hands: [[card("clubs", 2), card("hearts", 9)]],
+      });
+
+      expect(getAIAction(state, 0)).toEqual({
+        type: ENGINE_ACTIONS.PLAY_RANDOM_CARD,
+        playerId: "player1",
+      });
+    });
+  });
+
+  describe("medium", () => {
+    it("should win the trick as cheaply as it can", () => {
+      const state = trickState({
+        hands: [[card("hearts", 1), card("hearts", 11), card("hearts", 4)]],
+        playArea: { player2: card("hearts", 10) },
+        leadPlayerId: "player2",
+      });
+
+      expect(chosenCard(state)).toBe("hearts-11");
+    });
+
+    it("should dump its lowest card when it cannot win", () => {
+      const state = trickState({
+        hands: [[card("clubs", 9), card("diamonds", 3)]],
+        playArea: { player2: card("hearts", 10) },
+        leadPlayerId: "player2",
+      });
+
+      expect(chosenCard(state)).toBe("diamonds-3");
+    });
+
+    it("should trump in cheaply when void in the lead suit", () => {
+      const state = trickState({
+        ruleSetId: "spades-trump",
+        hands: [[card("spades", 9), card("spades", 3), card("clubs", 5)]],
+        playArea: { player2: card("hearts", 1) },
+        leadPlayerId: "player2",
+      });
+
+      expect(chosenCard(state)).toBe("spades-3");
+    });
+
+    it("should keep trump when it cannot win", () => {
+      const state = trickState({
+        ruleSetId: "spades-trump",
+        hands: [[card("spades", 3), card("clubs", 5)]],
+        playArea: {
+          player2: card("hearts", 4),
+          player3: card("spades", 10),
+        },
+        leadPlayerId: "player2",
+      });
+
+      expect(chosenCard(state)).toBe("clubs-5");
+    });
+
+    it("should let a partner's winning card stand", () => {
+      const state = trickState({
+        partnerships: true,
+        hands: [[card("hearts", 1), card("hearts", 2)]],
+        playArea: {
+          player3: card("hearts", 13),
+          player4: card("hearts", 5),
+        },
+        leadPlayerId: "player3",
+      });
+
+      expect(chosenCard(state)).toBe("hearts-2");
+    });
+
+    it("should lead a side-suit ace", () => {
+      const state = trickState({
+        ruleSetId: "spades-trump",
+        hands: [[card("spades", 1), card("clubs", 1), card("hearts", 4)]],
+      });
+
+      expect(chosenCard(state)).toBe("clubs-1");
+    });
+
+    it("should duck and shed penalty cards in Hearts", () => {
+      const state = trickState({
+        ruleSetId: "hearts",
+        hands: [[card("spades", 12), card("hearts", 10), card("diamonds", 3)]],
+        playArea: { player2: card("clubs", 9) },
+        leadPlayerId: "player2",
+        tricks: [{ cards: {}, leadPlayerId: "player2", winnerId: "player2" }],
+      });
+
+      expect(chosenCard(state)).toBe("spades-12");
+    });
+
+    it("should play under the winning card in Hearts", () => {
+      const state = trickState({
+        ruleSetId: "hearts",
+        hands: [[card("clubs", 13), card("clubs", 8), card("clubs", 3)]],
+        playArea: { player2: card("clubs", 10) },
+        leadPlayerId: "player2",
+        tricks: [{ cards: {}, leadPlayerId: "player2", winnerId: "player2" }],
+      });
+
+      expect(chosenCard(state)).toBe("clubs-8");
+    });
+  });
+
+  describe("hard", () => {
+    const hard = { difficulty: AI_DIFFICULTY.HARD };
+
+    it("should cash the highest card still out", () => {
+      const state = trickState({
+        ...hard,
+        hands: [[card("hearts", 13), card("clubs", 4)]],
+        tricks: [
+          {
+            cards: { player2: card("hearts", 1) },
+            leadPlayerId: "player2",
+            winnerId: "player2",
+          },
+        ],
+      });
+
+      expect(countedCard(state)).toBe("hearts-13");
+    });
+
+    it("should win with a card nobody can beat when others are to play", () => {
+      const state = trickState({
+        ...hard,
+        hands: [[card("hearts", 1), card("hearts", 11)]],
+        playArea: { player2: card("hearts", 10) },
+        leadPlayerId: "player2",
+      });
+
+      expect(countedCard(state)).toBe("hearts-1");
+    });
+
+    it("should win as cheaply as it can when it plays last", () => {
+      const state = trickState({
+        ...hard,
+        hands: [[card("hearts", 1), card("hearts", 11)]],
+        playArea: {
+          player2: card("hearts", 10),
+          player3: card("hearts", 2),
+          player4: card("hearts", 3),
+        },
+        leadPlayerId: "player2",
+      });
+
+      expect(countedCard(state)).toBe("hearts-11");
+    });
+
+    it("should cover a partner who could still be beaten", () => {
+      const state = trickState({
+        ...hard,
+        partnerships: true,
+        hands: [[card("hearts", 1), card("hearts", 2)]],
+        playArea: {
+          player2: card("hearts", 5),
+          player3: card("hearts", 12),
+        },
+        leadPlayerId: "player2",
+      });
+
+      expect(countedCard(state)).toBe("hearts-1");
+    });
+
+    it("should duck overtricks once its side has made its contract", () => {
+      const bids = [1, 3, 1, 3].map((tricks) => ({ tricks, blind: false }));
+      const state = trickState({
+        ...hard,
+        ruleSetId: "spades",
+        bids,
+        hands: [[card("hearts", 1), card("hearts", 2)]],
+        playArea: { player2: card("hearts", 10) },
+        leadPlayerId: "player2",
+        tricks: [
+          { cards: {}, leadPlayerId: "player1", winnerId: "player1" },
+          { cards: {}, leadPlayerId: "player1", winnerId: "player3" },
+        ],
+      });
+
+      expect(countedCard(state)).toBe("hearts-2");
+      expect(countedCard({ ...state, tricks: [] })).toBe("hearts-1");
+    });
+
+    it("should pass its penalty cards first", () => {
+      const state = {
+        ...trickState({
+          ...hard,
+          ruleSetId: "hearts",
+          hands: [
+            [
+              card("spades", 12),
+              card("clubs", 1),
+              card("hearts", 13),
+              card("hearts", 2),
+              card("diamonds", 5),
+            ],
+          ],
+        }),
+        phase: GAME_PHASES.PASSING,
+      };
+      const action = getAIAction(state, 0);
+
+      expect(action.type).toBe(ENGINE_ACTIONS.PASS_CARDS);
+      expect(action.cards.map((c) => c.id)).toEqual([
+        "spades-12",
+        "hearts-13",
+        "clubs-1",
+      ]);
+    });
+
+    it("should estimate tricks from honours and trump length", () => {
+      const spades = getRuleSet({ ruleSetId: "spades" });
+
+      expect(
+        estimateTricks(spades, [
+          card("hearts", 1),
+          card("clubs", 13),
+          card("clubs", 4),
+          card("diamonds", 13),
+          ...[2, 3, 4, 5, 6].map((rank) => card("spades", rank)),
+        ]),
+      ).toBe(4);
+    });
+
+    it("should bid nil with a hand of low cards", () => {
+      const state = {
+        ...trickState({
+          ...hard,
+          ruleSetId: "spades",
+          hands: [[card("hearts", 2), card("clubs", 7), card("spades", 3)]],
+        }),
+        phase: GAME_PHASES.BIDDING,
+      };
+
+      expect(getAIAction(state, 0).bid).toBe(0);
+    });
+  });
+
+  describe("full games", () => {
+    it.each([
+      "suit-follows",
+      "highest-card",
+      "spades-trump",
+      "hearts",
+      "spades",
+    ])("should only make legal choices playing %s", (ruleSetId) => {
+      // Hard would search at full budget here; search.test plays its games
+      Object.values(AI_DIFFICULTY)
+        .filter((difficulty) => !getStrategy(difficulty).searches)
+        .forEach((difficulty) => {
+          const { state, rejected } = playGame({
+            ruleSetId,
+            seed: `full-${difficulty}`,
+            players: seatsAt(Array(4).fill(difficulty)),
+          });
+
+          expect(rejected).toEqual([]);
+          expect(isTerminal(state)).toBe(true);
+        });
+    });
+
+    it("should always pick a legal card", () => {
+      const state = trickState({
+        hands: [[card("clubs", 2), card("hearts", 9), card("hearts", 3)]],
+        playArea: { player2: card("hearts", 10) },
+        leadPlayerId: "player2",
+      });
+
+      Object.values(AI_DIFFICULTY)
+        .filter((difficulty) => difficulty !== AI_DIFFICULTY.EASY)
+        .forEach((difficulty) => {
+          const seated = {
+            ...state,
+            players: state.players.map((p) => ({ ...p, difficulty })),
+          };
+          expect(getLegalCards(seated, 0)).toContainEqual(
+            getAIAction(seated, 0).card,
+          );
+        });
+    });
+
+    it("should take more tricks at higher difficulty", () => {
+      const tricksFor = (strong, weak) => {
+        let total = 0;
+        for (let game = 0; game < 10; game += 1) {
+          const { state } = playGame({
+            ruleSetId: "spades-trump",
+            seed: `strength-${game}`,
+            players: seatsAt([strong, weak, strong, weak]),
+          });
+          const won = getTricksWon(state);
+          total += won[0] + won[2] - won[1] - won[3];
+        }
+        return total;
+      };
+
+      // Hard searches, so search.test plays it against Easy
+      expect(
+        tricksFor(AI_DIFFICULTY.MEDIUM, AI_DIFFICULTY.EASY),
+      ).toBeGreaterThan(0);
+    });
+  });
+});
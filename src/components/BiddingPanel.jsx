@@ -0,0 +1,144 @@
+import PropTypes from "prop-types";
+import { FaEye, FaGavel } from "react-icons/fa";
+
+const buttonStyle = (isEnabled) => ({
+  background: isEnabled
+    ? "linear-gradient(135deg, var(--color-gold-base) 0%, var(--color-gold-dark) 100%)"
+    : "var(--color-panel-dark)",
+  color: isEnabled ? "#ffffff" : "var(--color-text-muted)",
+  cursor: isEnabled ? "pointer" : "not-allowed",
+  padding: "clamp(0.375rem, 1vh, 0.5rem) 0.625rem",
+  fontSize: "clamp(0.75rem, 1.4vh, 0.875rem)",
+});
+
+/**
+ * BiddingPanel - Contract bid prompt shown on the table before play starts
+ * Offers a bid for every trick count the hand allows, and while the player's
+ * cards are still face down, the choice between bidding blind nil and
+ * looking at the cards first
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.maxBid - Highest bid allowed (the hand size)
+ * @param {boolean} props.allowNil - Whether a nil bid is allowed
+ * @param {boolean} props.allowBlindNil - Whether a blind nil bid is allowed
+ * @param {boolean} props.isMyTurn - Whether the player is the one to bid
+ * @param {string} props.bidderName - Name of the seat bidding now
+ * @param {boolean} props.handHidden - Whether the player's cards are face down
+ * @param {Function} props.onBid - Function called with (tricks, blind)
+ * @param {Function} props.onReveal - Function to turn the cards face up
+ */
+const BiddingPanel = ({
+  maxBid,
+  allowNil,
+  allowBlindNil,
+  isMyTurn,
+  bidderName,
+  handHidden,
+  onBid,
+  onReveal,
+}) => {
+  const minBid = allowNil ? 0 : 1;
+  const bidOptions = Array.from(
+    { length: maxBid - minBid + 1 },
+    (_, idx) => minBid + idx,
+  );
+
+  return (
+    <div
+      className="bidding-panel absolute rounded-xl text-center"
+      role="region"
+      aria-label="Place your bid"
+      style={{
+        top: "50%",
+        left: "50%",
+        transform: "translate(-50%, -50%)",
+        zIndex: 20,
+        background:
+          "linear-gradient(180deg, var(--color-panel-light) 0%, var(--color-panel-base) 100%)",
+        border: "1px solid var(--color-border-gold)",
+        boxShadow: "var(--shadow-xl)",
+        padding: "clamp(0.75rem, 2vh, 1rem) clamp(1rem, 3vw, 1.5rem)",
+        minWidth: "clamp(11rem, 40vw, 15rem)",
+        maxWidth: "clamp(14rem, 60vw, 20rem)",
+      }}
+    >
+      <div
+        className="font-semibold game-title"
+        style={{
+          color: "var(--color-text-gold)",
+          fontSize: "clamp(0.9375rem, 1.8vh, 1.0625rem)",
+        }}
+      >
+        How many tricks will you take?
+      </div>
+
+      {!isMyTurn && (
+        <div
+          style={{
+            color: "var(--color-text-secondary)",
+            fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+            marginTop: "0.5rem",
+          }}
+        >
+          Waiting for {bidderName} to bid...
+        </div>
+      )}
+
+      {handHidden ? (
+        <div className="flex flex-col gap-2" style={{ marginTop: "0.625rem" }}>
+          {allowBlindNil && (
+            <button
+              type="button"
+              onClick={() => onBid(0, true)}
+              disabled={!isMyTurn}
+              className="w-full rounded-lg font-bold flex items-center justify-center gap-2 transition-all duration-200"
+              style={buttonStyle(isMyTurn)}
+            >
+              <FaGavel /> Bid Blind Nil
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onReveal}
+            className="w-full rounded-lg font-bold flex items-center justify-center gap-2 transition-all duration-200"
+            style={buttonStyle(true)}
+          >
+            <FaEye /> Show My Cards
+          </button>
+        </div>
+      ) : (
+        isMyTurn && (
+          <div
+            className="flex flex-wrap justify-center gap-1.5"
+            style={{ marginTop: "0.625rem" }}
+          >
+            {bidOptions.map((tricks) => (
+              <button
+                key={tricks}
+                type="button"
+                onClick={() => onBid(tricks, false)}
+                className="rounded-lg font-bold transition-all duration-200"
+                style={buttonStyle(true)}
+              >
+                {tricks === 0 ? "Nil" : tricks}
+              </button>
+            ))}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+BiddingPanel.propTypes = {
+  maxBid: PropTypes.number.isRequired,
+  allowNil: PropTypes.bool.isRequired,
+  allowBlindNil: PropTypes.bool.isRequired,
+  isMyTurn: PropTypes.bool.isRequired,
+  bidderName: PropTypes.string.isRequired,
+  handHidden: PropTypes.bool.isRequired,
+  onBid: PropTypes.func.isRequired,
+  onReveal: PropTypes.func.isRequired,
+};
+
+export default BiddingPanel;
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for BiddingPanel component
+ * Tests the bid buttons, blind nil and waiting on other seats
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import BiddingPanel from "./BiddingPanel";
+
+describe("BiddingPanel", () => {
+  const defaultProps = {
+    maxBid: 7,
+    allowNil: true,
+    allowBlindNil: true,
+    isMyTurn: true,
+    bidderName: "Player",
+    handHidden: false,
+    onBid: vi.fn(),
+    onReveal: vi.fn(),
+  };
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should offer nil and every trick count up to the hand size", () => {
+    render(<BiddingPanel {...defaultProps} />);
+
+    expect(screen.getByRole("button", { name: "Nil" })).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "7" })).toBeInTheDocument();
+    expect(screen.getAllByRole("button")).toHaveLength(8);
+  });
+
+  it("should leave out nil when the rule set does not allow it", () => {
+    render(<BiddingPanel {...defaultProps} allowNil={false} />);
+
+    expect(screen.queryByRole("button", { name: "Nil" })).toBeNull();
+    expect(screen.getAllByRole("button")).toHaveLength(7);
+  });
+
+  it("should bid the chosen number of tricks", () => {
+    render(<BiddingPanel {...defaultProps} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "3" }));
+    expect(defaultProps.onBid).toHaveBeenCalledWith(3, false);
+  });
+
+  it("should wait while another seat bids", () => {
+    render(
+      <BiddingPanel {...defaultProps} isMyTurn={false} bidderName="Sam" />,
+    );
+
+    expect(screen.getByText("Waiting for Sam to bid...")).toBeInTheDocument();
+    expect(screen.queryAllByRole("button")).toHaveLength(0);
+  });
+
+  describe("face-down hand", () => {
+    it("should bid blind nil", () => {
+      render(<BiddingPanel {...defaultProps} handHidden />);
+
+      fireEvent.click(screen.getByRole("button", { name: /Bid Blind Nil/ }));
+      expect(defaultProps.onBid).toHaveBeenCalledWith(0, true);
+    });
+
+    it("should reveal the cards on request", () => {
+      render(<BiddingPanel {...defaultProps} handHidden />);
+
+      fireEvent.click(screen.getByRole("button", { name: /Show My Cards/ }));
+      expect(defaultProps.onReveal).toHaveBeenCalled();
+    });
+
+    it("should only allow blind nil on the player's turn", () => {
+      render(<BiddingPanel {...defaultProps} handHidden isMyTurn={false} />);
+
+      expect(
+        screen.getByRole("button", { name: /Bid Blind Nil/ }),
+      ).toBeDisabled();
+      expect(
+        screen.getByRole("button", { name: /Show My Cards/ }),
+      ).not.toBeDisabled();
+    });
+  });
+});
@@ -4,6 +4,7 @@ import {
   getSuitIcon,
   getRankDisplay,
   getCardColor,
+  getCardFanLayout,
 } from "../utils/cardHelpers";
 
 const Card = ({
@@ -14,13 +15,13 @@ const Card = ({
   isSelected,
   isDealing,
   onSelect,
+  isLegal = true,
+  isHinted = false,
 }) => {
   const rank = getRankDisplay(card.rank);
   const suit = getSuitIcon(card.suit);
   const cardColor = getCardColor(card.suit);
-  const middleIndex = (totalCards - 1) / 2;
-  const rotation = (index - middleIndex) * 5;
-  const yOffset = Math.abs(index - middleIndex) * 4;
+  const { rotation, yOffset, marginLeft } = getCardFanLayout(index, totalCards);
   const [hasDealt, setHasDealt] = useState(!isDealing);
 
   useEffect(() => {
@@ -33,7 +34,7 @@ const Card = ({
   const showDealAnimation = isDealing && !hasDealt;
 
   const handleClick = () => {
-    if (isPlayable && onSelect) {
+    if (isPlayable && isLegal && onSelect) {
       onSelect(card);
     }
   };
@@ -41,12 +42,12 @@ const Card = ({
   return (
     <div
       onClick={handleClick}
-      className={`hand-card ${isPlayable ? "playable" : "disabled"} ${isSelected ? "selected" : ""} ${showDealAnimation ? "card-deal-in" : ""}`}
+      className={`hand-card ${isPlayable ? "playable" : "disabled"} ${isLegal ? "" : "illegal"} ${isSelected ? "selected" : ""} ${isHinted ? "hinted" : ""} ${showDealAnimation ? "card-deal-in" : ""}`}
       style={{
         "--card-rotation": `${rotation}deg`,
         "--card-y-offset": `${yOffset}px`,
         "--card-delay": `${index * 0.08}s`,
-        marginLeft: index === 0 ? "0" : "-10px",
+        marginLeft,
         zIndex: isSelected ? 100 : 10 + index,
       }}
     >
@@ -112,6 +113,9 @@ Card.propTypes = {
   isSelected: PropTypes.bool.isRequired,
   isDealing: PropTypes.bool.isRequired,
   onSelect: PropTypes.func.isRequired,
+  isLegal: PropTypes.bool,
+  // Highlights the card a hint suggested
+  isHinted: PropTypes.bool,
 };
 
 export default Card;
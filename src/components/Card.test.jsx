@@ -174,6 +174,27 @@ describe("Card", () => {
       expect(onSelect).toHaveBeenCalledWith(defaultProps.card);
     });
 
+    it("should not call onSelect when the card is not legal", () => {
+      const onSelect = vi.fn();
+      const { container } = render(
+        <Card
+          {...defaultProps}
+          isPlayable={true}
+          isLegal={false}
+          onSelect={onSelect}
+        />,
+      );
+
+      expect(container.firstChild).toHaveClass("illegal");
+      fireEvent.click(container.firstChild);
+      expect(onSelect).not.toHaveBeenCalled();
+    });
+
+    it("should highlight a hinted card", () => {
+      const { container } = render(<Card {...defaultProps} isHinted />);
+      expect(container.firstChild).toHaveClass("hinted");
+    });
+
     it("should not call onSelect when clicked and not playable", () => {
       const onSelect = vi.fn();
       const { container } = render(
@@ -0,0 +1,210 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import PropTypes from "prop-types";
+import {
+  FaComments,
+  FaTimes,
+  FaPaperPlane,
+  FaVolumeMute,
+  FaVolumeUp,
+} from "react-icons/fa";
+import { CHAT_EMOTES, CHAT_MAX_LENGTH } from "../multiplayer";
+import { sanitizeText } from "../utils/sanitize";
+
+/**
+ * ChatPanel - Collapsible room chat beside the Leaderboard
+ * Shows the message history, quick emote buttons and a line to type in.
+ * Anyone else who has chatted, spectators included, can be muted, which
+ * hides their messages and emotes for this player only. While collapsed,
+ * the button counts the messages that came in since the panel was last
+ * open.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.messages - Messages to show, oldest first
+ * @param {Array} props.senders - Everyone else who has chatted: sender id,
+ *   player id (null for spectators) and name
+ * @param {Array<number>} props.mutedSenders - Sender ids this player has
+ *   muted
+ * @param {Function} props.onToggleMute - Mutes or unmutes (senderId,
+ *   playerId)
+ * @param {Function} props.onSend - Sends a line of text
+ * @param {Function} props.onEmote - Sends one of CHAT_EMOTES
+ * @param {boolean} props.disabled - Nothing can be sent, e.g. while the
+ *   connection is down
+ */
+const ChatPanel = ({
+  messages,
+  senders = [],
+  mutedSenders = [],
+  onToggleMute,
+  onSend,
+  onEmote,
+  disabled = false,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState("");
+  // Newest message seen with the panel open
+  const [readId, setReadId] = useState(0);
+  const logRef = useRef(null);
+  const lastId = messages.at(-1)?.id ?? 0;
+
+  const unread = isOpen
+    ? 0
+    : messages.filter(({ id, isYou }) => id > readId && !isYou).length;
+
+  const toggleOpen = useCallback(() => {
+    setIsOpen((prev) => !prev);
+    setReadId(lastId);
+  }, [lastId]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight;
+  }, [isOpen, lastId]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = sanitizeText(draft, { maxLength: CHAT_MAX_LENGTH });
+    if (!text || disabled) return;
+    onSend(text);
+    setDraft("");
+  };
+
+  if (!isOpen) {
+    return (
+      <div className="chat-container">
+        <button
+          className="chat-toggle-btn"
+          onClick={toggleOpen}
+          aria-label={unread > 0 ? `Show chat, ${unread} new` : "Show chat"}
+          aria-expanded="false"
+        >
+          <FaComments className="chat-toggle-icon" />
+          <span className="chat-toggle-label">Chat</span>
+          {unread > 0 && (
+            <span className="chat-unread-badge" aria-hidden="true">
+              {unread}
+            </span>
+          )}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="chat-container chat-expanded">
+      <div className="chat-panel">
+        <div className="chat-header">
+          <div className="chat-header-title">
+            <FaComments className="chat-header-icon" />
+            <span className="chat-title">Chat</span>
+          </div>
+          <button
+            className="chat-close-btn"
+            onClick={toggleOpen}
+            aria-label="Hide chat"
+          >
+            <FaTimes />
+          </button>
+        </div>
+
+        <ul className="chat-log" ref={logRef} role="log" aria-label="Messages">
+          {messages.length === 0 && (
+            <li className="chat-empty">No messages yet</li>
+          )}
+          {messages.map(({ id, name, text, emote, isYou }) => (
+            <li key={id} className={`chat-message ${isYou ? "chat-own" : ""}`}>
+              <span className="chat-sender">{isYou ? "You" : name}</span>
+              <span className={emote ? "chat-emote" : "chat-text"}>
+                {emote ?? text}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <div className="chat-emotes" role="group" aria-label="Quick emotes">
+          {CHAT_EMOTES.map((emote) => (
+            <button
+              key={emote}
+              type="button"
+              className="chat-emote-btn"
+              onClick={() => onEmote(emote)}
+              disabled={disabled}
+              aria-label={`Send ${emote}`}
+            >
+              {emote}
+            </button>
+          ))}
+        </div>
+
+        <form className="chat-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            value={draft}
+            maxLength={CHAT_MAX_LENGTH}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Say something..."
+            aria-label="Message"
+            disabled={disabled}
+            className="chat-input"
+          />
+          <button
+            type="submit"
+            className="chat-send-btn"
+            disabled={disabled || draft.trim().length === 0}
+            aria-label="Send message"
+          >
+            <FaPaperPlane />
+          </button>
+        </form>
+
+        {senders.length > 0 && (
+          <ul className="chat-mutes" aria-label="Mute players">
+            {senders.map(({ senderId, playerId, name }) => {
+              const isMuted = mutedSenders.includes(senderId);
+              return (
+                <li key={senderId}>
+                  <button
+                    type="button"
+                    className="chat-mute-btn"
+                    onClick={() => onToggleMute(senderId, playerId)}
+                    aria-pressed={isMuted}
+                    aria-label={`${isMuted ? "Unmute" : "Mute"} ${name}`}
+                  >
+                    {isMuted ? <FaVolumeMute /> : <FaVolumeUp />}
+                    <span>{name}</span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+ChatPanel.propTypes = {
+  messages: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      text: PropTypes.string,
+      emote: PropTypes.string,
+      isYou: PropTypes.bool,
+    }),
+  ).isRequired,
+  senders: PropTypes.arrayOf(
+    PropTypes.shape({
+      senderId: PropTypes.number.isRequired,
+      playerId: PropTypes.string,
+      name: PropTypes.string.isRequired,
+    }),
+  ),
+  mutedSenders: PropTypes.arrayOf(PropTypes.number),
+  onToggleMute: PropTypes.func.isRequired,
+  onSend: PropTypes.func.isRequired,
+  onEmote: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default ChatPanel;
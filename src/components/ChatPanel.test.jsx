@@ -0,0 +1,124 @@
+/**
+ * Unit tests for ChatPanel component
+ * Tests the collapsible chat, emote buttons and per-player mute
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import ChatPanel from "./ChatPanel";
+
+const messages = [
+  { id: 1, seat: 0, name: "Ana", text: "Good luck", emote: null, isYou: true },
+  { id: 2, seat: 1, name: "Ben", text: null, emote: "👍", isYou: false },
+];
+
+const senders = [{ senderId: 2, playerId: "player2", name: "Ben" }];
+
+const renderPanel = (props = {}) => {
+  const handlers = {
+    onToggleMute: vi.fn(),
+    onSend: vi.fn(),
+    onEmote: vi.fn(),
+  };
+  const view = render(
+    <ChatPanel
+      messages={messages}
+      senders={senders}
+      {...handlers}
+      {...props}
+    />,
+  );
+  return { ...handlers, ...view };
+};
+
+const openChat = () =>
+  fireEvent.click(screen.getByRole("button", { name: /Show chat/ }));
+
+describe("ChatPanel", () => {
+  it("should start collapsed and count the messages from others", () => {
+    renderPanel();
+
+    expect(screen.queryByRole("log")).not.toBeInTheDocument();
+    expect(
+      screen.getByRole("button", { name: "Show chat, 1 new" }),
+    ).toBeInTheDocument();
+  });
+
+  it("should show the history once opened and forget what was read", () => {
+    const { rerender, onToggleMute, onSend, onEmote } = renderPanel();
+    openChat();
+
+    const log = screen.getByRole("log");
+    expect(log).toHaveTextContent("YouGood luck");
+    expect(log).toHaveTextContent("Ben👍");
+
+    fireEvent.click(screen.getByRole("button", { name: "Hide chat" }));
+    expect(
+      screen.getByRole("button", { name: "Show chat" }),
+    ).toBeInTheDocument();
+    rerender(
+      <ChatPanel
+        messages={[
+          ...messages,
+          { id: 3, seat: 1, name: "Ben", text: "Hi", emote: null },
+        ]}
+        senders={senders}
+        onToggleMute={onToggleMute}
+        onSend={onSend}
+        onEmote={onEmote}
+      />,
+    );
+    expect(
+      screen.getByRole("button", { name: "Show chat, 1 new" }),
+    ).toBeInTheDocument();
+  });
+
+  it("should send a cleaned-up line and clear the box", () => {
+    const { onSend } = renderPanel();
+    openChat();
+    const input = screen.getByRole("textbox", { name: "Message" });
+    fireEvent.change(input, { target: { value: "  <i>Nice</i> play " } });
+    fireEvent.click(screen.getByRole("button", { name: "Send message" }));
+
+    expect(onSend).toHaveBeenCalledWith("Nice play");
+    expect(input).toHaveValue("");
+  });
+
+  it("should send quick emotes", () => {
+    const { onEmote } = renderPanel();
+    openChat();
+    fireEvent.click(screen.getByRole("button", { name: "Send GG" }));
+
+    expect(onEmote).toHaveBeenCalledWith("GG");
+  });
+
+  it("should mute and unmute other players", () => {
+    const { rerender, onToggleMute, onSend, onEmote } = renderPanel();
+    openChat();
+    fireEvent.click(screen.getByRole("button", { name: "Mute Ben" }));
+    expect(onToggleMute).toHaveBeenCalledWith(2, "player2");
+
+    rerender(
+      <ChatPanel
+        messages={messages}
+        senders={senders}
+        mutedSenders={[2]}
+        onToggleMute={onToggleMute}
+        onSend={onSend}
+        onEmote={onEmote}
+      />,
+    );
+    expect(screen.getByRole("button", { name: "Unmute Ben" })).toHaveAttribute(
+      "aria-pressed",
+      "true",
+    );
+  });
+
+  it("should not send anything while disabled", () => {
+    renderPanel({ disabled: true });
+    openChat();
+
+    expect(screen.getByRole("textbox", { name: "Message" })).toBeDisabled();
+    expect(screen.getByRole("button", { name: "Send GG" })).toBeDisabled();
+  });
+});
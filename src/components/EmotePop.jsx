@@ -0,0 +1,21 @@
+import PropTypes from "prop-types";
+
+/**
+ * EmotePop - Chat emote that pops up over the player who sent it
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.name - Sender's name, for screen readers
+ * @param {string} props.emote - Emote sent
+ */
+const EmotePop = ({ name, emote }) => (
+  <div className="emote-pop" role="status" aria-label={`${name}: ${emote}`}>
+    {emote}
+  </div>
+);
+
+EmotePop.propTypes = {
+  name: PropTypes.string.isRequired,
+  emote: PropTypes.string.isRequired,
+};
+
+export default EmotePop;
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for EmotePop component
+ * Tests the pop itself and how long an emote sent in a room stays up
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { render, screen, act } from "@testing-library/react";
+import PropTypes from "prop-types";
+import EmotePop from "./EmotePop";
+import { useChat } from "../hooks";
+import {
+  createRoomServer,
+  createRoomClient,
+  openLoopback,
+} from "../multiplayer";
+import { EMOTE_DURATION } from "../constants";
+
+/**
+ * Pops up every emote the room client's chat has up, as the table does
+ */
+const EmoteLayer = ({ client }) => {
+  const { emotes, senders } = useChat(client);
+  return Object.entries(emotes).map(([playerId, emote]) => (
+    <EmotePop
+      key={playerId}
+      name={senders.find((sender) => sender.playerId === playerId).name}
+      emote={emote}
+    />
+  ));
+};
+
+EmoteLayer.propTypes = {
+  client: PropTypes.object.isRequired,
+};
+
+describe("EmotePop", () => {
+  it("should show the emote, named for screen readers", () => {
+    render(<EmotePop name="Ben" emote="GG" />);
+
+    const pop = screen.getByRole("status", { name: "Ben: GG" });
+    expect(pop).toHaveTextContent("GG");
+    expect(pop).toHaveClass("emote-pop");
+  });
+
+  describe("in a room", () => {
+    let server;
+    let clients;
+
+    const flush = (ms = 0) => act(() => vi.advanceTimersByTimeAsync(ms));
+
+    const connectClient = async () => {
+      const client = createRoomClient({
+        open: () => openLoopback(server),
+        storage: null,
+      });
+      clients.push(client);
+      await flush();
+      return client;
+    };
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      clients = [];
+      server = createRoomServer({ createCode: () => "ROOM" });
+    });
+
+    afterEach(() => {
+      clients.forEach((client) => client.close());
+      server.close();
+      vi.useRealTimers();
+    });
+
+    it("should pop up a sent emote and take it down after a while", async () => {
+      const host = await connectClient();
+      const guest = await connectClient();
+      host.createRoom("Ana", { ruleSetId: "suit-follows" });
+      await flush();
+      guest.joinRoom("ROOM", "Ben");
+      await flush();
+      render(<EmoteLayer client={host} />);
+
+      guest.sendEmote("👍");
+      await flush();
+      expect(screen.getByRole("status", { name: "Ben: 👍" })).toBeVisible();
+
+      await flush(EMOTE_DURATION - 1);
+      expect(screen.getByRole("status", { name: "Ben: 👍" })).toBeVisible();
+      await flush(1);
+      expect(screen.queryByRole("status")).not.toBeInTheDocument();
+    });
+
+    it("should keep a repeated emote up for the full time again", async () => {
+      const host = await connectClient();
+      const guest = await connectClient();
+      host.createRoom("Ana", { ruleSetId: "suit-follows" });
+      await flush();
+      guest.joinRoom("ROOM", "Ben");
+      await flush();
+      render(<EmoteLayer client={host} />);
+
+      guest.sendEmote("GG");
+      await flush(EMOTE_DURATION - 500);
+      guest.sendEmote("😮");
+      await flush(EMOTE_DURATION - 1);
+      expect(screen.getByRole("status", { name: "Ben: 😮" })).toBeVisible();
+      await flush(1);
+      expect(screen.queryByRole("status")).not.toBeInTheDocument();
+    });
+  });
+});
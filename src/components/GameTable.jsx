@@ -3,16 +3,46 @@ import PropTypes from "prop-types";
 import PlayerPanel from "./PlayerPanel";
 import PlayedCard from "./PlayedCard";
 import UserHand from "./UserHand";
+import EmotePop from "./EmotePop";
 import DragHint from "./DragHint";
 import TurnInstructionOverlay from "./TurnInstructionOverlay";
+import PassCardsPanel from "./PassCardsPanel";
+import BiddingPanel from "./BiddingPanel";
+import PlayedCardsGrid from "./PlayedCardsGrid";
+import PassDeviceScreen from "./PassDeviceScreen";
 import { GAME_PHASES } from "../constants";
+import { isPassAndPlay } from "../utils/playerUtils";
+
+// Seats between the rails sit on an ellipse around the table; radii are
+// percentages of the table area
+const DEFAULT_ARC_RADIUS = { x: 38, y: 36 };
+
+/**
+ * Spreads the opponents around the far side of the oval, clockwise from the
+ * seat on the player's left to the seat on their right
+ * @param {number} seatCount - Seats at the table, the player's included
+ * @param {number} viewerSeat - Seat at the near side of the table
+ * @returns {Array} { index, angle, position } for each opponent; seats on the
+ *   left, far and right rails take those positions and the rest sit on the
+ *   rim between them ("arc")
+ */
+const getOpponentSeats = (seatCount, viewerSeat = 0) => {
+  const opponents = Math.max(seatCount - 1, 1);
+  return Array.from({ length: opponents }, (_, idx) => {
+    const angle = opponents === 1 ? 90 : 180 - (idx * 180) / (opponents - 1);
+    const position =
+      { 180: "left", 90: "top", 0: "right" }[Math.round(angle)] ?? "arc";
+    return { index: (viewerSeat + idx + 1) % seatCount, angle, position };
+  });
+};
 
-const useTableBounds = () => {
+const useTableBounds = (seatCount) => {
   const [bounds, setBounds] = useState({
     topOffset: "15%",
     bottomOffset: "16%",
     leftOffset: "5%",
     rightOffset: "5%",
+    arcRadius: DEFAULT_ARC_RADIUS,
   });
 
   useEffect(() => {
@@ -20,7 +50,10 @@ const useTableBounds = () => {
       const container = document.querySelector(".game-table-area");
       const table = document.querySelector(".poker-table");
       const topPanel = document.querySelector(".opponent-top .opponent-panel");
-      const userHand = document.querySelector(".user-hand-panel");
+      // The player's hand, or the bottom seat's panel for spectators
+      const userHand = document.querySelector(
+        ".user-hand-panel, .opponent-bottom .opponent-panel",
+      );
       const leftPanel = document.querySelector(
         ".opponent-left .opponent-panel",
       );
@@ -94,11 +127,27 @@ const useTableBounds = () => {
         rightPosition,
       );
 
+      // Arc seats clear the rim by half a panel, like the rail seats
+      const arcRadius = {
+        x: Math.min(
+          42,
+          ((tableRect.width / 2 + leftPanelWidth / 2 + gap) / containerWidth) *
+            100,
+        ),
+        y: Math.min(
+          42,
+          ((tableRect.height / 2 + topPanelHeight / 2 + gap) /
+            containerHeight) *
+            100,
+        ),
+      };
+
       setBounds({
         topOffset: `${topPosition}%`,
         bottomOffset: `${bottomPosition}%`,
         leftOffset: `${leftPosition}%`,
         rightOffset: `${rightPosition}%`,
+        arcRadius,
       });
     };
 
@@ -131,7 +180,7 @@ const useTableBounds = () => {
       window.removeEventListener("orientationchange", handleOrientationChange);
       mediaQuery?.removeEventListener?.("change", handleOrientationChange);
     };
-  }, []);
+  }, [seatCount]);
 
   return bounds;
 };
@@ -142,12 +191,19 @@ const getBorderStyle = (cardCount, selectedCard) => {
   return "2px dashed var(--color-text-on-felt-muted)";
 };
 
+// Prompt in the empty play area; spectators have nothing to play
+const getPlayAreaPrompt = (selectedCard, spectator) => {
+  if (spectator) return "";
+  return selectedCard ? "Tap here to play" : "Select a card";
+};
+
 const PlayArea = ({
   playAreaCards,
   cardPositions,
   trickWinner,
   selectedCard,
   onPlayCard,
+  spectator = false,
 }) => {
   const handleClick = () => {
     if (selectedCard && onPlayCard) {
@@ -183,7 +239,7 @@ const PlayArea = ({
             letterSpacing: selectedCard ? "0.02em" : "normal",
           }}
         >
-          {selectedCard ? "Tap here to play" : "Select a card"}
+          {getPlayAreaPrompt(selectedCard, spectator)}
         </div>
       ) : (
         <div
@@ -219,6 +275,7 @@ PlayArea.propTypes = {
   trickWinner: PropTypes.string,
   selectedCard: PropTypes.object,
   onPlayCard: PropTypes.func.isRequired,
+  spectator: PropTypes.bool,
 };
 
 const PokerTable = () => (
@@ -240,11 +297,20 @@ const OpponentPosition = ({
   currentPlayer,
   isDealing,
   position,
+  angle = 90,
   topOffset,
+  bottomOffset,
   leftOffset,
   rightOffset,
+  arcRadius = DEFAULT_ARC_RADIUS,
   players,
   scores,
+  lowScoreWins,
+  bid,
+  tricksWon,
+  speech,
+  emote,
+  revealHand,
 }) => {
   const positionStyles = {
     top: {
@@ -252,6 +318,12 @@ const OpponentPosition = ({
       left: "50%",
       transform: "translateX(-50%)",
     },
+    // The near seat, where spectators see the first player
+    bottom: {
+      bottom: bottomOffset || "16%",
+      left: "50%",
+      transform: "translateX(-50%)",
+    },
     left: {
       left: leftOffset || "5%",
       top: "50%",
@@ -262,6 +334,11 @@ const OpponentPosition = ({
       top: "50%",
       transform: "translateY(-50%)",
     },
+    arc: {
+      left: `${50 + arcRadius.x * Math.cos((angle * Math.PI) / 180)}%`,
+      top: `${50 - arcRadius.y * Math.sin((angle * Math.PI) / 180)}%`,
+      transform: "translate(-50%, -50%)",
+    },
   };
 
   return (
@@ -276,6 +353,12 @@ const OpponentPosition = ({
         isDealing={isDealing}
         players={players}
         scores={scores}
+        lowScoreWins={lowScoreWins}
+        bid={bid}
+        tricksWon={tricksWon}
+        speech={speech}
+        emote={emote}
+        revealHand={revealHand}
       />
     </div>
   );
@@ -286,12 +369,25 @@ OpponentPosition.propTypes = {
   index: PropTypes.number.isRequired,
   currentPlayer: PropTypes.number.isRequired,
   isDealing: PropTypes.bool.isRequired,
-  position: PropTypes.oneOf(["top", "left", "right"]).isRequired,
+  position: PropTypes.oneOf(["top", "bottom", "left", "right", "arc"])
+    .isRequired,
+  angle: PropTypes.number,
   topOffset: PropTypes.string,
+  bottomOffset: PropTypes.string,
   leftOffset: PropTypes.string,
   rightOffset: PropTypes.string,
+  arcRadius: PropTypes.shape({
+    x: PropTypes.number.isRequired,
+    y: PropTypes.number.isRequired,
+  }),
   players: PropTypes.array.isRequired,
   scores: PropTypes.array.isRequired,
+  lowScoreWins: PropTypes.bool,
+  bid: PropTypes.object,
+  tricksWon: PropTypes.number,
+  speech: PropTypes.string,
+  emote: PropTypes.string,
+  revealHand: PropTypes.bool,
 };
 
 const GameTable = ({
@@ -302,40 +398,95 @@ const GameTable = ({
   trickWinner,
   dealingAnimation,
   selectedCard,
+  legalCards,
   handleCardSelect,
   handlePlaySelectedCard,
   ruleSetName = "Highest Card Wins",
   ruleSetDescription = "The highest card value wins the trick",
   scores = [],
+  passSelection = [],
+  handlePassCards,
+  handHidden = false,
+  handlePlaceBid,
+  handleRevealHand,
+  speech = {},
+  emotes = {},
+  hintedCardId = null,
+  spectator = false,
+  godView = false,
+  viewerSeat = 0,
+  handoffSeat = null,
+  handleTakeDevice,
 }) => {
-  const [instructionDismissed, setInstructionDismissed] = useState(false);
-  const { topOffset, bottomOffset, leftOffset, rightOffset } = useTableBounds();
+  // Seats that have seen the turn instructions; in a pass-and-play game
+  // each person sees them once
+  const [instructedSeats, setInstructedSeats] = useState([]);
+  const { topOffset, bottomOffset, leftOffset, rightOffset, arcRadius } =
+    useTableBounds(players.length);
+
+  const instructionDismissed = instructedSeats.includes(viewerSeat);
+  const isHandingOff = !spectator && handoffSeat !== null;
+  const isViewerTurn =
+    !spectator && !isHandingOff && gameState.currentPlayer === viewerSeat;
+  const viewerName = isPassAndPlay(players)
+    ? players[viewerSeat].name
+    : undefined;
 
   const isPlayerTurn =
+    isViewerTurn &&
     gameState.phase === GAME_PHASES.PLAYING &&
-    gameState.currentPlayer === 0 &&
     !dealingAnimation;
 
   const shouldShowInstruction =
     isPlayerTurn && playAreaCards.length === 0 && !instructionDismissed;
 
   const shouldShowHint =
-    gameState.phase === GAME_PHASES.PLAYING &&
-    gameState.currentPlayer === 0 &&
-    playAreaCards.length === 0 &&
-    !dealingAnimation &&
-    instructionDismissed;
+    isPlayerTurn && playAreaCards.length === 0 && instructionDismissed;
+
+  const {
+    passInfo,
+    hasPassed = false,
+    lowScoreWins = false,
+    bidding,
+    bids,
+    tricksWon = [],
+    playedCards,
+    voids,
+  } = gameState;
+  const isPassing =
+    !spectator &&
+    !isHandingOff &&
+    gameState.phase === GAME_PHASES.PASSING &&
+    !!passInfo &&
+    !dealingAnimation;
+  const isBidding =
+    !spectator &&
+    !isHandingOff &&
+    gameState.phase === GAME_PHASES.BIDDING &&
+    !!bidding &&
+    !dealingAnimation;
+  const isTrickPlay =
+    gameState.phase === GAME_PHASES.PLAYING ||
+    gameState.phase === GAME_PHASES.EVALUATING;
+
+  // Bids sit next to tricks won only for rule sets that bid
+  const getContract = (index) =>
+    bidding && bids
+      ? { bid: bids[index], tricksWon: tricksWon[index] ?? 0 }
+      : {};
 
   const handleInstructionDismiss = useCallback(() => {
-    setInstructionDismissed(true);
-  }, []);
+    setInstructedSeats((seats) =>
+      seats.includes(viewerSeat) ? seats : [...seats, viewerSeat],
+    );
+  }, [viewerSeat]);
 
   const handleCardSelectWithDismiss = useCallback(
     (card) => {
-      setInstructionDismissed(true);
+      handleInstructionDismiss();
       handleCardSelect(card);
     },
-    [handleCardSelect],
+    [handleCardSelect, handleInstructionDismiss],
   );
 
   return (
@@ -346,8 +497,9 @@ const GameTable = ({
         playAreaCards={playAreaCards}
         cardPositions={cardPositions}
         trickWinner={trickWinner}
-        selectedCard={selectedCard}
+        selectedCard={spectator ? null : selectedCard}
         onPlayCard={handlePlaySelectedCard}
+        spectator={spectator}
       />
 
       <TurnInstructionOverlay
@@ -355,68 +507,116 @@ const GameTable = ({
         ruleSetName={ruleSetName}
         ruleSetDescription={ruleSetDescription}
         onDismiss={handleInstructionDismiss}
+        playerName={viewerName}
       />
 
+      {isPassing && (
+        <PassCardsPanel
+          direction={passInfo.direction}
+          count={passInfo.count}
+          selectedCount={passSelection.length}
+          hasPassed={hasPassed}
+          onPass={handlePassCards}
+        />
+      )}
+
+      {isBidding && (
+        <BiddingPanel
+          maxBid={gameState.maxBid}
+          allowNil={Boolean(bidding.nil)}
+          allowBlindNil={Boolean(bidding.blindNil)}
+          isMyTurn={isViewerTurn}
+          bidderName={players[gameState.currentPlayer]?.name ?? ""}
+          handHidden={handHidden}
+          onBid={handlePlaceBid}
+          onReveal={handleRevealHand}
+        />
+      )}
+
+      {isTrickPlay && (
+        <PlayedCardsGrid
+          players={players}
+          playedCards={playedCards}
+          voids={voids}
+        />
+      )}
+
       <DragHint
         key={`hint-${gameState.phase}-${gameState.currentPlayer}`}
         visible={shouldShowHint}
         hasSelectedCard={!!selectedCard}
       />
 
-      <OpponentPosition
-        player={players[2]}
-        index={2}
-        currentPlayer={gameState.currentPlayer}
-        isDealing={dealingAnimation}
-        position="top"
-        topOffset={topOffset}
-        players={players}
-        scores={scores}
-      />
-
-      <OpponentPosition
-        player={players[1]}
-        index={1}
-        currentPlayer={gameState.currentPlayer}
-        isDealing={dealingAnimation}
-        position="left"
-        leftOffset={leftOffset}
-        players={players}
-        scores={scores}
-      />
-
-      <OpponentPosition
-        player={players[3]}
-        index={3}
-        currentPlayer={gameState.currentPlayer}
-        isDealing={dealingAnimation}
-        position="right"
-        rightOffset={rightOffset}
-        players={players}
-        scores={scores}
-      />
-
-      <div
-        className="absolute user-hand-area"
-        style={{
-          bottom: bottomOffset,
-          left: "50%",
-          transform: "translateX(-50%)",
-          zIndex: 10,
-        }}
-      >
-        <UserHand
-          player={players[0]}
-          playerIndex={0}
+      {[
+        // Spectators see the near seat as one more panel instead of a hand
+        ...(spectator ? [{ index: 0, angle: 270, position: "bottom" }] : []),
+        ...getOpponentSeats(players.length, spectator ? 0 : viewerSeat),
+      ].map(({ index, angle, position }) => (
+        <OpponentPosition
+          key={players[index].id}
+          player={players[index]}
+          index={index}
+          {...getContract(index)}
           currentPlayer={gameState.currentPlayer}
-          gamePhase={gameState.phase}
-          selectedCard={selectedCard}
-          dealingAnimation={dealingAnimation}
-          onCardSelect={handleCardSelectWithDismiss}
+          isDealing={dealingAnimation}
+          position={position}
+          angle={angle}
+          topOffset={topOffset}
+          bottomOffset={bottomOffset}
+          leftOffset={leftOffset}
+          rightOffset={rightOffset}
+          arcRadius={arcRadius}
           players={players}
           scores={scores}
+          lowScoreWins={lowScoreWins}
+          speech={speech[players[index].id]}
+          emote={emotes[players[index].id]}
+          revealHand={godView}
+        />
+      ))}
+
+      {!spectator && (
+        <div
+          className="absolute user-hand-area"
+          style={{
+            bottom: bottomOffset,
+            left: "50%",
+            transform: "translateX(-50%)",
+            zIndex: 10,
+          }}
+        >
+          {emotes[players[viewerSeat].id] && (
+            <EmotePop
+              name={players[viewerSeat].name}
+              emote={emotes[players[viewerSeat].id]}
+            />
+          )}
+          <UserHand
+            player={players[viewerSeat]}
+            playerIndex={viewerSeat}
+            currentPlayer={gameState.currentPlayer}
+            gamePhase={gameState.phase}
+            selectedCard={selectedCard}
+            dealingAnimation={dealingAnimation}
+            onCardSelect={handleCardSelectWithDismiss}
+            players={players}
+            scores={scores}
+            legalCards={legalCards}
+            passSelection={isPassing && !hasPassed ? passSelection : null}
+            lowScoreWins={lowScoreWins}
+            handHidden={handHidden || isHandingOff}
+            hintedCardId={hintedCardId}
+            {...getContract(viewerSeat)}
+          />
+        </div>
+      )}
+
+      {isHandingOff && (
+        <PassDeviceScreen
+          playerName={players[handoffSeat].name}
+          onReady={handleTakeDevice}
         />
-      </div>
+      )}
     </div>
   );
 };
@@ -426,17 +626,56 @@ GameTable.propTypes = {
   gameState: PropTypes.shape({
     phase: PropTypes.string.isRequired,
     currentPlayer: PropTypes.number.isRequired,
+    passInfo: PropTypes.shape({
+      direction: PropTypes.string.isRequired,
+      count: PropTypes.number.isRequired,
+    }),
+    hasPassed: PropTypes.bool,
+    lowScoreWins: PropTypes.bool,
+    bidding: PropTypes.shape({
+      nil: PropTypes.bool,
+      blindNil: PropTypes.bool,
+    }),
+    bids: PropTypes.array,
+    tricksWon: PropTypes.arrayOf(PropTypes.number),
+    maxBid: PropTypes.number,
+    playedCards: PropTypes.objectOf(PropTypes.array),
+    voids: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
   }).isRequired,
   playAreaCards: PropTypes.array.isRequired,
   cardPositions: PropTypes.array.isRequired,
   trickWinner: PropTypes.string,
   dealingAnimation: PropTypes.bool.isRequired,
   selectedCard: PropTypes.object,
+  legalCards: PropTypes.array,
   handleCardSelect: PropTypes.func.isRequired,
   handlePlaySelectedCard: PropTypes.func.isRequired,
   ruleSetName: PropTypes.string,
   ruleSetDescription: PropTypes.string,
   scores: PropTypes.array,
+  passSelection: PropTypes.array,
+  handlePassCards: PropTypes.func,
+  handHidden: PropTypes.bool,
+  handlePlaceBid: PropTypes.func,
+  handleRevealHand: PropTypes.func,
+  // Table talk lines keyed by player id
+  speech: PropTypes.objectOf(PropTypes.string),
+  // Chat emotes keyed by player id, the local player's shown over the hand
+  emotes: PropTypes.objectOf(PropTypes.string),
+  // Card a hint suggested to the local player
+  hintedCardId: PropTypes.string,
+  // Watching without a seat: every seat is shown as a player panel and
+  // nothing can be played
+  spectator: PropTypes.bool,
+  // Show every seat's hand face up (spectators at computer-only tables)
+  godView: PropTypes.bool,
+  // Seat whose hand is shown at the near side of the table; in a
+  // pass-and-play game, the human holding the device
+  viewerSeat: PropTypes.number,
+  // Human seat the device is being passed to, or null; the table is
+  // covered until they take it
+  handoffSeat: PropTypes.number,
+  handleTakeDevice: PropTypes.func,
 };
 
 export default GameTable;
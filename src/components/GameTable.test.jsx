@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, afterEach, beforeEach } from "vitest";
-import { render, screen, fireEvent } from "@testing-library/react";
+import { render, screen, fireEvent, act } from "@testing-library/react";
 import GameTable from "./GameTable";
 import { CardCustomizationProvider } from "../context";
 
@@ -140,6 +140,23 @@ describe("GameTable", () => {
       const opponentRight = container.querySelector(".opponent-right");
       expect(opponentRight).toBeInTheDocument();
     });
+
+    it("should pop emotes up over their senders, the player's over the hand", () => {
+      const { container } = renderWithContext(
+        <GameTable
+          {...defaultProps}
+          emotes={{ player1: "GG", player3: "😮" }}
+        />,
+      );
+
+      expect(
+        container.querySelector(".user-hand-area .emote-pop"),
+      ).toHaveTextContent("GG");
+      expect(
+        container.querySelector(".opponent-top .emote-pop"),
+      ).toHaveTextContent("😮");
+      expect(container.querySelectorAll(".emote-pop")).toHaveLength(2);
+    });
   });
 
   describe("play area", () => {
@@ -476,6 +493,145 @@ describe("GameTable", () => {
     });
   });
 
+  describe("table sizes", () => {
+    const seatPlayers = (count) =>
+      ["Player", "Alex", "Sam", "Jordan", "Casey", "Riley"]
+        .slice(0, count)
+        .map((name, idx) => ({
+          id: `player${idx + 1}`,
+          name,
+          hand: [],
+          score: 0,
+          isActive: idx === 0,
+        }));
+
+    it("should seat two opponents on the rails at a three-seat table", () => {
+      const { container } = renderWithContext(
+        <GameTable {...defaultProps} players={seatPlayers(3)} />,
+      );
+
+      expect(container.querySelectorAll(".opponent-panel")).toHaveLength(2);
+      expect(container.querySelector(".opponent-left")).toHaveTextContent(
+        "Alex",
+      );
+      expect(container.querySelector(".opponent-right")).toHaveTextContent(
+        "Sam",
+      );
+      expect(container.querySelector(".opponent-top")).toBeNull();
+    });
+
+    it("should place extra opponents on the rim at a six-seat table", () => {
+      const { container } = renderWithContext(
+        <GameTable {...defaultProps} players={seatPlayers(6)} />,
+      );
+
+      expect(container.querySelectorAll(".opponent-panel")).toHaveLength(5);
+      expect(container.querySelector(".opponent-top")).toHaveTextContent(
+        "Jordan",
+      );
+      const arcSeats = container.querySelectorAll(".opponent-arc");
+      expect(arcSeats).toHaveLength(2);
+      // Clockwise: the far-left seat sits left of center, the far-right right
+      expect(parseFloat(arcSeats[0].style.left)).toBeLessThan(50);
+      expect(parseFloat(arcSeats[1].style.left)).toBeGreaterThan(50);
+    });
+
+    it("should spread five seats evenly around the far side", () => {
+      const { container } = renderWithContext(
+        <GameTable {...defaultProps} players={seatPlayers(5)} />,
+      );
+
+      const arcSeats = container.querySelectorAll(".opponent-arc");
+      expect(arcSeats).toHaveLength(2);
+      expect(container.querySelector(".opponent-top")).toBeNull();
+      expect(arcSeats[0]).toHaveTextContent("Sam");
+      expect(arcSeats[1]).toHaveTextContent("Jordan");
+    });
+  });
+
+  describe("spectator layout", () => {
+    it("should show the near seat as a panel instead of a hand", () => {
+      const { container } = renderWithContext(
+        <GameTable {...defaultProps} spectator />,
+      );
+
+      expect(container.querySelector(".user-hand-panel")).toBeNull();
+      expect(container.querySelectorAll(".opponent-panel")).toHaveLength(4);
+      expect(container.querySelector(".opponent-bottom")).toHaveTextContent(
+        "Player",
+      );
+    });
+
+    it("should offer nothing to play", () => {
+      renderWithContext(<GameTable {...defaultProps} spectator />);
+
+      expect(screen.queryByText("Select a card")).not.toBeInTheDocument();
+      expect(screen.queryByText("Your Turn")).not.toBeInTheDocument();
+    });
+
+    it("should show every hand in god view", () => {
+      renderWithContext(<GameTable {...defaultProps} spectator godView />);
+
+      expect(
+        screen.getAllByRole("list", { name: /^Cards in .+'s hand$/ }),
+      ).toHaveLength(4);
+      expect(screen.getByLabelText("7 of spades")).toBeInTheDocument();
+    });
+  });
+
+  describe("pass and play", () => {
+    const hotSeatPlayers = mockPlayers.map((player) =>
+      player.id === "player3" ? { ...player, isHuman: true } : player,
+    );
+    const hotSeatProps = {
+      ...defaultProps,
+      players: hotSeatPlayers,
+      gameState: { ...defaultProps.gameState, currentPlayer: 2 },
+      viewerSeat: 2,
+    };
+
+    it("should show the hand of the human holding the device", () => {
+      const { container } = renderWithContext(<GameTable {...hotSeatProps} />);
+
+      expect(container.querySelector(".user-hand-area")).toHaveTextContent(
+        "Sam",
+      );
+      expect(container.querySelector(".opponent-top")).toHaveTextContent(
+        "Player",
+      );
+    });
+
+    it("should address the instructions to the player by name", () => {
+      renderWithContext(<GameTable {...hotSeatProps} />);
+      act(() => {
+        vi.advanceTimersByTime(300);
+      });
+
+      expect(screen.getByText("Sam's Turn")).toBeInTheDocument();
+    });
+
+    it("should hide the hand until the next player takes the device", () => {
+      const handleTakeDevice = vi.fn();
+      renderWithContext(
+        <GameTable
+          {...hotSeatProps}
+          viewerSeat={0}
+          handoffSeat={2}
+          handleTakeDevice={handleTakeDevice}
+        />,
+      );
+
+      expect(
+        screen.getByRole("dialog", { name: "Pass the device to Sam" }),
+      ).toBeInTheDocument();
+      expect(screen.getAllByTestId("hidden-card")).toHaveLength(2);
+      expect(screen.queryByText("Sam's Turn")).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole("button", { name: /I'm Sam/ }));
+      expect(handleTakeDevice).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe("edge cases", () => {
     it("should handle minimal players array", () => {
       const minimalPlayersProps = {
@@ -565,4 +721,41 @@ describe("GameTable", () => {
       expect(container.querySelector(".user-hand-area")).toBeInTheDocument();
     });
   });
+
+  describe("played cards grid", () => {
+    it("should offer the played cards grid during trick play", () => {
+      renderWithContext(
+        <GameTable
+          {...defaultProps}
+          gameState={{
+            ...defaultProps.gameState,
+            playedCards: {
+              player2: [{ id: "clubs-3", suit: "clubs", rank: 3, value: 3 }],
+            },
+            voids: { player3: ["clubs"] },
+          }}
+        />,
+      );
+
+      fireEvent.click(
+        screen.getByRole("button", { name: "Show played cards" }),
+      );
+
+      expect(screen.getByLabelText("3 of clubs, played")).toBeInTheDocument();
+      expect(screen.getByText("Sam is out of clubs")).toBeInTheDocument();
+    });
+
+    it("should not offer the grid outside trick play", () => {
+      renderWithContext(
+        <GameTable
+          {...defaultProps}
+          gameState={{ ...defaultProps.gameState, phase: "bidding" }}
+        />,
+      );
+
+      expect(
+        screen.queryByRole("button", { name: "Show played cards" }),
+      ).not.toBeInTheDocument();
+    });
+  });
 });
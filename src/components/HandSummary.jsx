@@ -0,0 +1,140 @@
+import PropTypes from "prop-types";
+import { FaForward } from "react-icons/fa";
+import { getPlayerDisplayName } from "../utils/playerUtils";
+
+/**
+ * HandSummary - Between-hands results screen for multi-hand matches
+ * Shows the points each player took this hand alongside the running match
+ * totals, and deals the next hand on demand
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.players - Array of player objects
+ * @param {Array} props.handScores - Points each player took this hand
+ * @param {Array} props.scores - Cumulative match scores
+ * @param {number} props.round - Hand that just finished (1-based)
+ * @param {number} props.maxRounds - Total hands in the match
+ * @param {Function} props.nextHand - Function to deal the next hand
+ * @param {boolean} props.lowScoreWins - True when the lowest total leads
+ */
+const HandSummary = ({
+  players,
+  handScores,
+  scores,
+  round,
+  maxRounds,
+  nextHand,
+  lowScoreWins = false,
+}) => {
+  // Rank by match total so the leader is always on top
+  const standings = players
+    .map((player, idx) => ({
+      ...player,
+      handScore: handScores[idx],
+      total: scores[idx],
+    }))
+    .sort((a, b) => (lowScoreWins ? a.total - b.total : b.total - a.total));
+
+  return (
+    <div
+      className="modal-overlay fixed inset-0 flex items-center justify-center z-50 p-3 sm:p-4"
+      style={{
+        background: "var(--color-bg-overlay)",
+        backdropFilter: "blur(8px)",
+      }}
+    >
+      <div
+        className="modal-wrapper max-w-sm sm:max-w-md w-full rounded-2xl overflow-hidden bounce-in"
+        role="dialog"
+        aria-labelledby="hand-summary-title"
+        style={{
+          background:
+            "linear-gradient(180deg, var(--color-panel-light) 0%, var(--color-panel-base) 100%)",
+          border: "1px solid var(--color-border-gold)",
+          boxShadow: "var(--shadow-xl), var(--shadow-glow-gold)",
+          maxHeight: "90vh",
+        }}
+      >
+        <div className="modal-content w-full h-full max-h-[90vh] overflow-y-auto overflow-x-hidden p-4 sm:p-6">
+          <div className="text-center">
+            <h2
+              id="hand-summary-title"
+              className="text-xl sm:text-2xl font-semibold mb-1 game-title"
+              style={{ color: "var(--color-text-gold)" }}
+            >
+              Hand {round} Complete
+            </h2>
+            <div
+              className="text-xs sm:text-sm mb-3 sm:mb-4"
+              style={{ color: "var(--color-text-secondary)" }}
+            >
+              {maxRounds - round} of {maxRounds} hands remaining
+            </div>
+
+            <table className="w-full mb-4 sm:mb-6 text-sm sm:text-base">
+              <thead>
+                <tr
+                  className="text-xs uppercase tracking-wider"
+                  style={{ color: "var(--color-text-secondary)" }}
+                >
+                  <th className="text-left font-medium pb-2">Player</th>
+                  <th className="text-right font-medium pb-2">This Hand</th>
+                  <th className="text-right font-medium pb-2">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {standings.map((player) => (
+                  <tr
+                    key={player.id}
+                    style={{ color: "var(--color-text-primary)" }}
+                  >
+                    <td className="text-left py-1">
+                      {getPlayerDisplayName(player)}
+                    </td>
+                    <td className="text-right py-1">
+                      {player.handScore >= 0 ? "+" : ""}
+                      {player.handScore}
+                    </td>
+                    <td className="text-right py-1 font-bold">
+                      {player.total}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <button
+              onClick={nextHand}
+              className="w-full px-3 sm:px-4 py-2.5 sm:py-3 rounded-xl font-bold transition-all duration-300 transform hover:scale-105 flex items-center justify-center gap-2 text-sm sm:text-base"
+              style={{
+                background:
+                  "linear-gradient(135deg, var(--color-gold-base) 0%, var(--color-gold-dark) 100%)",
+                color: "#ffffff",
+                textShadow: "0 1px 2px rgba(0, 0, 0, 0.4)",
+                boxShadow: "var(--shadow-md)",
+              }}
+            >
+              <FaForward /> Next Hand
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+HandSummary.propTypes = {
+  players: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+  handScores: PropTypes.arrayOf(PropTypes.number).isRequired,
+  scores: PropTypes.arrayOf(PropTypes.number).isRequired,
+  round: PropTypes.number.isRequired,
+  maxRounds: PropTypes.number.isRequired,
+  nextHand: PropTypes.func.isRequired,
+  lowScoreWins: PropTypes.bool,
+};
+
+export default HandSummary;
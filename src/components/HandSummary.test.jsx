@@ -0,0 +1,75 @@
+/**
+ * Unit tests for HandSummary component
+ * Tests hand and match score display and dealing the next hand
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import HandSummary from "./HandSummary";
+
+describe("HandSummary", () => {
+  const defaultProps = {
+    players: [
+      { id: "player1", name: "You" },
+      { id: "player2", name: "Alex" },
+      { id: "player3", name: "Sam" },
+      { id: "player4", name: "Jordan" },
+    ],
+    handScores: [4, 2, 1, 6],
+    scores: [7, 9, 3, 7],
+    round: 2,
+    maxRounds: 5,
+    nextHand: vi.fn(),
+  };
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe("rendering", () => {
+    it("should show which hand finished", () => {
+      render(<HandSummary {...defaultProps} />);
+      expect(screen.getByText("Hand 2 Complete")).toBeInTheDocument();
+    });
+
+    it("should show how many hands remain", () => {
+      render(<HandSummary {...defaultProps} />);
+      expect(screen.getByText("3 of 5 hands remaining")).toBeInTheDocument();
+    });
+
+    it("should be labelled as a dialog", () => {
+      render(<HandSummary {...defaultProps} />);
+      expect(
+        screen.getByRole("dialog", { name: "Hand 2 Complete" }),
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe("scores", () => {
+    it("should show hand and match scores for each player", () => {
+      render(<HandSummary {...defaultProps} />);
+      const cells = [...screen.getByText("Sam").closest("tr").children].map(
+        (cell) => cell.textContent,
+      );
+      expect(cells).toEqual(["Sam", "+1", "3"]);
+    });
+
+    it("should rank players by match total", () => {
+      render(<HandSummary {...defaultProps} />);
+      const names = screen
+        .getAllByRole("row")
+        .slice(1)
+        .map((row) => row.firstChild.textContent);
+      expect(names).toEqual(["Alex", "You (You)", "Jordan", "Sam"]);
+    });
+  });
+
+  describe("interactions", () => {
+    it("should deal the next hand when clicked", () => {
+      const nextHand = vi.fn();
+      render(<HandSummary {...defaultProps} nextHand={nextHand} />);
+      fireEvent.click(screen.getByRole("button", { name: /next hand/i }));
+      expect(nextHand).toHaveBeenCalledTimes(1);
+    });
+  });
+});
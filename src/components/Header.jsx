@@ -17,7 +17,10 @@ const Header = ({
   selectedRuleSet,
   setSelectedRuleSet,
   ruleSets,
+  isRuleSetLocked = false,
   resetGame,
+  tableTalkMuted,
+  toggleTableTalk,
 }) => {
   const [isHelpModalOpen, setIsHelpModalOpen] = useState(false);
 
@@ -43,7 +46,10 @@ const Header = ({
               selectedRuleSet={selectedRuleSet}
               setSelectedRuleSet={setSelectedRuleSet}
               ruleSets={ruleSets}
+              isRuleSetLocked={isRuleSetLocked}
               resetGame={resetGame}
+              tableTalkMuted={tableTalkMuted}
+              toggleTableTalk={toggleTableTalk}
             />
           </div>
         </div>
@@ -69,7 +75,11 @@ Header.propTypes = {
       description: PropTypes.string.isRequired,
     }),
   ).isRequired,
+  // True while a game is running
+  isRuleSetLocked: PropTypes.bool,
   resetGame: PropTypes.func.isRequired,
+  tableTalkMuted: PropTypes.bool,
+  toggleTableTalk: PropTypes.func,
 };
 
 export default Header;
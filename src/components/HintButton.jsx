@@ -0,0 +1,51 @@
+import PropTypes from "prop-types";
+import { FaLightbulb } from "react-icons/fa";
+
+/**
+ * HintButton component - Asks the AI for the best card on the player's turn
+ * Sits beside the TurnTimer and shows the hint's reason once one is given
+ */
+const HintButton = ({ isActive, hint = null, hintsLeft, onHint }) => {
+  if (!isActive) return null;
+
+  const isUnlimited = hintsLeft === Infinity;
+  const hintsLabel = isUnlimited
+    ? "Unlimited hints"
+    : `${hintsLeft} ${hintsLeft === 1 ? "hint" : "hints"} left`;
+
+  return (
+    <div className="hint-control">
+      {hint && (
+        <div className="hint-reason" role="status" aria-live="polite">
+          {hint.reason}
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={onHint}
+        disabled={Boolean(hint) || hintsLeft === 0}
+        className="hint-button"
+        title={hintsLabel}
+        aria-label={`Suggest a move, ${hintsLabel.toLowerCase()}`}
+      >
+        <FaLightbulb />
+        <span>Hint</span>
+        {!isUnlimited && <span className="hint-count">{hintsLeft}</span>}
+      </button>
+    </div>
+  );
+};
+
+HintButton.propTypes = {
+  isActive: PropTypes.bool.isRequired,
+  // Suggested card and why, while the player considers it
+  hint: PropTypes.shape({
+    card: PropTypes.object.isRequired,
+    reason: PropTypes.string.isRequired,
+  }),
+  // Hints left this game, Infinity when unlimited
+  hintsLeft: PropTypes.number.isRequired,
+  onHint: PropTypes.func.isRequired,
+};
+
+export default HintButton;
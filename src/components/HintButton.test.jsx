@@ -0,0 +1,73 @@
+/**
+ * Unit tests for HintButton component
+ * Tests visibility, the hints-left count, the reason and disabled states
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import HintButton from "./HintButton";
+
+describe("HintButton", () => {
+  const hint = {
+    card: { id: "hearts-9", suit: "hearts", rank: 9, value: 9 },
+    reason: "Lowest heart that still wins",
+  };
+
+  const defaultProps = {
+    isActive: true,
+    hintsLeft: 3,
+    onHint: vi.fn(),
+  };
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should render nothing when it is not the player's turn", () => {
+    const { container } = render(
+      <HintButton {...defaultProps} isActive={false} />,
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it("should show how many hints are left", () => {
+    render(<HintButton {...defaultProps} />);
+
+    const button = screen.getByRole("button", {
+      name: "Suggest a move, 3 hints left",
+    });
+    expect(button).toHaveTextContent("3");
+  });
+
+  it("should leave out the count for unlimited hints", () => {
+    render(<HintButton {...defaultProps} hintsLeft={Infinity} />);
+
+    expect(
+      screen.getByRole("button", { name: "Suggest a move, unlimited hints" }),
+    ).toHaveTextContent(/^Hint$/);
+  });
+
+  it("should ask for a hint when clicked", () => {
+    render(<HintButton {...defaultProps} />);
+    fireEvent.click(screen.getByRole("button"));
+
+    expect(defaultProps.onHint).toHaveBeenCalledTimes(1);
+  });
+
+  it("should show the reason while a hint is on show", () => {
+    render(<HintButton {...defaultProps} hint={hint} hintsLeft={2} />);
+
+    expect(screen.getByRole("status")).toHaveTextContent(
+      "Lowest heart that still wins",
+    );
+    expect(screen.getByRole("button")).toBeDisabled();
+  });
+
+  it("should be disabled once no hints are left", () => {
+    render(<HintButton {...defaultProps} hintsLeft={0} />);
+
+    expect(
+      screen.getByRole("button", { name: "Suggest a move, 0 hints left" }),
+    ).toBeDisabled();
+  });
+});
@@ -8,6 +8,8 @@ import {
   FaQuestionCircle,
   FaRedo,
   FaCrown,
+  FaComment,
+  FaCommentSlash,
 } from "react-icons/fa";
 import { useCardCustomization } from "../context";
 import CardColorPicker from "./CardColorPicker";
@@ -19,8 +21,11 @@ const LandscapeMenu = ({
   ruleSets,
   selectedRuleSet,
   setSelectedRuleSet,
+  isRuleSetLocked = false,
   resetGame,
   onHelpClick,
+  tableTalkMuted = false,
+  toggleTableTalk,
 }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [isColorPickerOpen, setIsColorPickerOpen] = useState(false);
@@ -87,6 +92,24 @@ const LandscapeMenu = ({
               <span>{theme === "dark" ? "Light Mode" : "Dark Mode"}</span>
             </button>
 
+            {toggleTableTalk && (
+              <button
+                className="landscape-menu-item"
+                role="switch"
+                aria-checked={!tableTalkMuted}
+                onClick={toggleTableTalk}
+              >
+                {tableTalkMuted ? (
+                  <FaCommentSlash className="landscape-menu-icon" />
+                ) : (
+                  <FaComment className="landscape-menu-icon" />
+                )}
+                <span>
+                  {tableTalkMuted ? "Unmute Table Talk" : "Mute Table Talk"}
+                </span>
+              </button>
+            )}
+
             <div className="landscape-menu-divider" />
 
             <div className="landscape-menu-section">
@@ -97,6 +120,7 @@ const LandscapeMenu = ({
                     key={rule.id}
                     className={`landscape-menu-rule ${selectedRuleSet === index ? "active" : ""}`}
                     onClick={() => setSelectedRuleSet(index)}
+                    disabled={isRuleSetLocked}
                   >
                     {rule.name}
                   </button>
@@ -149,8 +173,12 @@ LandscapeMenu.propTypes = {
   ).isRequired,
   selectedRuleSet: PropTypes.number.isRequired,
   setSelectedRuleSet: PropTypes.func.isRequired,
+  // True while a game is running
+  isRuleSetLocked: PropTypes.bool,
   resetGame: PropTypes.func.isRequired,
   onHelpClick: PropTypes.func.isRequired,
+  tableTalkMuted: PropTypes.bool,
+  toggleTableTalk: PropTypes.func,
 };
 
 export default LandscapeMenu;
@@ -329,6 +329,37 @@ describe("LandscapeMenu", () => {
     });
   });
 
+  describe("table talk toggle", () => {
+    it("should offer to mute table talk", () => {
+      const toggleTableTalk = vi.fn();
+      renderWithContext(
+        <LandscapeMenu {...defaultProps} toggleTableTalk={toggleTableTalk} />,
+      );
+      fireEvent.click(screen.getByRole("button", { name: /open menu/i }));
+
+      const toggle = screen.getByRole("switch", { name: "Mute Table Talk" });
+      expect(toggle).toHaveAttribute("aria-checked", "true");
+      fireEvent.click(toggle);
+
+      expect(toggleTableTalk).toHaveBeenCalledTimes(1);
+    });
+
+    it("should offer to unmute table talk", () => {
+      renderWithContext(
+        <LandscapeMenu
+          {...defaultProps}
+          tableTalkMuted
+          toggleTableTalk={vi.fn()}
+        />,
+      );
+      fireEvent.click(screen.getByRole("button", { name: /open menu/i }));
+
+      expect(
+        screen.getByRole("switch", { name: "Unmute Table Talk" }),
+      ).toHaveAttribute("aria-checked", "false");
+    });
+  });
+
   describe("rule selection", () => {
     it("should call setSelectedRuleSet when a rule is clicked", () => {
       const setSelectedRuleSet = vi.fn();
@@ -350,6 +381,16 @@ describe("LandscapeMenu", () => {
       expect(setSelectedRuleSet).toHaveBeenCalledWith(1);
     });
 
+    it("should lock the rules while a game is running", () => {
+      renderWithContext(<LandscapeMenu {...defaultProps} isRuleSetLocked />);
+
+      fireEvent.click(screen.getByRole("button", { name: /open menu/i }));
+
+      expect(
+        screen.getByText("Highest Card Wins").closest("button"),
+      ).toBeDisabled();
+    });
+
     it("should highlight the selected rule", () => {
       renderWithContext(
         <LandscapeMenu {...defaultProps} selectedRuleSet={1} />,
@@ -1,7 +1,9 @@
 import { useState, useMemo, useCallback } from "react";
 import PropTypes from "prop-types";
 import { FaTrophy, FaTimes } from "react-icons/fa";
-import { getPlayerDisplayName } from "../utils/playerUtils";
+import { getTeamDisplayName } from "../utils/playerUtils";
+import { formatBid, formatContract } from "../utils/bidUtils";
+import { getStandings } from "../utils/rankUtils";
 
 const Leaderboard = ({
   players,
@@ -9,6 +11,10 @@ const Leaderboard = ({
   currentPlayer,
   trickWinner,
   ruleSetName,
+  lowScoreWins = false,
+  bids,
+  tricksWon = [],
+  teams = null,
 }) => {
   const [isOpen, setIsOpen] = useState(false);
 
@@ -16,16 +22,10 @@ const Leaderboard = ({
     setIsOpen((prev) => !prev);
   }, []);
 
-  const sortedPlayers = useMemo(
-    () =>
-      [...players]
-        .map((player, idx) => ({
-          ...player,
-          score: scores[idx],
-          originalIndex: idx,
-        }))
-        .sort((a, b) => b.score - a.score),
-    [players, scores],
+  // One row per side: a player, or a team in partnership play
+  const standings = useMemo(
+    () => getStandings(players, scores, teams, lowScoreWins),
+    [players, scores, teams, lowScoreWins],
   );
 
   // Collapsed button state
@@ -66,31 +66,45 @@ const Leaderboard = ({
         <div className="leaderboard-rule-badge">{ruleSetName}</div>
 
         <div className="leaderboard-players">
-          {sortedPlayers.map((player, index) => {
-            const score = scores[player.originalIndex];
-            const isCurrentPlayer = currentPlayer === player.originalIndex;
-            const isWinner = trickWinner === player.id;
+          {standings.map((side, index) => {
+            const isCurrentPlayer = side.seats.includes(currentPlayer);
+            const isWinner = side.members.some(
+              (player) => player.id === trickWinner,
+            );
 
             return (
               <div
-                key={player.id}
+                key={side.id}
                 className={`leaderboard-player ${isCurrentPlayer ? "leaderboard-player-active" : ""} ${isWinner ? "leaderboard-player-winner" : ""}`}
               >
                 <span className="leaderboard-rank" data-rank={index + 1}>
                   {index + 1}
                 </span>
-                <img
-                  src={`https://robohash.org/${player.name}?set=set4&size=40x40`}
-                  alt={player.name}
-                  className="leaderboard-avatar"
-                />
+                {side.members.map((player) => (
+                  <img
+                    key={player.id}
+                    src={`https://robohash.org/${player.name}?set=set4&size=40x40`}
+                    alt={player.name}
+                    className="leaderboard-avatar"
+                  />
+                ))}
                 <span className="leaderboard-player-name">
-                  {getPlayerDisplayName(player)}
+                  {getTeamDisplayName(side.members)}
                 </span>
+                {bids &&
+                  side.seats.map((idx) => (
+                    <span
+                      key={idx}
+                      className="leaderboard-player-bid"
+                      title={`Won ${tricksWon[idx] ?? 0}, bid ${formatBid(bids[idx])}`}
+                    >
+                      {formatContract(tricksWon[idx] ?? 0, bids[idx])}
+                    </span>
+                  ))}
                 <span
                   className={`leaderboard-player-score ${isWinner ? "score-update" : ""}`}
                 >
-                  {score}
+                  {side.score}
                 </span>
               </div>
             );
@@ -115,6 +129,15 @@ Leaderboard.propTypes = {
   currentPlayer: PropTypes.number.isRequired,
   trickWinner: PropTypes.string,
   ruleSetName: PropTypes.string.isRequired,
+  lowScoreWins: PropTypes.bool,
+  bids: PropTypes.arrayOf(
+    PropTypes.shape({
+      tricks: PropTypes.number.isRequired,
+      blind: PropTypes.bool,
+    }),
+  ),
+  tricksWon: PropTypes.arrayOf(PropTypes.number),
+  teams: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
 };
 
 export default Leaderboard;
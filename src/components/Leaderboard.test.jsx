@@ -161,6 +161,18 @@ describe("Leaderboard", () => {
       expect(names[3]).toBe("Sam");
     });
 
+    it("should sort ascending when the lowest score wins", () => {
+      const { container } = render(
+        <Leaderboard {...defaultProps} lowScoreWins />,
+      );
+      expandLeaderboard();
+      const names = Array.from(
+        container.querySelectorAll(".leaderboard-player-name"),
+      ).map((el) => el.textContent);
+
+      expect(names).toEqual(["Sam", "You (You)", "Jordan", "Alex"]);
+    });
+
     it("should handle tied scores", () => {
       const tiedProps = {
         ...defaultProps,
@@ -188,6 +200,95 @@ describe("Leaderboard", () => {
     });
   });
 
+  describe("bids", () => {
+    it("should show each seat's tricks won against its bid", () => {
+      const { container } = render(
+        <Leaderboard
+          {...defaultProps}
+          bids={[
+            { tricks: 2, blind: false },
+            { tricks: 0, blind: false },
+            null,
+            { tricks: 4, blind: false },
+          ]}
+          tricksWon={[1, 0, 2, 3]}
+        />,
+      );
+      expandLeaderboard();
+      const contracts = Array.from(
+        container.querySelectorAll(".leaderboard-player-bid"),
+      ).map((el) => el.textContent);
+
+      // Sorted by score: Alex, Jordan, You, Sam
+      expect(contracts).toEqual(["0/Nil", "3/4", "1/2", "2/-"]);
+    });
+
+    it("should not show bids for rule sets without bidding", () => {
+      const { container } = render(<Leaderboard {...defaultProps} />);
+      expandLeaderboard();
+      expect(container.querySelector(".leaderboard-player-bid")).toBeNull();
+    });
+  });
+
+  describe("teams", () => {
+    const teams = [
+      [0, 2],
+      [1, 3],
+    ];
+
+    it("should show one row per team with the shared score", () => {
+      const { container } = render(
+        <Leaderboard
+          {...defaultProps}
+          scores={[40, 25, 40, 25]}
+          teams={teams}
+        />,
+      );
+      expandLeaderboard();
+      const rows = container.querySelectorAll(".leaderboard-player");
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toHaveTextContent("You (You) & Sam");
+      expect(rows[0]).toHaveTextContent("40");
+      expect(rows[1]).toHaveTextContent("Alex & Jordan");
+    });
+
+    it("should highlight the team of the current player", () => {
+      const { container } = render(
+        <Leaderboard
+          {...defaultProps}
+          scores={[40, 25, 40, 25]}
+          teams={teams}
+          currentPlayer={3}
+        />,
+      );
+      expandLeaderboard();
+      const active = container.querySelector(".leaderboard-player-active");
+      expect(active).toHaveTextContent("Alex & Jordan");
+    });
+
+    it("should show both partners' contracts", () => {
+      const { container } = render(
+        <Leaderboard
+          {...defaultProps}
+          scores={[40, 25, 40, 25]}
+          teams={teams}
+          bids={[
+            { tricks: 3, blind: false },
+            { tricks: 4, blind: false },
+            { tricks: 0, blind: false },
+            { tricks: 2, blind: false },
+          ]}
+          tricksWon={[2, 1, 0, 1]}
+        />,
+      );
+      expandLeaderboard();
+      const contracts = Array.from(
+        container.querySelectorAll(".leaderboard-player-bid"),
+      ).map((el) => el.textContent);
+      expect(contracts).toEqual(["2/3", "0/Nil", "1/4", "1/2"]);
+    });
+  });
+
   describe("current player highlighting", () => {
     it("should highlight current player", () => {
       const { container } = render(
@@ -0,0 +1,301 @@
+import { useEffect } from "react";
+import PropTypes from "prop-types";
+import { toast } from "sonner";
+import { FaEye, FaEyeSlash } from "react-icons/fa";
+import GameTable from "./GameTable";
+import Leaderboard from "./Leaderboard";
+import ChatPanel from "./ChatPanel";
+import TurnTimer from "./TurnTimer";
+import HandSummary from "./HandSummary";
+import WinnerModal from "./WinnerModal";
+import PeerLobby from "./PeerLobby";
+import PeerSignalPanel from "./PeerSignalPanel";
+import { usePeerSession, useRoomGame, useChat, PEER_ROLES } from "../hooks";
+import ruleSets, { getRuleSetById } from "../config/ruleSets";
+import {
+  CONNECTION_STATUS,
+  getTurnSecondsLeft,
+  getDefaultServerUrl,
+} from "../multiplayer";
+import { getWinnerIndex } from "../engine";
+import { GAME_PHASES, TURN_TIME_LIMIT } from "../constants";
+
+/**
+ * OnlineGame - A game played between browsers, one of them hosting, or on a
+ * room server
+ * Shows the lobby until the host starts, then the same table as a local
+ * game, drawn from this player's seat view, with the room's chat beside the
+ * leaderboard. The host keeps an invite at hand while a guest is away, and
+ * a guest whose connection dropped is asked for a new one. A server player
+ * reconnects by itself, and is told so while it does. A spectator of a
+ * table of computer players can turn on the god view to see every hand.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.settings - Room settings for a hosted game: ruleSetId,
+ *   seats, maxRounds, handSize and partnerships
+ * @param {string} props.playerName - Name to fill in
+ * @param {string} props.initialInvite - Invite code from an invite link
+ * @param {Function} props.onExit - Called after leaving, to go back to the
+ *   local game
+ */
+const OnlineGame = ({
+  settings,
+  playerName = "",
+  initialInvite = "",
+  onExit,
+}) => {
+  const session = usePeerSession();
+  const table = useRoomGame(session.client);
+  const chat = useChat(session.client);
+  const { game, gameState, players, room, seat, status, error } = table;
+
+  // Room errors during play, such as a card played out of turn
+  useEffect(() => {
+    if (error && game) toast.error(error);
+  }, [error, game]);
+
+  const leave = () => {
+    session.leave();
+    onExit();
+  };
+
+  const signal = {
+    invite: session.invite,
+    answer: session.answer,
+    invitedRoom: session.invitedRoom,
+    error: session.error,
+    onInvite: session.createInvite,
+    onAccept: session.acceptAnswer,
+    onAnswer: session.answerInvite,
+  };
+
+  if (!game) {
+    return (
+      <PeerLobby
+        role={session.role}
+        status={status}
+        room={room}
+        seat={seat}
+        isHost={table.isHost}
+        roomError={error}
+        signal={signal}
+        playerName={playerName}
+        initialInvite={initialInvite}
+        serverAddress={getDefaultServerUrl()}
+        onHost={session.host}
+        onConnectServer={session.connectServer}
+        onOpenRoom={(name) => session.client.createRoom(name, settings)}
+        onJoinRoom={(code, name) => session.client.joinRoom(code, name)}
+        onTakeSeat={(name) =>
+          session.client.joinRoom(session.invitedRoom, name)
+        }
+        onSpectate={(code) => session.client.spectate(code)}
+        onWatchAI={() => session.client.createSpectatorRoom(settings)}
+        onReady={(ready) => session.client.setReady(ready)}
+        onStart={() => session.client.startGame()}
+        onLeave={leave}
+      />
+    );
+  }
+
+  const ruleSet = getRuleSetById(game.ruleSetId) ?? ruleSets[0];
+  const isSpectator = seat === null;
+  // The room's clock runs while this player is to play or has yet to pass
+  const isOnTheClock =
+    !isSpectator &&
+    ((gameState.phase === GAME_PHASES.PLAYING &&
+      gameState.currentPlayer === seat) ||
+      (gameState.phase === GAME_PHASES.PASSING && !gameState.hasPassed));
+  const isGuestAway =
+    session.role === PEER_ROLES.GUEST && status !== CONNECTION_STATUS.OPEN;
+  const isServerAway =
+    session.role === PEER_ROLES.SERVER && status !== CONNECTION_STATUS.OPEN;
+  const isSomeoneAway =
+    session.role === PEER_ROLES.HOST &&
+    room?.seats.some(({ isAway }) => isAway);
+  const winnerIndex =
+    gameState.phase === GAME_PHASES.GAME_OVER
+      ? getWinnerIndex(gameState.scores, gameState.lowScoreWins)
+      : null;
+
+  return (
+    <>
+      <div className="game-layout flex-1 relative">
+        <GameTable
+          players={players}
+          gameState={gameState}
+          playAreaCards={table.playAreaCards}
+          cardPositions={table.cardPositions}
+          trickWinner={table.trickWinner}
+          dealingAnimation={false}
+          selectedCard={table.selectedCard}
+          legalCards={table.legalCards}
+          handleCardSelect={table.handleCardSelect}
+          handlePlaySelectedCard={table.handlePlaySelectedCard}
+          ruleSetName={ruleSet.name}
+          ruleSetDescription={ruleSet.description}
+          scores={gameState.scores}
+          passSelection={table.passSelection}
+          handlePassCards={table.passSelectedCards}
+          handlePlaceBid={table.placeBid}
+          emotes={chat.emotes}
+          spectator={isSpectator}
+          godView={table.godView}
+          viewerSeat={seat ?? 0}
+        />
+
+        <Leaderboard
+          players={players}
+          scores={gameState.scores}
+          currentPlayer={gameState.currentPlayer}
+          trickWinner={table.trickWinner}
+          ruleSetName={ruleSet.name}
+          lowScoreWins={gameState.lowScoreWins}
+          bids={gameState.bidding ? gameState.bids : undefined}
+          tricksWon={gameState.tricksWon}
+          teams={gameState.teams}
+        />
+
+        <ChatPanel
+          messages={chat.messages}
+          senders={chat.senders}
+          mutedSenders={chat.mutedSenders}
+          onToggleMute={chat.toggleMute}
+          onSend={chat.sendMessage}
+          onEmote={chat.sendEmote}
+          disabled={status !== CONNECTION_STATUS.OPEN}
+        />
+
+        <div
+          className="turn-timer-container"
+          style={{
+            position: "absolute",
+            bottom: "12px",
+            right: "0",
+            zIndex: 30,
+          }}
+        >
+          {/* The room plays or passes itself when the clock runs out */}
+          <TurnTimer
+            isActive={isOnTheClock}
+            onTimeUp={() => {}}
+            isPaused={false}
+            startTime={getTurnSecondsLeft(table.turnEndsAt) ?? TURN_TIME_LIMIT}
+          />
+        </div>
+
+        {isSpectator && room?.aiOnly && (
+          <button
+            type="button"
+            aria-pressed={table.godView}
+            onClick={() => session.client.setGodView(!table.godView)}
+            className="god-view-toggle absolute rounded-lg flex items-center gap-2"
+            style={{
+              top: "12px",
+              right: "12px",
+              zIndex: 35,
+              background: "var(--color-panel-base)",
+              border: "1px solid var(--color-border-gold)",
+              color: "var(--color-text-primary)",
+              padding: "0.5rem 0.75rem",
+            }}
+          >
+            {table.godView ? (
+              <FaEyeSlash aria-hidden="true" />
+            ) : (
+              <FaEye aria-hidden="true" />
+            )}
+            God view
+          </button>
+        )}
+
+        {(isGuestAway || isSomeoneAway) && (
+          <div
+            className="peer-reconnect-panel absolute rounded-xl"
+            style={{
+              top: "12px",
+              left: "12px",
+              zIndex: 35,
+              width: "min(90%, 18rem)",
+              background: "var(--color-panel-base)",
+              border: "1px solid var(--color-border-gold)",
+              boxShadow: "var(--shadow-lg)",
+              padding: "0.75rem",
+            }}
+          >
+            <PeerSignalPanel
+              role={session.role}
+              isConnected={status === CONNECTION_STATUS.OPEN}
+              isReconnecting={status === CONNECTION_STATUS.RECONNECTING}
+              {...signal}
+            />
+          </div>
+        )}
+
+        {isServerAway && (
+          <p
+            role="status"
+            className="peer-reconnect-panel absolute rounded-xl"
+            style={{
+              top: "12px",
+              left: "12px",
+              zIndex: 35,
+              background: "var(--color-panel-base)",
+              border: "1px solid var(--color-border-gold)",
+              color: "var(--color-text-secondary)",
+              padding: "0.75rem",
+            }}
+          >
+            Connection lost, getting your seat back...
+          </p>
+        )}
+      </div>
+
+      {gameState.phase === GAME_PHASES.HAND_OVER && (
+        <HandSummary
+          players={players}
+          handScores={gameState.handScores}
+          scores={gameState.scores}
+          round={gameState.round}
+          maxRounds={gameState.maxRounds}
+          nextHand={table.nextHand}
+          lowScoreWins={gameState.lowScoreWins}
+        />
+      )}
+
+      {winnerIndex !== null && (
+        <WinnerModal
+          players={players}
+          scores={gameState.scores}
+          winner={{
+            player: players[winnerIndex],
+            score: gameState.scores[winnerIndex],
+            team:
+              gameState.teams
+                ?.find((seats) => seats.includes(winnerIndex))
+                ?.map((idx) => players[idx]) ?? null,
+          }}
+          resetGame={leave}
+          handHistory={gameState.handHistory}
+          lowScoreWins={gameState.lowScoreWins}
+          teams={gameState.teams}
+        />
+      )}
+    </>
+  );
+};
+
+OnlineGame.propTypes = {
+  settings: PropTypes.shape({
+    ruleSetId: PropTypes.string.isRequired,
+    seats: PropTypes.number,
+    maxRounds: PropTypes.number,
+    handSize: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    partnerships: PropTypes.bool,
+  }).isRequired,
+  playerName: PropTypes.string,
+  initialInvite: PropTypes.string,
+  onExit: PropTypes.func.isRequired,
+};
+
+export default OnlineGame;
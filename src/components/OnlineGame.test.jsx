@@ -0,0 +1,180 @@
+/**
+ * Unit tests for OnlineGame component
+ * Plays through room clients on an in-memory room server, handed to the
+ * component in place of the session the lobby would have set up
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import OnlineGame from "./OnlineGame";
+import { CardCustomizationProvider } from "../context";
+import { usePeerSession, PEER_ROLES } from "../hooks";
+import {
+  createRoomServer,
+  createRoomClient,
+  openLoopback,
+} from "../multiplayer";
+import { ENGINE_ACTIONS } from "../engine";
+import { GAME_PHASES } from "../constants";
+
+vi.mock("../hooks", async (importOriginal) => ({
+  ...(await importOriginal()),
+  usePeerSession: vi.fn(),
+}));
+
+const settings = { ruleSetId: "suit-follows" };
+
+const createTabStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+describe("OnlineGame", () => {
+  let server;
+  let clients;
+
+  const flush = (ms = 0) => act(() => vi.advanceTimersByTimeAsync(ms));
+
+  const connectClient = async () => {
+    const client = createRoomClient({
+      open: () => openLoopback(server),
+      storage: createTabStorage(),
+    });
+    clients.push(client);
+    await flush();
+    return client;
+  };
+
+  /**
+   * Shows the game as the session's client sees it
+   */
+  const renderGame = (client) => {
+    usePeerSession.mockReturnValue({
+      role: PEER_ROLES.SERVER,
+      client,
+      invite: null,
+      answer: null,
+      invitedRoom: null,
+      error: null,
+      leave: vi.fn(),
+    });
+    return render(
+      <CardCustomizationProvider>
+        <OnlineGame settings={settings} onExit={vi.fn()} />
+      </CardCustomizationProvider>,
+    );
+  };
+
+  /**
+   * Seats a player in a room of computer players and starts the game
+   */
+  const startSeatedGame = async () => {
+    const player = await connectClient();
+    player.createRoom("Ana", settings);
+    await flush();
+    player.startGame();
+    await flush();
+    return player;
+  };
+
+  // Lets the computer seats play until it is the player's turn
+  const playUntilOwnTurn = async (client) => {
+    for (let step = 0; step < 20; step += 1) {
+      const { game, seat } = client.getSnapshot();
+      if (game.phase === GAME_PHASES.PLAYING && game.currentPlayer === seat) {
+        return;
+      }
+      await flush(10);
+    }
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    clients = [];
+    server = createRoomServer({
+      createCode: () => "ROOM",
+      timings: { turnDelay: 0, trickDelay: 0 },
+    });
+  });
+
+  afterEach(() => {
+    clients.forEach((client) => client.close());
+    server.close();
+    vi.useRealTimers();
+  });
+
+  it("should draw the table from the player's seat", async () => {
+    const player = await startSeatedGame();
+    const { container } = renderGame(player);
+
+    const hand = player.getSnapshot().game.players[0].hand;
+    expect(container.querySelector(".user-hand-area")).toHaveTextContent("Ana");
+    expect(container.querySelectorAll(".hand-card")).toHaveLength(hand.length);
+  });
+
+  it("should send the card played through the room client", async () => {
+    const player = await startSeatedGame();
+    await playUntilOwnTurn(player);
+    const sendAction = vi.spyOn(player, "sendAction");
+    const { container } = renderGame(player);
+
+    fireEvent.click(
+      container.querySelector(".hand-card.playable:not(.illegal)"),
+    );
+    fireEvent.click(container.querySelector(".play-area-drop"));
+
+    expect(sendAction).toHaveBeenCalledWith({
+      type: ENGINE_ACTIONS.PLAY_CARD,
+      card: expect.objectContaining({ id: expect.any(String) }),
+    });
+    const [{ card }] = sendAction.mock.calls[0];
+    await flush();
+    expect(
+      server
+        .getRoom("ROOM")
+        .game.ledger.plays.some(
+          (play) => play.playerId === "player1" && play.card.id === card.id,
+        ),
+    ).toBe(true);
+  });
+
+  it("should show a spectator the table without a hand to play", async () => {
+    await startSeatedGame();
+    const watcher = await connectClient();
+    watcher.spectate("ROOM");
+    await flush();
+    const { container } = renderGame(watcher);
+
+    expect(container.querySelector(".user-hand-area")).not.toBeInTheDocument();
+    expect(container.querySelectorAll(".hand-card")).toHaveLength(0);
+    // A person is playing, so there is no god view
+    expect(
+      screen.queryByRole("button", { name: /God view/ }),
+    ).not.toBeInTheDocument();
+  });
+
+  it("should turn on god view at a table of computer players", async () => {
+    const watcher = await connectClient();
+    watcher.createSpectatorRoom(settings);
+    await flush();
+    watcher.startGame();
+    await flush();
+    const setGodView = vi.spyOn(watcher, "setGodView");
+    renderGame(watcher);
+
+    const toggle = screen.getByRole("button", { name: /God view/ });
+    expect(toggle).toHaveAttribute("aria-pressed", "false");
+    fireEvent.click(toggle);
+    await flush();
+
+    expect(setGodView).toHaveBeenCalledWith(true);
+    expect(toggle).toHaveAttribute("aria-pressed", "true");
+    expect(
+      screen.getAllByRole("list", { name: /^Cards in .+'s hand$/ }),
+    ).toHaveLength(4);
+  });
+});
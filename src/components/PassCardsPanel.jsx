@@ -0,0 +1,105 @@
+import PropTypes from "prop-types";
+import { FaExchangeAlt } from "react-icons/fa";
+
+/**
+ * PassCardsPanel - Card pass prompt shown on the table before play starts
+ * Tells the player which way cards go this hand, counts the cards picked
+ * from their hand, and submits the pass once enough are picked
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.direction - Pass direction ("left", "right", "across")
+ * @param {number} props.count - Number of cards to pass
+ * @param {number} props.selectedCount - Number of cards picked so far
+ * @param {boolean} props.hasPassed - Whether the player has already passed
+ * @param {Function} props.onPass - Function to pass the picked cards
+ */
+const PassCardsPanel = ({
+  direction,
+  count,
+  selectedCount,
+  hasPassed,
+  onPass,
+}) => {
+  const isReady = selectedCount === count;
+
+  return (
+    <div
+      className="pass-cards-panel absolute rounded-xl text-center"
+      role="region"
+      aria-label="Pass cards"
+      style={{
+        top: "50%",
+        left: "50%",
+        transform: "translate(-50%, -50%)",
+        zIndex: 20,
+        background:
+          "linear-gradient(180deg, var(--color-panel-light) 0%, var(--color-panel-base) 100%)",
+        border: "1px solid var(--color-border-gold)",
+        boxShadow: "var(--shadow-xl)",
+        padding: "clamp(0.75rem, 2vh, 1rem) clamp(1rem, 3vw, 1.5rem)",
+        minWidth: "clamp(11rem, 40vw, 15rem)",
+      }}
+    >
+      <div
+        className="font-semibold game-title"
+        style={{
+          color: "var(--color-text-gold)",
+          fontSize: "clamp(0.9375rem, 1.8vh, 1.0625rem)",
+        }}
+      >
+        Pass {count} cards {direction}
+      </div>
+
+      {hasPassed ? (
+        <div
+          style={{
+            color: "var(--color-text-secondary)",
+            fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+            marginTop: "0.5rem",
+          }}
+        >
+          Waiting for the other players...
+        </div>
+      ) : (
+        <>
+          <div
+            style={{
+              color: "var(--color-text-primary)",
+              fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+              margin: "0.375rem 0 0.625rem",
+            }}
+          >
+            {selectedCount} of {count} selected
+          </div>
+          <button
+            type="button"
+            onClick={onPass}
+            disabled={!isReady}
+            className="w-full rounded-lg font-bold flex items-center justify-center gap-2 transition-all duration-200"
+            style={{
+              background: isReady
+                ? "linear-gradient(135deg, var(--color-gold-base) 0%, var(--color-gold-dark) 100%)"
+                : "var(--color-panel-dark)",
+              color: isReady ? "#ffffff" : "var(--color-text-muted)",
+              cursor: isReady ? "pointer" : "not-allowed",
+              padding: "clamp(0.5rem, 1.2vh, 0.625rem) 0.75rem",
+              fontSize: "clamp(0.8125rem, 1.5vh, 0.9375rem)",
+            }}
+          >
+            <FaExchangeAlt /> Pass Cards
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+PassCardsPanel.propTypes = {
+  direction: PropTypes.string.isRequired,
+  count: PropTypes.number.isRequired,
+  selectedCount: PropTypes.number.isRequired,
+  hasPassed: PropTypes.bool.isRequired,
+  onPass: PropTypes.func.isRequired,
+};
+
+export default PassCardsPanel;
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for PassCardsPanel component
+ * Tests the pass prompt, selection count and submitting the pass
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import PassCardsPanel from "./PassCardsPanel";
+
+describe("PassCardsPanel", () => {
+  const defaultProps = {
+    direction: "left",
+    count: 3,
+    selectedCount: 1,
+    hasPassed: false,
+    onPass: vi.fn(),
+  };
+
+  afterEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("should show the pass direction and size", () => {
+    render(<PassCardsPanel {...defaultProps} direction="across" />);
+    expect(screen.getByText("Pass 3 cards across")).toBeInTheDocument();
+  });
+
+  it("should count the picked cards", () => {
+    render(<PassCardsPanel {...defaultProps} />);
+    expect(screen.getByText("1 of 3 selected")).toBeInTheDocument();
+  });
+
+  it("should disable passing until enough cards are picked", () => {
+    const onPass = vi.fn();
+    render(<PassCardsPanel {...defaultProps} onPass={onPass} />);
+    const button = screen.getByRole("button", { name: /pass cards/i });
+
+    expect(button).toBeDisabled();
+    fireEvent.click(button);
+    expect(onPass).not.toHaveBeenCalled();
+  });
+
+  it("should pass once enough cards are picked", () => {
+    const onPass = vi.fn();
+    render(
+      <PassCardsPanel {...defaultProps} selectedCount={3} onPass={onPass} />,
+    );
+    fireEvent.click(screen.getByRole("button", { name: /pass cards/i }));
+    expect(onPass).toHaveBeenCalledTimes(1);
+  });
+
+  it("should wait for the others after passing", () => {
+    render(<PassCardsPanel {...defaultProps} hasPassed />);
+    expect(
+      screen.getByText("Waiting for the other players..."),
+    ).toBeInTheDocument();
+    expect(screen.queryByRole("button")).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,88 @@
+import PropTypes from "prop-types";
+import { FaExchangeAlt, FaEye } from "react-icons/fa";
+
+/**
+ * PassDeviceScreen - Privacy screen between two people's turns in a
+ * pass-and-play game
+ * Covers the table while the device changes hands, so the last player's
+ * cards are hidden, and shows the next player's hand only once they say
+ * they have the device
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.playerName - Name of the player to pass the device to
+ * @param {Function} props.onReady - Called when that player takes the device
+ */
+const PassDeviceScreen = ({ playerName, onReady }) => (
+  <div
+    className="pass-device-screen absolute inset-0 flex items-center justify-center"
+    role="dialog"
+    aria-modal="true"
+    aria-labelledby="pass-device-title"
+    style={{
+      zIndex: 40,
+      background: "var(--color-bg-deep)",
+      backdropFilter: "blur(12px)",
+    }}
+  >
+    <div
+      className="rounded-xl text-center"
+      style={{
+        background:
+          "linear-gradient(180deg, var(--color-panel-light) 0%, var(--color-panel-base) 100%)",
+        border: "1px solid var(--color-border-gold)",
+        boxShadow: "var(--shadow-xl)",
+        padding: "clamp(1rem, 3vh, 1.5rem) clamp(1.25rem, 4vw, 2rem)",
+        minWidth: "clamp(12rem, 50vw, 18rem)",
+      }}
+    >
+      <FaExchangeAlt
+        aria-hidden="true"
+        style={{
+          color: "var(--color-gold-base)",
+          fontSize: "clamp(1.25rem, 3vh, 1.5rem)",
+          margin: "0 auto 0.5rem",
+        }}
+      />
+      <h2
+        id="pass-device-title"
+        className="font-semibold game-title"
+        style={{
+          color: "var(--color-text-gold)",
+          fontSize: "clamp(1.0625rem, 2.2vh, 1.25rem)",
+        }}
+      >
+        Pass the device to {playerName}
+      </h2>
+      <p
+        style={{
+          color: "var(--color-text-secondary)",
+          fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+          margin: "0.375rem 0 0.875rem",
+        }}
+      >
+        The cards stay hidden until {playerName} is ready
+      </p>
+      <button
+        type="button"
+        onClick={onReady}
+        className="w-full rounded-lg font-bold flex items-center justify-center gap-2 transition-all duration-200"
+        style={{
+          background:
+            "linear-gradient(135deg, var(--color-gold-base) 0%, var(--color-gold-dark) 100%)",
+          color: "#ffffff",
+          padding: "clamp(0.5rem, 1.2vh, 0.625rem) 0.75rem",
+          fontSize: "clamp(0.8125rem, 1.5vh, 0.9375rem)",
+        }}
+      >
+        <FaEye /> I'm {playerName}, show my cards
+      </button>
+    </div>
+  </div>
+);
+
+PassDeviceScreen.propTypes = {
+  playerName: PropTypes.string.isRequired,
+  onReady: PropTypes.func.isRequired,
+};
+
+export default PassDeviceScreen;
@@ -0,0 +1,28 @@
+/**
+ * Unit tests for PassDeviceScreen component
+ * Tests the hand-over prompt between pass-and-play turns
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import PassDeviceScreen from "./PassDeviceScreen";
+
+describe("PassDeviceScreen", () => {
+  it("should name the player to pass the device to", () => {
+    render(<PassDeviceScreen playerName="Sam" onReady={vi.fn()} />);
+
+    expect(
+      screen.getByRole("dialog", { name: "Pass the device to Sam" }),
+    ).toBeInTheDocument();
+  });
+
+  it("should show the cards once the player takes the device", () => {
+    const onReady = vi.fn();
+    render(<PassDeviceScreen playerName="Sam" onReady={onReady} />);
+    fireEvent.click(
+      screen.getByRole("button", { name: /I'm Sam, show my cards/ }),
+    );
+
+    expect(onReady).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,566 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import {
+  FaArrowLeft,
+  FaCheck,
+  FaCrown,
+  FaEye,
+  FaPlay,
+  FaRobot,
+  FaServer,
+  FaWifi,
+} from "react-icons/fa";
+import PeerSignalPanel from "./PeerSignalPanel";
+import { sanitizeUsername } from "../utils/sanitize";
+import {
+  CONNECTION_STATUS,
+  ROOM_CODE_LENGTH,
+  normalizeRoomCode,
+} from "../multiplayer";
+
+const buttonStyle = {
+  background:
+    "linear-gradient(135deg, var(--color-felt-light) 0%, var(--color-felt-base) 100%)",
+  color: "#ffffff",
+  border: "1px solid rgba(255, 255, 255, 0.1)",
+  padding: "clamp(0.5rem, 1.2vh, 0.625rem) 0.75rem",
+  fontSize: "clamp(0.8125rem, 1.5vh, 0.9375rem)",
+};
+
+const textStyle = {
+  color: "var(--color-text-secondary)",
+  fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+};
+
+const inputStyle = {
+  background: "var(--color-bg-elevated)",
+  border: "1px solid var(--color-border-default)",
+  color: "var(--color-text-primary)",
+  padding: "0.375rem 0.5rem",
+};
+
+/**
+ * Seats of the room, with who hosts, who is ready and who is a computer
+ */
+const SeatList = ({ seats, mySeat }) => (
+  <ul className="flex flex-col gap-1" aria-label="Seats">
+    {seats.map(({ seat, name, ready, isHost, isBot, isAway }) => (
+      <li
+        key={seat}
+        className="flex items-center justify-between rounded-md"
+        style={{
+          background: "var(--color-bg-elevated)",
+          border:
+            seat === mySeat
+              ? "1px solid var(--color-border-gold)"
+              : "1px solid var(--color-border-default)",
+          color: "var(--color-text-primary)",
+          fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+          padding: "0.25rem 0.5rem",
+        }}
+      >
+        <span className="flex items-center gap-1">
+          {isHost && <FaCrown aria-label="Host" />}
+          {isBot && <FaRobot aria-label="Computer" />}
+          {seat === mySeat ? `${name} (You)` : name}
+        </span>
+        <span style={textStyle}>
+          {isAway && "Away"}
+          {!isAway && !isBot && (ready || isHost) && (
+            <FaCheck aria-label="Ready" />
+          )}
+        </span>
+      </li>
+    ))}
+  </ul>
+);
+
+SeatList.propTypes = {
+  seats: PropTypes.arrayOf(
+    PropTypes.shape({
+      seat: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      ready: PropTypes.bool,
+      isHost: PropTypes.bool,
+      isBot: PropTypes.bool,
+      isAway: PropTypes.bool,
+    }),
+  ).isRequired,
+  mySeat: PropTypes.number,
+};
+
+/**
+ * Name field with the button that uses it, and a room code field first when
+ * the room has to be named too
+ */
+const NameForm = ({
+  initialName,
+  action,
+  askCode = false,
+  disabled = false,
+  onSubmit,
+}) => {
+  const [name, setName] = useState(initialName);
+  const [code, setCode] = useState("");
+  const isValid =
+    name.trim().length > 0 && (!askCode || code.length === ROOM_CODE_LENGTH);
+
+  return (
+    <form
+      className="flex flex-col gap-2"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!isValid || disabled) return;
+        if (askCode) onSubmit(code, name.trim());
+        else onSubmit(name.trim());
+      }}
+    >
+      {askCode && (
+        <label className="flex flex-col gap-1" style={textStyle}>
+          Room code
+          <input
+            type="text"
+            value={code}
+            maxLength={ROOM_CODE_LENGTH}
+            onChange={(e) => setCode(normalizeRoomCode(e.target.value))}
+            className="rounded-md"
+            style={inputStyle}
+          />
+        </label>
+      )}
+      <label className="flex flex-col gap-1" style={textStyle}>
+        Your name
+        <input
+          type="text"
+          value={name}
+          maxLength={20}
+          onChange={(e) =>
+            setName(
+              sanitizeUsername(e.target.value, {
+                maxLength: 20,
+                allowSpaces: true,
+                allowNumbers: true,
+                allowSpecialChars: false,
+              }),
+            )
+          }
+          className="rounded-md"
+          style={inputStyle}
+        />
+      </label>
+      <button
+        type="submit"
+        disabled={!isValid || disabled}
+        className="rounded-lg font-bold"
+        style={{ ...buttonStyle, opacity: isValid && !disabled ? 1 : 0.6 }}
+      >
+        {action}
+      </button>
+    </form>
+  );
+};
+
+NameForm.propTypes = {
+  initialName: PropTypes.string.isRequired,
+  action: PropTypes.string.isRequired,
+  askCode: PropTypes.bool,
+  disabled: PropTypes.bool,
+  onSubmit: PropTypes.func.isRequired,
+};
+
+/**
+ * Room code field with the button that watches the room
+ */
+const WatchForm = ({ onSubmit }) => {
+  const [code, setCode] = useState("");
+  const isValid = code.length === ROOM_CODE_LENGTH;
+
+  return (
+    <form
+      className="flex gap-2 items-end"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (isValid) onSubmit(code);
+      }}
+    >
+      <label className="flex flex-col gap-1 flex-1" style={textStyle}>
+        Room to watch
+        <input
+          type="text"
+          value={code}
+          maxLength={ROOM_CODE_LENGTH}
+          onChange={(e) => setCode(normalizeRoomCode(e.target.value))}
+          className="rounded-md"
+          style={inputStyle}
+        />
+      </label>
+      <button
+        type="submit"
+        disabled={!isValid}
+        className="rounded-lg font-bold flex items-center justify-center gap-2"
+        style={{ ...buttonStyle, opacity: isValid ? 1 : 0.6 }}
+      >
+        <FaEye aria-hidden="true" /> Watch
+      </button>
+    </form>
+  );
+};
+
+WatchForm.propTypes = {
+  onSubmit: PropTypes.func.isRequired,
+};
+
+/**
+ * Button that opens a room of computer players to watch
+ */
+const WatchAIButton = ({ disabled = false, onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={disabled}
+    className="rounded-lg font-bold flex items-center justify-center gap-2"
+    style={{ ...buttonStyle, opacity: disabled ? 0.6 : 1 }}
+  >
+    <FaRobot aria-hidden="true" /> Watch computer players
+  </button>
+);
+
+WatchAIButton.propTypes = {
+  disabled: PropTypes.bool,
+  onClick: PropTypes.func.isRequired,
+};
+
+/**
+ * Address of a room server, with the button that connects to it
+ */
+const ServerForm = ({ initialAddress, onSubmit }) => {
+  const [address, setAddress] = useState(initialAddress);
+  const isValid = address.trim().length > 0;
+
+  return (
+    <form
+      className="flex flex-col gap-2"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (isValid) onSubmit(address.trim());
+      }}
+    >
+      <label className="flex flex-col gap-1" style={textStyle}>
+        Server address
+        <input
+          type="text"
+          value={address}
+          onChange={(e) => setAddress(e.target.value)}
+          className="rounded-md"
+          style={inputStyle}
+        />
+      </label>
+      <button
+        type="submit"
+        disabled={!isValid}
+        className="rounded-lg font-bold flex items-center justify-center gap-2"
+        style={{ ...buttonStyle, opacity: isValid ? 1 : 0.6 }}
+      >
+        <FaServer aria-hidden="true" /> Connect to server
+      </button>
+    </form>
+  );
+};
+
+ServerForm.propTypes = {
+  initialAddress: PropTypes.string.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+};
+
+/**
+ * PeerLobby - Sets up a game played between browsers, or on a room server
+ * One player hosts: their browser runs the room, and they invite the others
+ * one at a time by swapping codes. Guests answer an invite, take a seat and
+ * say they are ready, and the host starts the game; seats nobody takes are
+ * played by the computer. On a room server (`npm run server`) the first
+ * player creates a room and the others join it by its code instead. A room
+ * created here uses the table settings picked in the waiting room.
+ *
+ * Anyone can watch instead of playing: a guest can watch the room they were
+ * invited to, a server player can watch a room by its code, and both a host
+ * and a server player can open a table of computer players to watch.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.role - "host", "guest", "server", or null before
+ *   choosing
+ * @param {string} props.status - Room client's connection status
+ * @param {Object} props.room - Room summary once in a room
+ * @param {number} props.seat - Player's seat in the room, or null
+ * @param {boolean} props.isHost - Whether the player hosts the room
+ * @param {string} props.roomError - Last error the room reported
+ * @param {Object} props.signal - Codes being swapped and the last connection
+ *   error (see PeerSignalPanel)
+ * @param {string} props.playerName - Name to fill in
+ * @param {string} props.initialInvite - Invite code from an invite link
+ * @param {string} props.serverAddress - Room server address to fill in
+ * @param {Function} props.onHost - Starts hosting in this browser
+ * @param {Function} props.onConnectServer - Connects to a room server at an
+ *   address
+ * @param {Function} props.onOpenRoom - Opens the host's room under a name
+ * @param {Function} props.onJoinRoom - Joins a server room by (code, name)
+ * @param {Function} props.onTakeSeat - Takes a guest's seat under a name
+ * @param {Function} props.onSpectate - Watches a room by its code
+ * @param {Function} props.onWatchAI - Opens a room of computer players to
+ *   watch
+ * @param {Function} props.onReady - Marks a guest ready or not
+ * @param {Function} props.onStart - Starts the game (host)
+ * @param {Function} props.onLeave - Leaves the room and the session
+ */
+const PeerLobby = ({
+  role = null,
+  status = null,
+  room = null,
+  seat = null,
+  isHost = false,
+  roomError = null,
+  signal,
+  playerName = "",
+  initialInvite = "",
+  serverAddress = "",
+  onHost,
+  onConnectServer,
+  onOpenRoom,
+  onJoinRoom,
+  onTakeSeat,
+  onSpectate,
+  onWatchAI,
+  onReady,
+  onStart,
+  onLeave,
+}) => {
+  // A guest chooses to join before there is a session to say so
+  const [isJoining, setIsJoining] = useState(Boolean(initialInvite));
+  const shownRole = role ?? (isJoining ? "guest" : null);
+  const isOpen = status === CONNECTION_STATUS.OPEN;
+  const mySeat = room?.seats.find(({ seat: idx }) => idx === seat);
+
+  return (
+    <div
+      className="peer-lobby w-full flex justify-center"
+      style={{ padding: "clamp(0.75rem, 2vh, 1.5rem) 0" }}
+    >
+      <div
+        className="rounded-xl flex flex-col gap-3"
+        style={{
+          background:
+            "linear-gradient(180deg, var(--color-panel-light) 0%, var(--color-panel-base) 100%)",
+          border: "1px solid var(--color-border-gold)",
+          boxShadow: "var(--shadow-xl)",
+          padding: "clamp(1rem, 3vh, 1.5rem) clamp(1.25rem, 4vw, 2rem)",
+          width: "min(100%, 26rem)",
+        }}
+      >
+        <h2
+          className="font-semibold game-title flex items-center gap-2"
+          style={{
+            color: "var(--color-text-gold)",
+            fontSize: "clamp(1.0625rem, 2.2vh, 1.25rem)",
+          }}
+        >
+          <FaWifi aria-hidden="true" /> Play online
+        </h2>
+
+        {!shownRole && (
+          <>
+            <p style={textStyle}>
+              One browser hosts the game and the others connect to it directly,
+              no server needed. Two tabs work too.
+            </p>
+            <button
+              type="button"
+              onClick={onHost}
+              className="rounded-lg font-bold"
+              style={buttonStyle}
+            >
+              Host a game
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsJoining(true)}
+              className="rounded-lg font-bold"
+              style={buttonStyle}
+            >
+              Join a game
+            </button>
+            <p style={textStyle}>
+              Or play on a room server, started with npm run server.
+            </p>
+            <ServerForm
+              initialAddress={serverAddress}
+              onSubmit={onConnectServer}
+            />
+            {signal.error && (
+              <p role="alert" style={{ ...textStyle, color: "#ef4444" }}>
+                {signal.error}
+              </p>
+            )}
+          </>
+        )}
+
+        {shownRole === "server" && !isOpen && (
+          <p role="status" style={textStyle}>
+            {status === CONNECTION_STATUS.RECONNECTING
+              ? "Cannot reach the server, trying again..."
+              : "Connecting to the server..."}
+          </p>
+        )}
+
+        {shownRole === "server" && isOpen && !room && (
+          <>
+            <NameForm
+              initialName={playerName}
+              action="Create room"
+              onSubmit={onOpenRoom}
+            />
+            <NameForm
+              initialName={playerName}
+              action="Join room"
+              askCode
+              onSubmit={onJoinRoom}
+            />
+            <WatchForm onSubmit={onSpectate} />
+            <WatchAIButton onClick={onWatchAI} />
+          </>
+        )}
+
+        {room && (
+          <>
+            <p style={textStyle}>
+              Room <strong>{room.code}</strong> · {room.seats.length} seats
+            </p>
+            <SeatList seats={room.seats} mySeat={seat} />
+          </>
+        )}
+
+        {shownRole === "host" && !room && (
+          <>
+            <NameForm
+              initialName={playerName}
+              action="Open room"
+              disabled={!isOpen}
+              onSubmit={onOpenRoom}
+            />
+            <WatchAIButton disabled={!isOpen} onClick={onWatchAI} />
+          </>
+        )}
+
+        {room && seat === null && (
+          <p style={textStyle}>
+            <FaEye aria-hidden="true" /> You are watching this room
+          </p>
+        )}
+
+        {shownRole === "host" && room && seat !== null && (
+          <PeerSignalPanel role="host" {...signal} />
+        )}
+
+        {shownRole === "guest" && (
+          <PeerSignalPanel
+            role="guest"
+            isConnected={isOpen}
+            isReconnecting={status === CONNECTION_STATUS.RECONNECTING}
+            initialInvite={initialInvite}
+            {...signal}
+          />
+        )}
+
+        {shownRole === "guest" && isOpen && !room && signal.invitedRoom && (
+          <>
+            <NameForm
+              initialName={playerName}
+              action={`Take a seat in room ${signal.invitedRoom}`}
+              onSubmit={onTakeSeat}
+            />
+            <button
+              type="button"
+              onClick={() => onSpectate(signal.invitedRoom)}
+              className="rounded-lg font-bold flex items-center justify-center gap-2"
+              style={buttonStyle}
+            >
+              <FaEye aria-hidden="true" /> Watch room {signal.invitedRoom}
+            </button>
+          </>
+        )}
+
+        {mySeat && !isHost && (
+          <button
+            type="button"
+            aria-pressed={mySeat.ready}
+            onClick={() => onReady(!mySeat.ready)}
+            className="rounded-lg font-bold"
+            style={buttonStyle}
+          >
+            {mySeat.ready ? "Ready, waiting for the host" : "I'm ready"}
+          </button>
+        )}
+
+        {isHost && room && (
+          <button
+            type="button"
+            onClick={onStart}
+            className="rounded-lg font-bold flex items-center justify-center gap-2 start-game-btn"
+            style={buttonStyle}
+          >
+            <FaPlay aria-hidden="true" /> Start game
+          </button>
+        )}
+
+        {roomError && (
+          <p role="alert" style={{ ...textStyle, color: "#ef4444" }}>
+            {roomError}
+          </p>
+        )}
+
+        <button
+          type="button"
+          onClick={onLeave}
+          className="flex items-center justify-center gap-2"
+          style={textStyle}
+        >
+          <FaArrowLeft aria-hidden="true" /> Back to the waiting room
+        </button>
+      </div>
+    </div>
+  );
+};
+
+PeerLobby.propTypes = {
+  role: PropTypes.oneOf(["host", "guest", "server"]),
+  status: PropTypes.string,
+  room: PropTypes.shape({
+    code: PropTypes.string.isRequired,
+    seats: PropTypes.array.isRequired,
+  }),
+  seat: PropTypes.number,
+  isHost: PropTypes.bool,
+  roomError: PropTypes.string,
+  signal: PropTypes.shape({
+    invite: PropTypes.object,
+    answer: PropTypes.string,
+    invitedRoom: PropTypes.string,
+    error: PropTypes.string,
+    onInvite: PropTypes.func,
+    onAccept: PropTypes.func,
+    onAnswer: PropTypes.func,
+  }).isRequired,
+  playerName: PropTypes.string,
+  initialInvite: PropTypes.string,
+  serverAddress: PropTypes.string,
+  onHost: PropTypes.func.isRequired,
+  onConnectServer: PropTypes.func.isRequired,
+  onOpenRoom: PropTypes.func.isRequired,
+  onJoinRoom: PropTypes.func.isRequired,
+  onTakeSeat: PropTypes.func.isRequired,
+  onSpectate: PropTypes.func.isRequired,
+  onWatchAI: PropTypes.func.isRequired,
+  onReady: PropTypes.func.isRequired,
+  onStart: PropTypes.func.isRequired,
+  onLeave: PropTypes.func.isRequired,
+};
+
+export default PeerLobby;
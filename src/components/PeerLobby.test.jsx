@@ -0,0 +1,184 @@
+/**
+ * Unit tests for PeerLobby component
+ * Tests hosting, joining and getting ready for a game between browsers
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import PeerLobby from "./PeerLobby";
+
+const room = {
+  code: "ROOM",
+  seats: [
+    { seat: 0, name: "Ana", ready: false, isHost: true, isBot: false },
+    { seat: 1, name: "Ben", ready: false, isHost: false, isBot: false },
+    { seat: 2, name: "Alex", ready: false, isHost: false, isBot: true },
+  ],
+};
+
+const renderLobby = (props = {}) => {
+  const handlers = {
+    onHost: vi.fn(),
+    onConnectServer: vi.fn(),
+    onOpenRoom: vi.fn(),
+    onJoinRoom: vi.fn(),
+    onTakeSeat: vi.fn(),
+    onSpectate: vi.fn(),
+    onWatchAI: vi.fn(),
+    onReady: vi.fn(),
+    onStart: vi.fn(),
+    onLeave: vi.fn(),
+  };
+  render(<PeerLobby signal={{}} {...handlers} {...props} />);
+  return handlers;
+};
+
+describe("PeerLobby", () => {
+  it("should offer to host or join a game", () => {
+    const { onHost } = renderLobby();
+    fireEvent.click(screen.getByRole("button", { name: "Host a game" }));
+    expect(onHost).toHaveBeenCalledTimes(1);
+
+    fireEvent.click(screen.getByRole("button", { name: "Join a game" }));
+    expect(
+      screen.getByLabelText("Invite code from the host"),
+    ).toBeInTheDocument();
+  });
+
+  it("should connect to a room server at the address given", () => {
+    const { onConnectServer } = renderLobby({
+      serverAddress: "ws://localhost:8787",
+    });
+    const address = screen.getByLabelText("Server address");
+    expect(address).toHaveValue("ws://localhost:8787");
+
+    fireEvent.change(address, { target: { value: "cards.lan:9000" } });
+    fireEvent.click(screen.getByRole("button", { name: /Connect to server/ }));
+    expect(onConnectServer).toHaveBeenCalledWith("cards.lan:9000");
+  });
+
+  it("should say when the server cannot be reached", () => {
+    renderLobby({ role: "server", status: "reconnecting" });
+
+    expect(screen.getByRole("status")).toHaveTextContent(
+      "Cannot reach the server",
+    );
+  });
+
+  it("should create or join a server room by its code", () => {
+    const { onOpenRoom, onJoinRoom } = renderLobby({
+      role: "server",
+      status: "open",
+      playerName: "Ben",
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Create room" }));
+    expect(onOpenRoom).toHaveBeenCalledWith("Ben");
+
+    const join = screen.getByRole("button", { name: "Join room" });
+    expect(join).toBeDisabled();
+    fireEvent.change(screen.getByLabelText("Room code"), {
+      target: { value: "ro om" },
+    });
+    fireEvent.click(join);
+    expect(onJoinRoom).toHaveBeenCalledWith("ROOM", "Ben");
+  });
+
+  it("should watch a server room by its code or a table of computers", () => {
+    const { onSpectate, onWatchAI } = renderLobby({
+      role: "server",
+      status: "open",
+    });
+    fireEvent.change(screen.getByLabelText("Room to watch"), {
+      target: { value: "room" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Watch" }));
+    expect(onSpectate).toHaveBeenCalledWith("ROOM");
+
+    fireEvent.click(
+      screen.getByRole("button", { name: "Watch computer players" }),
+    );
+    expect(onWatchAI).toHaveBeenCalledTimes(1);
+  });
+
+  it("should fill in the invite from an invite link", () => {
+    renderLobby({ initialInvite: "from-link" });
+
+    expect(screen.getByLabelText("Invite code from the host")).toHaveValue(
+      "from-link",
+    );
+  });
+
+  it("should open the host's room under their name once connected", () => {
+    const { onOpenRoom } = renderLobby({
+      role: "host",
+      status: "open",
+      playerName: "Ana",
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Open room" }));
+
+    expect(onOpenRoom).toHaveBeenCalledWith("Ana");
+  });
+
+  it("should let the host start the game", () => {
+    const host = renderLobby({
+      role: "host",
+      status: "open",
+      room,
+      seat: 0,
+      isHost: true,
+    });
+    expect(screen.getByText("Ana (You)")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: /Start game/ }));
+    expect(host.onStart).toHaveBeenCalledTimes(1);
+  });
+
+  it("should take a guest's seat in the room they were invited to", () => {
+    const { onTakeSeat } = renderLobby({
+      role: "guest",
+      status: "open",
+      playerName: "Ben",
+      signal: { invitedRoom: "ROOM" },
+    });
+    fireEvent.click(
+      screen.getByRole("button", { name: "Take a seat in room ROOM" }),
+    );
+
+    expect(onTakeSeat).toHaveBeenCalledWith("Ben");
+  });
+
+  it("should let a guest watch the room they were invited to", () => {
+    const { onSpectate } = renderLobby({
+      role: "guest",
+      status: "open",
+      signal: { invitedRoom: "ROOM" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Watch room ROOM" }));
+
+    expect(onSpectate).toHaveBeenCalledWith("ROOM");
+  });
+
+  it("should let the host of a watched table start it", () => {
+    const { onStart } = renderLobby({
+      role: "server",
+      status: "open",
+      room: { ...room, seats: room.seats.map((s) => ({ ...s, isBot: true })) },
+      isHost: true,
+    });
+    expect(screen.getByText(/You are watching this room/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: /Start game/ }));
+
+    expect(onStart).toHaveBeenCalledTimes(1);
+  });
+
+  it("should mark a seated guest ready", () => {
+    const { onReady } = renderLobby({
+      role: "guest",
+      status: "open",
+      room,
+      seat: 1,
+    });
+    fireEvent.click(screen.getByRole("button", { name: "I'm ready" }));
+
+    expect(onReady).toHaveBeenCalledWith(true);
+  });
+});
@@ -0,0 +1,269 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import QRCode from "qrcode";
+import { toast } from "sonner";
+import { FaCopy, FaLink, FaUserPlus } from "react-icons/fa";
+
+const labelStyle = {
+  color: "var(--color-text-secondary)",
+  fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+};
+
+const codeStyle = {
+  width: "100%",
+  background: "var(--color-bg-elevated)",
+  border: "1px solid var(--color-border-default)",
+  borderRadius: "0.5rem",
+  color: "var(--color-text-primary)",
+  fontFamily: "monospace",
+  fontSize: "0.6875rem",
+  padding: "0.375rem 0.5rem",
+  resize: "none",
+  wordBreak: "break-all",
+};
+
+const buttonStyle = {
+  background:
+    "linear-gradient(135deg, var(--color-gold-base) 0%, var(--color-gold-dark) 100%)",
+  color: "#ffffff",
+  padding: "clamp(0.375rem, 1vh, 0.5rem) 0.75rem",
+  fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+};
+
+/**
+ * Copies text to the clipboard and says so
+ */
+const copyText = (text) =>
+  navigator.clipboard
+    ?.writeText(text)
+    .then(() => toast.success("Copied"))
+    .catch(() => toast.error("Could not copy, select the code instead"));
+
+/**
+ * Read-only code with a copy button
+ */
+const CodeBox = ({ label, code }) => (
+  <div className="flex flex-col gap-1">
+    <span style={labelStyle}>{label}</span>
+    <textarea
+      readOnly
+      value={code}
+      rows={3}
+      aria-label={label}
+      onFocus={(e) => e.target.select()}
+      style={codeStyle}
+    />
+    <button
+      type="button"
+      onClick={() => copyText(code)}
+      className="rounded-lg font-semibold flex items-center justify-center gap-2"
+      style={buttonStyle}
+    >
+      <FaCopy aria-hidden="true" /> Copy code
+    </button>
+  </div>
+);
+
+CodeBox.propTypes = {
+  label: PropTypes.string.isRequired,
+  code: PropTypes.string.isRequired,
+};
+
+/**
+ * Box to paste a code into, with the button that sends it
+ */
+const CodeEntry = ({ label, action, initialCode = "", onSubmit }) => {
+  const [code, setCode] = useState(initialCode);
+  const isEmpty = code.trim().length === 0;
+
+  return (
+    <form
+      className="flex flex-col gap-1"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!isEmpty) onSubmit(code.trim());
+      }}
+    >
+      <label className="flex flex-col gap-1" style={labelStyle}>
+        {label}
+        <textarea
+          value={code}
+          rows={3}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="Paste the code here"
+          style={codeStyle}
+        />
+      </label>
+      <button
+        type="submit"
+        disabled={isEmpty}
+        className="rounded-lg font-semibold"
+        style={{ ...buttonStyle, opacity: isEmpty ? 0.6 : 1 }}
+      >
+        {action}
+      </button>
+    </form>
+  );
+};
+
+CodeEntry.propTypes = {
+  label: PropTypes.string.isRequired,
+  action: PropTypes.string.isRequired,
+  initialCode: PropTypes.string,
+  onSubmit: PropTypes.func.isRequired,
+};
+
+/**
+ * QR code of an invite link, for a guest on a phone to scan
+ * Nothing is shown when the link is too long to fit in one
+ */
+const InviteQRCode = ({ link }) => {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    QRCode.toString(link, { type: "svg", errorCorrectionLevel: "L", margin: 1 })
+      .then((svg) => {
+        if (isCurrent) {
+          setSrc(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+        }
+      })
+      .catch(() => {
+        if (isCurrent) setSrc(null);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [link]);
+
+  if (!src) return null;
+  return (
+    <img
+      src={src}
+      alt="QR code of the invite link"
+      className="rounded-lg self-center"
+      style={{ width: "clamp(9rem, 30vh, 12rem)", background: "#ffffff" }}
+    />
+  );
+};
+
+InviteQRCode.propTypes = {
+  link: PropTypes.string.isRequired,
+};
+
+/**
+ * PeerSignalPanel - Swaps the codes that connect a guest to a game hosted in
+ * another browser
+ * The host makes an invite for each guest (a code, a link and the link's QR
+ * code) and pastes back the guest's answer; a guest pastes the invite and
+ * sends their answer back. The same panel gets a guest back in after their
+ * connection drops.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.role - "host" or "guest"
+ * @param {boolean} props.isConnected - Whether a guest's connection is open
+ * @param {boolean} props.isReconnecting - Whether a guest's connection
+ *   dropped and waits for a new invite
+ * @param {Object} props.invite - Host's open invite: code and link
+ * @param {string} props.answer - Guest's answer code waiting for the host
+ * @param {string} props.initialInvite - Invite code to fill in, from a link
+ * @param {string} props.error - Last connection error
+ * @param {Function} props.onInvite - Makes a new invite
+ * @param {Function} props.onAccept - Takes the guest's answer code
+ * @param {Function} props.onAnswer - Takes the host's invite code
+ */
+const PeerSignalPanel = ({
+  role,
+  isConnected = false,
+  isReconnecting = false,
+  invite = null,
+  answer = null,
+  initialInvite = "",
+  error = null,
+  onInvite,
+  onAccept,
+  onAnswer,
+}) => {
+  const isHost = role === "host";
+  if (!isHost && isConnected) return null;
+
+  return (
+    <section className="peer-signal-panel flex flex-col gap-2">
+      {isHost && !invite && (
+        <button
+          type="button"
+          onClick={onInvite}
+          className="rounded-lg font-semibold flex items-center justify-center gap-2"
+          style={buttonStyle}
+        >
+          <FaUserPlus aria-hidden="true" /> Invite a player
+        </button>
+      )}
+
+      {isHost && invite && (
+        <>
+          <CodeBox label="Invite code for one player" code={invite.code} />
+          <InviteQRCode link={invite.link} />
+          <button
+            type="button"
+            onClick={() => copyText(invite.link)}
+            className="flex items-center justify-center gap-1 underline"
+            style={{ ...labelStyle, color: "var(--color-text-gold)" }}
+          >
+            <FaLink aria-hidden="true" /> Copy invite link
+          </button>
+          <CodeEntry
+            key={invite.code}
+            label="Their answer code"
+            action="Connect player"
+            onSubmit={onAccept}
+          />
+        </>
+      )}
+
+      {!isHost && answer && (
+        <>
+          <CodeBox label="Send this answer code to the host" code={answer} />
+          <p style={labelStyle}>Waiting for the host to connect you...</p>
+        </>
+      )}
+
+      {!isHost && !answer && (
+        <CodeEntry
+          label={
+            isReconnecting
+              ? "Connection lost. Paste a new invite code from the host"
+              : "Invite code from the host"
+          }
+          action="Answer invite"
+          initialCode={isReconnecting ? "" : initialInvite}
+          onSubmit={onAnswer}
+        />
+      )}
+
+      {error && (
+        <p role="alert" style={{ ...labelStyle, color: "#ef4444" }}>
+          {error}
+        </p>
+      )}
+    </section>
+  );
+};
+
+PeerSignalPanel.propTypes = {
+  role: PropTypes.oneOf(["host", "guest"]).isRequired,
+  isConnected: PropTypes.bool,
+  isReconnecting: PropTypes.bool,
+  invite: PropTypes.shape({
+    code: PropTypes.string.isRequired,
+    link: PropTypes.string.isRequired,
+  }),
+  answer: PropTypes.string,
+  initialInvite: PropTypes.string,
+  error: PropTypes.string,
+  onInvite: PropTypes.func,
+  onAccept: PropTypes.func,
+  onAnswer: PropTypes.func,
+};
+
+export default PeerSignalPanel;
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for PeerSignalPanel component
+ * Tests the invite and answer codes swapped to connect a guest
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import PeerSignalPanel from "./PeerSignalPanel";
+
+const invite = {
+  code: "invite-code",
+  link: "http://localhost/#join=invite-code",
+};
+
+describe("PeerSignalPanel", () => {
+  it("should show the host's invite and take the guest's answer", () => {
+    const onAccept = vi.fn();
+    render(<PeerSignalPanel role="host" invite={invite} onAccept={onAccept} />);
+
+    expect(
+      screen.getByRole("textbox", { name: "Invite code for one player" }),
+    ).toHaveValue("invite-code");
+    fireEvent.change(screen.getByLabelText("Their answer code"), {
+      target: { value: " answer-code \n" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Connect player" }));
+
+    expect(onAccept).toHaveBeenCalledWith("answer-code");
+  });
+
+  it("should offer a host without an open invite to make one", () => {
+    const onInvite = vi.fn();
+    render(<PeerSignalPanel role="host" onInvite={onInvite} />);
+    fireEvent.click(screen.getByRole("button", { name: /Invite a player/ }));
+
+    expect(onInvite).toHaveBeenCalledTimes(1);
+  });
+
+  it("should show a guest's answer until they are connected", () => {
+    const { rerender } = render(
+      <PeerSignalPanel role="guest" answer="answer-code" />,
+    );
+    expect(
+      screen.getByRole("textbox", {
+        name: "Send this answer code to the host",
+      }),
+    ).toHaveValue("answer-code");
+
+    rerender(<PeerSignalPanel role="guest" answer={null} isConnected />);
+    expect(screen.queryByRole("textbox")).not.toBeInTheDocument();
+  });
+
+  it("should ask a guest who lost the connection for a new invite", () => {
+    const onAnswer = vi.fn();
+    render(
+      <PeerSignalPanel
+        role="guest"
+        isReconnecting
+        initialInvite="old-invite"
+        onAnswer={onAnswer}
+      />,
+    );
+    const entry = screen.getByLabelText(/Connection lost/);
+
+    expect(entry).toHaveValue("");
+    fireEvent.change(entry, { target: { value: "new-invite" } });
+    fireEvent.click(screen.getByRole("button", { name: "Answer invite" }));
+    expect(onAnswer).toHaveBeenCalledWith("new-invite");
+  });
+});
@@ -0,0 +1,100 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { FaThLarge } from "react-icons/fa";
+import { SUITS } from "../constants";
+import { getSuitIcon, getRankDisplay } from "../utils/cardHelpers";
+
+// Grid columns, highest rank first
+const RANKS = [1, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2];
+
+/**
+ * PlayedCardsGrid component - Optional counting aid over the table
+ * Marks every card played this hand on a suit-by-rank grid and lists the
+ * suits each seat has shown it is out of. Closed until the player opens it.
+ */
+const PlayedCardsGrid = ({ players, playedCards = {}, voids = {} }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const played = new Set(
+    Object.values(playedCards)
+      .flat()
+      .map((card) => card.id),
+  );
+  const knownVoids = players.filter((player) => voids[player.id]?.length > 0);
+
+  return (
+    <div className="played-cards-control">
+      <button
+        type="button"
+        onClick={() => setIsOpen((open) => !open)}
+        className="played-cards-toggle"
+        aria-expanded={isOpen}
+        aria-controls="played-cards-grid"
+        aria-label={isOpen ? "Hide played cards" : "Show played cards"}
+      >
+        <FaThLarge />
+        <span>Played</span>
+        <span className="played-cards-count">{played.size}</span>
+      </button>
+
+      {isOpen && (
+        <div
+          id="played-cards-grid"
+          className="played-cards-panel"
+          role="region"
+          aria-label="Cards played this hand"
+        >
+          <table className="played-cards-grid">
+            <tbody>
+              {SUITS.map((suit) => (
+                <tr key={suit}>
+                  <th scope="row" aria-label={suit}>
+                    {getSuitIcon(suit)}
+                  </th>
+                  {RANKS.map((rank) => {
+                    const id = `${suit}-${rank}`;
+                    const isPlayed = played.has(id);
+                    return (
+                      <td
+                        key={id}
+                        className={isPlayed ? "is-played" : undefined}
+                        aria-label={`${getRankDisplay(rank)} of ${suit}${isPlayed ? ", played" : ""}`}
+                      >
+                        {getRankDisplay(rank)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {knownVoids.length > 0 && (
+            <ul className="played-cards-voids">
+              {knownVoids.map((player) => (
+                <li key={player.id}>
+                  {player.name} is out of {voids[player.id].join(", ")}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+PlayedCardsGrid.propTypes = {
+  players: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+  // Cards each seat has played this hand, keyed by player id
+  playedCards: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.object)),
+  // Suits each seat has shown it is out of, keyed by player id
+  voids: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
+};
+
+export default PlayedCardsGrid;
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for PlayedCardsGrid component
+ * Tests the toggle, the played-card marks and the known voids
+ */
+
+import { describe, it, expect } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import PlayedCardsGrid from "./PlayedCardsGrid";
+
+describe("PlayedCardsGrid", () => {
+  const players = [
+    { id: "player1", name: "Player" },
+    { id: "player2", name: "Alex" },
+    { id: "player3", name: "Sam" },
+  ];
+
+  const playedCards = {
+    player1: [{ id: "hearts-1", suit: "hearts", rank: 1, value: 14 }],
+    player2: [{ id: "clubs-12", suit: "clubs", rank: 12, value: 12 }],
+    player3: [],
+  };
+
+  const openGrid = () =>
+    fireEvent.click(screen.getByRole("button", { name: "Show played cards" }));
+
+  it("should start closed with a count of the cards played", () => {
+    render(<PlayedCardsGrid players={players} playedCards={playedCards} />);
+
+    const toggle = screen.getByRole("button", { name: "Show played cards" });
+    expect(toggle).toHaveAttribute("aria-expanded", "false");
+    expect(toggle).toHaveTextContent("2");
+    expect(screen.queryByRole("region")).not.toBeInTheDocument();
+  });
+
+  it("should show every card of the deck once opened", () => {
+    render(<PlayedCardsGrid players={players} playedCards={playedCards} />);
+    openGrid();
+
+    expect(
+      screen.getByRole("region", { name: "Cards played this hand" }),
+    ).toBeInTheDocument();
+    expect(screen.getAllByRole("cell")).toHaveLength(52);
+    expect(
+      screen.getByRole("button", { name: "Hide played cards" }),
+    ).toHaveAttribute("aria-expanded", "true");
+  });
+
+  it("should mark the cards that have been played", () => {
+    render(<PlayedCardsGrid players={players} playedCards={playedCards} />);
+    openGrid();
+
+    expect(screen.getByLabelText("A of hearts, played")).toHaveClass(
+      "is-played",
+    );
+    expect(screen.getByLabelText("Q of clubs, played")).toHaveClass(
+      "is-played",
+    );
+    expect(screen.getByLabelText("K of hearts")).not.toHaveClass("is-played");
+  });
+
+  it("should list the suits seats are known to be out of", () => {
+    render(
+      <PlayedCardsGrid
+        players={players}
+        playedCards={playedCards}
+        voids={{ player2: ["hearts", "spades"], player3: [] }}
+      />,
+    );
+    openGrid();
+
+    expect(screen.getByText("Alex is out of hearts, spades")).toBeVisible();
+    expect(screen.queryByText(/Sam is out of/)).not.toBeInTheDocument();
+  });
+
+  it("should close again", () => {
+    render(<PlayedCardsGrid players={players} />);
+    openGrid();
+    fireEvent.click(screen.getByRole("button", { name: "Hide played cards" }));
+
+    expect(screen.queryByRole("region")).not.toBeInTheDocument();
+  });
+});
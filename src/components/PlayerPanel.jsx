@@ -1,9 +1,17 @@
 import { useMemo } from "react";
 import PropTypes from "prop-types";
+import EmotePop from "./EmotePop";
 import { getPatternStyle } from "../utils/patterns";
 import { useCardCustomization } from "../context";
 import { getPlayerDisplayName } from "../utils/playerUtils";
 import { calculatePlayerRank } from "../utils/rankUtils";
+import { formatBid, formatContract } from "../utils/bidUtils";
+import {
+  getSuitIcon,
+  getRankDisplay,
+  getCardColor,
+} from "../utils/cardHelpers";
+import { getSeatBot, getPersonality } from "../ai";
 
 const PlayerPanel = ({
   player,
@@ -12,17 +20,26 @@ const PlayerPanel = ({
   isDealing,
   players = [],
   scores = [],
+  lowScoreWins = false,
+  bid,
+  tricksWon = 0,
+  speech = null,
+  emote = null,
+  revealHand = false,
 }) => {
   const { cardBackColor, cardBackPattern } = useCardCustomization();
 
   // Calculate player rank based on scores
   const playerRank = useMemo(
-    () => calculatePlayerRank(players, scores, index),
-    [players, scores, index],
+    () => calculatePlayerRank(players, scores, index, lowScoreWins),
+    [players, scores, index, lowScoreWins],
   );
 
   const playerScore = scores[index] || 0;
   const isPlaying = currentPlayer === index;
+  const cardLabel = player.hand.length === 1 ? "card" : "cards";
+  const difficulty = getSeatBot(player).name;
+  const personality = getPersonality(player);
 
   // Get rank indicator style based on position
   const getRankIndicator = (rank) => {
@@ -88,6 +105,14 @@ const PlayerPanel = ({
         maxWidth: "clamp(130px, 18vw, 180px)",
       }}
     >
+      {speech && (
+        <div className="speech-bubble" role="status" aria-live="polite">
+          {speech}
+        </div>
+      )}
+
+      {emote && <EmotePop name={player.name} emote={emote} />}
+
       {/* Player Info Row */}
       <div className="flex items-center gap-1.5 mb-1.5">
         <img
@@ -118,6 +143,26 @@ const PlayerPanel = ({
             {playerRank && (
               <span style={getRankIndicator(playerRank)}>#{playerRank}</span>
             )}
+            <span
+              className="player-difficulty shrink-0 uppercase"
+              style={{
+                color: "var(--color-text-secondary)",
+                border: "1px solid var(--color-border-subtle)",
+                borderRadius: "4px",
+                padding: "0 3px",
+                fontSize: "clamp(7px, 1.4vw, 9px)",
+                fontWeight: "600",
+                letterSpacing: "0.02em",
+                lineHeight: 1.4,
+              }}
+              title={
+                personality
+                  ? `${difficulty} computer player, ${personality.name.toLowerCase()}`
+                  : `${difficulty} computer player`
+              }
+            >
+              {difficulty}
+            </span>
           </div>
           {/* Status row with score */}
           <div
@@ -146,106 +191,139 @@ const PlayerPanel = ({
             >
               • {playerScore}pt
             </span>
+            {bid !== undefined && (
+              <span
+                className="player-bid"
+                style={{ color: "var(--color-text-primary)" }}
+                title={`Won ${tricksWon}, bid ${formatBid(bid)}`}
+              >
+                • {formatContract(tricksWon, bid)}
+              </span>
+            )}
           </div>
         </div>
       </div>
 
-      {/* Card Backs Row - Compact Deck Display */}
-      <div className="card-backs flex justify-center items-center">
-        <div
-          className="card-deck-container"
-          style={{
-            display: "flex",
-            alignItems: "center",
-            gap: "clamp(6px, 1.5vw, 10px)",
-          }}
+      {/* Face-up hand in god view, otherwise a compact stack of card backs */}
+      {revealHand ? (
+        <ul
+          className="revealed-hand"
+          aria-label={`Cards in ${player.name}'s hand`}
         >
-          {/* Stacked Card Deck Visual */}
+          {player.hand.map((card) => (
+            <li
+              key={card.id}
+              className="revealed-card"
+              aria-label={`${getRankDisplay(card.rank)} of ${card.suit}`}
+              style={{ color: getCardColor(card.suit) }}
+            >
+              {getRankDisplay(card.rank)}
+              {getSuitIcon(card.suit)}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="card-backs flex justify-center items-center">
           <div
+            className="card-deck-container"
             style={{
-              position: "relative",
-              width: "clamp(28px, 5vw, 36px)",
-              height: "clamp(36px, 6.5vw, 48px)",
+              display: "flex",
+              alignItems: "center",
+              gap: "clamp(6px, 1.5vw, 10px)",
             }}
           >
-            {/* Show max 4 cards for the stack effect */}
-            {Array.from({ length: Math.min(player.hand.length, 4) }, (_, i) => {
-              const patternStyles = getPatternStyle(
-                cardBackPattern,
-                cardBackColor,
-              );
-              const stackOffset = i * 2; // 2px offset per card
-              const isTopCard = i === Math.min(player.hand.length, 4) - 1;
-
-              return (
-                <div
-                  key={i}
-                  className={`card-stack-item ${isDealing ? "card-deal-in" : ""}`}
-                  style={{
-                    position: "absolute",
-                    left: `${stackOffset}px`,
-                    top: `${stackOffset}px`,
-                    backgroundColor: cardBackColor,
-                    backgroundImage: patternStyles.backgroundImage,
-                    backgroundSize: patternStyles.backgroundSize,
-                    animationDelay: `${i * 0.1}s`,
-                    width: "clamp(22px, 4vw, 28px)",
-                    height: "clamp(30px, 5.5vw, 40px)",
-                    borderRadius: "clamp(2px, 0.4vw, 3px)",
-                    border: "1px solid var(--color-border-default)",
-                    boxShadow: isTopCard
-                      ? "0 2px 6px rgba(0, 0, 0, 0.35), inset 0 1px 0 rgba(255, 255, 255, 0.15)"
-                      : "0 1px 2px rgba(0, 0, 0, 0.2)",
-                    zIndex: i,
-                    transition: "all 0.3s ease",
-                  }}
-                />
-              );
-            })}
-          </div>
-
-          {/* Card Count Display */}
-          {player.hand.length > 0 && (
+            {/* Stacked Card Deck Visual */}
             <div
-              className="card-count-display"
               style={{
-                display: "flex",
-                flexDirection: "column",
-                alignItems: "center",
-                justifyContent: "center",
-                borderRadius: "clamp(4px, 0.8vw, 6px)",
-                padding: "clamp(3px, 0.6vw, 5px) clamp(6px, 1vw, 10px)",
-                minWidth: "clamp(24px, 4vw, 32px)",
+                position: "relative",
+                width: "clamp(28px, 5vw, 36px)",
+                height: "clamp(36px, 6.5vw, 48px)",
               }}
-              title={`${player.hand.length} cards in hand`}
             >
-              <span
-                className="card-count-number"
-                style={{
-                  fontSize: "clamp(11px, 2.2vw, 15px)",
-                  fontWeight: "800",
-                  lineHeight: 1,
-                }}
-              >
-                {player.hand.length}
-              </span>
-              <span
-                className="card-count-label"
+              {/* Show max 4 cards for the stack effect */}
+              {Array.from(
+                { length: Math.min(player.hand.length, 4) },
+                (_, i) => {
+                  const patternStyles = getPatternStyle(
+                    cardBackPattern,
+                    cardBackColor,
+                  );
+                  const stackOffset = i * 2; // 2px offset per card
+                  const isTopCard = i === Math.min(player.hand.length, 4) - 1;
+
+                  return (
+                    <div
+                      key={i}
+                      className={`card-stack-item ${isDealing ? "card-deal-in" : ""}`}
+                      style={{
+                        position: "absolute",
+                        left: `${stackOffset}px`,
+                        top: `${stackOffset}px`,
+                        backgroundColor: cardBackColor,
+                        backgroundImage: patternStyles.backgroundImage,
+                        backgroundSize: patternStyles.backgroundSize,
+                        animationDelay: `${i * 0.1}s`,
+                        width: "clamp(22px, 4vw, 28px)",
+                        height: "clamp(30px, 5.5vw, 40px)",
+                        borderRadius: "clamp(2px, 0.4vw, 3px)",
+                        border: "1px solid var(--color-border-default)",
+                        boxShadow: isTopCard
+                          ? "0 2px 6px rgba(0, 0, 0, 0.35), inset 0 1px 0 rgba(255, 255, 255, 0.15)"
+                          : "0 1px 2px rgba(0, 0, 0, 0.2)",
+                        zIndex: i,
+                        transition: "all 0.3s ease",
+                      }}
+                    />
+                  );
+                },
+              )}
+            </div>
+
+            {/* Card Count Display */}
+            {player.hand.length > 0 && (
+              <div
+                className="card-count-display"
                 style={{
-                  fontSize: "clamp(6px, 1.2vw, 8px)",
-                  fontWeight: "600",
-                  textTransform: "uppercase",
-                  letterSpacing: "0.02em",
-                  lineHeight: 1,
-                  marginTop: "1px",
+                  display: "flex",
+                  flexDirection: "column",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  borderRadius: "clamp(4px, 0.8vw, 6px)",
+                  padding: "clamp(3px, 0.6vw, 5px) clamp(6px, 1vw, 10px)",
+                  minWidth: "clamp(24px, 4vw, 32px)",
                 }}
+                title={`${player.hand.length} ${cardLabel} in hand`}
               >
-                cards
-              </span>
-            </div>
-          )}
+                <span
+                  className="card-count-number"
+                  style={{
+                    fontSize: "clamp(11px, 2.2vw, 15px)",
+                    fontWeight: "800",
+                    lineHeight: 1,
+                    // Keeps two-digit counts from full-deck deals the same width
+                    fontVariantNumeric: "tabular-nums",
+                  }}
+                >
+                  {player.hand.length}
+                </span>
+                <span
+                  className="card-count-label"
+                  style={{
+                    fontSize: "clamp(6px, 1.2vw, 8px)",
+                    fontWeight: "600",
+                    textTransform: "uppercase",
+                    letterSpacing: "0.02em",
+                    lineHeight: 1,
+                    marginTop: "1px",
+                  }}
+                >
+                  {cardLabel}
+                </span>
+              </div>
+            )}
+          </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
@@ -257,12 +335,27 @@ PlayerPanel.propTypes = {
     hand: PropTypes.array.isRequired,
     score: PropTypes.number.isRequired,
     isActive: PropTypes.bool.isRequired,
+    difficulty: PropTypes.string,
+    personality: PropTypes.string,
   }).isRequired,
   index: PropTypes.number.isRequired,
   currentPlayer: PropTypes.number.isRequired,
   isDealing: PropTypes.bool.isRequired,
   players: PropTypes.array,
   scores: PropTypes.array,
+  lowScoreWins: PropTypes.bool,
+  // Omitted for rule sets without bidding; null until the seat has bid
+  bid: PropTypes.shape({
+    tricks: PropTypes.number.isRequired,
+    blind: PropTypes.bool,
+  }),
+  tricksWon: PropTypes.number,
+  // Table talk line to show in a speech bubble, if the seat is speaking
+  speech: PropTypes.string,
+  // Chat emote the seat just sent, popped up over the panel
+  emote: PropTypes.string,
+  // Show the hand face up instead of a stack of card backs (god view)
+  revealHand: PropTypes.bool,
 };
 
 export default PlayerPanel;
@@ -6,6 +6,7 @@
 import { describe, it, expect, vi, afterEach } from "vitest";
 import { render, screen } from "@testing-library/react";
 import PlayerPanel from "./PlayerPanel";
+import { registerBot, unregisterBot } from "../ai";
 import { CardCustomizationProvider } from "../context";
 
 // Helper to render with context
@@ -201,6 +202,95 @@ describe("PlayerPanel", () => {
     });
   });
 
+  describe("difficulty", () => {
+    it("should show the default difficulty", () => {
+      renderWithContext(<PlayerPanel {...defaultProps} />);
+      expect(screen.getByText("Medium")).toHaveClass("player-difficulty");
+    });
+
+    it("should show the seat's own difficulty", () => {
+      renderWithContext(
+        <PlayerPanel
+          {...defaultProps}
+          player={{ ...defaultProps.player, difficulty: "hard" }}
+        />,
+      );
+      expect(screen.getByText("Hard")).toHaveAttribute(
+        "title",
+        "Hard computer player",
+      );
+    });
+
+    it("should show a plugin bot's name", () => {
+      registerBot({
+        id: "panel-bot",
+        name: "Panel Bot",
+        chooseCard: (view) => view.legalCards[0],
+      });
+      renderWithContext(
+        <PlayerPanel
+          {...defaultProps}
+          player={{ ...defaultProps.player, difficulty: "panel-bot" }}
+        />,
+      );
+      unregisterBot("panel-bot");
+      expect(screen.getByText("Panel Bot")).toHaveClass("player-difficulty");
+    });
+
+    it("should name the seat's personality", () => {
+      renderWithContext(
+        <PlayerPanel
+          {...defaultProps}
+          player={{ ...defaultProps.player, personality: "trumper" }}
+        />,
+      );
+      expect(screen.getByText("Medium")).toHaveAttribute(
+        "title",
+        "Medium computer player, aggressive trumper",
+      );
+    });
+  });
+
+  describe("speech bubble", () => {
+    it("should not show a bubble while the seat is quiet", () => {
+      const { container } = renderWithContext(
+        <PlayerPanel {...defaultProps} />,
+      );
+      expect(container.querySelector(".speech-bubble")).not.toBeInTheDocument();
+    });
+
+    it("should show what the seat says", () => {
+      renderWithContext(
+        <PlayerPanel {...defaultProps} speech="Ha, trumped!" />,
+      );
+      expect(screen.getByRole("status")).toHaveTextContent("Ha, trumped!");
+    });
+  });
+
+  describe("emote", () => {
+    it("should pop the seat's emote up over the panel", () => {
+      renderWithContext(<PlayerPanel {...defaultProps} emote="GG" />);
+
+      expect(
+        screen.getByRole("status", { name: `${defaultProps.player.name}: GG` }),
+      ).toHaveTextContent("GG");
+    });
+  });
+
+  describe("revealed hand", () => {
+    it("should show the hand face up instead of card backs", () => {
+      const { container } = renderWithContext(
+        <PlayerPanel {...defaultProps} revealHand />,
+      );
+
+      expect(
+        screen.getByRole("list", { name: "Cards in Alex's hand" }),
+      ).toBeInTheDocument();
+      expect(screen.getByLabelText("10 of diamonds")).toHaveTextContent("10");
+      expect(container.querySelector(".card-stack-item")).toBeNull();
+    });
+  });
+
   describe("card count display", () => {
     it("should display card count when player has cards", () => {
       renderWithContext(<PlayerPanel {...defaultProps} />);
@@ -213,6 +303,21 @@ describe("PlayerPanel", () => {
       expect(screen.getByText("cards")).toBeInTheDocument();
     });
 
+    it("should use a singular label for the last card", () => {
+      const oneCardProps = {
+        ...defaultProps,
+        player: { ...defaultProps.player, hand: [defaultProps.player.hand[0]] },
+      };
+      const { container } = renderWithContext(
+        <PlayerPanel {...oneCardProps} />,
+      );
+      expect(screen.getByText("card")).toBeInTheDocument();
+      expect(container.querySelector(".card-count-display")).toHaveAttribute(
+        "title",
+        "1 card in hand",
+      );
+    });
+
     it("should have card count display container", () => {
       const { container } = renderWithContext(
         <PlayerPanel {...defaultProps} />,
@@ -456,6 +561,28 @@ describe("PlayerPanel", () => {
     });
   });
 
+  describe("bids", () => {
+    it("should show tricks won next to the bid", () => {
+      renderWithContext(
+        <PlayerPanel
+          {...defaultProps}
+          bid={{ tricks: 0, blind: true }}
+          tricksWon={0}
+        />,
+      );
+      expect(screen.getByTitle("Won 0, bid Blind Nil")).toHaveTextContent(
+        "0/Blind Nil",
+      );
+    });
+
+    it("should not show a bid for rule sets without bidding", () => {
+      const { container } = renderWithContext(
+        <PlayerPanel {...defaultProps} />,
+      );
+      expect(container.querySelector(".player-bid")).toBeNull();
+    });
+  });
+
   describe("card back patterns", () => {
     it("should render card stack items with pattern from context", () => {
       const { container } = renderWithContext(
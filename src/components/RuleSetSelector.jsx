@@ -14,13 +14,20 @@ const getDropdownAnimationClass = (animationState) => {
 
 /**
  * RuleSetSelector - Dropdown component for selecting game rule sets
- * Handles its own open/close state and animations
+ * Handles its own open/close state and animations. The rule set is locked
+ * while a game is running.
  */
-const RuleSetSelector = ({ selectedRuleSet, setSelectedRuleSet, ruleSets }) => {
+const RuleSetSelector = ({
+  selectedRuleSet,
+  setSelectedRuleSet,
+  ruleSets,
+  disabled = false,
+}) => {
   const [showDropdown, setShowDropdown] = useState(false);
   const [dropdownAnimation, setDropdownAnimation] = useState(null);
 
   const handleToggleDropdown = () => {
+    if (disabled) return;
     if (showDropdown) {
       setDropdownAnimation("out");
       setTimeout(() => {
@@ -61,10 +68,15 @@ const RuleSetSelector = ({ selectedRuleSet, setSelectedRuleSet, ruleSets }) => {
       <div className="relative">
         <div
           onClick={handleToggleDropdown}
-          className="rounded-lg overflow-hidden flex items-center gap-2 p-2 cursor-pointer"
+          aria-disabled={disabled}
+          title={
+            disabled ? "Finish or reset the game to change rules" : undefined
+          }
+          className={`rounded-lg overflow-hidden flex items-center gap-2 p-2 ${disabled ? "cursor-not-allowed" : "cursor-pointer"}`}
           style={{
             background: "var(--color-panel-dark)",
             border: "1px solid var(--color-border-default)",
+            opacity: disabled ? 0.6 : 1,
           }}
         >
           <span
@@ -81,7 +93,7 @@ const RuleSetSelector = ({ selectedRuleSet, setSelectedRuleSet, ruleSets }) => {
             <path d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" />
           </svg>
         </div>
-        {showDropdown && (
+        {showDropdown && !disabled && (
           <>
             <div className="fixed inset-0 z-40" onClick={closeDropdown} />
             <div className="absolute z-50 w-full mt-1">
@@ -134,6 +146,8 @@ RuleSetSelector.propTypes = {
       description: PropTypes.string.isRequired,
     }),
   ).isRequired,
+  // Locks the selection while a game is running
+  disabled: PropTypes.bool,
 };
 
 export default RuleSetSelector;
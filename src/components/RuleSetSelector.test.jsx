@@ -136,6 +136,18 @@ describe("RuleSetSelector", () => {
       expect(setSelectedRuleSet).toHaveBeenCalledWith(1);
     });
 
+    it("should not open while the game is running", () => {
+      const { container } = render(
+        <RuleSetSelector {...defaultProps} disabled />,
+      );
+
+      const selector = container.querySelector("[aria-disabled='true']");
+      fireEvent.click(selector);
+
+      expect(selector).toHaveClass("cursor-not-allowed");
+      expect(screen.queryByText("Highest Card Wins")).not.toBeInTheDocument();
+    });
+
     it("should call setSelectedRuleSet with correct index for each rule", () => {
       const setSelectedRuleSet = vi.fn();
       const { container } = render(
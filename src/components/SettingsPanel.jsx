@@ -1,6 +1,12 @@
 import { useState, useRef, useEffect } from "react";
 import PropTypes from "prop-types";
-import { FaCog, FaTimes, FaRedo } from "react-icons/fa";
+import {
+  FaCog,
+  FaTimes,
+  FaRedo,
+  FaComment,
+  FaCommentSlash,
+} from "react-icons/fa";
 import { useCardCustomization } from "../context";
 import RuleSetSelector from "./RuleSetSelector";
 import CardColorPicker from "./CardColorPicker";
@@ -8,13 +14,16 @@ import CardPatternPicker from "./CardPatternPicker";
 
 /**
  * SettingsPanel - Collapsible settings menu with game options
- * Manages card customization, rule selection, and game reset
+ * Manages card customization, rule selection, table talk, and game reset
  */
 const SettingsPanel = ({
   selectedRuleSet,
   setSelectedRuleSet,
   ruleSets,
+  isRuleSetLocked = false,
   resetGame,
+  tableTalkMuted = false,
+  toggleTableTalk,
 }) => {
   const settingsRef = useRef(null);
   const [showSettings, setShowSettings] = useState(false);
@@ -92,6 +101,7 @@ const SettingsPanel = ({
               selectedRuleSet={selectedRuleSet}
               setSelectedRuleSet={setSelectedRuleSet}
               ruleSets={ruleSets}
+              disabled={isRuleSetLocked}
             />
 
             <CardColorPicker
@@ -107,6 +117,33 @@ const SettingsPanel = ({
               setCardBackPattern={setCardBackPattern}
             />
 
+            {toggleTableTalk && (
+              <button
+                type="button"
+                role="switch"
+                aria-checked={!tableTalkMuted}
+                onClick={toggleTableTalk}
+                className="table-talk-toggle w-full px-3 py-2 rounded-lg transition-all duration-300 flex items-center justify-between text-sm"
+                style={{
+                  background: "var(--color-panel-dark)",
+                  color: "var(--color-text-primary)",
+                  border: "1px solid var(--color-border-subtle)",
+                }}
+              >
+                <span className="flex items-center gap-2">
+                  {tableTalkMuted ? (
+                    <FaCommentSlash className="text-xs" />
+                  ) : (
+                    <FaComment className="text-xs" />
+                  )}
+                  Table talk
+                </span>
+                <span style={{ color: "var(--color-text-secondary)" }}>
+                  {tableTalkMuted ? "Muted" : "On"}
+                </span>
+              </button>
+            )}
+
             <button
               onClick={() => {
                 setShowSettings(false);
@@ -138,7 +175,12 @@ SettingsPanel.propTypes = {
       description: PropTypes.string.isRequired,
     }),
   ).isRequired,
+  // True while a game is running
+  isRuleSetLocked: PropTypes.bool,
   resetGame: PropTypes.func.isRequired,
+  tableTalkMuted: PropTypes.bool,
+  // Omitted to hide the table talk switch
+  toggleTableTalk: PropTypes.func,
 };
 
 export default SettingsPanel;
@@ -472,6 +472,52 @@ describe("SettingsPanel", () => {
     });
   });
 
+  describe("table talk toggle", () => {
+    it("should not show the toggle without a handler", () => {
+      renderWithContext(<SettingsPanel {...defaultProps} />);
+      fireEvent.click(screen.getByRole("button"));
+
+      expect(screen.queryByRole("switch")).not.toBeInTheDocument();
+    });
+
+    it("should show table talk as on by default", () => {
+      renderWithContext(
+        <SettingsPanel {...defaultProps} toggleTableTalk={vi.fn()} />,
+      );
+      fireEvent.click(screen.getByRole("button"));
+
+      const toggle = screen.getByRole("switch", { name: /table talk/i });
+      expect(toggle).toHaveAttribute("aria-checked", "true");
+      expect(toggle).toHaveTextContent("On");
+    });
+
+    it("should show muted table talk", () => {
+      renderWithContext(
+        <SettingsPanel
+          {...defaultProps}
+          tableTalkMuted
+          toggleTableTalk={vi.fn()}
+        />,
+      );
+      fireEvent.click(screen.getByRole("button"));
+
+      const toggle = screen.getByRole("switch", { name: /table talk/i });
+      expect(toggle).toHaveAttribute("aria-checked", "false");
+      expect(toggle).toHaveTextContent("Muted");
+    });
+
+    it("should call toggleTableTalk when clicked", () => {
+      const toggleTableTalk = vi.fn();
+      renderWithContext(
+        <SettingsPanel {...defaultProps} toggleTableTalk={toggleTableTalk} />,
+      );
+      fireEvent.click(screen.getByRole("button"));
+      fireEvent.click(screen.getByRole("switch"));
+
+      expect(toggleTableTalk).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe("different rule sets", () => {
     it("should display first rule set when selectedRuleSet is 0", () => {
       renderWithContext(
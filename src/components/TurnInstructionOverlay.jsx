@@ -6,6 +6,7 @@ import { FaLightbulb, FaHandPointer } from "react-icons/fa";
  * TurnInstructionOverlay component - Shows turn instructions at the start of each turn
  * Displays the current rule set and basic instructions with a blur overlay
  * Disappears only when player taps on the overlay
+ * Addresses the player by name when given one, for pass-and-play games
  *
  * Theme Compliance:
  * - Uses CSS variables for all colors (supports light/dark themes)
@@ -19,6 +20,7 @@ const TurnInstructionOverlay = ({
   ruleSetName,
   ruleSetDescription,
   onDismiss,
+  playerName,
 }) => {
   const [showState, setShowState] = useState("hidden"); // "hidden" | "visible" | "exiting"
   const timersRef = useRef({ show: null, exit: null });
@@ -72,6 +74,7 @@ const TurnInstructionOverlay = ({
 
   if (showState === "hidden") return null;
 
+  const turnOwner = playerName ? `${playerName}'s` : "Your";
   const isExiting = showState === "exiting";
   const animationClass = isExiting ? "exiting" : "entering";
 
@@ -95,12 +98,12 @@ const TurnInstructionOverlay = ({
         className={`turn-instruction-overlay ${animationClass}`}
         role="status"
         aria-live="polite"
-        aria-label={`Your turn. ${ruleSetName || "Highest Card Wins"}. ${ruleSetDescription || "Play your highest value card to win the trick"}`}
+        aria-label={`${turnOwner} turn. ${ruleSetName || "Highest Card Wins"}. ${ruleSetDescription || "Play your highest value card to win the trick"}`}
       >
         <div className="turn-instruction-content">
           <div className="turn-instruction-header">
             <FaLightbulb className="turn-instruction-icon" aria-hidden="true" />
-            <span className="turn-instruction-label">Your Turn</span>
+            <span className="turn-instruction-label">{turnOwner} Turn</span>
           </div>
 
           <div className="turn-instruction-rule">
@@ -142,6 +145,8 @@ TurnInstructionOverlay.propTypes = {
   ruleSetName: PropTypes.string,
   ruleSetDescription: PropTypes.string,
   onDismiss: PropTypes.func,
+  // Name of the player whose turn it is, or omitted to address "you"
+  playerName: PropTypes.string,
 };
 
 TurnInstructionOverlay.defaultProps = {
@@ -44,6 +44,16 @@ describe("TurnInstructionOverlay", () => {
       expect(screen.getByText("Your Turn")).toBeInTheDocument();
     });
 
+    it("should address a named player", () => {
+      render(<TurnInstructionOverlay {...defaultProps} playerName="Sam" />);
+
+      act(() => {
+        vi.advanceTimersByTime(300);
+      });
+
+      expect(screen.getByText("Sam's Turn")).toBeInTheDocument();
+    });
+
     it("should display the rule set name", async () => {
       render(<TurnInstructionOverlay {...defaultProps} />);
 
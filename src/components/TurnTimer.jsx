@@ -1,7 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from "react";
 import PropTypes from "prop-types";
-
-const TURN_DURATION = 30;
+import { TURN_TIME_LIMIT } from "../constants";
 const TIMER_RADIUS = 22;
 const CIRCUMFERENCE = 2 * Math.PI * TIMER_RADIUS;
 
@@ -17,8 +16,26 @@ const getTimerTextColor = (isCritical, isLow) => {
   return "var(--color-text-primary)";
 };
 
-const TurnTimer = ({ isActive, onTimeUp, isPaused }) => {
-  const [timeLeft, setTimeLeft] = useState(TURN_DURATION);
+/**
+ * Countdown ring for the local player's turn
+ * @param {Object} props - Component props
+ * @param {boolean} props.isActive - Whether the turn is running
+ * @param {Function} props.onTimeUp - Called once when the time runs out
+ * @param {boolean} props.isPaused - Whether the countdown is held
+ * @param {number} props.startTime - Seconds on the clock when the turn
+ *   starts, less than TURN_TIME_LIMIT for a networked turn resumed after a
+ *   reconnect
+ * @param {string} props.playerName - Name of the player on the clock, shown
+ *   when several people share the device
+ */
+const TurnTimer = ({
+  isActive,
+  onTimeUp,
+  isPaused,
+  startTime = TURN_TIME_LIMIT,
+  playerName,
+}) => {
+  const [timeLeft, setTimeLeft] = useState(startTime);
   const intervalRef = useRef(null);
   const hasTriggeredRef = useRef(false);
   const initialTimeoutRef = useRef(null);
@@ -37,7 +54,7 @@ const TurnTimer = ({ isActive, onTimeUp, isPaused }) => {
   useEffect(() => {
     if (isActive && !isPaused) {
       hasTriggeredRef.current = false;
-      let currentTime = TURN_DURATION;
+      let currentTime = startTime;
 
       const tick = () => {
         setTimeLeft(currentTime);
@@ -62,18 +79,20 @@ const TurnTimer = ({ isActive, onTimeUp, isPaused }) => {
     }
 
     return clearTimer;
-  }, [isActive, isPaused, onTimeUp, clearTimer]);
+  }, [isActive, isPaused, onTimeUp, clearTimer, startTime]);
 
   if (!isActive) return null;
 
-  const progress = (timeLeft / TURN_DURATION) * 100;
+  const progress = (timeLeft / TURN_TIME_LIMIT) * 100;
   const isLow = timeLeft <= 10;
   const isCritical = timeLeft <= 5;
   const strokeDashoffset = CIRCUMFERENCE - (progress / 100) * CIRCUMFERENCE;
 
   return (
     <div className="turn-timer">
-      <div className="turn-timer-label">⏱ TIME LEFT</div>
+      <div className="turn-timer-label">
+        {playerName ? `⏱ ${playerName}'s turn` : "⏱ TIME LEFT"}
+      </div>
       <div className="turn-timer-display">
         <svg className="turn-timer-ring" viewBox="0 0 60 60">
           <circle
@@ -117,6 +136,8 @@ TurnTimer.propTypes = {
   isActive: PropTypes.bool.isRequired,
   onTimeUp: PropTypes.func.isRequired,
   isPaused: PropTypes.bool,
+  startTime: PropTypes.number,
+  playerName: PropTypes.string,
 };
 
 TurnTimer.defaultProps = {
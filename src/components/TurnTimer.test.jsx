@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { render, screen, act } from "@testing-library/react";
+import TurnTimer from "./TurnTimer";
+import { TURN_TIME_LIMIT } from "../constants";
+
+describe("TurnTimer", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should count down from the turn time limit", () => {
+    render(<TurnTimer isActive onTimeUp={vi.fn()} />);
+    act(() => {
+      vi.advanceTimersByTime(1000);
+    });
+
+    expect(screen.getByText(`${TURN_TIME_LIMIT - 1}s`)).toBeInTheDocument();
+  });
+
+  it("should resume a turn with the time it had left", () => {
+    const onTimeUp = vi.fn();
+    render(<TurnTimer isActive onTimeUp={onTimeUp} startTime={3} />);
+    act(() => {
+      vi.advanceTimersByTime(0);
+    });
+    expect(screen.getByText("3s")).toBeInTheDocument();
+
+    act(() => {
+      vi.advanceTimersByTime(3000);
+    });
+    expect(onTimeUp).toHaveBeenCalledTimes(1);
+  });
+
+  it("should name the player on the clock", () => {
+    render(<TurnTimer isActive onTimeUp={vi.fn()} playerName="Sam" />);
+
+    expect(screen.getByText("⏱ Sam's turn")).toBeInTheDocument();
+  });
+
+  it("should render nothing while inactive", () => {
+    const { container } = render(
+      <TurnTimer isActive={false} onTimeUp={vi.fn()} />,
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -4,6 +4,51 @@ import Card from "./Card";
 import { GAME_PHASES } from "../constants";
 import { getPlayerDisplayName } from "../utils/playerUtils";
 import { calculatePlayerRank } from "../utils/rankUtils";
+import { formatBid, formatContract } from "../utils/bidUtils";
+import { getPatternStyle } from "../utils/patterns";
+import { getCardFanLayout } from "../utils/cardHelpers";
+import { useCardCustomization } from "../context";
+
+/**
+ * Face-down card shown in place of a card the player has not looked at yet
+ */
+const HiddenCard = ({ index, totalCards }) => {
+  const { cardBackColor, cardBackPattern } = useCardCustomization();
+  const patternStyles = getPatternStyle(cardBackPattern, cardBackColor);
+  const { rotation, yOffset, marginLeft } = getCardFanLayout(index, totalCards);
+
+  return (
+    <div
+      className="hand-card disabled card-back"
+      data-testid="hidden-card"
+      style={{
+        "--card-rotation": `${rotation}deg`,
+        "--card-y-offset": `${yOffset}px`,
+        marginLeft,
+        zIndex: 10 + index,
+      }}
+    >
+      <div
+        className="card-inner"
+        style={{
+          width: "clamp(36px, 10vw, 54px)",
+          height: "clamp(52px, 14vw, 76px)",
+          backgroundColor: cardBackColor,
+          backgroundImage: patternStyles.backgroundImage,
+          backgroundSize: patternStyles.backgroundSize,
+          border: "1px solid var(--color-border-default)",
+          borderRadius: "var(--radius-md)",
+          boxShadow: "var(--shadow-md)",
+        }}
+      />
+    </div>
+  );
+};
+
+HiddenCard.propTypes = {
+  index: PropTypes.number.isRequired,
+  totalCards: PropTypes.number.isRequired,
+};
 
 const UserHand = ({
   player,
@@ -15,13 +60,30 @@ const UserHand = ({
   onCardSelect,
   players = [],
   scores = [],
+  legalCards,
+  passSelection,
+  lowScoreWins = false,
+  handHidden = false,
+  bid,
+  tricksWon = 0,
+  hintedCardId = null,
 }) => {
   const isMyTurn = currentPlayer === playerIndex;
+  const canPlay = isMyTurn && gamePhase === GAME_PHASES.PLAYING;
+  // Cards are picked for the pass while one is still to be made
+  const isPassing = gamePhase === GAME_PHASES.PASSING && !!passSelection;
+  const passIds = new Set((passSelection || []).map((c) => c.id));
+
+  // Only dim illegal cards while the player is actually choosing a card
+  const legalCardIds = useMemo(
+    () => (canPlay && legalCards ? new Set(legalCards.map((c) => c.id)) : null),
+    [canPlay, legalCards],
+  );
 
   // Calculate player rank based on scores
   const playerRank = useMemo(
-    () => calculatePlayerRank(players, scores, playerIndex),
-    [players, scores, playerIndex],
+    () => calculatePlayerRank(players, scores, playerIndex, lowScoreWins),
+    [players, scores, playerIndex, lowScoreWins],
   );
 
   const playerScore = scores[playerIndex] || 0;
@@ -125,6 +187,18 @@ const UserHand = ({
             >
               • {playerScore}pt
             </span>
+            {bid !== undefined && (
+              <span
+                className="player-bid shrink-0"
+                style={{
+                  color: "var(--color-text-primary)",
+                  fontSize: "clamp(10px, 2.5vw, 13px)",
+                }}
+                title={`Won ${tricksWon}, bid ${formatBid(bid)}`}
+              >
+                • {formatContract(tricksWon, bid)}
+              </span>
+            )}
           </div>
           {/* Status row */}
           <div
@@ -150,18 +224,30 @@ const UserHand = ({
           paddingBottom: "clamp(4px, 0.8vw, 6px)",
         }}
       >
-        {player.hand.map((card, index) => (
-          <Card
-            key={card.id}
-            card={card}
-            index={index}
-            totalCards={player.hand.length}
-            isPlayable={isMyTurn && gamePhase === GAME_PHASES.PLAYING}
-            isSelected={selectedCard?.id === card.id}
-            isDealing={dealingAnimation}
-            onSelect={onCardSelect}
-          />
-        ))}
+        {player.hand.map((card, index) =>
+          handHidden ? (
+            <HiddenCard
+              key={card.id}
+              index={index}
+              totalCards={player.hand.length}
+            />
+          ) : (
+            <Card
+              key={card.id}
+              card={card}
+              index={index}
+              totalCards={player.hand.length}
+              isPlayable={canPlay || isPassing}
+              isLegal={!legalCardIds || legalCardIds.has(card.id)}
+              isSelected={
+                isPassing ? passIds.has(card.id) : selectedCard?.id === card.id
+              }
+              isDealing={dealingAnimation}
+              onSelect={onCardSelect}
+              isHinted={canPlay && card.id === hintedCardId}
+            />
+          ),
+        )}
       </div>
     </div>
   );
@@ -181,6 +267,18 @@ UserHand.propTypes = {
   onCardSelect: PropTypes.func.isRequired,
   players: PropTypes.array,
   scores: PropTypes.array,
+  legalCards: PropTypes.array,
+  passSelection: PropTypes.array,
+  lowScoreWins: PropTypes.bool,
+  handHidden: PropTypes.bool,
+  // Omitted for rule sets without bidding; null until the player has bid
+  bid: PropTypes.shape({
+    tricks: PropTypes.number.isRequired,
+    blind: PropTypes.bool,
+  }),
+  tricksWon: PropTypes.number,
+  // Card a hint suggested, highlighted while the player is choosing
+  hintedCardId: PropTypes.string,
 };
 
 export default UserHand;
@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, afterEach } from "vitest";
-import { render, screen } from "@testing-library/react";
+import { render, screen, fireEvent } from "@testing-library/react";
 import UserHand from "./UserHand";
+import { CardCustomizationProvider } from "../context";
 
 describe("UserHand", () => {
   const defaultProps = {
@@ -186,6 +187,71 @@ describe("UserHand", () => {
     });
   });
 
+  describe("legal cards", () => {
+    const legalCards = [defaultProps.player.hand[0]];
+
+    it("should dim cards that cannot legally be played", () => {
+      const { container } = render(
+        <UserHand {...defaultProps} legalCards={legalCards} />,
+      );
+      expect(container.querySelectorAll(".hand-card.illegal").length).toBe(2);
+    });
+
+    it("should not select an illegal card when clicked", () => {
+      const onCardSelect = vi.fn();
+      const { container } = render(
+        <UserHand
+          {...defaultProps}
+          legalCards={legalCards}
+          onCardSelect={onCardSelect}
+        />,
+      );
+      const cards = container.querySelectorAll(".hand-card");
+      fireEvent.click(cards[1]);
+      expect(onCardSelect).not.toHaveBeenCalled();
+      fireEvent.click(cards[0]);
+      expect(onCardSelect).toHaveBeenCalledWith(legalCards[0]);
+    });
+
+    it("should not dim cards when it is not the player's turn", () => {
+      const { container } = render(
+        <UserHand
+          {...defaultProps}
+          currentPlayer={1}
+          legalCards={legalCards}
+        />,
+      );
+      expect(container.querySelectorAll(".hand-card.illegal").length).toBe(0);
+    });
+
+    it("should treat every card as legal when legalCards is omitted", () => {
+      const { container } = render(<UserHand {...defaultProps} />);
+      expect(container.querySelectorAll(".hand-card.illegal").length).toBe(0);
+    });
+  });
+
+  describe("hinted card", () => {
+    it("should highlight the hinted card on the player's turn", () => {
+      const { container } = render(
+        <UserHand {...defaultProps} hintedCardId="diamonds-10" />,
+      );
+      const hinted = container.querySelectorAll(".hand-card.hinted");
+      expect(hinted.length).toBe(1);
+      expect(hinted[0]).toHaveTextContent("10");
+    });
+
+    it("should not highlight a hint once the turn has passed", () => {
+      const { container } = render(
+        <UserHand
+          {...defaultProps}
+          currentPlayer={1}
+          hintedCardId="diamonds-10"
+        />,
+      );
+      expect(container.querySelectorAll(".hand-card.hinted").length).toBe(0);
+    });
+  });
+
   describe("selected card state", () => {
     it("should mark correct card as selected", () => {
       const selectedProps = {
@@ -216,6 +282,72 @@ describe("UserHand", () => {
     });
   });
 
+  describe("card passing", () => {
+    const hand = defaultProps.player.hand;
+
+    it("should mark every card picked for the pass", () => {
+      const { container } = render(
+        <UserHand
+          {...defaultProps}
+          currentPlayer={2}
+          gamePhase="passing"
+          passSelection={[hand[0], hand[2]]}
+        />,
+      );
+      expect(container.querySelectorAll(".hand-card.selected").length).toBe(2);
+    });
+
+    it("should let any card be picked while passing", () => {
+      const onCardSelect = vi.fn();
+      const { container } = render(
+        <UserHand
+          {...defaultProps}
+          currentPlayer={2}
+          gamePhase="passing"
+          passSelection={[]}
+          onCardSelect={onCardSelect}
+        />,
+      );
+      fireEvent.click(container.querySelectorAll(".hand-card")[1]);
+      expect(onCardSelect).toHaveBeenCalledWith(hand[1]);
+    });
+
+    it("should lock the hand once the pass is made", () => {
+      const { container } = render(
+        <UserHand {...defaultProps} gamePhase="passing" passSelection={null} />,
+      );
+      expect(container.querySelectorAll(".hand-card.playable").length).toBe(0);
+    });
+  });
+
+  describe("bidding", () => {
+    it("should show cards face down while the hand is hidden", () => {
+      const { container } = render(
+        <CardCustomizationProvider>
+          <UserHand {...defaultProps} gamePhase="bidding" handHidden />
+        </CardCustomizationProvider>,
+      );
+      expect(screen.getAllByTestId("hidden-card")).toHaveLength(3);
+      expect(container.querySelectorAll(".hand-card.playable").length).toBe(0);
+    });
+
+    it("should show tricks won against the bid", () => {
+      render(
+        <UserHand
+          {...defaultProps}
+          bid={{ tricks: 3, blind: false }}
+          tricksWon={1}
+        />,
+      );
+      expect(screen.getByTitle("Won 1, bid 3")).toHaveTextContent("1/3");
+    });
+
+    it("should show a pending bid as a dash", () => {
+      render(<UserHand {...defaultProps} bid={null} />);
+      expect(screen.getByTitle("Won 0, bid -")).toHaveTextContent("0/-");
+    });
+  });
+
   describe("dealing animation", () => {
     it("should pass dealingAnimation prop to cards when true", () => {
       const { container } = render(
@@ -355,6 +487,31 @@ describe("UserHand", () => {
       // Should display score (10 points)
       expect(screen.getByText(/• 10pt/)).toBeInTheDocument();
     });
+    it("should keep a full-deck hand of 13 cards within the fan spread", () => {
+      const fullHandProps = {
+        ...defaultProps,
+        player: {
+          ...defaultProps.player,
+          hand: Array.from({ length: 13 }, (_, i) => ({
+            id: `spades-${i + 1}`,
+            suit: "spades",
+            rank: i + 1,
+            value: i + 1,
+          })),
+        },
+      };
+      const { container } = render(<UserHand {...fullHandProps} />);
+      const cards = container.querySelectorAll(".hand-card");
+      const rotations = Array.from(cards, (card) =>
+        parseFloat(card.style.getPropertyValue("--card-rotation")),
+      );
+
+      expect(cards).toHaveLength(13);
+      expect(
+        Math.max(...rotations) - Math.min(...rotations),
+      ).toBeLessThanOrEqual(36);
+      expect(cards[1].style.marginLeft).toContain("calc(");
+    });
   });
 
   describe("accessibility", () => {
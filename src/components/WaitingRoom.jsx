@@ -6,9 +6,25 @@ import {
   FaRobot,
   FaChevronDown,
   FaCheck,
+  FaWifi,
 } from "react-icons/fa";
-import { getPlayerDisplayName } from "../utils/playerUtils";
+import { getPlayerDisplayName, isHumanPlayer } from "../utils/playerUtils";
 import { sanitizeUsername } from "../utils/sanitize";
+import { parseSeed, MAX_SEED_LENGTH } from "../engine/random";
+import { AI_STRATEGIES, getRegisteredBots, getSeatBot } from "../ai";
+import {
+  FULL_DECK,
+  HAND_SIZE_OPTIONS,
+  HINT_LIMIT_OPTIONS,
+  MATCH_LENGTH_OPTIONS,
+  PLAYER_COUNT_OPTIONS,
+  UNLIMITED_HINTS,
+} from "../constants";
+
+const PLAY_MODES = [
+  { label: "Solo", partnerships: false },
+  { label: "Partners", partnerships: true },
+];
 
 /**
  * Returns the appropriate CSS class for dropdown animation state
@@ -29,13 +45,30 @@ const WaitingRoom = ({
   ruleSets,
   selectedRuleSet,
   setSelectedRuleSet,
+  seed = "",
+  setSeed,
+  maxRounds = 1,
+  setMaxRounds,
+  partnerships = false,
+  setPartnerships,
+  setPlayerCount,
+  handSize = null,
+  cardsPerHand,
+  setHandSize,
+  setAIDifficulty,
+  setHumanSeat,
+  hintLimit,
+  setHintLimit,
+  onPlayOnline,
 }) => {
   const [showDropdown, setShowDropdown] = useState(false);
+  const [seedInput, setSeedInput] = useState("");
   const [dropdownAnimation, setDropdownAnimation] = useState(null);
   const [hasAttemptedSubmit, setHasAttemptedSubmit] = useState(false);
 
   const isUsernameValid = (username || "").trim().length > 0;
   const showError = hasAttemptedSubmit && !isUsernameValid;
+  const pluginBots = getRegisteredBots();
 
   const handleInputChange = (e) => {
     const sanitized = sanitizeUsername(e.target.value, {
@@ -47,15 +80,27 @@ const WaitingRoom = ({
     setUsername(sanitized);
   };
 
+  // A typed seed replaces the random one only when the game actually starts
+  const handleStart = () => {
+    setHasAttemptedSubmit(true);
+    if (isUsernameValid) {
+      if (seedInput && setSeed) {
+        setSeed(seedInput);
+      }
+      startGame();
+    }
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === "Enter") {
-      setHasAttemptedSubmit(true);
-      if (isUsernameValid) {
-        startGame();
-      }
+      handleStart();
     }
   };
 
+  const handleSeedChange = (e) => {
+    setSeedInput(parseSeed(e.target.value) ?? "");
+  };
+
   const handleToggleDropdown = () => {
     if (showDropdown) {
       setDropdownAnimation("out");
@@ -88,6 +133,11 @@ const WaitingRoom = ({
 
   const currentRuleSet = ruleSets[selectedRuleSet] || ruleSets[0];
 
+  // Partners sit across the table, so teams need an even table of four or more
+  const canPartner = players.length >= 4 && players.length % 2 === 0;
+  const partnersRequired = Boolean(currentRuleSet?.partnerships);
+  const isPartnered = canPartner && (partnersRequired || partnerships);
+
   return (
     <div
       className="waiting-room-container"
@@ -345,9 +395,336 @@ const WaitingRoom = ({
             )}
           </div>
 
+          {/* Table Size Selection */}
+          {setPlayerCount && (
+            <div style={{ marginBottom: "clamp(0.75rem, 1.5vh, 1.25rem)" }}>
+              <span
+                id="player-count-label"
+                className="block font-medium uppercase tracking-wider"
+                style={{
+                  color: "var(--color-text-gold)",
+                  fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+                  marginBottom: "clamp(0.375rem, 0.8vh, 0.5rem)",
+                }}
+              >
+                Players
+              </span>
+              <div
+                className="grid grid-cols-4 gap-2"
+                role="group"
+                aria-labelledby="player-count-label"
+              >
+                {PLAYER_COUNT_OPTIONS.map((count) => {
+                  const isSelected = players.length === count;
+                  return (
+                    <button
+                      key={count}
+                      type="button"
+                      onClick={() => setPlayerCount(count)}
+                      aria-pressed={isSelected}
+                      aria-label={`${count} players`}
+                      className="rounded-lg font-medium transition-all duration-200 hover:brightness-110"
+                      style={{
+                        background: isSelected
+                          ? "linear-gradient(135deg, var(--color-gold-base) 0%, var(--color-gold-dark) 100%)"
+                          : "var(--color-panel-dark)",
+                        border: isSelected
+                          ? "1px solid var(--color-border-gold)"
+                          : "1px solid var(--color-border-default)",
+                        color: isSelected
+                          ? "#ffffff"
+                          : "var(--color-text-primary)",
+                        padding: "clamp(0.5rem, 1.2vh, 0.625rem) 0",
+                        fontSize: "clamp(0.8125rem, 1.5vh, 0.9375rem)",
+                      }}
+                    >
+                      {count}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Hand Size Selection */}
+          {setHandSize && (
+            <div style={{ marginBottom: "clamp(0.75rem, 1.5vh, 1.25rem)" }}>
+              <span
+                id="hand-size-label"
+                className="block font-medium uppercase tracking-wider"
+                style={{
+                  color: "var(--color-text-gold)",
+                  fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+                  marginBottom: "clamp(0.375rem, 0.8vh, 0.5rem)",
+                }}
+              >
+                Hand Size
+              </span>
+              <div
+                className="grid grid-cols-4 gap-2"
+                role="group"
+                aria-labelledby="hand-size-label"
+              >
+                {HAND_SIZE_OPTIONS.map((size) => {
+                  const isSelected = handSize === size;
+                  return (
+                    <button
+                      key={size}
+                      type="button"
+                      onClick={() => setHandSize(size)}
+                      aria-pressed={isSelected}
+                      className="rounded-lg font-medium transition-all duration-200 hover:brightness-110"
+                      style={{
+                        background: isSelected
+                          ? "linear-gradient(135deg, var(--color-gold-base) 0%, var(--color-gold-dark) 100%)"
+                          : "var(--color-panel-dark)",
+                        border: isSelected
+                          ? "1px solid var(--color-border-gold)"
+                          : "1px solid var(--color-border-default)",
+                        color: isSelected
+                          ? "#ffffff"
+                          : "var(--color-text-primary)",
+                        padding: "clamp(0.5rem, 1.2vh, 0.625rem) 0",
+                        fontSize: "clamp(0.8125rem, 1.5vh, 0.9375rem)",
+                      }}
+                    >
+                      {size === FULL_DECK ? "Full deck" : size}
+                    </button>
+                  );
+                })}
+              </div>
+              {cardsPerHand && (
+                <p
+                  className="text-center"
+                  style={{
+                    color: "var(--color-text-secondary)",
+                    fontSize: "clamp(0.6875rem, 1.3vh, 0.75rem)",
+                    marginTop: "0.375rem",
+                  }}
+                >
+                  {cardsPerHand} {cardsPerHand === 1 ? "card" : "cards"} each
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Match Length Selection */}
+          {setMaxRounds && (
+            <div style={{ marginBottom: "clamp(0.75rem, 1.5vh, 1.25rem)" }}>
+              <span
+                id="match-length-label"
+                className="block font-medium uppercase tracking-wider"
+                style={{
+                  color: "var(--color-text-gold)",
+                  fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+                  marginBottom: "clamp(0.375rem, 0.8vh, 0.5rem)",
+                }}
+              >
+                Match Length
+              </span>
+              <div
+                className="grid grid-cols-4 gap-2"
+                role="group"
+                aria-labelledby="match-length-label"
+              >
+                {MATCH_LENGTH_OPTIONS.map((hands) => {
+                  const isSelected = maxRounds === hands;
+                  return (
+                    <button
+                      key={hands}
+                      type="button"
+                      onClick={() => setMaxRounds(hands)}
+                      aria-pressed={isSelected}
+                      className="rounded-lg font-medium transition-all duration-200 hover:brightness-110"
+                      style={{
+                        background: isSelected
+                          ? "linear-gradient(135deg, var(--color-gold-base) 0%, var(--color-gold-dark) 100%)"
+                          : "var(--color-panel-dark)",
+                        border: isSelected
+                          ? "1px solid var(--color-border-gold)"
+                          : "1px solid var(--color-border-default)",
+                        color: isSelected
+                          ? "#ffffff"
+                          : "var(--color-text-primary)",
+                        padding: "clamp(0.5rem, 1.2vh, 0.625rem) 0",
+                        fontSize: "clamp(0.8125rem, 1.5vh, 0.9375rem)",
+                      }}
+                    >
+                      {hands === 1 ? "1 hand" : `${hands} hands`}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Hint Limit Selection */}
+          {setHintLimit && (
+            <div style={{ marginBottom: "clamp(0.75rem, 1.5vh, 1.25rem)" }}>
+              <span
+                id="hint-limit-label"
+                className="block font-medium uppercase tracking-wider"
+                style={{
+                  color: "var(--color-text-gold)",
+                  fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+                  marginBottom: "clamp(0.375rem, 0.8vh, 0.5rem)",
+                }}
+              >
+                Hints
+              </span>
+              <div
+                className="grid grid-cols-4 gap-2"
+                role="group"
+                aria-labelledby="hint-limit-label"
+              >
+                {HINT_LIMIT_OPTIONS.map((limit) => {
+                  const isSelected = hintLimit === limit;
+                  let label = String(limit);
+                  if (limit === 0) label = "Off";
+                  if (limit === UNLIMITED_HINTS) label = "Unlimited";
+                  return (
+                    <button
+                      key={limit}
+                      type="button"
+                      onClick={() => setHintLimit(limit)}
+                      aria-pressed={isSelected}
+                      className="rounded-lg font-medium transition-all duration-200 hover:brightness-110"
+                      style={{
+                        background: isSelected
+                          ? "linear-gradient(135deg, var(--color-gold-base) 0%, var(--color-gold-dark) 100%)"
+                          : "var(--color-panel-dark)",
+                        border: isSelected
+                          ? "1px solid var(--color-border-gold)"
+                          : "1px solid var(--color-border-default)",
+                        color: isSelected
+                          ? "#ffffff"
+                          : "var(--color-text-primary)",
+                        padding: "clamp(0.5rem, 1.2vh, 0.625rem) 0",
+                        fontSize: "clamp(0.8125rem, 1.5vh, 0.9375rem)",
+                      }}
+                    >
+                      {label}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Play Mode Selection */}
+          {setPartnerships && canPartner && (
+            <div style={{ marginBottom: "clamp(0.75rem, 1.5vh, 1.25rem)" }}>
+              <span
+                id="play-mode-label"
+                className="block font-medium uppercase tracking-wider"
+                style={{
+                  color: "var(--color-text-gold)",
+                  fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+                  marginBottom: "clamp(0.375rem, 0.8vh, 0.5rem)",
+                }}
+              >
+                Play Mode
+              </span>
+              <div
+                className="grid grid-cols-2 gap-2"
+                role="group"
+                aria-labelledby="play-mode-label"
+              >
+                {PLAY_MODES.map((mode) => {
+                  const isSelected = isPartnered === mode.partnerships;
+                  return (
+                    <button
+                      key={mode.label}
+                      type="button"
+                      onClick={() => setPartnerships(mode.partnerships)}
+                      disabled={partnersRequired}
+                      aria-pressed={isSelected}
+                      className="rounded-lg font-medium transition-all duration-200 hover:brightness-110"
+                      style={{
+                        background: isSelected
+                          ? "linear-gradient(135deg, var(--color-gold-base) 0%, var(--color-gold-dark) 100%)"
+                          : "var(--color-panel-dark)",
+                        border: isSelected
+                          ? "1px solid var(--color-border-gold)"
+                          : "1px solid var(--color-border-default)",
+                        color: isSelected
+                          ? "#ffffff"
+                          : "var(--color-text-primary)",
+                        cursor: partnersRequired ? "not-allowed" : "pointer",
+                        padding: "clamp(0.5rem, 1.2vh, 0.625rem) 0",
+                        fontSize: "clamp(0.8125rem, 1.5vh, 0.9375rem)",
+                      }}
+                    >
+                      {mode.label}
+                    </button>
+                  );
+                })}
+              </div>
+              {partnersRequired && (
+                <p
+                  style={{
+                    color: "var(--color-text-primary)",
+                    fontSize: "clamp(0.75rem, 1.3vh, 0.8125rem)",
+                    marginTop: "clamp(0.25rem, 0.5vh, 0.375rem)",
+                    lineHeight: "1.4",
+                  }}
+                >
+                  {currentRuleSet.name} is always played in partnerships
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Deal Seed Input Field */}
+          <div style={{ marginBottom: "clamp(0.75rem, 1.5vh, 1.25rem)" }}>
+            <label
+              htmlFor="seed-input"
+              className="block font-medium uppercase tracking-wider"
+              style={{
+                color: "var(--color-text-gold)",
+                fontSize: "clamp(0.75rem, 1.4vh, 0.8125rem)",
+                marginBottom: "clamp(0.375rem, 0.8vh, 0.5rem)",
+              }}
+            >
+              Deal Seed
+            </label>
+            <input
+              id="seed-input"
+              type="text"
+              value={seedInput}
+              onChange={handleSeedChange}
+              onKeyDown={handleKeyDown}
+              placeholder={seed || "Random"}
+              maxLength={MAX_SEED_LENGTH}
+              autoComplete="off"
+              spellCheck={false}
+              className="w-full rounded-lg transition-all duration-200 focus:outline-none"
+              style={{
+                background: "var(--color-panel-dark)",
+                border: "1px solid var(--color-border-default)",
+                color: "var(--color-text-primary)",
+                boxShadow: "inset 0 2px 4px rgba(0, 0, 0, 0.1)",
+                padding:
+                  "clamp(0.625rem, 1.4vh, 0.75rem) clamp(0.75rem, 1.5vw, 1rem)",
+                fontSize: "clamp(0.9375rem, 1.8vh, 1rem)",
+                fontFamily: "monospace",
+              }}
+            />
+            <p
+              style={{
+                color: "var(--color-text-primary)",
+                fontSize: "clamp(0.75rem, 1.3vh, 0.8125rem)",
+                marginTop: "clamp(0.25rem, 0.5vh, 0.375rem)",
+                lineHeight: "1.4",
+              }}
+            >
+              Leave blank for a random deal, or enter a seed to replay one
+            </p>
+          </div>
+
           {/* Players Grid */}
           <div
-            className="grid grid-cols-2"
+            className={`grid ${players.length > 4 ? "grid-cols-3" : "grid-cols-2"}`}
             style={{
               gap: "clamp(0.5rem, 1.2vh, 0.75rem)",
               marginBottom: "clamp(0.75rem, 1.5vh, 1.5rem)",
@@ -389,6 +766,17 @@ const WaitingRoom = ({
                   >
                     {getPlayerDisplayName(player)}
                   </div>
+                  {isPartnered && (
+                    <div
+                      className="waiting-room-team font-medium"
+                      style={{
+                        color: "var(--color-text-gold)",
+                        fontSize: "clamp(0.6875rem, 1.2vh, 0.75rem)",
+                      }}
+                    >
+                      Team {(index % (players.length / 2)) + 1}
+                    </div>
+                  )}
                   <div
                     className="flex items-center justify-center gap-1 font-normal"
                     style={{
@@ -397,7 +785,7 @@ const WaitingRoom = ({
                       marginTop: "clamp(0.1875rem, 0.4vh, 0.25rem)",
                     }}
                   >
-                    {index === 0 ? (
+                    {isHumanPlayer(player) ? (
                       <FaUser
                         style={{ fontSize: "clamp(0.625rem, 1.1vh, 0.75rem)" }}
                       />
@@ -408,6 +796,69 @@ const WaitingRoom = ({
                     )}
                     Ready
                   </div>
+                  {index !== 0 && setHumanSeat && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setHumanSeat(player.id, !isHumanPlayer(player))
+                      }
+                      aria-pressed={isHumanPlayer(player)}
+                      aria-label={`${player.name} played by a person here`}
+                      title="Pass and play: someone at this device takes the seat"
+                      className="waiting-room-seat-toggle w-full rounded-md font-medium"
+                      style={{
+                        background: isHumanPlayer(player)
+                          ? "var(--color-panel-light)"
+                          : "var(--color-bg-elevated)",
+                        border: isHumanPlayer(player)
+                          ? "1px solid var(--color-border-gold)"
+                          : "1px solid var(--color-border-default)",
+                        color: "var(--color-text-primary)",
+                        fontSize: "clamp(0.6875rem, 1.2vh, 0.75rem)",
+                        marginTop: "clamp(0.25rem, 0.6vh, 0.375rem)",
+                        padding: "0.125rem 0.25rem",
+                      }}
+                    >
+                      {isHumanPlayer(player) ? "Human" : "Computer"}
+                    </button>
+                  )}
+                  {!isHumanPlayer(player) && setAIDifficulty && (
+                    <select
+                      value={getSeatBot(player).id}
+                      onChange={(e) =>
+                        setAIDifficulty(player.id, e.target.value)
+                      }
+                      aria-label={`${player.name} difficulty`}
+                      className="waiting-room-difficulty w-full rounded-md font-medium"
+                      style={{
+                        background: "var(--color-bg-elevated)",
+                        border: "1px solid var(--color-border-default)",
+                        color: "var(--color-text-primary)",
+                        fontSize: "clamp(0.6875rem, 1.2vh, 0.75rem)",
+                        marginTop: "clamp(0.25rem, 0.6vh, 0.375rem)",
+                        padding: "0.125rem 0.25rem",
+                      }}
+                    >
+                      {Object.values(AI_STRATEGIES).map((strategy) => (
+                        <option key={strategy.id} value={strategy.id}>
+                          {strategy.name}
+                        </option>
+                      ))}
+                      {pluginBots.length > 0 && (
+                        <optgroup label="Custom bots">
+                          {pluginBots.map((bot) => (
+                            <option
+                              key={bot.id}
+                              value={bot.id}
+                              title={bot.description}
+                            >
+                              {bot.name}
+                            </option>
+                          ))}
+                        </optgroup>
+                      )}
+                    </select>
+                  )}
                 </div>
               </div>
             ))}
@@ -415,12 +866,7 @@ const WaitingRoom = ({
 
           {/* Start Game Button */}
           <button
-            onClick={() => {
-              setHasAttemptedSubmit(true);
-              if (isUsernameValid) {
-                startGame();
-              }
-            }}
+            onClick={handleStart}
             disabled={false}
             className="w-full rounded-xl font-bold transition-all duration-300 flex items-center justify-center gap-2 start-game-btn"
             style={{
@@ -461,6 +907,26 @@ const WaitingRoom = ({
               {isUsernameValid ? "Start Game" : "Enter Name to Start"}
             </span>
           </button>
+
+          {onPlayOnline && (
+            <button
+              type="button"
+              onClick={onPlayOnline}
+              className="w-full rounded-xl font-semibold flex items-center justify-center gap-2 play-online-btn"
+              style={{
+                background: "var(--color-bg-elevated)",
+                border: "1px solid var(--color-border-gold)",
+                color: "var(--color-text-gold)",
+                marginTop: "clamp(0.375rem, 1vh, 0.5rem)",
+                padding:
+                  "clamp(0.5rem, 1.2vh, 0.625rem) clamp(0.75rem, 1.5vw, 1rem)",
+                fontSize: "clamp(0.8125rem, 1.5vh, 0.9375rem)",
+              }}
+            >
+              <FaWifi className="text-sm" />
+              <span>Play online</span>
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -472,6 +938,8 @@ WaitingRoom.propTypes = {
     PropTypes.shape({
       id: PropTypes.string.isRequired,
       name: PropTypes.string.isRequired,
+      difficulty: PropTypes.string,
+      isHuman: PropTypes.bool,
     }),
   ).isRequired,
   startGame: PropTypes.func.isRequired,
@@ -482,10 +950,29 @@ WaitingRoom.propTypes = {
       id: PropTypes.string.isRequired,
       name: PropTypes.string.isRequired,
       description: PropTypes.string.isRequired,
+      partnerships: PropTypes.bool,
     }),
   ).isRequired,
   selectedRuleSet: PropTypes.number.isRequired,
   setSelectedRuleSet: PropTypes.func.isRequired,
+  seed: PropTypes.string,
+  setSeed: PropTypes.func,
+  maxRounds: PropTypes.number,
+  setMaxRounds: PropTypes.func,
+  partnerships: PropTypes.bool,
+  setPartnerships: PropTypes.func,
+  setPlayerCount: PropTypes.func,
+  handSize: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  cardsPerHand: PropTypes.number,
+  setHandSize: PropTypes.func,
+  setAIDifficulty: PropTypes.func,
+  // Hands a seat to a person at this device or back to the computer
+  setHumanSeat: PropTypes.func,
+  // Hints per game, 0 for none, or UNLIMITED_HINTS
+  hintLimit: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  setHintLimit: PropTypes.func,
+  // Opens the lobby for a game between browsers
+  onPlayOnline: PropTypes.func,
 };
 
 export default WaitingRoom;
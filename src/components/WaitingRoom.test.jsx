@@ -6,6 +6,7 @@
 import { describe, it, expect, vi, afterEach } from "vitest";
 import { render, screen, fireEvent } from "@testing-library/react";
 import WaitingRoom from "./WaitingRoom";
+import { registerBot, unregisterBot } from "../ai";
 
 describe("WaitingRoom", () => {
   const mockRuleSets = [
@@ -323,6 +324,397 @@ describe("WaitingRoom", () => {
     });
   });
 
+  describe("deal seed", () => {
+    it("should show the current seed as the placeholder", () => {
+      render(<WaitingRoom {...defaultProps} seed="k3x9q2ab" />);
+
+      expect(screen.getByLabelText(/deal seed/i)).toHaveAttribute(
+        "placeholder",
+        "k3x9q2ab",
+      );
+    });
+
+    it("should apply a typed seed when the game starts", () => {
+      const setSeed = vi.fn();
+      const startGame = vi.fn();
+      render(
+        <WaitingRoom
+          {...defaultProps}
+          username="TestUser"
+          setSeed={setSeed}
+          startGame={startGame}
+        />,
+      );
+
+      fireEvent.change(screen.getByLabelText(/deal seed/i), {
+        target: { value: "bug-42" },
+      });
+      fireEvent.click(screen.getByRole("button", { name: /start game/i }));
+
+      expect(setSeed).toHaveBeenCalledWith("bug-42");
+      expect(startGame).toHaveBeenCalled();
+    });
+
+    it("should keep the random seed when the field is blank", () => {
+      const setSeed = vi.fn();
+      render(
+        <WaitingRoom {...defaultProps} username="TestUser" setSeed={setSeed} />,
+      );
+
+      fireEvent.click(screen.getByRole("button", { name: /start game/i }));
+
+      expect(setSeed).not.toHaveBeenCalled();
+    });
+
+    it("should strip unsafe characters from the seed", () => {
+      render(<WaitingRoom {...defaultProps} />);
+      const input = screen.getByLabelText(/deal seed/i);
+
+      fireEvent.change(input, { target: { value: "<b>7" } });
+
+      expect(input).toHaveValue("b7");
+    });
+  });
+
+  describe("match length", () => {
+    it("should hide the selector when the length cannot be changed", () => {
+      render(<WaitingRoom {...defaultProps} />);
+      expect(screen.queryByText("Match Length")).not.toBeInTheDocument();
+    });
+
+    it("should mark the current match length", () => {
+      render(
+        <WaitingRoom {...defaultProps} maxRounds={3} setMaxRounds={vi.fn()} />,
+      );
+      expect(screen.getByRole("button", { name: "3 hands" })).toHaveAttribute(
+        "aria-pressed",
+        "true",
+      );
+      expect(screen.getByRole("button", { name: "1 hand" })).toHaveAttribute(
+        "aria-pressed",
+        "false",
+      );
+    });
+
+    it("should change the match length when an option is clicked", () => {
+      const setMaxRounds = vi.fn();
+      render(<WaitingRoom {...defaultProps} setMaxRounds={setMaxRounds} />);
+      fireEvent.click(screen.getByRole("button", { name: "7 hands" }));
+      expect(setMaxRounds).toHaveBeenCalledWith(7);
+    });
+  });
+
+  describe("table size", () => {
+    it("should hide the selector when the table size cannot be changed", () => {
+      render(<WaitingRoom {...defaultProps} />);
+      expect(screen.queryByText("Players")).not.toBeInTheDocument();
+    });
+
+    it("should mark the current table size", () => {
+      render(<WaitingRoom {...defaultProps} setPlayerCount={vi.fn()} />);
+      expect(screen.getByRole("button", { name: "4 players" })).toHaveAttribute(
+        "aria-pressed",
+        "true",
+      );
+    });
+
+    it("should change the table size when an option is clicked", () => {
+      const setPlayerCount = vi.fn();
+      render(<WaitingRoom {...defaultProps} setPlayerCount={setPlayerCount} />);
+      fireEvent.click(screen.getByRole("button", { name: "6 players" }));
+      expect(setPlayerCount).toHaveBeenCalledWith(6);
+    });
+
+    it("should lay out larger tables three to a row", () => {
+      const players = [
+        ...defaultProps.players,
+        { id: "player5", name: "Casey" },
+        { id: "player6", name: "Riley" },
+      ];
+      const { container } = render(
+        <WaitingRoom {...defaultProps} players={players} />,
+      );
+      expect(container.querySelector(".grid-cols-3")).toHaveTextContent(
+        "Riley",
+      );
+    });
+  });
+
+  describe("AI difficulty", () => {
+    it("should hide the selectors when difficulty cannot be changed", () => {
+      render(<WaitingRoom {...defaultProps} />);
+      expect(
+        screen.queryByRole("combobox", { name: "Alex difficulty" }),
+      ).not.toBeInTheDocument();
+    });
+
+    it("should offer a selector for every computer seat", () => {
+      render(<WaitingRoom {...defaultProps} setAIDifficulty={vi.fn()} />);
+      expect(
+        screen.getAllByRole("combobox", { name: /difficulty/ }),
+      ).toHaveLength(defaultProps.players.length - 1);
+    });
+
+    it("should show each seat's difficulty", () => {
+      const players = defaultProps.players.map((player, idx) =>
+        idx === 1 ? { ...player, difficulty: "hard" } : player,
+      );
+      render(
+        <WaitingRoom
+          {...defaultProps}
+          players={players}
+          setAIDifficulty={vi.fn()}
+        />,
+      );
+      const name = `${players[1].name} difficulty`;
+      expect(screen.getByRole("combobox", { name })).toHaveValue("hard");
+    });
+
+    it("should change a seat's difficulty", () => {
+      const setAIDifficulty = vi.fn();
+      render(
+        <WaitingRoom {...defaultProps} setAIDifficulty={setAIDifficulty} />,
+      );
+      const seat = defaultProps.players[2];
+      fireEvent.change(
+        screen.getByRole("combobox", { name: `${seat.name} difficulty` }),
+        { target: { value: "easy" } },
+      );
+      expect(setAIDifficulty).toHaveBeenCalledWith(seat.id, "easy");
+    });
+  });
+
+  describe("pass and play", () => {
+    it("should hand a computer seat to a person", () => {
+      const setHumanSeat = vi.fn();
+      render(<WaitingRoom {...defaultProps} setHumanSeat={setHumanSeat} />);
+      const seat = defaultProps.players[2];
+      const toggle = screen.getByRole("button", {
+        name: `${seat.name} played by a person here`,
+      });
+
+      expect(toggle).toHaveAttribute("aria-pressed", "false");
+      fireEvent.click(toggle);
+      expect(setHumanSeat).toHaveBeenCalledWith(seat.id, true);
+    });
+
+    it("should drop the difficulty of a human seat", () => {
+      const players = defaultProps.players.map((player, idx) =>
+        idx === 2 ? { ...player, isHuman: true } : player,
+      );
+      render(
+        <WaitingRoom
+          {...defaultProps}
+          players={players}
+          setAIDifficulty={vi.fn()}
+          setHumanSeat={vi.fn()}
+        />,
+      );
+
+      expect(
+        screen.getByRole("button", {
+          name: `${players[2].name} played by a person here`,
+        }),
+      ).toHaveAttribute("aria-pressed", "true");
+      expect(
+        screen.queryByRole("combobox", {
+          name: `${players[2].name} difficulty`,
+        }),
+      ).not.toBeInTheDocument();
+    });
+  });
+
+  describe("plugin bots", () => {
+    afterEach(() => {
+      unregisterBot("card-counter");
+    });
+
+    it("should list only built-in strategies when none are registered", () => {
+      render(<WaitingRoom {...defaultProps} setAIDifficulty={vi.fn()} />);
+      expect(screen.queryByRole("group", { name: "Custom bots" })).toBeNull();
+    });
+
+    it("should offer registered bots in every seat's list", () => {
+      registerBot({
+        id: "card-counter",
+        name: "Card Counter",
+        description: "Counts every card",
+        chooseCard: (view) => view.legalCards[0],
+      });
+      const setAIDifficulty = vi.fn();
+      const players = defaultProps.players.map((player, idx) =>
+        idx === 1 ? { ...player, difficulty: "card-counter" } : player,
+      );
+      render(
+        <WaitingRoom
+          {...defaultProps}
+          players={players}
+          setAIDifficulty={setAIDifficulty}
+        />,
+      );
+
+      expect(
+        screen.getAllByRole("group", { name: "Custom bots" }),
+      ).toHaveLength(players.length - 1);
+      const seat = screen.getByRole("combobox", {
+        name: `${players[1].name} difficulty`,
+      });
+      expect(seat).toHaveValue("card-counter");
+
+      const other = players[2];
+      fireEvent.change(
+        screen.getByRole("combobox", { name: `${other.name} difficulty` }),
+        { target: { value: "card-counter" } },
+      );
+      expect(setAIDifficulty).toHaveBeenCalledWith(other.id, "card-counter");
+    });
+  });
+
+  describe("hand size", () => {
+    it("should hide the selector when the hand size cannot be changed", () => {
+      render(<WaitingRoom {...defaultProps} />);
+      expect(screen.queryByText("Hand Size")).not.toBeInTheDocument();
+    });
+
+    it("should mark the current hand size", () => {
+      render(
+        <WaitingRoom {...defaultProps} handSize={7} setHandSize={vi.fn()} />,
+      );
+      expect(screen.getByRole("button", { name: "7" })).toHaveAttribute(
+        "aria-pressed",
+        "true",
+      );
+      expect(screen.getByRole("button", { name: "Full deck" })).toHaveAttribute(
+        "aria-pressed",
+        "false",
+      );
+    });
+
+    it("should request a full-deck deal", () => {
+      const setHandSize = vi.fn();
+      render(<WaitingRoom {...defaultProps} setHandSize={setHandSize} />);
+      fireEvent.click(screen.getByRole("button", { name: "Full deck" }));
+      expect(setHandSize).toHaveBeenCalledWith("full");
+    });
+
+    it("should show how many cards each seat is dealt", () => {
+      render(
+        <WaitingRoom
+          {...defaultProps}
+          handSize="full"
+          cardsPerHand={13}
+          setHandSize={vi.fn()}
+        />,
+      );
+      expect(screen.getByText("13 cards each")).toBeInTheDocument();
+    });
+  });
+
+  describe("hint limit", () => {
+    it("should hide the selector when the hint limit cannot be changed", () => {
+      render(<WaitingRoom {...defaultProps} />);
+      expect(screen.queryByText("Hints")).not.toBeInTheDocument();
+    });
+
+    it("should mark the current hint limit", () => {
+      render(
+        <WaitingRoom {...defaultProps} hintLimit={3} setHintLimit={vi.fn()} />,
+      );
+      expect(screen.getByRole("button", { name: "3" })).toHaveAttribute(
+        "aria-pressed",
+        "true",
+      );
+      expect(screen.getByRole("button", { name: "Off" })).toHaveAttribute(
+        "aria-pressed",
+        "false",
+      );
+    });
+
+    it("should request unlimited hints", () => {
+      const setHintLimit = vi.fn();
+      render(<WaitingRoom {...defaultProps} setHintLimit={setHintLimit} />);
+      fireEvent.click(screen.getByRole("button", { name: "Unlimited" }));
+      expect(setHintLimit).toHaveBeenCalledWith("unlimited");
+    });
+  });
+
+  describe("play mode", () => {
+    it("should hide the toggle when partnerships cannot be changed", () => {
+      render(<WaitingRoom {...defaultProps} />);
+      expect(screen.queryByText("Play Mode")).not.toBeInTheDocument();
+    });
+
+    it("should mark solo play by default", () => {
+      render(<WaitingRoom {...defaultProps} setPartnerships={vi.fn()} />);
+      expect(screen.getByRole("button", { name: "Solo" })).toHaveAttribute(
+        "aria-pressed",
+        "true",
+      );
+      expect(screen.queryByText("Team 1")).not.toBeInTheDocument();
+    });
+
+    it("should turn partnerships on when Partners is clicked", () => {
+      const setPartnerships = vi.fn();
+      render(
+        <WaitingRoom {...defaultProps} setPartnerships={setPartnerships} />,
+      );
+      fireEvent.click(screen.getByRole("button", { name: "Partners" }));
+      expect(setPartnerships).toHaveBeenCalledWith(true);
+    });
+
+    it("should label the teams across the table", () => {
+      render(
+        <WaitingRoom
+          {...defaultProps}
+          partnerships
+          setPartnerships={vi.fn()}
+        />,
+      );
+      const labels = screen
+        .getAllByText(/^Team \d$/)
+        .map((el) => el.textContent);
+      expect(labels).toEqual(["Team 1", "Team 2", "Team 1", "Team 2"]);
+    });
+
+    it("should force partners for rule sets that require them", () => {
+      const ruleSets = [
+        ...mockRuleSets,
+        {
+          id: "spades",
+          name: "Spades",
+          description: "Partners bid the tricks they will take",
+          partnerships: true,
+        },
+      ];
+      render(
+        <WaitingRoom
+          {...defaultProps}
+          ruleSets={ruleSets}
+          selectedRuleSet={3}
+          setPartnerships={vi.fn()}
+        />,
+      );
+      const partners = screen.getByRole("button", { name: "Partners" });
+      expect(partners).toHaveAttribute("aria-pressed", "true");
+      expect(partners).toBeDisabled();
+      expect(screen.getByRole("button", { name: "Solo" })).toBeDisabled();
+      expect(
+        screen.getByText("Spades is always played in partnerships"),
+      ).toBeInTheDocument();
+    });
+
+    it("should hide the toggle for an odd number of players", () => {
+      render(
+        <WaitingRoom
+          {...defaultProps}
+          players={defaultProps.players.slice(0, 3)}
+          setPartnerships={vi.fn()}
+        />,
+      );
+      expect(screen.queryByText("Play Mode")).not.toBeInTheDocument();
+    });
+  });
+
   describe("Start Game button", () => {
     it("should appear disabled when username is empty", () => {
       render(<WaitingRoom {...defaultProps} username="" />);
@@ -400,6 +792,23 @@ describe("WaitingRoom", () => {
     });
   });
 
+  describe("play online", () => {
+    it("should not offer online play without a handler", () => {
+      render(<WaitingRoom {...defaultProps} />);
+      expect(
+        screen.queryByRole("button", { name: /play online/i }),
+      ).not.toBeInTheDocument();
+    });
+
+    it("should call onPlayOnline when Play online is clicked", () => {
+      const onPlayOnline = vi.fn();
+      render(<WaitingRoom {...defaultProps} onPlayOnline={onPlayOnline} />);
+      fireEvent.click(screen.getByRole("button", { name: /play online/i }));
+
+      expect(onPlayOnline).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe("styling", () => {
     it("should have game-title class on heading", () => {
       const { container } = render(<WaitingRoom {...defaultProps} />);
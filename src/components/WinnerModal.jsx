@@ -1,25 +1,36 @@
 import PropTypes from "prop-types";
 import { FaCrown, FaRedo } from "react-icons/fa";
-import { getPlayerDisplayName } from "../utils/playerUtils";
+import { getTeamDisplayName } from "../utils/playerUtils";
+import { getStandings } from "../utils/rankUtils";
 
 /**
  * WinnerModal - Displays the game results and winner
  * Shows final scores sorted by rank and allows starting a new game
+ * Multi-hand matches also get a hand-by-hand breakdown of the totals, and in
+ * partnership play both tables list one row per team
  *
  * @param {Object} props - Component props
  * @param {Array} props.players - Array of player objects
  * @param {Array} props.scores - Array of scores corresponding to players
  * @param {Object} props.winner - The winning player object with player and score
  * @param {Function} props.resetGame - Function to reset and start a new game
+ * @param {Array} props.handHistory - Per-hand score arrays, oldest first
+ * @param {boolean} props.lowScoreWins - True when the lowest score wins
+ * @param {Array} props.teams - Seat indices of each team, or null for solo play
  */
-const WinnerModal = ({ players, scores, winner, resetGame }) => {
-  // Sort players by score for final standings
-  const sortedPlayers = [...players]
-    .map((player, idx) => ({
-      ...player,
-      score: scores[idx],
-    }))
-    .sort((a, b) => b.score - a.score);
+const WinnerModal = ({
+  players,
+  scores,
+  winner,
+  resetGame,
+  handHistory = [],
+  lowScoreWins = false,
+  teams = null,
+}) => {
+  // Sort sides by score for final standings
+  const standings = getStandings(players, scores, teams, lowScoreWins);
+  const isWinningSide = (side) =>
+    side.members.some((player) => player.id === winner.player.id);
 
   return (
     <div
@@ -62,11 +73,11 @@ const WinnerModal = ({ players, scores, winner, resetGame }) => {
                 Final Scores
               </div>
               <div className="space-y-1.5 sm:space-y-2">
-                {sortedPlayers.map((player) => {
-                  const isWinner = winner.player.id === player.id;
+                {standings.map((side) => {
+                  const isWinner = isWinningSide(side);
                   return (
                     <div
-                      key={player.id}
+                      key={side.id}
                       className="flex justify-between items-center p-2 sm:p-3 rounded-lg transition-all duration-300"
                       style={{
                         background: isWinner
@@ -78,16 +89,19 @@ const WinnerModal = ({ players, scores, winner, resetGame }) => {
                       }}
                     >
                       <span className="flex items-center gap-1.5 sm:gap-2">
-                        <img
-                          src={`https://robohash.org/${player.name}?set=set4&size=24x24`}
-                          alt={player.name}
-                          className="w-5 h-5 sm:w-6 sm:h-6 rounded pixel-art"
-                          style={{
-                            background: isWinner
-                              ? "rgba(255,255,255,0.2)"
-                              : "var(--color-bg-elevated)",
-                          }}
-                        />
+                        {side.members.map((player) => (
+                          <img
+                            key={player.id}
+                            src={`https://robohash.org/${player.name}?set=set4&size=24x24`}
+                            alt={player.name}
+                            className="w-5 h-5 sm:w-6 sm:h-6 rounded pixel-art"
+                            style={{
+                              background: isWinner
+                                ? "rgba(255,255,255,0.2)"
+                                : "var(--color-bg-elevated)",
+                            }}
+                          />
+                        ))}
                         <span
                           className="font-medium text-sm sm:text-base"
                           style={{
@@ -99,7 +113,7 @@ const WinnerModal = ({ players, scores, winner, resetGame }) => {
                               : "none",
                           }}
                         >
-                          {getPlayerDisplayName(player)}
+                          {getTeamDisplayName(side.members)}
                         </span>
                         {isWinner && (
                           <FaCrown
@@ -123,7 +137,7 @@ const WinnerModal = ({ players, scores, winner, resetGame }) => {
                             : "none",
                         }}
                       >
-                        {player.score}
+                        {side.score}
                       </span>
                     </div>
                   );
@@ -131,6 +145,61 @@ const WinnerModal = ({ players, scores, winner, resetGame }) => {
               </div>
             </div>
 
+            {handHistory.length > 1 && (
+              <div className="mb-4 sm:mb-6">
+                <div
+                  className="text-xs sm:text-sm mb-2 font-medium uppercase tracking-wider"
+                  style={{ color: "var(--color-text-secondary)" }}
+                >
+                  Hand by Hand
+                </div>
+                <table
+                  className="w-full text-xs sm:text-sm"
+                  style={{ color: "var(--color-text-primary)" }}
+                >
+                  <thead>
+                    <tr style={{ color: "var(--color-text-secondary)" }}>
+                      <th className="text-left font-medium pb-1">
+                        {teams ? "Team" : "Player"}
+                      </th>
+                      {handHistory.map((_, hand) => (
+                        <th key={hand} className="text-right font-medium pb-1">
+                          H{hand + 1}
+                        </th>
+                      ))}
+                      <th className="text-right font-medium pb-1">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {getStandings(players, scores, teams)
+                      .sort((a, b) => a.seats[0] - b.seats[0])
+                      .map((side) => (
+                        <tr
+                          key={side.id}
+                          style={
+                            teams && isWinningSide(side)
+                              ? { color: "var(--color-text-gold)" }
+                              : undefined
+                          }
+                        >
+                          <td className="text-left py-0.5">
+                            {getTeamDisplayName(side.members)}
+                          </td>
+                          {handHistory.map((handScores, hand) => (
+                            <td key={hand} className="text-right py-0.5">
+                              {handScores[side.seats[0]]}
+                            </td>
+                          ))}
+                          <td className="text-right py-0.5 font-bold">
+                            {side.score}
+                          </td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             <button
               onClick={resetGame}
               className="w-full px-3 sm:px-4 py-2.5 sm:py-3 rounded-xl font-bold transition-all duration-300 transform hover:scale-105 flex items-center justify-center gap-2 text-sm sm:text-base"
@@ -165,8 +234,12 @@ WinnerModal.propTypes = {
       name: PropTypes.string.isRequired,
     }).isRequired,
     score: PropTypes.number.isRequired,
+    team: PropTypes.arrayOf(PropTypes.object),
   }).isRequired,
   resetGame: PropTypes.func.isRequired,
+  handHistory: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+  lowScoreWins: PropTypes.bool,
+  teams: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
 };
 
 export default WinnerModal;
@@ -322,6 +322,82 @@ describe("WinnerModal", () => {
     });
   });
 
+  describe("match breakdown", () => {
+    const handHistory = [
+      [1, 3, 0, 3],
+      [2, 2, 2, 1],
+    ];
+
+    it("should not show a breakdown for a single hand", () => {
+      render(<WinnerModal {...defaultProps} handHistory={[[3, 5, 2, 4]]} />);
+      expect(screen.queryByText("Hand by Hand")).not.toBeInTheDocument();
+    });
+
+    it("should show one column per hand", () => {
+      render(<WinnerModal {...defaultProps} handHistory={handHistory} />);
+      expect(screen.getByText("Hand by Hand")).toBeInTheDocument();
+      expect(screen.getByText("H1")).toBeInTheDocument();
+      expect(screen.getByText("H2")).toBeInTheDocument();
+    });
+
+    it("should list each player's hand scores", () => {
+      render(<WinnerModal {...defaultProps} handHistory={handHistory} />);
+      const row = screen.getAllByText("Alex")[1].closest("tr");
+      const cells = [...row.querySelectorAll("td")].map(
+        (cell) => cell.textContent,
+      );
+      expect(cells).toEqual(["Alex", "3", "2", "5"]);
+    });
+  });
+
+  describe("teams", () => {
+    const teamProps = {
+      ...defaultProps,
+      scores: [120, 80, 120, 80],
+      winner: {
+        player: { id: "player1", name: "You" },
+        score: 120,
+      },
+      teams: [
+        [0, 2],
+        [1, 3],
+      ],
+    };
+
+    it("should list one final score per team", () => {
+      render(<WinnerModal {...teamProps} />);
+      expect(screen.getByText("You (You) & Sam")).toBeInTheDocument();
+      expect(screen.getByText("Alex & Jordan")).toBeInTheDocument();
+      expect(screen.getAllByText("120")).toHaveLength(1);
+    });
+
+    it("should highlight the winning team", () => {
+      render(<WinnerModal {...teamProps} />);
+      const row = screen.getByText("You (You) & Sam").closest("div");
+      expect(row.style.background).toContain("linear-gradient");
+      const loser = screen.getByText("Alex & Jordan").closest("div");
+      expect(loser.style.background).not.toContain("linear-gradient");
+    });
+
+    it("should break the match down by team", () => {
+      render(
+        <WinnerModal
+          {...teamProps}
+          handHistory={[
+            [70, 30, 70, 30],
+            [50, 50, 50, 50],
+          ]}
+        />,
+      );
+      expect(screen.getByText("Team")).toBeInTheDocument();
+      const row = screen.getAllByText("Alex & Jordan")[1].closest("tr");
+      const cells = [...row.querySelectorAll("td")].map(
+        (cell) => cell.textContent,
+      );
+      expect(cells).toEqual(["Alex & Jordan", "30", "50", "80"]);
+    });
+  });
+
   describe("responsive styling", () => {
     it("should have responsive padding classes", () => {
       const { container } = render(<WinnerModal {...defaultProps} />);
@@ -3,20 +3,31 @@
  * Provides clean imports from a single entry point
  */
 
+export { default as BiddingPanel } from "./BiddingPanel";
 export { default as Card } from "./Card";
 export { default as CardColorPicker } from "./CardColorPicker";
 export { default as CardPatternPicker } from "./CardPatternPicker";
+export { default as ChatPanel } from "./ChatPanel";
 export { default as DragHint } from "./DragHint";
+export { default as EmotePop } from "./EmotePop";
 export { default as ErrorBoundary } from "./ErrorBoundary";
 export { default as GameTable } from "./GameTable";
+export { default as HandSummary } from "./HandSummary";
 export { default as Header } from "./Header";
 export { default as HeaderBranding } from "./HeaderBranding";
 export { default as HelpButton } from "./HelpButton";
+export { default as HintButton } from "./HintButton";
 export { default as HowToPlayModal } from "./HowToPlayModal";
 export { default as LandscapeMenu } from "./LandscapeMenu";
 export { default as Leaderboard } from "./Leaderboard";
 export { default as LoadingScreen } from "./LoadingScreen";
+export { default as OnlineGame } from "./OnlineGame";
+export { default as PassCardsPanel } from "./PassCardsPanel";
+export { default as PassDeviceScreen } from "./PassDeviceScreen";
+export { default as PeerLobby } from "./PeerLobby";
+export { default as PeerSignalPanel } from "./PeerSignalPanel";
 export { default as PlayedCard } from "./PlayedCard";
+export { default as PlayedCardsGrid } from "./PlayedCardsGrid";
 export { default as PlayerPanel } from "./PlayerPanel";
 export { default as RuleSetSelector } from "./RuleSetSelector";
 export { default as SettingsPanel } from "./SettingsPanel";
@@ -1,9 +1,43 @@
 /**
  * Game rule set configurations (REFACTORED)
- * Each rule set defines how tricks are evaluated and winners determined
+ * Each rule set defines how tricks are evaluated and winners determined,
+ * and which cards in a hand may legally be played
  * Extracted common logic to reduce duplication and improve maintainability
+ *
+ * Rule set shape:
+ * - evaluateWinner(cards, leadPlayerId) - player ID that wins a trick
+ * - getLegalCards(hand, playArea, leadPlayerId, context) - playable cards;
+ *   context carries the tricks already collected this hand
+ * - scoreTrick(cards) - points the trick winner takes
+ * - scoreHand(handScores, context) - optional end-of-hand adjustment,
+ *   returning the final hand scores and any rule events it produced; context
+ *   carries each seat's bid, tricks won and bags carried over, the hand's
+ *   collected tricks and the seats of each side (`teams`), and a rule set
+ *   that tracks bags returns the updated counts as `bags`. Partners always
+ *   hold the same score
+ * - lowScoreWins - optional, true when the lowest total wins the match
+ * - leadRestriction - optional reason shown when an illegal card is led
+ * - passing - optional { count, directions } card pass before each hand
+ * - bidding - optional { nil, blindNil } contract bidding before each hand
+ * - partnerships - optional, true when seats across the table must play as
+ *   teams
+ * - stripDeck - optional, true to drop low cards so the deck divides evenly
+ *   between the seats instead of leaving a kitty
+ * - handSize - optional cards dealt to each seat, or FULL_DECK to deal the
+ *   whole deck; a match may still pick its own size
+ * - trumpSuit - optional suit that beats every other suit, for computer
+ *   players planning their plays
  */
 
+import { FULL_DECK } from "../constants/gameConstants";
+
+// Events a rule set may report from scoreHand
+const RULE_EVENTS = {
+  SHOT_THE_MOON: "SHOT_THE_MOON",
+  CONTRACTS_SCORED: "CONTRACTS_SCORED",
+  BAG_PENALTY: "BAG_PENALTY",
+};
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -92,6 +126,359 @@ const getDefaultWinner = (cards, leadPlayerId) => {
   return cardEntries.length > 0 ? cardEntries[0][0] : null;
 };
 
+/**
+ * Returns every card in the hand - used by rule sets without play restrictions
+ * @param {Array} hand - Cards in the player's hand
+ * @returns {Array} All cards in the hand
+ */
+const getAnyCard = (hand) => [...(hand || [])];
+
+/**
+ * Returns the cards that follow the lead suit, or the whole hand if the
+ * player is void in that suit or is leading the trick
+ * @param {Array} hand - Cards in the player's hand
+ * @param {Object} playArea - Object mapping playerId to card for the current
+ *   trick
+ * @param {string} leadPlayerId - ID of the player who led the trick
+ * @returns {Array} Cards that may legally be played
+ */
+const getFollowSuitCards = (hand, playArea, leadPlayerId) => {
+  if (!hand || hand.length === 0) return [];
+
+  const leadSuit = getLeadSuit(playArea || {}, leadPlayerId);
+  if (!leadSuit) return [...hand];
+
+  const suitCards = hand.filter((card) => card.suit === leadSuit);
+  return suitCards.length > 0 ? suitCards : [...hand];
+};
+
+/**
+ * Scores one point for every trick won - used by trick-counting rule sets
+ * @returns {number} Points for the trick winner
+ */
+const scoreOnePerTrick = () => 1;
+
+// ============================================================================
+// HEARTS HELPERS
+// ============================================================================
+
+// Rank of the queen, the penalty card in spades
+const QUEEN_RANK = 12;
+
+/**
+ * Gets the Hearts penalty points of a single card
+ * @param {Object} card - Card to score
+ * @returns {number} 1 for a heart, 13 for the queen of spades, otherwise 0
+ */
+const getHeartsCardPoints = (card) => {
+  if (card.suit === "hearts") return 1;
+  if (card.suit === "spades" && card.rank === QUEEN_RANK) return 13;
+  return 0;
+};
+
+// Penalty points in a full deck: every heart plus the queen of spades
+const HEARTS_DECK_POINTS = 26;
+
+/**
+ * Scores the penalty points in a trick for its winner
+ * @param {Object} cards - Object mapping playerId to card
+ * @returns {number} Hearts count 1, the queen of spades 13
+ */
+const scoreHeartsTrick = (cards) =>
+  Object.values(cards).reduce(
+    (points, card) => points + getHeartsCardPoints(card),
+    0,
+  );
+
+/**
+ * Checks whether a heart has been played in an earlier trick of the hand
+ * @param {Array} tricks - Collected tricks ({ cards }) of the current hand
+ * @returns {boolean} True once hearts are broken
+ */
+const areHeartsBroken = (tricks = []) =>
+  tricks.some((trick) =>
+    Object.values(trick.cards).some((card) => card.suit === "hearts"),
+  );
+
+/**
+ * Returns the cards that may be played in Hearts: suit must be followed, and
+ * hearts may not be led until broken unless the hand holds nothing else
+ * @param {Array} hand - Cards in the player's hand
+ * @param {Object} playArea - Object mapping playerId to card for the current
+ *   trick
+ * @param {string} leadPlayerId - ID of the player who led the trick
+ * @param {Object} context - Hand context
+ * @param {Array} context.tricks - Tricks collected so far this hand
+ * @returns {Array} Cards that may legally be played
+ */
+const getHeartsLegalCards = (hand, playArea, leadPlayerId, context = {}) => {
+  const followCards = getFollowSuitCards(hand, playArea, leadPlayerId);
+  const isLeading = !getLeadSuit(playArea || {}, leadPlayerId);
+  if (!isLeading || areHeartsBroken(context.tricks)) return followCards;
+
+  const nonHearts = followCards.filter((card) => card.suit !== "hearts");
+  return nonHearts.length > 0 ? nonHearts : followCards;
+};
+
+/**
+ * Gives every seat a side of its own - the sides when nobody is partnered
+ * @param {Array} seats - Any array with one entry per seat
+ * @returns {Array<Array<number>>} One single-seat side per seat
+ */
+const getSoloTeams = (seats) => seats.map((_, idx) => [idx]);
+
+/**
+ * Applies shooting the moon: a side that took every point card dealt this
+ * hand scores nothing and every other side takes those points instead
+ * @param {Array<number>} handScores - Penalty points taken by each seat
+ * @param {Object} context - Hand context
+ * @param {Array<Array<number>>} context.teams - Seats of each side
+ * @param {Array} context.tricks - Collected tricks ({ cards }) of the hand;
+ *   without them the whole deck's points are assumed to be dealt
+ * @returns {{handScores: Array<number>, events: Array}} Final hand scores and
+ *   a SHOT_THE_MOON event when the moon was shot
+ */
+const scoreHeartsHand = (
+  handScores,
+  { teams = getSoloTeams(handScores), tricks } = {},
+) => {
+  const points = tricks
+    ? tricks.reduce((total, trick) => total + scoreHeartsTrick(trick.cards), 0)
+    : HEARTS_DECK_POINTS;
+  const shooters = teams.find((team) => handScores[team[0]] === points);
+  if (points === 0 || !shooters) return { handScores, events: [] };
+
+  return {
+    handScores: handScores.map((_, idx) =>
+      shooters.includes(idx) ? 0 : points,
+    ),
+    events: [
+      { type: RULE_EVENTS.SHOT_THE_MOON, playerIndex: shooters[0], points },
+    ],
+  };
+};
+
+// ============================================================================
+// SPADES HELPERS
+// ============================================================================
+
+/**
+ * Evaluates trick winner with spades as trump
+ * Spades beat all other suits, regardless of value
+ * If no spades, highest card of lead suit wins
+ * @param {Object} cards - Object mapping playerId to card
+ * @param {string} leadPlayerId - The ID of the player who led the trick
+ * @returns {string} The winning player's ID
+ */
+const evaluateSpadesTrump = (cards, leadPlayerId) => {
+  const cardEntries = Object.entries(cards);
+
+  if (cardEntries.length === 0) {
+    return getDefaultWinner(cards, leadPlayerId);
+  }
+
+  // Check for spades (trump suit)
+  const spadesCards = filterBySuit(cardEntries, "spades");
+
+  // If any spades were played, highest spade wins
+  if (spadesCards.length > 0) {
+    return findHighestCard(spadesCards);
+  }
+
+  // No spades, so highest card of lead suit wins
+  const leadSuit = getLeadSuit(cards, leadPlayerId);
+
+  if (!leadSuit) {
+    return getDefaultWinner(cards, leadPlayerId);
+  }
+
+  const winner = findHighestInSuit(cardEntries, leadSuit);
+
+  // Return winner or default to lead player if no valid winner found
+  return winner || getDefaultWinner(cards, leadPlayerId);
+};
+
+// Bags that trigger a penalty, and the points that penalty costs
+const BAG_LIMIT = 10;
+const BAG_PENALTY = 100;
+
+// Points won or lost on a nil and a blind nil bid
+const NIL_POINTS = 100;
+const BLIND_NIL_POINTS = 200;
+
+/**
+ * Scores one seat's contract
+ * A made bid scores 10 per trick bid plus 1 per overtrick, and every
+ * overtrick is a bag; a set bid loses 10 per trick bid. Nil and blind nil
+ * win or lose a flat amount, and tricks taken on a failed nil become bags
+ * @param {{tricks: number, blind: boolean}} bid - The seat's bid
+ * @param {number} tricks - Tricks the seat won this hand
+ * @returns {{made: boolean, points: number, bags: number}} Contract result
+ */
+const scoreContract = (bid, tricks) => {
+  if (bid.tricks === 0) {
+    const value = bid.blind ? BLIND_NIL_POINTS : NIL_POINTS;
+    return tricks === 0
+      ? { made: true, points: value, bags: 0 }
+      : { made: false, points: tricks - value, bags: tricks };
+  }
+
+  if (tricks < bid.tricks) {
+    return { made: false, points: -10 * bid.tricks, bags: 0 };
+  }
+  const overtricks = tricks - bid.tricks;
+  return { made: true, points: 10 * bid.tricks + overtricks, bags: overtricks };
+};
+
+/**
+ * Scores one side's contracts
+ * Nil bids are scored seat by seat; the rest of the side shares a single
+ * contract for the sum of its bids and the tricks those seats won. A seat
+ * with no bid has no contract to make or lose
+ * @param {Array<number>} team - Seat indices of the side
+ * @param {Array} bids - Each seat's { tricks, blind } bid, if it bid
+ * @param {Array<number>} tricksWon - Tricks each seat won
+ * @returns {{points: number, bags: number, made: Object}} Side's points and
+ *   new bags, and whether each seat's part of the contract was made
+ */
+const scoreTeamContracts = (team, bids, tricksWon) => {
+  const bidders = team.filter((seat) => bids[seat]?.tricks > 0);
+  const parts = team
+    .filter((seat) => bids[seat]?.tricks === 0)
+    .map((seat) => ({
+      seats: [seat],
+      ...scoreContract(bids[seat], tricksWon[seat]),
+    }));
+
+  if (bidders.length > 0) {
+    const sum = (values) => values.reduce((total, n) => total + n, 0);
+    parts.push({
+      seats: bidders,
+      ...scoreContract(
+        { tricks: sum(bidders.map((seat) => bids[seat].tricks)) },
+        sum(bidders.map((seat) => tricksWon[seat])),
+      ),
+    });
+  }
+
+  const made = {};
+  parts.forEach((part) => {
+    part.seats.forEach((seat) => {
+      made[seat] = part.made;
+    });
+  });
+  return {
+    points: parts.reduce((total, part) => total + part.points, 0),
+    bags: parts.reduce((total, part) => total + part.bags, 0),
+    made,
+  };
+};
+
+/**
+ * Scores every contract at the end of a Spades hand and applies the bag
+ * penalty whenever a side's bags reach the limit
+ * @param {Array<number>} handScores - Points taken during play (unused)
+ * @param {Object} context - Hand context
+ * @param {Array|null} context.bids - Each seat's { tricks, blind } bid. A
+ *   hand that was never bid on scores no contracts
+ * @param {Array<number>} context.tricksWon - Tricks each seat won
+ * @param {Array<number>} context.bags - Bags each seat's side carried into
+ *   the hand
+ * @param {Array<Array<number>>} context.teams - Seats of each side
+ * @returns {{handScores: Array<number>, bags: Array<number>, events: Array}}
+ *   Contract points, updated bag counts, a CONTRACTS_SCORED event and a
+ *   BAG_PENALTY event per penalised side
+ */
+const scoreSpadesHand = (
+  handScores,
+  { bids, tricksWon, bags, teams = getSoloTeams(handScores) },
+) => {
+  const seatBids = bids ?? [];
+  const points = [...handScores];
+  const newBags = [...bags];
+  const made = [];
+  const penalties = [];
+
+  teams.forEach((team) => {
+    const side = scoreTeamContracts(team, seatBids, tricksWon);
+    let sidePoints = side.points;
+    let sideBags = bags[team[0]] + side.bags;
+    if (sideBags >= BAG_LIMIT) {
+      sidePoints -= BAG_PENALTY;
+      sideBags -= BAG_LIMIT;
+      penalties.push({
+        type: RULE_EVENTS.BAG_PENALTY,
+        playerIndex: team[0],
+        seats: team,
+        points: BAG_PENALTY,
+      });
+    }
+    team.forEach((seat) => {
+      points[seat] = sidePoints;
+      newBags[seat] = sideBags;
+      made[seat] = side.made[seat];
+    });
+  });
+
+  const results = handScores.map((_, idx) => ({
+    bid: seatBids[idx]?.tricks ?? null,
+    blind: seatBids[idx]?.blind,
+    tricks: tricksWon[idx],
+    made: made[idx],
+    points: points[idx],
+    bags: newBags[idx],
+  }));
+
+  return {
+    handScores: points,
+    bags: newBags,
+    events: [{ type: RULE_EVENTS.CONTRACTS_SCORED, results }, ...penalties],
+  };
+};
+
+/**
+ * Checks whether a card may be played under a rule set
+ * @param {Object} ruleSet - Rule set configuration
+ * @param {Object} card - Card the player wants to play
+ * @param {Array} hand - Cards in the player's hand
+ * @param {Object} playArea - Object mapping playerId to card for the current
+ *   trick
+ * @param {string} leadPlayerId - ID of the player who led the trick
+ * @param {Object} context - Hand context passed on to getLegalCards
+ * @returns {{valid: boolean, reason: string|null}} Validation result with a
+ *   human-readable reason when the play is rejected
+ */
+const validatePlay = (
+  ruleSet,
+  card,
+  hand,
+  playArea,
+  leadPlayerId,
+  context = {},
+) => {
+  if (!card || !hand?.some((c) => c.id === card.id)) {
+    return { valid: false, reason: "That card is not in your hand" };
+  }
+
+  const legalCards = ruleSet.getLegalCards(
+    hand,
+    playArea,
+    leadPlayerId,
+    context,
+  );
+  if (legalCards.some((c) => c.id === card.id)) {
+    return { valid: true, reason: null };
+  }
+
+  const leadSuit = getLeadSuit(playArea || {}, leadPlayerId);
+  return {
+    valid: false,
+    reason: leadSuit
+      ? `You must follow suit and play ${leadSuit}`
+      : ruleSet.leadRestriction || "That card cannot be played right now",
+  };
+};
+
 // ============================================================================
 // RULE SETS
 // ============================================================================
@@ -101,6 +488,8 @@ const ruleSets = [
     id: "suit-follows",
     name: "Suit Follows",
     description: "Must follow lead suit, highest of lead suit wins",
+    getLegalCards: getFollowSuitCards,
+    scoreTrick: scoreOnePerTrick,
     /**
      * Evaluates trick winner - must follow lead suit
      * Only cards matching the lead suit can win
@@ -134,6 +523,8 @@ const ruleSets = [
     id: "highest-card",
     name: "Highest Card Wins",
     description: "The highest card value wins the trick",
+    getLegalCards: getAnyCard,
+    scoreTrick: scoreOnePerTrick,
     /**
      * Evaluates trick winner based on highest card value
      * @param {Object} cards - Object mapping playerId to card
@@ -155,44 +546,70 @@ const ruleSets = [
     id: "spades-trump",
     name: "Spades Trump",
     description: "Spades are trump cards and beat all other suits",
+    getLegalCards: getFollowSuitCards,
+    scoreTrick: scoreOnePerTrick,
+    evaluateWinner: evaluateSpadesTrump,
+    trumpSuit: "spades",
+  },
+
+  {
+    id: "hearts",
+    name: "Hearts",
+    description:
+      "Avoid hearts and the queen of spades - lowest score wins the match",
+    getLegalCards: getHeartsLegalCards,
+    leadRestriction: "Hearts cannot be led until they are broken",
+    lowScoreWins: true,
+    stripDeck: true,
+    handSize: FULL_DECK,
+    passing: {
+      count: 3,
+      directions: ["left", "right", "across", "hold"],
+    },
+    scoreTrick: scoreHeartsTrick,
+    scoreHand: scoreHeartsHand,
     /**
-     * Evaluates trick winner with spades as trump
-     * Spades beat all other suits, regardless of value
-     * If no spades, highest card of lead suit wins
+     * Evaluates trick winner - highest card of the lead suit wins
      * @param {Object} cards - Object mapping playerId to card
      * @param {string} leadPlayerId - The ID of the player who led the trick
      * @returns {string} The winning player's ID
      */
     evaluateWinner: (cards, leadPlayerId) => {
-      const cardEntries = Object.entries(cards);
-
-      if (cardEntries.length === 0) {
-        return getDefaultWinner(cards, leadPlayerId);
-      }
-
-      // Check for spades (trump suit)
-      const spadesCards = filterBySuit(cardEntries, "spades");
-
-      // If any spades were played, highest spade wins
-      if (spadesCards.length > 0) {
-        return findHighestCard(spadesCards);
-      }
-
-      // No spades, so highest card of lead suit wins
       const leadSuit = getLeadSuit(cards, leadPlayerId);
-
       if (!leadSuit) {
         return getDefaultWinner(cards, leadPlayerId);
       }
 
-      const winner = findHighestInSuit(cardEntries, leadSuit);
-
-      // Return winner or default to lead player if no valid winner found
+      const winner = findHighestInSuit(Object.entries(cards), leadSuit);
       return winner || getDefaultWinner(cards, leadPlayerId);
     },
   },
+
+  {
+    id: "spades",
+    name: "Spades",
+    description:
+      "Partners bid the tricks they will take - spades are trump, make your contract",
+    getLegalCards: getFollowSuitCards,
+    bidding: { nil: true, blindNil: true },
+    partnerships: true,
+    handSize: FULL_DECK,
+    // Tricks only count toward contracts, scored once the hand is over
+    scoreTrick: () => 0,
+    scoreHand: scoreSpadesHand,
+    evaluateWinner: evaluateSpadesTrump,
+    trumpSuit: "spades",
+  },
 ];
 
+/**
+ * Looks up a rule set by its id
+ * @param {string} ruleSetId - Rule set id (e.g. "spades-trump")
+ * @returns {Object|null} The rule set or null if none matches
+ */
+const getRuleSetById = (ruleSetId) =>
+  ruleSets.find((ruleSet) => ruleSet.id === ruleSetId) || null;
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -206,4 +623,17 @@ export {
   findHighestCard,
   filterBySuit,
   getDefaultWinner,
+  getAnyCard,
+  getFollowSuitCards,
+  validatePlay,
+  getRuleSetById,
+  scoreOnePerTrick,
+  getHeartsCardPoints,
+  areHeartsBroken,
+  getHeartsLegalCards,
+  scoreHeartsHand,
+  evaluateSpadesTrump,
+  scoreContract,
+  scoreSpadesHand,
+  RULE_EVENTS,
 };
@@ -4,7 +4,18 @@
  */
 
 import { describe, it, expect } from "vitest";
-import ruleSets from "./ruleSets";
+import ruleSets, {
+  getAnyCard,
+  getFollowSuitCards,
+  validatePlay,
+  getHeartsCardPoints,
+  areHeartsBroken,
+  getHeartsLegalCards,
+  scoreHeartsHand,
+  scoreContract,
+  scoreSpadesHand,
+  RULE_EVENTS,
+} from "./ruleSets";
 
 describe("ruleSets", () => {
   describe("structure", () => {
@@ -12,8 +23,8 @@ describe("ruleSets", () => {
       expect(Array.isArray(ruleSets)).toBe(true);
     });
 
-    it("should have 3 rule sets", () => {
-      expect(ruleSets).toHaveLength(3);
+    it("should have 5 rule sets", () => {
+      expect(ruleSets).toHaveLength(5);
     });
 
     it("should have required properties for each rule set", () => {
@@ -22,6 +33,14 @@ describe("ruleSets", () => {
         expect(ruleSet).toHaveProperty("name");
         expect(ruleSet).toHaveProperty("description");
         expect(ruleSet).toHaveProperty("evaluateWinner");
+        expect(ruleSet).toHaveProperty("getLegalCards");
+        expect(ruleSet).toHaveProperty("scoreTrick");
+      });
+    });
+
+    it("should have getLegalCards as a function for each rule set", () => {
+      ruleSets.forEach((ruleSet) => {
+        expect(typeof ruleSet.getLegalCards).toBe("function");
       });
     });
 
@@ -456,6 +475,414 @@ describe("ruleSets", () => {
     });
   });
 
+  describe("legal moves", () => {
+    const hand = [
+      { id: "hearts-5", suit: "hearts", rank: 5, value: 5 },
+      { id: "hearts-12", suit: "hearts", rank: 12, value: 12 },
+      { id: "spades-2", suit: "spades", rank: 2, value: 2 },
+      { id: "clubs-1", suit: "clubs", rank: 1, value: 14 },
+    ];
+    const heartsLed = {
+      player2: { id: "hearts-9", suit: "hearts", rank: 9, value: 9 },
+    };
+    const diamondsLed = {
+      player2: { id: "diamonds-9", suit: "diamonds", rank: 9, value: 9 },
+    };
+
+    describe("getAnyCard", () => {
+      it("should return every card in the hand", () => {
+        expect(getAnyCard(hand)).toEqual(hand);
+      });
+
+      it("should return an empty array for a missing hand", () => {
+        expect(getAnyCard(undefined)).toEqual([]);
+      });
+    });
+
+    describe("getFollowSuitCards", () => {
+      it("should allow any card when leading the trick", () => {
+        expect(getFollowSuitCards(hand, {}, null)).toEqual(hand);
+      });
+
+      it("should only allow cards of the lead suit when holding some", () => {
+        const legal = getFollowSuitCards(hand, heartsLed, "player2");
+        expect(legal.map((c) => c.id)).toEqual(["hearts-5", "hearts-12"]);
+      });
+
+      it("should allow any card when void in the lead suit", () => {
+        expect(getFollowSuitCards(hand, diamondsLed, "player2")).toEqual(hand);
+      });
+
+      it("should return an empty array for an empty hand", () => {
+        expect(getFollowSuitCards([], heartsLed, "player2")).toEqual([]);
+      });
+    });
+
+    it("should let highest-card play any card", () => {
+      const ruleSet = ruleSets.find((r) => r.id === "highest-card");
+      expect(ruleSet.getLegalCards(hand, heartsLed, "player2")).toEqual(hand);
+    });
+
+    it("should require following suit in suit-follows and spades-trump", () => {
+      ["suit-follows", "spades-trump"].forEach((id) => {
+        const ruleSet = ruleSets.find((r) => r.id === id);
+        const legal = ruleSet.getLegalCards(hand, heartsLed, "player2");
+        expect(legal.every((c) => c.suit === "hearts")).toBe(true);
+      });
+    });
+
+    describe("validatePlay", () => {
+      const suitFollows = ruleSets.find((r) => r.id === "suit-follows");
+
+      it("should accept a legal card", () => {
+        expect(
+          validatePlay(suitFollows, hand[0], hand, heartsLed, "player2"),
+        ).toEqual({ valid: true, reason: null });
+      });
+
+      it("should reject a card that does not follow suit with a reason", () => {
+        const result = validatePlay(
+          suitFollows,
+          hand[2],
+          hand,
+          heartsLed,
+          "player2",
+        );
+        expect(result.valid).toBe(false);
+        expect(result.reason).toBe("You must follow suit and play hearts");
+      });
+
+      it("should reject a card that is not in the hand", () => {
+        const result = validatePlay(
+          suitFollows,
+          { id: "diamonds-3", suit: "diamonds", rank: 3, value: 3 },
+          hand,
+          {},
+          null,
+        );
+        expect(result.valid).toBe(false);
+        expect(result.reason).toBe("That card is not in your hand");
+      });
+    });
+  });
+
+  describe("hearts rule set", () => {
+    const hearts = ruleSets.find((r) => r.id === "hearts");
+    const card = (suit, rank) => ({
+      id: `${suit}-${rank}`,
+      suit,
+      rank,
+      value: rank === 1 ? 14 : rank,
+    });
+    const hand = [card("hearts", 4), card("clubs", 9), card("spades", 12)];
+    const heartTrick = { cards: { player1: card("hearts", 2) } };
+
+    it("should count hearts and the queen of spades as penalty points", () => {
+      expect(getHeartsCardPoints(card("hearts", 1))).toBe(1);
+      expect(getHeartsCardPoints(card("spades", 12))).toBe(13);
+      expect(getHeartsCardPoints(card("spades", 13))).toBe(0);
+      expect(getHeartsCardPoints(card("diamonds", 12))).toBe(0);
+    });
+
+    it("should score the penalty points in a trick", () => {
+      const trick = {
+        player1: card("hearts", 3),
+        player2: card("spades", 12),
+        player3: card("hearts", 10),
+        player4: card("clubs", 2),
+      };
+      expect(hearts.scoreTrick(trick)).toBe(15);
+    });
+
+    it("should let the lowest score win", () => {
+      expect(hearts.lowScoreWins).toBe(true);
+    });
+
+    it("should pass three cards in rotating directions", () => {
+      expect(hearts.passing).toEqual({
+        count: 3,
+        directions: ["left", "right", "across", "hold"],
+      });
+    });
+
+    it("should win with the highest card of the lead suit", () => {
+      const trick = {
+        player1: card("clubs", 5),
+        player2: card("clubs", 11),
+        player3: card("hearts", 1),
+        player4: card("spades", 12),
+      };
+      expect(hearts.evaluateWinner(trick, "player1")).toBe("player2");
+    });
+
+    describe("breaking hearts", () => {
+      it("should notice a heart in an earlier trick", () => {
+        expect(areHeartsBroken([])).toBe(false);
+        expect(areHeartsBroken([heartTrick])).toBe(true);
+      });
+
+      it("should not allow leading hearts before they are broken", () => {
+        const legal = getHeartsLegalCards(hand, {}, null, { tricks: [] });
+        expect(legal.map((c) => c.id)).toEqual(["clubs-9", "spades-12"]);
+      });
+
+      it("should allow leading hearts once broken", () => {
+        expect(
+          getHeartsLegalCards(hand, {}, null, { tricks: [heartTrick] }),
+        ).toEqual(hand);
+      });
+
+      it("should allow leading hearts from a hand of only hearts", () => {
+        const onlyHearts = [card("hearts", 4), card("hearts", 9)];
+        expect(getHeartsLegalCards(onlyHearts, {}, null, {})).toEqual(
+          onlyHearts,
+        );
+      });
+
+      it("should allow discarding a heart when void in the lead suit", () => {
+        const diamondsLed = { player2: card("diamonds", 6) };
+        expect(getHeartsLegalCards(hand, diamondsLed, "player2", {})).toEqual(
+          hand,
+        );
+      });
+
+      it("should explain why a heart cannot be led", () => {
+        expect(validatePlay(hearts, hand[0], hand, {}, null, {})).toEqual({
+          valid: false,
+          reason: "Hearts cannot be led until they are broken",
+        });
+      });
+    });
+
+    describe("shooting the moon", () => {
+      it("should leave ordinary hands unchanged", () => {
+        expect(scoreHeartsHand([3, 13, 0, 10])).toEqual({
+          handScores: [3, 13, 0, 10],
+          events: [],
+        });
+      });
+
+      it("should give every other player the points instead", () => {
+        expect(scoreHeartsHand([0, 26, 0, 0])).toEqual({
+          handScores: [26, 0, 26, 26],
+          events: [
+            { type: RULE_EVENTS.SHOT_THE_MOON, playerIndex: 1, points: 26 },
+          ],
+        });
+      });
+
+      it("should not fire when nobody took points", () => {
+        expect(scoreHeartsHand([0, 0, 0, 0]).events).toEqual([]);
+      });
+
+      describe("in a short hand", () => {
+        // Three hearts dealt in all
+        const tricks = [
+          { cards: { player1: card("hearts", 2), player2: card("clubs", 5) } },
+          { cards: { player1: card("hearts", 3), player2: card("hearts", 4) } },
+        ];
+
+        it("should only count the points that were dealt", () => {
+          expect(scoreHeartsHand([3, 0, 0, 0], { tricks }).events).toEqual([
+            { type: RULE_EVENTS.SHOT_THE_MOON, playerIndex: 0, points: 3 },
+          ]);
+        });
+
+        it("should not fire for a side that missed a point card", () => {
+          expect(scoreHeartsHand([2, 0, 0, 0], { tricks })).toEqual({
+            handScores: [2, 0, 0, 0],
+            events: [],
+          });
+        });
+      });
+    });
+  });
+
+  describe("spades rule set", () => {
+    const spades = ruleSets.find((r) => r.id === "spades");
+    const bid = (tricks, blind = false) => ({ tricks, blind });
+
+    it("should bid with nil and blind nil allowed", () => {
+      expect(spades.bidding).toEqual({ nil: true, blindNil: true });
+    });
+
+    it("should leave trick points to the contract", () => {
+      expect(spades.scoreTrick({})).toBe(0);
+    });
+
+    it("should treat spades as trump", () => {
+      const trick = {
+        player1: { id: "hearts-1", suit: "hearts", rank: 1, value: 14 },
+        player2: { id: "spades-2", suit: "spades", rank: 2, value: 2 },
+      };
+      expect(spades.evaluateWinner(trick, "player1")).toBe("player2");
+    });
+
+    describe("contracts", () => {
+      it("should score 10 a trick plus a bag per overtrick when made", () => {
+        expect(scoreContract(bid(3), 3)).toEqual({
+          made: true,
+          points: 30,
+          bags: 0,
+        });
+        expect(scoreContract(bid(3), 5)).toEqual({
+          made: true,
+          points: 32,
+          bags: 2,
+        });
+      });
+
+      it("should lose 10 a trick bid when set", () => {
+        expect(scoreContract(bid(4), 2)).toEqual({
+          made: false,
+          points: -40,
+          bags: 0,
+        });
+      });
+
+      it("should win or lose 100 on nil", () => {
+        expect(scoreContract(bid(0), 0).points).toBe(100);
+        expect(scoreContract(bid(0), 2)).toEqual({
+          made: false,
+          points: -98,
+          bags: 2,
+        });
+      });
+
+      it("should win or lose 200 on blind nil", () => {
+        expect(scoreContract(bid(0, true), 0).points).toBe(200);
+        expect(scoreContract(bid(0, true), 1).points).toBe(-199);
+      });
+    });
+
+    describe("hand scoring", () => {
+      const context = {
+        bids: [bid(2), bid(0), bid(3), bid(1, false)],
+        tricksWon: [3, 0, 1, 3],
+        bags: [0, 0, 0, 0],
+      };
+
+      it("should score every contract and report the results", () => {
+        const { handScores, bags, events } = scoreSpadesHand(
+          [0, 0, 0, 0],
+          context,
+        );
+        expect(handScores).toEqual([21, 100, -30, 12]);
+        expect(bags).toEqual([1, 0, 0, 2]);
+        expect(events).toHaveLength(1);
+        expect(events[0].type).toBe(RULE_EVENTS.CONTRACTS_SCORED);
+        expect(events[0].results[2]).toEqual({
+          bid: 3,
+          blind: false,
+          tricks: 1,
+          made: false,
+          points: -30,
+          bags: 0,
+        });
+      });
+
+      it("should score no contract for a hand that was never bid", () => {
+        const { handScores, bags, events } = scoreSpadesHand([0, 0, 0, 0], {
+          ...context,
+          bids: null,
+          bags: [2, 0, 0, 0],
+        });
+        expect(handScores).toEqual([0, 0, 0, 0]);
+        expect(bags).toEqual([2, 0, 0, 0]);
+        expect(events[0].results[0]).toMatchObject({ bid: null, tricks: 3 });
+      });
+
+      it("should take 100 points and 10 bags once bags reach ten", () => {
+        const { handScores, bags, events } = scoreSpadesHand([0, 0, 0, 0], {
+          ...context,
+          bags: [9, 0, 0, 9],
+        });
+        expect(handScores).toEqual([-79, 100, -30, -88]);
+        expect(bags).toEqual([0, 0, 0, 1]);
+        expect(events.slice(1)).toEqual([
+          {
+            type: RULE_EVENTS.BAG_PENALTY,
+            playerIndex: 0,
+            seats: [0],
+            points: 100,
+          },
+          {
+            type: RULE_EVENTS.BAG_PENALTY,
+            playerIndex: 3,
+            seats: [3],
+            points: 100,
+          },
+        ]);
+      });
+    });
+  });
+
+  describe("partnerships", () => {
+    const teams = [
+      [0, 2],
+      [1, 3],
+    ];
+
+    it("should require partnerships for spades", () => {
+      expect(ruleSets.find((r) => r.id === "spades").partnerships).toBe(true);
+    });
+
+    it("should combine partners' bids and tricks into one contract", () => {
+      const { handScores, bags, events } = scoreSpadesHand([0, 0, 0, 0], {
+        bids: [
+          { tricks: 2, blind: false },
+          { tricks: 3, blind: false },
+          { tricks: 1, blind: false },
+          { tricks: 2, blind: false },
+        ],
+        // Seat 0 falls short, but seat 2 covers the team contract of 3
+        tricksWon: [1, 2, 3, 1],
+        bags: [0, 0, 0, 0],
+        teams,
+      });
+
+      expect(handScores).toEqual([31, -50, 31, -50]);
+      expect(bags).toEqual([1, 0, 1, 0]);
+      expect(events[0].results.map((r) => r.made)).toEqual([
+        true,
+        false,
+        true,
+        false,
+      ]);
+    });
+
+    it("should score a nil bid apart from the partner's contract", () => {
+      const { handScores, events } = scoreSpadesHand([0, 0, 0, 0], {
+        bids: [
+          { tricks: 0, blind: false },
+          { tricks: 3, blind: false },
+          { tricks: 4, blind: false },
+          { tricks: 2, blind: false },
+        ],
+        tricksWon: [0, 2, 4, 1],
+        bags: [0, 0, 0, 0],
+        teams,
+      });
+
+      expect(handScores).toEqual([140, -50, 140, -50]);
+      expect(events[0].results[0].made).toBe(true);
+    });
+
+    it("should shoot the moon as a team", () => {
+      // Nine hearts dealt in all
+      const tricks = [2, 3, 4, 5, 6, 7, 8, 9, 10].map((rank) => ({
+        cards: { player1: { suit: "hearts", rank } },
+      }));
+
+      expect(scoreHeartsHand([9, 0, 9, 0], { teams, tricks })).toEqual({
+        handScores: [0, 9, 0, 9],
+        events: [
+          { type: RULE_EVENTS.SHOT_THE_MOON, playerIndex: 0, points: 9 },
+        ],
+      });
+    });
+  });
+
   describe("rule set indices", () => {
     it("should have suit-follows at index 0", () => {
       expect(ruleSets[0].id).toBe("suit-follows");
@@ -468,6 +895,14 @@ describe("ruleSets", () => {
     it("should have spades-trump at index 2", () => {
       expect(ruleSets[2].id).toBe("spades-trump");
     });
+
+    it("should have hearts at index 3", () => {
+      expect(ruleSets[3].id).toBe("hearts");
+    });
+
+    it("should have spades at index 4", () => {
+      expect(ruleSets[4].id).toBe("spades");
+    });
   });
 
   describe("edge cases across all rule sets", () => {
@@ -9,28 +9,74 @@ export const INITIAL_GAME_STATE = {
   currentPlayer: 0,
   currentTrick: [],
   playedCards: {},
+  voids: {},
   scores: [0, 0, 0, 0],
   round: 1,
   maxRounds: 5,
 };
 
-// Initial players configuration
-export const INITIAL_PLAYERS = [
+// Computer player personalities, which bias the strategy's card choices
+// and give the seat its table talk
+export const AI_PERSONALITY = {
+  TRUMPER: "trumper",
+  DUCKER: "ducker",
+  LEADER: "leader",
+};
+
+// Every seat the table can hold, in clockwise order from the human player
+export const PLAYER_ROSTER = [
   { id: "player1", name: "Player", hand: [], score: 0, isActive: true },
-  { id: "player2", name: "Alex", hand: [], score: 0, isActive: false },
-  { id: "player3", name: "Sam", hand: [], score: 0, isActive: false },
-  { id: "player4", name: "Jordan", hand: [], score: 0, isActive: false },
+  {
+    id: "player2",
+    name: "Alex",
+    hand: [],
+    score: 0,
+    isActive: false,
+    personality: AI_PERSONALITY.TRUMPER,
+  },
+  {
+    id: "player3",
+    name: "Sam",
+    hand: [],
+    score: 0,
+    isActive: false,
+    personality: AI_PERSONALITY.DUCKER,
+  },
+  {
+    id: "player4",
+    name: "Jordan",
+    hand: [],
+    score: 0,
+    isActive: false,
+    personality: AI_PERSONALITY.LEADER,
+  },
+  { id: "player5", name: "Casey", hand: [], score: 0, isActive: false },
+  { id: "player6", name: "Riley", hand: [], score: 0, isActive: false },
 ];
 
 // Card suits
 export const SUITS = ["hearts", "diamonds", "clubs", "spades"];
 
-// Cards per player when dealing
+// Cards per player when dealing, unless the rule set or match says otherwise
 export const CARDS_PER_PLAYER = 7;
 
+// Hand size that deals out the whole deck
+export const FULL_DECK = "full";
+
+// Hand sizes offered in the waiting room
+export const HAND_SIZE_OPTIONS = [5, 7, 10, FULL_DECK];
+
 // Number of players in the game
 export const PLAYER_COUNT = 4;
 
+// Smallest and largest tables, and the sizes offered in the waiting room
+export const MIN_PLAYERS = 3;
+export const MAX_PLAYERS = 6;
+export const PLAYER_COUNT_OPTIONS = [3, 4, 5, 6];
+
+// Initial players configuration
+export const INITIAL_PLAYERS = PLAYER_ROSTER.slice(0, PLAYER_COUNT);
+
 // Default card back customization
 export const DEFAULT_CARD_BACK_COLOR = "#145a4a";
 export const DEFAULT_CARD_BACK_PATTERN = "checker";
@@ -46,6 +92,21 @@ export const ANIMATION_TIMINGS = {
   appLoadDelay: 500,
 };
 
+// Search budget for the Hard computer player: it stops after this many
+// sampled deals or this many milliseconds, whichever comes first, so its
+// thinking fits well inside the AI play delay
+export const AI_SEARCH_BUDGET = {
+  iterations: 200,
+  timeLimit: ANIMATION_TIMINGS.aiPlayDelay / 4,
+};
+
+// Time a player has to choose a card before one is played for them (seconds)
+export const TURN_TIME_LIMIT = 30;
+
+// Time a plugin bot has to choose its card before a safe move is played for
+// it (milliseconds)
+export const BOT_TIME_LIMIT = 2000;
+
 // Card positions for played cards in the center - scattered for better visibility
 // Values are in pixels, kept moderate to fit within play area at all screen sizes
 export const CARD_POSITIONS = [
@@ -55,15 +116,75 @@ export const CARD_POSITIONS = [
   { x: 40, y: 10, rotation: 8, zIndex: 4 },
 ];
 
+// Played card positions for each table size, fanned wider as seats are added
+export const TRICK_CARD_POSITIONS = {
+  3: [
+    { x: -30, y: 8, rotation: -6, zIndex: 1 },
+    { x: 0, y: -6, rotation: 0, zIndex: 2 },
+    { x: 30, y: 8, rotation: 6, zIndex: 3 },
+  ],
+  4: CARD_POSITIONS,
+  5: [
+    { x: -48, y: 12, rotation: -10, zIndex: 1 },
+    { x: -24, y: -2, rotation: -5, zIndex: 2 },
+    { x: 0, y: -8, rotation: 0, zIndex: 3 },
+    { x: 24, y: -2, rotation: 5, zIndex: 4 },
+    { x: 48, y: 12, rotation: 10, zIndex: 5 },
+  ],
+  6: [
+    { x: -50, y: 12, rotation: -10, zIndex: 1 },
+    { x: -30, y: 2, rotation: -6, zIndex: 2 },
+    { x: -10, y: -6, rotation: -2, zIndex: 3 },
+    { x: 10, y: -6, rotation: 2, zIndex: 4 },
+    { x: 30, y: 2, rotation: 6, zIndex: 5 },
+    { x: 50, y: 12, rotation: 10, zIndex: 6 },
+  ],
+};
+
 // Game phases
 export const GAME_PHASES = {
   WAITING: "waiting",
   DEALING: "dealing",
+  PASSING: "passing",
+  BIDDING: "bidding",
   PLAYING: "playing",
   EVALUATING: "evaluating",
+  HAND_OVER: "handOver",
   GAME_OVER: "gameOver",
 };
 
+// Computer player difficulty levels, each backed by an AI strategy
+export const AI_DIFFICULTY = {
+  EASY: "easy",
+  MEDIUM: "medium",
+  HARD: "hard",
+};
+
+// Table talk speech bubbles (in milliseconds): how long a bubble stays up,
+// and the quiet gap the table keeps between two bubbles
+export const TABLE_TALK_TIMINGS = {
+  bubbleDuration: 2500,
+  cooldown: 4000,
+};
+
+// How long a chat emote stays up over its sender's panel (milliseconds)
+export const EMOTE_DURATION = 2500;
+
+// Difficulty of computer seats that have not been given one
+export const DEFAULT_AI_DIFFICULTY = AI_DIFFICULTY.MEDIUM;
+
+// Match lengths (number of hands) offered in the waiting room
+export const MATCH_LENGTH_OPTIONS = [1, 3, 5, 7];
+
+// Hint limit that lets the player ask for as many hints as they like
+export const UNLIMITED_HINTS = "unlimited";
+
+// Hints per game offered in the waiting room; 0 turns hints off
+export const HINT_LIMIT_OPTIONS = [0, 3, 5, UNLIMITED_HINTS];
+
+// Hints per game before the player picks a limit
+export const DEFAULT_HINT_LIMIT = 3;
+
 // Confetti colors for winner celebration
 export const CONFETTI_COLORS = [
   "#c9a227",
@@ -10,11 +10,28 @@ import {
   SUITS,
   CARDS_PER_PLAYER,
   PLAYER_COUNT,
+  PLAYER_ROSTER,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  PLAYER_COUNT_OPTIONS,
+  FULL_DECK,
+  HAND_SIZE_OPTIONS,
+  AI_DIFFICULTY,
+  DEFAULT_AI_DIFFICULTY,
+  AI_SEARCH_BUDGET,
+  BOT_TIME_LIMIT,
+  AI_PERSONALITY,
+  TABLE_TALK_TIMINGS,
+  HINT_LIMIT_OPTIONS,
+  DEFAULT_HINT_LIMIT,
+  UNLIMITED_HINTS,
   DEFAULT_CARD_BACK_COLOR,
   DEFAULT_CARD_BACK_PATTERN,
   ANIMATION_TIMINGS,
   CARD_POSITIONS,
+  TRICK_CARD_POSITIONS,
   GAME_PHASES,
+  MATCH_LENGTH_OPTIONS,
   CONFETTI_COLORS,
   THEMES,
 } from "./gameConstants";
@@ -44,6 +61,10 @@ describe("gameConstants", () => {
       expect(Object.keys(INITIAL_GAME_STATE.playedCards)).toHaveLength(0);
     });
 
+    it("should have empty voids object", () => {
+      expect(INITIAL_GAME_STATE.voids).toEqual({});
+    });
+
     it("should have scores array with 4 zeros", () => {
       expect(Array.isArray(INITIAL_GAME_STATE.scores)).toBe(true);
       expect(INITIAL_GAME_STATE.scores).toHaveLength(4);
@@ -226,6 +247,102 @@ describe("gameConstants", () => {
     });
   });
 
+  describe("table sizes", () => {
+    it("should offer every table size from MIN_PLAYERS to MAX_PLAYERS", () => {
+      expect(PLAYER_COUNT_OPTIONS[0]).toBe(MIN_PLAYERS);
+      expect(PLAYER_COUNT_OPTIONS[PLAYER_COUNT_OPTIONS.length - 1]).toBe(
+        MAX_PLAYERS,
+      );
+      expect(PLAYER_COUNT_OPTIONS).toContain(PLAYER_COUNT);
+    });
+
+    it("should have a roster seat for the largest table", () => {
+      expect(PLAYER_ROSTER).toHaveLength(MAX_PLAYERS);
+      expect(INITIAL_PLAYERS).toEqual(PLAYER_ROSTER.slice(0, PLAYER_COUNT));
+      expect(new Set(PLAYER_ROSTER.map((p) => p.id)).size).toBe(MAX_PLAYERS);
+    });
+
+    it("should fit a full deal at the largest table", () => {
+      expect(CARDS_PER_PLAYER * MAX_PLAYERS).toBeLessThanOrEqual(52);
+    });
+  });
+
+  describe("AI_DIFFICULTY", () => {
+    it("should have unique difficulty ids", () => {
+      const ids = Object.values(AI_DIFFICULTY);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    it("should default to one of the difficulties", () => {
+      expect(Object.values(AI_DIFFICULTY)).toContain(DEFAULT_AI_DIFFICULTY);
+    });
+  });
+
+  describe("AI_SEARCH_BUDGET", () => {
+    it("should allow at least one sampled deal", () => {
+      expect(Number.isInteger(AI_SEARCH_BUDGET.iterations)).toBe(true);
+      expect(AI_SEARCH_BUDGET.iterations).toBeGreaterThan(0);
+    });
+
+    it("should finish thinking before the AI play delay runs out", () => {
+      expect(AI_SEARCH_BUDGET.timeLimit).toBeGreaterThan(0);
+      expect(AI_SEARCH_BUDGET.timeLimit).toBeLessThan(
+        ANIMATION_TIMINGS.aiPlayDelay,
+      );
+    });
+  });
+
+  describe("BOT_TIME_LIMIT", () => {
+    it("should give plugin bots longer than a search takes", () => {
+      expect(BOT_TIME_LIMIT).toBeGreaterThan(AI_SEARCH_BUDGET.timeLimit);
+    });
+  });
+
+  describe("AI_PERSONALITY", () => {
+    it("should give roster personalities only to computer seats", () => {
+      const personalities = PLAYER_ROSTER.map((p) => p.personality).filter(
+        Boolean,
+      );
+      expect(PLAYER_ROSTER[0].personality).toBeUndefined();
+      expect(new Set(personalities)).toEqual(
+        new Set(Object.values(AI_PERSONALITY)),
+      );
+    });
+  });
+
+  describe("TABLE_TALK_TIMINGS", () => {
+    it("should take a bubble down before the next one may go up", () => {
+      expect(TABLE_TALK_TIMINGS.bubbleDuration).toBeGreaterThan(0);
+      expect(TABLE_TALK_TIMINGS.bubbleDuration).toBeLessThanOrEqual(
+        TABLE_TALK_TIMINGS.cooldown,
+      );
+    });
+  });
+
+  describe("HINT_LIMIT_OPTIONS", () => {
+    it("should offer no hints, the default limit and unlimited hints", () => {
+      expect(HINT_LIMIT_OPTIONS[0]).toBe(0);
+      expect(HINT_LIMIT_OPTIONS).toContain(DEFAULT_HINT_LIMIT);
+      expect(HINT_LIMIT_OPTIONS[HINT_LIMIT_OPTIONS.length - 1]).toBe(
+        UNLIMITED_HINTS,
+      );
+    });
+  });
+
+  describe("HAND_SIZE_OPTIONS", () => {
+    it("should offer the default hand size and a full-deck deal", () => {
+      expect(HAND_SIZE_OPTIONS).toContain(CARDS_PER_PLAYER);
+      expect(HAND_SIZE_OPTIONS[HAND_SIZE_OPTIONS.length - 1]).toBe(FULL_DECK);
+    });
+
+    it("should list fixed sizes in ascending order", () => {
+      const sizes = HAND_SIZE_OPTIONS.filter((size) => size !== FULL_DECK);
+
+      sizes.forEach((size) => expect(Number.isInteger(size)).toBe(true));
+      expect(sizes).toEqual([...sizes].sort((a, b) => a - b));
+    });
+  });
+
   describe("DEFAULT_CARD_BACK_COLOR", () => {
     it("should be a string", () => {
       expect(typeof DEFAULT_CARD_BACK_COLOR).toBe("string");
@@ -395,6 +512,28 @@ describe("gameConstants", () => {
     });
   });
 
+  describe("TRICK_CARD_POSITIONS", () => {
+    it("should have one position per seat for every table size", () => {
+      PLAYER_COUNT_OPTIONS.forEach((seats) => {
+        expect(TRICK_CARD_POSITIONS[seats]).toHaveLength(seats);
+      });
+    });
+
+    it("should use CARD_POSITIONS for four seats", () => {
+      expect(TRICK_CARD_POSITIONS[4]).toBe(CARD_POSITIONS);
+    });
+
+    it("should fan every layout symmetrically", () => {
+      Object.values(TRICK_CARD_POSITIONS).forEach((positions) => {
+        positions.forEach((position, idx) => {
+          const mirror = positions[positions.length - 1 - idx];
+          expect(position.x + mirror.x).toBe(0);
+          expect(position.rotation + mirror.rotation).toBe(0);
+        });
+      });
+    });
+  });
+
   describe("GAME_PHASES", () => {
     it("should be an object", () => {
       expect(typeof GAME_PHASES).toBe("object");
@@ -426,8 +565,23 @@ describe("gameConstants", () => {
       expect(GAME_PHASES.GAME_OVER).toBe("gameOver");
     });
 
-    it("should have 5 phases", () => {
-      expect(Object.keys(GAME_PHASES)).toHaveLength(5);
+    it("should have HAND_OVER phase", () => {
+      expect(GAME_PHASES).toHaveProperty("HAND_OVER");
+      expect(GAME_PHASES.HAND_OVER).toBe("handOver");
+    });
+
+    it("should have BIDDING phase", () => {
+      expect(GAME_PHASES).toHaveProperty("BIDDING");
+      expect(GAME_PHASES.BIDDING).toBe("bidding");
+    });
+
+    it("should have PASSING phase", () => {
+      expect(GAME_PHASES).toHaveProperty("PASSING");
+      expect(GAME_PHASES.PASSING).toBe("passing");
+    });
+
+    it("should have 8 phases", () => {
+      expect(Object.keys(GAME_PHASES)).toHaveLength(8);
     });
 
     it("should have unique phase values", () => {
@@ -447,6 +601,19 @@ describe("gameConstants", () => {
     });
   });
 
+  describe("MATCH_LENGTH_OPTIONS", () => {
+    it("should offer positive whole numbers of hands", () => {
+      MATCH_LENGTH_OPTIONS.forEach((length) => {
+        expect(Number.isInteger(length)).toBe(true);
+        expect(length).toBeGreaterThan(0);
+      });
+    });
+
+    it("should include the default match length", () => {
+      expect(MATCH_LENGTH_OPTIONS).toContain(INITIAL_GAME_STATE.maxRounds);
+    });
+  });
+
   describe("CONFETTI_COLORS", () => {
     it("should be an array", () => {
       expect(Array.isArray(CONFETTI_COLORS)).toBe(true);
@@ -0,0 +1,964 @@
+/**
+ * Game Engine
+ * Headless, framework-free trick-taking engine
+ *
+ * Every transition is a pure function of (state, action) that returns the
+ * next state together with the events it produced. The engine never touches
+ * React, timers or toasts, so the same rules can run in the browser, in Node
+ * or in a worker. Presentation layers react to the emitted events.
+ */
+
+import {
+  GAME_PHASES,
+  CARDS_PER_PLAYER,
+  FULL_DECK,
+  INITIAL_PLAYERS,
+  PLAYER_ROSTER,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+} from "../constants";
+import ruleSets, {
+  getRuleSetById,
+  validatePlay,
+  RULE_EVENTS,
+} from "../config/ruleSets";
+import { createStandardDeck, shuffleDeck, dealHands, stripDeck } from "./deck";
+import { createRandom, resumeRandom, generateSeed, nextRandom } from "./random";
+import { createLedger, recordPlay } from "./ledger";
+
+// ============================================================================
+// ACTION AND EVENT TYPES
+// ============================================================================
+
+export const ENGINE_ACTIONS = {
+  START_GAME: "START_GAME",
+  DEAL_CARDS: "DEAL_CARDS",
+  START_PLAYING: "START_PLAYING",
+  PASS_CARDS: "PASS_CARDS",
+  PLACE_BID: "PLACE_BID",
+  PLAY_CARD: "PLAY_CARD",
+  PLAY_RANDOM_CARD: "PLAY_RANDOM_CARD",
+  COLLECT_TRICK: "COLLECT_TRICK",
+  NEXT_HAND: "NEXT_HAND",
+  SET_RULE_SET: "SET_RULE_SET",
+};
+
+export const ENGINE_EVENTS = {
+  GAME_STARTED: "GAME_STARTED",
+  CARDS_DEALT: "CARDS_DEALT",
+  PASSING_STARTED: "PASSING_STARTED",
+  PASS_SUBMITTED: "PASS_SUBMITTED",
+  CARDS_PASSED: "CARDS_PASSED",
+  BIDDING_STARTED: "BIDDING_STARTED",
+  BID_PLACED: "BID_PLACED",
+  BIDDING_COMPLETE: "BIDDING_COMPLETE",
+  TURN_CHANGED: "TURN_CHANGED",
+  CARD_PLAYED: "CARD_PLAYED",
+  TRICK_COMPLETE: "TRICK_COMPLETE",
+  TRICK_COLLECTED: "TRICK_COLLECTED",
+  HAND_OVER: "HAND_OVER",
+  HAND_STARTED: "HAND_STARTED",
+  GAME_OVER: "GAME_OVER",
+  RULE_SET_CHANGED: "RULE_SET_CHANGED",
+  ACTION_REJECTED: "ACTION_REJECTED",
+  // Rule-set specific scoring events, e.g. SHOT_THE_MOON or BAG_PENALTY
+  ...RULE_EVENTS,
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Resolves the rule set a game is being played with
+ * @param {Object} state - Engine state
+ * @returns {Object} Rule set configuration
+ */
+export const getRuleSet = (state) =>
+  getRuleSetById(state.ruleSetId) || ruleSets[0];
+
+/**
+ * Gets the index of the best score (first seat wins ties)
+ * @param {Array<number>} scores - Scores indexed by seat
+ * @param {boolean} lowScoreWins - True when the lowest score is best
+ * @returns {number} Seat index of the winner
+ */
+export const getWinnerIndex = (scores, lowScoreWins = false) => {
+  const bestScore = lowScoreWins ? Math.min(...scores) : Math.max(...scores);
+  return scores.findIndex((score) => score === bestScore);
+};
+
+/**
+ * Works out how many cards each seat is dealt: the match's hand size, or the
+ * rule set's, or CARDS_PER_PLAYER, capped at what the deck can deal evenly
+ * @param {Object} state - Engine state
+ * @returns {number} Cards per seat, at least 1
+ */
+export const getHandSize = (state) => {
+  const seats = state.players.length;
+  const ruleSet = getRuleSet(state);
+  const deckSize = ruleSet.stripDeck
+    ? stripDeck(state.deck, seats).length
+    : state.deck.length;
+  const maxHandSize = Math.floor(deckSize / seats);
+  const requested = state.handSize ?? ruleSet.handSize ?? CARDS_PER_PLAYER;
+
+  if (requested === FULL_DECK) return maxHandSize;
+  return Math.min(Math.max(requested, 1), maxHandSize);
+};
+
+/**
+ * Checks whether seats play in partnerships, either because the game was
+ * set up that way or because the rule set requires it. Partnerships need an
+ * even number of seats so every seat has a partner across the table
+ * @param {Object} state - Engine state
+ * @returns {boolean} True when seats across the table form teams
+ */
+export const hasPartnerships = (state) =>
+  Boolean(state.partnerships || getRuleSet(state).partnerships) &&
+  state.players.length >= 4 &&
+  state.players.length % 2 === 0;
+
+/**
+ * Groups the seats into the sides that score together
+ * With partnerships each seat is teamed with the seat across the table;
+ * otherwise every seat is a side of its own
+ * @param {Object} state - Engine state
+ * @returns {Array<Array<number>>} Seat indices of each side
+ */
+export const getTeams = (state) => {
+  const seats = state.players.length;
+  if (!hasPartnerships(state)) {
+    return state.players.map((_, idx) => [idx]);
+  }
+  return Array.from({ length: seats / 2 }, (_, idx) => [idx, idx + seats / 2]);
+};
+
+/**
+ * Finds the side a seat plays for
+ * @param {Array<Array<number>>} teams - Sides from getTeams
+ * @param {number} playerIndex - Seat index
+ * @returns {Array<number>} Seat indices of that seat's side
+ */
+const getTeamOf = (teams, playerIndex) =>
+  teams.find((team) => team.includes(playerIndex));
+
+/**
+ * Builds the hand context rule sets use to restrict plays
+ * @param {Object} state - Engine state
+ * @returns {{tricks: Array}} Tricks collected so far this hand
+ */
+const getHandContext = (state) => ({ tricks: state.tricks });
+
+/**
+ * Gets the cards a seat may legally play right now
+ * @param {Object} state - Engine state
+ * @param {number} playerIndex - Seat index (defaults to the current player)
+ * @returns {Array} Legal cards from that seat's hand
+ */
+export const getLegalCards = (state, playerIndex = state.currentPlayer) => {
+  const player = state.players[playerIndex];
+  if (!player) return [];
+  return getRuleSet(state).getLegalCards(
+    player.hand,
+    state.playArea,
+    state.leadPlayerId,
+    getHandContext(state),
+  );
+};
+
+// Seats to the left each pass direction sends cards
+const PASS_OFFSETS = {
+  left: () => 1,
+  right: (seats) => seats - 1,
+  across: (seats) => Math.floor(seats / 2),
+};
+
+/**
+ * Describes the card pass for the current hand, if the rule set has one
+ * Directions rotate hand by hand; "hold" hands have no pass
+ * @param {Object} state - Engine state
+ * @returns {{direction: string, count: number, offset: number}|null} Pass
+ *   details, or null when no cards are passed this hand
+ */
+export const getPassInfo = (state) => {
+  const { passing } = getRuleSet(state);
+  if (!passing) return null;
+
+  const direction =
+    passing.directions[(state.round - 1) % passing.directions.length];
+  const getOffset = PASS_OFFSETS[direction];
+  if (!getOffset) return null;
+
+  return {
+    direction,
+    count: passing.count,
+    offset: getOffset(state.players.length),
+  };
+};
+
+/**
+ * Picks the cards a seat passes when it has no preference of its own:
+ * the highest cards in the hand
+ * @param {Array} hand - Cards in the seat's hand
+ * @param {number} count - Number of cards to pass
+ * @returns {Array} Cards to pass
+ */
+export const getDefaultPass = (hand, count) =>
+  [...hand].sort((a, b) => b.value - a.value).slice(0, count);
+
+/**
+ * Counts the tricks each seat has won so far this hand
+ * @param {Object} state - Engine state
+ * @returns {Array<number>} Tricks won, indexed by seat
+ */
+export const getTricksWon = (state) =>
+  state.players.map(
+    (player) => state.tricks.filter((t) => t.winnerId === player.id).length,
+  );
+
+/**
+ * Rebuilds the cards-seen ledger from the hand's tricks and the trick in
+ * play, for states that were put together by hand or saved without one
+ * @param {Object} state - Engine state
+ * @returns {Object} Ledger, as the engine would have recorded it
+ */
+export const buildLedger = (state) => {
+  const ruleSet = getRuleSet(state);
+  const seats = state.players.length;
+  const tricks = [
+    ...state.tricks,
+    { cards: state.playArea, leadPlayerId: state.leadPlayerId },
+  ];
+
+  return tricks.reduce((ledger, { cards, leadPlayerId }, trick) => {
+    const leadIndex = state.players.findIndex((p) => p.id === leadPlayerId);
+    if (leadIndex === -1) return ledger;
+
+    return Array.from(
+      { length: seats },
+      (_, offset) => state.players[(leadIndex + offset) % seats].id,
+    )
+      .filter((playerId) => cards[playerId])
+      .reduce(
+        (next, playerId) =>
+          recordPlay(next, ruleSet, {
+            playerId,
+            card: cards[playerId],
+            trick,
+            lead: playerId === leadPlayerId ? null : cards[leadPlayerId],
+          }),
+        ledger,
+      );
+  }, createLedger());
+};
+
+/**
+ * Suggests a bid for a seat with no strategy of its own: one trick for every
+ * ace and king, plus the queen and jack of trump, and never less than one
+ * @param {Array} hand - Cards in the seat's hand
+ * @returns {number} Tricks to bid
+ */
+export const getDefaultBid = (hand) => {
+  const likelyTricks = hand.filter(
+    (card) => card.value >= 13 || (card.suit === "spades" && card.value >= 11),
+  ).length;
+  return Math.max(1, likelyTricks);
+};
+
+const result = (state, events = []) => ({ state, events });
+
+const reject = (state, action, reason) =>
+  result(state, [
+    { type: ENGINE_EVENTS.ACTION_REJECTED, action: action.type, reason },
+  ]);
+
+const turnChanged = (state, playerIndex) => ({
+  type: ENGINE_EVENTS.TURN_CHANGED,
+  playerIndex,
+  playerId: state.players[playerIndex].id,
+});
+
+/**
+ * Moves a dealt hand on to bidding when the rule set has it, or straight to
+ * play otherwise; either way the seat to act is the current player
+ * @param {Object} state - Engine state with hands dealt (and passed)
+ * @param {Array} events - Events already produced by the action
+ * @returns {{state: Object, events: Array}} Result of the action
+ */
+const beginHand = (state, events = []) => {
+  if (getRuleSet(state).bidding) {
+    const next = {
+      ...state,
+      phase: GAME_PHASES.BIDDING,
+      bids: state.players.map(() => null),
+    };
+    return result(next, [
+      ...events,
+      { type: ENGINE_EVENTS.BIDDING_STARTED, maxBid: getHandSize(state) },
+      turnChanged(next, next.currentPlayer),
+    ]);
+  }
+
+  const next = { ...state, phase: GAME_PHASES.PLAYING };
+  return result(next, [...events, turnChanged(next, next.currentPlayer)]);
+};
+
+// ============================================================================
+// GAME CREATION
+// ============================================================================
+
+/**
+ * Builds the seats for a table of the given size: the human player first,
+ * then the computer players clockwise
+ * @param {number} count - Number of seats, clamped to the supported range
+ * @returns {Array} Seat descriptors for createGame
+ */
+export const createPlayers = (count) => {
+  const seats = Math.min(Math.max(count, MIN_PLAYERS), MAX_PLAYERS);
+  return PLAYER_ROSTER.slice(0, seats).map((player) => ({ ...player }));
+};
+
+/**
+ * Reads back how a game's table was set up, so a new game can be created
+ * at the same table
+ * @param {Object} state - Engine state
+ * @returns {Object} createGame config without a seed
+ */
+export const getTableConfig = (state) => ({
+  ruleSetId: state.ruleSetId,
+  players: state.players,
+  handSize: state.handSize,
+  maxRounds: state.maxRounds,
+  partnerships: state.partnerships,
+});
+
+/**
+ * Creates a new game in the waiting phase
+ * The deck is shuffled from the game's seed, and the generator state left
+ * over is kept so later random choices continue the same stream
+ * @param {Object} config - Game configuration
+ * @param {string} config.ruleSetId - Id of the rule set to play with
+ * @param {Array} config.players - Seat descriptors ({ id, name, ... })
+ * @param {number|string} config.handSize - Cards dealt to each seat, or
+ *   FULL_DECK to deal the whole deck (defaults to the rule set's size)
+ * @param {number} config.maxRounds - Hands in the match
+ * @param {boolean} config.partnerships - Seats across the table play as
+ *   teams (rule sets may also require it)
+ * @param {string|number} config.seed - Seed for the game (random if omitted)
+ * @param {Array} config.deck - Pre-ordered deck for the first hand (optional)
+ * @param {Function} config.random - Random source that replaces the seeded
+ *   shuffle (optional)
+ * @returns {Object} Initial engine state
+ */
+export const createGame = ({
+  ruleSetId = ruleSets[0].id,
+  players = INITIAL_PLAYERS,
+  handSize = null,
+  maxRounds = 1,
+  partnerships = false,
+  seed,
+  deck,
+  random,
+} = {}) => {
+  const gameSeed = String(seed ?? generateSeed());
+  const seeded = createRandom(gameSeed);
+  const cards = deck
+    ? [...deck]
+    : shuffleDeck(createStandardDeck(), random || seeded);
+
+  return {
+    ruleSetId,
+    handSize,
+    seed: gameSeed,
+    rngState: seeded.getState(),
+    phase: GAME_PHASES.WAITING,
+    players: players.map((player) => ({ ...player, hand: [] })),
+    deck: cards,
+    round: 1,
+    maxRounds,
+    partnerships,
+    // The last seat deals the first hand, so the first seat leads it
+    dealerIndex: players.length - 1,
+    currentPlayer: 0,
+    leadPlayerId: null,
+    playArea: {},
+    trickWinner: null,
+    scores: players.map(() => 0),
+    handScores: players.map(() => 0),
+    handHistory: [],
+    tricks: [],
+    // Cards played this hand and the voids they revealed (see ledger.js)
+    ledger: createLedger(),
+    // Cards each seat has chosen to pass, keyed by player id
+    passes: {},
+    // Each seat's { tricks, blind } bid this hand, null until placed
+    bids: players.map(() => null),
+    // Overtricks carried from hand to hand by bidding rule sets
+    bags: players.map(() => 0),
+    // Cards left over after the deal
+    kitty: [],
+  };
+};
+
+// ============================================================================
+// ACTION HANDLERS
+// ============================================================================
+
+const startGame = (state, action) => {
+  if (state.phase !== GAME_PHASES.WAITING) {
+    return reject(state, action, "The game has already started");
+  }
+  return result({ ...state, phase: GAME_PHASES.DEALING }, [
+    { type: ENGINE_EVENTS.GAME_STARTED, ruleSetId: state.ruleSetId },
+  ]);
+};
+
+const dealCards = (state, action) => {
+  if (state.phase !== GAME_PHASES.DEALING) {
+    return reject(state, action, "Cards can only be dealt while dealing");
+  }
+  const seats = state.players.length;
+  // Rule sets that strip the deck drop low cards so it divides evenly
+  const deck = getRuleSet(state).stripDeck
+    ? stripDeck(state.deck, seats)
+    : state.deck;
+  const handSize = getHandSize(state);
+  const hands = dealHands(deck, seats, handSize);
+  const players = state.players.map((player, index) => ({
+    ...player,
+    hand: hands[index],
+  }));
+  const kitty = deck.slice(seats * handSize);
+  return result({ ...state, players, kitty }, [
+    {
+      type: ENGINE_EVENTS.CARDS_DEALT,
+      handSize,
+      kittySize: kitty.length,
+    },
+  ]);
+};
+
+const startPlaying = (state, action) => {
+  if (state.phase !== GAME_PHASES.DEALING) {
+    return reject(state, action, "Play can only start after dealing");
+  }
+  if (state.players.every((player) => player.hand.length === 0)) {
+    return reject(state, action, "Cards have not been dealt yet");
+  }
+
+  const passInfo = getPassInfo(state);
+  if (passInfo) {
+    return result({ ...state, phase: GAME_PHASES.PASSING, passes: {} }, [
+      {
+        type: ENGINE_EVENTS.PASSING_STARTED,
+        direction: passInfo.direction,
+        count: passInfo.count,
+      },
+    ]);
+  }
+
+  return beginHand(state);
+};
+
+const passCards = (state, action) => {
+  const { playerId, cards } = action;
+
+  if (state.phase !== GAME_PHASES.PASSING) {
+    return reject(state, action, "Cards can only be passed before play");
+  }
+
+  const playerIndex = state.players.findIndex((p) => p.id === playerId);
+  if (playerIndex === -1) {
+    return reject(state, action, `Unknown player "${playerId}"`);
+  }
+  if (state.passes[playerId]) {
+    return reject(state, action, "You have already passed your cards");
+  }
+
+  const { direction, count, offset } = getPassInfo(state);
+  const hand = state.players[playerIndex].hand;
+  const ids = new Set(Array.isArray(cards) ? cards.map((card) => card.id) : []);
+  if (ids.size !== count || cards.length !== count) {
+    return reject(state, action, `Choose exactly ${count} cards to pass`);
+  }
+  if (cards.some((card) => !hand.some((c) => c.id === card.id))) {
+    return reject(state, action, "You can only pass cards from your hand");
+  }
+
+  const passes = { ...state.passes, [playerId]: cards };
+  const events = [
+    { type: ENGINE_EVENTS.PASS_SUBMITTED, playerId, playerIndex },
+  ];
+
+  if (Object.keys(passes).length < state.players.length) {
+    return result({ ...state, passes }, events);
+  }
+
+  // Everyone has chosen: each seat gives its cards to the seat `offset` away
+  const seats = state.players.length;
+  const received = {};
+  const players = state.players.map((player, idx) => {
+    const giver = state.players[(idx - offset + seats) % seats];
+    const given = new Set(passes[player.id].map((card) => card.id));
+    received[player.id] = passes[giver.id];
+    return {
+      ...player,
+      hand: [
+        ...player.hand.filter((card) => !given.has(card.id)),
+        ...passes[giver.id],
+      ],
+    };
+  });
+
+  return beginHand({ ...state, players, passes: {} }, [
+    ...events,
+    { type: ENGINE_EVENTS.CARDS_PASSED, direction, received },
+  ]);
+};
+
+const placeBid = (state, action) => {
+  const { playerId, bid, blind = false } = action;
+
+  if (state.phase !== GAME_PHASES.BIDDING) {
+    return reject(state, action, "Bids can only be placed before play");
+  }
+
+  const playerIndex = state.players.findIndex((p) => p.id === playerId);
+  if (playerIndex === -1) {
+    return reject(state, action, `Unknown player "${playerId}"`);
+  }
+  if (playerIndex !== state.currentPlayer) {
+    return reject(state, action, "It is not your turn to bid");
+  }
+
+  const { bidding } = getRuleSet(state);
+  if (!bidding) {
+    return reject(state, action, "This rule set has no bidding");
+  }
+  const maxBid = getHandSize(state);
+  if (!Number.isInteger(bid) || bid < 0 || bid > maxBid) {
+    return reject(state, action, `Bid between 0 and ${maxBid} tricks`);
+  }
+  if (bid === 0 && !bidding.nil) {
+    return reject(state, action, "Nil bids are not allowed");
+  }
+  if (blind && (bid !== 0 || !bidding.blindNil)) {
+    return reject(state, action, "Only a nil bid can be made blind");
+  }
+
+  const bids = state.bids.map((b, idx) =>
+    idx === playerIndex ? { tricks: bid, blind } : b,
+  );
+  const nextPlayer = (playerIndex + 1) % state.players.length;
+  const events = [
+    { type: ENGINE_EVENTS.BID_PLACED, playerId, playerIndex, bid, blind },
+  ];
+
+  if (bids.some((b) => b === null)) {
+    const next = { ...state, bids, currentPlayer: nextPlayer };
+    return result(next, [...events, turnChanged(next, nextPlayer)]);
+  }
+
+  // Bidding went once around the table, so the first bidder leads
+  const next = {
+    ...state,
+    bids,
+    currentPlayer: nextPlayer,
+    phase: GAME_PHASES.PLAYING,
+  };
+  return result(next, [
+    ...events,
+    { type: ENGINE_EVENTS.BIDDING_COMPLETE, bids },
+    turnChanged(next, nextPlayer),
+  ]);
+};
+
+const playCard = (state, action) => {
+  const { playerId, card } = action;
+
+  if (state.phase !== GAME_PHASES.PLAYING) {
+    return reject(state, action, "Cards can only be played during play");
+  }
+
+  const playerIndex = state.players.findIndex((p) => p.id === playerId);
+  if (playerIndex === -1) {
+    return reject(state, action, `Unknown player "${playerId}"`);
+  }
+  if (playerIndex !== state.currentPlayer) {
+    return reject(state, action, "It is not your turn");
+  }
+
+  const player = state.players[playerIndex];
+  const { valid, reason } = validatePlay(
+    getRuleSet(state),
+    card,
+    player.hand,
+    state.playArea,
+    state.leadPlayerId,
+    getHandContext(state),
+  );
+  if (!valid) {
+    return reject(state, action, reason);
+  }
+
+  const players = state.players.map((p, idx) =>
+    idx === playerIndex
+      ? { ...p, hand: p.hand.filter((c) => c.id !== card.id) }
+      : p,
+  );
+  const playArea = { ...state.playArea, [playerId]: card };
+  const leadPlayerId = state.leadPlayerId ?? playerId;
+  const ledger = recordPlay(state.ledger, getRuleSet(state), {
+    playerId,
+    card,
+    trick: state.tricks.length,
+    lead: state.playArea[state.leadPlayerId] ?? null,
+  });
+  const events = [
+    { type: ENGINE_EVENTS.CARD_PLAYED, playerId, playerIndex, card },
+  ];
+
+  if (Object.keys(playArea).length < state.players.length) {
+    const nextPlayer = (playerIndex + 1) % state.players.length;
+    const next = {
+      ...state,
+      players,
+      playArea,
+      leadPlayerId,
+      ledger,
+      currentPlayer: nextPlayer,
+    };
+    return result(next, [...events, turnChanged(next, nextPlayer)]);
+  }
+
+  const winnerId = getRuleSet(state).evaluateWinner(playArea, leadPlayerId);
+  const winnerIndex = state.players.findIndex((p) => p.id === winnerId);
+
+  return result(
+    {
+      ...state,
+      players,
+      playArea,
+      leadPlayerId,
+      ledger,
+      trickWinner: winnerId,
+      phase: GAME_PHASES.EVALUATING,
+    },
+    [
+      ...events,
+      {
+        type: ENGINE_EVENTS.TRICK_COMPLETE,
+        winnerId,
+        winnerIndex,
+        leadPlayerId,
+        cards: playArea,
+      },
+    ],
+  );
+};
+
+const playRandomCard = (state, action) => {
+  if (state.phase !== GAME_PHASES.PLAYING) {
+    return reject(state, action, "Cards can only be played during play");
+  }
+
+  const playerIndex = state.players.findIndex((p) => p.id === action.playerId);
+  if (playerIndex === -1) {
+    return reject(state, action, `Unknown player "${action.playerId}"`);
+  }
+  if (playerIndex !== state.currentPlayer) {
+    return reject(state, action, "It is not your turn");
+  }
+
+  const legalCards = getLegalCards(state, playerIndex);
+  if (legalCards.length === 0) {
+    return reject(state, action, "There are no cards to play");
+  }
+
+  // Draw from the game's own stream so the choice replays with the seed
+  const { value, state: rngState } = nextRandom(state.rngState);
+  const card = legalCards[Math.floor(value * legalCards.length)];
+
+  return playCard(
+    { ...state, rngState },
+    { type: ENGINE_ACTIONS.PLAY_CARD, playerId: action.playerId, card },
+  );
+};
+
+const collectTrick = (state, action) => {
+  if (state.phase !== GAME_PHASES.EVALUATING) {
+    return reject(state, action, "There is no completed trick to collect");
+  }
+
+  const ruleSet = getRuleSet(state);
+  const teams = getTeams(state);
+  const winnerId = state.trickWinner;
+  const winnerIndex = state.players.findIndex((p) => p.id === winnerId);
+  const winningTeam = getTeamOf(teams, winnerIndex);
+  const points = ruleSet.scoreTrick(state.playArea);
+  const isHandOver = state.players.every((p) => p.hand.length === 0);
+  const isLastHand = state.round >= state.maxRounds;
+
+  const tricks = [
+    ...state.tricks,
+    {
+      cards: state.playArea,
+      leadPlayerId: state.leadPlayerId,
+      winnerId,
+    },
+  ];
+
+  // Partners share their points, so every seat shows its side's score
+  let handScores = state.handScores.map((score, idx) =>
+    winningTeam.includes(idx) ? score + points : score,
+  );
+  let ruleEvents = [];
+  let bags = state.bags;
+  if (isHandOver && ruleSet.scoreHand) {
+    const handResult = ruleSet.scoreHand(handScores, {
+      bids: state.bids,
+      bags: state.bags,
+      tricksWon: getTricksWon({ ...state, tricks }),
+      tricks,
+      teams,
+    });
+    ({ handScores, events: ruleEvents } = handResult);
+    bags = handResult.bags ?? bags;
+  }
+  // Match totals are the totals before this hand plus the hand so far
+  const scores = state.scores.map(
+    (score, idx) => score - state.handScores[idx] + handScores[idx],
+  );
+
+  let phase = GAME_PHASES.PLAYING;
+  if (isHandOver) {
+    phase = isLastHand ? GAME_PHASES.GAME_OVER : GAME_PHASES.HAND_OVER;
+  }
+
+  const next = {
+    ...state,
+    scores,
+    handScores,
+    bags,
+    handHistory: isHandOver
+      ? [...state.handHistory, handScores]
+      : state.handHistory,
+    tricks,
+    playArea: {},
+    leadPlayerId: null,
+    trickWinner: null,
+    currentPlayer: winnerIndex,
+    phase,
+  };
+
+  const events = [
+    {
+      type: ENGINE_EVENTS.TRICK_COLLECTED,
+      winnerId,
+      winnerIndex,
+      points,
+      scores,
+      handScores,
+    },
+    ...ruleEvents,
+  ];
+
+  if (!isHandOver) {
+    events.push(turnChanged(next, winnerIndex));
+  } else if (!isLastHand) {
+    events.push({
+      type: ENGINE_EVENTS.HAND_OVER,
+      round: state.round,
+      maxRounds: state.maxRounds,
+      handScores,
+      scores,
+    });
+  } else {
+    const gameWinnerIndex = getWinnerIndex(scores, ruleSet.lowScoreWins);
+    events.push({
+      type: ENGINE_EVENTS.GAME_OVER,
+      winnerIndex: gameWinnerIndex,
+      winnerId: state.players[gameWinnerIndex].id,
+      winners: getTeamOf(teams, gameWinnerIndex),
+      scores,
+      handHistory: next.handHistory,
+    });
+  }
+
+  return result(next, events);
+};
+
+const nextHand = (state, action) => {
+  if (state.phase !== GAME_PHASES.HAND_OVER) {
+    return reject(state, action, "The current hand is not over yet");
+  }
+
+  // Continue the game's random stream so every hand replays from the seed
+  const random = resumeRandom(state.rngState);
+  const deck = shuffleDeck(createStandardDeck(), random);
+  const dealerIndex = (state.dealerIndex + 1) % state.players.length;
+  const leadIndex = (dealerIndex + 1) % state.players.length;
+
+  const next = {
+    ...state,
+    phase: GAME_PHASES.DEALING,
+    round: state.round + 1,
+    dealerIndex,
+    currentPlayer: leadIndex,
+    deck,
+    rngState: random.getState(),
+    players: state.players.map((player) => ({ ...player, hand: [] })),
+    handScores: state.players.map(() => 0),
+    tricks: [],
+    ledger: createLedger(),
+    passes: {},
+    bids: state.players.map(() => null),
+    kitty: [],
+  };
+
+  return result(next, [
+    {
+      type: ENGINE_EVENTS.HAND_STARTED,
+      round: next.round,
+      maxRounds: next.maxRounds,
+      dealerIndex,
+      leadIndex,
+    },
+  ]);
+};
+
+const setRuleSet = (state, action) => {
+  // Each rule set deals, bids and scores differently, so it cannot change
+  // once the cards are out
+  if (state.phase !== GAME_PHASES.WAITING) {
+    return reject(state, action, "The rule set can only change between games");
+  }
+  if (!getRuleSetById(action.ruleSetId)) {
+    return reject(state, action, `Unknown rule set "${action.ruleSetId}"`);
+  }
+  return result({ ...state, ruleSetId: action.ruleSetId }, [
+    { type: ENGINE_EVENTS.RULE_SET_CHANGED, ruleSetId: action.ruleSetId },
+  ]);
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Applies an action to the game
+ * Invalid actions leave the state untouched and emit ACTION_REJECTED
+ * @param {Object} state - Current engine state
+ * @param {Object} action - Action with a type from ENGINE_ACTIONS
+ * @returns {{state: Object, events: Array}} Next state and emitted events
+ */
+export const applyAction = (state, action) => {
+  switch (action?.type) {
+    case ENGINE_ACTIONS.START_GAME:
+      return startGame(state, action);
+    case ENGINE_ACTIONS.DEAL_CARDS:
+      return dealCards(state, action);
+    case ENGINE_ACTIONS.START_PLAYING:
+      return startPlaying(state, action);
+    case ENGINE_ACTIONS.PASS_CARDS:
+      return passCards(state, action);
+    case ENGINE_ACTIONS.PLACE_BID:
+      return placeBid(state, action);
+    case ENGINE_ACTIONS.PLAY_CARD:
+      return playCard(state, action);
+    case ENGINE_ACTIONS.PLAY_RANDOM_CARD:
+      return playRandomCard(state, action);
+    case ENGINE_ACTIONS.COLLECT_TRICK:
+      return collectTrick(state, action);
+    case ENGINE_ACTIONS.NEXT_HAND:
+      return nextHand(state, action);
+    case ENGINE_ACTIONS.SET_RULE_SET:
+      return setRuleSet(state, action);
+    default:
+      return reject(state, action || {}, `Unknown action "${action?.type}"`);
+  }
+};
+
+/**
+ * Lists every action that would be accepted in the current state
+ * While passing, each seat that has not passed yet gets a single suggested
+ * pass rather than every possible combination of cards, and while bidding
+ * the seat to bid gets every bid from nil up to the hand size
+ * @param {Object} state - Engine state
+ * @returns {Array} Actions that applyAction would accept
+ */
+export const getLegalActions = (state) => {
+  switch (state.phase) {
+    case GAME_PHASES.WAITING:
+      return [{ type: ENGINE_ACTIONS.START_GAME }];
+    case GAME_PHASES.DEALING:
+      return state.players.every((player) => player.hand.length === 0)
+        ? [{ type: ENGINE_ACTIONS.DEAL_CARDS }]
+        : [{ type: ENGINE_ACTIONS.START_PLAYING }];
+    case GAME_PHASES.PASSING: {
+      const { count } = getPassInfo(state);
+      return state.players
+        .filter((player) => !state.passes[player.id])
+        .map((player) => ({
+          type: ENGINE_ACTIONS.PASS_CARDS,
+          playerId: player.id,
+          cards: getDefaultPass(player.hand, count),
+        }));
+    }
+    case GAME_PHASES.BIDDING: {
+      const playerId = state.players[state.currentPlayer].id;
+      const { bidding = {} } = getRuleSet(state);
+      const bids = Array.from({ length: getHandSize(state) + 1 }, (_, bid) => ({
+        type: ENGINE_ACTIONS.PLACE_BID,
+        playerId,
+        bid,
+      })).filter((action) => action.bid > 0 || bidding.nil);
+      return bidding.blindNil
+        ? [...bids, { ...bids[0], bid: 0, blind: true }]
+        : bids;
+    }
+    case GAME_PHASES.PLAYING: {
+      const playerId = state.players[state.currentPlayer].id;
+      return getLegalCards(state).map((card) => ({
+        type: ENGINE_ACTIONS.PLAY_CARD,
+        playerId,
+        card,
+      }));
+    }
+    case GAME_PHASES.EVALUATING:
+      return [{ type: ENGINE_ACTIONS.COLLECT_TRICK }];
+    case GAME_PHASES.HAND_OVER:
+      return [{ type: ENGINE_ACTIONS.NEXT_HAND }];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Checks whether the game has finished
+ * @param {Object} state - Engine state
+ * @returns {boolean} True once the game is over
+ */
+export const isTerminal = (state) => state.phase === GAME_PHASES.GAME_OVER;
+
+export default {
+  createGame,
+  createPlayers,
+  getTableConfig,
+  applyAction,
+  getLegalActions,
+  isTerminal,
+  getLegalCards,
+  getRuleSet,
+  getWinnerIndex,
+  getPassInfo,
+  getDefaultPass,
+  getDefaultBid,
+  getTricksWon,
+  getHandSize,
+  hasPartnerships,
+  getTeams,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+};
@@ -0,0 +1,1092 @@
+/**
+ * Unit tests for the headless game engine
+ * Runs complete games without React, timers or toasts
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  createGame,
+  createPlayers,
+  getTableConfig,
+  getHandSize,
+  applyAction,
+  getLegalActions,
+  getLegalCards,
+  getWinnerIndex,
+  getPassInfo,
+  getDefaultPass,
+  getDefaultBid,
+  getTricksWon,
+  buildLedger,
+  getTeams,
+  hasPartnerships,
+  isTerminal,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+} from "./GameEngine";
+import { createStandardDeck } from "./deck";
+import { getHeartsCardPoints } from "../config/ruleSets";
+import { GAME_PHASES, CARDS_PER_PLAYER } from "../constants";
+
+// Hearts and Spades deal the whole deck: 13 cards each at four seats
+const FULL_HAND = 13;
+
+const card = (suit, rank) => ({
+  id: `${suit}-${rank}`,
+  suit,
+  rank,
+  value: rank === 1 ? 14 : rank,
+});
+
+/**
+ * Applies a list of actions in order, returning the final state and every
+ * event that was emitted along the way
+ */
+const applyAll = (state, actions) =>
+  actions.reduce(
+    (acc, action) => {
+      const { state: next, events } = applyAction(acc.state, action);
+      return { state: next, events: [...acc.events, ...events] };
+    },
+    { state, events: [] },
+  );
+
+const startedGame = (config = {}) =>
+  applyAll(createGame({ deck: createStandardDeck(), ...config }), [
+    { type: ENGINE_ACTIONS.START_GAME },
+    { type: ENGINE_ACTIONS.DEAL_CARDS },
+    { type: ENGINE_ACTIONS.START_PLAYING },
+  ]).state;
+
+/**
+ * Plays the first legal action until the game ends
+ */
+const playToEnd = (state) => {
+  let current = state;
+  const events = [];
+  let guard = 0;
+  while (!isTerminal(current) && guard < 1000) {
+    const [action] = getLegalActions(current);
+    const outcome = applyAction(current, action);
+    current = outcome.state;
+    events.push(...outcome.events);
+    guard += 1;
+  }
+  return { state: current, events };
+};
+
+describe("GameEngine", () => {
+  describe("createGame", () => {
+    it("should start in the waiting phase with empty hands", () => {
+      const state = createGame();
+
+      expect(state.phase).toBe(GAME_PHASES.WAITING);
+      expect(state.players).toHaveLength(4);
+      state.players.forEach((player) => expect(player.hand).toEqual([]));
+      expect(state.scores).toEqual([0, 0, 0, 0]);
+    });
+
+    it("should use the given deck as-is", () => {
+      const deck = createStandardDeck();
+      const state = createGame({ deck });
+
+      expect(state.deck).toEqual(deck);
+      expect(state.deck).not.toBe(deck);
+    });
+
+    it("should shuffle with the given random source", () => {
+      const first = createGame({ random: () => 0.42 });
+      const second = createGame({ random: () => 0.42 });
+
+      expect(first.deck).toEqual(second.deck);
+      expect(first.deck).toHaveLength(52);
+    });
+
+    it("should record its seed", () => {
+      expect(createGame({ seed: "bug-42" }).seed).toBe("bug-42");
+      expect(createGame().seed).toMatch(/^[0-9a-z]{8}$/);
+    });
+
+    it("should deal the same deck for the same seed", () => {
+      const first = createGame({ seed: "replay" });
+      const second = createGame({ seed: "replay" });
+
+      expect(first.deck).toEqual(second.deck);
+      expect(first.rngState).toBe(second.rngState);
+      expect(createGame({ seed: "other" }).deck).not.toEqual(first.deck);
+    });
+
+    it("should default to the first rule set", () => {
+      expect(createGame().ruleSetId).toBe("suit-follows");
+    });
+  });
+
+  describe("dealing", () => {
+    it("should move through dealing into play", () => {
+      const { state, events } = applyAll(createGame(), [
+        { type: ENGINE_ACTIONS.START_GAME },
+        { type: ENGINE_ACTIONS.DEAL_CARDS },
+        { type: ENGINE_ACTIONS.START_PLAYING },
+      ]);
+
+      expect(state.phase).toBe(GAME_PHASES.PLAYING);
+      expect(events.map((e) => e.type)).toEqual([
+        ENGINE_EVENTS.GAME_STARTED,
+        ENGINE_EVENTS.CARDS_DEALT,
+        ENGINE_EVENTS.TURN_CHANGED,
+      ]);
+      state.players.forEach((player) =>
+        expect(player.hand).toHaveLength(CARDS_PER_PLAYER),
+      );
+    });
+
+    it("should deal consecutive slices of the deck", () => {
+      const state = startedGame();
+      const deck = createStandardDeck();
+
+      expect(state.players[1].hand).toEqual(
+        deck.slice(CARDS_PER_PLAYER, CARDS_PER_PLAYER * 2),
+      );
+    });
+
+    it("should reject starting play before cards are dealt", () => {
+      const { state, events } = applyAll(createGame(), [
+        { type: ENGINE_ACTIONS.START_GAME },
+        { type: ENGINE_ACTIONS.START_PLAYING },
+      ]);
+
+      expect(state.phase).toBe(GAME_PHASES.DEALING);
+      expect(events[1].type).toBe(ENGINE_EVENTS.ACTION_REJECTED);
+    });
+
+    it("should reject starting a game twice", () => {
+      const { events } = applyAll(createGame(), [
+        { type: ENGINE_ACTIONS.START_GAME },
+        { type: ENGINE_ACTIONS.START_GAME },
+      ]);
+
+      expect(events[1]).toMatchObject({
+        type: ENGINE_EVENTS.ACTION_REJECTED,
+        reason: "The game has already started",
+      });
+    });
+  });
+
+  describe("playing cards", () => {
+    it("should move a card from the hand to the play area", () => {
+      const state = startedGame();
+      const played = state.players[0].hand[0];
+
+      const { state: next, events } = applyAction(state, {
+        type: ENGINE_ACTIONS.PLAY_CARD,
+        playerId: "player1",
+        card: played,
+      });
+
+      expect(next.playArea).toEqual({ player1: played });
+      expect(next.leadPlayerId).toBe("player1");
+      expect(next.currentPlayer).toBe(1);
+      expect(next.players[0].hand).not.toContainEqual(played);
+      expect(events.map((e) => e.type)).toEqual([
+        ENGINE_EVENTS.CARD_PLAYED,
+        ENGINE_EVENTS.TURN_CHANGED,
+      ]);
+    });
+
+    it("should not mutate the previous state", () => {
+      const state = startedGame();
+      const snapshot = JSON.parse(JSON.stringify(state));
+
+      applyAction(state, {
+        type: ENGINE_ACTIONS.PLAY_CARD,
+        playerId: "player1",
+        card: state.players[0].hand[0],
+      });
+
+      expect(state).toEqual(snapshot);
+    });
+
+    it("should reject a play out of turn", () => {
+      const state = startedGame();
+      const { state: next, events } = applyAction(state, {
+        type: ENGINE_ACTIONS.PLAY_CARD,
+        playerId: "player2",
+        card: state.players[1].hand[0],
+      });
+
+      expect(next).toBe(state);
+      expect(events[0].reason).toBe("It is not your turn");
+    });
+
+    it("should reject a card that does not follow suit", () => {
+      const state = {
+        ...startedGame(),
+        currentPlayer: 1,
+        leadPlayerId: "player1",
+        playArea: { player1: card("hearts", 9) },
+      };
+      state.players = state.players.map((p, i) =>
+        i === 1 ? { ...p, hand: [card("hearts", 2), card("spades", 13)] } : p,
+      );
+
+      const { events } = applyAction(state, {
+        type: ENGINE_ACTIONS.PLAY_CARD,
+        playerId: "player2",
+        card: card("spades", 13),
+      });
+
+      expect(events[0]).toMatchObject({
+        type: ENGINE_EVENTS.ACTION_REJECTED,
+        reason: "You must follow suit and play hearts",
+      });
+    });
+
+    it("should evaluate the trick once every seat has played", () => {
+      let current = startedGame();
+      const emitted = [];
+      for (let i = 0; i < 4; i++) {
+        const [action] = getLegalActions(current);
+        const outcome = applyAction(current, action);
+        current = outcome.state;
+        emitted.push(...outcome.events);
+      }
+
+      expect(current.phase).toBe(GAME_PHASES.EVALUATING);
+      expect(current.trickWinner).not.toBeNull();
+      expect(emitted[emitted.length - 1].type).toBe(
+        ENGINE_EVENTS.TRICK_COMPLETE,
+      );
+    });
+  });
+
+  describe("random plays", () => {
+    it("should play a legal card drawn from the game's stream", () => {
+      const state = startedGame({ seed: "ai" });
+      const { state: next, events } = applyAction(state, {
+        type: ENGINE_ACTIONS.PLAY_RANDOM_CARD,
+        playerId: "player1",
+      });
+
+      expect(events[0].type).toBe(ENGINE_EVENTS.CARD_PLAYED);
+      expect(getLegalCards(state)).toContainEqual(events[0].card);
+      expect(next.rngState).not.toBe(state.rngState);
+    });
+
+    it("should replay the same choices for the same seed", () => {
+      const play = () => {
+        let current = applyAll(createGame({ seed: "same" }), [
+          { type: ENGINE_ACTIONS.START_GAME },
+          { type: ENGINE_ACTIONS.DEAL_CARDS },
+          { type: ENGINE_ACTIONS.START_PLAYING },
+        ]).state;
+        while (!isTerminal(current)) {
+          const action =
+            current.phase === GAME_PHASES.PLAYING
+              ? {
+                  type: ENGINE_ACTIONS.PLAY_RANDOM_CARD,
+                  playerId: current.players[current.currentPlayer].id,
+                }
+              : getLegalActions(current)[0];
+          current = applyAction(current, action).state;
+        }
+        return current;
+      };
+
+      expect(play().tricks).toEqual(play().tricks);
+    });
+
+    it("should not advance the stream when rejected", () => {
+      const state = startedGame();
+      const { state: next, events } = applyAction(state, {
+        type: ENGINE_ACTIONS.PLAY_RANDOM_CARD,
+        playerId: "player3",
+      });
+
+      expect(next).toBe(state);
+      expect(events[0].reason).toBe("It is not your turn");
+    });
+  });
+
+  describe("collecting tricks", () => {
+    it("should score the trick and hand the lead to the winner", () => {
+      let current = startedGame();
+      for (let i = 0; i < 4; i++) {
+        current = applyAction(current, getLegalActions(current)[0]).state;
+      }
+      const winnerId = current.trickWinner;
+
+      const { state } = applyAction(current, {
+        type: ENGINE_ACTIONS.COLLECT_TRICK,
+      });
+      const winnerIndex = state.players.findIndex((p) => p.id === winnerId);
+
+      expect(state.phase).toBe(GAME_PHASES.PLAYING);
+      expect(state.scores[winnerIndex]).toBe(1);
+      expect(state.currentPlayer).toBe(winnerIndex);
+      expect(state.playArea).toEqual({});
+      expect(state.tricks).toHaveLength(1);
+    });
+
+    it("should reject collecting when no trick is complete", () => {
+      const { events } = applyAction(startedGame(), {
+        type: ENGINE_ACTIONS.COLLECT_TRICK,
+      });
+
+      expect(events[0].type).toBe(ENGINE_EVENTS.ACTION_REJECTED);
+    });
+  });
+
+  describe("cards-seen ledger", () => {
+    it("should record every card played, in order", () => {
+      let state = startedGame();
+      const played = [];
+      for (let i = 0; i < 6; i++) {
+        const [action] = getLegalActions(state);
+        if (action.type === ENGINE_ACTIONS.PLAY_CARD) {
+          played.push({ playerId: action.playerId, card: action.card });
+        }
+        state = applyAction(state, action).state;
+      }
+
+      expect(
+        state.ledger.plays.map(({ playerId, card }) => ({ playerId, card })),
+      ).toEqual(played);
+      expect(state.ledger.plays.map(({ trick }) => trick)).toEqual([
+        0, 0, 0, 0, 1,
+      ]);
+    });
+
+    it("should note seats that fail to follow suit", () => {
+      let state = startedGame();
+      const leadSeat = state.currentPlayer;
+      const follower = state.players[(leadSeat + 1) % 4];
+      state = {
+        ...state,
+        players: state.players.map((player, idx) => {
+          if (idx === leadSeat) return { ...player, hand: [card("hearts", 5)] };
+          if (player.id === follower.id) {
+            return { ...player, hand: [card("clubs", 5)] };
+          }
+          return player;
+        }),
+      };
+      state = applyAll(state, [
+        {
+          type: ENGINE_ACTIONS.PLAY_CARD,
+          playerId: state.players[leadSeat].id,
+          card: card("hearts", 5),
+        },
+        {
+          type: ENGINE_ACTIONS.PLAY_CARD,
+          playerId: follower.id,
+          card: card("clubs", 5),
+        },
+      ]).state;
+
+      expect(state.ledger.voids).toEqual({ [follower.id]: ["hearts"] });
+    });
+
+    it("should start each hand with an empty ledger", () => {
+      let state = startedGame({ maxRounds: 2 });
+      while (state.phase !== GAME_PHASES.HAND_OVER) {
+        state = applyAction(state, getLegalActions(state)[0]).state;
+      }
+      expect(state.ledger.plays).toHaveLength(4 * CARDS_PER_PLAYER);
+
+      const { state: next } = applyAction(state, {
+        type: ENGINE_ACTIONS.NEXT_HAND,
+      });
+
+      expect(next.ledger).toEqual({ plays: [], voids: {} });
+    });
+
+    it("should rebuild the same ledger from the tricks played", () => {
+      let state = startedGame({ ruleSetId: "hearts", seed: "ledger" });
+      let guard = 0;
+      while (state.tricks.length < 3 && guard < 500) {
+        state = applyAction(state, getLegalActions(state)[0]).state;
+        guard += 1;
+      }
+      state = applyAction(state, getLegalActions(state)[0]).state;
+
+      expect(buildLedger(state)).toEqual(state.ledger);
+    });
+  });
+
+  describe("full game", () => {
+    it("should end after every card has been played", () => {
+      const { state, events } = playToEnd(startedGame());
+
+      expect(isTerminal(state)).toBe(true);
+      expect(state.tricks).toHaveLength(CARDS_PER_PLAYER);
+      expect(state.scores.reduce((a, b) => a + b, 0)).toBe(CARDS_PER_PLAYER);
+      expect(events[events.length - 1].type).toBe(ENGINE_EVENTS.GAME_OVER);
+    });
+
+    it("should be deterministic for the same deck and actions", () => {
+      const first = playToEnd(
+        startedGame({ ruleSetId: "spades-trump", seed: "fixed" }),
+      );
+      const second = playToEnd(
+        startedGame({ ruleSetId: "spades-trump", seed: "fixed" }),
+      );
+
+      expect(first.state).toEqual(second.state);
+      expect(first.events).toEqual(second.events);
+    });
+
+    it("should offer no legal actions once terminal", () => {
+      const { state } = playToEnd(startedGame());
+
+      expect(getLegalActions(state)).toEqual([]);
+    });
+  });
+
+  describe("matches", () => {
+    /**
+     * Plays the first legal action until the current hand is scored
+     */
+    const playHand = (state) => {
+      let current = state;
+      while (
+        current.phase === GAME_PHASES.PLAYING ||
+        current.phase === GAME_PHASES.EVALUATING
+      ) {
+        current = applyAction(current, getLegalActions(current)[0]).state;
+      }
+      return current;
+    };
+
+    it("should pause between hands until the next hand is dealt", () => {
+      const state = playHand(startedGame({ maxRounds: 3 }));
+
+      expect(state.phase).toBe(GAME_PHASES.HAND_OVER);
+      expect(state.handHistory).toHaveLength(1);
+      expect(getLegalActions(state)).toEqual([
+        { type: ENGINE_ACTIONS.NEXT_HAND },
+      ]);
+    });
+
+    it("should rotate the dealer and the opening lead", () => {
+      const first = startedGame({ maxRounds: 3 });
+      const { state, events } = applyAction(playHand(first), {
+        type: ENGINE_ACTIONS.NEXT_HAND,
+      });
+
+      expect(state.phase).toBe(GAME_PHASES.DEALING);
+      expect(state.round).toBe(2);
+      expect(state.dealerIndex).toBe((first.dealerIndex + 1) % 4);
+      expect(state.currentPlayer).toBe((state.dealerIndex + 1) % 4);
+      expect(state.handScores).toEqual([0, 0, 0, 0]);
+      expect(events[0]).toMatchObject({
+        type: ENGINE_EVENTS.HAND_STARTED,
+        round: 2,
+        leadIndex: state.currentPlayer,
+      });
+    });
+
+    it("should keep cumulative scores across hands", () => {
+      const { state, events } = playToEnd(startedGame({ maxRounds: 3 }));
+      const gameOver = events[events.length - 1];
+
+      expect(state.round).toBe(3);
+      expect(state.handHistory).toHaveLength(3);
+      expect(state.scores.reduce((a, b) => a + b, 0)).toBe(
+        3 * CARDS_PER_PLAYER,
+      );
+      expect(gameOver.handHistory).toEqual(state.handHistory);
+      expect(
+        events.filter((event) => event.type === ENGINE_EVENTS.HAND_OVER),
+      ).toHaveLength(2);
+    });
+
+    it("should reject dealing the next hand mid-hand", () => {
+      const { events } = applyAction(startedGame({ maxRounds: 3 }), {
+        type: ENGINE_ACTIONS.NEXT_HAND,
+      });
+
+      expect(events[0].type).toBe(ENGINE_EVENTS.ACTION_REJECTED);
+    });
+
+    it("should replay every hand of a seeded match", () => {
+      const config = { maxRounds: 2, seed: "match" };
+
+      expect(playToEnd(startedGame(config)).state).toEqual(
+        playToEnd(startedGame(config)).state,
+      );
+    });
+  });
+
+  describe("hearts", () => {
+    const dealtHearts = (config = {}) =>
+      applyAll(
+        createGame({
+          deck: createStandardDeck(),
+          ruleSetId: "hearts",
+          ...config,
+        }),
+        [
+          { type: ENGINE_ACTIONS.START_GAME },
+          { type: ENGINE_ACTIONS.DEAL_CARDS },
+          { type: ENGINE_ACTIONS.START_PLAYING },
+        ],
+      );
+
+    const passAll = (state) =>
+      getLegalActions(state).reduce(
+        (current, action) => applyAction(current, action).state,
+        state,
+      );
+
+    it("should start the hand with a pass to the left", () => {
+      const { state, events } = dealtHearts();
+
+      expect(state.phase).toBe(GAME_PHASES.PASSING);
+      expect(getPassInfo(state)).toEqual({
+        direction: "left",
+        count: 3,
+        offset: 1,
+      });
+      expect(events[events.length - 1]).toMatchObject({
+        type: ENGINE_EVENTS.PASSING_STARTED,
+        direction: "left",
+        count: 3,
+      });
+    });
+
+    it("should rotate pass directions and hold every fourth hand", () => {
+      const base = createGame({ ruleSetId: "hearts" });
+      const directions = [1, 2, 3, 4, 5].map(
+        (round) => getPassInfo({ ...base, round })?.direction ?? "hold",
+      );
+
+      expect(directions).toEqual(["left", "right", "across", "hold", "left"]);
+    });
+
+    it("should have no pass for rule sets without passing", () => {
+      expect(getPassInfo(createGame())).toBeNull();
+    });
+
+    it("should swap the passed cards once every seat has passed", () => {
+      const { state } = dealtHearts();
+      const given = getDefaultPass(state.players[0].hand, 3);
+      const passed = passAll(state);
+
+      expect(passed.phase).toBe(GAME_PHASES.PLAYING);
+      expect(passed.players[0].hand).toHaveLength(FULL_HAND);
+      given.forEach((card) => {
+        expect(passed.players[1].hand).toContainEqual(card);
+        expect(passed.players[0].hand).not.toContainEqual(card);
+      });
+    });
+
+    it("should wait for every seat before swapping", () => {
+      const { state } = dealtHearts();
+      const [first] = getLegalActions(state);
+      const { state: next, events } = applyAction(state, first);
+
+      expect(next.phase).toBe(GAME_PHASES.PASSING);
+      expect(next.players).toEqual(state.players);
+      expect(events[0].type).toBe(ENGINE_EVENTS.PASS_SUBMITTED);
+      expect(getLegalActions(next)).toHaveLength(3);
+    });
+
+    it("should reject passes of the wrong size or twice", () => {
+      const { state } = dealtHearts();
+      const hand = state.players[0].hand;
+      const pass = (current, cards) =>
+        applyAction(current, {
+          type: ENGINE_ACTIONS.PASS_CARDS,
+          playerId: "player1",
+          cards,
+        });
+
+      expect(pass(state, hand.slice(0, 2)).events[0].reason).toBe(
+        "Choose exactly 3 cards to pass",
+      );
+      expect(pass(state, [hand[0], hand[0], hand[1]]).events[0].reason).toBe(
+        "Choose exactly 3 cards to pass",
+      );
+      expect(
+        pass(state, [...hand.slice(0, 2), state.players[1].hand[0]]).events[0]
+          .reason,
+      ).toBe("You can only pass cards from your hand");
+
+      const passed = pass(state, hand.slice(0, 3)).state;
+      expect(pass(passed, hand.slice(0, 3)).events[0].reason).toBe(
+        "You have already passed your cards",
+      );
+    });
+
+    it("should score penalty points and crown the lowest total", () => {
+      const { state: dealt } = dealtHearts({ seed: "hearts" });
+      const { events } = playToEnd(dealt);
+      const gameOver = events[events.length - 1];
+      const trickPoints = events
+        .filter((event) => event.type === ENGINE_EVENTS.TRICK_COLLECTED)
+        .reduce((sum, event) => sum + event.points, 0);
+      const dealtPoints = dealt.deck
+        .slice(0, 4 * FULL_HAND)
+        .reduce((sum, c) => sum + getHeartsCardPoints(c), 0);
+
+      expect(gameOver.type).toBe(ENGINE_EVENTS.GAME_OVER);
+      expect(trickPoints).toBe(dealtPoints);
+      expect(gameOver.scores[gameOver.winnerIndex]).toBe(
+        Math.min(...gameOver.scores),
+      );
+    });
+
+    it("should apply shooting the moon at the end of the hand", () => {
+      // One trick left, every point so far taken by the first seat
+      const trick = {
+        player1: { id: "hearts-1", suit: "hearts", rank: 1, value: 14 },
+        player2: { id: "hearts-2", suit: "hearts", rank: 2, value: 2 },
+        player3: { id: "clubs-3", suit: "clubs", rank: 3, value: 3 },
+        player4: { id: "clubs-4", suit: "clubs", rank: 4, value: 4 },
+      };
+      const state = {
+        ...createGame({ ruleSetId: "hearts" }),
+        phase: GAME_PHASES.EVALUATING,
+        playArea: trick,
+        leadPlayerId: "player1",
+        trickWinner: "player1",
+        tricks: [
+          {
+            cards: {
+              player2: { id: "spades-12", suit: "spades", rank: 12, value: 12 },
+            },
+            leadPlayerId: "player2",
+            winnerId: "player1",
+          },
+        ],
+        scores: [18, 5, 0, 0],
+        handScores: [13, 0, 0, 0],
+      };
+
+      const { state: next, events } = applyAction(state, {
+        type: ENGINE_ACTIONS.COLLECT_TRICK,
+      });
+
+      expect(next.handScores).toEqual([0, 15, 15, 15]);
+      expect(next.scores).toEqual([5, 20, 15, 15]);
+      expect(events).toContainEqual({
+        type: ENGINE_EVENTS.SHOT_THE_MOON,
+        playerIndex: 0,
+        points: 15,
+      });
+    });
+  });
+
+  describe("spades bidding", () => {
+    const dealtSpades = (config = {}) =>
+      applyAll(
+        createGame({
+          deck: createStandardDeck(),
+          ruleSetId: "spades",
+          ...config,
+        }),
+        [
+          { type: ENGINE_ACTIONS.START_GAME },
+          { type: ENGINE_ACTIONS.DEAL_CARDS },
+          { type: ENGINE_ACTIONS.START_PLAYING },
+        ],
+      );
+
+    const bidAll = (state, bids) =>
+      applyAll(
+        state,
+        bids.map((bid, idx) => ({
+          type: ENGINE_ACTIONS.PLACE_BID,
+          playerId: state.players[idx].id,
+          bid,
+        })),
+      );
+
+    it("should open bidding with the first seat after dealing", () => {
+      const { state, events } = dealtSpades();
+
+      expect(state.phase).toBe(GAME_PHASES.BIDDING);
+      expect(state.currentPlayer).toBe(0);
+      expect(state.bids).toEqual([null, null, null, null]);
+      expect(events.slice(-2)).toEqual([
+        { type: ENGINE_EVENTS.BIDDING_STARTED, maxBid: FULL_HAND },
+        {
+          type: ENGINE_EVENTS.TURN_CHANGED,
+          playerIndex: 0,
+          playerId: "player1",
+        },
+      ]);
+    });
+
+    it("should take bids in turn and start play once all are in", () => {
+      const { state } = dealtSpades();
+      const { state: next, events } = bidAll(state, [2, 0, 3, 1]);
+
+      expect(next.phase).toBe(GAME_PHASES.PLAYING);
+      expect(next.currentPlayer).toBe(0);
+      expect(next.bids).toEqual([
+        { tricks: 2, blind: false },
+        { tricks: 0, blind: false },
+        { tricks: 3, blind: false },
+        { tricks: 1, blind: false },
+      ]);
+      expect(
+        events.filter((e) => e.type === ENGINE_EVENTS.BID_PLACED),
+      ).toHaveLength(4);
+      expect(events).toContainEqual({
+        type: ENGINE_EVENTS.BIDDING_COMPLETE,
+        bids: next.bids,
+      });
+    });
+
+    it("should reject bids out of turn, out of range or blind above nil", () => {
+      const { state } = dealtSpades();
+      const bid = (playerId, tricks, blind) =>
+        applyAction(state, {
+          type: ENGINE_ACTIONS.PLACE_BID,
+          playerId,
+          bid: tricks,
+          blind,
+        }).events[0].reason;
+
+      expect(bid("player2", 2)).toBe("It is not your turn to bid");
+      expect(bid("player1", FULL_HAND + 1)).toBe(
+        `Bid between 0 and ${FULL_HAND} tricks`,
+      );
+      expect(bid("player1", 1.5)).toBe(`Bid between 0 and ${FULL_HAND} tricks`);
+      expect(bid("player1", 2, true)).toBe("Only a nil bid can be made blind");
+    });
+
+    it("should not take bids for rule sets without bidding", () => {
+      const { events } = applyAction(startedGame(), {
+        type: ENGINE_ACTIONS.PLACE_BID,
+        playerId: "player1",
+        bid: 2,
+      });
+
+      expect(events[0].reason).toBe("Bids can only be placed before play");
+    });
+
+    it("should list every bid plus blind nil while bidding", () => {
+      const { state } = dealtSpades();
+      const actions = getLegalActions(state);
+
+      expect(actions).toHaveLength(FULL_HAND + 2);
+      expect(actions[0]).toEqual({
+        type: ENGINE_ACTIONS.PLACE_BID,
+        playerId: "player1",
+        bid: 0,
+      });
+      expect(actions[actions.length - 1]).toMatchObject({
+        bid: 0,
+        blind: true,
+      });
+    });
+
+    it("should score the contracts at the end of the hand", () => {
+      const { state: dealt } = dealtSpades({ seed: "spades" });
+      const { state: bid } = bidAll(dealt, [1, 2, 0, 3]);
+      const { state: finished, events } = playToEnd(bid);
+      const tricksWon = getTricksWon(finished);
+      const scored = events.find(
+        (e) => e.type === ENGINE_EVENTS.CONTRACTS_SCORED,
+      );
+
+      expect(tricksWon.reduce((sum, n) => sum + n, 0)).toBe(FULL_HAND);
+      expect(scored.results.map((r) => r.tricks)).toEqual(tricksWon);
+      expect(finished.scores).toEqual(scored.results.map((r) => r.points));
+      expect(finished.bags).toEqual(scored.results.map((r) => r.bags));
+    });
+
+    it("should carry bags into the next hand and reset the bids", () => {
+      const { state: dealt } = dealtSpades({ seed: "bags", maxRounds: 2 });
+      const { state: bid } = bidAll(dealt, [1, 1, 1, 1]);
+      let current = bid;
+      while (current.phase !== GAME_PHASES.HAND_OVER) {
+        current = applyAction(current, getLegalActions(current)[0]).state;
+      }
+      const { state: next } = applyAction(current, {
+        type: ENGINE_ACTIONS.NEXT_HAND,
+      });
+
+      expect(current.bags.reduce((sum, n) => sum + n, 0)).toBeGreaterThan(0);
+      expect(next.bags).toEqual(current.bags);
+      expect(next.bids).toEqual([null, null, null, null]);
+    });
+  });
+
+  describe("partnerships", () => {
+    it("should leave every seat on its own by default", () => {
+      const state = createGame();
+
+      expect(hasPartnerships(state)).toBe(false);
+      expect(getTeams(state)).toEqual([[0], [1], [2], [3]]);
+    });
+
+    it("should team seats across the table", () => {
+      const state = createGame({ partnerships: true });
+
+      expect(hasPartnerships(state)).toBe(true);
+      expect(getTeams(state)).toEqual([
+        [0, 2],
+        [1, 3],
+      ]);
+    });
+
+    it("should play in partnerships when the rule set requires it", () => {
+      expect(hasPartnerships(createGame({ ruleSetId: "spades" }))).toBe(true);
+    });
+
+    it("should not partner an odd number of seats", () => {
+      const players = [
+        { id: "a", name: "A" },
+        { id: "b", name: "B" },
+        { id: "c", name: "C" },
+      ];
+
+      expect(hasPartnerships(createGame({ players, partnerships: true }))).toBe(
+        false,
+      );
+    });
+
+    it("should credit trick points to both partners", () => {
+      let state = startedGame({ partnerships: true });
+      while (state.phase === GAME_PHASES.PLAYING) {
+        state = applyAction(state, getLegalActions(state)[0]).state;
+      }
+      const winnerIndex = state.players.findIndex(
+        (p) => p.id === state.trickWinner,
+      );
+      const partnerIndex = (winnerIndex + 2) % 4;
+      const { state: next } = applyAction(state, {
+        type: ENGINE_ACTIONS.COLLECT_TRICK,
+      });
+
+      expect(next.handScores[winnerIndex]).toBe(1);
+      expect(next.handScores[partnerIndex]).toBe(1);
+      expect(next.scores.reduce((sum, n) => sum + n, 0)).toBe(2);
+    });
+
+    it("should name the whole winning team at the end", () => {
+      const { events } = playToEnd(startedGame({ partnerships: true }));
+      const gameOver = events[events.length - 1];
+
+      expect(gameOver.winners).toHaveLength(2);
+      expect(gameOver.winners).toContain(gameOver.winnerIndex);
+      const [first, second] = gameOver.winners;
+      expect(gameOver.scores[first]).toBe(gameOver.scores[second]);
+    });
+  });
+
+  describe("table sizes", () => {
+    it("should seat the human player first and clamp the table size", () => {
+      expect(createPlayers(5).map((player) => player.id)).toEqual([
+        "player1",
+        "player2",
+        "player3",
+        "player4",
+        "player5",
+      ]);
+      expect(createPlayers(2)).toHaveLength(3);
+      expect(createPlayers(9)).toHaveLength(6);
+    });
+
+    it.each([3, 5, 6])("should play a full game with %i seats", (seats) => {
+      const { state } = playToEnd(
+        startedGame({ players: createPlayers(seats) }),
+      );
+
+      expect(isTerminal(state)).toBe(true);
+      expect(state.tricks).toHaveLength(CARDS_PER_PLAYER);
+      state.tricks.forEach((trick) =>
+        expect(Object.keys(trick.cards)).toHaveLength(seats),
+      );
+      expect(state.scores).toHaveLength(seats);
+    });
+
+    it("should leave the undealt cards in the kitty", () => {
+      const { state, events } = applyAll(
+        createGame({ players: createPlayers(6), deck: createStandardDeck() }),
+        [
+          { type: ENGINE_ACTIONS.START_GAME },
+          { type: ENGINE_ACTIONS.DEAL_CARDS },
+        ],
+      );
+
+      expect(state.kitty).toEqual(
+        createStandardDeck().slice(6 * CARDS_PER_PLAYER),
+      );
+      expect(events[1].kittySize).toBe(52 - 6 * CARDS_PER_PLAYER);
+    });
+
+    it("should strip the deck for rule sets that ask for it", () => {
+      const state = startedGame({
+        ruleSetId: "hearts",
+        players: createPlayers(3),
+        handSize: 17,
+      });
+      const dealt = state.players.flatMap((player) => player.hand);
+
+      expect(dealt).toHaveLength(51);
+      expect(dealt.map((c) => c.id)).not.toContain("diamonds-2");
+      expect(state.kitty).toEqual([]);
+    });
+
+    it("should pair every seat with the one across a six-seat table", () => {
+      const state = createGame({
+        players: createPlayers(6),
+        partnerships: true,
+      });
+
+      expect(getTeams(state)).toEqual([
+        [0, 3],
+        [1, 4],
+        [2, 5],
+      ]);
+    });
+
+    it("should not team an odd table even when the rule set asks", () => {
+      const state = createGame({
+        ruleSetId: "spades",
+        players: createPlayers(5),
+      });
+
+      expect(hasPartnerships(state)).toBe(false);
+    });
+
+    it("should read back the table a game was created with", () => {
+      const state = createGame({
+        ruleSetId: "hearts",
+        players: createPlayers(3),
+        maxRounds: 3,
+      });
+
+      expect(getTableConfig(createGame(getTableConfig(state)))).toEqual(
+        getTableConfig(state),
+      );
+      expect(getTableConfig(state).players).toHaveLength(3);
+    });
+  });
+
+  describe("hand sizes", () => {
+    it("should fall back to the rule set's hand size", () => {
+      expect(getHandSize(createGame({ deck: createStandardDeck() }))).toBe(
+        CARDS_PER_PLAYER,
+      );
+      expect(
+        getHandSize(
+          createGame({ ruleSetId: "spades", deck: createStandardDeck() }),
+        ),
+      ).toBe(FULL_HAND);
+    });
+
+    it("should let the match override the rule set's hand size", () => {
+      const state = startedGame({ ruleSetId: "hearts", handSize: 5 });
+
+      state.players.forEach((player) => expect(player.hand).toHaveLength(5));
+      expect(state.kitty).toHaveLength(52 - 4 * 5);
+    });
+
+    it.each([
+      [3, 17],
+      [5, 10],
+      [6, 8],
+    ])("should deal a full deck around %i seats", (seats, expected) => {
+      const state = startedGame({
+        players: createPlayers(seats),
+        handSize: "full",
+      });
+
+      state.players.forEach((player) =>
+        expect(player.hand).toHaveLength(expected),
+      );
+      expect(state.kitty).toHaveLength(52 - seats * expected);
+    });
+
+    it("should clamp requests to what the deck can deal", () => {
+      const deck = createStandardDeck();
+
+      expect(getHandSize(createGame({ deck, handSize: 0 }))).toBe(1);
+      expect(getHandSize(createGame({ deck, handSize: 20 }))).toBe(FULL_HAND);
+    });
+
+    it("should play a full-deck game to the end", () => {
+      const { state } = playToEnd(startedGame({ handSize: "full" }));
+
+      expect(isTerminal(state)).toBe(true);
+      expect(state.tricks).toHaveLength(FULL_HAND);
+    });
+  });
+
+  describe("helpers", () => {
+    it("should list legal cards for the current player", () => {
+      const state = startedGame();
+
+      expect(getLegalCards(state)).toEqual(state.players[0].hand);
+    });
+
+    it("should pick the first highest score as winner", () => {
+      expect(getWinnerIndex([1, 3, 3, 0])).toBe(1);
+    });
+
+    it("should pick the first lowest score when low scores win", () => {
+      expect(getWinnerIndex([4, 1, 3, 1], true)).toBe(1);
+    });
+
+    it("should pass the highest cards by default", () => {
+      const hand = [card("clubs", 3), card("hearts", 1), card("spades", 12)];
+
+      expect(getDefaultPass(hand, 2).map((c) => c.id)).toEqual([
+        "hearts-1",
+        "spades-12",
+      ]);
+    });
+
+    it("should bid a trick for each high card, but at least one", () => {
+      const hand = [
+        card("clubs", 1),
+        card("hearts", 13),
+        card("spades", 11),
+        card("diamonds", 12),
+      ];
+
+      expect(getDefaultBid(hand)).toBe(3);
+      expect(getDefaultBid([card("clubs", 2)])).toBe(1);
+    });
+
+    it("should change rule set by id", () => {
+      const { state } = applyAction(createGame(), {
+        type: ENGINE_ACTIONS.SET_RULE_SET,
+        ruleSetId: "highest-card",
+      });
+
+      expect(state.ruleSetId).toBe("highest-card");
+    });
+
+    it("should only change rule set between games", () => {
+      const { state, events } = applyAction(
+        { ...createGame({ ruleSetId: "hearts" }), phase: GAME_PHASES.PLAYING },
+        { type: ENGINE_ACTIONS.SET_RULE_SET, ruleSetId: "spades" },
+      );
+
+      expect(state.ruleSetId).toBe("hearts");
+      expect(events[0].reason).toBe(
+        "The rule set can only change between games",
+      );
+    });
+
+    it("should reject unknown rule sets and actions", () => {
+      const state = createGame();
+
+      expect(
+        applyAction(state, {
+          type: ENGINE_ACTIONS.SET_RULE_SET,
+          ruleSetId: "nope",
+        }).events[0].type,
+      ).toBe(ENGINE_EVENTS.ACTION_REJECTED);
+      expect(applyAction(state, { type: "NOPE" }).events[0].reason).toBe(
+        'Unknown action "NOPE"',
+      );
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Deck Helpers
+ * Framework-free deck creation, shuffling and dealing used by the game engine
+ */
+
+import { SUITS } from "../constants/gameConstants";
+
+/**
+ * Creates a standard, unshuffled 52-card deck
+ * @returns {Array} Array of card objects ordered by suit and rank
+ */
+export const createStandardDeck = () => {
+  const deck = [];
+  SUITS.forEach((suit) => {
+    for (let rank = 1; rank <= 13; rank++) {
+      deck.push({
+        id: `${suit}-${rank}`,
+        suit,
+        rank,
+        value: rank === 1 ? 14 : rank, // Ace is highest
+      });
+    }
+  });
+  return deck;
+};
+
+/**
+ * Shuffles an array of cards using the Fisher-Yates algorithm
+ * @param {Array} cards - Array of card objects
+ * @param {Function} random - Function returning a float in [0, 1)
+ * @returns {Array} New shuffled array of cards
+ */
+export const shuffleDeck = (cards, random = Math.random) => {
+  const shuffled = [...cards];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Deals consecutive slices of a deck to each seat
+ * @param {Array} deck - Array of card objects
+ * @param {number} seatCount - Number of seats to deal to
+ * @param {number} handSize - Cards per seat
+ * @returns {Array} Array of hands, one per seat
+ */
+export const dealHands = (deck, seatCount, handSize) =>
+  Array.from({ length: seatCount }, (_, seat) =>
+    deck.slice(seat * handSize, (seat + 1) * handSize),
+  );
+
+// Cards dropped, in order, so the deck divides evenly between the seats;
+// low clubs and diamonds never carry points in any rule set
+const STRIP_ORDER = ["diamonds-2", "clubs-2", "diamonds-3", "clubs-3"];
+
+/**
+ * Removes low cards until the deck can be dealt out evenly, e.g. the two of
+ * diamonds for three players or four cards for six
+ * @param {Array} deck - Array of card objects, in any order
+ * @param {number} seatCount - Number of seats to deal to
+ * @returns {Array} Deck without the stripped cards, order preserved
+ */
+export const stripDeck = (deck, seatCount) => {
+  const stripped = new Set(STRIP_ORDER.slice(0, deck.length % seatCount));
+  return deck.filter((card) => !stripped.has(card.id));
+};
+
+export default { createStandardDeck, shuffleDeck, dealHands, stripDeck };
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for engine deck helpers
+ */
+
+import { describe, it, expect } from "vitest";
+import { createStandardDeck, shuffleDeck, dealHands, stripDeck } from "./deck";
+import { SUITS } from "../constants";
+
+describe("deck helpers", () => {
+  describe("createStandardDeck", () => {
+    it("should create 52 unique cards", () => {
+      const deck = createStandardDeck();
+      const ids = new Set(deck.map((card) => card.id));
+
+      expect(deck).toHaveLength(52);
+      expect(ids.size).toBe(52);
+    });
+
+    it("should create 13 cards per suit", () => {
+      const deck = createStandardDeck();
+
+      SUITS.forEach((suit) => {
+        expect(deck.filter((card) => card.suit === suit)).toHaveLength(13);
+      });
+    });
+
+    it("should value aces at 14", () => {
+      const ace = createStandardDeck().find((card) => card.rank === 1);
+
+      expect(ace.value).toBe(14);
+    });
+  });
+
+  describe("shuffleDeck", () => {
+    it("should not mutate the input", () => {
+      const deck = createStandardDeck();
+      const copy = [...deck];
+
+      shuffleDeck(deck);
+
+      expect(deck).toEqual(copy);
+    });
+
+    it("should keep every card", () => {
+      const deck = createStandardDeck();
+      const shuffled = shuffleDeck(deck);
+
+      expect([...shuffled].sort((a, b) => a.id.localeCompare(b.id))).toEqual(
+        [...deck].sort((a, b) => a.id.localeCompare(b.id)),
+      );
+    });
+
+    it("should be reproducible with the same random source", () => {
+      const deck = createStandardDeck();
+      const values = [0.1, 0.7, 0.3, 0.9];
+      const makeRandom = () => {
+        let i = 0;
+        return () => values[i++ % values.length];
+      };
+
+      expect(shuffleDeck(deck, makeRandom())).toEqual(
+        shuffleDeck(deck, makeRandom()),
+      );
+    });
+  });
+
+  describe("dealHands", () => {
+    it("should deal the requested number of cards to each seat", () => {
+      const hands = dealHands(createStandardDeck(), 4, 7);
+
+      expect(hands).toHaveLength(4);
+      hands.forEach((hand) => expect(hand).toHaveLength(7));
+    });
+
+    it("should not deal the same card twice", () => {
+      const hands = dealHands(createStandardDeck(), 4, 13);
+      const ids = new Set(hands.flat().map((card) => card.id));
+
+      expect(ids.size).toBe(52);
+    });
+  });
+
+  describe("stripDeck", () => {
+    it("should keep a deck that already divides evenly", () => {
+      expect(stripDeck(createStandardDeck(), 4)).toHaveLength(52);
+    });
+
+    it.each([
+      [3, ["diamonds-2"]],
+      [5, ["diamonds-2", "clubs-2"]],
+      [6, ["diamonds-2", "clubs-2", "diamonds-3", "clubs-3"]],
+    ])("should strip the low cards for %i seats", (seats, removed) => {
+      const deck = stripDeck(createStandardDeck(), seats);
+      const ids = deck.map((card) => card.id);
+
+      expect(deck.length % seats).toBe(0);
+      removed.forEach((id) => expect(ids).not.toContain(id));
+      expect(deck).toHaveLength(52 - removed.length);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Barrel export for the headless game engine
+ * Provides clean imports from a single entry point
+ */
+
+export {
+  createGame,
+  createPlayers,
+  getTableConfig,
+  applyAction,
+  getLegalActions,
+  isTerminal,
+  getLegalCards,
+  getRuleSet,
+  getWinnerIndex,
+  getPassInfo,
+  getDefaultPass,
+  getDefaultBid,
+  getTricksWon,
+  buildLedger,
+  getHandSize,
+  hasPartnerships,
+  getTeams,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+} from "./GameEngine";
+export { mustFollowSuit, createLedger, recordPlay } from "./ledger";
+export { createStandardDeck, shuffleDeck, dealHands, stripDeck } from "./deck";
+export {
+  hashSeed,
+  nextRandom,
+  createRandom,
+  resumeRandom,
+  generateSeed,
+  parseSeed,
+  MAX_SEED_LENGTH,
+} from "./random";
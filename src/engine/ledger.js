@@ -0,0 +1,67 @@
+/**
+ * Cards-Seen Ledger
+ * Public record of the cards played this hand and what they give away
+ *
+ * The ledger lists every card played, in order, with the seat that played
+ * it and the trick it fell in. When a rule set makes seats follow the suit
+ * led, a seat that plays another suit has shown it holds none of the suit
+ * led, and the ledger notes the void. Everything in it is visible to every
+ * seat, so computer players and counting aids can rely on it without
+ * looking at anyone's hand.
+ */
+
+/**
+ * Checks whether a rule set makes seats follow the suit that was led, by
+ * offering it a hand that can either follow or not
+ * @param {Object} ruleSet - Rule set configuration
+ * @returns {boolean} True when seats holding the lead suit must play it
+ */
+export const mustFollowSuit = (ruleSet) => {
+  const lead = { id: "clubs-9", suit: "clubs", rank: 9, value: 9 };
+  const hand = [
+    { id: "clubs-5", suit: "clubs", rank: 5, value: 5 },
+    { id: "diamonds-5", suit: "diamonds", rank: 5, value: 5 },
+  ];
+  // A collected trick keeps first-trick restrictions out of the way
+  const context = { tricks: [{ cards: {}, leadPlayerId: "lead" }] };
+  return ruleSet.getLegalCards(hand, { lead }, "lead", context).length === 1;
+};
+
+/**
+ * Creates an empty ledger for a new hand
+ * @returns {{plays: Array, voids: Object}} No plays and no known voids
+ */
+export const createLedger = () => ({ plays: [], voids: {} });
+
+/**
+ * Adds a played card to the ledger
+ * @param {Object} ledger - Ledger so far
+ * @param {Object} ruleSet - Rule set being played
+ * @param {Object} play - The play
+ * @param {string} play.playerId - Seat that played the card
+ * @param {Object} play.card - Card played
+ * @param {number} play.trick - Index of the trick within the hand
+ * @param {Object|null} play.lead - Card that led the trick, or null when
+ *   this card leads it
+ * @returns {Object} New ledger
+ */
+export const recordPlay = (
+  ledger,
+  ruleSet,
+  { playerId, card, trick, lead },
+) => {
+  const plays = [...ledger.plays, { playerId, card, trick }];
+  const known = ledger.voids[playerId] ?? [];
+
+  const showsVoid =
+    lead &&
+    card.suit !== lead.suit &&
+    !known.includes(lead.suit) &&
+    mustFollowSuit(ruleSet);
+  if (!showsVoid) return { ...ledger, plays };
+
+  return {
+    plays,
+    voids: { ...ledger.voids, [playerId]: [...known, lead.suit] },
+  };
+};
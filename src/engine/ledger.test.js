@@ -0,0 +1,100 @@
+/**
+ * Unit tests for the cards-seen ledger
+ */
+
+import { describe, it, expect } from "vitest";
+import { mustFollowSuit, createLedger, recordPlay } from "./ledger";
+import { getRuleSetById } from "../config/ruleSets";
+
+const card = (suit, rank) => ({
+  id: `${suit}-${rank}`,
+  suit,
+  rank,
+  value: rank === 1 ? 14 : rank,
+});
+
+const suitFollows = getRuleSetById("suit-follows");
+
+describe("cards-seen ledger", () => {
+  describe("mustFollowSuit", () => {
+    it("should know which rule sets make seats follow suit", () => {
+      expect(mustFollowSuit(suitFollows)).toBe(true);
+      expect(mustFollowSuit(getRuleSetById("hearts"))).toBe(true);
+      expect(mustFollowSuit(getRuleSetById("highest-card"))).toBe(false);
+    });
+  });
+
+  describe("recordPlay", () => {
+    const lead = card("hearts", 1);
+    const led = recordPlay(createLedger(), suitFollows, {
+      playerId: "player1",
+      card: lead,
+      trick: 0,
+      lead: null,
+    });
+
+    it("should list plays in order with their seat and trick", () => {
+      const ledger = recordPlay(led, suitFollows, {
+        playerId: "player2",
+        card: card("hearts", 4),
+        trick: 0,
+        lead,
+      });
+
+      expect(ledger.plays).toEqual([
+        { playerId: "player1", card: lead, trick: 0 },
+        { playerId: "player2", card: card("hearts", 4), trick: 0 },
+      ]);
+      expect(ledger.voids).toEqual({});
+    });
+
+    it("should note a void when a seat does not follow the suit led", () => {
+      const ledger = recordPlay(led, suitFollows, {
+        playerId: "player2",
+        card: card("clubs", 3),
+        trick: 0,
+        lead,
+      });
+
+      expect(ledger.voids).toEqual({ player2: ["hearts"] });
+    });
+
+    it("should note each void once", () => {
+      const again = [card("clubs", 3), card("spades", 2)].reduce(
+        (ledger, played, trick) =>
+          recordPlay(ledger, suitFollows, {
+            playerId: "player2",
+            card: played,
+            trick,
+            lead,
+          }),
+        led,
+      );
+
+      expect(again.voids).toEqual({ player2: ["hearts"] });
+    });
+
+    it("should read no voids when seats may play any card", () => {
+      const ledger = recordPlay(led, getRuleSetById("highest-card"), {
+        playerId: "player2",
+        card: card("clubs", 3),
+        trick: 0,
+        lead,
+      });
+
+      expect(ledger.voids).toEqual({});
+    });
+
+    it("should not change the ledger it was given", () => {
+      recordPlay(led, suitFollows, {
+        playerId: "player2",
+        card: card("clubs", 3),
+        trick: 0,
+        lead,
+      });
+
+      expect(led.plays).toHaveLength(1);
+      expect(led.voids).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Seeded Random
+ * Small, reproducible pseudo-random number generator for shuffles and AI
+ * choices
+ *
+ * The generator is Mulberry32: its whole state is a single 32-bit integer, so
+ * the engine can keep it in plain game state and step it with a pure function.
+ * The same seed always produces the same stream, which makes any reported deal
+ * replayable.
+ */
+
+// Longest seed accepted from user input
+export const MAX_SEED_LENGTH = 32;
+
+/**
+ * Hashes a seed of any printable form into a 32-bit generator state (FNV-1a)
+ * @param {string|number} seed - Seed to hash
+ * @returns {number} Unsigned 32-bit state
+ */
+export const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Advances a generator state by one step
+ * @param {number} rngState - Current 32-bit generator state
+ * @returns {{value: number, state: number}} Float in [0, 1) and the next state
+ */
+export const nextRandom = (rngState) => {
+  const state = (rngState + 0x6d2b79f5) >>> 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, state };
+};
+
+/**
+ * Creates a stateful random function that continues from a saved state
+ * @param {number} rngState - Generator state, e.g. from engine state
+ * @returns {Function} Random function with `getState()` attached
+ */
+export const resumeRandom = (rngState) => {
+  let state = rngState;
+
+  const random = () => {
+    const step = nextRandom(state);
+    state = step.state;
+    return step.value;
+  };
+  random.getState = () => state;
+
+  return random;
+};
+
+/**
+ * Creates a stateful random function for a seed
+ * Drop-in replacement for Math.random wherever a random source is accepted
+ * @param {string|number} seed - Seed for the stream
+ * @returns {Function} Random function with `seed` and `getState()` attached
+ */
+export const createRandom = (seed) => {
+  const random = resumeRandom(hashSeed(seed));
+  random.seed = String(seed);
+  return random;
+};
+
+/**
+ * Generates a fresh, short seed for a new game
+ * @returns {string} Eight-character base-36 seed
+ */
+export const generateSeed = () =>
+  Math.floor(Math.random() * 36 ** 8)
+    .toString(36)
+    .padStart(8, "0");
+
+/**
+ * Cleans a user-supplied seed (URL parameter or form field)
+ * @param {*} input - Raw seed value
+ * @returns {string|null} Seed made of letters, digits, "-" and "_", or null
+ */
+export const parseSeed = (input) => {
+  if (input === null || input === undefined) return null;
+  const seed = String(input)
+    .trim()
+    .replace(/[^\w-]/g, "")
+    .slice(0, MAX_SEED_LENGTH);
+  return seed.length > 0 ? seed : null;
+};
+
+export default {
+  hashSeed,
+  nextRandom,
+  createRandom,
+  resumeRandom,
+  generateSeed,
+  parseSeed,
+  MAX_SEED_LENGTH,
+};
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for the seeded random number generator
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  hashSeed,
+  nextRandom,
+  createRandom,
+  generateSeed,
+  parseSeed,
+  MAX_SEED_LENGTH,
+} from "./random";
+
+const take = (random, count) => Array.from({ length: count }, () => random());
+
+describe("seeded random", () => {
+  describe("hashSeed", () => {
+    it("should hash the same seed to the same state", () => {
+      expect(hashSeed("royal")).toBe(hashSeed("royal"));
+    });
+
+    it("should treat numeric and string seeds alike", () => {
+      expect(hashSeed(42)).toBe(hashSeed("42"));
+    });
+
+    it("should return an unsigned 32-bit integer", () => {
+      const state = hashSeed("anything");
+
+      expect(Number.isInteger(state)).toBe(true);
+      expect(state).toBeGreaterThanOrEqual(0);
+      expect(state).toBeLessThan(2 ** 32);
+    });
+  });
+
+  describe("nextRandom", () => {
+    it("should be a pure step function", () => {
+      expect(nextRandom(123)).toEqual(nextRandom(123));
+    });
+
+    it("should return values in [0, 1)", () => {
+      let state = hashSeed("range");
+      for (let i = 0; i < 500; i++) {
+        const step = nextRandom(state);
+        expect(step.value).toBeGreaterThanOrEqual(0);
+        expect(step.value).toBeLessThan(1);
+        state = step.state;
+      }
+    });
+  });
+
+  describe("createRandom", () => {
+    it("should replay the same stream for the same seed", () => {
+      expect(take(createRandom("abc"), 10)).toEqual(
+        take(createRandom("abc"), 10),
+      );
+    });
+
+    it("should produce different streams for different seeds", () => {
+      expect(take(createRandom("abc"), 10)).not.toEqual(
+        take(createRandom("abd"), 10),
+      );
+    });
+
+    it("should expose its seed and current state", () => {
+      const random = createRandom("xyz");
+      const before = random.getState();
+      random();
+
+      expect(random.seed).toBe("xyz");
+      expect(random.getState()).toBe(nextRandom(before).state);
+    });
+  });
+
+  describe("generateSeed", () => {
+    it("should create an eight-character base-36 seed", () => {
+      expect(generateSeed()).toMatch(/^[0-9a-z]{8}$/);
+    });
+  });
+
+  describe("parseSeed", () => {
+    it("should trim and keep safe characters", () => {
+      expect(parseSeed("  bug-123_a ")).toBe("bug-123_a");
+    });
+
+    it("should strip unsafe characters", () => {
+      expect(parseSeed("<b>42</b>")).toBe("b42b");
+    });
+
+    it("should return null for empty input", () => {
+      expect(parseSeed("")).toBeNull();
+      expect(parseSeed("   ")).toBeNull();
+      expect(parseSeed(null)).toBeNull();
+      expect(parseSeed(undefined)).toBeNull();
+    });
+
+    it("should accept numbers", () => {
+      expect(parseSeed(2024)).toBe("2024");
+    });
+
+    it("should cap the length", () => {
+      expect(parseSeed("a".repeat(100))).toHaveLength(MAX_SEED_LENGTH);
+    });
+  });
+});
@@ -2,9 +2,39 @@
  * Game State Reducer
  * Manages all game state transitions in a predictable, centralized way
  * Uses the reducer pattern for complex state management
+ *
+ * The reducer is the single source of truth for a live game. Rule-bearing
+ * actions (starting, dealing, passing, bidding, playing and collecting cards) are
+ * guarded by the phase transition table below and then handed to the headless
+ * game engine, whose state is stored under `game`. The events the engine
+ * emits are queued on the state so the presentation layer can react to them
+ * after rendering.
  */
 
-import { INITIAL_GAME_STATE, GAME_PHASES } from "../../constants";
+import {
+  GAME_PHASES,
+  DEFAULT_HINT_LIMIT,
+  UNLIMITED_HINTS,
+  PLAYER_ROSTER,
+} from "../../constants";
+import {
+  createGame,
+  createPlayers,
+  getTableConfig,
+  applyAction,
+  getPassInfo,
+  getRuleSet,
+  getHandSize,
+  getTeams,
+  hasPartnerships,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+} from "../../engine";
+import { logGameError } from "../../utils/errorLogger";
+import { isHumanPlayer } from "../../utils/playerUtils";
+
+// Number of engine events kept on the state for consumers to catch up on
+const MAX_QUEUED_EVENTS = 50;
 
 // ============================================================================
 // ACTION TYPES
@@ -16,25 +46,34 @@ export const GAME_ACTIONS = {
   RESET_GAME: "RESET_GAME",
 
   // Phase transitions
-  SET_PHASE: "SET_PHASE",
-  START_DEALING: "START_DEALING",
-  FINISH_DEALING: "FINISH_DEALING",
+  DEAL_CARDS: "DEAL_CARDS",
   START_PLAYING: "START_PLAYING",
-  START_EVALUATING: "START_EVALUATING",
-  END_GAME: "END_GAME",
-
-  // Player actions
-  SET_CURRENT_PLAYER: "SET_CURRENT_PLAYER",
-  NEXT_PLAYER: "NEXT_PLAYER",
 
   // Card actions
+  PASS_CARDS: "PASS_CARDS",
+  TOGGLE_PASS_CARD: "TOGGLE_PASS_CARD",
+  PLACE_BID: "PLACE_BID",
+  REVEAL_HAND: "REVEAL_HAND",
   PLAY_CARD: "PLAY_CARD",
-  CLEAR_PLAY_AREA: "CLEAR_PLAY_AREA",
-  SET_LEAD_PLAYER: "SET_LEAD_PLAYER",
-
-  // Score management
-  UPDATE_SCORE: "UPDATE_SCORE",
-  UPDATE_SCORES: "UPDATE_SCORES",
+  PLAY_RANDOM_CARD: "PLAY_RANDOM_CARD",
+  COLLECT_TRICK: "COLLECT_TRICK",
+  NEXT_HAND: "NEXT_HAND",
+  SELECT_CARD: "SELECT_CARD",
+  CLEAR_SELECTED_CARD: "CLEAR_SELECTED_CARD",
+  SHOW_HINT: "SHOW_HINT",
+  TAKE_DEVICE: "TAKE_DEVICE",
+
+  // Configuration
+  SET_RULE_SET: "SET_RULE_SET",
+  SET_SEED: "SET_SEED",
+  SET_MAX_ROUNDS: "SET_MAX_ROUNDS",
+  SET_PARTNERSHIPS: "SET_PARTNERSHIPS",
+  SET_PLAYER_COUNT: "SET_PLAYER_COUNT",
+  SET_HAND_SIZE: "SET_HAND_SIZE",
+  SET_AI_DIFFICULTY: "SET_AI_DIFFICULTY",
+  SET_HUMAN_SEAT: "SET_HUMAN_SEAT",
+  SET_HINT_LIMIT: "SET_HINT_LIMIT",
+  SET_USERNAME: "SET_USERNAME",
 
   // Trick management
   SET_TRICK_WINNER: "SET_TRICK_WINNER",
@@ -54,16 +93,136 @@ export const GAME_ACTIONS = {
 };
 
 // ============================================================================
-// INITIAL STATE
+// PHASE STATE MACHINE
 // ============================================================================
 
-export const createInitialState = () => ({
-  // Core game state
-  gameState: { ...INITIAL_GAME_STATE },
+/**
+ * Phases each phase may move to. Resetting back to WAITING is always allowed.
+ */
+export const PHASE_TRANSITIONS = {
+  [GAME_PHASES.WAITING]: [GAME_PHASES.DEALING],
+  [GAME_PHASES.DEALING]: [
+    GAME_PHASES.PASSING,
+    GAME_PHASES.BIDDING,
+    GAME_PHASES.PLAYING,
+  ],
+  [GAME_PHASES.PASSING]: [GAME_PHASES.BIDDING, GAME_PHASES.PLAYING],
+  [GAME_PHASES.BIDDING]: [GAME_PHASES.PLAYING],
+  [GAME_PHASES.PLAYING]: [GAME_PHASES.EVALUATING],
+  [GAME_PHASES.EVALUATING]: [
+    GAME_PHASES.PLAYING,
+    GAME_PHASES.HAND_OVER,
+    GAME_PHASES.GAME_OVER,
+  ],
+  [GAME_PHASES.HAND_OVER]: [GAME_PHASES.DEALING],
+  [GAME_PHASES.GAME_OVER]: [],
+};
+
+/**
+ * Phases in which each game-changing action may be dispatched
+ */
+export const ACTION_PHASES = {
+  [GAME_ACTIONS.START_GAME]: [GAME_PHASES.WAITING],
+  [GAME_ACTIONS.DEAL_CARDS]: [GAME_PHASES.DEALING],
+  [GAME_ACTIONS.START_PLAYING]: [GAME_PHASES.DEALING],
+  [GAME_ACTIONS.PASS_CARDS]: [GAME_PHASES.PASSING],
+  [GAME_ACTIONS.TOGGLE_PASS_CARD]: [GAME_PHASES.PASSING],
+  [GAME_ACTIONS.PLACE_BID]: [GAME_PHASES.BIDDING],
+  [GAME_ACTIONS.REVEAL_HAND]: [GAME_PHASES.DEALING, GAME_PHASES.BIDDING],
+  [GAME_ACTIONS.PLAY_CARD]: [GAME_PHASES.PLAYING],
+  [GAME_ACTIONS.PLAY_RANDOM_CARD]: [GAME_PHASES.PLAYING],
+  [GAME_ACTIONS.SHOW_HINT]: [GAME_PHASES.PLAYING],
+  [GAME_ACTIONS.COLLECT_TRICK]: [GAME_PHASES.EVALUATING],
+  [GAME_ACTIONS.NEXT_HAND]: [GAME_PHASES.HAND_OVER],
+  [GAME_ACTIONS.SET_RULE_SET]: [GAME_PHASES.WAITING],
+  [GAME_ACTIONS.SET_SEED]: [GAME_PHASES.WAITING],
+  [GAME_ACTIONS.SET_MAX_ROUNDS]: [GAME_PHASES.WAITING],
+  [GAME_ACTIONS.SET_PARTNERSHIPS]: [GAME_PHASES.WAITING],
+  [GAME_ACTIONS.SET_PLAYER_COUNT]: [GAME_PHASES.WAITING],
+  [GAME_ACTIONS.SET_HAND_SIZE]: [GAME_PHASES.WAITING],
+  [GAME_ACTIONS.SET_AI_DIFFICULTY]: [GAME_PHASES.WAITING],
+  [GAME_ACTIONS.SET_HUMAN_SEAT]: [GAME_PHASES.WAITING],
+  [GAME_ACTIONS.SET_HINT_LIMIT]: [GAME_PHASES.WAITING],
+};
+
+// Reducer actions that are forwarded to the engine
+const ENGINE_ACTION_MAP = {
+  [GAME_ACTIONS.START_GAME]: ENGINE_ACTIONS.START_GAME,
+  [GAME_ACTIONS.DEAL_CARDS]: ENGINE_ACTIONS.DEAL_CARDS,
+  [GAME_ACTIONS.START_PLAYING]: ENGINE_ACTIONS.START_PLAYING,
+  [GAME_ACTIONS.PASS_CARDS]: ENGINE_ACTIONS.PASS_CARDS,
+  [GAME_ACTIONS.PLACE_BID]: ENGINE_ACTIONS.PLACE_BID,
+  [GAME_ACTIONS.PLAY_CARD]: ENGINE_ACTIONS.PLAY_CARD,
+  [GAME_ACTIONS.PLAY_RANDOM_CARD]: ENGINE_ACTIONS.PLAY_RANDOM_CARD,
+  [GAME_ACTIONS.COLLECT_TRICK]: ENGINE_ACTIONS.COLLECT_TRICK,
+  [GAME_ACTIONS.NEXT_HAND]: ENGINE_ACTIONS.NEXT_HAND,
+  [GAME_ACTIONS.SET_RULE_SET]: ENGINE_ACTIONS.SET_RULE_SET,
+};
+
+// Engine actions back to the reducer actions that carry them
+const REDUCER_ACTION_MAP = Object.fromEntries(
+  Object.entries(ENGINE_ACTION_MAP).map(([type, engineType]) => [
+    engineType,
+    type,
+  ]),
+);
+
+/**
+ * Checks whether the game may move from one phase to another
+ * @param {string} from - Current phase
+ * @param {string} to - Requested phase
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransition = (from, to) =>
+  from === to ||
+  to === GAME_PHASES.WAITING ||
+  (PHASE_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Checks whether an action may be dispatched in the given phase
+ * @param {string} actionType - Action type from GAME_ACTIONS
+ * @param {string} phase - Current phase
+ * @returns {boolean} True if the action is allowed
+ */
+export const isActionAllowed = (actionType, phase) =>
+  !ACTION_PHASES[actionType] || ACTION_PHASES[actionType].includes(phase);
 
-  // Play area
-  playArea: {},
-  leadPlayerId: null,
+// ============================================================================
+// INITIAL STATE
+// ============================================================================
+
+/**
+ * Creates the initial reducer state
+ * @param {Object} config - Engine configuration passed to createGame
+ * @returns {Object} Initial state
+ */
+export const createInitialState = (config = {}) => ({
+  // Core game state, owned by the engine
+  game: createGame(config),
+
+  // Engine events awaiting presentation, numbered by seq
+  events: [],
+  eventSeq: 0,
+
+  // Player state
+  username: "",
+  // Seat whose hand is shown: player1's, or in a pass-and-play game the
+  // human holding the device
+  viewerSeat: 0,
+  // Human seat the device is being passed to, whose cards stay hidden until
+  // they take it, or null
+  handoffSeat: null,
+  selectedCard: null,
+  // Cards the local player has picked to pass this hand
+  passSelection: [],
+  // True while the local player's cards stay face down so they can still
+  // bid blind nil
+  handHidden: false,
+  // Suggested card and its reason while the local player considers it
+  hint: null,
+  // Hints taken this game, and how many are allowed (or UNLIMITED_HINTS)
+  hintsUsed: 0,
+  hintLimit: DEFAULT_HINT_LIMIT,
 
   // UI state
   dealingAnimation: false,
@@ -77,6 +236,193 @@ export const createInitialState = () => ({
   isDragging: false,
 });
 
+// ============================================================================
+// ENGINE BRIDGE
+// ============================================================================
+
+const toEngineAction = (action) => ({
+  ...action.payload,
+  type: ENGINE_ACTION_MAP[action.type],
+});
+
+/**
+ * Appends engine events to the queue, tagging each with a sequence number and
+ * the reducer action that caused it
+ */
+const queueEvents = (state, events, origin) => {
+  if (events.length === 0) return state;
+
+  const queued = events.map((event, index) => ({
+    ...event,
+    seq: state.eventSeq + index + 1,
+    origin,
+  }));
+
+  return {
+    ...state,
+    events: [...state.events, ...queued].slice(-MAX_QUEUED_EVENTS),
+    eventSeq: state.eventSeq + events.length,
+  };
+};
+
+/**
+ * Rejects an action the state machine does not allow and logs it
+ */
+const rejectTransition = (state, action, reason) => {
+  logGameError(`Invalid game transition: ${reason}`, {
+    phase: state.game.phase,
+    currentPlayer: state.game.currentPlayer,
+    playerCount: state.game.players.length,
+    action: action.type,
+  });
+
+  return queueEvents(
+    state,
+    [
+      {
+        type: ENGINE_EVENTS.ACTION_REJECTED,
+        action: ENGINE_ACTION_MAP[action.type] ?? action.type,
+        reason,
+        invalidTransition: true,
+      },
+    ],
+    action,
+  );
+};
+
+/**
+ * Applies an update only if the action is allowed in the current phase
+ */
+const guardPhase = (state, action, update) =>
+  isActionAllowed(action.type, state.game.phase)
+    ? update()
+    : rejectTransition(
+        state,
+        action,
+        `${action.type} is not allowed during ${state.game.phase}`,
+      );
+
+/**
+ * Works out which human seat has to act next: the first one still to pass
+ * while cards are passed, or the seat to bid or play if it is human
+ * @returns {number|null} Seat index, or null while no human has to act
+ */
+const getActingHumanSeat = (game) => {
+  if (game.phase === GAME_PHASES.PASSING) {
+    const seat = game.players.findIndex(
+      (player) => isHumanPlayer(player) && !game.passes[player.id],
+    );
+    return seat === -1 ? null : seat;
+  }
+  const isTurnPhase =
+    game.phase === GAME_PHASES.BIDDING || game.phase === GAME_PHASES.PLAYING;
+  return isTurnPhase && isHumanPlayer(game.players[game.currentPlayer])
+    ? game.currentPlayer
+    : null;
+};
+
+/**
+ * Asks for the device to be passed on when a different human has to act
+ * next; the cards of the seat holding it are hidden until the next human
+ * takes it
+ */
+const followActingHuman = (state) => {
+  const seat = getActingHumanSeat(state.game);
+  if (seat === null || seat === state.viewerSeat) return state;
+  return { ...state, handoffSeat: seat, selectedCard: null, hint: null };
+};
+
+/**
+ * Runs an action through the engine and folds the result into state
+ */
+const applyEngineAction = (state, action) => {
+  const { phase } = state.game;
+
+  const { state: game, events } = applyAction(
+    state.game,
+    toEngineAction(action),
+  );
+
+  if (!canTransition(phase, game.phase)) {
+    return rejectTransition(
+      state,
+      action,
+      `Cannot move from ${phase} to ${game.phase}`,
+    );
+  }
+
+  let next = { ...state, game };
+
+  if (action.type === GAME_ACTIONS.START_PLAYING && game !== state.game) {
+    next = { ...next, dealingAnimation: false };
+  }
+
+  events.forEach((event) => {
+    switch (event.type) {
+      case ENGINE_EVENTS.GAME_STARTED:
+      case ENGINE_EVENTS.HAND_STARTED:
+        next = {
+          ...next,
+          dealingAnimation: true,
+          trickWinner: null,
+          selectedCard: null,
+          passSelection: [],
+          handHidden: Boolean(getRuleSet(game).bidding?.blindNil),
+          hint: null,
+          hintsUsed:
+            event.type === ENGINE_EVENTS.GAME_STARTED ? 0 : next.hintsUsed,
+        };
+        break;
+
+      case ENGINE_EVENTS.PASS_SUBMITTED:
+        if (isHumanPlayer(game.players[event.playerIndex])) {
+          next = { ...next, passSelection: [] };
+        }
+        break;
+
+      case ENGINE_EVENTS.BID_PLACED:
+        if (isHumanPlayer(game.players[event.playerIndex])) {
+          next = { ...next, handHidden: false };
+        }
+        break;
+
+      case ENGINE_EVENTS.CARD_PLAYED:
+        if (next.selectedCard?.id === event.card.id) {
+          next = { ...next, selectedCard: null };
+        }
+        if (isHumanPlayer(game.players[event.playerIndex])) {
+          next = { ...next, hint: null };
+        }
+        break;
+
+      case ENGINE_EVENTS.TRICK_COLLECTED:
+        next = { ...next, trickWinner: null, selectedCard: null };
+        break;
+
+      case ENGINE_EVENTS.GAME_OVER:
+        next = {
+          ...next,
+          showWinnerModal: true,
+          showConfetti: event.winners.some((idx) =>
+            isHumanPlayer(game.players[idx]),
+          ),
+        };
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return queueEvents(followActingHuman(next), events, action);
+};
+
+/**
+ * Runs a phase-guarded action through the engine
+ */
+const runEngineAction = (state, action) =>
+  guardPhase(state, action, () => applyEngineAction(state, action));
+
 // ============================================================================
 // REDUCER FUNCTION
 // ============================================================================
@@ -90,159 +436,196 @@ export const createInitialState = () => ({
 export const gameReducer = (state, action) => {
   switch (action.type) {
     // ------------------------------------------------------------------------
-    // GAME LIFECYCLE
+    // ENGINE-BACKED ACTIONS
     // ------------------------------------------------------------------------
 
     case GAME_ACTIONS.START_GAME:
-      return {
+    case GAME_ACTIONS.DEAL_CARDS:
+    case GAME_ACTIONS.START_PLAYING:
+    case GAME_ACTIONS.PASS_CARDS:
+    case GAME_ACTIONS.PLACE_BID:
+    case GAME_ACTIONS.PLAY_CARD:
+    case GAME_ACTIONS.PLAY_RANDOM_CARD:
+    case GAME_ACTIONS.COLLECT_TRICK:
+    case GAME_ACTIONS.NEXT_HAND:
+    case GAME_ACTIONS.SET_RULE_SET:
+      return runEngineAction(state, action);
+
+    case GAME_ACTIONS.SET_SEED:
+      // Re-shuffles the waiting game so it deals from the requested seed
+      return guardPhase(state, action, () => ({
         ...state,
-        gameState: {
-          ...state.gameState,
-          phase: GAME_PHASES.DEALING,
-        },
-        dealingAnimation: true,
-        playArea: {},
-        leadPlayerId: null,
-        trickWinner: null,
-      };
-
-    case GAME_ACTIONS.RESET_GAME:
-      return createInitialState();
-
-    // ------------------------------------------------------------------------
-    // PHASE TRANSITIONS
-    // ------------------------------------------------------------------------
-
-    case GAME_ACTIONS.SET_PHASE:
-      return {
+        game: createGame({
+          ...getTableConfig(state.game),
+          seed: action.payload,
+        }),
+      }));
+
+    case GAME_ACTIONS.SET_MAX_ROUNDS:
+      // Match length is fixed once the first hand is dealt
+      return guardPhase(state, action, () => ({
         ...state,
-        gameState: {
-          ...state.gameState,
-          phase: action.payload,
-        },
-      };
+        game: { ...state.game, maxRounds: action.payload },
+      }));
 
-    case GAME_ACTIONS.START_DEALING:
-      return {
+    case GAME_ACTIONS.SET_PARTNERSHIPS:
+      // Teams are fixed once the first hand is dealt
+      return guardPhase(state, action, () => ({
         ...state,
-        gameState: {
-          ...state.gameState,
-          phase: GAME_PHASES.DEALING,
-        },
-        dealingAnimation: true,
-      };
+        game: { ...state.game, partnerships: action.payload },
+      }));
 
-    case GAME_ACTIONS.FINISH_DEALING:
-      return {
+    case GAME_ACTIONS.SET_PLAYER_COUNT:
+      // Re-seats the waiting table, dealing from the same seed; seats that
+      // stay keep their difficulty or human player
+      return guardPhase(state, action, () => ({
         ...state,
-        dealingAnimation: false,
-      };
+        game: createGame({
+          ...getTableConfig(state.game),
+          players: createPlayers(action.payload).map(
+            (player) =>
+              state.game.players.find((p) => p.id === player.id) ?? player,
+          ),
+          seed: state.game.seed,
+        }),
+      }));
 
-    case GAME_ACTIONS.START_PLAYING:
-      return {
+    case GAME_ACTIONS.SET_HAND_SIZE:
+      // Null goes back to the rule set's own hand size
+      return guardPhase(state, action, () => ({
         ...state,
-        gameState: {
-          ...state.gameState,
-          phase: GAME_PHASES.PLAYING,
-        },
-        dealingAnimation: false,
-      };
+        game: { ...state.game, handSize: action.payload },
+      }));
 
-    case GAME_ACTIONS.START_EVALUATING:
-      return {
+    case GAME_ACTIONS.SET_AI_DIFFICULTY:
+      // Each computer seat keeps its own difficulty for the whole match
+      return guardPhase(state, action, () => ({
         ...state,
-        gameState: {
-          ...state.gameState,
-          phase: GAME_PHASES.EVALUATING,
+        game: {
+          ...state.game,
+          players: state.game.players.map((player) =>
+            player.id === action.payload.playerId
+              ? { ...player, difficulty: action.payload.difficulty }
+              : player,
+          ),
         },
-      };
+      }));
 
-    case GAME_ACTIONS.END_GAME:
-      return {
+    case GAME_ACTIONS.SET_HUMAN_SEAT:
+      // A person taking a seat stands in for its computer player, so the
+      // seat drops the personality and difficulty; handing it back to the
+      // computer restores the roster's seat
+      return guardPhase(state, action, () => ({
         ...state,
-        gameState: {
-          ...state.gameState,
-          phase: GAME_PHASES.GAME_OVER,
+        game: {
+          ...state.game,
+          players: state.game.players.map((player) => {
+            if (player.id !== action.payload.playerId) return player;
+            if (!action.payload.isHuman) {
+              return { ...PLAYER_ROSTER.find((seat) => seat.id === player.id) };
+            }
+            const {
+              personality: _personality,
+              difficulty: _difficulty,
+              ...seat
+            } = player;
+            return { ...seat, isHuman: true };
+          }),
         },
-      };
-
-    // ------------------------------------------------------------------------
-    // PLAYER ACTIONS
-    // ------------------------------------------------------------------------
+      }));
 
-    case GAME_ACTIONS.SET_CURRENT_PLAYER:
-      return {
+    case GAME_ACTIONS.SET_HINT_LIMIT:
+      // The limit holds for the whole game once it is dealt
+      return guardPhase(state, action, () => ({
         ...state,
-        gameState: {
-          ...state.gameState,
-          currentPlayer: action.payload,
-        },
-      };
+        hintLimit: action.payload,
+      }));
 
-    case GAME_ACTIONS.NEXT_PLAYER:
+    case GAME_ACTIONS.RESET_GAME:
+      // Keep the lobby name, hint limit and the event counter so consumers
+      // never see a sequence number twice
       return {
-        ...state,
-        gameState: {
-          ...state.gameState,
-          currentPlayer: (state.gameState.currentPlayer + 1) % 4,
-        },
+        ...createInitialState(action.payload),
+        username: state.username,
+        hintLimit: state.hintLimit,
+        eventSeq: state.eventSeq,
       };
 
     // ------------------------------------------------------------------------
-    // CARD ACTIONS
+    // PLAYER STATE
     // ------------------------------------------------------------------------
 
-    case GAME_ACTIONS.PLAY_CARD:
+    case GAME_ACTIONS.SET_USERNAME:
       return {
         ...state,
-        playArea: {
-          ...state.playArea,
-          [action.payload.playerId]: action.payload.card,
-        },
-        leadPlayerId:
-          Object.keys(state.playArea).length === 0
-            ? action.payload.playerId
-            : state.leadPlayerId,
+        username: action.payload,
       };
 
-    case GAME_ACTIONS.CLEAR_PLAY_AREA:
+    case GAME_ACTIONS.SELECT_CARD:
       return {
         ...state,
-        playArea: {},
-        leadPlayerId: null,
+        selectedCard: action.payload,
       };
 
-    case GAME_ACTIONS.SET_LEAD_PLAYER:
+    case GAME_ACTIONS.CLEAR_SELECTED_CARD:
       return {
         ...state,
-        leadPlayerId: action.payload,
+        selectedCard: null,
       };
 
-    // ------------------------------------------------------------------------
-    // SCORE MANAGEMENT
-    // ------------------------------------------------------------------------
-
-    case GAME_ACTIONS.UPDATE_SCORE:
-      return {
+    case GAME_ACTIONS.SHOW_HINT:
+      // Asking again for the hint on show, or with none left, changes nothing
+      return guardPhase(state, action, () =>
+        state.hint || selectors.hintsLeft(state) === 0
+          ? state
+          : {
+              ...state,
+              hint: action.payload,
+              hintsUsed: state.hintsUsed + 1,
+            },
+      );
+
+    case GAME_ACTIONS.TOGGLE_PASS_CARD:
+      // Adds the card to the pass, or removes it if already picked; a full
+      // pass ignores further additions
+      return guardPhase(state, action, () => {
+        const card = action.payload;
+        const { count } = getPassInfo(state.game);
+        const isPicked = state.passSelection.some((c) => c.id === card.id);
+
+        if (isPicked) {
+          return {
+            ...state,
+            passSelection: state.passSelection.filter((c) => c.id !== card.id),
+          };
+        }
+        if (state.passSelection.length >= count) return state;
+        return { ...state, passSelection: [...state.passSelection, card] };
+      });
+
+    case GAME_ACTIONS.REVEAL_HAND:
+      // Looking at the cards gives up the chance to bid blind nil
+      return guardPhase(state, action, () => ({
         ...state,
-        gameState: {
-          ...state.gameState,
-          scores: state.gameState.scores.map((score, idx) =>
-            idx === action.payload.playerIndex
-              ? score + action.payload.points
-              : score,
-          ),
-        },
-      };
-
-    case GAME_ACTIONS.UPDATE_SCORES:
+        handHidden: false,
+      }));
+
+    case GAME_ACTIONS.TAKE_DEVICE: {
+      // The next human shows their own hand, face down while they may
+      // still bid blind nil, and starts on a fresh pass
+      if (state.handoffSeat === null) return state;
+      const { game, handoffSeat } = state;
       return {
         ...state,
-        gameState: {
-          ...state.gameState,
-          scores: action.payload,
-        },
+        viewerSeat: handoffSeat,
+        handoffSeat: null,
+        passSelection: [],
+        handHidden:
+          game.phase === GAME_PHASES.BIDDING &&
+          Boolean(getRuleSet(game).bidding?.blindNil) &&
+          game.bids[handoffSeat] === null,
       };
+    }
 
     // ------------------------------------------------------------------------
     // TRICK MANAGEMENT
@@ -334,38 +717,80 @@ export const gameReducer = (state, action) => {
 
 export const gameActions = {
   startGame: () => ({ type: GAME_ACTIONS.START_GAME }),
-  resetGame: () => ({ type: GAME_ACTIONS.RESET_GAME }),
+  resetGame: (config) => ({ type: GAME_ACTIONS.RESET_GAME, payload: config }),
 
-  setPhase: (phase) => ({ type: GAME_ACTIONS.SET_PHASE, payload: phase }),
-  startDealing: () => ({ type: GAME_ACTIONS.START_DEALING }),
-  finishDealing: () => ({ type: GAME_ACTIONS.FINISH_DEALING }),
+  dealCards: () => ({ type: GAME_ACTIONS.DEAL_CARDS }),
   startPlaying: () => ({ type: GAME_ACTIONS.START_PLAYING }),
-  startEvaluating: () => ({ type: GAME_ACTIONS.START_EVALUATING }),
-  endGame: () => ({ type: GAME_ACTIONS.END_GAME }),
-
-  setCurrentPlayer: (playerIndex) => ({
-    type: GAME_ACTIONS.SET_CURRENT_PLAYER,
-    payload: playerIndex,
-  }),
-  nextPlayer: () => ({ type: GAME_ACTIONS.NEXT_PLAYER }),
 
   playCard: (playerId, card) => ({
     type: GAME_ACTIONS.PLAY_CARD,
     payload: { playerId, card },
   }),
-  clearPlayArea: () => ({ type: GAME_ACTIONS.CLEAR_PLAY_AREA }),
-  setLeadPlayer: (playerId) => ({
-    type: GAME_ACTIONS.SET_LEAD_PLAYER,
-    payload: playerId,
+  playRandomCard: (playerId) => ({
+    type: GAME_ACTIONS.PLAY_RANDOM_CARD,
+    payload: { playerId },
   }),
-
-  updateScore: (playerIndex, points) => ({
-    type: GAME_ACTIONS.UPDATE_SCORE,
-    payload: { playerIndex, points },
+  collectTrick: () => ({ type: GAME_ACTIONS.COLLECT_TRICK }),
+  nextHand: () => ({ type: GAME_ACTIONS.NEXT_HAND }),
+  passCards: (playerId, cards) => ({
+    type: GAME_ACTIONS.PASS_CARDS,
+    payload: { playerId, cards },
+  }),
+  togglePassCard: (card) => ({
+    type: GAME_ACTIONS.TOGGLE_PASS_CARD,
+    payload: card,
+  }),
+  placeBid: (playerId, bid, blind = false) => ({
+    type: GAME_ACTIONS.PLACE_BID,
+    payload: { playerId, bid, blind },
+  }),
+  revealHand: () => ({ type: GAME_ACTIONS.REVEAL_HAND }),
+  takeDevice: () => ({ type: GAME_ACTIONS.TAKE_DEVICE }),
+  selectCard: (card) => ({ type: GAME_ACTIONS.SELECT_CARD, payload: card }),
+  clearSelectedCard: () => ({ type: GAME_ACTIONS.CLEAR_SELECTED_CARD }),
+  showHint: (hint) => ({ type: GAME_ACTIONS.SHOW_HINT, payload: hint }),
+
+  setRuleSet: (ruleSetId) => ({
+    type: GAME_ACTIONS.SET_RULE_SET,
+    payload: { ruleSetId },
+  }),
+  setSeed: (seed) => ({ type: GAME_ACTIONS.SET_SEED, payload: seed }),
+  setMaxRounds: (maxRounds) => ({
+    type: GAME_ACTIONS.SET_MAX_ROUNDS,
+    payload: maxRounds,
+  }),
+  setPartnerships: (enabled) => ({
+    type: GAME_ACTIONS.SET_PARTNERSHIPS,
+    payload: enabled,
   }),
-  updateScores: (scores) => ({
-    type: GAME_ACTIONS.UPDATE_SCORES,
-    payload: scores,
+  setPlayerCount: (count) => ({
+    type: GAME_ACTIONS.SET_PLAYER_COUNT,
+    payload: count,
+  }),
+  setHandSize: (handSize) => ({
+    type: GAME_ACTIONS.SET_HAND_SIZE,
+    payload: handSize,
+  }),
+  setAIDifficulty: (playerId, difficulty) => ({
+    type: GAME_ACTIONS.SET_AI_DIFFICULTY,
+    payload: { playerId, difficulty },
+  }),
+  setHumanSeat: (playerId, isHuman) => ({
+    type: GAME_ACTIONS.SET_HUMAN_SEAT,
+    payload: { playerId, isHuman },
+  }),
+  setHintLimit: (limit) => ({
+    type: GAME_ACTIONS.SET_HINT_LIMIT,
+    payload: limit,
+  }),
+  // Wraps an engine action, such as an AI strategy's choice, for dispatch
+  fromEngineAction: ({ type, ...payload }) => ({
+    type: REDUCER_ACTION_MAP[type],
+    payload,
+  }),
+  setUsername: (username) => ({
+    type: GAME_ACTIONS.SET_USERNAME,
+    payload: username,
   }),
 
   setTrickWinner: (playerId) => ({
@@ -411,25 +836,58 @@ export const gameActions = {
  * Selector functions for accessing state
  */
 export const selectors = {
-  isWaiting: (state) => state.gameState.phase === GAME_PHASES.WAITING,
-  isDealing: (state) => state.gameState.phase === GAME_PHASES.DEALING,
-  isPlaying: (state) => state.gameState.phase === GAME_PHASES.PLAYING,
-  isEvaluating: (state) => state.gameState.phase === GAME_PHASES.EVALUATING,
-  isGameOver: (state) => state.gameState.phase === GAME_PHASES.GAME_OVER,
-
-  currentPlayer: (state) => state.gameState.currentPlayer,
-  scores: (state) => state.gameState.scores,
-
-  playAreaCards: (state) => Object.entries(state.playArea),
-  playAreaCardCount: (state) => Object.keys(state.playArea).length,
-  isPlayAreaFull: (state) => Object.keys(state.playArea).length === 4,
+  phase: (state) => state.game.phase,
+  isWaiting: (state) => state.game.phase === GAME_PHASES.WAITING,
+  isDealing: (state) => state.game.phase === GAME_PHASES.DEALING,
+  isPassing: (state) => state.game.phase === GAME_PHASES.PASSING,
+  isBidding: (state) => state.game.phase === GAME_PHASES.BIDDING,
+  isPlaying: (state) => state.game.phase === GAME_PHASES.PLAYING,
+  isEvaluating: (state) => state.game.phase === GAME_PHASES.EVALUATING,
+  isHandOver: (state) => state.game.phase === GAME_PHASES.HAND_OVER,
+  isGameOver: (state) => state.game.phase === GAME_PHASES.GAME_OVER,
+
+  seed: (state) => state.game.seed,
+  players: (state) => state.game.players,
+  playerCount: (state) => state.game.players.length,
+  handSize: (state) => getHandSize(state.game),
+  currentPlayer: (state) => state.game.currentPlayer,
+  scores: (state) => state.game.scores,
+  handScores: (state) => state.game.handScores,
+  handHistory: (state) => state.game.handHistory,
+  round: (state) => state.game.round,
+  maxRounds: (state) => state.game.maxRounds,
+  hasPartnerships: (state) => hasPartnerships(state.game),
+  teams: (state) => getTeams(state.game),
+
+  passInfo: (state) => getPassInfo(state.game),
+  passSelection: (state) => state.passSelection,
+  hasPassed: (state, playerId) => Boolean(state.game.passes[playerId]),
+
+  viewerSeat: (state) => state.viewerSeat,
+  handoffSeat: (state) => state.handoffSeat,
+
+  bids: (state) => state.game.bids,
+  bags: (state) => state.game.bags,
+  handHidden: (state) => state.handHidden,
+
+  hint: (state) => state.hint,
+  hintsLeft: (state) =>
+    state.hintLimit === UNLIMITED_HINTS
+      ? Infinity
+      : Math.max(0, state.hintLimit - state.hintsUsed),
+
+  playArea: (state) => state.game.playArea,
+  playAreaCards: (state) => Object.entries(state.game.playArea),
+  playAreaCardCount: (state) => Object.keys(state.game.playArea).length,
+  isPlayAreaFull: (state) =>
+    Object.keys(state.game.playArea).length === state.game.players.length,
 
   isPlayerTurn: (state, playerIndex) =>
-    state.gameState.currentPlayer === playerIndex,
+    state.game.currentPlayer === playerIndex,
 
   canPlayCard: (state, playerIndex) =>
-    state.gameState.phase === GAME_PHASES.PLAYING &&
-    state.gameState.currentPlayer === playerIndex,
+    state.game.phase === GAME_PHASES.PLAYING &&
+    state.game.currentPlayer === playerIndex,
 };
 
 export default gameReducer;
@@ -0,0 +1,840 @@
+/**
+ * Unit tests for the game reducer and its phase state machine
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import {
+  gameReducer,
+  gameActions,
+  createInitialState,
+  canTransition,
+  isActionAllowed,
+  selectors,
+  GAME_ACTIONS,
+  PHASE_TRANSITIONS,
+} from "./gameReducer";
+import {
+  createStandardDeck,
+  getLegalActions,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+} from "../../engine";
+import { GAME_PHASES, CARDS_PER_PLAYER } from "../../constants";
+import { logGameError } from "../../utils/errorLogger";
+
+vi.mock("../../utils/errorLogger", () => ({
+  logGameError: vi.fn(),
+}));
+
+const reduceAll = (state, actions) => actions.reduce(gameReducer, state);
+
+const initialState = () => createInitialState({ deck: createStandardDeck() });
+
+const playingState = () =>
+  reduceAll(initialState(), [
+    gameActions.startGame(),
+    gameActions.dealCards(),
+    gameActions.startPlaying(),
+  ]);
+
+/**
+ * Plays the first legal card for whoever is on turn
+ */
+const playFirstLegal = (state) => {
+  const [action] = getLegalActions(state.game);
+  return gameReducer(state, gameActions.playCard(action.playerId, action.card));
+};
+
+const playTrick = (state) => {
+  let current = state;
+  for (let i = 0; i < current.game.players.length; i++) {
+    current = playFirstLegal(current);
+  }
+  return current;
+};
+
+describe("gameReducer", () => {
+  describe("phase transition table", () => {
+    it("should cover every phase", () => {
+      Object.values(GAME_PHASES).forEach((phase) => {
+        expect(PHASE_TRANSITIONS[phase]).toBeDefined();
+      });
+    });
+
+    it("should allow the normal game flow", () => {
+      expect(canTransition(GAME_PHASES.WAITING, GAME_PHASES.DEALING)).toBe(
+        true,
+      );
+      expect(canTransition(GAME_PHASES.DEALING, GAME_PHASES.PLAYING)).toBe(
+        true,
+      );
+      expect(canTransition(GAME_PHASES.PLAYING, GAME_PHASES.EVALUATING)).toBe(
+        true,
+      );
+      expect(canTransition(GAME_PHASES.EVALUATING, GAME_PHASES.GAME_OVER)).toBe(
+        true,
+      );
+    });
+
+    it("should reject skipping phases", () => {
+      expect(canTransition(GAME_PHASES.WAITING, GAME_PHASES.PLAYING)).toBe(
+        false,
+      );
+      expect(canTransition(GAME_PHASES.DEALING, GAME_PHASES.GAME_OVER)).toBe(
+        false,
+      );
+    });
+
+    it("should always allow returning to waiting", () => {
+      Object.values(GAME_PHASES).forEach((phase) => {
+        expect(canTransition(phase, GAME_PHASES.WAITING)).toBe(true);
+      });
+    });
+
+    it("should only allow playing cards during play", () => {
+      expect(isActionAllowed(GAME_ACTIONS.PLAY_CARD, GAME_PHASES.PLAYING)).toBe(
+        true,
+      );
+      expect(isActionAllowed(GAME_ACTIONS.PLAY_CARD, GAME_PHASES.DEALING)).toBe(
+        false,
+      );
+    });
+
+    it("should not restrict UI-only actions", () => {
+      expect(
+        isActionAllowed(GAME_ACTIONS.SELECT_CARD, GAME_PHASES.DEALING),
+      ).toBe(true);
+    });
+  });
+
+  describe("game lifecycle", () => {
+    it("should start in the waiting phase", () => {
+      const state = initialState();
+
+      expect(selectors.isWaiting(state)).toBe(true);
+      expect(state.events).toEqual([]);
+    });
+
+    it("should move through dealing into play", () => {
+      const dealing = gameReducer(initialState(), gameActions.startGame());
+
+      expect(selectors.isDealing(dealing)).toBe(true);
+      expect(dealing.dealingAnimation).toBe(true);
+
+      const playing = reduceAll(dealing, [
+        gameActions.dealCards(),
+        gameActions.startPlaying(),
+      ]);
+
+      expect(selectors.isPlaying(playing)).toBe(true);
+      expect(playing.dealingAnimation).toBe(false);
+      selectors.players(playing).forEach((player) => {
+        expect(player.hand).toHaveLength(CARDS_PER_PLAYER);
+      });
+    });
+
+    it("should reset to a fresh game but keep the username", () => {
+      const state = reduceAll(playingState(), [
+        gameActions.setUsername("Alice"),
+        gameActions.resetGame(),
+      ]);
+
+      expect(selectors.isWaiting(state)).toBe(true);
+      expect(state.username).toBe("Alice");
+      expect(state.events).toEqual([]);
+    });
+  });
+
+  describe("guarded transitions", () => {
+    it("should reject playing a card while dealing", () => {
+      const dealing = gameReducer(initialState(), gameActions.startGame());
+      const state = gameReducer(
+        dealing,
+        gameActions.playCard("player1", createStandardDeck()[0]),
+      );
+
+      expect(state.game).toBe(dealing.game);
+      expect(state.events[state.events.length - 1]).toMatchObject({
+        type: ENGINE_EVENTS.ACTION_REJECTED,
+        invalidTransition: true,
+      });
+    });
+
+    it("should log invalid transitions", () => {
+      const dealing = gameReducer(initialState(), gameActions.startGame());
+      gameReducer(
+        dealing,
+        gameActions.playCard("player1", createStandardDeck()[0]),
+      );
+
+      expect(logGameError).toHaveBeenCalledWith(
+        "Invalid game transition: PLAY_CARD is not allowed during dealing",
+        expect.objectContaining({
+          phase: GAME_PHASES.DEALING,
+          action: GAME_ACTIONS.PLAY_CARD,
+        }),
+      );
+    });
+
+    it("should reject collecting a trick that is not complete", () => {
+      const playing = playingState();
+      const state = gameReducer(playing, gameActions.collectTrick());
+
+      expect(state.game).toBe(playing.game);
+      expect(logGameError).toHaveBeenCalled();
+    });
+
+    it("should queue rule violations without logging them", () => {
+      const playing = playingState();
+      const state = gameReducer(
+        playing,
+        gameActions.playCard("player2", playing.game.players[1].hand[0]),
+      );
+
+      expect(state.game).toBe(playing.game);
+      expect(state.events[state.events.length - 1]).toMatchObject({
+        type: ENGINE_EVENTS.ACTION_REJECTED,
+        reason: "It is not your turn",
+      });
+      expect(logGameError).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("event queue", () => {
+    it("should number events in order", () => {
+      const state = playingState();
+      const seqs = state.events.map((event) => event.seq);
+
+      expect(seqs).toEqual([1, 2, 3]);
+      expect(state.eventSeq).toBe(3);
+    });
+
+    it("should tag events with the action that caused them", () => {
+      const state = gameReducer(initialState(), gameActions.startGame());
+
+      expect(state.events[0].origin).toEqual(gameActions.startGame());
+    });
+
+    it("should keep counting across a reset", () => {
+      const state = reduceAll(playingState(), [
+        gameActions.resetGame(),
+        gameActions.startGame(),
+      ]);
+
+      expect(state.events[0].seq).toBe(4);
+    });
+  });
+
+  describe("playing cards", () => {
+    it("should clear the selected card once it is played", () => {
+      const playing = playingState();
+      const card = playing.game.players[0].hand[0];
+      const state = reduceAll(playing, [
+        gameActions.selectCard(card),
+        gameActions.playCard("player1", card),
+      ]);
+
+      expect(state.selectedCard).toBeNull();
+      expect(selectors.playArea(state)).toEqual({ player1: card });
+    });
+
+    it("should evaluate a full trick and collect it", () => {
+      const evaluating = playTrick(playingState());
+
+      expect(selectors.isEvaluating(evaluating)).toBe(true);
+      expect(selectors.isPlayAreaFull(evaluating)).toBe(true);
+
+      const collected = reduceAll(evaluating, [
+        gameActions.setTrickWinner(evaluating.game.trickWinner),
+        gameActions.collectTrick(),
+      ]);
+
+      expect(selectors.isPlaying(collected)).toBe(true);
+      expect(collected.trickWinner).toBeNull();
+      expect(selectors.playAreaCardCount(collected)).toBe(0);
+    });
+
+    it("should show the winner modal when the game ends", () => {
+      let state = playingState();
+      for (let trick = 0; trick < CARDS_PER_PLAYER; trick++) {
+        state = gameReducer(playTrick(state), gameActions.collectTrick());
+      }
+
+      expect(selectors.isGameOver(state)).toBe(true);
+      expect(state.showWinnerModal).toBe(true);
+      expect(
+        selectors.scores(state).reduce((sum, score) => sum + score, 0),
+      ).toBe(CARDS_PER_PLAYER);
+    });
+  });
+
+  describe("matches", () => {
+    const playHand = (state) => {
+      let current = state;
+      for (let trick = 0; trick < CARDS_PER_PLAYER; trick++) {
+        current = gameReducer(playTrick(current), gameActions.collectTrick());
+      }
+      return current;
+    };
+
+    it("should set the match length while waiting", () => {
+      const state = gameReducer(initialState(), gameActions.setMaxRounds(3));
+
+      expect(selectors.maxRounds(state)).toBe(3);
+    });
+
+    it("should reject match length changes after the game has started", () => {
+      const playing = playingState();
+      const state = gameReducer(playing, gameActions.setMaxRounds(3));
+
+      expect(state.game).toBe(playing.game);
+      expect(logGameError).toHaveBeenCalled();
+    });
+
+    it("should stop between hands and deal the next one", () => {
+      const start = reduceAll(initialState(), [gameActions.setMaxRounds(2)]);
+      const handOver = playHand(
+        reduceAll(start, [
+          gameActions.startGame(),
+          gameActions.dealCards(),
+          gameActions.startPlaying(),
+        ]),
+      );
+
+      expect(selectors.isHandOver(handOver)).toBe(true);
+      expect(handOver.showWinnerModal).toBe(false);
+      expect(selectors.handHistory(handOver)).toHaveLength(1);
+
+      const dealing = gameReducer(handOver, gameActions.nextHand());
+
+      expect(selectors.isDealing(dealing)).toBe(true);
+      expect(selectors.round(dealing)).toBe(2);
+      expect(dealing.dealingAnimation).toBe(true);
+    });
+  });
+
+  describe("card passing", () => {
+    const passingState = () =>
+      reduceAll(createInitialState({ ruleSetId: "hearts", seed: "pass" }), [
+        gameActions.startGame(),
+        gameActions.dealCards(),
+        gameActions.startPlaying(),
+      ]);
+
+    it("should move from dealing into passing for hearts", () => {
+      expect(selectors.isPassing(passingState())).toBe(true);
+      expect(canTransition(GAME_PHASES.DEALING, GAME_PHASES.PASSING)).toBe(
+        true,
+      );
+      expect(canTransition(GAME_PHASES.PASSING, GAME_PHASES.PLAYING)).toBe(
+        true,
+      );
+    });
+
+    it("should toggle cards in the pass up to the pass size", () => {
+      const state = passingState();
+      const hand = state.game.players[0].hand;
+      const picked = reduceAll(
+        state,
+        hand.slice(0, 4).map((card) => gameActions.togglePassCard(card)),
+      );
+
+      expect(selectors.passSelection(picked)).toEqual(hand.slice(0, 3));
+
+      const unpicked = gameReducer(picked, gameActions.togglePassCard(hand[1]));
+      expect(selectors.passSelection(unpicked)).toEqual([hand[0], hand[2]]);
+    });
+
+    it("should clear the pick once the player passes", () => {
+      const state = passingState();
+      const cards = state.game.players[0].hand.slice(0, 3);
+      const passed = reduceAll(state, [
+        ...cards.map((card) => gameActions.togglePassCard(card)),
+        gameActions.passCards("player1", cards),
+      ]);
+
+      expect(selectors.hasPassed(passed, "player1")).toBe(true);
+      expect(selectors.passSelection(passed)).toEqual([]);
+    });
+
+    it("should reject passing outside the passing phase", () => {
+      const playing = playingState();
+      const state = gameReducer(
+        playing,
+        gameActions.passCards("player1", playing.game.players[0].hand),
+      );
+
+      expect(state.game).toBe(playing.game);
+      expect(logGameError).toHaveBeenCalled();
+    });
+  });
+
+  describe("bidding", () => {
+    const biddingState = () =>
+      reduceAll(createInitialState({ ruleSetId: "spades", seed: "bid" }), [
+        gameActions.startGame(),
+        gameActions.dealCards(),
+        gameActions.startPlaying(),
+      ]);
+
+    it("should move from dealing into bidding for spades", () => {
+      expect(selectors.isBidding(biddingState())).toBe(true);
+      expect(canTransition(GAME_PHASES.DEALING, GAME_PHASES.BIDDING)).toBe(
+        true,
+      );
+      expect(canTransition(GAME_PHASES.BIDDING, GAME_PHASES.PLAYING)).toBe(
+        true,
+      );
+    });
+
+    it("should keep the hand face down until revealed", () => {
+      const state = biddingState();
+      expect(selectors.handHidden(state)).toBe(true);
+
+      const revealed = gameReducer(state, gameActions.revealHand());
+      expect(selectors.handHidden(revealed)).toBe(false);
+    });
+
+    it("should turn the hand face up once the player bids", () => {
+      const state = gameReducer(
+        biddingState(),
+        gameActions.placeBid("player1", 0, true),
+      );
+
+      expect(selectors.bids(state)[0]).toEqual({ tricks: 0, blind: true });
+      expect(selectors.handHidden(state)).toBe(false);
+    });
+
+    it("should reject switching the rule set mid-game", () => {
+      const hearts = reduceAll(
+        createInitialState({ ruleSetId: "hearts", seed: "pass" }),
+        [
+          gameActions.startGame(),
+          gameActions.dealCards(),
+          gameActions.startPlaying(),
+        ],
+      );
+      const state = gameReducer(hearts, gameActions.setRuleSet("spades"));
+
+      expect(state.game).toBe(hearts.game);
+      expect(state.game.ruleSetId).toBe("hearts");
+      expect(logGameError).toHaveBeenCalled();
+    });
+
+    it("should start play once every seat has bid", () => {
+      const state = reduceAll(biddingState(), [
+        gameActions.placeBid("player1", 2),
+        gameActions.placeBid("player2", 1),
+        gameActions.placeBid("player3", 3),
+        gameActions.placeBid("player4", 1),
+      ]);
+
+      expect(selectors.isPlaying(state)).toBe(true);
+      expect(selectors.bags(state)).toEqual([0, 0, 0, 0]);
+    });
+
+    it("should reject bids outside the bidding phase", () => {
+      const playing = playingState();
+      const state = gameReducer(playing, gameActions.placeBid("player1", 2));
+
+      expect(state.game).toBe(playing.game);
+      expect(logGameError).toHaveBeenCalled();
+    });
+  });
+
+  describe("partnerships", () => {
+    it("should team seats across the table while waiting", () => {
+      const state = gameReducer(
+        initialState(),
+        gameActions.setPartnerships(true),
+      );
+
+      expect(selectors.hasPartnerships(state)).toBe(true);
+      expect(selectors.teams(state)).toEqual([
+        [0, 2],
+        [1, 3],
+      ]);
+    });
+
+    it("should keep partnerships when the seed changes", () => {
+      const state = reduceAll(initialState(), [
+        gameActions.setPartnerships(true),
+        gameActions.setSeed("abc"),
+      ]);
+
+      expect(selectors.hasPartnerships(state)).toBe(true);
+    });
+
+    it("should reject partnership changes after the game has started", () => {
+      const playing = playingState();
+      const state = gameReducer(playing, gameActions.setPartnerships(true));
+
+      expect(state.game).toBe(playing.game);
+      expect(logGameError).toHaveBeenCalled();
+    });
+  });
+
+  describe("table size", () => {
+    it("should re-seat the waiting table", () => {
+      const state = gameReducer(initialState(), gameActions.setPlayerCount(6));
+
+      expect(selectors.playerCount(state)).toBe(6);
+      expect(state.game.scores).toEqual([0, 0, 0, 0, 0, 0]);
+    });
+
+    it("should keep the seed and match settings", () => {
+      const waiting = reduceAll(initialState(), [
+        gameActions.setSeed("abc"),
+        gameActions.setMaxRounds(3),
+      ]);
+      const state = gameReducer(waiting, gameActions.setPlayerCount(3));
+
+      expect(selectors.seed(state)).toBe("abc");
+      expect(selectors.maxRounds(state)).toBe(3);
+    });
+
+    it("should keep the table size when the seed changes", () => {
+      const state = reduceAll(initialState(), [
+        gameActions.setPlayerCount(5),
+        gameActions.setSeed("abc"),
+      ]);
+
+      expect(selectors.playerCount(state)).toBe(5);
+    });
+
+    it("should reject table changes after the game has started", () => {
+      const playing = playingState();
+      const state = gameReducer(playing, gameActions.setPlayerCount(3));
+
+      expect(state.game).toBe(playing.game);
+      expect(logGameError).toHaveBeenCalled();
+    });
+  });
+
+  describe("AI difficulty", () => {
+    it("should set the difficulty of one seat", () => {
+      const state = gameReducer(
+        initialState(),
+        gameActions.setAIDifficulty("player3", "hard"),
+      );
+
+      expect(state.game.players[2].difficulty).toBe("hard");
+      expect(state.game.players[1].difficulty).toBeUndefined();
+    });
+
+    it("should keep difficulties when the table is re-seated", () => {
+      const state = reduceAll(initialState(), [
+        gameActions.setAIDifficulty("player2", "easy"),
+        gameActions.setPlayerCount(6),
+      ]);
+
+      expect(state.game.players[1].difficulty).toBe("easy");
+      expect(state.game.players[5].difficulty).toBeUndefined();
+    });
+
+    it("should reject difficulty changes after the game has started", () => {
+      const playing = playingState();
+      const state = gameReducer(
+        playing,
+        gameActions.setAIDifficulty("player2", "hard"),
+      );
+
+      expect(state.game).toBe(playing.game);
+      expect(logGameError).toHaveBeenCalled();
+    });
+
+    it("should dispatch an engine action chosen by a strategy", () => {
+      const playing = playingState();
+      const playerId = playing.game.players[playing.game.currentPlayer].id;
+
+      expect(
+        gameActions.fromEngineAction({
+          type: ENGINE_ACTIONS.PLAY_RANDOM_CARD,
+          playerId,
+        }),
+      ).toEqual(gameActions.playRandomCard(playerId));
+
+      const state = gameReducer(
+        playing,
+        gameActions.fromEngineAction({
+          type: ENGINE_ACTIONS.PLAY_RANDOM_CARD,
+          playerId,
+        }),
+      );
+      expect(Object.keys(state.game.playArea)).toEqual([playerId]);
+    });
+  });
+
+  describe("pass and play", () => {
+    const hotSeatState = (config = {}) =>
+      reduceAll(createInitialState({ deck: createStandardDeck(), ...config }), [
+        gameActions.setHumanSeat("player3", true),
+        gameActions.startGame(),
+        gameActions.dealCards(),
+        gameActions.startPlaying(),
+      ]);
+
+    it("should hand a seat to a person and back to the computer", () => {
+      const human = gameReducer(
+        gameReducer(
+          initialState(),
+          gameActions.setAIDifficulty("player2", "hard"),
+        ),
+        gameActions.setHumanSeat("player2", true),
+      );
+      expect(human.game.players[1]).toMatchObject({ isHuman: true });
+      expect(human.game.players[1].personality).toBeUndefined();
+      expect(human.game.players[1].difficulty).toBeUndefined();
+
+      const computer = gameReducer(
+        human,
+        gameActions.setHumanSeat("player2", false),
+      );
+      expect(computer.game.players[1].isHuman).toBeUndefined();
+      expect(computer.game.players[1].personality).toBe("trumper");
+    });
+
+    it("should keep human seats when the table is re-seated", () => {
+      const state = reduceAll(initialState(), [
+        gameActions.setHumanSeat("player3", true),
+        gameActions.setPlayerCount(5),
+      ]);
+
+      expect(state.game.players[2].isHuman).toBe(true);
+    });
+
+    it("should ask for the device when another human is on turn", () => {
+      let state = hotSeatState();
+      expect(selectors.viewerSeat(state)).toBe(0);
+      expect(selectors.handoffSeat(state)).toBeNull();
+
+      while (state.game.currentPlayer !== 2) state = playFirstLegal(state);
+
+      expect(selectors.viewerSeat(state)).toBe(0);
+      expect(selectors.handoffSeat(state)).toBe(2);
+      expect(state.selectedCard).toBeNull();
+    });
+
+    it("should show the next human's hand once they take the device", () => {
+      let state = hotSeatState();
+      while (state.game.currentPlayer !== 2) state = playFirstLegal(state);
+      state = gameReducer(state, gameActions.takeDevice());
+
+      expect(selectors.viewerSeat(state)).toBe(2);
+      expect(selectors.handoffSeat(state)).toBeNull();
+      expect(gameReducer(state, gameActions.takeDevice())).toBe(state);
+    });
+
+    it("should hand the device on to each human still to pass", () => {
+      let state = hotSeatState({ ruleSetId: "hearts", seed: "pass" });
+      const cards = state.game.players[0].hand.slice(0, 3);
+      state = gameReducer(state, gameActions.passCards("player1", cards));
+
+      expect(selectors.handoffSeat(state)).toBe(2);
+    });
+
+    it("should keep a blind nil open for the next bidder", () => {
+      let state = hotSeatState({ ruleSetId: "spades", seed: "bid" });
+      state = reduceAll(state, [
+        gameActions.placeBid("player1", 2),
+        gameActions.placeBid("player2", 1),
+      ]);
+      expect(selectors.handoffSeat(state)).toBe(2);
+
+      state = gameReducer(state, gameActions.takeDevice());
+      expect(selectors.handHidden(state)).toBe(true);
+    });
+
+    it("should never hand off at a table with one human", () => {
+      let state = playingState();
+      for (let i = 0; i < 8; i++) state = playFirstLegal(state);
+
+      expect(selectors.handoffSeat(state)).toBeNull();
+    });
+  });
+
+  describe("hand size", () => {
+    it("should default to the rule set's hand size", () => {
+      expect(selectors.handSize(initialState())).toBe(CARDS_PER_PLAYER);
+    });
+
+    it("should store the hand size for the match", () => {
+      const state = gameReducer(
+        initialState(),
+        gameActions.setHandSize("full"),
+      );
+
+      expect(state.game.handSize).toBe("full");
+      expect(selectors.handSize(state)).toBe(13);
+    });
+
+    it("should go back to the rule set's hand size when cleared", () => {
+      const state = reduceAll(initialState(), [
+        gameActions.setHandSize(5),
+        gameActions.setHandSize(null),
+      ]);
+
+      expect(selectors.handSize(state)).toBe(CARDS_PER_PLAYER);
+    });
+
+    it("should keep the hand size when the table is re-seated", () => {
+      const state = reduceAll(initialState(), [
+        gameActions.setHandSize("full"),
+        gameActions.setPlayerCount(6),
+      ]);
+
+      expect(selectors.handSize(state)).toBe(8);
+    });
+
+    it("should reject hand size changes after the game has started", () => {
+      const playing = playingState();
+      const state = gameReducer(playing, gameActions.setHandSize(5));
+
+      expect(state.game).toBe(playing.game);
+      expect(logGameError).toHaveBeenCalled();
+    });
+  });
+
+  describe("hints", () => {
+    const hintFor = (state) => ({
+      card: state.game.players[0].hand[0],
+      reason: "Lowest heart that still wins",
+    });
+
+    it("should allow the default number of hints", () => {
+      expect(selectors.hintsLeft(initialState())).toBe(3);
+    });
+
+    it("should show a hint and count it", () => {
+      const playing = playingState();
+      const state = gameReducer(
+        playing,
+        gameActions.showHint(hintFor(playing)),
+      );
+
+      expect(selectors.hint(state)).toEqual(hintFor(playing));
+      expect(selectors.hintsLeft(state)).toBe(2);
+    });
+
+    it("should not count asking again for the hint on show", () => {
+      const playing = playingState();
+      const shown = gameReducer(
+        playing,
+        gameActions.showHint(hintFor(playing)),
+      );
+
+      expect(gameReducer(shown, gameActions.showHint(hintFor(playing)))).toBe(
+        shown,
+      );
+    });
+
+    it("should clear the hint once the player plays a card", () => {
+      const playing = playingState();
+      const state = reduceAll(playing, [
+        gameActions.showHint(hintFor(playing)),
+        gameActions.playCard("player1", playing.game.players[0].hand[1]),
+      ]);
+
+      expect(selectors.hint(state)).toBeNull();
+      expect(selectors.hintsLeft(state)).toBe(2);
+    });
+
+    it("should stop showing hints once the limit is reached", () => {
+      const waiting = gameReducer(initialState(), gameActions.setHintLimit(0));
+      const playing = reduceAll(waiting, [
+        gameActions.startGame(),
+        gameActions.dealCards(),
+        gameActions.startPlaying(),
+      ]);
+
+      expect(gameReducer(playing, gameActions.showHint(hintFor(playing)))).toBe(
+        playing,
+      );
+    });
+
+    it("should never run out of unlimited hints", () => {
+      const state = gameReducer(
+        initialState(),
+        gameActions.setHintLimit("unlimited"),
+      );
+
+      expect(selectors.hintsLeft(state)).toBe(Infinity);
+    });
+
+    it("should keep the limit but restore the hints when the game is reset", () => {
+      const waiting = gameReducer(initialState(), gameActions.setHintLimit(5));
+      const playing = reduceAll(waiting, [
+        gameActions.startGame(),
+        gameActions.dealCards(),
+        gameActions.startPlaying(),
+      ]);
+      const state = reduceAll(playing, [
+        gameActions.showHint(hintFor(playing)),
+        gameActions.resetGame(),
+      ]);
+
+      expect(state.hintLimit).toBe(5);
+      expect(selectors.hintsLeft(state)).toBe(5);
+    });
+
+    it("should reject hints outside of play and limits after the start", () => {
+      const waiting = initialState();
+      const playing = playingState();
+
+      expect(
+        gameReducer(waiting, gameActions.showHint(hintFor(waiting))).hint,
+      ).toBeNull();
+      expect(gameReducer(playing, gameActions.setHintLimit(0)).hintLimit).toBe(
+        3,
+      );
+      expect(logGameError).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("seeds", () => {
+    it("should re-shuffle the waiting game from a seed", () => {
+      const state = gameReducer(initialState(), gameActions.setSeed("abc"));
+
+      expect(selectors.seed(state)).toBe("abc");
+      expect(state.game.deck).toEqual(
+        createInitialState({ seed: "abc" }).game.deck,
+      );
+    });
+
+    it("should reject seed changes after the game has started", () => {
+      const playing = playingState();
+      const state = gameReducer(playing, gameActions.setSeed("abc"));
+
+      expect(state.game).toBe(playing.game);
+      expect(logGameError).toHaveBeenCalled();
+    });
+
+    it("should play a random legal card for the current seat", () => {
+      const playing = playingState();
+      const state = gameReducer(playing, gameActions.playRandomCard("player1"));
+
+      expect(selectors.playAreaCardCount(state)).toBe(1);
+      expect(state.game.rngState).not.toBe(playing.game.rngState);
+    });
+  });
+
+  describe("selectors", () => {
+    it("should report whose turn it is", () => {
+      const state = playingState();
+
+      expect(selectors.isPlayerTurn(state, 0)).toBe(true);
+      expect(selectors.canPlayCard(state, 0)).toBe(true);
+      expect(selectors.canPlayCard(state, 1)).toBe(false);
+    });
+  });
+
+  describe("unknown actions", () => {
+    it("should warn and return the same state", () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const state = initialState();
+
+      expect(gameReducer(state, { type: "NOPE" })).toBe(state);
+      expect(warn).toHaveBeenCalledWith("Unknown action type: NOPE");
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Table State
+ * Derives what the table components show from an engine state
+ *
+ * The local game and networked games both render the same table: the local
+ * game from the reducer's engine state, a networked one from the seat view
+ * the room sends, which keeps the engine state's shape.
+ */
+
+import { INITIAL_GAME_STATE, CARDS_PER_PLAYER } from "../../constants";
+import {
+  getRuleSet,
+  getPassInfo,
+  getTricksWon,
+  getHandSize,
+  getTeams,
+  hasPartnerships,
+} from "../../engine";
+
+/**
+ * Builds the table's view of a game
+ * @param {Object} game - Engine state, or a seat view of one
+ * @param {number|null} viewerSeat - Seat whose hand is shown, or null for a
+ *   spectator
+ * @returns {Object} Phase, scores, passing, bidding and cards-seen data for
+ *   GameTable, Leaderboard and the other table components
+ */
+export const getTableState = (game, viewerSeat) => ({
+  ...INITIAL_GAME_STATE,
+  phase: game.phase,
+  currentPlayer: game.currentPlayer,
+  scores: game.scores,
+  round: game.round,
+  maxRounds: game.maxRounds,
+  playerCount: game.players.length,
+  // Hand size picked for the match, or the rule set's (maybe FULL_DECK)
+  handSize: game.handSize ?? getRuleSet(game).handSize ?? CARDS_PER_PLAYER,
+  // Cards each seat is actually dealt
+  cardsPerHand: getHandSize(game),
+  dealerIndex: game.dealerIndex,
+  handScores: game.handScores,
+  handHistory: game.handHistory,
+  passInfo: getPassInfo(game),
+  hasPassed:
+    viewerSeat !== null && Boolean(game.passes[game.players[viewerSeat].id]),
+  lowScoreWins: Boolean(getRuleSet(game).lowScoreWins),
+  bidding: getRuleSet(game).bidding ?? null,
+  bids: game.bids,
+  bags: game.bags,
+  tricksWon: getTricksWon(game),
+  // Cards-seen ledger for this hand: the trick in play, every seat's played
+  // cards and the suits each seat has shown it is out of
+  currentTrick: game.ledger.plays
+    .filter(({ trick }) => trick === game.tricks.length)
+    .map(({ playerId, card }) => ({ playerId, card })),
+  playedCards: Object.fromEntries(
+    game.players.map(({ id }) => [
+      id,
+      game.ledger.plays
+        .filter(({ playerId }) => playerId === id)
+        .map(({ card }) => card),
+    ]),
+  ),
+  voids: game.ledger.voids,
+  maxBid: getHandSize(game),
+  partnerships: game.partnerships,
+  // Seats of each team, or null when every seat plays for itself
+  teams: hasPartnerships(game) ? getTeams(game) : null,
+});
@@ -3,27 +3,30 @@
  * Handles deck creation, shuffling, and card operations
  */
 
-import { useCallback } from "react";
+import { useCallback, useState } from "react";
 import { SUITS } from "../../constants";
+import {
+  createRandom,
+  generateSeed,
+  shuffleDeck as shuffle,
+} from "../../engine";
 
 /**
  * Custom hook for managing card deck operations
+ * Shuffles and random picks share one seeded stream, so the same seed always
+ * produces the same sequence of decks and picks
+ * @param {string|number} seed - Seed for the random stream (random if omitted)
  * @returns {Object} Deck management functions
  */
-export const useCardDeck = () => {
+export const useCardDeck = (seed) => {
+  const [random] = useState(() => createRandom(seed ?? generateSeed()));
+
   /**
    * Shuffles an array of cards using Fisher-Yates algorithm
    * @param {Array} cards - Array of card objects
    * @returns {Array} Shuffled array of cards
    */
-  const shuffleDeck = useCallback((cards) => {
-    const shuffled = [...cards];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-  }, []);
+  const shuffleDeck = useCallback((cards) => shuffle(cards, random), [random]);
 
   /**
    * Creates a standard 52-card deck
@@ -58,11 +61,14 @@ export const useCardDeck = () => {
    * @param {Array} cards - Array of card objects
    * @returns {Object|null} Random card or null if array is empty
    */
-  const getRandomCard = useCallback((cards) => {
-    if (!cards || cards.length === 0) return null;
-    const randomIndex = Math.floor(Math.random() * cards.length);
-    return cards[randomIndex];
-  }, []);
+  const getRandomCard = useCallback(
+    (cards) => {
+      if (!cards || cards.length === 0) return null;
+      const randomIndex = Math.floor(random() * cards.length);
+      return cards[randomIndex];
+    },
+    [random],
+  );
 
   /**
    * Deals cards from a deck to multiple recipients
@@ -225,6 +231,8 @@ export const useCardDeck = () => {
   }, []);
 
   return {
+    seed: random.seed,
+
     // Deck operations
     createDeck,
     createStandardDeck,
@@ -5,7 +5,7 @@
 
 import { useState, useCallback } from "react";
 import { toast } from "sonner";
-import { GAME_PHASES, ANIMATION_TIMINGS } from "../../constants";
+import { GAME_PHASES, ANIMATION_TIMINGS, PLAYER_COUNT } from "../../constants";
 import ruleSets from "../../config/ruleSets";
 import { getPlayerDisplayName } from "../../utils/playerUtils";
 
@@ -66,12 +66,12 @@ export const useTrickEvaluation = ({
   );
 
   /**
-   * Checks if play area is full (4 cards)
-   * @returns {boolean} True if 4 cards are played
+   * Checks if play area is full (one card per seat)
+   * @returns {boolean} True once every seat has played
    */
   const isPlayAreaFull = useCallback(
-    () => Object.keys(playArea).length === 4,
-    [playArea],
+    () => Object.keys(playArea).length === (players.length || PLAYER_COUNT),
+    [playArea, players.length],
   );
 
   /**
@@ -146,8 +146,11 @@ export const useTrickEvaluation = ({
 
         // Delay before clearing play area
         safeSetTimeout(() => {
-          // Update score
-          updateScores(winnerIndex, 1);
+          // Update score with the points the rule set gives for this trick
+          updateScores(
+            winnerIndex,
+            ruleSets[selectedRuleSet].scoreTrick(cardsToEvaluate),
+          );
 
           // Set winner as next player
           setCurrentPlayer(winnerIndex);
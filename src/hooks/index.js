@@ -8,6 +8,10 @@ export { default as useTheme } from "./useTheme";
 export { default as useWindowSize } from "./useWindowSize";
 export { default as useAppLoading } from "./useAppLoading";
 export { default as useTimeout } from "./useTimeout";
+export { default as useTableTalk } from "./useTableTalk";
+export { default as useRoomGame } from "./useRoomGame";
+export { default as usePeerSession, PEER_ROLES } from "./usePeerSession";
+export { default as useChat } from "./useChat";
 
 // Accessibility hooks
 export {
@@ -26,4 +30,7 @@ export {
   GAME_ACTIONS,
   gameActions,
   selectors,
+  createInitialState,
+  PHASE_TRANSITIONS,
+  canTransition,
 } from "./game/gameReducer";
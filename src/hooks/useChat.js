@@ -0,0 +1,148 @@
+import {
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+  useRef,
+  useSyncExternalStore,
+} from "react";
+import { EMOTE_DURATION } from "../constants";
+import { unescapeHTML } from "../utils/sanitize";
+import { filterProfanity } from "../utils/profanity";
+
+// Chat while there is no client to read one from
+const NO_CHAT = { ownSenderId: null, chat: [], newChat: [] };
+const subscribeToNothing = () => () => {};
+const getNoChat = () => NO_CHAT;
+
+/**
+ * Room chat hook
+ * Reads a room client's chat, hides what muted senders say and pops each new
+ * emote up for EMOTE_DURATION. Mutes follow the sender id the room gives
+ * each player, which they keep through reloads and reconnects for as long as
+ * they hold their seat, so spectators can be muted and a mute does not pass
+ * on to whoever takes the seat next. Texts arrive HTML-escaped from the room; they are
+ * unescaped here because React escapes them again when they are shown, and
+ * then run through `filterText`.
+ *
+ * @param {Object|null} client - Room client from createRoomClient
+ * @param {Object} options - Hook options
+ * @param {Function} options.filterText - Cleans up a message's text before
+ *   it is shown (filterProfanity by default)
+ * @returns {Object} Messages to show, emotes up by player id, everyone else
+ *   who has chatted, the muted sender ids with their toggle, and senders for
+ *   text and emotes
+ */
+const useChat = (client, { filterText = filterProfanity } = {}) => {
+  const { ownSenderId, chat } = useSyncExternalStore(
+    client?.subscribe ?? subscribeToNothing,
+    client?.getSnapshot ?? getNoChat,
+  );
+  const [mutedSenders, setMutedSenders] = useState([]);
+  const [emotes, setEmotes] = useState({});
+  const mutedRef = useRef(mutedSenders);
+  const emoteTimersRef = useRef({});
+
+  useEffect(() => {
+    mutedRef.current = mutedSenders;
+  }, [mutedSenders]);
+
+  const hideEmote = useCallback((playerId) => {
+    clearTimeout(emoteTimersRef.current[playerId]);
+    setEmotes(({ [playerId]: _hidden, ...rest }) => rest);
+  }, []);
+
+  // Emotes pop up as they arrive, never out of the history sent on joining
+  useEffect(() => {
+    if (!client) return undefined;
+    let seen = client.getSnapshot().newChat;
+    const timers = emoteTimersRef.current;
+    const unsubscribe = client.subscribe(() => {
+      const { newChat } = client.getSnapshot();
+      if (newChat === seen) return;
+      seen = newChat;
+      newChat
+        .filter(
+          ({ emote, playerId, senderId: from }) =>
+            emote && playerId && !mutedRef.current.includes(from),
+        )
+        .forEach(({ emote, playerId }) => {
+          clearTimeout(timers[playerId]);
+          setEmotes((prev) => ({ ...prev, [playerId]: emote }));
+          timers[playerId] = setTimeout(
+            () => hideEmote(playerId),
+            EMOTE_DURATION,
+          );
+        });
+    });
+    return () => {
+      unsubscribe();
+      Object.values(timers).forEach(clearTimeout);
+    };
+  }, [client, hideEmote]);
+
+  const messages = useMemo(
+    () =>
+      chat
+        .filter(({ senderId: from }) => !mutedSenders.includes(from))
+        .map((message) => ({
+          ...message,
+          text:
+            message.text === null
+              ? null
+              : filterText(unescapeHTML(message.text)),
+          isYou: message.senderId === ownSenderId,
+        })),
+    [chat, mutedSenders, ownSenderId, filterText],
+  );
+
+  // Everyone else who has chatted, muted or not, under their latest name
+  const senders = useMemo(() => {
+    const byId = new Map();
+    chat.forEach(({ senderId: from, playerId, name }) => {
+      if (from === ownSenderId) return;
+      byId.delete(from);
+      byId.set(from, { senderId: from, playerId, name });
+    });
+    return [...byId.values()];
+  }, [chat, ownSenderId]);
+
+  /**
+   * Mutes or unmutes a sender; muting also takes down their emote
+   * @param {number} mutedSender - Sender id to toggle
+   * @param {string|null} playerId - Sender's player, if they have a seat
+   */
+  const toggleMute = useCallback(
+    (mutedSender, playerId) => {
+      setMutedSenders((prev) =>
+        prev.includes(mutedSender)
+          ? prev.filter((id) => id !== mutedSender)
+          : [...prev, mutedSender],
+      );
+      if (playerId) hideEmote(playerId);
+    },
+    [hideEmote],
+  );
+
+  const sendMessage = useCallback(
+    (text) => client?.sendChat(text) ?? false,
+    [client],
+  );
+
+  const sendEmote = useCallback(
+    (emote) => client?.sendEmote(emote) ?? false,
+    [client],
+  );
+
+  return {
+    messages,
+    emotes,
+    senders,
+    mutedSenders,
+    toggleMute,
+    sendMessage,
+    sendEmote,
+  };
+};
+
+export default useChat;
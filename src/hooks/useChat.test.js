@@ -0,0 +1,185 @@
+/**
+ * Unit tests for useChat custom hook
+ * Chats in a room on an in-memory server through loopback room clients
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import useChat from "./useChat";
+import {
+  createRoomServer,
+  createRoomClient,
+  openLoopback,
+} from "../multiplayer";
+import { EMOTE_DURATION } from "../constants";
+
+const createTabStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+describe("useChat", () => {
+  let server;
+  let clients;
+
+  const flush = () => act(() => vi.advanceTimersByTimeAsync(0));
+
+  const connectClient = (storage = createTabStorage()) => {
+    const client = createRoomClient({
+      open: () => openLoopback(server),
+      storage,
+    });
+    clients.push(client);
+    return client;
+  };
+
+  /**
+   * Seats a host and a guest in one room
+   */
+  const openRoom = async (guestStorage) => {
+    const host = connectClient();
+    const guest = connectClient(guestStorage);
+    await flush();
+    host.createRoom("Ana", { ruleSetId: "suit-follows" });
+    await flush();
+    guest.joinRoom("ROOM", "Ben");
+    await flush();
+    return { host, guest };
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    clients = [];
+    server = createRoomServer({ createCode: () => "ROOM" });
+  });
+
+  afterEach(() => {
+    clients.forEach((client) => client.close());
+    server.close();
+    vi.useRealTimers();
+  });
+
+  it("should have no messages without a client", () => {
+    const { result } = renderHook(() => useChat(null));
+
+    expect(result.current.messages).toEqual([]);
+    expect(result.current.sendMessage("Hi")).toBe(false);
+  });
+
+  it("should show messages unescaped, filtered and marked as yours", async () => {
+    const { host, guest } = await openRoom();
+    const { result } = renderHook(() => useChat(host));
+
+    act(() => {
+      result.current.sendMessage("Fish & chips <b>now</b>");
+      guest.sendChat("Oh shit");
+    });
+    await flush();
+
+    expect(result.current.messages).toMatchObject([
+      { name: "Ana", text: "Fish & chips now", isYou: true },
+      { name: "Ben", text: "Oh ****", isYou: false },
+    ]);
+  });
+
+  it("should take a filter of its own", async () => {
+    const { host } = await openRoom();
+    const { result } = renderHook(() =>
+      useChat(host, { filterText: (text) => text.toUpperCase() }),
+    );
+    host.sendChat("Shh");
+    await flush();
+
+    expect(result.current.messages[0].text).toBe("SHH");
+  });
+
+  it("should pop up new emotes over their sender for a while", async () => {
+    const { host, guest } = await openRoom();
+    const { result } = renderHook(() => useChat(host));
+    guest.sendEmote("GG");
+    await flush();
+
+    expect(result.current.emotes).toEqual({ player2: "GG" });
+    await act(() => vi.advanceTimersByTimeAsync(EMOTE_DURATION));
+    expect(result.current.emotes).toEqual({});
+  });
+
+  it("should hide what a muted sender says", async () => {
+    const { host, guest } = await openRoom();
+    const { result } = renderHook(() => useChat(host));
+    guest.sendChat("Hello");
+    await flush();
+
+    const [ben] = result.current.senders;
+    expect(ben).toMatchObject({ name: "Ben", playerId: "player2" });
+    act(() => result.current.toggleMute(ben.senderId, ben.playerId));
+    guest.sendEmote("👍");
+    await flush();
+    expect(result.current.messages).toEqual([]);
+    expect(result.current.emotes).toEqual({});
+
+    act(() => result.current.toggleMute(ben.senderId, ben.playerId));
+    expect(result.current.messages).toHaveLength(2);
+  });
+
+  it("should mute spectators too", async () => {
+    const { host } = await openRoom();
+    const watcher = connectClient();
+    await flush();
+    watcher.spectate("ROOM");
+    await flush();
+    const { result } = renderHook(() => useChat(host));
+    watcher.sendChat("Boo");
+    await flush();
+
+    const [spectator] = result.current.senders;
+    act(() => result.current.toggleMute(spectator.senderId, null));
+    expect(result.current.messages).toEqual([]);
+  });
+
+  it("should keep a mute on a player who reloads", async () => {
+    const guestTab = createTabStorage();
+    const { host, guest } = await openRoom(guestTab);
+    const { result } = renderHook(() => useChat(host));
+    guest.sendChat("Hello");
+    await flush();
+    const [ben] = result.current.senders;
+    act(() => result.current.toggleMute(ben.senderId, ben.playerId));
+
+    guest.close();
+    const reloaded = connectClient(guestTab);
+    await flush();
+    expect(reloaded.getSnapshot().seat).toBe(1);
+    reloaded.sendChat("Still here");
+    reloaded.sendEmote("GG");
+    await flush();
+
+    expect(result.current.messages).toEqual([]);
+    expect(result.current.emotes).toEqual({});
+  });
+
+  it("should not pass a mute on to the next player in the seat", async () => {
+    const { host, guest } = await openRoom();
+    const { result } = renderHook(() => useChat(host));
+    guest.sendChat("Hello");
+    await flush();
+    const [ben] = result.current.senders;
+    act(() => result.current.toggleMute(ben.senderId, ben.playerId));
+
+    guest.leaveRoom();
+    const next = connectClient();
+    await flush();
+    next.joinRoom("ROOM", "Cat");
+    await flush();
+    next.sendChat("Hi all");
+    await flush();
+
+    expect(result.current.messages).toMatchObject([
+      { name: "Cat", text: "Hi all", seat: 1 },
+    ]);
+  });
+});
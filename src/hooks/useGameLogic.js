@@ -1,43 +1,168 @@
-import { useState, useCallback, useRef, useEffect, useMemo } from "react";
+import { useReducer, useCallback, useRef, useEffect, useMemo } from "react";
 import { toast } from "sonner";
 import {
   INITIAL_GAME_STATE,
-  INITIAL_PLAYERS,
-  SUITS,
-  CARDS_PER_PLAYER,
   CARD_POSITIONS,
+  TRICK_CARD_POSITIONS,
   ANIMATION_TIMINGS,
   GAME_PHASES,
+  CARDS_PER_PLAYER,
+  FULL_DECK,
+  PLAYER_COUNT,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  UNLIMITED_HINTS,
 } from "../constants";
 import ruleSets from "../config/ruleSets";
-import { getPlayerDisplayName } from "../utils/playerUtils";
-
-const useGameLogic = (selectedRuleSet = 0) => {
-  const [username, setUsername] = useState("");
-  const [gameState, setGameState] = useState(INITIAL_GAME_STATE);
-  const [basePlayers, setBasePlayers] = useState(INITIAL_PLAYERS);
-  const [playArea, setPlayArea] = useState({});
-  const [leadPlayerId, setLeadPlayerId] = useState(null);
+import {
+  createPlayers,
+  getTableConfig,
+  getLegalCards,
+  getRuleSet,
+  getWinnerIndex,
+  getPassInfo,
+  parseSeed,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+} from "../engine";
+import {
+  gameReducer,
+  gameActions,
+  createInitialState,
+  selectors,
+} from "./game/gameReducer";
+import { getTableState } from "./game/tableState";
+import {
+  AI_STRATEGIES,
+  getBot,
+  getAIAction,
+  createAIClient,
+  getTableTalk,
+  getHint,
+} from "../ai";
+import useTableTalk from "./useTableTalk";
+import {
+  getPlayerDisplayName,
+  getTeamDisplayName,
+  isHumanPlayer,
+  isPassAndPlay,
+} from "../utils/playerUtils";
+import { getRankDisplay } from "../utils/cardHelpers";
+import { formatBid } from "../utils/bidUtils";
+
+const describeCards = (cards) =>
+  cards
+    .map((card) => `${getRankDisplay(card.rank)} of ${card.suit}`)
+    .join(", ");
+
+/**
+ * Checks whether a seat is the human holding the device with nobody
+ * waiting to take it, so prompts for that seat can be shown
+ * @param {Object} device - The reducer's viewerSeat and handoffSeat
+ * @param {number} playerIndex - Seat to check
+ * @returns {boolean} True if the seat's player is looking at the screen
+ */
+const holdsDevice = ({ viewerSeat, handoffSeat }, playerIndex) =>
+  viewerSeat === playerIndex && handoffSeat === null;
+
+/**
+ * Core game hook
+ * Thin React adapter over gameReducer, which owns the whole game state and
+ * guards every phase transition. The hook schedules the timed steps between
+ * actions and turns the engine events queued by the reducer into animations
+ * and toasts
+ *
+ * Any seat may be human. With several humans at the table they share the
+ * device: the reducer tracks whose hand is shown (the viewer seat) and asks
+ * for the device to be passed when another human has to act, and prompts
+ * go only to the human holding it
+ * @param {number} selectedRuleSet - Index of the selected rule set
+ * @param {Object} options - Game options
+ * @param {string} options.seed - Seed for the first game (random if omitted)
+ * @param {number} options.maxRounds - Hands in the first match
+ * @param {boolean} options.partnerships - Team seats across the table
+ * @param {number} options.playerCount - Seats at the table, 3 to 6
+ * @param {number|string} options.handSize - Cards per seat or FULL_DECK
+ *   (defaults to the rule set's size)
+ * @returns {Object} Game state, derived view data and action handlers
+ */
+const useGameLogic = (
+  selectedRuleSet = 0,
+  {
+    seed: initialSeed,
+    maxRounds = INITIAL_GAME_STATE.maxRounds,
+    partnerships = false,
+    playerCount = PLAYER_COUNT,
+    handSize = null,
+  } = {},
+) => {
+  const ruleSet = ruleSets[selectedRuleSet] || ruleSets[0];
+
+  const [state, dispatch] = useReducer(
+    gameReducer,
+    {
+      ruleSetId: ruleSet.id,
+      seed: parseSeed(initialSeed) ?? undefined,
+      maxRounds,
+      partnerships,
+      players: createPlayers(playerCount),
+      handSize,
+    },
+    createInitialState,
+  );
+  const {
+    game,
+    events,
+    username,
+    viewerSeat,
+    handoffSeat,
+    selectedCard,
+    passSelection,
+    handHidden,
+    hint,
+    hintLimit,
+    dealingAnimation,
+    trickWinner,
+    showWinnerModal,
+    showConfetti,
+  } = state;
 
   const players = useMemo(
     () =>
-      basePlayers.map((player) =>
+      game.players.map((player) =>
         player.id === "player1" && username.trim()
           ? { ...player, name: username.trim() }
           : player,
       ),
-    [basePlayers, username],
+    [game.players, username],
   );
 
-  const [selectedCard, setSelectedCard] = useState(null);
-  const [dealingAnimation, setDealingAnimation] = useState(false);
-  const [trickWinner, setTrickWinner] = useState(null);
-  const [showWinnerModal, setShowWinnerModal] = useState(false);
-  const [showConfetti, setShowConfetti] = useState(false);
+  const gameState = useMemo(
+    () => getTableState(game, viewerSeat),
+    [game, viewerSeat],
+  );
 
-  const playAICardRef = useRef(null);
+  const {
+    speech,
+    say,
+    clearSpeech,
+    muted: tableTalkMuted,
+    toggleMuted: toggleTableTalk,
+  } = useTableTalk();
+
+  const gameRef = useRef(game);
+  const playersRef = useRef(players);
+  const deviceRef = useRef({ viewerSeat, handoffSeat });
+  const handledSeqRef = useRef(0);
   const timeoutIdsRef = useRef([]);
   const isMountedRef = useRef(true);
+  const aiClientRef = useRef(null);
+
+  useEffect(() => {
+    gameRef.current = game;
+    playersRef.current = players;
+    deviceRef.current = { viewerSeat, handoffSeat };
+  }, [game, players, viewerSeat, handoffSeat]);
 
   useEffect(() => {
     isMountedRef.current = true;
@@ -45,6 +170,7 @@ const useGameLogic = (selectedRuleSet = 0) => {
       isMountedRef.current = false;
       timeoutIdsRef.current.forEach((id) => clearTimeout(id));
       timeoutIdsRef.current = [];
+      aiClientRef.current?.cancel();
     };
   }, []);
 
@@ -59,317 +185,596 @@ const useGameLogic = (selectedRuleSet = 0) => {
     return id;
   }, []);
 
-  const shuffleDeck = (cards) => {
-    const shuffled = [...cards];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  // Keep the waiting engine on the rule set picked in the UI. After a game
+  // ends, the next reset picks it up instead
+  useEffect(() => {
+    const current = gameRef.current;
+    if (
+      current.phase === GAME_PHASES.WAITING &&
+      current.ruleSetId !== ruleSet.id
+    ) {
+      dispatch(gameActions.setRuleSet(ruleSet.id));
     }
-    return shuffled;
-  };
-
-  const createDeck = useCallback(() => {
-    const newDeck = [];
-    SUITS.forEach((suit) => {
-      for (let rank = 1; rank <= 13; rank++) {
-        newDeck.push({
-          id: `${suit}-${rank}`,
-          suit,
-          rank,
-          value: rank === 1 ? 14 : rank,
-        });
-      }
-    });
-    return shuffleDeck(newDeck);
-  }, []);
-
-  const dealCards = useCallback(() => {
-    const newDeck = createDeck();
-    // Immutable update - create new player objects
-    const newPlayers = basePlayers.map((player, index) => ({
-      ...player,
-      hand: newDeck.slice(
-        index * CARDS_PER_PLAYER,
-        (index + 1) * CARDS_PER_PLAYER,
-      ),
-      score: 0,
-    }));
-    setBasePlayers(newPlayers);
-    setPlayArea({});
-  }, [createDeck, basePlayers]);
+  }, [ruleSet.id]);
 
   const getCardPositions = useCallback(
-    (cardCount) => CARD_POSITIONS.slice(0, cardCount),
-    [],
+    (cardCount) =>
+      (TRICK_CARD_POSITIONS[game.players.length] ?? CARD_POSITIONS).slice(
+        0,
+        cardCount,
+      ),
+    [game.players.length],
   );
 
-  const getRandomCard = (hand) => {
-    if (!hand || hand.length === 0) return null;
-    const randomIndex = Math.floor(Math.random() * hand.length);
-    return hand[randomIndex];
-  };
-
   const getGameWinner = useCallback(
-    (scores = gameState.scores) => {
-      const maxScore = Math.max(...scores);
-      const winnerIndex = scores.findIndex((score) => score === maxScore);
-      return { player: players[winnerIndex], score: maxScore };
-    },
-    [gameState.scores, players],
-  );
-
-  const evaluateTrick = useCallback(
-    (trickCards, isLastTrick = false) => {
-      setGameState((prev) => ({ ...prev, phase: GAME_PHASES.EVALUATING }));
-
-      const winnerPlayerId = ruleSets[selectedRuleSet].evaluateWinner(
-        trickCards,
-        leadPlayerId,
+    (scores = game.scores) => {
+      const winnerIndex = getWinnerIndex(scores, gameState.lowScoreWins);
+      const team = gameState.teams?.find((seats) =>
+        seats.includes(winnerIndex),
       );
-      const winnerIndex = players.findIndex((p) => p.id === winnerPlayerId);
-      const winnerPlayer = players[winnerIndex];
-      const winnerDisplayName = getPlayerDisplayName(winnerPlayer);
-
-      setTrickWinner(winnerPlayerId);
-      toast.success(`${winnerDisplayName} wins the trick!`);
-
-      const newScores = [...gameState.scores];
-      newScores[winnerIndex] += 1;
-
-      safeSetTimeout(() => {
-        setGameState((prev) => ({
-          ...prev,
-          scores: newScores,
-          currentPlayer: winnerIndex,
-          phase: isLastTrick ? GAME_PHASES.GAME_OVER : GAME_PHASES.PLAYING,
-        }));
-        setPlayArea({});
-        setLeadPlayerId(null);
-        setTrickWinner(null);
-        setSelectedCard(null);
-
-        if (isLastTrick) {
-          const winner = getGameWinner(newScores);
-          setShowWinnerModal(true);
-          if (winner.player.id === "player1") {
-            setShowConfetti(true);
-            toast.success(`Congratulations! You won the game!`);
-            safeSetTimeout(
-              () => setShowConfetti(false),
-              ANIMATION_TIMINGS.confettiDuration,
-            );
-          } else {
-            toast.info(`${getPlayerDisplayName(winner.player)} wins the game!`);
-          }
-        } else if (!isLastTrick && winnerIndex !== 0) {
-          safeSetTimeout(() => {
-            if (playAICardRef.current) {
-              playAICardRef.current(winnerIndex, {});
-            }
-          }, ANIMATION_TIMINGS.dealingAnimation);
-        }
-      }, ANIMATION_TIMINGS.trickEvaluationDelay);
+      return {
+        player: players[winnerIndex],
+        score: scores[winnerIndex],
+        team: team ? team.map((idx) => players[idx]) : null,
+      };
     },
-    [
-      selectedRuleSet,
-      players,
-      gameState.scores,
-      getGameWinner,
-      leadPlayerId,
-      safeSetTimeout,
-    ],
+    [game.scores, gameState.lowScoreWins, gameState.teams, players],
   );
 
-  const playAICard = useCallback(
-    (playerIndex, currentPlayArea) => {
-      const player = players[playerIndex];
+  const playAICard = useCallback((playerIndex) => {
+    const state = gameRef.current;
+    const player = state.players[playerIndex];
 
-      // Safety check: ensure player exists and has cards
-      if (
-        !player ||
-        player.hand.length === 0 ||
-        gameState.phase !== GAME_PHASES.PLAYING
-      ) {
-        return;
-      }
-
-      const randomCard = getRandomCard(player.hand);
+    // Safety check: the turn may have moved on while we were waiting
+    if (
+      !player ||
+      state.phase !== GAME_PHASES.PLAYING ||
+      state.currentPlayer !== playerIndex
+    ) {
+      return;
+    }
 
-      // Safety check: ensure we got a valid card
-      if (!randomCard) {
+    // Card choices may involve a search, so they run off the main thread
+    if (!aiClientRef.current) aiClientRef.current = createAIClient();
+    aiClientRef.current.chooseCard(state, playerIndex).then((action) => {
+      // Drop the choice if it was cancelled or the game moved on meanwhile
+      if (!action || !isMountedRef.current || gameRef.current !== state) {
         return;
       }
+      dispatch(gameActions.fromEngineAction(action));
+    });
+  }, []);
 
-      // Immutable update - create new player objects with filtered hand
-      const newPlayers = players.map((p, idx) =>
-        idx === playerIndex
-          ? { ...p, hand: p.hand.filter((c) => c.id !== randomCard.id) }
-          : p,
-      );
-      setBasePlayers(newPlayers);
+  const passAICards = useCallback((playerIndex) => {
+    const state = gameRef.current;
+    const player = state.players[playerIndex];
 
-      const newPlayArea = { ...currentPlayArea, [player.id]: randomCard };
-      setPlayArea(newPlayArea);
+    // The pass may have been made or the hand reset while we were waiting
+    if (
+      !player ||
+      state.phase !== GAME_PHASES.PASSING ||
+      state.passes[player.id]
+    ) {
+      return;
+    }
 
-      if (Object.keys(currentPlayArea).length === 0) {
-        setLeadPlayerId(player.id);
-      }
+    dispatch(gameActions.fromEngineAction(getAIAction(state, playerIndex)));
+  }, []);
 
-      if (Object.keys(newPlayArea).length === 4) {
-        // Check if this is the last trick using the updated hand length
-        const isLastTrick = player.hand.length - 1 === 0;
-        safeSetTimeout(() => {
-          evaluateTrick(newPlayArea, isLastTrick);
-        }, ANIMATION_TIMINGS.cardPlayDelay);
-      } else {
-        const nextPlayer = (playerIndex + 1) % 4;
-        setGameState((prev) => ({ ...prev, currentPlayer: nextPlayer }));
-        if (nextPlayer !== 0) {
-          safeSetTimeout(() => {
-            if (playAICardRef.current) {
-              playAICardRef.current(nextPlayer, newPlayArea);
-            }
-          }, ANIMATION_TIMINGS.aiPlayDelay);
-        }
-      }
-    },
-    [players, gameState.phase, evaluateTrick, safeSetTimeout],
-  );
+  const placeAIBid = useCallback((playerIndex) => {
+    const state = gameRef.current;
+    const player = state.players[playerIndex];
 
-  useEffect(() => {
-    playAICardRef.current = playAICard;
-  }, [playAICard]);
+    // The bid may have been placed or the hand reset while we were waiting
+    if (
+      !player ||
+      state.phase !== GAME_PHASES.BIDDING ||
+      state.currentPlayer !== playerIndex
+    ) {
+      return;
+    }
 
-  const playCard = useCallback(
-    (card, playerId) => {
-      if (gameState.phase !== GAME_PHASES.PLAYING) return;
+    dispatch(gameActions.fromEngineAction(getAIAction(state, playerIndex)));
+  }, []);
 
-      const playerIndex = players.findIndex((p) => p.id === playerId);
+  const handleEngineEvent = useCallback(
+    (event) => {
+      const talk = getTableTalk(gameRef.current, event);
+      if (talk) {
+        const speak = () =>
+          say(playersRef.current[talk.playerIndex].id, talk.text);
+        // Trick winners speak up once the trick is shown as theirs
+        if (event.type === ENGINE_EVENTS.TRICK_COMPLETE) {
+          safeSetTimeout(speak, ANIMATION_TIMINGS.cardPlayDelay);
+        } else {
+          speak();
+        }
+      }
 
-      // Safety check: ensure player exists and it's their turn
-      if (playerIndex === -1 || playerIndex !== gameState.currentPlayer) return;
+      switch (event.type) {
+        case ENGINE_EVENTS.PASSING_STARTED:
+          toast.info(
+            `Choose ${event.count} cards to pass ${event.direction}, then tap Pass Cards`,
+          );
+          playersRef.current.forEach((player, playerIndex) => {
+            if (!isHumanPlayer(player)) {
+              safeSetTimeout(
+                () => passAICards(playerIndex),
+                ANIMATION_TIMINGS.aiPlayDelay,
+              );
+            }
+          });
+          break;
+
+        case ENGINE_EVENTS.CARDS_PASSED: {
+          // The cards received stay private while the device changes hands
+          const device = deviceRef.current;
+          if (!holdsDevice(device, device.viewerSeat)) break;
+          const viewerId = playersRef.current[device.viewerSeat].id;
+          toast.success(
+            `You received ${describeCards(event.received[viewerId])}`,
+          );
+          if (
+            gameRef.current.phase === GAME_PHASES.PLAYING &&
+            holdsDevice(device, gameRef.current.currentPlayer)
+          ) {
+            toast.info(
+              "Your turn! Tap a card to select, then tap the table to play",
+            );
+          }
+          break;
+        }
 
-      const player = players[playerIndex];
-      if (!player) return;
+        case ENGINE_EVENTS.BID_PLACED:
+          if (event.playerIndex !== deviceRef.current.viewerSeat) {
+            const bidder = playersRef.current[event.playerIndex];
+            toast.info(
+              `${getPlayerDisplayName(bidder)} bids ${formatBid({
+                tricks: event.bid,
+                blind: event.blind,
+              }).toLowerCase()}`,
+            );
+          }
+          break;
 
-      // Immutable update - create new player objects with filtered hand
-      const newPlayers = players.map((p, idx) =>
-        idx === playerIndex
-          ? { ...p, hand: p.hand.filter((c) => c.id !== card.id) }
-          : p,
-      );
-      setBasePlayers(newPlayers);
+        case ENGINE_EVENTS.BIDDING_COMPLETE:
+          if (holdsDevice(deviceRef.current, gameRef.current.currentPlayer)) {
+            toast.info(
+              "Your turn! Tap a card to select, then tap the table to play",
+            );
+          }
+          break;
+
+        case ENGINE_EVENTS.CONTRACTS_SCORED: {
+          // Sharing the device, each human hears about their bid by name
+          const byName = isPassAndPlay(playersRef.current);
+          playersRef.current.forEach((player, idx) => {
+            const contract = event.results[idx];
+            if (!isHumanPlayer(player) || contract.bid === null) return;
+            const bid = formatBid({
+              tricks: contract.bid,
+              blind: contract.blind,
+            }).toLowerCase();
+            if (byName) {
+              const outcome = contract.made ? "made" : "was set on";
+              toast.info(`${player.name} ${outcome} their bid of ${bid}`);
+            } else if (contract.made) {
+              toast.success(`You made your bid of ${bid}!`);
+            } else {
+              toast.error(`You were set on your bid of ${bid}`);
+            }
+          });
+          break;
+        }
 
-      const newPlayArea = { ...playArea, [playerId]: card };
-      setPlayArea(newPlayArea);
+        case ENGINE_EVENTS.BAG_PENALTY: {
+          const side = event.seats.map((idx) => playersRef.current[idx]);
+          toast.info(
+            `${getTeamDisplayName(side)} collected too many bags and lose ${event.points} points`,
+          );
+          break;
+        }
 
-      if (Object.keys(playArea).length === 0) {
-        setLeadPlayerId(playerId);
-      }
+        case ENGINE_EVENTS.SHOT_THE_MOON: {
+          const shooter = playersRef.current[event.playerIndex];
+          toast.success(`${getPlayerDisplayName(shooter)} shot the moon!`);
+          break;
+        }
 
-      if (playerIndex === 0) {
-        toast.success("Card played!");
-        setSelectedCard(null);
-      }
+        case ENGINE_EVENTS.CARD_PLAYED:
+          if (isHumanPlayer(playersRef.current[event.playerIndex])) {
+            toast.success("Card played!");
+          }
+          break;
+
+        case ENGINE_EVENTS.TURN_CHANGED:
+          if (isHumanPlayer(playersRef.current[event.playerIndex])) {
+            if (
+              gameRef.current.phase === GAME_PHASES.BIDDING &&
+              holdsDevice(deviceRef.current, event.playerIndex)
+            ) {
+              toast.info("Your bid! How many tricks will you take?");
+            }
+          } else if (gameRef.current.phase === GAME_PHASES.BIDDING) {
+            safeSetTimeout(
+              () => placeAIBid(event.playerIndex),
+              ANIMATION_TIMINGS.aiPlayDelay,
+            );
+          } else {
+            // Give the table a moment to clear before an AI leads a new trick
+            const isNewTrick =
+              Object.keys(gameRef.current.playArea).length === 0;
+            safeSetTimeout(
+              () => playAICard(event.playerIndex),
+              isNewTrick
+                ? ANIMATION_TIMINGS.dealingAnimation
+                : ANIMATION_TIMINGS.aiPlayDelay,
+            );
+          }
+          break;
 
-      if (Object.keys(newPlayArea).length === 4) {
-        // Check if this is the last trick using the current hand length minus 1 (the card just played)
-        const isLastTrick = player.hand.length - 1 === 0;
-        safeSetTimeout(() => {
-          evaluateTrick(newPlayArea, isLastTrick);
-        }, ANIMATION_TIMINGS.cardPlayDelay);
-      } else {
-        const nextPlayer = (gameState.currentPlayer + 1) % 4;
-        setGameState((prev) => ({ ...prev, currentPlayer: nextPlayer }));
-        if (nextPlayer !== 0) {
+        case ENGINE_EVENTS.TRICK_COMPLETE:
           safeSetTimeout(() => {
-            if (playAICardRef.current) {
-              playAICardRef.current(nextPlayer, newPlayArea);
-            }
-          }, ANIMATION_TIMINGS.aiPlayDelay);
+            const winner = playersRef.current[event.winnerIndex];
+            dispatch(gameActions.setTrickWinner(event.winnerId));
+            toast.success(`${getPlayerDisplayName(winner)} wins the trick!`);
+            safeSetTimeout(
+              () => dispatch(gameActions.collectTrick()),
+              ANIMATION_TIMINGS.trickEvaluationDelay,
+            );
+          }, ANIMATION_TIMINGS.cardPlayDelay);
+          break;
+
+        case ENGINE_EVENTS.HAND_OVER:
+          toast.info(`Hand ${event.round} of ${event.maxRounds} complete!`);
+          break;
+
+        case ENGINE_EVENTS.GAME_OVER: {
+          const winners = event.winners.map((idx) => playersRef.current[idx]);
+          const humanWon = winners.some(isHumanPlayer);
+          if (humanWon && !isPassAndPlay(playersRef.current)) {
+            toast.success(
+              winners.length > 1
+                ? "Congratulations! Your team won the game!"
+                : "Congratulations! You won the game!",
+            );
+          } else {
+            toast.info(
+              `${getTeamDisplayName(winners)} ${winners.length > 1 ? "win" : "wins"} the game!`,
+            );
+          }
+          if (humanWon) {
+            safeSetTimeout(
+              () => dispatch(gameActions.setShowConfetti(false)),
+              ANIMATION_TIMINGS.confettiDuration,
+            );
+          }
+          break;
         }
+
+        case ENGINE_EVENTS.ACTION_REJECTED:
+          // Invalid phase transitions are logged by the reducer; only rule
+          // violations by a human player are worth telling them about
+          if (
+            !event.invalidTransition &&
+            (event.action === ENGINE_ACTIONS.PLAY_CARD ||
+              event.action === ENGINE_ACTIONS.PASS_CARDS ||
+              event.action === ENGINE_ACTIONS.PLACE_BID) &&
+            isHumanPlayer(
+              playersRef.current.find(
+                ({ id }) => id === event.origin?.payload?.playerId,
+              ),
+            )
+          ) {
+            toast.error(event.reason);
+          }
+          break;
+
+        default:
+          break;
       }
     },
-    [gameState, players, playArea, evaluateTrick, safeSetTimeout],
+    [playAICard, passAICards, placeAIBid, safeSetTimeout, say],
   );
 
+  // Present each queued engine event exactly once
+  useEffect(() => {
+    const pending = events.filter((event) => event.seq > handledSeqRef.current);
+    if (pending.length === 0) return;
+
+    handledSeqRef.current = pending[pending.length - 1].seq;
+    pending.forEach(handleEngineEvent);
+  }, [events, handleEngineEvent]);
+
+  const playCard = useCallback((card, playerId) => {
+    dispatch(gameActions.playCard(playerId, card));
+  }, []);
+
   const handleCardSelect = useCallback(
     (card) => {
+      // Nothing can be picked while the device changes hands
+      if (handoffSeat !== null) return;
+
+      if (gameState.phase === GAME_PHASES.PASSING) {
+        if (!gameState.hasPassed) {
+          dispatch(gameActions.togglePassCard(card));
+        }
+        return;
+      }
+
       if (
-        gameState.currentPlayer !== 0 ||
+        gameState.currentPlayer !== viewerSeat ||
         gameState.phase !== GAME_PHASES.PLAYING
       ) {
         return;
       }
 
       if (selectedCard?.id === card.id) {
-        setSelectedCard(null);
+        dispatch(gameActions.clearSelectedCard());
       } else {
-        setSelectedCard(card);
+        dispatch(gameActions.selectCard(card));
       }
     },
-    [gameState, selectedCard],
+    [gameState, selectedCard, viewerSeat, handoffSeat],
   );
 
   const handlePlaySelectedCard = useCallback(() => {
-    if (!selectedCard || gameState.currentPlayer !== 0) return;
-    playCard(selectedCard, "player1");
-  }, [selectedCard, gameState.currentPlayer, playCard]);
+    if (
+      !selectedCard ||
+      handoffSeat !== null ||
+      gameState.currentPlayer !== viewerSeat
+    ) {
+      return;
+    }
+    playCard(selectedCard, game.players[viewerSeat].id);
+  }, [
+    selectedCard,
+    gameState.currentPlayer,
+    game.players,
+    viewerSeat,
+    handoffSeat,
+    playCard,
+  ]);
 
-  const autoPlayCard = useCallback(() => {
+  const passSelectedCards = useCallback(() => {
+    const { passInfo, hasPassed } = gameState;
+    if (!passInfo || hasPassed || passSelection.length !== passInfo.count) {
+      return;
+    }
+    if (handoffSeat !== null) return;
+    dispatch(gameActions.passCards(game.players[viewerSeat].id, passSelection));
+  }, [gameState, game.players, passSelection, viewerSeat, handoffSeat]);
+
+  /**
+   * Places the bid of the human holding the device
+   * @param {number} tricks - Tricks bid, 0 for nil
+   * @param {boolean} blind - True to bid nil without looking at the cards
+   */
+  const placeBid = useCallback((tricks, blind = false) => {
+    const state = gameRef.current;
     if (
-      gameState.currentPlayer !== 0 ||
-      gameState.phase !== GAME_PHASES.PLAYING
+      state.phase !== GAME_PHASES.BIDDING ||
+      !holdsDevice(deviceRef.current, state.currentPlayer)
     ) {
       return;
     }
+    dispatch(
+      gameActions.placeBid(
+        state.players[state.currentPlayer].id,
+        tricks,
+        blind,
+      ),
+    );
+  }, []);
 
-    const playerHand = players[0]?.hand;
-    if (!playerHand || playerHand.length === 0) return;
+  const revealHand = useCallback(() => dispatch(gameActions.revealHand()), []);
 
-    const randomCard = getRandomCard(playerHand);
-    if (!randomCard) return;
+  /**
+   * Hands the device to the human whose turn it is, showing their cards
+   */
+  const takeDevice = useCallback(() => dispatch(gameActions.takeDevice()), []);
 
-    toast.info("Time's up! Auto-playing a card...");
-    playCard(randomCard, "player1");
-  }, [gameState.currentPlayer, gameState.phase, players, playCard]);
+  const autoPlayCard = useCallback(() => {
+    const state = gameRef.current;
+    if (
+      !holdsDevice(deviceRef.current, state.currentPlayer) ||
+      state.phase !== GAME_PHASES.PLAYING
+    ) {
+      return;
+    }
 
-  const startGame = useCallback(() => {
-    if (gameState.phase !== GAME_PHASES.WAITING) return;
+    if (getLegalCards(state, state.currentPlayer).length === 0) return;
 
-    setDealingAnimation(true);
-    setGameState((prev) => ({ ...prev, phase: GAME_PHASES.DEALING }));
-    toast.success("Game starting! Cards are being dealt...");
+    toast.info("Time's up! Auto-playing a card...");
+    dispatch(gameActions.playRandomCard(state.players[state.currentPlayer].id));
+  }, []);
 
+  /**
+   * Suggests a card for the human holding the device and highlights it
+   * Ignored when it is not their turn to play or no hints are left
+   */
+  const requestHint = useCallback(() => {
+    const { viewerSeat: seat, handoffSeat: pending } = deviceRef.current;
+    if (pending !== null) return;
+    const suggestion = getHint(gameRef.current, seat);
+    if (suggestion) dispatch(gameActions.showHint(suggestion));
+  }, []);
+
+  /**
+   * Deals the pending hand and starts play after the dealing animation
+   */
+  const scheduleDeal = useCallback(() => {
     safeSetTimeout(() => {
-      dealCards();
+      dispatch(gameActions.dealCards());
       safeSetTimeout(() => {
-        setDealingAnimation(false);
-        setGameState((prev) => ({ ...prev, phase: GAME_PHASES.PLAYING }));
-        toast.info(
-          "Your turn! Tap a card to select, then tap the table to play",
-        );
+        dispatch(gameActions.startPlaying());
+        // With a card pass or bidding first, the turn prompt waits for it
+        const state = gameRef.current;
+        if (
+          !getPassInfo(state) &&
+          !getRuleSet(state).bidding &&
+          holdsDevice(deviceRef.current, state.currentPlayer)
+        ) {
+          toast.info(
+            "Your turn! Tap a card to select, then tap the table to play",
+          );
+        }
       }, ANIMATION_TIMINGS.dealingAnimation);
     }, ANIMATION_TIMINGS.dealingDelay);
-  }, [gameState.phase, dealCards, safeSetTimeout]);
+  }, [safeSetTimeout]);
+
+  const startGame = useCallback(() => {
+    if (gameRef.current.phase !== GAME_PHASES.WAITING) return;
+
+    dispatch(gameActions.startGame());
+    toast.success("Game starting! Cards are being dealt...");
+    scheduleDeal();
+  }, [scheduleDeal]);
+
+  const nextHand = useCallback(() => {
+    const { phase, round, maxRounds: totalRounds } = gameRef.current;
+    if (phase !== GAME_PHASES.HAND_OVER) return;
+
+    dispatch(gameActions.nextHand());
+    toast.success(`Dealing hand ${round + 1} of ${totalRounds}...`);
+    scheduleDeal();
+  }, [scheduleDeal]);
 
   const resetGame = useCallback(() => {
     timeoutIdsRef.current.forEach((id) => clearTimeout(id));
     timeoutIdsRef.current = [];
-
-    setGameState(INITIAL_GAME_STATE);
-    setPlayArea({});
-    setLeadPlayerId(null);
-    setShowWinnerModal(false);
-    setTrickWinner(null);
-    setShowConfetti(false);
-    setSelectedCard(null);
-    // Immutable reset of players
-    const resetPlayers = basePlayers.map((p) => ({ ...p, hand: [], score: 0 }));
-    setBasePlayers(resetPlayers);
+    aiClientRef.current?.cancel();
+    clearSpeech();
+
+    dispatch(
+      gameActions.resetGame({
+        ...getTableConfig(gameRef.current),
+        ruleSetId: ruleSet.id,
+      }),
+    );
     toast.info("Game reset! Ready for a new game?");
-  }, [basePlayers]);
+  }, [ruleSet.id, clearSpeech]);
+
+  /**
+   * Sets how many hands the match lasts
+   * Ignored once the game has started or for non-positive lengths
+   */
+  const setMaxRounds = useCallback((value) => {
+    const rounds = Number(value);
+    if (!Number.isInteger(rounds) || rounds < 1) return;
+    if (gameRef.current.phase !== GAME_PHASES.WAITING) return;
+    dispatch(gameActions.setMaxRounds(rounds));
+  }, []);
+
+  /**
+   * Sets how many seats are at the table
+   * Ignored once the game has started or for unsupported table sizes
+   */
+  const setPlayerCount = useCallback((value) => {
+    const count = Number(value);
+    const isSupported =
+      Number.isInteger(count) && count >= MIN_PLAYERS && count <= MAX_PLAYERS;
+    if (!isSupported) return;
+    if (gameRef.current.phase !== GAME_PHASES.WAITING) return;
+    dispatch(gameActions.setPlayerCount(count));
+  }, []);
+
+  /**
+   * Sets how many cards each seat is dealt: a count, FULL_DECK, or null for
+   * the rule set's own size
+   * Ignored once the game has started or for hands of no cards
+   */
+  const setHandSize = useCallback((value) => {
+    const isSupported =
+      value === null ||
+      value === FULL_DECK ||
+      (Number.isInteger(value) && value >= 1);
+    if (!isSupported) return;
+    if (gameRef.current.phase !== GAME_PHASES.WAITING) return;
+    dispatch(gameActions.setHandSize(value));
+  }, []);
+
+  /**
+   * Sets the difficulty a computer seat plays at: a built-in strategy or a
+   * registered plugin bot
+   * Ignored once the game has started, for the human seat and for unknown
+   * difficulties
+   */
+  const setAIDifficulty = useCallback((playerId, difficulty) => {
+    const player = gameRef.current.players.find((p) => p.id === playerId);
+    const isKnown = Boolean(AI_STRATEGIES[difficulty] || getBot(difficulty));
+    if (!player || isHumanPlayer(player) || !isKnown) return;
+    if (gameRef.current.phase !== GAME_PHASES.WAITING) return;
+    dispatch(gameActions.setAIDifficulty(playerId, difficulty));
+  }, []);
+
+  /**
+   * Hands a seat to a person at this device or back to the computer, for
+   * pass-and-play
+   * Ignored once the game has started, for player1 (always human) and for
+   * unknown seats
+   */
+  const setHumanSeat = useCallback((playerId, isHuman) => {
+    const player = gameRef.current.players.find((p) => p.id === playerId);
+    if (!player || player.id === "player1") return;
+    if (gameRef.current.phase !== GAME_PHASES.WAITING) return;
+    dispatch(gameActions.setHumanSeat(playerId, Boolean(isHuman)));
+  }, []);
+
+  /**
+   * Sets how many hints the human players may take each game: a count (0
+   * turns hints off) or UNLIMITED_HINTS
+   * Ignored once the game has started or for negative counts
+   */
+  const setHintLimit = useCallback((value) => {
+    const isSupported =
+      value === UNLIMITED_HINTS || (Number.isInteger(value) && value >= 0);
+    if (!isSupported) return;
+    if (gameRef.current.phase !== GAME_PHASES.WAITING) return;
+    dispatch(gameActions.setHintLimit(value));
+  }, []);
+
+  /**
+   * Turns partnership play on or off
+   * Ignored once the game has started
+   */
+  const setPartnerships = useCallback((enabled) => {
+    if (gameRef.current.phase !== GAME_PHASES.WAITING) return;
+    dispatch(gameActions.setPartnerships(Boolean(enabled)));
+  }, []);
+
+  /**
+   * Re-deals the waiting game from a specific seed
+   * Ignored once the game has started or when the seed is blank
+   */
+  const setSeed = useCallback((value) => {
+    const seed = parseSeed(value);
+    if (!seed || gameRef.current.phase !== GAME_PHASES.WAITING) return;
+    dispatch(gameActions.setSeed(seed));
+  }, []);
+
+  const setUsername = useCallback(
+    (value) => dispatch(gameActions.setUsername(value)),
+    [],
+  );
+
+  const setShowWinnerModal = useCallback(
+    (show) => dispatch(gameActions.setShowWinnerModal(show)),
+    [],
+  );
+
+  const setShowConfetti = useCallback(
+    (show) => dispatch(gameActions.setShowConfetti(show)),
+    [],
+  );
+
+  // Cards the human holding the device may legally play into the trick
+  const legalCards = useMemo(
+    () => getLegalCards(game, viewerSeat),
+    [game, viewerSeat],
+  );
 
+  const playArea = game.playArea;
   const playAreaCards = Object.entries(playArea);
   const cardPositions = getCardPositions(playAreaCards.length);
 
@@ -380,12 +785,14 @@ const useGameLogic = (selectedRuleSet = 0) => {
     playAreaCards,
     cardPositions,
     selectedCard,
+    legalCards,
     dealingAnimation,
     trickWinner,
     showWinnerModal,
     showConfetti,
 
     startGame,
+    nextHand,
     resetGame,
     playCard,
     getGameWinner,
@@ -394,11 +801,46 @@ const useGameLogic = (selectedRuleSet = 0) => {
     handlePlaySelectedCard,
     autoPlayCard,
 
+    // Suggested card and reason, and hints left this game (Infinity when
+    // unlimited)
+    hint,
+    hintsLeft: selectors.hintsLeft(state),
+    hintLimit,
+    requestHint,
+    setHintLimit,
+
+    passSelection,
+    passSelectedCards,
+
+    handHidden,
+    placeBid,
+    revealHand,
+
+    // Seat whose hand is shown, and the human seat the device is being
+    // passed to (null when it is not changing hands)
+    viewerSeat,
+    handoffSeat,
+    takeDevice,
+
     setShowWinnerModal,
     setShowConfetti,
 
+    // Computer players' speech bubbles, keyed by player id
+    speech,
+    tableTalkMuted,
+    toggleTableTalk,
+
     username,
     setUsername,
+
+    seed: game.seed,
+    setSeed,
+    setMaxRounds,
+    setPartnerships,
+    setPlayerCount,
+    setHandSize,
+    setAIDifficulty,
+    setHumanSeat,
   };
 };
 
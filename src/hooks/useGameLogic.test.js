@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import { renderHook, act } from "@testing-library/react";
 import useGameLogic from "./useGameLogic";
+import { getAIAction, registerBot, unregisterBot } from "../ai";
 import {
   INITIAL_GAME_STATE,
   GAME_PHASES,
@@ -457,6 +458,296 @@ describe("useGameLogic", () => {
     });
   });
 
+  describe("legal moves", () => {
+    it("should expose every card as legal when leading a trick", async () => {
+      const { result } = renderHook(() => useGameLogic(0));
+
+      act(() => {
+        result.current.startGame();
+      });
+
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      expect(result.current.legalCards).toEqual(result.current.players[0].hand);
+    });
+
+    it("should reject a card that is not in the player's hand", async () => {
+      const { toast } = await import("sonner");
+      const { result } = renderHook(() => useGameLogic(0));
+
+      act(() => {
+        result.current.startGame();
+      });
+
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      const foreignCard = { id: "joker-0", suit: "joker", rank: 0, value: 0 };
+
+      act(() => {
+        result.current.playCard(foreignCard, "player1");
+      });
+
+      expect(Object.keys(result.current.playArea)).toHaveLength(0);
+      expect(toast.error).toHaveBeenCalledWith("That card is not in your hand");
+    });
+  });
+
+  describe("engine-driven game flow", () => {
+    /**
+     * Plays the human seat's first legal card whenever it is on turn and
+     * calls the next hand whenever one finishes, until the match is over
+     */
+    const playMatch = async (result) => {
+      act(() => {
+        result.current.startGame();
+      });
+
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      for (
+        let step = 0;
+        step < 400 && !result.current.showWinnerModal;
+        step++
+      ) {
+        const { gameState, legalCards } = result.current;
+        if (gameState.phase === GAME_PHASES.HAND_OVER) {
+          act(() => {
+            result.current.nextHand();
+          });
+        } else if (
+          gameState.phase === GAME_PHASES.PLAYING &&
+          gameState.currentPlayer === 0
+        ) {
+          act(() => {
+            result.current.playCard(legalCards[0], "player1");
+          });
+        }
+        await act(async () => {
+          vi.advanceTimersByTime(500);
+        });
+      }
+    };
+
+    it("should expose the cards-seen ledger for the trick in play", async () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.startGame();
+      });
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+      if (result.current.gameState.currentPlayer === 0) {
+        act(() => {
+          result.current.playCard(result.current.legalCards[0], "player1");
+        });
+      }
+
+      const { gameState, playArea } = result.current;
+      expect(gameState.currentTrick.length).toBeGreaterThan(0);
+      gameState.currentTrick.forEach(({ playerId, card }) => {
+        expect(playArea[playerId]).toEqual(card);
+        expect(gameState.playedCards[playerId]).toEqual([card]);
+      });
+    });
+
+    it("should play a two-hand match with cumulative scores", async () => {
+      const { result } = renderHook(() => useGameLogic(2, { maxRounds: 2 }));
+
+      await playMatch(result);
+
+      const { gameState } = result.current;
+      expect(gameState.phase).toBe(GAME_PHASES.GAME_OVER);
+      expect(gameState.round).toBe(2);
+      expect(gameState.handHistory).toHaveLength(2);
+      expect(gameState.scores.reduce((sum, score) => sum + score, 0)).toBe(
+        2 * CARDS_PER_PLAYER,
+      );
+    });
+
+    it("should play a match with computer seats at every difficulty", async () => {
+      const { result } = renderHook(() => useGameLogic(2, { maxRounds: 2 }));
+
+      act(() => {
+        result.current.setAIDifficulty("player2", "easy");
+        result.current.setAIDifficulty("player3", "medium");
+        result.current.setAIDifficulty("player4", "hard");
+      });
+
+      await playMatch(result);
+
+      expect(result.current.gameState.phase).toBe(GAME_PHASES.GAME_OVER);
+      expect(result.current.gameState.handHistory).toHaveLength(2);
+    });
+
+    it("should play a match with a plugin bot in a seat", async () => {
+      const chooseCard = vi.fn((view) => view.legalCards[0]);
+      registerBot({ id: "first-card", name: "First Card", chooseCard });
+      try {
+        const { result } = renderHook(() => useGameLogic(2, { maxRounds: 1 }));
+
+        act(() => {
+          result.current.setAIDifficulty("player3", "first-card");
+        });
+        await playMatch(result);
+
+        expect(result.current.players[2].difficulty).toBe("first-card");
+        expect(result.current.gameState.phase).toBe(GAME_PHASES.GAME_OVER);
+        expect(chooseCard).toHaveBeenCalledTimes(CARDS_PER_PLAYER);
+        chooseCard.mock.calls.forEach(([view]) => {
+          expect(view.playerId).toBe("player3");
+        });
+      } finally {
+        unregisterBot("first-card");
+      }
+    });
+
+    it("should only accept a match length while waiting", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setMaxRounds(3);
+      });
+      expect(result.current.gameState.maxRounds).toBe(3);
+
+      act(() => {
+        result.current.setMaxRounds(0);
+        result.current.startGame();
+        result.current.setMaxRounds(7);
+      });
+      expect(result.current.gameState.maxRounds).toBe(3);
+    });
+
+    it("should pass cards before a hand of hearts", async () => {
+      const { result } = renderHook(() => useGameLogic(3, { maxRounds: 1 }));
+
+      act(() => {
+        result.current.startGame();
+      });
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      expect(result.current.gameState.phase).toBe(GAME_PHASES.PASSING);
+      expect(result.current.gameState.passInfo.direction).toBe("left");
+
+      const picked = result.current.players[0].hand.slice(0, 3);
+      picked.forEach((card) => {
+        act(() => {
+          result.current.handleCardSelect(card);
+        });
+      });
+      expect(result.current.passSelection).toEqual(picked);
+
+      act(() => {
+        result.current.passSelectedCards();
+      });
+      expect(result.current.gameState.hasPassed).toBe(true);
+
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      expect(result.current.gameState.phase).toBe(GAME_PHASES.PLAYING);
+      picked.forEach((card) => {
+        expect(result.current.players[0].hand).not.toContainEqual(card);
+      });
+    });
+
+    it("should bid before a hand of spades", async () => {
+      const { result } = renderHook(() => useGameLogic(4, { maxRounds: 1 }));
+
+      act(() => {
+        result.current.startGame();
+      });
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      expect(result.current.gameState.phase).toBe(GAME_PHASES.BIDDING);
+      expect(result.current.handHidden).toBe(true);
+
+      act(() => {
+        result.current.revealHand();
+      });
+      expect(result.current.handHidden).toBe(false);
+
+      act(() => {
+        result.current.placeBid(2);
+      });
+      expect(result.current.gameState.bids[0]).toEqual({
+        tricks: 2,
+        blind: false,
+      });
+
+      // The other seats bid on their own, one after another
+      for (let seat = 1; seat < 4; seat++) {
+        await act(async () => {
+          vi.advanceTimersByTime(1500);
+        });
+      }
+
+      expect(result.current.gameState.phase).toBe(GAME_PHASES.PLAYING);
+      result.current.gameState.bids.forEach((bid) =>
+        expect(bid).not.toBe(null),
+      );
+    });
+
+    it("should crown the lowest score in hearts", () => {
+      const { result } = renderHook(() => useGameLogic(3));
+
+      expect(result.current.gameState.lowScoreWins).toBe(true);
+      expect(result.current.getGameWinner([4, 0, 9, 13]).player.id).toBe(
+        "player2",
+      );
+    });
+
+    it("should play a full game through to the winner modal", async () => {
+      const { result } = renderHook(() => useGameLogic(2, { maxRounds: 1 }));
+
+      act(() => {
+        result.current.startGame();
+      });
+
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      for (
+        let step = 0;
+        step < 200 && !result.current.showWinnerModal;
+        step++
+      ) {
+        const { gameState, legalCards } = result.current;
+        if (
+          gameState.phase === GAME_PHASES.PLAYING &&
+          gameState.currentPlayer === 0
+        ) {
+          act(() => {
+            result.current.playCard(legalCards[0], "player1");
+          });
+        }
+        await act(async () => {
+          vi.advanceTimersByTime(500);
+        });
+      }
+
+      const totalTricks = result.current.gameState.scores.reduce(
+        (sum, score) => sum + score,
+        0,
+      );
+      expect(result.current.showWinnerModal).toBe(true);
+      expect(result.current.gameState.phase).toBe(GAME_PHASES.GAME_OVER);
+      expect(totalTricks).toBe(CARDS_PER_PLAYER);
+    });
+  });
+
   describe("getGameWinner", () => {
     it("should be a function", () => {
       const { result } = renderHook(() => useGameLogic());
@@ -831,6 +1122,615 @@ describe("useGameLogic", () => {
     });
   });
 
+  describe("seeded deals", () => {
+    const dealHands = async (options) => {
+      const { result } = renderHook(() => useGameLogic(0, options));
+
+      act(() => {
+        result.current.startGame();
+      });
+
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      return result;
+    };
+
+    it("should record the seed it was given", () => {
+      const { result } = renderHook(() => useGameLogic(0, { seed: "bug-7" }));
+
+      expect(result.current.seed).toBe("bug-7");
+    });
+
+    it("should pick a random seed when none is given", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      expect(result.current.seed).toMatch(/^[0-9a-z]{8}$/);
+    });
+
+    it("should replay the same deal for the same seed", async () => {
+      const first = await dealHands({ seed: "replay" });
+      const second = await dealHands({ seed: "replay" });
+
+      expect(first.current.players.map((p) => p.hand)).toEqual(
+        second.current.players.map((p) => p.hand),
+      );
+    });
+
+    it("should re-deal from a seed set in the waiting room", async () => {
+      const expected = await dealHands({ seed: "typed" });
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setSeed("typed");
+        result.current.startGame();
+      });
+
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      expect(result.current.seed).toBe("typed");
+      expect(result.current.players[0].hand).toEqual(
+        expected.current.players[0].hand,
+      );
+    });
+
+    it("should ignore seed changes once the game has started", async () => {
+      const result = await dealHands({ seed: "locked" });
+
+      act(() => {
+        result.current.setSeed("changed");
+      });
+
+      expect(result.current.seed).toBe("locked");
+    });
+  });
+
+  describe("partnerships", () => {
+    it("should play solo by default", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      expect(result.current.gameState.teams).toBeNull();
+      expect(result.current.getGameWinner([1, 5, 3, 2]).team).toBeNull();
+    });
+
+    it("should team seats across the table when enabled", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setPartnerships(true);
+      });
+
+      expect(result.current.gameState.partnerships).toBe(true);
+      expect(result.current.gameState.teams).toEqual([
+        [0, 2],
+        [1, 3],
+      ]);
+    });
+
+    it("should name both partners of the winning team", () => {
+      const { result } = renderHook(() =>
+        useGameLogic(0, { partnerships: true }),
+      );
+
+      const winner = result.current.getGameWinner([2, 7, 2, 7]);
+
+      expect(winner.team.map((player) => player.id)).toEqual([
+        "player2",
+        "player4",
+      ]);
+    });
+
+    it("should ignore partnership changes once the game has started", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.startGame();
+        result.current.setPartnerships(true);
+      });
+
+      expect(result.current.gameState.teams).toBeNull();
+    });
+
+    it("should keep partnerships when the game is reset", () => {
+      const { result } = renderHook(() =>
+        useGameLogic(0, { partnerships: true }),
+      );
+
+      act(() => {
+        result.current.resetGame();
+      });
+
+      expect(result.current.gameState.partnerships).toBe(true);
+    });
+  });
+
+  describe("table size", () => {
+    it("should seat the number of players it was given", () => {
+      const { result } = renderHook(() => useGameLogic(0, { playerCount: 5 }));
+
+      expect(result.current.players).toHaveLength(5);
+      expect(result.current.gameState.playerCount).toBe(5);
+    });
+
+    it("should change the table size while waiting", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setPlayerCount(6);
+      });
+
+      expect(result.current.players.map((p) => p.name)).toEqual([
+        "Player",
+        "Alex",
+        "Sam",
+        "Jordan",
+        "Casey",
+        "Riley",
+      ]);
+    });
+
+    it("should ignore unsupported table sizes", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setPlayerCount(2);
+        result.current.setPlayerCount(7);
+        result.current.setPlayerCount("lots");
+      });
+
+      expect(result.current.players).toHaveLength(PLAYER_COUNT);
+    });
+
+    it("should keep the table size when the game is reset", () => {
+      const { result } = renderHook(() => useGameLogic(0, { playerCount: 3 }));
+
+      act(() => {
+        result.current.resetGame();
+      });
+
+      expect(result.current.players).toHaveLength(3);
+    });
+
+    it("should deal and rotate turns around a three-seat table", async () => {
+      const { result } = renderHook(() => useGameLogic(0, { playerCount: 3 }));
+
+      act(() => {
+        result.current.startGame();
+      });
+
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      result.current.players.forEach((player) =>
+        expect(player.hand).toHaveLength(CARDS_PER_PLAYER),
+      );
+      expect(result.current.gameState.phase).toBe(GAME_PHASES.PLAYING);
+    });
+  });
+
+  describe("AI difficulty", () => {
+    it("should set a computer seat's difficulty while waiting", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setAIDifficulty("player2", "hard");
+      });
+
+      expect(result.current.players[1].difficulty).toBe("hard");
+    });
+
+    it("should ignore the human seat and unknown difficulties", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setAIDifficulty("player1", "hard");
+        result.current.setAIDifficulty("player2", "impossible");
+        result.current.setAIDifficulty("player9", "easy");
+      });
+
+      result.current.players.forEach((player) =>
+        expect(player.difficulty).toBeUndefined(),
+      );
+    });
+
+    it("should accept a registered plugin bot", () => {
+      registerBot({
+        id: "plugin",
+        name: "Plugin",
+        chooseCard: (view) => view.legalCards[0],
+      });
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setAIDifficulty("player2", "plugin");
+      });
+      unregisterBot("plugin");
+
+      expect(result.current.players[1].difficulty).toBe("plugin");
+    });
+
+    it("should keep difficulties when the game is reset", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setAIDifficulty("player3", "easy");
+      });
+      act(() => {
+        result.current.resetGame();
+      });
+
+      expect(result.current.players[2].difficulty).toBe("easy");
+    });
+  });
+
+  describe("pass and play", () => {
+    it("should hand seats to people only while waiting", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setHumanSeat("player3", true);
+        result.current.setHumanSeat("player1", false);
+        result.current.setHumanSeat("player9", true);
+      });
+      expect(result.current.players[2].isHuman).toBe(true);
+      expect(result.current.players[0].isHuman).toBeUndefined();
+
+      act(() => {
+        result.current.startGame();
+        result.current.setHumanSeat("player2", true);
+      });
+      expect(result.current.players[1].isHuman).toBeUndefined();
+    });
+
+    it("should wait for each human and show the hand of whoever holds the device", async () => {
+      const { result } = renderHook(() => useGameLogic());
+      act(() => {
+        result.current.setHumanSeat("player3", true);
+      });
+      act(() => {
+        result.current.startGame();
+      });
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      for (
+        let step = 0;
+        step < 40 && result.current.handoffSeat === null;
+        step++
+      ) {
+        const { gameState, legalCards, viewerSeat } = result.current;
+        if (gameState.currentPlayer === viewerSeat) {
+          act(() => {
+            result.current.handleCardSelect(legalCards[0]);
+          });
+          act(() => {
+            result.current.handlePlaySelectedCard();
+          });
+        }
+        await act(async () => {
+          vi.advanceTimersByTime(500);
+        });
+      }
+      expect(result.current.handoffSeat).toBe(2);
+      expect(result.current.viewerSeat).toBe(0);
+
+      // Nobody plays for the seat while the device changes hands
+      await act(async () => {
+        vi.advanceTimersByTime(5000);
+      });
+      expect(result.current.gameState.currentPlayer).toBe(2);
+
+      act(() => {
+        result.current.takeDevice();
+      });
+      const { viewerSeat, legalCards, players } = result.current;
+      expect(viewerSeat).toBe(2);
+      expect(legalCards.length).toBeGreaterThan(0);
+      legalCards.forEach((card) =>
+        expect(players[2].hand).toContainEqual(card),
+      );
+    });
+  });
+
+  describe("hints", () => {
+    /**
+     * Starts a game and waits for the human seat's first turn to play
+     */
+    const reachMyTurn = async (result) => {
+      act(() => {
+        result.current.startGame();
+      });
+      for (
+        let step = 0;
+        step < 50 &&
+        !(
+          result.current.gameState.phase === GAME_PHASES.PLAYING &&
+          result.current.gameState.currentPlayer === 0
+        );
+        step++
+      ) {
+        await act(async () => {
+          vi.advanceTimersByTime(500);
+        });
+      }
+    };
+
+    it("should suggest a legal card and count the hint", async () => {
+      const { result } = renderHook(() => useGameLogic());
+      await reachMyTurn(result);
+
+      act(() => {
+        result.current.requestHint();
+      });
+
+      const { hint, legalCards, hintsLeft } = result.current;
+      expect(legalCards.map((c) => c.id)).toContain(hint.card.id);
+      expect(hint.reason).toMatch(/\w/);
+      expect(hintsLeft).toBe(2);
+    });
+
+    it("should clear the hint once the card is played", async () => {
+      const { result } = renderHook(() => useGameLogic());
+      await reachMyTurn(result);
+      act(() => {
+        result.current.requestHint();
+      });
+
+      act(() => {
+        result.current.playCard(result.current.hint.card, "player1");
+      });
+
+      expect(result.current.hint).toBeNull();
+    });
+
+    it("should not hint while waiting for the game to start", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.requestHint();
+      });
+
+      expect(result.current.hint).toBeNull();
+      expect(result.current.hintsLeft).toBe(3);
+    });
+
+    it("should only accept a hint limit while waiting", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setHintLimit("unlimited");
+      });
+      expect(result.current.hintsLeft).toBe(Infinity);
+
+      act(() => {
+        result.current.setHintLimit(-1);
+        result.current.startGame();
+        result.current.setHintLimit(0);
+      });
+      expect(result.current.hintLimit).toBe("unlimited");
+    });
+  });
+
+  describe("table talk", () => {
+    afterEach(() => {
+      localStorage.removeItem("tableTalkMuted");
+    });
+
+    /**
+     * Plays a one-hand match with the human seat leading its first legal
+     * card, noting every speech bubble that goes up
+     */
+    const playHand = async (result) => {
+      const spoken = [];
+      act(() => {
+        result.current.startGame();
+      });
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      for (
+        let step = 0;
+        step < 200 && !result.current.showWinnerModal;
+        step++
+      ) {
+        const { gameState, legalCards } = result.current;
+        if (
+          gameState.phase === GAME_PHASES.PLAYING &&
+          gameState.currentPlayer === 0
+        ) {
+          act(() => {
+            result.current.playCard(legalCards[0], "player1");
+          });
+        }
+        await act(async () => {
+          vi.advanceTimersByTime(500);
+        });
+        spoken.push(...Object.entries(result.current.speech));
+      }
+      return spoken;
+    };
+
+    it("should let computer seats with a personality speak", async () => {
+      const { result } = renderHook(() => useGameLogic(2, { maxRounds: 1 }));
+
+      const spoken = await playHand(result);
+
+      expect(spoken.length).toBeGreaterThan(0);
+      spoken.forEach(([playerId, text]) => {
+        expect(playerId).not.toBe("player1");
+        expect(typeof text).toBe("string");
+      });
+    });
+
+    it("should stay quiet when muted", async () => {
+      const { result } = renderHook(() => useGameLogic(2, { maxRounds: 1 }));
+      act(() => {
+        result.current.toggleTableTalk();
+      });
+
+      const spoken = await playHand(result);
+
+      expect(result.current.tableTalkMuted).toBe(true);
+      expect(spoken).toEqual([]);
+    });
+  });
+
+  describe("AI worker", () => {
+    /**
+     * Stand-in Web Worker that keeps every instance and message it gets
+     */
+    class FakeWorker {
+      static instances = [];
+
+      constructor() {
+        this.messages = [];
+        this.terminated = false;
+        FakeWorker.instances.push(this);
+      }
+
+      postMessage(message) {
+        this.messages.push(message);
+      }
+
+      terminate() {
+        this.terminated = true;
+      }
+    }
+
+    beforeEach(() => {
+      FakeWorker.instances = [];
+      vi.stubGlobal("Worker", FakeWorker);
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    /**
+     * Starts a game and plays the human seat's cards until a computer seat
+     * asks the worker for a card
+     */
+    const waitForWorker = async (result) => {
+      act(() => {
+        result.current.startGame();
+      });
+      for (let step = 0; step < 20; step++) {
+        if (FakeWorker.instances[0]?.messages.length) break;
+        const { gameState, legalCards } = result.current;
+        if (
+          gameState.phase === GAME_PHASES.PLAYING &&
+          gameState.currentPlayer === 0
+        ) {
+          act(() => {
+            result.current.playCard(legalCards[0], "player1");
+          });
+        }
+        await act(async () => {
+          vi.advanceTimersByTime(500);
+        });
+      }
+      return FakeWorker.instances[0];
+    };
+
+    it("should play the card the worker chooses", async () => {
+      const { result } = renderHook(() => useGameLogic());
+      const worker = await waitForWorker(result);
+      const [{ id, state, playerIndex }] = worker.messages;
+      const action = getAIAction(state, playerIndex);
+
+      await act(async () => {
+        worker.onmessage({ data: { id, action } });
+      });
+
+      expect(result.current.playArea[action.playerId]).toEqual(action.card);
+    });
+
+    it("should stop the worker and drop its answer on reset", async () => {
+      const { result } = renderHook(() => useGameLogic());
+      const worker = await waitForWorker(result);
+      const [{ id, state, playerIndex }] = worker.messages;
+
+      act(() => {
+        result.current.resetGame();
+      });
+      await act(async () => {
+        worker.onmessage({
+          data: { id, action: getAIAction(state, playerIndex) },
+        });
+      });
+
+      expect(worker.terminated).toBe(true);
+      expect(result.current.gameState.phase).toBe(GAME_PHASES.WAITING);
+      expect(Object.keys(result.current.playArea)).toHaveLength(0);
+    });
+  });
+
+  describe("hand size", () => {
+    it("should report the rule set's full-deck deal", () => {
+      const { result } = renderHook(() => useGameLogic(3));
+
+      expect(result.current.gameState.handSize).toBe("full");
+      expect(result.current.gameState.cardsPerHand).toBe(13);
+    });
+
+    it("should change the hand size while waiting", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setHandSize(10);
+      });
+
+      expect(result.current.gameState.handSize).toBe(10);
+      expect(result.current.gameState.cardsPerHand).toBe(10);
+    });
+
+    it("should ignore invalid hand sizes", () => {
+      const { result } = renderHook(() => useGameLogic());
+
+      act(() => {
+        result.current.setHandSize(0);
+        result.current.setHandSize(2.5);
+        result.current.setHandSize("lots");
+      });
+
+      expect(result.current.gameState.handSize).toBe(CARDS_PER_PLAYER);
+    });
+
+    it("should deal a full deck around a five-seat table", async () => {
+      const { result } = renderHook(() =>
+        useGameLogic(0, { playerCount: 5, handSize: "full" }),
+      );
+
+      act(() => {
+        result.current.startGame();
+      });
+
+      await act(async () => {
+        vi.advanceTimersByTime(2000);
+      });
+
+      result.current.players.forEach((player) =>
+        expect(player.hand).toHaveLength(10),
+      );
+    });
+
+    it("should keep the hand size when the game is reset", () => {
+      const { result } = renderHook(() => useGameLogic(0, { handSize: 5 }));
+
+      act(() => {
+        result.current.resetGame();
+      });
+
+      expect(result.current.gameState.cardsPerHand).toBe(5);
+    });
+  });
+
   describe("rule set selection", () => {
     it("should work with rule set 0 (highest card wins)", () => {
       const { result } = renderHook(() => useGameLogic(0));
@@ -0,0 +1,260 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  SESSION_TOKEN_KEY,
+  SERVER_URL_KEY,
+  CONNECTION_STATUS,
+  createRoomServer,
+  createRoomClient,
+  normalizeServerUrl,
+  getHeldServerUrl,
+  createPeerHost,
+  createPeerGuest,
+  openLoopback,
+  getInviteLink,
+} from "../multiplayer";
+
+export const PEER_ROLES = {
+  HOST: "host",
+  GUEST: "guest",
+  // A player of a room on a WebSocket server (`npm run server`)
+  SERVER: "server",
+};
+
+// Opens a connection to a room server
+const openWebSocket = (url) => new WebSocket(url);
+
+/**
+ * Peer session hook
+ * Hosts a room in this browser, joins one hosted in another over WebRTC,
+ * and keeps the codes the players swap to connect, or connects to a room
+ * server over WebSocket
+ *
+ * Every way the hook ends up with an ordinary room client for useRoomGame.
+ * The host's client reaches the room server in this tab through a loopback
+ * connection, and each guest's through its data channel. The host makes one
+ * invite per guest; a guest answers it, and answers a new one to get back in
+ * after a dropped connection. A server player's client opens a WebSocket,
+ * and opens a new one by itself after a drop. The server's address is kept
+ * beside the session token, so a tab reloaded while seated there connects
+ * back by itself and resumes the seat. The session ends when the player
+ * leaves or the component using the hook goes away.
+ *
+ * @param {Object} options - Session options
+ * @param {Function} options.createConnection - Makes an RTCPeerConnection
+ *   (the browser's by default)
+ * @param {Function} options.createSocket - Opens a WebSocket to a URL (the
+ *   browser's by default)
+ * @param {Storage} options.storage - Where the room client keeps its
+ *   session token and the server's address (sessionStorage by default)
+ * @returns {Object} The role and room client, the open invite or the
+ *   answer to send back, the last connection error and the session actions
+ */
+const usePeerSession = ({
+  createConnection,
+  createSocket = openWebSocket,
+  storage,
+} = {}) => {
+  const [session, setSession] = useState(null);
+  // Host's invite waiting for its answer, the guest's answer to the last
+  // invite and the room that invite was for
+  const [invite, setInvite] = useState(null);
+  const [answer, setAnswer] = useState(null);
+  const [invitedRoom, setInvitedRoom] = useState(null);
+  const [error, setError] = useState(null);
+
+  // A session ends once it is replaced or nothing uses it any more
+  useEffect(() => {
+    if (!session) return undefined;
+    return session.end;
+  }, [session]);
+
+  // An answer is used up once its connection opens; the next drop needs a
+  // new invite
+  useEffect(() => {
+    if (session?.role !== PEER_ROLES.GUEST) return undefined;
+    const { client } = session;
+    return client.subscribe(() => {
+      if (client.getSnapshot().status === CONNECTION_STATUS.OPEN) {
+        setAnswer(null);
+      }
+    });
+  }, [session]);
+
+  const begin = (next) => {
+    setSession(next);
+    setInvite(null);
+    setAnswer(null);
+    setInvitedRoom(null);
+    setError(null);
+  };
+
+  /**
+   * Starts a room server in this tab and connects this tab's client to it
+   */
+  const host = useCallback(() => {
+    // A new server holds no seats, so a token left in the tab is stale
+    (storage ?? globalThis.sessionStorage)?.removeItem(SESSION_TOKEN_KEY);
+    (storage ?? globalThis.sessionStorage)?.removeItem(SERVER_URL_KEY);
+    const server = createRoomServer();
+    const peers = createPeerHost({ server, createConnection });
+    const client = createRoomClient({
+      open: () => openLoopback(server),
+      storage,
+    });
+    begin({
+      role: PEER_ROLES.HOST,
+      client,
+      peers,
+      end: () => {
+        client.close();
+        peers.close();
+        server.close();
+      },
+    });
+  }, [createConnection, storage]);
+
+  /**
+   * Connects to a room server; a seat this tab held there is resumed
+   * @param {string} address - Server address, e.g. ws://localhost:8787
+   */
+  const connectServer = useCallback(
+    (address) => {
+      const url = normalizeServerUrl(address);
+      if (!url) {
+        setError("Enter a server address, e.g. ws://localhost:8787");
+        return;
+      }
+      (storage ?? globalThis.sessionStorage)?.setItem(SERVER_URL_KEY, url);
+      const client = createRoomClient({
+        open: () => createSocket(url),
+        storage,
+      });
+      begin({ role: PEER_ROLES.SERVER, client, end: () => client.close() });
+    },
+    [createSocket, storage],
+  );
+
+  // A tab reloaded while seated on a room server goes back to its seat. The
+  // session starts with the first word from the connection, so a client
+  // still connecting when the effect is torn down is simply closed
+  useEffect(() => {
+    if (session) return undefined;
+    const url = getHeldServerUrl(storage ?? globalThis.sessionStorage);
+    if (!url) return undefined;
+
+    const client = createRoomClient({ open: () => createSocket(url), storage });
+    let isStarted = false;
+    const unsubscribe = client.subscribe(() => {
+      if (isStarted) return;
+      isStarted = true;
+      unsubscribe();
+      begin({ role: PEER_ROLES.SERVER, client, end: () => client.close() });
+    });
+    return () => {
+      unsubscribe();
+      if (!isStarted) client.close();
+    };
+  }, [session, createSocket, storage]);
+
+  /**
+   * Makes an invite to the host's room for one more guest
+   */
+  const createInvite = useCallback(async () => {
+    const room = session?.client.getSnapshot().room;
+    if (session?.role !== PEER_ROLES.HOST || !room) return;
+    try {
+      const made = await session.peers.invite(room.code);
+      setInvite({ ...made, link: getInviteLink(made.code) });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [session]);
+
+  /**
+   * Connects the guest who answered the open invite
+   * @param {string} answerCode - The guest's answer code
+   */
+  const acceptAnswer = useCallback(
+    async (answerCode) => {
+      if (!invite) return;
+      try {
+        await invite.accept(answerCode);
+        setInvite(null);
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      }
+    },
+    [invite],
+  );
+
+  /**
+   * Answers a host's invite, joining as a guest the first time
+   * @param {string} inviteCode - The host's invite code
+   */
+  const answerInvite = useCallback(
+    async (inviteCode) => {
+      const isGuest = session?.role === PEER_ROLES.GUEST;
+      const peers = isGuest
+        ? session.peers
+        : createPeerGuest({ createConnection });
+
+      let reply;
+      try {
+        reply = await peers.answer(inviteCode);
+      } catch (err) {
+        if (!isGuest) peers.close();
+        setError(err.message);
+        return;
+      }
+
+      if (!isGuest) {
+        const client = createRoomClient({ open: peers.open, storage });
+        begin({
+          role: PEER_ROLES.GUEST,
+          client,
+          peers,
+          end: () => {
+            client.close();
+            peers.close();
+          },
+        });
+      }
+      setAnswer(reply.code);
+      setInvitedRoom(reply.room);
+      setError(null);
+    },
+    [session, createConnection, storage],
+  );
+
+  /**
+   * Gives up the seat and ends the session; a host's leaving ends the room
+   */
+  const leave = useCallback(() => {
+    session?.client.leaveRoom();
+    (storage ?? globalThis.sessionStorage)?.removeItem(SERVER_URL_KEY);
+    begin(null);
+  }, [session, storage]);
+
+  return {
+    role: session?.role ?? null,
+    client: session?.client ?? null,
+    // Invite code and link to share, or null when none is open
+    invite: invite && { code: invite.code, link: invite.link },
+    // Answer code for the host, or null once the guest is connected, and
+    // the code of the room the guest was invited to
+    answer,
+    invitedRoom,
+    error,
+
+    host,
+    connectServer,
+    createInvite,
+    acceptAnswer,
+    answerInvite,
+    leave,
+  };
+};
+
+export default usePeerSession;
@@ -0,0 +1,207 @@
+/**
+ * Unit tests for usePeerSession custom hook
+ * Connects a host tab and a guest tab through fake WebRTC connections
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import usePeerSession, { PEER_ROLES } from "./usePeerSession";
+import {
+  CONNECTION_STATUS,
+  createRoomServer,
+  openLoopback,
+} from "../multiplayer";
+import { createFakeNetwork, FAKE_LATENCY } from "../test/fakePeerNetwork";
+
+const createTabStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+describe("usePeerSession", () => {
+  let network;
+
+  const wait = (ms = FAKE_LATENCY) =>
+    act(() => vi.advanceTimersByTimeAsync(ms));
+
+  const renderTab = () => {
+    const options = {
+      createConnection: network.createConnection,
+      storage: createTabStorage(),
+    };
+    return renderHook(() => usePeerSession(options)).result;
+  };
+
+  /**
+   * Hosts a room in one tab and makes an invite to it
+   */
+  const hostRoom = async () => {
+    const host = renderTab();
+    act(() => host.current.host());
+    await wait(0);
+    act(() => {
+      host.current.client.createRoom("Ana", { ruleSetId: "suit-follows" });
+    });
+    await wait(0);
+    act(() => {
+      host.current.createInvite();
+    });
+    await wait();
+    return host;
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    network = createFakeNetwork();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should host a room and make an invite link to it", async () => {
+    const host = await hostRoom();
+
+    expect(host.current.role).toBe(PEER_ROLES.HOST);
+    expect(host.current.client.getSnapshot()).toMatchObject({
+      seat: 0,
+      isHost: true,
+    });
+    expect(host.current.invite.link).toContain(
+      `#join=${host.current.invite.code}`,
+    );
+  });
+
+  it("should connect a guest who answers the invite", async () => {
+    const host = await hostRoom();
+    const guest = renderTab();
+
+    act(() => {
+      guest.current.answerInvite(host.current.invite.code);
+    });
+    await wait();
+    expect(guest.current.role).toBe(PEER_ROLES.GUEST);
+    expect(guest.current.invitedRoom).toBe(
+      host.current.client.getSnapshot().room.code,
+    );
+
+    act(() => {
+      host.current.acceptAnswer(guest.current.answer);
+    });
+    await wait();
+
+    expect(host.current.invite).toBeNull();
+    expect(guest.current.answer).toBeNull();
+    expect(guest.current.client.getSnapshot().status).toBe(
+      CONNECTION_STATUS.OPEN,
+    );
+  });
+
+  describe("on a room server", () => {
+    let server;
+    let urls;
+
+    const renderServerTab = (storage = createTabStorage()) => {
+      const options = {
+        createSocket: (url) => {
+          urls.push(url);
+          return openLoopback(server);
+        },
+        storage,
+      };
+      return renderHook(() => usePeerSession(options));
+    };
+
+    beforeEach(() => {
+      server = createRoomServer({ createCode: () => "ROOM" });
+      urls = [];
+    });
+
+    afterEach(() => server.close());
+
+    it("should connect to the server at the address given", async () => {
+      const tab = renderServerTab().result;
+      act(() => tab.current.connectServer("localhost:9000"));
+      await wait(0);
+      act(() => {
+        tab.current.client.createRoom("Ana", { ruleSetId: "suit-follows" });
+      });
+      await wait(0);
+
+      expect(urls).toEqual(["ws://localhost:9000"]);
+      expect(tab.current.role).toBe(PEER_ROLES.SERVER);
+      expect(tab.current.client.getSnapshot()).toMatchObject({
+        status: CONNECTION_STATUS.OPEN,
+        seat: 0,
+      });
+      expect(server.getRoom("ROOM")).not.toBeNull();
+    });
+
+    it("should go back to the server and the seat after a reload", async () => {
+      const storage = createTabStorage();
+      const before = renderServerTab(storage);
+      act(() => before.result.current.connectServer("localhost:9000"));
+      await wait(0);
+      act(() => {
+        before.result.current.client.createRoom("Ana", {
+          ruleSetId: "suit-follows",
+        });
+      });
+      await wait(0);
+      before.unmount();
+
+      const after = renderServerTab(storage).result;
+      await wait(0);
+
+      expect(urls).toEqual(["ws://localhost:9000", "ws://localhost:9000"]);
+      expect(after.current.role).toBe(PEER_ROLES.SERVER);
+      expect(after.current.client.getSnapshot()).toMatchObject({
+        seat: 0,
+        room: { code: "ROOM" },
+      });
+    });
+
+    it("should not go back to a server the player left", async () => {
+      const storage = createTabStorage();
+      const before = renderServerTab(storage);
+      act(() => before.result.current.connectServer("localhost:9000"));
+      await wait(0);
+      act(() => {
+        before.result.current.client.createRoom("Ana", {
+          ruleSetId: "suit-follows",
+        });
+      });
+      await wait(0);
+      act(() => before.result.current.leave());
+      before.unmount();
+
+      const after = renderServerTab(storage).result;
+      await wait(0);
+
+      expect(after.current.role).toBeNull();
+    });
+
+    it("should refuse an address that is not a server", () => {
+      const tab = renderServerTab().result;
+      act(() => tab.current.connectServer("ftp://example.com"));
+
+      expect(tab.current.role).toBeNull();
+      expect(tab.current.error).toBe(
+        "Enter a server address, e.g. ws://localhost:8787",
+      );
+    });
+  });
+
+  it("should report a code that is not an invite", async () => {
+    const guest = renderTab();
+
+    await act(() => guest.current.answerInvite("nonsense"));
+
+    expect(guest.current.role).toBeNull();
+    expect(guest.current.error).toBe("That is not an invite code");
+  });
+});
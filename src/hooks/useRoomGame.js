@@ -0,0 +1,158 @@
+import { useState, useMemo, useSyncExternalStore } from "react";
+import {
+  CARD_POSITIONS,
+  TRICK_CARD_POSITIONS,
+  GAME_PHASES,
+} from "../constants";
+import { getLegalCards, getPassInfo, ENGINE_ACTIONS } from "../engine";
+import { getTableState } from "./game/tableState";
+
+// Snapshot while there is no client to read one from
+const NO_SNAPSHOT = {
+  status: null,
+  room: null,
+  seat: null,
+  isHost: false,
+  godView: false,
+  game: null,
+  events: [],
+  turnEndsAt: null,
+  chat: [],
+  newChat: [],
+  error: null,
+};
+const subscribeToNothing = () => () => {};
+const getNoSnapshot = () => NO_SNAPSHOT;
+
+/**
+ * Identifies the turn a choice is made in, so a choice left over from an
+ * earlier turn is dropped
+ */
+const getTurnKey = (game) =>
+  game
+    ? [game.round, game.phase, game.currentPlayer, game.ledger.plays.length]
+        .map(String)
+        .join(":")
+    : "";
+
+/**
+ * Networked game hook
+ * Reads a room client's snapshot and turns the seat view into what the
+ * table components take, with handlers that send the seat's actions to the
+ * room. It does not care how the client is connected, so a room on a
+ * WebSocket server and one hosted in a browser play the same way.
+ *
+ * The room deals, collects tricks and plays the computer seats itself, so
+ * unlike useGameLogic there is nothing to schedule: the hook only keeps the
+ * card and pass choices the player is still making.
+ *
+ * @param {Object|null} client - Room client from createRoomClient
+ * @returns {Object} The client's snapshot, the table's view of the game and
+ *   action handlers
+ */
+const useRoomGame = (client) => {
+  const snapshot = useSyncExternalStore(
+    client?.subscribe ?? subscribeToNothing,
+    client?.getSnapshot ?? getNoSnapshot,
+  );
+  const { game, seat } = snapshot;
+  const turnKey = getTurnKey(game);
+
+  // Choices are kept with the turn they were made in
+  const [choice, setChoice] = useState({ turnKey: "", card: null, pass: [] });
+  const current =
+    choice.turnKey === turnKey ? choice : { turnKey, card: null, pass: [] };
+
+  // The viewer's own seat is the one labelled "(You)", wherever it sits
+  const players = useMemo(
+    () =>
+      game?.players.map((player, idx) => ({
+        ...player,
+        isYou: idx === seat,
+      })) ?? [],
+    [game, seat],
+  );
+
+  const gameState = useMemo(
+    () => (game ? getTableState(game, seat) : null),
+    [game, seat],
+  );
+
+  const legalCards = useMemo(
+    () => (game && seat !== null ? getLegalCards(game, seat) : []),
+    [game, seat],
+  );
+
+  const isOwnTurn = (phase) =>
+    game?.phase === phase && seat !== null && game.currentPlayer === seat;
+
+  const handleCardSelect = (card) => {
+    if (game?.phase === GAME_PHASES.PASSING && !gameState.hasPassed) {
+      const { count } = getPassInfo(game);
+      const isPicked = current.pass.some((picked) => picked.id === card.id);
+      if (!isPicked && current.pass.length >= count) return;
+      setChoice({
+        ...current,
+        pass: isPicked
+          ? current.pass.filter((picked) => picked.id !== card.id)
+          : [...current.pass, card],
+      });
+      return;
+    }
+    if (!isOwnTurn(GAME_PHASES.PLAYING)) return;
+    setChoice({
+      ...current,
+      card: current.card?.id === card.id ? null : card,
+    });
+  };
+
+  const sendAction = (action) => client?.sendAction(action) ?? false;
+
+  const handlePlaySelectedCard = () => {
+    if (!current.card || !isOwnTurn(GAME_PHASES.PLAYING)) return;
+    sendAction({ type: ENGINE_ACTIONS.PLAY_CARD, card: current.card });
+  };
+
+  const passSelectedCards = () => {
+    const passInfo = game && getPassInfo(game);
+    if (!passInfo || current.pass.length !== passInfo.count) return;
+    sendAction({ type: ENGINE_ACTIONS.PASS_CARDS, cards: current.pass });
+  };
+
+  /**
+   * Places the seat's bid
+   * Networked tables deal every hand face up, so there is no blind nil
+   * @param {number} tricks - Tricks bid, 0 for nil
+   */
+  const placeBid = (tricks) => {
+    if (!isOwnTurn(GAME_PHASES.BIDDING)) return;
+    sendAction({ type: ENGINE_ACTIONS.PLACE_BID, bid: tricks });
+  };
+
+  const nextHand = () => sendAction({ type: ENGINE_ACTIONS.NEXT_HAND });
+
+  const playAreaCards = game ? Object.entries(game.playArea) : [];
+  const cardPositions = (
+    TRICK_CARD_POSITIONS[players.length] ?? CARD_POSITIONS
+  ).slice(0, playAreaCards.length);
+
+  return {
+    ...snapshot,
+    gameState,
+    players,
+    playAreaCards,
+    cardPositions,
+    trickWinner: game?.trickWinner ?? null,
+    selectedCard: current.card,
+    legalCards,
+    passSelection: current.pass,
+
+    handleCardSelect,
+    handlePlaySelectedCard,
+    passSelectedCards,
+    placeBid,
+    nextHand,
+  };
+};
+
+export default useRoomGame;
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for useRoomGame custom hook
+ * Plays a room on an in-memory server through a loopback room client
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import useRoomGame from "./useRoomGame";
+import {
+  createRoomServer,
+  createRoomClient,
+  openLoopback,
+} from "../multiplayer";
+import { GAME_PHASES } from "../constants";
+
+const createTabStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+describe("useRoomGame", () => {
+  let server;
+  let client;
+
+  const flush = () => act(() => vi.advanceTimersByTimeAsync(0));
+
+  /**
+   * Seats the client alone with computer players and starts the game
+   */
+  const startSoloGame = async () => {
+    await flush();
+    client.createRoom("Ana", { ruleSetId: "suit-follows" });
+    client.startGame();
+    await flush();
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    server = createRoomServer({
+      timings: { turnDelay: 10, trickDelay: 10 },
+      createCode: () => "ROOM",
+    });
+    client = createRoomClient({
+      open: () => openLoopback(server),
+      storage: createTabStorage(),
+    });
+  });
+
+  afterEach(() => {
+    client.close();
+    server.close();
+    vi.useRealTimers();
+  });
+
+  it("should have no game without a client", () => {
+    const { result } = renderHook(() => useRoomGame(null));
+
+    expect(result.current.game).toBeNull();
+    expect(result.current.gameState).toBeNull();
+    expect(result.current.players).toEqual([]);
+  });
+
+  it("should show the table from the client's seat", async () => {
+    const { result } = renderHook(() => useRoomGame(client));
+    await startSoloGame();
+
+    const { seat, players, gameState } = result.current;
+    expect(seat).toBe(0);
+    expect(gameState.phase).toBe(GAME_PHASES.PLAYING);
+    expect(players.map(({ isYou }) => isYou)).toEqual([
+      true,
+      false,
+      false,
+      false,
+    ]);
+    expect(players[1].hand.every((card) => card.hidden)).toBe(true);
+  });
+
+  it("should send the selected card when it is the seat's turn", async () => {
+    const { result } = renderHook(() => useRoomGame(client));
+    await startSoloGame();
+    while (result.current.gameState.currentPlayer !== 0) {
+      await act(() => vi.advanceTimersByTimeAsync(10));
+    }
+
+    const [card] = result.current.legalCards;
+    act(() => result.current.handleCardSelect(card));
+    expect(result.current.selectedCard).toEqual(card);
+
+    act(() => result.current.handlePlaySelectedCard());
+    await flush();
+
+    const { game } = server.getRoom("ROOM");
+    expect(game.ledger.plays.at(-1)).toMatchObject({
+      playerId: "player1",
+      card: { id: card.id },
+    });
+    expect(result.current.selectedCard).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+import { useState, useCallback, useEffect, useRef } from "react";
+import { TABLE_TALK_TIMINGS } from "../constants";
+
+// localStorage key for the mute preference
+const MUTED_KEY = "tableTalkMuted";
+
+/**
+ * Custom hook for computer players' speech bubbles
+ * Shows one bubble at a time for TABLE_TALK_TIMINGS.bubbleDuration, keeps
+ * the table quiet for TABLE_TALK_TIMINGS.cooldown after each one, and
+ * remembers whether table talk is muted
+ *
+ * @returns {Object} Bubbles by player id, say, and the mute state and toggle
+ */
+const useTableTalk = () => {
+  const [speech, setSpeech] = useState({});
+  const [muted, setMuted] = useState(() => {
+    if (typeof window !== "undefined") {
+      return localStorage.getItem(MUTED_KEY) === "true";
+    }
+    return false;
+  });
+  const mutedRef = useRef(muted);
+  const lastSpokeAtRef = useRef(-Infinity);
+  const clearIdRef = useRef(null);
+
+  useEffect(() => {
+    mutedRef.current = muted;
+    localStorage.setItem(MUTED_KEY, String(muted));
+  }, [muted]);
+
+  useEffect(() => () => clearTimeout(clearIdRef.current), []);
+
+  const clearSpeech = useCallback(() => {
+    clearTimeout(clearIdRef.current);
+    setSpeech({});
+  }, []);
+
+  /**
+   * Shows a bubble for a seat unless table talk is muted or another bubble
+   * went up too recently
+   * @param {string} playerId - Seat that speaks
+   * @param {string} text - What it says
+   * @returns {boolean} True if the bubble is shown
+   */
+  const say = useCallback((playerId, text) => {
+    const now = Date.now();
+    if (
+      mutedRef.current ||
+      now - lastSpokeAtRef.current < TABLE_TALK_TIMINGS.cooldown
+    ) {
+      return false;
+    }
+
+    lastSpokeAtRef.current = now;
+    clearTimeout(clearIdRef.current);
+    setSpeech({ [playerId]: text });
+    clearIdRef.current = setTimeout(
+      () => setSpeech({}),
+      TABLE_TALK_TIMINGS.bubbleDuration,
+    );
+    return true;
+  }, []);
+
+  const toggleMuted = useCallback(() => {
+    setMuted((prev) => !prev);
+    clearSpeech();
+  }, [clearSpeech]);
+
+  return { speech, say, clearSpeech, muted, toggleMuted };
+};
+
+export default useTableTalk;
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for useTableTalk custom hook
+ * Tests speech bubbles, the cooldown between them, and the mute preference
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import useTableTalk from "./useTableTalk";
+import { TABLE_TALK_TIMINGS } from "../constants";
+
+describe("useTableTalk", () => {
+  let originalLocalStorage;
+  let mockLocalStorage;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    originalLocalStorage = window.localStorage;
+    mockLocalStorage = {
+      store: {},
+      getItem: vi.fn((key) => mockLocalStorage.store[key] || null),
+      setItem: vi.fn((key, value) => {
+        mockLocalStorage.store[key] = value.toString();
+      }),
+    };
+    Object.defineProperty(window, "localStorage", {
+      value: mockLocalStorage,
+      writable: true,
+    });
+  });
+
+  afterEach(() => {
+    Object.defineProperty(window, "localStorage", {
+      value: originalLocalStorage,
+      writable: true,
+    });
+    vi.clearAllMocks();
+    vi.useRealTimers();
+  });
+
+  describe("speech bubbles", () => {
+    it("should start with nobody speaking", () => {
+      const { result } = renderHook(() => useTableTalk());
+      expect(result.current.speech).toEqual({});
+      expect(result.current.muted).toBe(false);
+    });
+
+    it("should show a bubble for the speaking seat", () => {
+      const { result } = renderHook(() => useTableTalk());
+
+      let shown;
+      act(() => {
+        shown = result.current.say("player2", "Ha, trumped!");
+      });
+
+      expect(shown).toBe(true);
+      expect(result.current.speech).toEqual({ player2: "Ha, trumped!" });
+    });
+
+    it("should clear the bubble after its duration", () => {
+      const { result } = renderHook(() => useTableTalk());
+      act(() => {
+        result.current.say("player2", "Mine!");
+      });
+
+      act(() => {
+        vi.advanceTimersByTime(TABLE_TALK_TIMINGS.bubbleDuration);
+      });
+
+      expect(result.current.speech).toEqual({});
+    });
+
+    it("should keep quiet until the cooldown has passed", () => {
+      const { result } = renderHook(() => useTableTalk());
+      act(() => {
+        result.current.say("player2", "Mine!");
+      });
+
+      let shown;
+      act(() => {
+        shown = result.current.say("player3", "Oh dear.");
+      });
+      expect(shown).toBe(false);
+      expect(result.current.speech).toEqual({ player2: "Mine!" });
+
+      act(() => {
+        vi.advanceTimersByTime(TABLE_TALK_TIMINGS.cooldown);
+        shown = result.current.say("player3", "Oh dear.");
+      });
+      expect(shown).toBe(true);
+      expect(result.current.speech).toEqual({ player3: "Oh dear." });
+    });
+
+    it("should clear speech on request", () => {
+      const { result } = renderHook(() => useTableTalk());
+      act(() => {
+        result.current.say("player2", "Mine!");
+      });
+
+      act(() => {
+        result.current.clearSpeech();
+      });
+
+      expect(result.current.speech).toEqual({});
+    });
+  });
+
+  describe("muting", () => {
+    it("should not show bubbles while muted", () => {
+      const { result } = renderHook(() => useTableTalk());
+      act(() => {
+        result.current.toggleMuted();
+      });
+
+      let shown;
+      act(() => {
+        shown = result.current.say("player2", "Mine!");
+      });
+
+      expect(shown).toBe(false);
+      expect(result.current.speech).toEqual({});
+    });
+
+    it("should clear the current bubble when muted", () => {
+      const { result } = renderHook(() => useTableTalk());
+      act(() => {
+        result.current.say("player2", "Mine!");
+      });
+
+      act(() => {
+        result.current.toggleMuted();
+      });
+
+      expect(result.current.muted).toBe(true);
+      expect(result.current.speech).toEqual({});
+    });
+
+    it("should remember the mute preference", () => {
+      const { result } = renderHook(() => useTableTalk());
+      act(() => {
+        result.current.toggleMuted();
+      });
+
+      expect(mockLocalStorage.setItem).toHaveBeenCalledWith(
+        "tableTalkMuted",
+        "true",
+      );
+    });
+
+    it("should load a saved mute preference", () => {
+      mockLocalStorage.store.tableTalkMuted = "true";
+      const { result } = renderHook(() => useTableTalk());
+      expect(result.current.muted).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Room Client
+ * The player's side of the room protocol: one connection to a room server
+ * that survives dropped connections and page reloads
+ *
+ * The client keeps the latest room summary and seat view in a snapshot any
+ * UI can subscribe to (the pair fits React's useSyncExternalStore). Once
+ * seated it stores the session token the server hands out. When the
+ * connection drops it reconnects after a growing pause, and every new
+ * connection, the first one after a reload included, sends the token back to
+ * resume the seat. The server answers with the room and a full view of the
+ * game, so the trick on the table, the lead, the hand and the turn clock pick
+ * up where they were. A spectator has no seat to resume, so it simply
+ * watches the same room again.
+ *
+ * Chat arrives the same way: the snapshot holds the room's recent messages,
+ * which the server sends in full whenever the client comes into a room.
+ *
+ * Connections are made through `open`, which returns anything shaped like a
+ * WebSocket (send, close and the onopen, onmessage and onclose handlers), so
+ * the client does not depend on one transport.
+ */
+
+import {
+  DEFAULT_SERVER_PORT,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  CHAT_HISTORY_LIMIT,
+  parseMessage,
+} from "./protocol";
+
+// sessionStorage key for the session token. sessionStorage outlives a
+// reload but not the tab, and each tab keeps its own, so two tabs on one
+// machine hold two seats
+export const SESSION_TOKEN_KEY = "roomSessionToken";
+
+// sessionStorage key for the address of the room server that holds the
+// seat, so a reloaded tab knows where to resume it
+export const SERVER_URL_KEY = "roomServerUrl";
+
+// Pauses before each attempt to reconnect (milliseconds); the last repeats
+export const RECONNECT_DELAYS = [500, 1000, 2000, 5000];
+
+export const CONNECTION_STATUS = {
+  CONNECTING: "connecting",
+  OPEN: "open",
+  RECONNECTING: "reconnecting",
+  CLOSED: "closed",
+};
+
+/**
+ * Guesses the address of a room server started with `npm run server` on the
+ * machine serving the page
+ * @param {Object} location - Page location (the current page by default)
+ * @returns {string} WebSocket address on DEFAULT_SERVER_PORT, secure on a
+ *   secure page
+ */
+export const getDefaultServerUrl = (location = globalThis.location) => {
+  const scheme = location?.protocol === "https:" ? "wss" : "ws";
+  const host = location?.hostname || "localhost";
+  return `${scheme}://${host}:${DEFAULT_SERVER_PORT}`;
+};
+
+/**
+ * Reads a room server address typed by a player
+ * @param {string} address - Address, with or without ws:// or wss://; an
+ *   http:// or https:// one is read as its WebSocket twin
+ * @returns {string|null} WebSocket URL, or null when it cannot be one
+ */
+export const normalizeServerUrl = (address) => {
+  const trimmed = String(address ?? "")
+    .trim()
+    .replace(/^http(s?):\/\//i, "ws$1://");
+  if (!trimmed) return null;
+  if (/^[a-z]+:\/\//i.test(trimmed) && !/^wss?:\/\//i.test(trimmed)) {
+    return null;
+  }
+  const withScheme = /^wss?:\/\//i.test(trimmed) ? trimmed : `ws://${trimmed}`;
+  try {
+    const url = new URL(withScheme);
+    return url.hostname ? url.toString().replace(/\/$/, "") : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Finds the room server a reloaded tab still holds a seat on
+ * @param {Storage} storage - Where the session is kept (sessionStorage by
+ *   default)
+ * @returns {string|null} The server's address, or null without a seat there
+ */
+export const getHeldServerUrl = (storage = globalThis.sessionStorage) =>
+  storage?.getItem(SESSION_TOKEN_KEY)
+    ? (storage.getItem(SERVER_URL_KEY) ?? null)
+    : null;
+
+/**
+ * Converts the end of a turn clock into whole seconds left
+ * @param {number|null} turnEndsAt - When the clock runs out (epoch ms), or
+ *   null when none is running
+ * @param {number} now - Current time (epoch ms)
+ * @returns {number|null} Seconds left, rounded up, or null without a clock
+ */
+export const getTurnSecondsLeft = (turnEndsAt, now = Date.now()) =>
+  turnEndsAt === null
+    ? null
+    : Math.max(Math.ceil((turnEndsAt - now) / 1000), 0);
+
+/**
+ * Creates a room client and connects it
+ * @param {Object} options - Client options
+ * @param {Function} options.open - Opens a connection to the room server and
+ *   returns it, e.g. `() => new WebSocket(url)`
+ * @param {Storage} options.storage - Where the session token is kept
+ *   (sessionStorage by default)
+ * @returns {Object} subscribe and getSnapshot, a sender for each client
+ *   message, and close
+ */
+export const createRoomClient = ({
+  open,
+  storage = globalThis.sessionStorage,
+}) => {
+  let snapshot = {
+    status: CONNECTION_STATUS.CONNECTING,
+    // Summary of the room, the client's seat in it (null for a spectator),
+    // the sender id its own chat messages carry, whether it hosts and
+    // whether its god view is on
+    room: null,
+    seat: null,
+    ownSenderId: null,
+    isHost: false,
+    godView: false,
+    // Seat view of the game, the events in its last update and when the turn
+    // clock runs out (epoch ms, null when none is running)
+    game: null,
+    events: [],
+    turnEndsAt: null,
+    // Room's recent chat messages, oldest first, and those the last chat
+    // update brought in (none when it was the room's history)
+    chat: [],
+    newChat: [],
+    // Last error the server reported
+    error: null,
+  };
+  const listeners = new Set();
+  let connection = null;
+  let attempts = 0;
+  let retryTimer = null;
+  let isClosed = false;
+  // Code of the room being watched, to watch again after a reconnect
+  let watching = null;
+
+  const update = (changes) => {
+    snapshot = { ...snapshot, ...changes };
+    listeners.forEach((listener) => listener());
+  };
+
+  const send = (type, fields = {}) => {
+    if (snapshot.status !== CONNECTION_STATUS.OPEN) return false;
+    connection.send(JSON.stringify({ type, ...fields }));
+    return true;
+  };
+
+  const forgetSeat = () => {
+    storage?.removeItem(SESSION_TOKEN_KEY);
+    watching = null;
+    update({
+      room: null,
+      seat: null,
+      ownSenderId: null,
+      isHost: false,
+      godView: false,
+      game: null,
+      events: [],
+      turnEndsAt: null,
+      chat: [],
+      newChat: [],
+    });
+  };
+
+  const handleMessage = (message) => {
+    switch (message?.type) {
+      case SERVER_MESSAGES.SEATED:
+        storage?.setItem(SESSION_TOKEN_KEY, message.token);
+        update({ seat: message.seat, error: null });
+        break;
+      case SERVER_MESSAGES.ROOM_UPDATED:
+        watching = message.seat === null ? message.room.code : null;
+        update({
+          room: message.room,
+          seat: message.seat,
+          ownSenderId: message.ownSenderId,
+          isHost: message.isHost,
+          godView: Boolean(message.godView),
+        });
+        break;
+      case SERVER_MESSAGES.GAME_STATE:
+        update({
+          game: message.state,
+          events: message.events,
+          turnEndsAt:
+            message.turnTimeLeft === null
+              ? null
+              : Date.now() + message.turnTimeLeft,
+        });
+        break;
+      case SERVER_MESSAGES.CHAT:
+        update(
+          message.history
+            ? { chat: message.messages, newChat: [] }
+            : {
+                chat: [...snapshot.chat, ...message.messages].slice(
+                  -CHAT_HISTORY_LIMIT,
+                ),
+                newChat: message.messages,
+              },
+        );
+        break;
+      case SERVER_MESSAGES.ERROR:
+        // The seat is gone or another connection took it over
+        if (message.of === CLIENT_MESSAGES.RESUME) forgetSeat();
+        update({ error: message.message });
+        break;
+      default:
+        break;
+    }
+  };
+
+  const connect = () => {
+    const socket = open();
+    connection = socket;
+
+    socket.onopen = () => {
+      attempts = 0;
+      update({ status: CONNECTION_STATUS.OPEN });
+      const token = storage?.getItem(SESSION_TOKEN_KEY);
+      if (token) {
+        send(CLIENT_MESSAGES.RESUME, { token });
+      } else if (watching) {
+        send(CLIENT_MESSAGES.SPECTATE, { code: watching });
+        if (snapshot.godView) {
+          send(CLIENT_MESSAGES.SET_GOD_VIEW, { enabled: true });
+        }
+      }
+    };
+    socket.onmessage = (event) =>
+      handleMessage(parseMessage(String(event.data)));
+    socket.onclose = () => {
+      if (isClosed || connection !== socket) return;
+      const delay =
+        RECONNECT_DELAYS[Math.min(attempts, RECONNECT_DELAYS.length - 1)];
+      attempts += 1;
+      update({ status: CONNECTION_STATUS.RECONNECTING });
+      retryTimer = setTimeout(connect, delay);
+    };
+  };
+
+  connect();
+
+  return {
+    /**
+     * Registers a function called after every snapshot change
+     * @returns {Function} Unsubscribes it
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+
+    // Each sender returns false when there is no open connection to send on
+    createRoom: (name, settings) =>
+      send(CLIENT_MESSAGES.CREATE_ROOM, { name, settings }),
+    joinRoom: (code, name) => send(CLIENT_MESSAGES.JOIN_ROOM, { code, name }),
+    spectate: (code) => send(CLIENT_MESSAGES.SPECTATE, { code }),
+    // Creates a room to watch computer players in
+    createSpectatorRoom: (settings) =>
+      send(CLIENT_MESSAGES.CREATE_ROOM, { settings, spectate: true }),
+    setGodView: (enabled) => send(CLIENT_MESSAGES.SET_GOD_VIEW, { enabled }),
+    leaveRoom: () => {
+      const sent = send(CLIENT_MESSAGES.LEAVE_ROOM);
+      forgetSeat();
+      return sent;
+    },
+    setReady: (ready) => send(CLIENT_MESSAGES.SET_READY, { ready }),
+    startGame: () => send(CLIENT_MESSAGES.START_GAME),
+    sendAction: (action) => send(CLIENT_MESSAGES.ACTION, { action }),
+    sendChat: (text) => send(CLIENT_MESSAGES.CHAT, { text }),
+    sendEmote: (emote) => send(CLIENT_MESSAGES.CHAT, { emote }),
+
+    /**
+     * Closes the connection for good; the seat stays held for a reload
+     */
+    close: () => {
+      isClosed = true;
+      clearTimeout(retryTimer);
+      connection.close();
+      update({ status: CONNECTION_STATUS.CLOSED });
+    },
+  };
+};
@@ -0,0 +1,243 @@
+/**
+ * Unit tests for the room client
+ * Connects clients to an in-memory room server through fake sockets
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  createRoomClient,
+  getTurnSecondsLeft,
+  getDefaultServerUrl,
+  normalizeServerUrl,
+  SESSION_TOKEN_KEY,
+  RECONNECT_DELAYS,
+  CONNECTION_STATUS,
+} from "./client";
+import { createRoomServer } from "./rooms";
+import { parseMessage } from "./protocol";
+import { GAME_PHASES } from "../constants";
+
+/**
+ * Storage that lives as long as a browser tab would
+ */
+const createTabStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+// Time a fake connection takes to open (milliseconds)
+const LATENCY = 5;
+
+describe("room client", () => {
+  let server;
+  let sockets;
+
+  /**
+   * Opens a WebSocket-shaped connection to the in-memory server
+   */
+  const open = () => {
+    const socket = {};
+    const handle = server.connect((message) =>
+      socket.onmessage?.({ data: JSON.stringify(message) }),
+    );
+    socket.send = (text) => handle.receive(parseMessage(text));
+    socket.close = () => {
+      handle.disconnect();
+      socket.onclose?.();
+    };
+    sockets.push(socket);
+    setTimeout(() => socket.onopen?.(), LATENCY);
+    return socket;
+  };
+
+  // Drops the newest connection as a network failure would
+  const dropConnection = () => sockets[sockets.length - 1].close();
+
+  const connectClient = (storage = createTabStorage()) => {
+    const client = createRoomClient({ open, storage });
+    vi.advanceTimersByTime(LATENCY);
+    return client;
+  };
+
+  const startSoloGame = (client) => {
+    client.createRoom("Ana", { ruleSetId: "suit-follows" });
+    client.startGame();
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    sockets = [];
+    server = createRoomServer({
+      timings: { turnDelay: 10, trickDelay: 10 },
+      createCode: () => "ROOM",
+    });
+  });
+
+  afterEach(() => {
+    server.close();
+    vi.useRealTimers();
+  });
+
+  it("should connect and tell subscribers about changes", () => {
+    const client = createRoomClient({ open, storage: createTabStorage() });
+    const listener = vi.fn();
+    client.subscribe(listener);
+
+    expect(client.getSnapshot().status).toBe(CONNECTION_STATUS.CONNECTING);
+    expect(client.createRoom("Ana", {})).toBe(false);
+    vi.advanceTimersByTime(LATENCY);
+
+    expect(client.getSnapshot().status).toBe(CONNECTION_STATUS.OPEN);
+    expect(listener).toHaveBeenCalled();
+  });
+
+  it("should keep the session token once seated", () => {
+    const storage = createTabStorage();
+    const client = connectClient(storage);
+    startSoloGame(client);
+
+    const snapshot = client.getSnapshot();
+    expect(snapshot.seat).toBe(0);
+    expect(snapshot.room.code).toBe("ROOM");
+    expect(snapshot.game.phase).toBe(GAME_PHASES.PLAYING);
+    expect(storage.getItem(SESSION_TOKEN_KEY)).toBe(
+      server.getRoom("ROOM").seats[0].token,
+    );
+  });
+
+  it("should reconnect after a drop and resume the seat", () => {
+    const client = connectClient();
+    startSoloGame(client);
+    dropConnection();
+
+    expect(client.getSnapshot().status).toBe(CONNECTION_STATUS.RECONNECTING);
+    expect(server.getRoom("ROOM").seats[0].clientId).toBeNull();
+
+    vi.advanceTimersByTime(RECONNECT_DELAYS[0] + LATENCY);
+
+    const { status, seat, game } = client.getSnapshot();
+    const room = server.getRoom("ROOM");
+    expect(status).toBe(CONNECTION_STATUS.OPEN);
+    expect(seat).toBe(0);
+    expect(room.seats[0].clientId).not.toBeNull();
+    expect(game.players[0].hand).toEqual(room.game.players[0].hand);
+  });
+
+  it("should resume the seat after a reload", () => {
+    const storage = createTabStorage();
+    const before = connectClient(storage);
+    startSoloGame(before);
+    dropConnection();
+    before.close();
+
+    const after = connectClient(storage);
+    const { game, turnEndsAt } = after.getSnapshot();
+    const room = server.getRoom("ROOM");
+
+    expect(game.playArea).toEqual(room.game.playArea);
+    expect(game.leadPlayerId).toBe(room.game.leadPlayerId);
+    expect(turnEndsAt === null).toBe(room.clock === null);
+  });
+
+  it("should forget a seat the server no longer holds", () => {
+    const storage = createTabStorage();
+    storage.setItem(SESSION_TOKEN_KEY, "stale");
+    const client = connectClient(storage);
+
+    expect(client.getSnapshot().error).toBe("Your seat is no longer held");
+    expect(storage.getItem(SESSION_TOKEN_KEY)).toBeNull();
+  });
+
+  it("should forget the seat on leaving the room", () => {
+    const storage = createTabStorage();
+    const client = connectClient(storage);
+    startSoloGame(client);
+    client.leaveRoom();
+
+    expect(client.getSnapshot().game).toBeNull();
+    expect(storage.getItem(SESSION_TOKEN_KEY)).toBeNull();
+    expect(server.getRoom("ROOM")).toBeNull();
+  });
+
+  it("should watch the same room again after a reconnect", () => {
+    const host = connectClient();
+    startSoloGame(host);
+    const watcher = connectClient();
+    watcher.spectate("ROOM");
+    expect(watcher.getSnapshot()).toMatchObject({ seat: null });
+    expect(watcher.getSnapshot().game).not.toBeNull();
+
+    dropConnection();
+    expect(server.getRoom("ROOM").spectators.size).toBe(0);
+    vi.advanceTimersByTime(RECONNECT_DELAYS[0] + LATENCY);
+
+    expect(server.getRoom("ROOM").spectators.size).toBe(1);
+    expect(watcher.getSnapshot().room.code).toBe("ROOM");
+  });
+
+  it("should keep the room's chat and what each update brought", () => {
+    const host = connectClient();
+    host.createRoom("Ana", { ruleSetId: "suit-follows" });
+    host.sendChat("Hello");
+    host.sendEmote("GG");
+    expect(
+      host.getSnapshot().chat.map(({ text, emote }) => text ?? emote),
+    ).toEqual(["Hello", "GG"]);
+    expect(host.getSnapshot().newChat).toMatchObject([{ emote: "GG" }]);
+
+    dropConnection();
+    vi.advanceTimersByTime(RECONNECT_DELAYS[0] + LATENCY);
+    expect(host.getSnapshot().chat).toHaveLength(2);
+    expect(host.getSnapshot().newChat).toEqual([]);
+
+    host.leaveRoom();
+    expect(host.getSnapshot().chat).toEqual([]);
+  });
+
+  it("should stop reconnecting once closed", () => {
+    const client = connectClient();
+    client.close();
+    vi.advanceTimersByTime(RECONNECT_DELAYS[0]);
+
+    expect(client.getSnapshot().status).toBe(CONNECTION_STATUS.CLOSED);
+    expect(sockets).toHaveLength(1);
+  });
+
+  describe("getTurnSecondsLeft", () => {
+    it("should round up to whole seconds and stop at zero", () => {
+      expect(getTurnSecondsLeft(12500, 10000)).toBe(3);
+      expect(getTurnSecondsLeft(9000, 10000)).toBe(0);
+      expect(getTurnSecondsLeft(null)).toBeNull();
+    });
+  });
+
+  describe("server addresses", () => {
+    it("should guess the server on the page's own host", () => {
+      expect(
+        getDefaultServerUrl({ protocol: "http:", hostname: "cards.lan" }),
+      ).toBe("ws://cards.lan:8787");
+      expect(
+        getDefaultServerUrl({ protocol: "https:", hostname: "cards.example" }),
+      ).toBe("wss://cards.example:8787");
+      expect(getDefaultServerUrl(null)).toBe("ws://localhost:8787");
+    });
+
+    it("should read typed addresses as WebSocket URLs", () => {
+      expect(normalizeServerUrl(" localhost:9000 ")).toBe(
+        "ws://localhost:9000",
+      );
+      expect(normalizeServerUrl("wss://cards.example/rooms")).toBe(
+        "wss://cards.example/rooms",
+      );
+      expect(normalizeServerUrl("https://cards.example")).toBe(
+        "wss://cards.example",
+      );
+      expect(normalizeServerUrl("ftp://cards.example")).toBeNull();
+      expect(normalizeServerUrl("")).toBeNull();
+    });
+  });
+});
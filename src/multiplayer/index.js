@@ -0,0 +1,52 @@
+/**
+ * Barrel export for networked play
+ * Provides clean imports from a single entry point
+ *
+ * server.js is left out: it needs Node's `ws` package, so only the server
+ * script imports it.
+ */
+
+export {
+  DEFAULT_SERVER_PORT,
+  ROOM_CODE_LENGTH,
+  ROOM_CODE_ALPHABET,
+  CHAT_EMOTES,
+  CHAT_MAX_LENGTH,
+  CHAT_HISTORY_LIMIT,
+  CHAT_RATE_LIMIT,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  CLIENT_ACTIONS,
+  parseMessage,
+  normalizeRoomCode,
+} from "./protocol";
+export { hideCards, createSeatView, getSeatEvents } from "./seatView";
+export {
+  ROOM_TIMINGS,
+  generateRoomCode,
+  generateSessionToken,
+  createRoomServer,
+} from "./rooms";
+export {
+  SESSION_TOKEN_KEY,
+  SERVER_URL_KEY,
+  RECONNECT_DELAYS,
+  CONNECTION_STATUS,
+  getTurnSecondsLeft,
+  getDefaultServerUrl,
+  normalizeServerUrl,
+  getHeldServerUrl,
+  createRoomClient,
+} from "./client";
+export {
+  PEER_ICE_SERVERS,
+  ICE_GATHER_TIMEOUT,
+  INVITE_LINK_KEY,
+  encodeSignal,
+  decodeSignal,
+  getInviteLink,
+  getInviteFromLink,
+  openLoopback,
+  createPeerHost,
+  createPeerGuest,
+} from "./peer";
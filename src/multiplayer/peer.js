@@ -0,0 +1,341 @@
+/**
+ * Peer-to-Peer Rooms
+ * Runs a room in one player's browser and connects the others to it over
+ * WebRTC data channels, for casual games without a server
+ *
+ * The hosting browser runs the same room server the WebSocket server does,
+ * and every connection to it speaks the same room protocol, so the players'
+ * side is the ordinary room client whichever way it is connected: the host's
+ * own client through a loopback connection, and each guest's through a data
+ * channel, which is already shaped like a WebSocket.
+ *
+ * Connecting a guest takes one exchange of codes instead of a signaling
+ * server. The host makes an invite code (also offered as a link, to share
+ * as a QR code) and the guest answers it with a code of their own, which
+ * goes back to the host. Each code is a whole session description with its
+ * network candidates, so nothing else needs to be exchanged. An invite
+ * connects one guest; a guest whose connection dropped asks for a new one,
+ * and their client resumes the seat with its session token once the new
+ * channel opens.
+ */
+
+import { parseMessage } from "./protocol";
+
+// STUN servers that let browsers on different networks find each other;
+// two tabs on one machine connect without them
+export const PEER_ICE_SERVERS = [{ urls: "stun:stun.l.google.com:19302" }];
+
+// Longest wait for network candidates before a code is made with the ones
+// found so far (milliseconds)
+export const ICE_GATHER_TIMEOUT = 3000;
+
+// Key of the invite code in an invite link's hash
+export const INVITE_LINK_KEY = "join";
+
+// Label of the data channel the room protocol runs over
+const CHANNEL_LABEL = "room";
+
+// ============================================================================
+// SIGNAL CODES
+// ============================================================================
+
+/**
+ * Turns a session description into a code that can be copied and pasted
+ * @param {Object} signal - Session description
+ * @param {string} signal.type - "offer" or "answer"
+ * @param {string} signal.sdp - Session description text
+ * @param {string} signal.room - Code of the room an invite is for
+ * @returns {string} URL-safe base64 code
+ */
+export const encodeSignal = ({ type, sdp, room }) =>
+  btoa(JSON.stringify(room ? { type, sdp, room } : { type, sdp }))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+/**
+ * Reads a code made by encodeSignal
+ * @param {*} code - Pasted code; whitespace is ignored
+ * @returns {Object|null} The session description, with the room code for
+ *   an invite, or null when the code is not one
+ */
+export const decodeSignal = (code) => {
+  if (typeof code !== "string") return null;
+  try {
+    const signal = JSON.parse(
+      atob(code.replace(/\s+/g, "").replace(/-/g, "+").replace(/_/g, "/")),
+    );
+    const isSignal =
+      (signal?.type === "offer" || signal?.type === "answer") &&
+      typeof signal.sdp === "string";
+    return isSignal ? signal : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Builds a link that opens the game with an invite code filled in
+ * @param {string} code - Invite code
+ * @param {string} href - Address of the game (the current page by default)
+ * @returns {string} The address with the code in its hash
+ */
+export const getInviteLink = (code, href = globalThis.location.href) => {
+  const url = new URL(href);
+  url.hash = `${INVITE_LINK_KEY}=${code}`;
+  return url.toString();
+};
+
+/**
+ * Reads the invite code out of an invite link
+ * @param {string} href - Address to read (the current page by default)
+ * @returns {string|null} The invite code, or null when there is none
+ */
+export const getInviteFromLink = (href = globalThis.location?.href ?? "") => {
+  const hash = href.split("#")[1] ?? "";
+  return new URLSearchParams(hash).get(INVITE_LINK_KEY) || null;
+};
+
+// ============================================================================
+// CONNECTIONS
+// ============================================================================
+
+const createPeerConnection = () =>
+  new globalThis.RTCPeerConnection({ iceServers: PEER_ICE_SERVERS });
+
+/**
+ * Waits until a connection has gathered its network candidates, or until
+ * ICE_GATHER_TIMEOUT has passed
+ * @param {RTCPeerConnection} connection - Connection gathering candidates
+ * @returns {Promise<void>} Resolves when its description is worth sending
+ */
+const gatherCandidates = (connection) =>
+  new Promise((resolve) => {
+    if (connection.iceGatheringState === "complete") {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, ICE_GATHER_TIMEOUT);
+    connection.onicegatheringstatechange = () => {
+      if (connection.iceGatheringState === "complete") {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+  });
+
+/**
+ * Closes a channel once its connection fails for good, which some browsers
+ * are slow to report on the channel itself
+ */
+const closeWithConnection = (connection, channel) => {
+  connection.onconnectionstatechange = () => {
+    if (["failed", "closed"].includes(connection.connectionState)) {
+      channel.close();
+    }
+  };
+};
+
+/**
+ * Opens a connection from the host's own client to the room server running
+ * beside it
+ * Messages make the same trip through JSON that a guest's do, and arrive
+ * after the call that sent them returns, as they would over a network.
+ * @param {Object} server - Room server from createRoomServer
+ * @returns {Object} WebSocket-shaped connection for createRoomClient
+ */
+export const openLoopback = (server) => {
+  const socket = {};
+  let handle = server.connect((message) => {
+    const data = JSON.stringify(message);
+    queueMicrotask(() => socket.onmessage?.({ data }));
+  });
+
+  socket.send = (text) => handle?.receive(parseMessage(text));
+  socket.close = () => {
+    if (!handle) return;
+    handle.disconnect();
+    handle = null;
+    socket.onclose?.();
+  };
+  setTimeout(() => handle && socket.onopen?.(), 0);
+  return socket;
+};
+
+/**
+ * Connects a data channel to the room server as one client
+ * @param {Object} server - Room server
+ * @param {RTCDataChannel} channel - Channel to a guest
+ */
+const serveChannel = (server, channel) => {
+  let handle = null;
+  const connect = () => {
+    handle = server.connect((message) => {
+      if (channel.readyState === "open") channel.send(JSON.stringify(message));
+    });
+  };
+
+  channel.onopen = connect;
+  channel.onmessage = (event) =>
+    handle?.receive(parseMessage(String(event.data)));
+  channel.onclose = () => {
+    handle?.disconnect();
+    handle = null;
+  };
+  if (channel.readyState === "open") connect();
+};
+
+/**
+ * Hosts a room server for guests connecting over WebRTC
+ * @param {Object} options - Host options
+ * @param {Object} options.server - Room server from createRoomServer
+ * @param {Function} options.createConnection - Makes an RTCPeerConnection
+ *   (one with PEER_ICE_SERVERS by default)
+ * @returns {{invite: Function, close: Function}} A maker of invites, and a
+ *   function that drops every guest
+ */
+export const createPeerHost = ({
+  server,
+  createConnection = createPeerConnection,
+}) => {
+  const connections = new Set();
+
+  return {
+    /**
+     * Makes an invite for one guest
+     * @param {string} room - Code of the room the guest should join
+     * @returns {Promise<{code: string, accept: Function}>} The invite code,
+     *   and a function that takes the guest's answer code and resolves once
+     *   the connection is being made (it throws for a code that is not an
+     *   answer)
+     */
+    invite: async (room) => {
+      const connection = createConnection();
+      connections.add(connection);
+      const channel = connection.createDataChannel(CHANNEL_LABEL);
+      serveChannel(server, channel);
+      closeWithConnection(connection, channel);
+
+      await connection.setLocalDescription(await connection.createOffer());
+      await gatherCandidates(connection);
+      const { type, sdp } = connection.localDescription;
+
+      return {
+        code: encodeSignal({ type, sdp, room }),
+        accept: async (answerCode) => {
+          const answer = decodeSignal(answerCode);
+          if (answer?.type !== "answer") {
+            throw new Error("That is not an answer code");
+          }
+          await connection.setRemoteDescription(answer);
+        },
+      };
+    },
+
+    close: () => {
+      connections.forEach((connection) => connection.close());
+      connections.clear();
+    },
+  };
+};
+
+/**
+ * Joins a peer host as a guest
+ * The guest's connection to the room is whichever data channel the host
+ * opens next: `open` hands the room client a connection that starts once
+ * an answered invite connects, so after a drop the client simply waits for
+ * the next invite.
+ * @param {Object} options - Guest options
+ * @param {Function} options.createConnection - Makes an RTCPeerConnection
+ *   (one with PEER_ICE_SERVERS by default)
+ * @returns {{open: Function, answer: Function, close: Function}} The
+ *   connection opener for createRoomClient, an answerer of invite codes and
+ *   a function that drops the connection
+ */
+export const createPeerGuest = ({
+  createConnection = createPeerConnection,
+} = {}) => {
+  const connections = new Set();
+  // Connection handed to the room client and still waiting for a channel,
+  // or a channel that opened before the client asked for one
+  let waiting = null;
+  let unclaimed = null;
+
+  const bind = (socket, channel) => {
+    socket.channel = channel;
+    channel.onmessage = (event) => socket.onmessage?.(event);
+    channel.onclose = () => socket.onclose?.();
+    if (channel.readyState === "open") {
+      queueMicrotask(() => socket.onopen?.());
+    } else {
+      channel.onopen = () => socket.onopen?.();
+    }
+  };
+
+  const receiveChannel = (channel) => {
+    if (waiting) {
+      bind(waiting, channel);
+      waiting = null;
+    } else {
+      unclaimed = channel;
+    }
+  };
+
+  return {
+    open: () => {
+      const socket = {
+        channel: null,
+        send: (text) => socket.channel?.send(text),
+        close: () => {
+          if (waiting === socket) waiting = null;
+          if (socket.channel) {
+            socket.channel.close();
+          } else {
+            socket.onclose?.();
+          }
+        },
+      };
+      if (unclaimed) {
+        bind(socket, unclaimed);
+        unclaimed = null;
+      } else {
+        waiting = socket;
+      }
+      return socket;
+    },
+
+    /**
+     * Answers an invite
+     * @param {string} inviteCode - Code from the host
+     * @returns {Promise<{code: string, room: string}>} The answer code for
+     *   the host and the room the invite is for
+     * @throws {Error} For a code that is not an invite
+     */
+    answer: async (inviteCode) => {
+      const offer = decodeSignal(inviteCode);
+      if (offer?.type !== "offer") {
+        throw new Error("That is not an invite code");
+      }
+      const connection = createConnection();
+      connections.add(connection);
+      connection.ondatachannel = ({ channel }) => {
+        closeWithConnection(connection, channel);
+        receiveChannel(channel);
+      };
+
+      await connection.setRemoteDescription({
+        type: offer.type,
+        sdp: offer.sdp,
+      });
+      await connection.setLocalDescription(await connection.createAnswer());
+      await gatherCandidates(connection);
+      const { type, sdp } = connection.localDescription;
+      return { code: encodeSignal({ type, sdp }), room: offer.room ?? null };
+    },
+
+    close: () => {
+      connections.forEach((connection) => connection.close());
+      connections.clear();
+    },
+  };
+};
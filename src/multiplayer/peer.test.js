@@ -0,0 +1,209 @@
+/**
+ * Unit tests for peer-to-peer rooms
+ * Connects room clients to a host through fake WebRTC connections
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  encodeSignal,
+  decodeSignal,
+  getInviteLink,
+  getInviteFromLink,
+  openLoopback,
+  createPeerHost,
+  createPeerGuest,
+} from "./peer";
+import { createRoomServer } from "./rooms";
+import {
+  createRoomClient,
+  CONNECTION_STATUS,
+  RECONNECT_DELAYS,
+} from "./client";
+import { GAME_PHASES } from "../constants";
+import {
+  createFakeNetwork,
+  FAKE_LATENCY as LATENCY,
+} from "../test/fakePeerNetwork";
+
+const createTabStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+describe("peer-to-peer rooms", () => {
+  describe("signal codes", () => {
+    it("should read back what was encoded, pasted with line breaks", () => {
+      const code = encodeSignal({
+        type: "offer",
+        sdp: "v=0\r\n",
+        room: "ROOM",
+      });
+
+      expect(code).toMatch(/^[\w-]+$/);
+      expect(decodeSignal(`${code.slice(0, 10)}\n ${code.slice(10)}`)).toEqual({
+        type: "offer",
+        sdp: "v=0\r\n",
+        room: "ROOM",
+      });
+    });
+
+    it("should not read codes that are not session descriptions", () => {
+      expect(decodeSignal("not a code")).toBeNull();
+      expect(decodeSignal(btoa(JSON.stringify({ type: "offer" })))).toBeNull();
+      expect(decodeSignal(undefined)).toBeNull();
+    });
+
+    it("should carry an invite code in a link", () => {
+      const link = getInviteLink("abc-123", "https://example.com/game/?x=1");
+
+      expect(link).toBe("https://example.com/game/?x=1#join=abc-123");
+      expect(getInviteFromLink(link)).toBe("abc-123");
+      expect(getInviteFromLink("https://example.com/")).toBeNull();
+    });
+  });
+
+  describe("connections", () => {
+    let server;
+    let network;
+    let host;
+
+    /**
+     * Connects a guest through a new invite: the host invites, the guest
+     * answers and the host accepts the answer
+     */
+    const inviteGuest = async (guest) => {
+      const pending = host.invite("ROOM");
+      await vi.advanceTimersByTimeAsync(LATENCY);
+      const { code, accept } = await pending;
+
+      const answering = guest.answer(code);
+      await vi.advanceTimersByTimeAsync(LATENCY);
+      const answer = await answering;
+
+      await accept(answer.code);
+      await vi.advanceTimersByTimeAsync(LATENCY);
+      return { room: answer.room };
+    };
+
+    /**
+     * Makes a guest with its own room client and connects it
+     */
+    const connectGuest = async () => {
+      const guest = createPeerGuest({
+        createConnection: network.createConnection,
+      });
+      const client = createRoomClient({
+        open: guest.open,
+        storage: createTabStorage(),
+      });
+      const invite = await inviteGuest(guest);
+      return { guest, client, ...invite };
+    };
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      network = createFakeNetwork();
+      server = createRoomServer({
+        timings: { turnDelay: 10, trickDelay: 10 },
+        createCode: () => "ROOM",
+      });
+      host = createPeerHost({
+        server,
+        createConnection: network.createConnection,
+      });
+    });
+
+    afterEach(() => {
+      host.close();
+      server.close();
+      vi.useRealTimers();
+    });
+
+    it("should seat the host through a loopback connection", async () => {
+      const client = createRoomClient({
+        open: () => openLoopback(server),
+        storage: createTabStorage(),
+      });
+      await vi.advanceTimersByTimeAsync(0);
+      client.createRoom("Ana", { ruleSetId: "suit-follows" });
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(client.getSnapshot()).toMatchObject({
+        status: CONNECTION_STATUS.OPEN,
+        seat: 0,
+        isHost: true,
+      });
+    });
+
+    it("should let a guest join the room the invite is for", async () => {
+      const ana = createRoomClient({
+        open: () => openLoopback(server),
+        storage: createTabStorage(),
+      });
+      await vi.advanceTimersByTimeAsync(0);
+      ana.createRoom("Ana", { ruleSetId: "suit-follows" });
+
+      const { client: ben, room } = await connectGuest();
+      expect(room).toBe("ROOM");
+      expect(ben.getSnapshot().status).toBe(CONNECTION_STATUS.OPEN);
+
+      ben.joinRoom(room, "Ben");
+      ben.setReady(true);
+      await vi.advanceTimersByTimeAsync(LATENCY * 2);
+      ana.startGame();
+      await vi.advanceTimersByTimeAsync(LATENCY * 2);
+
+      const { seat, game } = ben.getSnapshot();
+      expect(seat).toBe(1);
+      expect(game.phase).toBe(GAME_PHASES.PLAYING);
+      expect(game.players[1].hand).toEqual(
+        server.getRoom("ROOM").game.players[1].hand,
+      );
+      expect(game.players[0].hand.every((card) => card.hidden)).toBe(true);
+    });
+
+    it("should resume a dropped guest's seat through a new invite", async () => {
+      const ana = createRoomClient({
+        open: () => openLoopback(server),
+        storage: createTabStorage(),
+      });
+      await vi.advanceTimersByTimeAsync(0);
+      ana.createRoom("Ana", { ruleSetId: "suit-follows" });
+      const { guest, client: ben } = await connectGuest();
+      ben.joinRoom("ROOM", "Ben");
+      await vi.advanceTimersByTimeAsync(LATENCY * 2);
+
+      network.dropAll();
+      await vi.advanceTimersByTimeAsync(RECONNECT_DELAYS[0]);
+      expect(ben.getSnapshot().status).toBe(CONNECTION_STATUS.RECONNECTING);
+      expect(server.getRoom("ROOM").seats[1].clientId).toBeNull();
+
+      await inviteGuest(guest);
+      await vi.advanceTimersByTimeAsync(LATENCY * 2);
+
+      expect(ben.getSnapshot()).toMatchObject({
+        status: CONNECTION_STATUS.OPEN,
+        seat: 1,
+      });
+      expect(server.getRoom("ROOM").seats[1].clientId).not.toBeNull();
+    });
+
+    it("should refuse codes of the wrong kind", async () => {
+      const guest = createPeerGuest({
+        createConnection: network.createConnection,
+      });
+      const pending = host.invite("ROOM");
+      await vi.advanceTimersByTimeAsync(LATENCY);
+      const { code, accept } = await pending;
+
+      await expect(accept(code)).rejects.toThrow("That is not an answer code");
+      await expect(guest.answer("nonsense")).rejects.toThrow(
+        "That is not an invite code",
+      );
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Room Protocol
+ * Messages exchanged between the room server and its clients
+ *
+ * Every message is a JSON object with a `type`. Clients create or join a
+ * room by its code, mark themselves ready and send the engine actions for
+ * their own seat; the server answers with the room's seats and, once the
+ * game is under way, each seat's own view of the game.
+ *
+ * Taking a seat earns a session token. A client that lost its connection
+ * sends the token back in RESUME to return to its seat, and is answered as
+ * if it had just joined, with the game view included.
+ *
+ * Spectators SPECTATE a room by code instead of joining it, or create one
+ * with `spectate` set to watch computer players. They get the same messages
+ * as players with a null seat, and cannot send actions.
+ *
+ * Anyone in a room can CHAT: a line of text, or one of the quick emotes.
+ * The server cleans the text and sends the message to the whole room, and a
+ * client entering the room gets the recent history. Each message carries
+ * the sender id of the connection that sent it, which is what a client
+ * mutes, and a connection may send CHAT_RATE_LIMIT messages per chat
+ * window.
+ */
+
+import { ENGINE_ACTIONS } from "../engine";
+
+// Port the room server listens on unless told otherwise
+export const DEFAULT_SERVER_PORT = 8787;
+
+// Room codes are this many letters, with look-alikes (I, O) left out
+export const ROOM_CODE_LENGTH = 4;
+export const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+// Quick emotes a player can send in place of text
+export const CHAT_EMOTES = ["👍", "😮", "GG"];
+
+// Longest chat line, and how many messages a room keeps for newcomers
+export const CHAT_MAX_LENGTH = 200;
+export const CHAT_HISTORY_LIMIT = 50;
+
+// Messages a connection may send in one ROOM_TIMINGS.chatWindow
+export const CHAT_RATE_LIMIT = 5;
+
+export const CLIENT_MESSAGES = {
+  CREATE_ROOM: "CREATE_ROOM",
+  JOIN_ROOM: "JOIN_ROOM",
+  LEAVE_ROOM: "LEAVE_ROOM",
+  // Takes back a seat held since the connection dropped
+  RESUME: "RESUME",
+  // Watches a room without taking a seat
+  SPECTATE: "SPECTATE",
+  // Shows a spectator every hand, at tables of computer players only
+  SET_GOD_VIEW: "SET_GOD_VIEW",
+  SET_READY: "SET_READY",
+  START_GAME: "START_GAME",
+  ACTION: "ACTION",
+  // Says `text` to the room, or sends one of CHAT_EMOTES as `emote`
+  CHAT: "CHAT",
+};
+
+export const SERVER_MESSAGES = {
+  // The room code, seat and session token of a client that took a seat
+  SEATED: "SEATED",
+  // Seats and settings of the room the client is in, the client's seat
+  // (null for spectators), the sender id its chat messages carry, whether
+  // it hosts and, for spectators, whether god view is on
+  ROOM_UPDATED: "ROOM_UPDATED",
+  // The client's view of the game, the events that led to it and the
+  // milliseconds left on the turn clock (null when no clock is running)
+  GAME_STATE: "GAME_STATE",
+  // What went wrong, and the type of the message that caused it
+  ERROR: "ERROR",
+  // Chat messages, with `history` set when they are the room's recent
+  // history rather than new ones
+  CHAT: "CHAT",
+};
+
+// Engine actions a client may send for its own seat; dealing, collecting
+// tricks and the computer seats' turns are left to the server
+export const CLIENT_ACTIONS = [
+  ENGINE_ACTIONS.PASS_CARDS,
+  ENGINE_ACTIONS.PLACE_BID,
+  ENGINE_ACTIONS.PLAY_CARD,
+  ENGINE_ACTIONS.NEXT_HAND,
+];
+
+/**
+ * Reads a message off the wire
+ * @param {string} data - Raw message text
+ * @returns {Object|null} Message with a string type, or null when the text
+ *   is not one
+ */
+export const parseMessage = (data) => {
+  try {
+    const message = JSON.parse(data);
+    return message && typeof message.type === "string" ? message : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Normalizes a room code typed by a player
+ * @param {*} code - Raw code
+ * @returns {string} Upper-case code without spaces
+ */
+export const normalizeRoomCode = (code) =>
+  typeof code === "string" ? code.replace(/\s+/g, "").toUpperCase() : "";
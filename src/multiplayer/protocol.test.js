@@ -0,0 +1,42 @@
+/**
+ * Unit tests for the room protocol helpers
+ */
+
+import { describe, it, expect } from "vitest";
+import { parseMessage, normalizeRoomCode, CLIENT_ACTIONS } from "./protocol";
+import { ENGINE_ACTIONS } from "../engine";
+
+describe("room protocol", () => {
+  describe("parseMessage", () => {
+    it("should read JSON messages with a type", () => {
+      expect(parseMessage('{"type":"JOIN_ROOM","code":"ABCD"}')).toEqual({
+        type: "JOIN_ROOM",
+        code: "ABCD",
+      });
+    });
+
+    it("should return null for anything else", () => {
+      expect(parseMessage("not json")).toBeNull();
+      expect(parseMessage("null")).toBeNull();
+      expect(parseMessage('{"code":"ABCD"}')).toBeNull();
+      expect(parseMessage('{"type":7}')).toBeNull();
+    });
+  });
+
+  describe("normalizeRoomCode", () => {
+    it("should upper-case codes and drop spaces", () => {
+      expect(normalizeRoomCode(" ab cd ")).toBe("ABCD");
+    });
+
+    it("should turn non-strings into an empty code", () => {
+      expect(normalizeRoomCode(undefined)).toBe("");
+      expect(normalizeRoomCode(1234)).toBe("");
+    });
+  });
+
+  it("should leave dealing and trick collection to the server", () => {
+    expect(CLIENT_ACTIONS).not.toContain(ENGINE_ACTIONS.DEAL_CARDS);
+    expect(CLIENT_ACTIONS).not.toContain(ENGINE_ACTIONS.COLLECT_TRICK);
+    expect(CLIENT_ACTIONS).toContain(ENGINE_ACTIONS.PLAY_CARD);
+  });
+});
@@ -0,0 +1,890 @@
+/**
+ * Game Rooms
+ * Authoritative game state for networked tables, independent of the transport
+ *
+ * A room is a table of seats identified by a short code. The first client
+ * creates it and hosts; others join by code and mark themselves ready. Once
+ * the host starts, the room runs the shared engine: clients send actions for
+ * their own seat, the server deals, collects tricks and plays every seat
+ * without a client through the AI strategies, and after every change each
+ * client gets its own seat view. A seat whose client leaves mid-game is
+ * played by the AI from then on.
+ *
+ * Taking a seat hands the client a session token. A client that drops
+ * without leaving, say because its page reloaded, keeps its seat for
+ * `reconnectGrace` and can take it back by sending the token: it is sent the
+ * room and a full view of the game again. Seated players have
+ * `turnTimeLimit` for each bid and card, and all of them together for the
+ * cards they pass, and when the clock runs out the AI acts for them. Between
+ * hands they have as long again to deal the next one before the room deals
+ * it itself. While a player is away the AI plays their turns as it does
+ * a computer seat's, so a table never waits on a player who is gone. The
+ * clock belongs to the turn rather than the connection, which leaves a
+ * player who comes back mid-turn the time they had left. If the grace runs
+ * out first, the seat goes to the AI for good.
+ *
+ * Spectators watch a room without taking a seat and see every hand face
+ * down. At a table of computer players only, they may turn on god view to
+ * see every hand face up. A spectator can also create a room, and host a
+ * table of computer players.
+ *
+ * Players and spectators chat with the whole room. Text is stripped of
+ * markup and HTML-escaped before anyone sees it, and the room keeps its
+ * last CHAT_HISTORY_LIMIT messages for clients that come in later or
+ * reconnect. Each message carries its sender's id, which a seated player
+ * keeps for as long as they hold the seat, reconnects included, so a mute
+ * follows the person rather than the seat or the connection. A spectator has
+ * no seat to hold, so one who reconnects chats under a new id. A connection
+ * that sends too fast is told to slow down.
+ *
+ * `createRoomServer` knows nothing about sockets: `connect(send)` registers a
+ * client with a function that delivers messages to it, and returns the
+ * handle its messages arrive through. See server.js for the WebSocket side.
+ */
+
+import {
+  GAME_PHASES,
+  ANIMATION_TIMINGS,
+  DEFAULT_AI_DIFFICULTY,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  PLAYER_COUNT,
+  TURN_TIME_LIMIT,
+  FULL_DECK,
+} from "../constants";
+import { getRuleSetById } from "../config/ruleSets";
+import {
+  createGame,
+  createPlayers,
+  applyAction,
+  getLegalActions,
+  createStandardDeck,
+  stripDeck,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+} from "../engine";
+import { getAIAction } from "../ai";
+import { sanitizeUsername, sanitizeText, escapeHTML } from "../utils/sanitize";
+import {
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  CLIENT_ACTIONS,
+  ROOM_CODE_LENGTH,
+  ROOM_CODE_ALPHABET,
+  CHAT_EMOTES,
+  CHAT_MAX_LENGTH,
+  CHAT_HISTORY_LIMIT,
+  CHAT_RATE_LIMIT,
+  normalizeRoomCode,
+} from "./protocol";
+import { createSeatView, getSeatEvents } from "./seatView";
+
+// Pauses before a computer seat acts, before a full trick is collected and,
+// at a table of computer players, before the next hand is dealt, so players
+// and spectators can follow the table as they would offline; the time a
+// player has for each bid and card; how long a dropped player's seat is
+// held; and the window CHAT_RATE_LIMIT counts messages over (milliseconds)
+export const ROOM_TIMINGS = {
+  turnDelay: ANIMATION_TIMINGS.aiPlayDelay,
+  trickDelay: ANIMATION_TIMINGS.trickEvaluationDelay,
+  handDelay: 5000,
+  turnTimeLimit: TURN_TIME_LIMIT * 1000,
+  reconnectGrace: 60000,
+  chatWindow: 10000,
+};
+
+/**
+ * Makes a random room code
+ * @returns {string} ROOM_CODE_LENGTH letters from ROOM_CODE_ALPHABET
+ */
+export const generateRoomCode = () =>
+  Array.from(
+    { length: ROOM_CODE_LENGTH },
+    () =>
+      ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)],
+  ).join("");
+
+/**
+ * Makes a random session token
+ * @returns {string} 32 hex digits
+ */
+export const generateSessionToken = () =>
+  Array.from(globalThis.crypto.getRandomValues(new Uint8Array(16)), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+
+// ============================================================================
+// ROOM SETUP
+// ============================================================================
+
+/**
+ * Checks the settings a room is created with
+ * @param {Object} settings - Settings from a CREATE_ROOM message
+ * @returns {Object} Settings with defaults filled in
+ * @throws {Error} For an unknown rule set, an unsupported table size or a
+ *   hand size the deck cannot deal
+ */
+const readSettings = ({
+  ruleSetId,
+  seats = PLAYER_COUNT,
+  maxRounds = 1,
+  handSize = null,
+  partnerships = false,
+} = {}) => {
+  const ruleSet = getRuleSetById(ruleSetId);
+  if (!ruleSet) throw new Error(`Unknown rule set "${ruleSetId}"`);
+  if (!Number.isInteger(seats) || seats < MIN_PLAYERS || seats > MAX_PLAYERS) {
+    throw new Error(
+      `A room seats ${MIN_PLAYERS} to ${MAX_PLAYERS} players, not ${seats}`,
+    );
+  }
+  if (!Number.isInteger(maxRounds) || maxRounds < 1) {
+    throw new Error("A match needs at least one hand");
+  }
+  const deck = createStandardDeck();
+  const maxHandSize = Math.floor(
+    (ruleSet.stripDeck ? stripDeck(deck, seats) : deck).length / seats,
+  );
+  const isHandSize =
+    handSize === null ||
+    handSize === FULL_DECK ||
+    (Number.isInteger(handSize) && handSize >= 1 && handSize <= maxHandSize);
+  if (!isHandSize) {
+    throw new Error(
+      `Deal 1 to ${maxHandSize} cards to each of ${seats} seats, or the full deck`,
+    );
+  }
+  return {
+    ruleSetId: ruleSet.id,
+    seats,
+    maxRounds,
+    handSize,
+    partnerships: Boolean(partnerships),
+  };
+};
+
+// No player holds a seat, so every seat is a computer player's
+const isAIOnly = (room) => room.seats.every(({ token }) => token === null);
+
+/**
+ * Summarizes a room for its clients
+ * @param {Object} room - Room
+ * @returns {Object} Code, settings, whether play has started, whether only
+ *   computer players are seated, the number of spectators and the seats
+ */
+const describeRoom = (room) => ({
+  code: room.code,
+  ...room.settings,
+  started: Boolean(room.game),
+  aiOnly: isAIOnly(room),
+  spectators: room.spectators.size,
+  seats: room.seats.map((seat, idx) => ({
+    seat: idx,
+    playerId: seat.playerId,
+    name: seat.name,
+    ready: seat.ready,
+    isHost: seat.clientId !== null && seat.clientId === room.hostId,
+    isBot: seat.token === null,
+    // Held for a player who dropped and may still come back
+    isAway: seat.token !== null && seat.clientId === null,
+  })),
+});
+
+/**
+ * Builds the engine's seat descriptors once the host starts: seated clients
+ * play under their own names, and every other seat is a computer player
+ * @param {Object} room - Room
+ * @returns {Array<Object>} Players for createGame
+ */
+const seatPlayers = (room) =>
+  createPlayers(room.seats.length).map((player, idx) => {
+    const seat = room.seats[idx];
+    if (seat.clientId === null) {
+      return { ...player, difficulty: DEFAULT_AI_DIFFICULTY };
+    }
+    const { personality, ...human } = player;
+    return { ...human, name: seat.name };
+  });
+
+/**
+ * Reads what a CHAT message says
+ * @param {Object} message - CHAT message
+ * @returns {{text: string|null, emote: string|null}} One of CHAT_EMOTES, or
+ *   a line of text without markup or control characters, HTML-escaped
+ * @throws {Error} For an unknown emote or a line with nothing left in it
+ */
+const readChat = ({ text, emote }) => {
+  if (emote !== undefined) {
+    if (!CHAT_EMOTES.includes(emote)) throw new Error("Unknown emote");
+    return { text: null, emote };
+  }
+  const line = sanitizeText(text, { maxLength: CHAT_MAX_LENGTH });
+  if (!line) throw new Error("There is nothing to send");
+  return { text: escapeHTML(line), emote: null };
+};
+
+// ============================================================================
+// ROOM SERVER
+// ============================================================================
+
+/**
+ * Creates a room server
+ * @param {Object} options - Server options
+ * @param {Object} options.timings - Overrides for ROOM_TIMINGS
+ * @param {Function} options.createCode - Room code generator (defaults to
+ *   generateRoomCode)
+ * @param {Function} options.createToken - Session token generator (defaults
+ *   to generateSessionToken)
+ * @returns {{connect: Function, getRoom: Function, close: Function}} Client
+ *   registration, room lookup (for tests and tools) and shutdown
+ */
+export const createRoomServer = ({
+  timings = {},
+  createCode = generateRoomCode,
+  createToken = generateSessionToken,
+} = {}) => {
+  const {
+    turnDelay,
+    trickDelay,
+    handDelay,
+    turnTimeLimit,
+    reconnectGrace,
+    chatWindow,
+  } = {
+    ...ROOM_TIMINGS,
+    ...timings,
+  };
+  const rooms = new Map();
+  const clients = new Map();
+  let nextClientId = 1;
+  let nextSenderId = 1;
+
+  // Chat sender ids outlive connections, so they are counted apart
+  const newSenderId = () => {
+    const senderId = nextSenderId;
+    nextSenderId += 1;
+    return senderId;
+  };
+
+  const sendTo = (clientId, message) => clients.get(clientId)?.send(message);
+
+  const sendError = (clientId, message, of) =>
+    sendTo(clientId, { type: SERVER_MESSAGES.ERROR, message, of });
+
+  const broadcastRoom = (room) => {
+    const summary = describeRoom(room);
+    const update = (clientId, fields) =>
+      sendTo(clientId, {
+        type: SERVER_MESSAGES.ROOM_UPDATED,
+        room: summary,
+        isHost: clientId === room.hostId,
+        ...fields,
+      });
+    room.seats.forEach(({ clientId, senderId }, seat) => {
+      if (clientId !== null) update(clientId, { seat, ownSenderId: senderId });
+    });
+    room.spectators.forEach(({ godView, senderId }, clientId) =>
+      update(clientId, { seat: null, godView, ownSenderId: senderId }),
+    );
+  };
+
+  /**
+   * Sends one client its view of the game: a seat's, or a spectator's when
+   * seat is null
+   */
+  const sendGame = (room, clientId, seat, events = []) => {
+    const options = { godView: room.spectators.get(clientId)?.godView };
+    sendTo(clientId, {
+      type: SERVER_MESSAGES.GAME_STATE,
+      state: createSeatView(room.game, seat, options),
+      events: getSeatEvents(events, room.game, seat, options),
+      turnTimeLeft: room.clock
+        ? Math.max(room.clock.endsAt - Date.now(), 0)
+        : null,
+    });
+  };
+
+  const broadcastGame = (room, events = []) => {
+    room.seats.forEach(({ clientId }, seat) => {
+      if (clientId !== null) sendGame(room, clientId, seat, events);
+    });
+    room.spectators.forEach((_, clientId) =>
+      sendGame(room, clientId, null, events),
+    );
+  };
+
+  const sendChat = (clientId, messages, history = false) =>
+    sendTo(clientId, { type: SERVER_MESSAGES.CHAT, messages, history });
+
+  const broadcastChat = (room, messages) => {
+    room.seats.forEach(({ clientId }) => {
+      if (clientId !== null) sendChat(clientId, messages);
+    });
+    room.spectators.forEach((_, clientId) => sendChat(clientId, messages));
+  };
+
+  const clearTimer = (room) => {
+    clearTimeout(room.timer);
+    room.timer = null;
+  };
+
+  // --------------------------------------------------------------------------
+  // Game flow
+  // --------------------------------------------------------------------------
+
+  /**
+   * Applies an action to the room's game and tells every client
+   * @param {Object} room - Room
+   * @param {Object} action - Engine action
+   * @param {Object} options - Run options
+   * @param {boolean} options.isAutomatic - The server took the step by
+   *   itself; if it leaves the game in the same phase waiting for the same
+   *   step, taking it again would get no further, so the room stops there
+   *   instead of looping
+   * @returns {Object|null} The rejection event, or null when applied
+   */
+  const runAction = (room, action, { isAutomatic = false } = {}) => {
+    const { phase } = room.game;
+    const { state, events } = applyAction(room.game, action);
+    const rejected = events.find(
+      (event) => event.type === ENGINE_EVENTS.ACTION_REJECTED,
+    );
+    if (rejected) return rejected;
+
+    room.game = state;
+    updateClock(room);
+    broadcastGame(room, events);
+    const isStuck =
+      isAutomatic &&
+      state.phase === phase &&
+      getLegalActions(state)[0]?.type === action.type;
+    if (!isStuck) advance(room);
+    return null;
+  };
+
+  // No player holds the seat, so it is the AI's
+  const isBotSeat = (room, seat) => room.seats[seat].token === null;
+
+  // A player holds the seat but has dropped
+  const isAwaySeat = (room, seat) =>
+    !isBotSeat(room, seat) && room.seats[seat].clientId === null;
+
+  // Whether the game waits on a seated player: to bid or play on their
+  // turn, to pass cards, or to deal the next hand
+  const isWaitingOnPlayer = (room) => {
+    const { game } = room;
+    switch (game.phase) {
+      case GAME_PHASES.BIDDING:
+      case GAME_PHASES.PLAYING:
+        return !isBotSeat(room, game.currentPlayer);
+      case GAME_PHASES.PASSING:
+        return game.players.some(
+          (player, idx) => !game.passes[player.id] && !isBotSeat(room, idx),
+        );
+      case GAME_PHASES.HAND_OVER:
+        return !isAIOnly(room);
+      default:
+        return false;
+    }
+  };
+
+  /**
+   * Starts the clock when the game waits on a seated player, keeps it
+   * running while the turn lasts and stops it otherwise. Passing is one turn
+   * for every seat, so the clock is not restarted by each pass
+   */
+  const updateClock = (room) => {
+    const { game } = room;
+    if (!isWaitingOnPlayer(room)) {
+      room.clock = null;
+      return;
+    }
+    const turn = [
+      game.round,
+      game.phase,
+      game.currentPlayer,
+      game.ledger.plays.length,
+    ].join(":");
+    if (room.clock?.turn !== turn) {
+      room.clock = { turn, endsAt: Date.now() + turnTimeLimit };
+    }
+  };
+
+  /**
+   * Moves the game on wherever it does not wait for a client: dealing right
+   * away, and computer turns and trick collection after their pause
+   */
+  const advance = (room) => {
+    clearTimer(room);
+    updateClock(room);
+    const { game } = room;
+
+    const clockLeft = () => Math.max(room.clock.endsAt - Date.now(), 0);
+
+    switch (game.phase) {
+      case GAME_PHASES.WAITING:
+      case GAME_PHASES.DEALING:
+        runAction(room, getLegalActions(game)[0], { isAutomatic: true });
+        break;
+      case GAME_PHASES.PASSING: {
+        // Passes are made together, so the AI chooses right away for
+        // computer seats and dropped players, and for seated players who
+        // have not passed when the clock runs out
+        const seat = game.players.findIndex(
+          (player, idx) =>
+            !game.passes[player.id] &&
+            (isBotSeat(room, idx) || isAwaySeat(room, idx)),
+        );
+        if (seat !== -1) {
+          runAction(room, getAIAction(game, seat));
+          break;
+        }
+        const waitingOn = game.players.findIndex(
+          (player) => !game.passes[player.id],
+        );
+        if (waitingOn !== -1 && room.clock) {
+          room.timer = setTimeout(
+            () => runAction(room, getAIAction(room.game, waitingOn)),
+            clockLeft(),
+          );
+        }
+        break;
+      }
+      case GAME_PHASES.BIDDING:
+      case GAME_PHASES.PLAYING: {
+        // Seated players' turns wait for them until their clock runs out;
+        // a dropped player's are played by the AI like a computer seat's
+        const isWaiting = room.clock && !isAwaySeat(room, game.currentPlayer);
+        room.timer = setTimeout(
+          () =>
+            runAction(room, getAIAction(room.game, room.game.currentPlayer)),
+          isWaiting ? clockLeft() : turnDelay,
+        );
+        break;
+      }
+      case GAME_PHASES.EVALUATING:
+        room.timer = setTimeout(
+          () => runAction(room, { type: ENGINE_ACTIONS.COLLECT_TRICK }),
+          trickDelay,
+        );
+        break;
+      case GAME_PHASES.HAND_OVER:
+        // Between hands the seated players decide until their clock runs
+        // out; with none seated nobody could, so the next hand is dealt
+        // after a pause
+        room.timer = setTimeout(
+          () => runAction(room, { type: ENGINE_ACTIONS.NEXT_HAND }),
+          room.clock ? clockLeft() : handDelay,
+        );
+        break;
+      default:
+        // After the match there is nothing left to play
+        break;
+    }
+  };
+
+  /**
+   * Plays a client's action for its own seat
+   * Cards are looked up in the seat's hand by id, so a client can only
+   * play or pass cards it holds
+   */
+  const playForSeat = (room, seat, action) => {
+    if (!action || !CLIENT_ACTIONS.includes(action.type)) {
+      throw new Error("That action is not yours to send");
+    }
+    const player = room.game.players[seat];
+    const fromHand = (card) =>
+      player.hand.find((held) => held.id === card?.id) ?? card;
+
+    const rejected = runAction(room, {
+      ...action,
+      playerId: player.id,
+      ...(action.card && { card: fromHand(action.card) }),
+      ...(Array.isArray(action.cards) && {
+        cards: action.cards.map(fromHand),
+      }),
+    });
+    if (rejected) throw new Error(rejected.reason);
+  };
+
+  // --------------------------------------------------------------------------
+  // Seats
+  // --------------------------------------------------------------------------
+
+  const findSeat = (room, clientId) =>
+    room.seats.findIndex((seat) => seat.clientId === clientId);
+
+  /**
+   * Finds the seat a session token holds
+   * @returns {{room: Object, seat: number}|null} The room and seat, or null
+   *   once the seat has been given up
+   */
+  const findSession = (token) => {
+    if (typeof token !== "string") return null;
+    for (const room of rooms.values()) {
+      const seat = room.seats.findIndex((held) => held.token === token);
+      if (seat !== -1) return { room, seat };
+    }
+    return null;
+  };
+
+  const seatClient = (room, seat, client) => {
+    client.roomCode = room.code;
+    sendTo(client.id, {
+      type: SERVER_MESSAGES.SEATED,
+      code: room.code,
+      seat,
+      token: room.seats[seat].token,
+    });
+    sendChat(client.id, room.chat, true);
+  };
+
+  // Makes sure the host is someone still connected, a seated player if
+  // possible, while anyone is
+  const keepHost = (room) => {
+    const connected = [
+      ...room.seats
+        .map(({ clientId }) => clientId)
+        .filter((clientId) => clientId !== null),
+      ...room.spectators.keys(),
+    ];
+    if (connected.length > 0 && !connected.includes(room.hostId)) {
+      [room.hostId] = connected;
+    }
+  };
+
+  /**
+   * Closes a room once nobody holds a seat in it or watches it
+   * @returns {boolean} Whether the room was closed
+   */
+  const closeIfEmpty = (room) => {
+    if (!isAIOnly(room) || room.spectators.size > 0) return false;
+    clearTimer(room);
+    rooms.delete(room.code);
+    return true;
+  };
+
+  // After a seat changes hands the AI may have a turn or a pass to make
+  const resumePlay = (room) => {
+    if (room.game && room.game.phase !== GAME_PHASES.GAME_OVER) advance(room);
+  };
+
+  const takeSeat = (room, client, name) => {
+    const seat = room.seats.findIndex(
+      ({ clientId, token }) => clientId === null && token === null,
+    );
+    if (seat === -1) throw new Error(`Room ${room.code} is full`);
+    room.seats[seat] = {
+      ...room.seats[seat],
+      clientId: client.id,
+      token: createToken(),
+      senderId: newSenderId(),
+      name: sanitizeUsername(name) || room.seats[seat].name,
+      ready: false,
+    };
+    // With a player at the table, nobody may see every hand
+    room.spectators.forEach((spectator) => {
+      spectator.godView = false;
+    });
+    seatClient(room, seat, client);
+    broadcastRoom(room);
+  };
+
+  const watchRoom = (room, client) => {
+    room.spectators.set(client.id, {
+      godView: false,
+      senderId: newSenderId(),
+    });
+    client.roomCode = room.code;
+    sendChat(client.id, room.chat, true);
+    broadcastRoom(room);
+    if (room.game) sendGame(room, client.id, null);
+  };
+
+  const stopWatching = (room, client) => {
+    room.spectators.delete(client.id);
+    if (closeIfEmpty(room)) return;
+    keepHost(room);
+    broadcastRoom(room);
+  };
+
+  /**
+   * Gives a seat up to the AI, closing the room once nobody holds a seat
+   */
+  const releaseSeat = (room, seat) => {
+    clearTimeout(room.seats[seat].awayTimer);
+    room.seats[seat] = {
+      ...room.seats[seat],
+      clientId: null,
+      token: null,
+      senderId: null,
+      ready: false,
+      awayTimer: null,
+    };
+
+    if (closeIfEmpty(room)) return;
+    keepHost(room);
+    broadcastRoom(room);
+    resumePlay(room);
+  };
+
+  const leaveRoom = (client) => {
+    const room = rooms.get(client.roomCode);
+    client.roomCode = null;
+    if (!room) return;
+    if (room.spectators.has(client.id)) {
+      stopWatching(room, client);
+    } else {
+      releaseSeat(room, findSeat(room, client.id));
+    }
+  };
+
+  /**
+   * Holds a dropped client's seat for the grace period; spectators have
+   * nothing to hold and simply leave
+   */
+  const dropClient = (client) => {
+    const room = rooms.get(client.roomCode);
+    if (room?.spectators.has(client.id)) {
+      leaveRoom(client);
+      return;
+    }
+    client.roomCode = null;
+    if (!room) return;
+
+    const seat = findSeat(room, client.id);
+    room.seats[seat] = {
+      ...room.seats[seat],
+      clientId: null,
+      awayTimer: setTimeout(() => releaseSeat(room, seat), reconnectGrace),
+    };
+    keepHost(room);
+    broadcastRoom(room);
+    resumePlay(room);
+  };
+
+  const newCode = () => {
+    for (let tries = 0; tries < 100; tries += 1) {
+      const code = createCode();
+      if (!rooms.has(code)) return code;
+    }
+    throw new Error("No room codes are free, try again later");
+  };
+
+  // --------------------------------------------------------------------------
+  // Messages
+  // --------------------------------------------------------------------------
+
+  const handlers = {
+    [CLIENT_MESSAGES.CREATE_ROOM]: (client, { name, settings, spectate }) => {
+      if (client.roomCode) throw new Error("Leave your room first");
+      const roomSettings = readSettings(settings);
+      const room = {
+        code: newCode(),
+        settings: roomSettings,
+        hostId: client.id,
+        seats: createPlayers(roomSettings.seats).map((player) => ({
+          playerId: player.id,
+          name: player.name,
+          clientId: null,
+          token: null,
+          senderId: null,
+          ready: false,
+          awayTimer: null,
+        })),
+        spectators: new Map(),
+        game: null,
+        timer: null,
+        clock: null,
+        chat: [],
+        nextChatId: 1,
+      };
+      rooms.set(room.code, room);
+      if (spectate) {
+        watchRoom(room, client);
+      } else {
+        takeSeat(room, client, name);
+      }
+    },
+
+    [CLIENT_MESSAGES.JOIN_ROOM]: (client, { code, name }) => {
+      if (client.roomCode) throw new Error("Leave your room first");
+      const room = rooms.get(normalizeRoomCode(code));
+      if (!room) throw new Error(`There is no room ${normalizeRoomCode(code)}`);
+      if (room.game) throw new Error(`Room ${room.code} has already started`);
+      takeSeat(room, client, name);
+    },
+
+    [CLIENT_MESSAGES.SPECTATE]: (client, { code }) => {
+      if (client.roomCode) throw new Error("Leave your room first");
+      const room = rooms.get(normalizeRoomCode(code));
+      if (!room) throw new Error(`There is no room ${normalizeRoomCode(code)}`);
+      watchRoom(room, client);
+    },
+
+    [CLIENT_MESSAGES.SET_GOD_VIEW]: (client, { enabled }, room) => {
+      const spectator = room.spectators.get(client.id);
+      if (!spectator) throw new Error("Only spectators have a god view");
+      if (enabled && !isAIOnly(room)) {
+        throw new Error("God view is only for tables of computer players");
+      }
+      spectator.godView = Boolean(enabled);
+      broadcastRoom(room);
+      if (room.game) sendGame(room, client.id, null);
+    },
+
+    [CLIENT_MESSAGES.RESUME]: (client, { token }) => {
+      if (client.roomCode) throw new Error("Leave your room first");
+      const session = findSession(token);
+      if (!session) throw new Error("Your seat is no longer held");
+
+      const { room, seat } = session;
+      const held = room.seats[seat];
+      clearTimeout(held.awayTimer);
+      // A connection that has not noticed it dropped gives way to the new one
+      if (held.clientId !== null) {
+        clients.get(held.clientId).roomCode = null;
+        sendError(
+          held.clientId,
+          "Your seat was taken over by a new connection",
+          CLIENT_MESSAGES.RESUME,
+        );
+      }
+      room.seats[seat] = { ...held, clientId: client.id, awayTimer: null };
+      keepHost(room);
+      seatClient(room, seat, client);
+      broadcastRoom(room);
+      if (room.game) sendGame(room, client.id, seat);
+      // The seat's turn waits for its player again
+      resumePlay(room);
+    },
+
+    [CLIENT_MESSAGES.LEAVE_ROOM]: (client) => leaveRoom(client),
+
+    [CLIENT_MESSAGES.SET_READY]: (client, { ready }, room) => {
+      const seat = findSeat(room, client.id);
+      room.seats[seat] = { ...room.seats[seat], ready: Boolean(ready) };
+      broadcastRoom(room);
+    },
+
+    [CLIENT_MESSAGES.START_GAME]: (client, message, room) => {
+      if (room.hostId !== client.id) {
+        throw new Error("Only the host can start the game");
+      }
+      if (room.game) throw new Error("The game has already started");
+      const waitingOn = room.seats.find(
+        ({ clientId, ready }) =>
+          clientId !== null && clientId !== client.id && !ready,
+      );
+      if (waitingOn) throw new Error(`${waitingOn.name} is not ready yet`);
+
+      room.game = createGame({
+        ...room.settings,
+        players: seatPlayers(room),
+      });
+      broadcastRoom(room);
+      runAction(room, { type: ENGINE_ACTIONS.START_GAME });
+    },
+
+    [CLIENT_MESSAGES.ACTION]: (client, { action }, room) => {
+      if (!room.game) throw new Error("The game has not started");
+      playForSeat(room, findSeat(room, client.id), action);
+    },
+
+    [CLIENT_MESSAGES.CHAT]: (client, message, room) => {
+      const now = Date.now();
+      const recent = client.chatSentAt.filter((at) => now - at < chatWindow);
+      if (recent.length >= CHAT_RATE_LIMIT) {
+        throw new Error("You are sending messages too quickly");
+      }
+      const seat = findSeat(room, client.id);
+      const isSeated = seat !== -1;
+      const chat = {
+        id: room.nextChatId,
+        senderId: isSeated
+          ? room.seats[seat].senderId
+          : room.spectators.get(client.id).senderId,
+        // Spectators have no seat or player
+        seat: isSeated ? seat : null,
+        playerId: isSeated ? room.seats[seat].playerId : null,
+        name: isSeated ? room.seats[seat].name : "Spectator",
+        ...readChat(message),
+        sentAt: now,
+      };
+      client.chatSentAt = [...recent, now];
+      room.nextChatId += 1;
+      room.chat = [...room.chat, chat].slice(-CHAT_HISTORY_LIMIT);
+      broadcastChat(room, [chat]);
+    },
+  };
+
+  // Messages that only make sense from a client in a room, and those of
+  // them that only make sense from a seated one
+  const IN_ROOM = [
+    CLIENT_MESSAGES.SET_READY,
+    CLIENT_MESSAGES.SET_GOD_VIEW,
+    CLIENT_MESSAGES.START_GAME,
+    CLIENT_MESSAGES.ACTION,
+    CLIENT_MESSAGES.CHAT,
+  ];
+  const SEATED_ONLY = [CLIENT_MESSAGES.SET_READY, CLIENT_MESSAGES.ACTION];
+
+  /**
+   * Registers a client
+   * @param {Function} send - Delivers a message object to the client
+   * @returns {{receive: Function, disconnect: Function}} Handle for the
+   *   client's parsed messages (null for unreadable ones) and its dropped
+   *   connection
+   */
+  const connect = (send) => {
+    const client = { id: nextClientId, send, roomCode: null, chatSentAt: [] };
+    nextClientId += 1;
+    clients.set(client.id, client);
+
+    return {
+      receive: (message) => {
+        const handler = handlers[message?.type];
+        if (!handler) {
+          sendError(client.id, "Unknown message");
+          return;
+        }
+        const room = rooms.get(client.roomCode) ?? null;
+        if (IN_ROOM.includes(message.type) && !room) {
+          sendError(client.id, "Join a room first", message.type);
+          return;
+        }
+        if (
+          SEATED_ONLY.includes(message.type) &&
+          room.spectators.has(client.id)
+        ) {
+          sendError(client.id, "Spectators can only watch", message.type);
+          return;
+        }
+        try {
+          handler(client, message, room);
+        } catch (error) {
+          sendError(client.id, error.message, message.type);
+        }
+      },
+      disconnect: () => {
+        dropClient(client);
+        clients.delete(client.id);
+      },
+    };
+  };
+
+  const close = () => {
+    rooms.forEach((room) => {
+      clearTimer(room);
+      room.seats.forEach(({ awayTimer }) => clearTimeout(awayTimer));
+    });
+    rooms.clear();
+    clients.clear();
+  };
+
+  return {
+    connect,
+    getRoom: (code) => rooms.get(normalizeRoomCode(code)) ?? null,
+    close,
+  };
+};
@@ -0,0 +1,876 @@
+/**
+ * Unit tests for the game rooms
+ * Drives the room server through in-memory clients, without sockets
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createRoomServer, generateRoomCode } from "./rooms";
+import {
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  ROOM_CODE_LENGTH,
+  ROOM_CODE_ALPHABET,
+  CHAT_EMOTES,
+  CHAT_MAX_LENGTH,
+  CHAT_HISTORY_LIMIT,
+  CHAT_RATE_LIMIT,
+} from "./protocol";
+import { getLegalCards, ENGINE_ACTIONS, ENGINE_EVENTS } from "../engine";
+import { GAME_PHASES, DEFAULT_AI_DIFFICULTY } from "../constants";
+
+/**
+ * Connects a client that records every message it is sent
+ */
+const connectClient = (server) => {
+  const messages = [];
+  const handle = server.connect((message) => messages.push(message));
+  return {
+    ...handle,
+    messages,
+    send: (type, fields = {}) => handle.receive({ type, ...fields }),
+    last: (type) => [...messages].reverse().find((m) => m.type === type),
+  };
+};
+
+const lastError = (client) => client.last(SERVER_MESSAGES.ERROR)?.message;
+
+const lastView = (client) => client.last(SERVER_MESSAGES.GAME_STATE)?.state;
+
+/**
+ * Plays the client's first legal card whenever it is on turn
+ */
+const playIfOnTurn = (client) => {
+  const view = lastView(client);
+  if (view.phase === GAME_PHASES.PLAYING && view.currentPlayer === view.seat) {
+    client.send(CLIENT_MESSAGES.ACTION, {
+      action: {
+        type: ENGINE_ACTIONS.PLAY_CARD,
+        card: getLegalCards(view, view.seat)[0],
+      },
+    });
+  }
+};
+
+describe("game rooms", () => {
+  let server;
+  let codes;
+
+  const settings = { ruleSetId: "suit-follows" };
+
+  /**
+   * Opens a room hosted by one client and joined by another, both ready
+   */
+  const openRoom = (roomSettings = settings) => {
+    const host = connectClient(server);
+    host.send(CLIENT_MESSAGES.CREATE_ROOM, {
+      name: "Ana",
+      settings: roomSettings,
+    });
+    const guest = connectClient(server);
+    guest.send(CLIENT_MESSAGES.JOIN_ROOM, { code: "room", name: "Ben" });
+    guest.send(CLIENT_MESSAGES.SET_READY, { ready: true });
+    return { host, guest };
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    codes = 0;
+    server = createRoomServer({
+      timings: {
+        turnDelay: 10,
+        trickDelay: 10,
+        handDelay: 10,
+        chatWindow: 100,
+      },
+      createCode: () => (codes++ === 0 ? "ROOM" : `ROOM${codes}`),
+    });
+  });
+
+  afterEach(() => {
+    server.close();
+    vi.useRealTimers();
+  });
+
+  describe("generateRoomCode", () => {
+    it("should use only letters from the code alphabet", () => {
+      const code = generateRoomCode();
+
+      expect(code).toHaveLength(ROOM_CODE_LENGTH);
+      [...code].forEach((letter) => {
+        expect(ROOM_CODE_ALPHABET).toContain(letter);
+      });
+    });
+  });
+
+  describe("lobby", () => {
+    it("should seat the creator as host with computer players elsewhere", () => {
+      const host = connectClient(server);
+      host.send(CLIENT_MESSAGES.CREATE_ROOM, { name: "Ana", settings });
+
+      const { room, seat } = host.last(SERVER_MESSAGES.ROOM_UPDATED);
+      expect(seat).toBe(0);
+      expect(room.code).toBe("ROOM");
+      expect(room.started).toBe(false);
+      expect(room.seats[0]).toMatchObject({ name: "Ana", isHost: true });
+      expect(room.seats.slice(1).every((s) => s.isBot)).toBe(true);
+    });
+
+    it("should let players join by code and tell everyone", () => {
+      const { host, guest } = openRoom();
+
+      expect(guest.last(SERVER_MESSAGES.ROOM_UPDATED).seat).toBe(1);
+      expect(host.last(SERVER_MESSAGES.ROOM_UPDATED).room.seats[1]).toEqual({
+        seat: 1,
+        playerId: "player2",
+        name: "Ben",
+        ready: true,
+        isHost: false,
+        isBot: false,
+        isAway: false,
+      });
+    });
+
+    it("should clean up player names", () => {
+      const host = connectClient(server);
+      host.send(CLIENT_MESSAGES.CREATE_ROOM, {
+        name: "<b>Ana</b>",
+        settings,
+      });
+
+      expect(host.last(SERVER_MESSAGES.ROOM_UPDATED).room.seats[0].name).toBe(
+        "Ana",
+      );
+    });
+
+    it("should refuse unknown rooms, full rooms and bad settings", () => {
+      const host = connectClient(server);
+      host.send(CLIENT_MESSAGES.CREATE_ROOM, {
+        settings: { ruleSetId: "poker" },
+      });
+      expect(lastError(host)).toBe('Unknown rule set "poker"');
+
+      host.send(CLIENT_MESSAGES.CREATE_ROOM, {
+        settings: { ...settings, handSize: "lots" },
+      });
+      expect(lastError(host)).toBe(
+        "Deal 1 to 13 cards to each of 4 seats, or the full deck",
+      );
+      host.send(CLIENT_MESSAGES.CREATE_ROOM, {
+        settings: { ...settings, handSize: 14 },
+      });
+      expect(lastError(host)).toBe(
+        "Deal 1 to 13 cards to each of 4 seats, or the full deck",
+      );
+      expect(server.getRoom("ROOM")).toBeNull();
+
+      host.send(CLIENT_MESSAGES.CREATE_ROOM, {
+        settings: { ...settings, seats: 3 },
+      });
+      const stranger = connectClient(server);
+      stranger.send(CLIENT_MESSAGES.JOIN_ROOM, { code: "NOPE" });
+      expect(lastError(stranger)).toBe("There is no room NOPE");
+
+      [1, 2].forEach(() => {
+        connectClient(server).send(CLIENT_MESSAGES.JOIN_ROOM, {
+          code: "ROOM",
+        });
+      });
+      stranger.send(CLIENT_MESSAGES.JOIN_ROOM, { code: "ROOM" });
+      expect(lastError(stranger)).toBe("Room ROOM is full");
+    });
+
+    it("should only take room messages from seated clients", () => {
+      const client = connectClient(server);
+      client.send(CLIENT_MESSAGES.SET_READY, { ready: true });
+      expect(lastError(client)).toBe("Join a room first");
+
+      client.receive(null);
+      expect(lastError(client)).toBe("Unknown message");
+    });
+
+    it("should hand the room to another player when the host leaves", () => {
+      const { host, guest } = openRoom();
+      host.send(CLIENT_MESSAGES.LEAVE_ROOM);
+
+      const { room } = guest.last(SERVER_MESSAGES.ROOM_UPDATED);
+      expect(room.seats[0].isBot).toBe(true);
+      expect(room.seats[1].isHost).toBe(true);
+    });
+
+    it("should close the room once everyone has left", () => {
+      const { host, guest } = openRoom();
+      host.send(CLIENT_MESSAGES.LEAVE_ROOM);
+      guest.send(CLIENT_MESSAGES.LEAVE_ROOM);
+
+      expect(server.getRoom("ROOM")).toBeNull();
+    });
+  });
+
+  describe("starting", () => {
+    it("should only let the host start once everyone is ready", () => {
+      const { host, guest } = openRoom();
+      guest.send(CLIENT_MESSAGES.START_GAME);
+      expect(lastError(guest)).toBe("Only the host can start the game");
+
+      guest.send(CLIENT_MESSAGES.SET_READY, { ready: false });
+      host.send(CLIENT_MESSAGES.START_GAME);
+      expect(lastError(host)).toBe("Ben is not ready yet");
+    });
+
+    it("should stop rather than repeat a step that gets the game nowhere", () => {
+      const { host } = openRoom();
+      // A hand size readSettings would refuse, so the deal cannot happen
+      server.getRoom("ROOM").settings.handSize = "lots";
+      host.send(CLIENT_MESSAGES.START_GAME);
+
+      expect(lastError(host)).toBeUndefined();
+      expect(server.getRoom("ROOM").game.phase).toBe(GAME_PHASES.DEALING);
+    });
+
+    it("should deal and fill the empty seats with computer players", () => {
+      const { host } = openRoom();
+      host.send(CLIENT_MESSAGES.START_GAME);
+
+      const { game } = server.getRoom("ROOM");
+      expect(game.players.map((p) => p.name).slice(0, 2)).toEqual([
+        "Ana",
+        "Ben",
+      ]);
+      expect(game.players[0].difficulty).toBeUndefined();
+      expect(game.players[2].difficulty).toBe(DEFAULT_AI_DIFFICULTY);
+      expect(game.phase).toBe(GAME_PHASES.PLAYING);
+      expect(host.last(SERVER_MESSAGES.ROOM_UPDATED).room.started).toBe(true);
+    });
+
+    it("should send each player only their own hand", () => {
+      const { host, guest } = openRoom();
+      host.send(CLIENT_MESSAGES.START_GAME);
+      const { game } = server.getRoom("ROOM");
+
+      [host, guest].forEach((client, seat) => {
+        const view = lastView(client);
+        expect(view.seat).toBe(seat);
+        expect(view.players[seat].hand).toEqual(game.players[seat].hand);
+        view.players
+          .filter((player, idx) => idx !== seat)
+          .forEach((player) => {
+            expect(player.hand.every((card) => card.hidden)).toBe(true);
+          });
+      });
+    });
+
+    it("should refuse new players once the game is under way", () => {
+      const { host } = openRoom();
+      host.send(CLIENT_MESSAGES.START_GAME);
+      const late = connectClient(server);
+      late.send(CLIENT_MESSAGES.JOIN_ROOM, { code: "ROOM" });
+
+      expect(lastError(late)).toBe("Room ROOM has already started");
+    });
+  });
+
+  describe("playing", () => {
+    it("should play a whole game with humans and computer seats", () => {
+      const { host, guest } = openRoom({ ...settings, maxRounds: 2 });
+      host.send(CLIENT_MESSAGES.START_GAME);
+
+      for (let step = 0; step < 500; step += 1) {
+        const { game } = server.getRoom("ROOM");
+        if (game.phase === GAME_PHASES.GAME_OVER) break;
+        if (game.phase === GAME_PHASES.HAND_OVER) {
+          guest.send(CLIENT_MESSAGES.ACTION, {
+            action: { type: ENGINE_ACTIONS.NEXT_HAND },
+          });
+        }
+        playIfOnTurn(host);
+        playIfOnTurn(guest);
+        vi.advanceTimersByTime(10);
+      }
+
+      const view = lastView(host);
+      expect(view.phase).toBe(GAME_PHASES.GAME_OVER);
+      expect(view.round).toBe(2);
+      expect(lastError(host)).toBeUndefined();
+      expect(lastError(guest)).toBeUndefined();
+    });
+
+    it("should pause before computer turns and trick collection", () => {
+      const host = connectClient(server);
+      host.send(CLIENT_MESSAGES.CREATE_ROOM, {
+        settings: { ...settings, seats: 3 },
+      });
+      host.send(CLIENT_MESSAGES.START_GAME);
+      playIfOnTurn(host);
+      const cardsInPlay = () =>
+        Object.keys(server.getRoom("ROOM").game.playArea).length;
+
+      vi.advanceTimersByTime(9);
+      expect(cardsInPlay()).toBe(1);
+      vi.advanceTimersByTime(1);
+      expect(cardsInPlay()).toBe(2);
+      vi.advanceTimersByTime(10);
+      expect(server.getRoom("ROOM").game.phase).toBe(GAME_PHASES.EVALUATING);
+      vi.advanceTimersByTime(10);
+      expect(server.getRoom("ROOM").game.tricks).toHaveLength(1);
+    });
+
+    it("should reject plays out of turn or of cards not held", () => {
+      const { host, guest } = openRoom();
+      host.send(CLIENT_MESSAGES.START_GAME);
+      const [card] = lastView(guest).players[1].hand;
+
+      guest.send(CLIENT_MESSAGES.ACTION, {
+        action: { type: ENGINE_ACTIONS.PLAY_CARD, card },
+      });
+      expect(lastError(guest)).toBe("It is not your turn");
+
+      const stolen = lastView(guest).players[1].hand[0];
+      host.send(CLIENT_MESSAGES.ACTION, {
+        action: { type: ENGINE_ACTIONS.PLAY_CARD, card: stolen },
+      });
+      expect(lastError(host)).toBeDefined();
+      expect(server.getRoom("ROOM").game.playArea).toEqual({});
+    });
+
+    it("should play cards as held, whatever values the client sends", () => {
+      const { host } = openRoom();
+      host.send(CLIENT_MESSAGES.START_GAME);
+      const [card] = getLegalCards(lastView(host), 0);
+
+      host.send(CLIENT_MESSAGES.ACTION, {
+        action: {
+          type: ENGINE_ACTIONS.PLAY_CARD,
+          card: { ...card, value: 99 },
+        },
+      });
+
+      expect(server.getRoom("ROOM").game.playArea.player1).toEqual(card);
+    });
+
+    it("should keep the server's own actions away from clients", () => {
+      const { host } = openRoom();
+      host.send(CLIENT_MESSAGES.START_GAME);
+      host.send(CLIENT_MESSAGES.ACTION, {
+        action: { type: ENGINE_ACTIONS.COLLECT_TRICK },
+      });
+
+      expect(lastError(host)).toBe("That action is not yours to send");
+    });
+
+    it("should let the AI take over a seat whose player leaves", () => {
+      const { host, guest } = openRoom();
+      host.send(CLIENT_MESSAGES.START_GAME);
+      playIfOnTurn(host);
+      guest.send(CLIENT_MESSAGES.LEAVE_ROOM);
+
+      vi.advanceTimersByTime(10);
+
+      const { game } = server.getRoom("ROOM");
+      expect(game.playArea.player2).toBeDefined();
+      expect(host.last(SERVER_MESSAGES.ROOM_UPDATED).room.seats[1].isBot).toBe(
+        true,
+      );
+    });
+
+    it("should share passed cards only with the seat receiving them", () => {
+      const { host, guest } = openRoom({ ruleSetId: "hearts" });
+      host.send(CLIENT_MESSAGES.START_GAME);
+
+      [host, guest].forEach((client) => {
+        const view = lastView(client);
+        client.send(CLIENT_MESSAGES.ACTION, {
+          action: {
+            type: ENGINE_ACTIONS.PASS_CARDS,
+            cards: view.players[view.seat].hand.slice(0, 3),
+          },
+        });
+      });
+
+      const passed = guest.messages
+        .filter((m) => m.type === SERVER_MESSAGES.GAME_STATE)
+        .flatMap((m) => m.events)
+        .find((event) => event.type === ENGINE_EVENTS.CARDS_PASSED);
+      expect(Object.keys(passed.received)).toEqual(["player2"]);
+    });
+  });
+
+  describe("spectators", () => {
+    const lastRoomUpdate = (client) =>
+      client.last(SERVER_MESSAGES.ROOM_UPDATED);
+
+    it("should let spectators watch a game with every hand face down", () => {
+      const { host } = openRoom();
+      const watcher = connectClient(server);
+      watcher.send(CLIENT_MESSAGES.SPECTATE, { code: "room" });
+      host.send(CLIENT_MESSAGES.START_GAME);
+
+      expect(lastRoomUpdate(watcher)).toMatchObject({
+        seat: null,
+        isHost: false,
+        godView: false,
+      });
+      expect(lastRoomUpdate(host).room.spectators).toBe(1);
+      const view = lastView(watcher);
+      expect(view.seat).toBeNull();
+      view.players.forEach((player) => {
+        expect(player.hand.every((card) => card.hidden)).toBe(true);
+      });
+    });
+
+    it("should send a spectator joining mid-game the table as it is", () => {
+      const { host } = openRoom();
+      host.send(CLIENT_MESSAGES.START_GAME);
+      playIfOnTurn(host);
+      const watcher = connectClient(server);
+      watcher.send(CLIENT_MESSAGES.SPECTATE, { code: "ROOM" });
+
+      expect(lastView(watcher).playArea).toEqual(
+        server.getRoom("ROOM").game.playArea,
+      );
+    });
+
+    it("should keep spectators from playing", () => {
+      const { host } = openRoom();
+      host.send(CLIENT_MESSAGES.START_GAME);
+      const watcher = connectClient(server);
+      watcher.send(CLIENT_MESSAGES.SPECTATE, { code: "ROOM" });
+      watcher.send(CLIENT_MESSAGES.ACTION, {
+        action: { type: ENGINE_ACTIONS.NEXT_HAND },
+      });
+
+      expect(lastError(watcher)).toBe("Spectators can only watch");
+    });
+
+    it("should keep god view to tables of computer players", () => {
+      openRoom();
+      const watcher = connectClient(server);
+      watcher.send(CLIENT_MESSAGES.SPECTATE, { code: "ROOM" });
+      watcher.send(CLIENT_MESSAGES.SET_GOD_VIEW, { enabled: true });
+
+      expect(lastError(watcher)).toBe(
+        "God view is only for tables of computer players",
+      );
+    });
+
+    it("should host a table of computer players with god view", () => {
+      const watcher = connectClient(server);
+      watcher.send(CLIENT_MESSAGES.CREATE_ROOM, {
+        settings,
+        spectate: true,
+      });
+      expect(lastRoomUpdate(watcher)).toMatchObject({
+        seat: null,
+        isHost: true,
+      });
+      expect(lastRoomUpdate(watcher).room.aiOnly).toBe(true);
+
+      watcher.send(CLIENT_MESSAGES.SET_GOD_VIEW, { enabled: true });
+      watcher.send(CLIENT_MESSAGES.START_GAME);
+      const { game } = server.getRoom("ROOM");
+
+      expect(lastRoomUpdate(watcher).godView).toBe(true);
+      expect(lastView(watcher).players.map((player) => player.hand)).toEqual(
+        game.players.map((player) => player.hand),
+      );
+
+      vi.advanceTimersByTime(100);
+      expect(server.getRoom("ROOM").game.ledger.plays.length).toBeGreaterThan(
+        0,
+      );
+    });
+
+    it("should play every hand of a table of computer players", () => {
+      const watcher = connectClient(server);
+      watcher.send(CLIENT_MESSAGES.CREATE_ROOM, {
+        settings: { ...settings, maxRounds: 3 },
+        spectate: true,
+      });
+      watcher.send(CLIENT_MESSAGES.START_GAME);
+      for (let step = 0; step < 1000; step += 1) {
+        if (server.getRoom("ROOM").game.phase === GAME_PHASES.GAME_OVER) break;
+        vi.advanceTimersByTime(10);
+      }
+
+      const { game } = server.getRoom("ROOM");
+      expect(game.phase).toBe(GAME_PHASES.GAME_OVER);
+      expect(game.round).toBe(3);
+      expect(lastView(watcher).phase).toBe(GAME_PHASES.GAME_OVER);
+    });
+
+    it("should turn god view off when a player sits down", () => {
+      const watcher = connectClient(server);
+      watcher.send(CLIENT_MESSAGES.CREATE_ROOM, { settings, spectate: true });
+      watcher.send(CLIENT_MESSAGES.SET_GOD_VIEW, { enabled: true });
+      connectClient(server).send(CLIENT_MESSAGES.JOIN_ROOM, { code: "ROOM" });
+
+      expect(lastRoomUpdate(watcher).godView).toBe(false);
+    });
+
+    it("should close a watched room once its last spectator leaves", () => {
+      const watcher = connectClient(server);
+      watcher.send(CLIENT_MESSAGES.CREATE_ROOM, { settings, spectate: true });
+      watcher.disconnect();
+
+      expect(server.getRoom("ROOM")).toBeNull();
+    });
+  });
+
+  describe("reconnecting", () => {
+    const tokenOf = (client) => client.last(SERVER_MESSAGES.SEATED).token;
+
+    /**
+     * Starts a game and plays on until the guest is to follow to a trick,
+     * or to lead its last card
+     */
+    const startUntilGuestFollows = () => {
+      const { host, guest } = openRoom();
+      host.send(CLIENT_MESSAGES.START_GAME);
+      for (let step = 0; step < 200; step += 1) {
+        const { game } = server.getRoom("ROOM");
+        const isLeading = Object.keys(game.playArea).length === 0;
+        const isGuestsTurn =
+          game.phase === GAME_PHASES.PLAYING && game.currentPlayer === 1;
+        // A guest who wins every trick never follows, so it stops on its
+        // last lead instead
+        if (isGuestsTurn && (!isLeading || game.players[1].hand.length === 1)) {
+          break;
+        }
+        playIfOnTurn(host);
+        // The host's card may have made it the guest's turn to follow
+        const { game: next } = server.getRoom("ROOM");
+        const isStillLeading =
+          Object.keys(next.playArea).length === 0 &&
+          next.players[1].hand.length > 1;
+        if (isStillLeading) playIfOnTurn(guest);
+        vi.advanceTimersByTime(10);
+      }
+      return { host, guest };
+    };
+
+    it("should hand out a session token with the seat", () => {
+      const { host, guest } = openRoom();
+
+      expect(host.last(SERVER_MESSAGES.SEATED)).toMatchObject({
+        code: "ROOM",
+        seat: 0,
+      });
+      expect(tokenOf(guest)).toMatch(/^[0-9a-f]{32}$/);
+      expect(tokenOf(guest)).not.toBe(tokenOf(host));
+    });
+
+    it("should hold a dropped player's seat and give it back", () => {
+      const { host, guest } = openRoom();
+      guest.disconnect();
+
+      const held = host.last(SERVER_MESSAGES.ROOM_UPDATED).room.seats[1];
+      expect(held).toMatchObject({ name: "Ben", isBot: false, isAway: true });
+
+      const returning = connectClient(server);
+      returning.send(CLIENT_MESSAGES.RESUME, { token: tokenOf(guest) });
+
+      expect(returning.last(SERVER_MESSAGES.SEATED).seat).toBe(1);
+      expect(
+        returning.last(SERVER_MESSAGES.ROOM_UPDATED).room.seats[1],
+      ).toMatchObject({ isAway: false, ready: true });
+    });
+
+    it("should restore the trick, the hand and the time left on the turn", () => {
+      const { guest } = startUntilGuestFollows();
+      vi.advanceTimersByTime(5000);
+      guest.disconnect();
+      vi.advanceTimersByTime(5);
+
+      const returning = connectClient(server);
+      returning.send(CLIENT_MESSAGES.RESUME, { token: tokenOf(guest) });
+      const { game } = server.getRoom("ROOM");
+      const { state, turnTimeLeft } = returning.last(
+        SERVER_MESSAGES.GAME_STATE,
+      );
+
+      expect(state.seat).toBe(1);
+      expect(state.playArea).toEqual(game.playArea);
+      expect(state.leadPlayerId).toBe(game.leadPlayerId);
+      expect(state.players[1].hand).toEqual(game.players[1].hand);
+      expect(turnTimeLeft).toBeLessThanOrEqual(25000);
+      expect(turnTimeLeft).toBeGreaterThan(24900);
+
+      // The returning player has their turn back, clock and all
+      vi.advanceTimersByTime(1000);
+      expect(server.getRoom("ROOM").game.currentPlayer).toBe(1);
+    });
+
+    const guestPlays = () =>
+      server
+        .getRoom("ROOM")
+        .game.ledger.plays.filter(({ playerId }) => playerId === "player2");
+
+    it("should let the AI play for a seated player whose clock runs out", () => {
+      startUntilGuestFollows();
+      const before = guestPlays().length;
+
+      vi.advanceTimersByTime(29000);
+      expect(guestPlays()).toHaveLength(before);
+      vi.advanceTimersByTime(1000);
+      expect(guestPlays()).toHaveLength(before + 1);
+    });
+
+    it("should pass for seated players who have not when the clock runs out", () => {
+      const { host } = openRoom({ ruleSetId: "hearts" });
+      host.send(CLIENT_MESSAGES.START_GAME);
+      const view = lastView(host);
+      host.send(CLIENT_MESSAGES.ACTION, {
+        action: {
+          type: ENGINE_ACTIONS.PASS_CARDS,
+          cards: view.players[0].hand.slice(0, 3),
+        },
+      });
+
+      vi.advanceTimersByTime(29000);
+      const { game } = server.getRoom("ROOM");
+      expect(game.phase).toBe(GAME_PHASES.PASSING);
+      expect(game.passes.player2).toBeUndefined();
+      expect(lastView(host).phase).toBe(GAME_PHASES.PASSING);
+
+      vi.advanceTimersByTime(1000);
+      expect(server.getRoom("ROOM").game.phase).not.toBe(GAME_PHASES.PASSING);
+    });
+
+    it("should deal the next hand itself once the clock between hands runs out", () => {
+      const { host, guest } = openRoom({ ...settings, maxRounds: 2 });
+      host.send(CLIENT_MESSAGES.START_GAME);
+      for (let step = 0; step < 500; step += 1) {
+        if (server.getRoom("ROOM").game.phase === GAME_PHASES.HAND_OVER) break;
+        playIfOnTurn(host);
+        playIfOnTurn(guest);
+        vi.advanceTimersByTime(10);
+      }
+      expect(server.getRoom("ROOM").game.phase).toBe(GAME_PHASES.HAND_OVER);
+      expect(host.last(SERVER_MESSAGES.GAME_STATE).turnTimeLeft).toBe(30000);
+
+      vi.advanceTimersByTime(29000);
+      expect(server.getRoom("ROOM").game.phase).toBe(GAME_PHASES.HAND_OVER);
+      vi.advanceTimersByTime(1000);
+      expect(server.getRoom("ROOM").game.round).toBe(2);
+    });
+
+    it("should play an away player's turns without waiting for the clock", () => {
+      const { guest } = startUntilGuestFollows();
+      const before = guestPlays().length;
+      guest.disconnect();
+
+      vi.advanceTimersByTime(10);
+      expect(guestPlays()).toHaveLength(before + 1);
+    });
+
+    it("should give the seat to the AI once the grace period is over", () => {
+      const { host, guest } = openRoom();
+      guest.disconnect();
+      vi.advanceTimersByTime(60000);
+
+      expect(host.last(SERVER_MESSAGES.ROOM_UPDATED).room.seats[1].isBot).toBe(
+        true,
+      );
+
+      const late = connectClient(server);
+      late.send(CLIENT_MESSAGES.RESUME, { token: tokenOf(guest) });
+      expect(late.last(SERVER_MESSAGES.ERROR)).toMatchObject({
+        message: "Your seat is no longer held",
+        of: CLIENT_MESSAGES.RESUME,
+      });
+    });
+
+    it("should keep the room until the last held seat is given up", () => {
+      const { host, guest } = openRoom();
+      host.disconnect();
+      guest.disconnect();
+
+      expect(server.getRoom("ROOM")).not.toBeNull();
+      vi.advanceTimersByTime(60000);
+      expect(server.getRoom("ROOM")).toBeNull();
+    });
+
+    it("should move the seat to a new connection that resumes it", () => {
+      const { guest } = openRoom();
+      const returning = connectClient(server);
+      returning.send(CLIENT_MESSAGES.RESUME, { token: tokenOf(guest) });
+
+      expect(lastError(guest)).toBe(
+        "Your seat was taken over by a new connection",
+      );
+      guest.send(CLIENT_MESSAGES.SET_READY, { ready: false });
+      expect(lastError(guest)).toBe("Join a room first");
+      expect(returning.last(SERVER_MESSAGES.SEATED).seat).toBe(1);
+    });
+
+    it("should pass the host on while the host is away", () => {
+      const { host, guest } = openRoom();
+      host.disconnect();
+
+      expect(
+        guest.last(SERVER_MESSAGES.ROOM_UPDATED).room.seats[1].isHost,
+      ).toBe(true);
+    });
+  });
+
+  describe("chat", () => {
+    const lastChat = (client) => client.last(SERVER_MESSAGES.CHAT);
+
+    it("should send a line to everyone in the room", () => {
+      const { host, guest } = openRoom();
+      const watcher = connectClient(server);
+      watcher.send(CLIENT_MESSAGES.SPECTATE, { code: "ROOM" });
+      guest.send(CLIENT_MESSAGES.CHAT, { text: "  Good luck  " });
+
+      [host, guest, watcher].forEach((client) => {
+        expect(lastChat(client)).toMatchObject({
+          history: false,
+          messages: [
+            {
+              seat: 1,
+              playerId: "player2",
+              name: "Ben",
+              text: "Good luck",
+              emote: null,
+            },
+          ],
+        });
+      });
+    });
+
+    it("should name the sender of each message", () => {
+      const { host, guest } = openRoom();
+      const watcher = connectClient(server);
+      watcher.send(CLIENT_MESSAGES.SPECTATE, { code: "ROOM" });
+      guest.send(CLIENT_MESSAGES.CHAT, { text: "Hi" });
+      watcher.send(CLIENT_MESSAGES.CHAT, { text: "Hello" });
+
+      const [fromGuest, fromWatcher] = server.getRoom("ROOM").chat;
+      expect(fromGuest.senderId).toBe(
+        guest.last(SERVER_MESSAGES.ROOM_UPDATED).ownSenderId,
+      );
+      expect(fromWatcher.senderId).toBe(
+        watcher.last(SERVER_MESSAGES.ROOM_UPDATED).ownSenderId,
+      );
+      expect(fromWatcher.senderId).not.toBe(fromGuest.senderId);
+      expect(host.last(SERVER_MESSAGES.ROOM_UPDATED).ownSenderId).not.toBe(
+        fromGuest.senderId,
+      );
+    });
+
+    it("should keep a player's sender id when they resume their seat", () => {
+      const { guest } = openRoom();
+      guest.send(CLIENT_MESSAGES.CHAT, { text: "Hi" });
+      guest.disconnect();
+      const returning = connectClient(server);
+      returning.send(CLIENT_MESSAGES.RESUME, {
+        token: guest.last(SERVER_MESSAGES.SEATED).token,
+      });
+      returning.send(CLIENT_MESSAGES.CHAT, { text: "Back again" });
+
+      const [before, after] = server.getRoom("ROOM").chat;
+      expect(after.senderId).toBe(before.senderId);
+      expect(returning.last(SERVER_MESSAGES.ROOM_UPDATED).ownSenderId).toBe(
+        before.senderId,
+      );
+    });
+
+    it("should give whoever takes a seat next a sender id of their own", () => {
+      const { guest } = openRoom();
+      const first = guest.last(SERVER_MESSAGES.ROOM_UPDATED).ownSenderId;
+      guest.send(CLIENT_MESSAGES.LEAVE_ROOM);
+      const next = connectClient(server);
+      next.send(CLIENT_MESSAGES.JOIN_ROOM, { code: "ROOM", name: "Cy" });
+
+      expect(next.last(SERVER_MESSAGES.ROOM_UPDATED).seat).toBe(1);
+      expect(next.last(SERVER_MESSAGES.ROOM_UPDATED).ownSenderId).not.toBe(
+        first,
+      );
+    });
+
+    it("should hold back a connection that sends too fast", () => {
+      const { host } = openRoom();
+      for (let line = 0; line < CHAT_RATE_LIMIT; line += 1) {
+        host.send(CLIENT_MESSAGES.CHAT, { text: `line ${line}` });
+      }
+      host.send(CLIENT_MESSAGES.CHAT, { emote: CHAT_EMOTES[0] });
+
+      expect(lastError(host)).toBe("You are sending messages too quickly");
+      expect(server.getRoom("ROOM").chat).toHaveLength(CHAT_RATE_LIMIT);
+
+      vi.advanceTimersByTime(100);
+      host.send(CLIENT_MESSAGES.CHAT, { emote: CHAT_EMOTES[0] });
+      expect(server.getRoom("ROOM").chat).toHaveLength(CHAT_RATE_LIMIT + 1);
+    });
+
+    it("should strip markup from text and escape what is left", () => {
+      const { host } = openRoom();
+      host.send(CLIENT_MESSAGES.CHAT, {
+        text: "<script>alert(1)</script>Hi & bye",
+      });
+      const [message] = lastChat(host).messages;
+
+      expect(message.text).toBe("alert(1)Hi &amp; bye");
+    });
+
+    it("should send quick emotes and refuse anything else", () => {
+      const { host } = openRoom();
+      host.send(CLIENT_MESSAGES.CHAT, { emote: CHAT_EMOTES[0] });
+      expect(lastChat(host).messages[0]).toMatchObject({
+        text: null,
+        emote: CHAT_EMOTES[0],
+      });
+
+      host.send(CLIENT_MESSAGES.CHAT, { emote: "<img>" });
+      expect(lastError(host)).toBe("Unknown emote");
+      host.send(CLIENT_MESSAGES.CHAT, { text: "<b></b>" });
+      expect(lastError(host)).toBe("There is nothing to send");
+    });
+
+    it("should cut long lines and keep only the recent history", () => {
+      const { host } = openRoom();
+      host.send(CLIENT_MESSAGES.CHAT, {
+        text: "a".repeat(CHAT_MAX_LENGTH + 9),
+      });
+      expect(lastChat(host).messages[0].text).toHaveLength(CHAT_MAX_LENGTH);
+
+      for (let line = 0; line < CHAT_HISTORY_LIMIT; line += 1) {
+        vi.advanceTimersByTime(100);
+        host.send(CLIENT_MESSAGES.CHAT, { text: `line ${line}` });
+      }
+      const { chat } = server.getRoom("ROOM");
+      expect(chat).toHaveLength(CHAT_HISTORY_LIMIT);
+      expect(chat[0].text).toBe("line 0");
+    });
+
+    it("should send the history to clients coming into the room", () => {
+      const { host, guest } = openRoom();
+      host.send(CLIENT_MESSAGES.CHAT, { text: "Welcome" });
+      const watcher = connectClient(server);
+      watcher.send(CLIENT_MESSAGES.SPECTATE, { code: "ROOM" });
+      watcher.send(CLIENT_MESSAGES.CHAT, { text: "Hello" });
+      guest.disconnect();
+      const returning = connectClient(server);
+      returning.send(CLIENT_MESSAGES.RESUME, {
+        token: guest.last(SERVER_MESSAGES.SEATED).token,
+      });
+
+      expect(lastChat(watcher).messages.at(-1)).toMatchObject({
+        seat: null,
+        name: "Spectator",
+      });
+      const history = lastChat(returning);
+      expect(history.history).toBe(true);
+      expect(history.messages.map(({ text }) => text)).toEqual([
+        "Welcome",
+        "Hello",
+      ]);
+    });
+
+    it("should only take chat from clients in a room", () => {
+      const stranger = connectClient(server);
+      stranger.send(CLIENT_MESSAGES.CHAT, { text: "Anyone?" });
+
+      expect(lastError(stranger)).toBe("Join a room first");
+    });
+  });
+});
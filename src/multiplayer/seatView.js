@@ -0,0 +1,99 @@
+/**
+ * Seat Views
+ * What the room server sends each seat: the engine state with everything the
+ * seat may not see taken out
+ *
+ * The view keeps the engine state's shape, so the game's own helpers
+ * (getLegalCards, getTricksWon, getPassInfo...) still read it. Other seats'
+ * hands and the kitty become face-down placeholders of the same length. The
+ * deck is kept in a fixed order, since its shuffled order would give every
+ * hand away, and the seed and generator state stay hidden until the game is
+ * over for the same reason. Passed cards are only shown to the seat that
+ * chose them.
+ *
+ * Spectators get a view without a seat, with every hand face down, or, with
+ * `godView` at a table of computer players only, every hand face up.
+ */
+
+import { GAME_PHASES } from "../constants";
+import { ENGINE_EVENTS } from "../engine";
+
+/**
+ * Turns cards into face-down placeholders
+ * @param {Array} cards - Cards to hide
+ * @param {string} owner - Whose cards they are, to keep placeholder ids unique
+ * @returns {Array<{id: string, hidden: boolean}>} One placeholder per card
+ */
+export const hideCards = (cards, owner) =>
+  cards.map((_, idx) => ({ id: `${owner}-hidden-${idx}`, hidden: true }));
+
+// Whose cards a view shows: the seat's own, or everyone's in god view
+const canSee = (state, seat, godView) => (playerId) =>
+  godView || (seat !== null && state.players[seat].id === playerId);
+
+/**
+ * Builds the view of the game one seat, or a spectator, is allowed
+ * @param {Object} state - Engine state
+ * @param {number|null} seat - Seat the view is for, or null for a spectator
+ * @param {Object} options - View options
+ * @param {boolean} options.godView - Show every hand and pass (for
+ *   spectators at tables without human players)
+ * @returns {Object} Engine-shaped state with the seat's index in `seat`
+ */
+export const createSeatView = (state, seat, { godView = false } = {}) => {
+  const sees = canSee(state, seat, godView);
+  const isOver = state.phase === GAME_PHASES.GAME_OVER;
+
+  return {
+    ...state,
+    seat,
+    seed: isOver ? state.seed : null,
+    rngState: null,
+    deck: [...state.deck].sort((a, b) => a.id.localeCompare(b.id)),
+    kitty: isOver || godView ? state.kitty : hideCards(state.kitty, "kitty"),
+    players: state.players.map((player) =>
+      sees(player.id)
+        ? player
+        : { ...player, hand: hideCards(player.hand, player.id) },
+    ),
+    // Seats that have passed, with only the cards this view may see
+    passes: Object.fromEntries(
+      Object.entries(state.passes).map(([playerId, cards]) => [
+        playerId,
+        sees(playerId) ? cards : hideCards(cards, playerId),
+      ]),
+    ),
+  };
+};
+
+/**
+ * Strips the events of what the seat, or a spectator, may not see
+ * @param {Array} events - Engine events
+ * @param {Object} state - Engine state after the events
+ * @param {number|null} seat - Seat the events are for, or null for a
+ *   spectator
+ * @param {Object} options - View options, as for createSeatView
+ * @returns {Array} Events for the seat
+ */
+export const getSeatEvents = (
+  events,
+  state,
+  seat,
+  { godView = false } = {},
+) => {
+  const sees = canSee(state, seat, godView);
+  return events
+    .filter((event) => event.type !== ENGINE_EVENTS.ACTION_REJECTED)
+    .map((event) =>
+      event.type === ENGINE_EVENTS.CARDS_PASSED
+        ? {
+            ...event,
+            received: Object.fromEntries(
+              Object.entries(event.received).filter(([playerId]) =>
+                sees(playerId),
+              ),
+            ),
+          }
+        : event,
+    );
+};
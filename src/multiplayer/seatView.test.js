@@ -0,0 +1,161 @@
+/**
+ * Unit tests for the per-seat game views
+ */
+
+import { describe, it, expect } from "vitest";
+import { hideCards, createSeatView, getSeatEvents } from "./seatView";
+import {
+  createGame,
+  applyAction,
+  getLegalCards,
+  ENGINE_ACTIONS,
+  ENGINE_EVENTS,
+} from "../engine";
+import { GAME_PHASES } from "../constants";
+
+const dealtGame = (config = {}) =>
+  [
+    { type: ENGINE_ACTIONS.START_GAME },
+    { type: ENGINE_ACTIONS.DEAL_CARDS },
+    { type: ENGINE_ACTIONS.START_PLAYING },
+  ].reduce(
+    (state, action) => applyAction(state, action).state,
+    createGame({ seed: "views", ...config }),
+  );
+
+describe("seat views", () => {
+  describe("hideCards", () => {
+    it("should turn cards into numbered placeholders", () => {
+      expect(hideCards([{ id: "hearts-1" }, { id: "clubs-2" }], "p")).toEqual([
+        { id: "p-hidden-0", hidden: true },
+        { id: "p-hidden-1", hidden: true },
+      ]);
+    });
+  });
+
+  describe("createSeatView", () => {
+    const state = dealtGame();
+
+    it("should show the seat its own hand and only card counts of others", () => {
+      const view = createSeatView(state, 1);
+
+      expect(view.seat).toBe(1);
+      expect(view.players[1].hand).toEqual(state.players[1].hand);
+      view.players.forEach((player, idx) => {
+        expect(player.hand).toHaveLength(state.players[idx].hand.length);
+        if (idx !== 1) {
+          expect(player.hand.every((card) => card.hidden)).toBe(true);
+        }
+      });
+    });
+
+    it("should hide the deck order, the seed and the generator", () => {
+      const view = createSeatView(state, 0);
+      const ids = view.deck.map((card) => card.id);
+
+      expect(ids).toEqual([...ids].sort());
+      expect(ids).toHaveLength(state.deck.length);
+      expect(view.seed).toBeNull();
+      expect(view.rngState).toBeNull();
+      expect(view.kitty.every((card) => card.hidden)).toBe(true);
+    });
+
+    it("should reveal the seed once the game is over", () => {
+      const view = createSeatView(
+        { ...state, phase: GAME_PHASES.GAME_OVER },
+        0,
+      );
+
+      expect(view.seed).toBe(state.seed);
+    });
+
+    it("should show only the seat's own passed cards", () => {
+      const passing = dealtGame({ ruleSetId: "hearts" });
+      const passed = passing.players.slice(0, 2).reduce(
+        (current, player) =>
+          applyAction(current, {
+            type: ENGINE_ACTIONS.PASS_CARDS,
+            playerId: player.id,
+            cards: player.hand.slice(0, 3),
+          }).state,
+        passing,
+      );
+      const view = createSeatView(passed, 0);
+
+      expect(view.passes.player1).toEqual(passed.passes.player1);
+      expect(view.passes.player2).toHaveLength(3);
+      expect(view.passes.player2.every((card) => card.hidden)).toBe(true);
+      expect(view.passes.player3).toBeUndefined();
+    });
+
+    it("should show a spectator every hand face down", () => {
+      const view = createSeatView(state, null);
+
+      expect(view.seat).toBeNull();
+      view.players.forEach((player) => {
+        expect(player.hand.every((card) => card.hidden)).toBe(true);
+      });
+    });
+
+    it("should show every hand in god view but keep the deal secret", () => {
+      const view = createSeatView(state, null, { godView: true });
+
+      expect(view.players.map((player) => player.hand)).toEqual(
+        state.players.map((player) => player.hand),
+      );
+      expect(view.seed).toBeNull();
+      expect(view.rngState).toBeNull();
+    });
+
+    it("should still work with the engine's helpers", () => {
+      const seat = state.currentPlayer;
+
+      expect(getLegalCards(createSeatView(state, seat), seat)).toEqual(
+        getLegalCards(state, seat),
+      );
+    });
+  });
+
+  describe("getSeatEvents", () => {
+    const state = dealtGame();
+
+    it("should keep only the seat's own received cards", () => {
+      const events = [
+        {
+          type: ENGINE_EVENTS.CARDS_PASSED,
+          direction: "left",
+          received: { player1: ["a"], player2: ["b"] },
+        },
+      ];
+
+      expect(getSeatEvents(events, state, 1)[0].received).toEqual({
+        player2: ["b"],
+      });
+    });
+
+    it("should give spectators received cards only in god view", () => {
+      const events = [
+        {
+          type: ENGINE_EVENTS.CARDS_PASSED,
+          direction: "left",
+          received: { player1: ["a"], player2: ["b"] },
+        },
+      ];
+
+      expect(getSeatEvents(events, state, null)[0].received).toEqual({});
+      expect(
+        getSeatEvents(events, state, null, { godView: true })[0].received,
+      ).toEqual(events[0].received);
+    });
+
+    it("should drop rejections and pass public events through", () => {
+      const played = { type: ENGINE_EVENTS.CARD_PLAYED, playerId: "player1" };
+      const events = [
+        played,
+        { type: ENGINE_EVENTS.ACTION_REJECTED, reason: "Not your turn" },
+      ];
+
+      expect(getSeatEvents(events, state, 2)).toEqual([played]);
+    });
+  });
+});
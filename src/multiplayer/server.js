@@ -0,0 +1,58 @@
+/**
+ * WebSocket Room Server
+ * Serves game rooms over WebSocket; Node only
+ *
+ * Each connection is one client of the room server: its text messages are
+ * parsed and handed to the rooms, and whatever the rooms send back goes out
+ * as JSON.
+ */
+
+import { WebSocketServer, WebSocket } from "ws";
+import { DEFAULT_SERVER_PORT, parseMessage } from "./protocol";
+import { createRoomServer } from "./rooms";
+
+/**
+ * Starts a room server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {string} options.host - Interface to listen on (all by default)
+ * @param {Object} options.timings - Overrides for ROOM_TIMINGS
+ * @returns {Promise<{port: number, rooms: Object, close: Function}>} The
+ *   port in use, the room server and a function that disconnects everyone
+ *   and stops listening
+ */
+export const startServer = ({
+  port = DEFAULT_SERVER_PORT,
+  host,
+  timings,
+} = {}) =>
+  new Promise((resolve, reject) => {
+    const rooms = createRoomServer({ timings });
+    const wss = new WebSocketServer({ port, host });
+
+    wss.on("connection", (socket) => {
+      const client = rooms.connect((message) => {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify(message));
+        }
+      });
+      socket.on("message", (data) =>
+        client.receive(parseMessage(String(data))),
+      );
+      socket.on("close", () => client.disconnect());
+    });
+
+    wss.once("error", reject);
+    wss.once("listening", () => {
+      resolve({
+        port: wss.address().port,
+        rooms,
+        close: () =>
+          new Promise((done) => {
+            rooms.close();
+            wss.clients.forEach((socket) => socket.terminate());
+            wss.close(() => done());
+          }),
+      });
+    });
+  });
@@ -0,0 +1,215 @@
+/**
+ * Integration tests for the WebSocket room server
+ * Starts a real server on a free local port and talks to it over sockets
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { WebSocket } from "ws";
+import { startServer } from "./server";
+import { createRoomClient, CONNECTION_STATUS } from "./client";
+import { CLIENT_MESSAGES, SERVER_MESSAGES } from "./protocol";
+import { GAME_PHASES } from "../constants";
+
+/**
+ * Opens a socket to the server that queues up the messages it receives
+ */
+const openClient = (port) =>
+  new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}`);
+    const inbox = [];
+    const waiting = [];
+
+    socket.on("message", (data) => {
+      inbox.push(JSON.parse(String(data)));
+      waiting.splice(0).forEach((check) => check());
+    });
+    socket.once("error", reject);
+    socket.once("open", () =>
+      resolve({
+        socket,
+        send: (type, fields = {}) =>
+          socket.send(JSON.stringify({ type, ...fields })),
+        // Resolves with the first message so far that matches
+        next: (match) =>
+          new Promise((found) => {
+            const check = () => {
+              const idx = inbox.findIndex(match);
+              if (idx === -1) {
+                waiting.push(check);
+                return;
+              }
+              found(inbox.splice(0, idx + 1)[idx]);
+            };
+            check();
+          }),
+      }),
+    );
+  });
+
+const ofType = (type) => (message) => message.type === type;
+
+/**
+ * Resolves once a room client's snapshot matches
+ */
+const snapshotMatching = (client, match) =>
+  new Promise((found) => {
+    const check = () => {
+      if (!match(client.getSnapshot())) return;
+      unsubscribe();
+      found(client.getSnapshot());
+    };
+    const unsubscribe = client.subscribe(check);
+    check();
+  });
+
+const createTabStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+describe("WebSocket room server", () => {
+  let server;
+  const sockets = [];
+
+  const connect = async () => {
+    const client = await openClient(server.port);
+    sockets.push(client.socket);
+    return client;
+  };
+
+  beforeEach(async () => {
+    server = await startServer({
+      port: 0,
+      host: "127.0.0.1",
+      timings: { turnDelay: 0, trickDelay: 0 },
+    });
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach((socket) => socket.close());
+    await server.close();
+  });
+
+  it("should create and join rooms and deal each player their own view", async () => {
+    const host = await connect();
+    host.send(CLIENT_MESSAGES.CREATE_ROOM, {
+      name: "Ana",
+      settings: { ruleSetId: "suit-follows" },
+    });
+    const { room } = await host.next(ofType(SERVER_MESSAGES.ROOM_UPDATED));
+
+    const guest = await connect();
+    guest.send(CLIENT_MESSAGES.JOIN_ROOM, {
+      code: room.code.toLowerCase(),
+      name: "Ben",
+    });
+    const joined = await guest.next(ofType(SERVER_MESSAGES.ROOM_UPDATED));
+    expect(joined.seat).toBe(1);
+
+    guest.send(CLIENT_MESSAGES.SET_READY, { ready: true });
+    await host.next(
+      (message) =>
+        message.type === SERVER_MESSAGES.ROOM_UPDATED &&
+        message.room.seats[1].ready,
+    );
+    host.send(CLIENT_MESSAGES.START_GAME);
+
+    const [hostView, guestView] = await Promise.all(
+      [host, guest].map(async (client) => {
+        const { state } = await client.next(
+          (message) =>
+            message.type === SERVER_MESSAGES.GAME_STATE &&
+            message.state.phase === GAME_PHASES.PLAYING,
+        );
+        return state;
+      }),
+    );
+
+    expect(hostView.players[0].hand[0].hidden).toBeUndefined();
+    expect(hostView.players[1].hand.every((card) => card.hidden)).toBe(true);
+    expect(guestView.players[1].hand).toEqual(
+      server.rooms.getRoom(room.code).game.players[1].hand,
+    );
+    expect(guestView.players[0].hand.every((card) => card.hidden)).toBe(true);
+  });
+
+  it("should answer unreadable messages with an error", async () => {
+    const client = await connect();
+    client.socket.send("not json");
+
+    const { message } = await client.next(ofType(SERVER_MESSAGES.ERROR));
+    expect(message).toBe("Unknown message");
+  });
+
+  it("should hold the seat when a socket closes and give it back", async () => {
+    const host = await connect();
+    host.send(CLIENT_MESSAGES.CREATE_ROOM, {
+      settings: { ruleSetId: "suit-follows" },
+    });
+    const { room } = await host.next(ofType(SERVER_MESSAGES.ROOM_UPDATED));
+    const guest = await connect();
+    guest.send(CLIENT_MESSAGES.JOIN_ROOM, { code: room.code });
+    const { token } = await guest.next(ofType(SERVER_MESSAGES.SEATED));
+    await host.next(ofType(SERVER_MESSAGES.ROOM_UPDATED));
+
+    guest.socket.close();
+    const update = await host.next(ofType(SERVER_MESSAGES.ROOM_UPDATED));
+    expect(update.room.seats[1].isAway).toBe(true);
+
+    const returning = await connect();
+    returning.send(CLIENT_MESSAGES.RESUME, { token });
+    const { seat } = await returning.next(ofType(SERVER_MESSAGES.SEATED));
+    expect(seat).toBe(1);
+  });
+
+  it("should get a room client its seat back after its socket drops", async () => {
+    const opened = [];
+    const client = createRoomClient({
+      open: () => {
+        const socket = new WebSocket(`ws://127.0.0.1:${server.port}`);
+        opened.push(socket);
+        return socket;
+      },
+      storage: createTabStorage(),
+    });
+    await snapshotMatching(
+      client,
+      ({ status }) => status === CONNECTION_STATUS.OPEN,
+    );
+    client.createRoom("Ana", { ruleSetId: "suit-follows" });
+    const { room } = await snapshotMatching(
+      client,
+      (snapshot) => snapshot.room !== null && snapshot.seat === 0,
+    );
+    client.startGame();
+    const { game } = await snapshotMatching(
+      client,
+      (snapshot) => snapshot.game?.phase === GAME_PHASES.PLAYING,
+    );
+
+    opened[0].terminate();
+    const dropped = await snapshotMatching(
+      client,
+      ({ status }) => status === CONNECTION_STATUS.RECONNECTING,
+    );
+    // The room is sent again once the new socket has resumed the seat
+    const resumed = await snapshotMatching(
+      client,
+      (snapshot) =>
+        snapshot.status === CONNECTION_STATUS.OPEN &&
+        snapshot.room !== dropped.room,
+    );
+
+    expect(opened).toHaveLength(2);
+    expect(resumed.seat).toBe(0);
+    expect(resumed.room.seats[0].isAway).toBe(false);
+    expect(resumed.room.code).toBe(room.code);
+    expect(resumed.game.players[0].name).toBe(game.players[0].name);
+    expect(server.rooms.getRoom(room.code).seats[0].clientId).not.toBeNull();
+    client.close();
+  });
+});
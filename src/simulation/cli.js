@@ -0,0 +1,252 @@
+/**
+ * Simulation Command Line
+ * Parses the arguments of `npm run simulate` and `npm run tournament`
+ */
+
+import {
+  DEFAULT_AI_DIFFICULTY,
+  FULL_DECK,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+} from "../constants";
+import ruleSets, { getRuleSetById } from "../config/ruleSets";
+import { AI_STRATEGIES } from "../ai";
+import { TOURNAMENT_FORMATS, ELO_DEFAULTS } from "./tournament";
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+const splitList = (value) => value.split(",").map((item) => item.trim());
+
+/**
+ * Reads a whole number of at least `min` from an option value
+ * @throws {Error} When the value is not such a number
+ */
+const parseCount = (name, value, min) => {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < min) {
+    throw new Error(`--${name} must be a whole number of at least ${min}`);
+  }
+  return count;
+};
+
+/**
+ * Reads a comma-separated list of bot strategies
+ * @throws {Error} For an unknown strategy or too few or too many bots
+ */
+const parseBots = (value, min, max = Infinity) => {
+  const bots = splitList(value);
+  const unknown = bots.find((bot) => !AI_STRATEGIES[bot]);
+  if (unknown !== undefined) {
+    throw new Error(`Unknown bot strategy "${unknown}"`);
+  }
+  if (bots.length < min || bots.length > max) {
+    throw new Error(
+      max === Infinity
+        ? `--bots needs at least ${min} bots`
+        : `--bots needs ${min} to ${max} bots`,
+    );
+  }
+  return bots;
+};
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+export const SIMULATION_USAGE = `Usage: npm run simulate -- [options]
+
+Plays AI-vs-AI games without the UI and reports how each bot and table
+position did.
+
+Options:
+  --rules <id>       Rule set to play (${ruleSets.map((r) => r.id).join(", ")})
+  --games <n>        Games to play (default 100)
+  --seed <seed>      Batch seed, for repeatable runs (default random)
+  --bots <list>      Comma-separated strategies, one per seat, 3 to 6 seats
+                     (${Object.keys(AI_STRATEGIES).join(", ")}; default ${DEFAULT_AI_DIFFICULTY} x4)
+  --rounds <n>       Hands per game (default 1)
+  --hand-size <n>    Cards per seat, or "${FULL_DECK}" for the whole deck
+  --partners         Seats across the table play as teams
+  --json             Print the report as JSON instead of tables
+  --out <file>       Also write the JSON report to a file
+  --help             Show this help`;
+
+// Options that take a value, and the runSimulation option each one sets
+const VALUE_OPTIONS = {
+  rules: "ruleSetId",
+  games: "games",
+  seed: "seed",
+  bots: "bots",
+  rounds: "maxRounds",
+  "hand-size": "handSize",
+  out: "out",
+};
+
+// Options that are switched on just by being given
+const FLAG_OPTIONS = {
+  partners: "partnerships",
+  json: "json",
+  help: "help",
+};
+
+/**
+ * Checks and converts the raw option values
+ * @throws {Error} For an unknown rule set or strategy, or a bad number
+ */
+const normalizeOptions = (raw) => {
+  const options = { ...raw };
+
+  if (raw.ruleSetId !== undefined && !getRuleSetById(raw.ruleSetId)) {
+    throw new Error(`Unknown rule set "${raw.ruleSetId}"`);
+  }
+  if (raw.games !== undefined) {
+    options.games = parseCount("games", raw.games, 1);
+  }
+  if (raw.maxRounds !== undefined) {
+    options.maxRounds = parseCount("rounds", raw.maxRounds, 1);
+  }
+  if (raw.handSize !== undefined && raw.handSize !== FULL_DECK) {
+    options.handSize = parseCount("hand-size", raw.handSize, 1);
+  }
+  if (raw.bots !== undefined) {
+    options.bots = parseBots(raw.bots, MIN_PLAYERS, MAX_PLAYERS);
+  }
+  return options;
+};
+
+/**
+ * Reads `--name value` and `--name=value` arguments into an object
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} valueOptions - Option names that take a value, mapped to
+ *   the keys they set
+ * @param {Object} flagOptions - Option names that take no value, mapped to
+ *   the keys they set to true
+ * @returns {Object} Raw option values
+ * @throws {Error} For unknown options or missing values
+ */
+const readOptions = (argv, valueOptions, flagOptions) => {
+  const raw = {};
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument "${arg}"`);
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (flagOptions[name]) {
+      raw[flagOptions[name]] = true;
+    } else if (valueOptions[name]) {
+      const value = inlineValue ?? argv[i + 1];
+      if (
+        value === undefined ||
+        (inlineValue === undefined && value.startsWith("--"))
+      ) {
+        throw new Error(`--${name} needs a value`);
+      }
+      if (inlineValue === undefined) i += 1;
+      raw[valueOptions[name]] = value;
+    } else {
+      throw new Error(`Unknown option "--${name}"`);
+    }
+  }
+  return raw;
+};
+
+/**
+ * Parses the arguments of `npm run simulate`
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} runSimulation options plus json, out and help
+ * @throws {Error} For unknown options, missing values or invalid values
+ */
+export const parseSimulationArgs = (argv) =>
+  normalizeOptions(readOptions(argv, VALUE_OPTIONS, FLAG_OPTIONS));
+
+// ============================================================================
+// TOURNAMENT
+// ============================================================================
+
+// File the tournament results go to unless --out names another
+export const TOURNAMENT_RESULTS_FILE = "tournament-results.json";
+
+export const TOURNAMENT_USAGE = `Usage: npm run tournament -- [options]
+
+Plays bot strategies against each other on every rule set, in duplicate,
+and rates them with Elo.
+
+Options:
+  --bots <list>      Comma-separated strategies to enter, at least two
+                     (${Object.keys(AI_STRATEGIES).join(", ")}; default easy,medium,hard)
+  --format <name>    ${Object.values(TOURNAMENT_FORMATS).join(" or ")} (default ${TOURNAMENT_FORMATS.ROUND_ROBIN})
+  --rounds <n>       Swiss rounds (default enough to separate the field)
+  --rules <list>     Comma-separated rule sets to play (default all)
+  --deals <n>        Duplicate deals per match (default 2)
+  --seed <seed>      Tournament seed, for repeatable runs (default random)
+  --k <n>            Elo K-factor (default ${ELO_DEFAULTS.kFactor})
+  --out <file>       Results file (default ${TOURNAMENT_RESULTS_FILE})
+  --json             Print the results as JSON instead of tables
+  --help             Show this help`;
+
+const TOURNAMENT_VALUE_OPTIONS = {
+  bots: "bots",
+  format: "format",
+  rounds: "rounds",
+  rules: "ruleSetIds",
+  deals: "deals",
+  seed: "seed",
+  k: "kFactor",
+  out: "out",
+};
+
+const TOURNAMENT_FLAG_OPTIONS = {
+  json: "json",
+  help: "help",
+};
+
+/**
+ * Parses the arguments of `npm run tournament`
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} runTournament options plus json, out and help
+ * @throws {Error} For unknown options, missing values or invalid values
+ */
+export const parseTournamentArgs = (argv) => {
+  const raw = readOptions(
+    argv,
+    TOURNAMENT_VALUE_OPTIONS,
+    TOURNAMENT_FLAG_OPTIONS,
+  );
+  const options = {
+    bots: ["easy", "medium", "hard"],
+    out: TOURNAMENT_RESULTS_FILE,
+    ...raw,
+  };
+
+  if (raw.bots !== undefined) {
+    options.bots = parseBots(raw.bots, 2);
+  }
+  if (
+    raw.format !== undefined &&
+    !Object.values(TOURNAMENT_FORMATS).includes(raw.format)
+  ) {
+    throw new Error(`Unknown tournament format "${raw.format}"`);
+  }
+  if (raw.ruleSetIds !== undefined) {
+    options.ruleSetIds = splitList(raw.ruleSetIds);
+    const unknown = options.ruleSetIds.find((id) => !getRuleSetById(id));
+    if (unknown !== undefined) {
+      throw new Error(`Unknown rule set "${unknown}"`);
+    }
+  }
+  if (raw.rounds !== undefined) {
+    options.rounds = parseCount("rounds", raw.rounds, 1);
+  }
+  if (raw.deals !== undefined) {
+    options.deals = parseCount("deals", raw.deals, 1);
+  }
+  if (raw.kFactor !== undefined) {
+    options.kFactor = parseCount("k", raw.kFactor, 1);
+  }
+  return options;
+};
@@ -0,0 +1,139 @@
+/**
+ * Tests for the simulation argument parser
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  parseSimulationArgs,
+  parseTournamentArgs,
+  SIMULATION_USAGE,
+  TOURNAMENT_USAGE,
+  TOURNAMENT_RESULTS_FILE,
+} from "./cli";
+import { FULL_DECK } from "../constants";
+
+describe("parseSimulationArgs", () => {
+  it("returns no options for no arguments", () => {
+    expect(parseSimulationArgs([])).toEqual({});
+  });
+
+  it("reads the options from the example run", () => {
+    expect(
+      parseSimulationArgs([
+        "--rules",
+        "spades-trump",
+        "--games",
+        "10000",
+        "--seed",
+        "42",
+        "--bots",
+        "hard,easy,easy,easy",
+      ]),
+    ).toEqual({
+      ruleSetId: "spades-trump",
+      games: 10000,
+      seed: "42",
+      bots: ["hard", "easy", "easy", "easy"],
+    });
+  });
+
+  it("accepts --name=value", () => {
+    expect(parseSimulationArgs(["--games=5", "--rounds=3"])).toEqual({
+      games: 5,
+      maxRounds: 3,
+    });
+  });
+
+  it("reads flags and output options", () => {
+    expect(
+      parseSimulationArgs(["--partners", "--json", "--out", "report.json"]),
+    ).toEqual({ partnerships: true, json: true, out: "report.json" });
+    expect(parseSimulationArgs(["--help"])).toEqual({ help: true });
+  });
+
+  it("accepts a number or the full deck as the hand size", () => {
+    expect(parseSimulationArgs(["--hand-size", "7"]).handSize).toBe(7);
+    expect(parseSimulationArgs(["--hand-size", FULL_DECK]).handSize).toBe(
+      FULL_DECK,
+    );
+  });
+
+  it.each([
+    [["--rules", "nope"], 'Unknown rule set "nope"'],
+    [["--bots", "hard,genius,easy"], 'Unknown bot strategy "genius"'],
+    [["--bots", "hard,easy"], "--bots needs 3 to 6 bots"],
+    [["--games", "0"], "--games must be a whole number of at least 1"],
+    [["--rounds", "two"], "--rounds must be a whole number of at least 1"],
+    [["--games"], "--games needs a value"],
+    [["--seed", "--json"], "--seed needs a value"],
+    [["--fast"], 'Unknown option "--fast"'],
+    [["games"], 'Unexpected argument "games"'],
+  ])("rejects %j", (argv, message) => {
+    expect(() => parseSimulationArgs(argv)).toThrow(message);
+  });
+});
+
+describe("SIMULATION_USAGE", () => {
+  it("lists the rule sets and strategies", () => {
+    expect(SIMULATION_USAGE).toContain("spades-trump");
+    expect(SIMULATION_USAGE).toContain("medium");
+  });
+});
+
+describe("parseTournamentArgs", () => {
+  it("enters easy, medium and hard and writes the default file", () => {
+    expect(parseTournamentArgs([])).toEqual({
+      bots: ["easy", "medium", "hard"],
+      out: TOURNAMENT_RESULTS_FILE,
+    });
+  });
+
+  it("reads every option", () => {
+    expect(
+      parseTournamentArgs([
+        "--bots",
+        "hard,medium",
+        "--format=swiss",
+        "--rounds",
+        "4",
+        "--rules",
+        "hearts,spades",
+        "--deals",
+        "3",
+        "--seed",
+        "7",
+        "--k",
+        "32",
+        "--out",
+        "results.json",
+        "--json",
+      ]),
+    ).toEqual({
+      bots: ["hard", "medium"],
+      format: "swiss",
+      rounds: 4,
+      ruleSetIds: ["hearts", "spades"],
+      deals: 3,
+      seed: "7",
+      kFactor: 32,
+      out: "results.json",
+      json: true,
+    });
+  });
+
+  it.each([
+    [["--bots", "hard"], "--bots needs at least 2 bots"],
+    [["--bots", "hard,genius"], 'Unknown bot strategy "genius"'],
+    [["--format", "knockout"], 'Unknown tournament format "knockout"'],
+    [["--rules", "hearts,nope"], 'Unknown rule set "nope"'],
+    [["--deals", "0"], "--deals must be a whole number of at least 1"],
+    [["--k", "-4"], "--k must be a whole number of at least 1"],
+    [["--partners"], 'Unknown option "--partners"'],
+  ])("rejects %j", (argv, message) => {
+    expect(() => parseTournamentArgs(argv)).toThrow(message);
+  });
+
+  it("has usage naming both formats", () => {
+    expect(TOURNAMENT_USAGE).toContain("round-robin or swiss");
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Barrel export for the headless simulation
+ * Provides clean imports from a single entry point
+ */
+
+export { runSimulation, playGame, createBotPlayers } from "./simulate";
+export {
+  TOURNAMENT_FORMATS,
+  ELO_DEFAULTS,
+  getExpectedScore,
+  updateElo,
+  scheduleRoundRobin,
+  pairSwissRound,
+  playMatch,
+  runTournament,
+} from "./tournament";
+export { formatReport, formatTable, formatTournament } from "./report";
+export {
+  parseSimulationArgs,
+  parseTournamentArgs,
+  SIMULATION_USAGE,
+  TOURNAMENT_USAGE,
+  TOURNAMENT_RESULTS_FILE,
+} from "./cli";
@@ -0,0 +1,141 @@
+/**
+ * Simulation Report
+ * Formats a runSimulation report as plain-text tables for a terminal
+ */
+
+const ORDINALS = ["1st", "2nd", "3rd", "4th", "5th", "6th"];
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const decimal = (value) => value.toFixed(2);
+
+/**
+ * Lays out rows under a header, left-aligning the first column and
+ * right-aligning the rest
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array<string>>} rows - Cell text for each row
+ * @returns {string} Table text
+ */
+export const formatTable = (header, rows) => {
+  const widths = header.map((title, col) =>
+    Math.max(title.length, ...rows.map((row) => row[col].length)),
+  );
+  const formatRow = (cells) =>
+    cells
+      .map((cell, col) =>
+        col === 0 ? cell.padEnd(widths[col]) : cell.padStart(widths[col]),
+      )
+      .join("  ")
+      .trimEnd();
+
+  return [
+    formatRow(header),
+    formatRow(widths.map((width) => "-".repeat(width))),
+    ...rows.map(formatRow),
+  ].join("\n");
+};
+
+/**
+ * Formats a simulation report for reading in a terminal
+ * @param {Object} report - Report from runSimulation
+ * @returns {string} Summary line and the bot, trick and lead tables
+ */
+export const formatReport = (report) => {
+  const { config, hands, ties, lowScoreWins } = report;
+  const mostTricks = Math.max(
+    0,
+    ...report.bots.map((bot) => bot.trickDistribution.length - 1),
+  );
+  const trickColumns = Array.from({ length: mostTricks + 1 }, (_, n) => n);
+
+  const summary = [
+    `Rules: ${config.ruleSetName} (${config.ruleSetId})`,
+    `Games: ${config.games}`,
+    `Hands: ${hands}`,
+    `Ties: ${ties}`,
+    `Seed: ${config.seed}`,
+  ].join("  ");
+
+  const botTable = formatTable(
+    ["Bot", "Strategy", "Wins", "Win rate", "Avg score", "Avg tricks"],
+    report.bots.map((bot) => [
+      String(bot.bot + 1),
+      bot.difficulty,
+      String(bot.wins),
+      percent(bot.winRate),
+      decimal(bot.averageScore),
+      decimal(bot.averageTricks),
+    ]),
+  );
+
+  const trickTable = formatTable(
+    ["Bot", ...trickColumns.map(String)],
+    report.bots.map((bot) => [
+      String(bot.bot + 1),
+      ...trickColumns.map((n) => percent(bot.trickDistribution[n] ?? 0)),
+    ]),
+  );
+
+  const leadTable = formatTable(
+    ["Position", "Hand win rate", "Avg tricks", "Avg hand score"],
+    report.leadPositions.map((position) => [
+      position.position === 0
+        ? "1st (leads)"
+        : (ORDINALS[position.position] ?? String(position.position + 1)),
+      percent(position.handWinRate),
+      decimal(position.averageTricks),
+      decimal(position.averageHandScore),
+    ]),
+  );
+
+  return [
+    summary,
+    "",
+    lowScoreWins ? "Bots (lowest score wins)" : "Bots",
+    botTable,
+    "",
+    "Tricks per hand (share of hands)",
+    trickTable,
+    "",
+    "Position from the opening lead",
+    leadTable,
+  ].join("\n");
+};
+
+/**
+ * Formats tournament results for reading in a terminal
+ * @param {Object} results - Results from runTournament
+ * @returns {string} Summary line and the standings table
+ */
+export const formatTournament = (results) => {
+  const { config, standings, matches, byes } = results;
+
+  const summary = [
+    `Format: ${config.format}`,
+    `Rounds: ${config.rounds}`,
+    `Matches: ${matches.length}`,
+    `Deals per match: ${config.deals} (in duplicate)`,
+    `Seed: ${config.seed}`,
+  ].join("  ");
+
+  const standingsTable = formatTable(
+    ["Rank", "Bot", "Rating", "Points", "W", "D", "L"],
+    standings.map((entry, rank) => [
+      String(rank + 1),
+      entry.strategy,
+      entry.rating.toFixed(1),
+      String(entry.points),
+      String(entry.wins),
+      String(entry.draws),
+      String(entry.losses),
+    ]),
+  );
+
+  return [
+    summary,
+    `Rules: ${config.ruleSetIds.join(", ")}`,
+    ...(byes.length > 0 ? [`Byes: ${byes.length}`] : []),
+    "",
+    standingsTable,
+  ].join("\n");
+};
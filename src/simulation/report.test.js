@@ -0,0 +1,172 @@
+/**
+ * Tests for the simulation report formatter
+ */
+
+import { describe, it, expect } from "vitest";
+import { formatReport, formatTable, formatTournament } from "./report";
+
+const report = {
+  config: {
+    ruleSetId: "spades-trump",
+    ruleSetName: "Spades Trump",
+    games: 10,
+    seed: "42",
+    bots: ["hard", "easy", "easy"],
+    maxRounds: 1,
+    partnerships: false,
+    handSize: null,
+  },
+  hands: 10,
+  ties: 1,
+  lowScoreWins: false,
+  bots: [
+    {
+      bot: 0,
+      difficulty: "hard",
+      wins: 6,
+      winRate: 0.6,
+      averageScore: 7.5,
+      averageTricks: 7.5,
+      trickDistribution: [0, 0.5, 0.5],
+    },
+    {
+      bot: 1,
+      difficulty: "easy",
+      wins: 3,
+      winRate: 0.3,
+      averageScore: 5,
+      averageTricks: 5,
+      trickDistribution: [0.25, 0.75],
+    },
+    {
+      bot: 2,
+      difficulty: "easy",
+      wins: 2,
+      winRate: 0.2,
+      averageScore: 4.83,
+      averageTricks: 4.83,
+      trickDistribution: [1],
+    },
+  ],
+  leadPositions: [
+    { position: 0, handWinRate: 0.4, averageTricks: 6, averageHandScore: 6 },
+    { position: 1, handWinRate: 0.3, averageTricks: 5, averageHandScore: 5 },
+    {
+      position: 2,
+      handWinRate: 0.3,
+      averageTricks: 6.33,
+      averageHandScore: 6.33,
+    },
+  ],
+};
+
+describe("formatTable", () => {
+  it("pads columns to their widest cell", () => {
+    expect(
+      formatTable(
+        ["Name", "Wins"],
+        [
+          ["hard", "12"],
+          ["easy", "3"],
+        ],
+      ),
+    ).toBe(["Name  Wins", "----  ----", "hard    12", "easy     3"].join("\n"));
+  });
+});
+
+describe("formatReport", () => {
+  const text = formatReport(report);
+
+  it("opens with the run's summary", () => {
+    expect(text.split("\n")[0]).toBe(
+      "Rules: Spades Trump (spades-trump)  Games: 10  Hands: 10  Ties: 1  Seed: 42",
+    );
+  });
+
+  it("shows each bot's win rate and averages", () => {
+    expect(text).toMatch(/^1\s+hard\s+6\s+60\.0%\s+7\.50\s+7\.50$/m);
+    expect(text).toMatch(/^3\s+easy\s+2\s+20\.0%\s+4\.83\s+4\.83$/m);
+  });
+
+  it("fills missing trick counts with zero", () => {
+    expect(text).toMatch(/^Bot\s+0\s+1\s+2$/m);
+    expect(text).toMatch(/^3\s+100\.0%\s+0\.0%\s+0\.0%$/m);
+  });
+
+  it("names positions from the opening lead", () => {
+    expect(text).toMatch(/^1st \(leads\)\s+40\.0%/m);
+    expect(text).toMatch(/^3rd\s+30\.0%\s+6\.33\s+6\.33$/m);
+  });
+
+  it("says when the lowest score wins", () => {
+    expect(text).toContain("\nBots\n");
+    expect(formatReport({ ...report, lowScoreWins: true })).toContain(
+      "Bots (lowest score wins)",
+    );
+  });
+});
+
+describe("formatTournament", () => {
+  const results = {
+    config: {
+      bots: ["easy", "hard", "medium"],
+      format: "swiss",
+      ruleSetIds: ["hearts", "spades"],
+      rounds: 2,
+      deals: 2,
+      seed: "7",
+      kFactor: 24,
+    },
+    standings: [
+      {
+        bot: 1,
+        strategy: "hard",
+        points: 3.5,
+        wins: 3,
+        draws: 1,
+        losses: 0,
+        rating: 1534.2,
+      },
+      {
+        bot: 2,
+        strategy: "medium",
+        points: 2.5,
+        wins: 2,
+        draws: 1,
+        losses: 1,
+        rating: 1500,
+      },
+      {
+        bot: 0,
+        strategy: "easy",
+        points: 2,
+        wins: 0,
+        draws: 0,
+        losses: 4,
+        rating: 1465.8,
+      },
+    ],
+    matches: Array(4).fill({}),
+    byes: [
+      { round: 1, bot: 0 },
+      { round: 2, bot: 2 },
+    ],
+  };
+  const text = formatTournament(results);
+
+  it("summarizes the tournament", () => {
+    expect(text).toContain("Format: swiss  Rounds: 2  Matches: 4");
+    expect(text).toContain("Rules: hearts, spades");
+    expect(text).toContain("Byes: 2");
+  });
+
+  it("ranks the bots by rating", () => {
+    expect(text).toMatch(/^1\s+hard\s+1534\.2\s+3\.5\s+3\s+1\s+0$/m);
+    expect(text).toMatch(/^2\s+medium\s+1500\.0\s+2\.5/m);
+    expect(text).toMatch(/^3\s+easy\s+1465\.8/m);
+  });
+
+  it("leaves out byes when there were none", () => {
+    expect(formatTournament({ ...results, byes: [] })).not.toContain("Byes");
+  });
+});
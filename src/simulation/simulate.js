@@ -0,0 +1,324 @@
+/**
+ * Headless Simulation
+ * Plays batches of AI-vs-AI games on the engine and gathers statistics
+ *
+ * Nothing here touches React or the DOM, so it runs under Node as well as in
+ * the browser. Each game is seeded from the batch seed and its number, so a
+ * batch replays exactly. The bot lineup is rotated one seat per game, which
+ * spreads every bot evenly over the table positions; that keeps the
+ * lead-position figures about the seat rather than about who sits in it.
+ */
+
+import { GAME_PHASES, DEFAULT_AI_DIFFICULTY } from "../constants";
+import ruleSets, { getRuleSetById } from "../config/ruleSets";
+import {
+  createGame,
+  createPlayers,
+  applyAction,
+  getLegalActions,
+  getRuleSet,
+  getTricksWon,
+  getTeams,
+  generateSeed,
+  ENGINE_EVENTS,
+} from "../engine";
+import { getAIAction } from "../ai";
+
+// Engine actions allowed per hand before a game is judged stuck
+const MAX_ACTIONS_PER_HAND = 1000;
+
+// ============================================================================
+// PLAYING
+// ============================================================================
+
+/**
+ * Builds seats for a lineup of bots, one strategy per seat
+ * Roster personalities are left out so only the strategies play
+ * @param {Array<string>} difficulties - Strategy of each seat
+ * @returns {Array<Object>} Player descriptors for createGame
+ */
+export const createBotPlayers = (difficulties) =>
+  createPlayers(difficulties.length).map(
+    ({ personality, ...player }, seat) => ({
+      ...player,
+      difficulty: difficulties[seat],
+    }),
+  );
+
+/**
+ * Seats a bot lineup, rotated so bot `rotation` sits in the first seat
+ * @param {Array<string>} bots - Difficulty of each bot, in lineup order
+ * @param {number} rotation - Seats to rotate the lineup by
+ * @returns {{players: Array, botAt: Array<number>}} Seat descriptors and the
+ *   bot in each seat
+ */
+const seatBots = (bots, rotation) => {
+  const botAt = bots.map((bot, seat) => (seat + rotation) % bots.length);
+  return { players: createBotPlayers(botAt.map((bot) => bots[bot])), botAt };
+};
+
+/**
+ * Picks the next engine action: the seat's strategy where a seat has a
+ * decision to make, otherwise the engine's only way forward
+ * @param {Object} state - Engine state
+ * @returns {Object} Engine action
+ */
+const nextAction = (state) => {
+  switch (state.phase) {
+    case GAME_PHASES.PASSING:
+      return getAIAction(
+        state,
+        state.players.findIndex((player) => !state.passes[player.id]),
+      );
+    case GAME_PHASES.BIDDING:
+    case GAME_PHASES.PLAYING:
+      return getAIAction(state, state.currentPlayer);
+    default:
+      return getLegalActions(state)[0];
+  }
+};
+
+/**
+ * Reads a finished hand off the state before the next deal clears it
+ * @param {Object} state - Engine state at HAND_OVER or GAME_OVER
+ * @returns {Object} Opening lead seat, tricks and score of every seat
+ */
+const summarizeHand = (state) => {
+  const [firstTrick] = state.tricks;
+  return {
+    leadSeat: state.players.findIndex(
+      (player) => player.id === firstTrick?.leadPlayerId,
+    ),
+    tricks: getTricksWon(state),
+    handScores: state.handScores,
+  };
+};
+
+/**
+ * Plays one game to the end
+ * @param {Object} config - createGame config with every seat's difficulty
+ * @returns {{state: Object, hands: Array, winners: Array<number>}} Final
+ *   state, a summary of each hand and the winning seats
+ * @throws {Error} When an action is rejected or a hand never finishes
+ */
+export const playGame = (config) => {
+  let state = createGame(config);
+  const hands = [];
+  let winners = [];
+  let actions = 0;
+
+  while (state.phase !== GAME_PHASES.GAME_OVER) {
+    const action = nextAction(state);
+    const { state: next, events } = applyAction(state, action);
+    const rejected = events.find(
+      (event) => event.type === ENGINE_EVENTS.ACTION_REJECTED,
+    );
+    if (rejected) {
+      throw new Error(
+        `Simulation stopped: ${action.type} was rejected (${rejected.reason})`,
+      );
+    }
+
+    state = next;
+    actions += 1;
+    if (actions > MAX_ACTIONS_PER_HAND * state.maxRounds) {
+      throw new Error("Simulation stopped: the game did not finish");
+    }
+
+    events.forEach((event) => {
+      if (
+        event.type === ENGINE_EVENTS.HAND_OVER ||
+        event.type === ENGINE_EVENTS.GAME_OVER
+      ) {
+        hands.push(summarizeHand(state));
+      }
+      if (event.type === ENGINE_EVENTS.GAME_OVER) {
+        winners = event.winners;
+      }
+    });
+  }
+
+  return { state, hands, winners };
+};
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+const mean = (total, count) => (count === 0 ? 0 : total / count);
+
+/**
+ * Finds the seats with the best score, counting ties
+ * @param {Array<number>} scores - Score of every seat
+ * @param {boolean} lowScoreWins - True when the lowest score is best
+ * @returns {Array<number>} Seats sharing the best score
+ */
+const getBestSeats = (scores, lowScoreWins) => {
+  const best = lowScoreWins ? Math.min(...scores) : Math.max(...scores);
+  return scores.flatMap((score, seat) => (score === best ? [seat] : []));
+};
+
+/**
+ * Finds the seats of the one side with the best score
+ * @param {Array<number>} scores - Score of every seat
+ * @param {boolean} lowScoreWins - True when the lowest score is best
+ * @param {Array<Array<number>>} teams - Seats of each side
+ * @returns {Array<number>} The winning side's best seats, or none when more
+ *   than one side shares the best score
+ */
+const getWinningSeats = (scores, lowScoreWins, teams) => {
+  const best = getBestSeats(scores, lowScoreWins);
+  const sides = new Set(
+    best.map((seat) => teams.findIndex((team) => team.includes(seat))),
+  );
+  return sides.size > 1 ? [] : best;
+};
+
+/**
+ * Checks whether more than one side shares the best final score
+ * @param {Object} state - Final engine state
+ * @returns {boolean} True for a tied game
+ */
+const isTied = (state) =>
+  getWinningSeats(state.scores, getRuleSet(state).lowScoreWins, getTeams(state))
+    .length === 0;
+
+/**
+ * Plays a batch of games between bots and reports how each bot and each
+ * table position fared
+ * @param {Object} options - Simulation options
+ * @param {string} options.ruleSetId - Rule set to play
+ * @param {number} options.games - Games to play
+ * @param {string|number} options.seed - Batch seed (random if omitted)
+ * @param {Array<string>} options.bots - Difficulty of each bot; the lineup
+ *   also sets the table size
+ * @param {number} options.maxRounds - Hands per game
+ * @param {boolean} options.partnerships - Team seats across the table
+ * @param {number|string} options.handSize - Cards per seat or FULL_DECK
+ * @param {Function} options.onProgress - Called with the games played so far
+ *   after each game (optional)
+ * @returns {Object} Report with the config, per-bot and per-position stats
+ * @throws {Error} For an unknown rule set or a game that cannot finish
+ */
+export const runSimulation = ({
+  ruleSetId = ruleSets[0].id,
+  games = 100,
+  seed = generateSeed(),
+  bots = Array(4).fill(DEFAULT_AI_DIFFICULTY),
+  maxRounds = 1,
+  partnerships = false,
+  handSize = null,
+  onProgress,
+} = {}) => {
+  const ruleSet = getRuleSetById(ruleSetId);
+  if (!ruleSet) throw new Error(`Unknown rule set "${ruleSetId}"`);
+
+  const seats = bots.length;
+  const perBot = bots.map((difficulty, bot) => ({
+    bot,
+    difficulty,
+    wins: 0,
+    totalScore: 0,
+    totalTricks: 0,
+    trickCounts: [],
+  }));
+  const perPosition = bots.map((bot, position) => ({
+    position,
+    hands: 0,
+    handWins: 0,
+    totalTricks: 0,
+    totalHandScore: 0,
+  }));
+  let hands = 0;
+  let ties = 0;
+
+  for (let game = 0; game < games; game += 1) {
+    const { players, botAt } = seatBots(bots, game % seats);
+    const {
+      state,
+      hands: played,
+      winners,
+    } = playGame({
+      ruleSetId,
+      players,
+      maxRounds,
+      partnerships,
+      handSize,
+      seed: `${seed}-${game}`,
+    });
+
+    // A tied game is nobody's win
+    if (isTied(state)) {
+      ties += 1;
+    } else {
+      winners.forEach((seat) => {
+        perBot[botAt[seat]].wins += 1;
+      });
+    }
+    state.scores.forEach((score, seat) => {
+      perBot[botAt[seat]].totalScore += score;
+    });
+
+    // As with games, a hand tied between sides is nobody's win
+    const teams = getTeams(state);
+    played.forEach(({ leadSeat, tricks, handScores }) => {
+      hands += 1;
+      const handWinners = getWinningSeats(
+        handScores,
+        ruleSet.lowScoreWins,
+        teams,
+      );
+      tricks.forEach((won, seat) => {
+        const bot = perBot[botAt[seat]];
+        bot.totalTricks += won;
+        bot.trickCounts[won] = (bot.trickCounts[won] ?? 0) + 1;
+
+        const position = perPosition[(seat - leadSeat + seats) % seats];
+        position.hands += 1;
+        position.totalTricks += won;
+        position.totalHandScore += handScores[seat];
+        if (handWinners.includes(seat)) position.handWins += 1;
+      });
+    });
+
+    onProgress?.(game + 1);
+  }
+
+  return {
+    config: {
+      ruleSetId,
+      ruleSetName: ruleSet.name,
+      games,
+      seed: String(seed),
+      bots,
+      maxRounds,
+      partnerships,
+      handSize,
+    },
+    hands,
+    ties,
+    lowScoreWins: Boolean(ruleSet.lowScoreWins),
+    bots: perBot.map(
+      ({ bot, difficulty, wins, totalScore, totalTricks, trickCounts }) => ({
+        bot,
+        difficulty,
+        wins,
+        winRate: mean(wins, games),
+        averageScore: mean(totalScore, games),
+        averageTricks: mean(totalTricks, hands),
+        // Share of hands in which the bot took 0, 1, 2... tricks
+        trickDistribution: Array.from(trickCounts, (count) =>
+          mean(count ?? 0, hands),
+        ),
+      }),
+    ),
+    leadPositions: perPosition.map(
+      ({ position, hands: seen, handWins, totalTricks, totalHandScore }) => ({
+        position,
+        handWinRate: mean(handWins, seen),
+        averageTricks: mean(totalTricks, seen),
+        averageHandScore: mean(totalHandScore, seen),
+      }),
+    ),
+  };
+};
@@ -0,0 +1,151 @@
+/**
+ * Tests for the headless simulation
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { playGame, runSimulation } from "./simulate";
+import { createPlayers } from "../engine";
+import { GAME_PHASES, CARDS_PER_PLAYER } from "../constants";
+
+// Hard searches only a couple of deals a card, so its games stay quick and
+// replay the same from a seed rather than stopping on the clock
+vi.mock("../constants", async (importOriginal) => ({
+  ...(await importOriginal()),
+  AI_SEARCH_BUDGET: { iterations: 2, timeLimit: Infinity },
+}));
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe("playGame", () => {
+  it("plays every hand of a game to the end", () => {
+    const players = createPlayers(4).map((player) => ({
+      ...player,
+      difficulty: "easy",
+    }));
+    const { state, hands, winners } = playGame({
+      ruleSetId: "spades-trump",
+      players,
+      maxRounds: 2,
+      seed: "play",
+    });
+
+    expect(state.phase).toBe(GAME_PHASES.GAME_OVER);
+    expect(hands).toHaveLength(2);
+    expect(winners.length).toBeGreaterThan(0);
+    hands.forEach((hand) => {
+      expect(hand.leadSeat).toBeGreaterThanOrEqual(0);
+      expect(sum(hand.tricks)).toBe(CARDS_PER_PLAYER);
+    });
+  });
+
+  it.each(["hearts", "spades"])(
+    "gets through the extra phases of %s",
+    (ruleSetId) => {
+      const players = createPlayers(4).map((player) => ({
+        ...player,
+        difficulty: "medium",
+      }));
+      const { state } = playGame({ ruleSetId, players, seed: ruleSetId });
+
+      expect(state.phase).toBe(GAME_PHASES.GAME_OVER);
+    },
+  );
+});
+
+describe("runSimulation", () => {
+  const options = {
+    ruleSetId: "spades-trump",
+    games: 8,
+    seed: 42,
+    bots: ["hard", "easy", "easy", "easy"],
+  };
+
+  it("replays the same batch from the same seed", () => {
+    expect(runSimulation(options)).toEqual(runSimulation(options));
+  });
+
+  it("plays different deals from a different seed", () => {
+    expect(runSimulation({ ...options, seed: 43 })).not.toEqual(
+      runSimulation(options),
+    );
+  });
+
+  it("reports the config it ran with", () => {
+    const report = runSimulation(options);
+
+    expect(report.config).toEqual({
+      ruleSetId: "spades-trump",
+      ruleSetName: "Spades Trump",
+      games: 8,
+      seed: "42",
+      bots: ["hard", "easy", "easy", "easy"],
+      maxRounds: 1,
+      partnerships: false,
+      handSize: null,
+    });
+    expect(report.hands).toBe(8);
+    expect(report.lowScoreWins).toBe(false);
+  });
+
+  it("keeps per-bot figures consistent with the games played", () => {
+    const report = runSimulation(options);
+
+    expect(report.bots.map((bot) => bot.difficulty)).toEqual(options.bots);
+    // Every game is won by one bot or tied
+    expect(sum(report.bots.map((bot) => bot.wins)) + report.ties).toBe(
+      options.games,
+    );
+    report.bots.forEach((bot) => {
+      expect(bot.winRate).toBeCloseTo(bot.wins / options.games);
+      expect(sum(bot.trickDistribution)).toBeCloseTo(1);
+    });
+    // Every trick of each hand goes to someone
+    expect(sum(report.bots.map((bot) => bot.averageTricks))).toBeCloseTo(
+      CARDS_PER_PLAYER,
+    );
+  });
+
+  it("spreads the bots evenly over the table positions", () => {
+    const report = runSimulation({
+      ...options,
+      bots: ["easy", "easy", "easy"],
+    });
+
+    expect(report.leadPositions.map((p) => p.position)).toEqual([0, 1, 2]);
+    expect(sum(report.leadPositions.map((p) => p.averageTricks))).toBeCloseTo(
+      CARDS_PER_PLAYER,
+    );
+  });
+
+  it("counts a tied hand as no position's win", () => {
+    // Hearts hands often leave two seats on no points
+    const report = runSimulation({
+      ...options,
+      ruleSetId: "hearts",
+      bots: ["easy", "easy", "easy", "easy"],
+    });
+
+    expect(
+      sum(report.leadPositions.map((p) => p.handWinRate)),
+    ).toBeLessThanOrEqual(1);
+  });
+
+  it("reports progress after each game", () => {
+    const onProgress = vi.fn();
+    runSimulation({ ...options, games: 3, onProgress });
+
+    expect(onProgress.mock.calls).toEqual([[1], [2], [3]]);
+  });
+
+  it("marks low-score rule sets", () => {
+    const report = runSimulation({ ...options, ruleSetId: "hearts", games: 2 });
+
+    expect(report.lowScoreWins).toBe(true);
+  });
+
+  it("rejects an unknown rule set", () => {
+    expect(() => runSimulation({ ...options, ruleSetId: "nope" })).toThrow(
+      'Unknown rule set "nope"',
+    );
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * Bot Tournament
+ * Pits bot strategies against each other on every rule set and rates them
+ *
+ * Each match is two bots at a four-seat table, sitting alternately so that in
+ * partnership games each bot is a team. Deals are played in duplicate: every
+ * deal is played twice with the bots swapping seats, so neither side keeps
+ * the good cards. Every pairing in a round plays the same deals, and all
+ * seeds come from the tournament seed, so a tournament replays exactly as
+ * long as no strategy stops its search on the clock.
+ */
+
+import ruleSets, { getRuleSetById } from "../config/ruleSets";
+import { generateSeed } from "../engine";
+import { AI_STRATEGIES } from "../ai";
+import { playGame, createBotPlayers } from "./simulate";
+
+export const TOURNAMENT_FORMATS = {
+  ROUND_ROBIN: "round-robin",
+  SWISS: "swiss",
+};
+
+// Rating every bot starts from, and the most one match can move it
+export const ELO_DEFAULTS = {
+  rating: 1500,
+  kFactor: 24,
+};
+
+// Seats at every tournament table; the two bots alternate around it
+const TABLE_SEATS = 4;
+
+// ============================================================================
+// RATINGS
+// ============================================================================
+
+/**
+ * Expected score of a player against an opponent under Elo
+ * @param {number} rating - Player's rating
+ * @param {number} opponentRating - Opponent's rating
+ * @returns {number} Expected score between 0 and 1
+ */
+export const getExpectedScore = (rating, opponentRating) =>
+  1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+/**
+ * Moves two ratings after a match
+ * @param {number} rating - First player's rating
+ * @param {number} opponentRating - Second player's rating
+ * @param {number} score - First player's score: 1 win, 0.5 draw, 0 loss
+ * @param {number} kFactor - Largest possible change
+ * @returns {Array<number>} New ratings of both players
+ */
+export const updateElo = (rating, opponentRating, score, kFactor) => {
+  const change = kFactor * (score - getExpectedScore(rating, opponentRating));
+  return [rating + change, opponentRating - change];
+};
+
+// ============================================================================
+// PAIRING
+// ============================================================================
+
+/**
+ * Schedules a round robin with the circle method, so every bot meets every
+ * other once and plays at most once per round
+ * @param {number} count - Number of bots
+ * @returns {Array<Array<Array<number>>>} Pairs of bot indices, per round; a
+ *   bot with no pair that round is left out
+ */
+export const scheduleRoundRobin = (count) => {
+  const circle = Array.from({ length: count + (count % 2) }, (_, idx) =>
+    idx < count ? idx : null,
+  );
+  const rounds = [];
+
+  for (let round = 0; round < circle.length - 1; round += 1) {
+    const pairs = [];
+    for (let idx = 0; idx < circle.length / 2; idx += 1) {
+      const pair = [circle[idx], circle[circle.length - 1 - idx]];
+      if (!pair.includes(null)) pairs.push(pair);
+    }
+    rounds.push(pairs);
+    circle.splice(1, 0, circle.pop());
+  }
+  return rounds;
+};
+
+/**
+ * Pairs one Swiss round: bots are ranked by points then rating, and each is
+ * matched with the next-ranked bot it has not met yet. With an odd field the
+ * lowest-ranked bot without a bye sits out.
+ * @param {Array<Object>} standings - Running standings, by bot index
+ * @returns {{pairs: Array<Array<number>>, bye: number|null}} Pairs of bot
+ *   indices and the bot sitting out
+ */
+export const pairSwissRound = (standings) => {
+  const ranked = [...standings]
+    .sort((a, b) => b.points - a.points || b.rating - a.rating || a.bot - b.bot)
+    .map((entry) => entry.bot);
+
+  let bye = null;
+  if (ranked.length % 2 === 1) {
+    const sitsOut =
+      [...ranked].reverse().find((bot) => !standings[bot].hadBye) ??
+      ranked[ranked.length - 1];
+    bye = sitsOut;
+    ranked.splice(ranked.indexOf(sitsOut), 1);
+  }
+
+  const pairs = [];
+  while (ranked.length > 0) {
+    const bot = ranked.shift();
+    const fresh = ranked.findIndex(
+      (other) => !standings[bot].opponents.includes(other),
+    );
+    const [opponent] = ranked.splice(Math.max(fresh, 0), 1);
+    pairs.push([bot, opponent]);
+  }
+  return { pairs, bye };
+};
+
+// ============================================================================
+// MATCHES
+// ============================================================================
+
+/**
+ * Adds up each bot's final score across its seats
+ * @param {Object} state - Final engine state
+ * @param {Array<number>} sideAt - Bot side (0 or 1) in each seat
+ * @returns {Array<number>} Total score of side 0 and side 1
+ */
+const scoreSides = (state, sideAt) =>
+  state.scores.reduce(
+    (totals, score, seat) => {
+      totals[sideAt[seat]] += score;
+      return totals;
+    },
+    [0, 0],
+  );
+
+/**
+ * Plays a match between two bots on one rule set
+ * @param {Object} options - Match options
+ * @param {Array<string>} options.strategies - Strategy of each bot
+ * @param {string} options.ruleSetId - Rule set to play
+ * @param {number} options.deals - Deals to play, each in duplicate
+ * @param {string} options.seed - Seed the deals are drawn from
+ * @returns {{deals: Array, score: number}} Both bots' totals for each deal
+ *   and the first bot's match score: 1 win, 0.5 draw, 0 loss
+ */
+export const playMatch = ({ strategies, ruleSetId, deals, seed }) => {
+  const { lowScoreWins } = getRuleSetById(ruleSetId);
+  const results = [];
+
+  for (let deal = 0; deal < deals; deal += 1) {
+    const dealSeed = `${seed}-${deal}`;
+    const scores = [0, 0];
+
+    // Play the deal twice, the second time with the bots in each other's seats
+    [0, 1].forEach((swap) => {
+      const sideAt = Array.from(
+        { length: TABLE_SEATS },
+        (_, seat) => (seat + swap) % 2,
+      );
+      const { state } = playGame({
+        ruleSetId,
+        players: createBotPlayers(sideAt.map((side) => strategies[side])),
+        seed: dealSeed,
+      });
+      scoreSides(state, sideAt).forEach((total, side) => {
+        scores[side] += total;
+      });
+    });
+    results.push({ seed: dealSeed, scores });
+  }
+
+  const dealScore = ([first, second]) => {
+    if (first === second) return 0.5;
+    return first > second !== Boolean(lowScoreWins) ? 1 : 0;
+  };
+  const score =
+    results.reduce((total, { scores }) => total + dealScore(scores), 0) / deals;
+
+  return { deals: results, score };
+};
+
+// ============================================================================
+// TOURNAMENT
+// ============================================================================
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Runs a tournament between bot strategies
+ * @param {Object} options - Tournament options
+ * @param {Array<string>} options.bots - Strategies taking part, at least two
+ * @param {string} options.format - A TOURNAMENT_FORMATS value
+ * @param {Array<string>} options.ruleSetIds - Rule sets every pairing plays
+ *   (all by default)
+ * @param {number} options.rounds - Swiss rounds (enough to separate the
+ *   field by default); a round robin always plays every pairing once
+ * @param {number} options.deals - Duplicate deals per match
+ * @param {string|number} options.seed - Tournament seed (random if omitted)
+ * @param {number} options.kFactor - Elo K-factor
+ * @param {Function} options.onProgress - Called with the matches played and
+ *   the total after each match (optional)
+ * @returns {Object} Results with the config, standings sorted by rating,
+ *   every match and every bye
+ * @throws {Error} For unknown strategies or rule sets, repeated bots, or
+ *   fewer than two bots
+ */
+export const runTournament = ({
+  bots,
+  format = TOURNAMENT_FORMATS.ROUND_ROBIN,
+  ruleSetIds = ruleSets.map((ruleSet) => ruleSet.id),
+  rounds,
+  deals = 2,
+  seed = generateSeed(),
+  kFactor = ELO_DEFAULTS.kFactor,
+  onProgress,
+} = {}) => {
+  if (!Array.isArray(bots) || bots.length < 2) {
+    throw new Error("A tournament needs at least two bots");
+  }
+  const unknownBot = bots.find((bot) => !AI_STRATEGIES[bot]);
+  if (unknownBot !== undefined) {
+    throw new Error(`Unknown bot strategy "${unknownBot}"`);
+  }
+  if (new Set(bots).size !== bots.length) {
+    throw new Error("Each bot can only enter once");
+  }
+  const unknownRules = ruleSetIds.find((id) => !getRuleSetById(id));
+  if (unknownRules !== undefined) {
+    throw new Error(`Unknown rule set "${unknownRules}"`);
+  }
+  if (!Object.values(TOURNAMENT_FORMATS).includes(format)) {
+    throw new Error(`Unknown tournament format "${format}"`);
+  }
+
+  const schedule =
+    format === TOURNAMENT_FORMATS.ROUND_ROBIN
+      ? scheduleRoundRobin(bots.length)
+      : null;
+  const roundCount = schedule
+    ? schedule.length
+    : (rounds ?? Math.ceil(Math.log2(bots.length)));
+  const totalMatches = schedule
+    ? schedule.flat().length * ruleSetIds.length
+    : Math.floor(bots.length / 2) * roundCount * ruleSetIds.length;
+
+  const standings = bots.map((strategy, bot) => ({
+    bot,
+    strategy,
+    rating: ELO_DEFAULTS.rating,
+    points: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    opponents: [],
+    hadBye: false,
+  }));
+  const matches = [];
+  const byes = [];
+
+  for (let round = 1; round <= roundCount; round += 1) {
+    const { pairs, bye } = schedule
+      ? { pairs: schedule[round - 1], bye: null }
+      : pairSwissRound(standings);
+
+    if (bye !== null) {
+      // A Swiss bye counts as winning every match of the round, unrated
+      standings[bye].points += ruleSetIds.length;
+      standings[bye].hadBye = true;
+      byes.push({ round, bot: bye });
+    }
+
+    pairs.forEach(([first, second]) => {
+      standings[first].opponents.push(second);
+      standings[second].opponents.push(first);
+
+      ruleSetIds.forEach((ruleSetId) => {
+        const { deals: played, score } = playMatch({
+          strategies: [bots[first], bots[second]],
+          ruleSetId,
+          deals,
+          seed: `${seed}-${round}-${ruleSetId}`,
+        });
+
+        const [a, b] = [standings[first], standings[second]];
+        [a.rating, b.rating] = updateElo(a.rating, b.rating, score, kFactor);
+        a.points += score;
+        b.points += 1 - score;
+        if (score > 0.5) {
+          a.wins += 1;
+          b.losses += 1;
+        } else if (score < 0.5) {
+          a.losses += 1;
+          b.wins += 1;
+        } else {
+          a.draws += 1;
+          b.draws += 1;
+        }
+
+        matches.push({
+          round,
+          ruleSetId,
+          bots: [first, second],
+          deals: played,
+          score,
+          ratings: [round1(a.rating), round1(b.rating)],
+        });
+        onProgress?.(matches.length, totalMatches);
+      });
+    });
+  }
+
+  return {
+    config: {
+      bots,
+      format,
+      ruleSetIds,
+      rounds: roundCount,
+      deals,
+      seed: String(seed),
+      kFactor,
+    },
+    standings: [...standings]
+      .sort((a, b) => b.rating - a.rating || b.points - a.points)
+      .map(({ opponents, hadBye, rating, ...entry }) => ({
+        ...entry,
+        rating: round1(rating),
+      })),
+    matches,
+    byes,
+  };
+};
@@ -0,0 +1,286 @@
+/**
+ * Tests for the bot tournament
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import {
+  TOURNAMENT_FORMATS,
+  ELO_DEFAULTS,
+  getExpectedScore,
+  updateElo,
+  scheduleRoundRobin,
+  pairSwissRound,
+  playMatch,
+  runTournament,
+} from "./tournament";
+
+// Hard searches only a couple of deals a card, so its games stay quick and
+// replay the same from a seed rather than stopping on the clock
+vi.mock("../constants", async (importOriginal) => ({
+  ...(await importOriginal()),
+  AI_SEARCH_BUDGET: { iterations: 2, timeLimit: Infinity },
+}));
+
+// A fourth entrant, playing as Medium, so a Swiss round can hold two pairings
+vi.mock("../ai", async (importOriginal) => {
+  const ai = await importOriginal();
+  return {
+    ...ai,
+    AI_STRATEGIES: {
+      ...ai.AI_STRATEGIES,
+      rival: { ...ai.AI_STRATEGIES.medium, id: "rival", name: "Rival" },
+    },
+  };
+});
+
+const entry = (bot, points, rating = ELO_DEFAULTS.rating, extra = {}) => ({
+  bot,
+  points,
+  rating,
+  opponents: [],
+  hadBye: false,
+  ...extra,
+});
+
+describe("Elo", () => {
+  it("expects an even score between equal ratings", () => {
+    expect(getExpectedScore(1500, 1500)).toBe(0.5);
+  });
+
+  it("expects the stronger player to score more", () => {
+    expect(getExpectedScore(1900, 1500)).toBeCloseTo(0.909, 3);
+    expect(getExpectedScore(1500, 1900)).toBeCloseTo(0.091, 3);
+  });
+
+  it("moves both ratings by the same amount", () => {
+    const [winner, loser] = updateElo(1500, 1500, 1, 24);
+
+    expect(winner).toBe(1512);
+    expect(loser).toBe(1488);
+  });
+
+  it("leaves ratings alone when the result is as expected", () => {
+    expect(updateElo(1500, 1500, 0.5, 24)).toEqual([1500, 1500]);
+  });
+});
+
+describe("scheduleRoundRobin", () => {
+  it.each([2, 3, 4, 5, 6])("pairs %i bots once each", (count) => {
+    const rounds = scheduleRoundRobin(count);
+    const pairs = rounds
+      .flat()
+      .map(([a, b]) => [Math.min(a, b), Math.max(a, b)].join("v"));
+
+    expect(pairs).toHaveLength((count * (count - 1)) / 2);
+    expect(new Set(pairs).size).toBe(pairs.length);
+    rounds.forEach((round) => {
+      const seated = round.flat();
+      expect(new Set(seated).size).toBe(seated.length);
+    });
+  });
+});
+
+describe("pairSwissRound", () => {
+  it("pairs bots next to each other in the standings", () => {
+    const standings = [entry(0, 0), entry(1, 2), entry(2, 1), entry(3, 3)];
+
+    expect(pairSwissRound(standings)).toEqual({
+      pairs: [
+        [3, 1],
+        [2, 0],
+      ],
+      bye: null,
+    });
+  });
+
+  it("breaks equal points on rating", () => {
+    const standings = [entry(0, 1, 1400), entry(1, 1, 1600)];
+
+    expect(pairSwissRound(standings).pairs).toEqual([[1, 0]]);
+  });
+
+  it("avoids a rematch where it can", () => {
+    const standings = [
+      entry(0, 3, 1500, { opponents: [1] }),
+      entry(1, 2, 1500, { opponents: [0] }),
+      entry(2, 1),
+      entry(3, 0),
+    ];
+
+    expect(pairSwissRound(standings).pairs).toEqual([
+      [0, 2],
+      [1, 3],
+    ]);
+  });
+
+  it("gives the bye to the lowest bot that has not had one", () => {
+    const standings = [
+      entry(0, 2),
+      entry(1, 1),
+      entry(2, 0, 1500, { hadBye: true }),
+    ];
+
+    expect(pairSwissRound(standings)).toEqual({
+      pairs: [[0, 2]],
+      bye: 1,
+    });
+  });
+});
+
+describe("playMatch", () => {
+  const match = {
+    strategies: ["hard", "easy"],
+    ruleSetId: "spades-trump",
+    deals: 2,
+    seed: "match",
+  };
+
+  it("plays each deal from its own seed", () => {
+    const { deals } = playMatch(match);
+
+    expect(deals.map((deal) => deal.seed)).toEqual(["match-0", "match-1"]);
+    deals.forEach((deal) => expect(deal.scores).toHaveLength(2));
+  });
+
+  it("shares every trick of both plays of a deal", () => {
+    const { deals } = playMatch({ ...match, deals: 1 });
+    const [first, second] = deals[0].scores;
+
+    // One point a trick, seven tricks a hand, two plays of the deal
+    expect(first + second).toBe(14);
+  });
+
+  it("scores the match the other way round when the bots swap", () => {
+    const { score } = playMatch(match);
+    const { score: swapped } = playMatch({
+      ...match,
+      strategies: ["easy", "hard"],
+    });
+
+    expect(score + swapped).toBe(1);
+  });
+
+  it("counts the lower total as the better one in low-score rule sets", () => {
+    const { deals, score } = playMatch({
+      ...match,
+      ruleSetId: "hearts",
+      deals: 1,
+    });
+    const [first, second] = deals[0].scores;
+
+    if (first === second) expect(score).toBe(0.5);
+    else expect(score).toBe(first < second ? 1 : 0);
+  });
+});
+
+describe("runTournament", () => {
+  const options = {
+    bots: ["easy", "medium", "hard"],
+    ruleSetIds: ["spades-trump", "hearts"],
+    deals: 1,
+    seed: 42,
+  };
+
+  it("plays every pairing on every rule set in a round robin", () => {
+    const results = runTournament(options);
+
+    expect(results.config).toEqual({
+      bots: ["easy", "medium", "hard"],
+      format: TOURNAMENT_FORMATS.ROUND_ROBIN,
+      ruleSetIds: ["spades-trump", "hearts"],
+      rounds: 3,
+      deals: 1,
+      seed: "42",
+      kFactor: ELO_DEFAULTS.kFactor,
+    });
+    expect(results.matches).toHaveLength(6);
+    expect(results.byes).toEqual([]);
+  });
+
+  it("replays exactly from the same seed", () => {
+    expect(runTournament(options)).toEqual(runTournament(options));
+  });
+
+  it("plays the same deals for every pairing in a round", () => {
+    const results = runTournament({
+      ...options,
+      bots: ["easy", "medium", "hard", "rival"],
+      format: TOURNAMENT_FORMATS.SWISS,
+      rounds: 1,
+      ruleSetIds: ["spades-trump"],
+    });
+    const seeds = results.matches.map((match) => match.deals[0].seed);
+
+    expect(seeds).toEqual(["42-1-spades-trump-0", "42-1-spades-trump-0"]);
+  });
+
+  it("keeps ratings and points balanced", () => {
+    const { standings, matches } = runTournament(options);
+    const ratings = standings.reduce((total, e) => total + e.rating, 0);
+    const points = standings.reduce((total, e) => total + e.points, 0);
+
+    expect(ratings).toBeCloseTo(ELO_DEFAULTS.rating * 3, 0);
+    expect(points).toBe(matches.length);
+    standings.forEach((e) => {
+      expect(e.wins + e.draws + e.losses).toBe(4);
+    });
+  });
+
+  it("sorts the standings by rating", () => {
+    const { standings } = runTournament(options);
+    const ratings = standings.map((e) => e.rating);
+
+    expect(ratings).toEqual([...ratings].sort((a, b) => b - a));
+    expect(standings.map((e) => e.strategy).sort()).toEqual([
+      "easy",
+      "hard",
+      "medium",
+    ]);
+  });
+
+  it("gives a Swiss bye a win in every rule set", () => {
+    const results = runTournament({
+      ...options,
+      format: TOURNAMENT_FORMATS.SWISS,
+      rounds: 2,
+    });
+
+    expect(results.config.rounds).toBe(2);
+    expect(results.byes).toHaveLength(2);
+    expect(new Set(results.byes.map((bye) => bye.bot)).size).toBe(2);
+    expect(results.matches).toHaveLength(4);
+    const points = results.standings.reduce((t, e) => t + e.points, 0);
+    expect(points).toBe(results.matches.length + 2 * 2);
+  });
+
+  it("picks enough Swiss rounds to separate the field", () => {
+    const results = runTournament({
+      ...options,
+      bots: ["easy", "medium"],
+      format: TOURNAMENT_FORMATS.SWISS,
+    });
+
+    expect(results.config.rounds).toBe(1);
+  });
+
+  it("reports progress after each match", () => {
+    const onProgress = vi.fn();
+    runTournament({ ...options, ruleSetIds: ["spades-trump"], onProgress });
+
+    expect(onProgress.mock.calls).toEqual([
+      [1, 3],
+      [2, 3],
+      [3, 3],
+    ]);
+  });
+
+  it.each([
+    [{ bots: ["easy"] }, "A tournament needs at least two bots"],
+    [{ bots: ["easy", "genius"] }, 'Unknown bot strategy "genius"'],
+    [{ bots: ["easy", "easy"] }, "Each bot can only enter once"],
+    [{ ruleSetIds: ["nope"] }, 'Unknown rule set "nope"'],
+    [{ format: "knockout" }, 'Unknown tournament format "knockout"'],
+  ])("rejects %j", (change, message) => {
+    expect(() => runTournament({ ...options, ...change })).toThrow(message);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Fake WebRTC
+ * RTCPeerConnection stand-ins for testing peer-to-peer rooms without a
+ * browser
+ */
+
+// Time fake candidates take to gather, channels take to open and messages
+// take to arrive (milliseconds)
+export const FAKE_LATENCY = 5;
+
+/**
+ * Makes RTCPeerConnection stand-ins that find each other through the
+ * descriptions they exchange
+ */
+export const createFakeNetwork = () => {
+  const bySdp = new Map();
+  const channels = [];
+  let nextId = 1;
+
+  const createChannel = () => {
+    const channel = { readyState: "connecting", peer: null };
+    channel.send = (data) => {
+      if (channel.readyState !== "open") throw new Error("Channel not open");
+      const { peer } = channel;
+      setTimeout(() => peer.onmessage?.({ data }), FAKE_LATENCY);
+    };
+    channel.close = () => {
+      [channel, channel.peer].forEach((end) => {
+        if (!end || end.readyState === "closed") return;
+        end.readyState = "closed";
+        setTimeout(() => end.onclose?.(), 0);
+      });
+    };
+    channels.push(channel);
+    return channel;
+  };
+
+  // Opens the host's channel to the guest once the answer is in
+  const link = (host, guest) => {
+    const remote = createChannel();
+    remote.peer = host.channel;
+    host.channel.peer = remote;
+    setTimeout(() => {
+      guest.ondatachannel?.({ channel: remote });
+      [host.channel, remote].forEach((end) => {
+        end.readyState = "open";
+        end.onopen?.();
+      });
+    }, FAKE_LATENCY);
+  };
+
+  const createConnection = () => {
+    const id = nextId;
+    nextId += 1;
+    const connection = {
+      iceGatheringState: "new",
+      connectionState: "new",
+      localDescription: null,
+      channel: null,
+      createDataChannel: () => {
+        connection.channel = createChannel();
+        return connection.channel;
+      },
+      createOffer: async () => ({ type: "offer", sdp: `offer ${id}` }),
+      createAnswer: async () => ({ type: "answer", sdp: `answer ${id}` }),
+      setLocalDescription: async (description) => {
+        connection.localDescription = description;
+        bySdp.set(description.sdp, connection);
+        setTimeout(() => {
+          connection.iceGatheringState = "complete";
+          connection.onicegatheringstatechange?.();
+        }, FAKE_LATENCY);
+      },
+      setRemoteDescription: async ({ type, sdp }) => {
+        if (type === "answer") link(connection, bySdp.get(sdp));
+      },
+      close: () => {
+        connection.connectionState = "closed";
+        connection.onconnectionstatechange?.();
+      },
+    };
+    return connection;
+  };
+
+  return {
+    createConnection,
+    // Drops every open channel, as a lost network would
+    dropAll: () => channels.forEach((channel) => channel.close()),
+  };
+};
@@ -0,0 +1,26 @@
+/**
+ * Utility functions for contract bids
+ */
+
+/**
+ * Formats a bid for display
+ * @param {Object|null} bid - The bid ({ tricks, blind }), null if not placed
+ * @returns {string} "Nil", "Blind Nil", the number of tricks, or "-" while
+ *   the bid is still to come
+ */
+export const formatBid = (bid) => {
+  if (!bid) return "-";
+  if (bid.tricks === 0) return bid.blind ? "Blind Nil" : "Nil";
+  return String(bid.tricks);
+};
+
+/**
+ * Formats tricks won against a bid, e.g. "2/3"
+ * @param {number} tricksWon - Tricks won so far this hand
+ * @param {Object|null} bid - The bid ({ tricks, blind }), null if not placed
+ * @returns {string} Tricks won over the bid
+ */
+export const formatContract = (tricksWon, bid) =>
+  `${tricksWon}/${formatBid(bid)}`;
+
+export default { formatBid, formatContract };
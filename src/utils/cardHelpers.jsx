@@ -38,3 +38,37 @@ export const getCardColor = (suit) =>
   suit === "hearts" || suit === "diamonds"
     ? "var(--color-card-red)"
     : "var(--color-card-black)";
+
+// Hands up to this size fan out at full spread; larger hands tighten up
+const FULL_FAN_CARDS = 7;
+// Widest total fan angle, in degrees, however many cards are held
+const MAX_FAN_SPREAD = 36;
+
+/**
+ * Works out where a card sits in a fanned hand
+ * Small hands fan 5 degrees per card with a light overlap; bigger hands
+ * narrow the angle and overlap more so 13 or more cards still fit
+ * @param {number} index - Position of the card in the hand
+ * @param {number} totalCards - Number of cards in the hand
+ * @returns {{rotation: number, yOffset: number, marginLeft: string}} Degrees
+ *   of tilt, pixels the card drops, and the overlap with the previous card
+ */
+export const getCardFanLayout = (index, totalCards) => {
+  const middleIndex = (totalCards - 1) / 2;
+  const step = Math.min(5, MAX_FAN_SPREAD / Math.max(totalCards - 1, 1));
+  const distance = index - middleIndex;
+  const overlapRatio = Math.min(
+    0.6,
+    0.2 + (totalCards - FULL_FAN_CARDS) * 0.04,
+  );
+  const overlap =
+    totalCards <= FULL_FAN_CARDS
+      ? "-10px"
+      : `calc(clamp(36px, 10vw, 54px) * -${overlapRatio.toFixed(2)})`;
+
+  return {
+    rotation: distance * step,
+    yOffset: (Math.abs(distance) * step * 4) / 5,
+    marginLeft: index === 0 ? "0" : overlap,
+  };
+};
@@ -5,7 +5,12 @@
 
 import { describe, it, expect } from "vitest";
 import { render } from "@testing-library/react";
-import { getSuitIcon, getRankDisplay, getCardColor } from "./cardHelpers";
+import {
+  getSuitIcon,
+  getRankDisplay,
+  getCardColor,
+  getCardFanLayout,
+} from "./cardHelpers";
 
 describe("cardHelpers", () => {
   describe("getSuitIcon", () => {
@@ -232,6 +237,49 @@ describe("cardHelpers", () => {
     });
   });
 
+  describe("getCardFanLayout", () => {
+    it("should keep the classic fan for small hands", () => {
+      expect(getCardFanLayout(0, 5)).toEqual({
+        rotation: -10,
+        yOffset: 8,
+        marginLeft: "0",
+      });
+      expect(getCardFanLayout(2, 5)).toEqual({
+        rotation: 0,
+        yOffset: 0,
+        marginLeft: "-10px",
+      });
+    });
+
+    it("should cap the total spread for full-deck hands", () => {
+      const first = getCardFanLayout(0, 13);
+      const last = getCardFanLayout(12, 13);
+
+      expect(last.rotation - first.rotation).toBeLessThanOrEqual(36);
+      expect(first.rotation).toBe(-last.rotation);
+    });
+
+    it("should overlap cards more as the hand grows", () => {
+      const ratio = (total) =>
+        Number(getCardFanLayout(1, total).marginLeft.match(/-([\d.]+)\)/)[1]);
+
+      expect(ratio(13)).toBeGreaterThan(ratio(8));
+      expect(ratio(26)).toBe(0.6);
+    });
+
+    it("should not offset the first card", () => {
+      expect(getCardFanLayout(0, 13).marginLeft).toBe("0");
+    });
+
+    it("should handle a single card", () => {
+      expect(getCardFanLayout(0, 1)).toEqual({
+        rotation: 0,
+        yOffset: 0,
+        marginLeft: "0",
+      });
+    });
+  });
+
   describe("integration tests", () => {
     it("should correctly style a hearts card", () => {
       const suit = "hearts";
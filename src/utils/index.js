@@ -5,7 +5,14 @@
 
 export { getSuitIcon, getRankDisplay, getCardColor } from "./cardHelpers";
 export { cardPatterns, getPatternStyle } from "./patterns";
-export { getPlayerDisplayName } from "./playerUtils";
+export { getPlayerDisplayName, getTeamDisplayName } from "./playerUtils";
+export { formatBid, formatContract } from "./bidUtils";
+export { getSeedFromUrl } from "./urlParams";
+export {
+  PROFANITY_WORDS,
+  createProfanityFilter,
+  filterProfanity,
+} from "./profanity";
 
 // Sanitization utilities
 export {
@@ -7,6 +7,8 @@
  * @param {Object} player - The player object
  * @param {string} player.id - The player's unique identifier
  * @param {string} player.name - The player's name
+ * @param {boolean} player.isYou - True for the viewer's own seat in a
+ *   networked game
  * @returns {string} Formatted display name with "(You)" for human player
  */
 export const getPlayerDisplayName = (player) => {
@@ -14,8 +16,9 @@ export const getPlayerDisplayName = (player) => {
     return "";
   }
 
-  // player1 is always the human player
-  if (player.id === "player1") {
+  // player1 is the device's owner, unless a networked view marks the
+  // viewer's own seat with isYou
+  if (player.isYou ?? player.id === "player1") {
     return `${player.name} (You)`;
   }
 
@@ -23,11 +26,35 @@ export const getPlayerDisplayName = (player) => {
 };
 
 /**
- * Checks if a player is the human player
+ * Checks if a player is played by a person at this device
+ * player1 always is; in a pass-and-play game other seats may be too
  * @param {Object} player - The player object
  * @param {string} player.id - The player's unique identifier
- * @returns {boolean} True if the player is the human player
+ * @param {boolean} player.isHuman - True for a seat a person has taken
+ * @returns {boolean} True if the player is a human player
  */
-export const isHumanPlayer = (player) => player?.id === "player1";
+export const isHumanPlayer = (player) =>
+  player?.id === "player1" || Boolean(player?.isHuman);
 
-export default { getPlayerDisplayName, isHumanPlayer };
+/**
+ * Checks whether several people share the device, passing it between turns
+ * @param {Array} players - Player objects at the table
+ * @returns {boolean} True if more than one seat is human
+ */
+export const isPassAndPlay = (players) =>
+  players.filter(isHumanPlayer).length > 1;
+
+/**
+ * Formats the names of the players on one side, e.g. "Player (You) & Sam"
+ * @param {Array} members - Player objects on the side
+ * @returns {string} Display names joined with "&"
+ */
+export const getTeamDisplayName = (members) =>
+  members.map(getPlayerDisplayName).join(" & ");
+
+export default {
+  getPlayerDisplayName,
+  isHumanPlayer,
+  isPassAndPlay,
+  getTeamDisplayName,
+};
@@ -0,0 +1,47 @@
+/**
+ * Profanity filter for chat messages
+ * Masks whole words only, with their common endings, so that words such as
+ * "class" or "passage" are left alone
+ */
+
+// Words the default filter masks
+export const PROFANITY_WORDS = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "bollocks",
+  "bullshit",
+  "cunt",
+  "fuck",
+  "motherfucker",
+  "piss",
+  "shit",
+  "wanker",
+];
+
+/**
+ * Creates a filter that masks a list of words
+ * @param {Array<string>} words - Words to mask, matched case-insensitively
+ * @returns {Function} Takes a text and returns it with every listed word
+ *   replaced by asterisks of the same length
+ */
+export const createProfanityFilter = (words = PROFANITY_WORDS) => {
+  if (words.length === 0) return (text) => text;
+  const escaped = words.map((word) =>
+    word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+  );
+  const pattern = new RegExp(
+    `\\b(?:${escaped.join("|")})(?:s|es|ed|er|ers|ing|y)?\\b`,
+    "gi",
+  );
+  return (text) => text.replace(pattern, (word) => "*".repeat(word.length));
+};
+
+/**
+ * Masks the words in PROFANITY_WORDS
+ * @param {string} text - Text to filter
+ * @returns {string} Filtered text
+ */
+export const filterProfanity = createProfanityFilter();
+
+export default { PROFANITY_WORDS, createProfanityFilter, filterProfanity };
@@ -0,0 +1,27 @@
+/**
+ * Unit tests for the chat profanity filter
+ */
+
+import { describe, it, expect } from "vitest";
+import { createProfanityFilter, filterProfanity } from "./profanity";
+
+describe("profanity filter", () => {
+  it("should mask listed words whatever their case or ending", () => {
+    expect(filterProfanity("Oh SHIT, what a fucking mess")).toBe(
+      "Oh ****, what a ******* mess",
+    );
+  });
+
+  it("should leave words that only contain a listed word", () => {
+    expect(filterProfanity("Pass the class a cocktail")).toBe(
+      "Pass the class a cocktail",
+    );
+  });
+
+  it("should take a list of its own", () => {
+    const filter = createProfanityFilter(["darn"]);
+
+    expect(filter("Darn it, shit")).toBe("**** it, shit");
+    expect(createProfanityFilter([])("shit")).toBe("shit");
+  });
+});
@@ -7,9 +7,15 @@
  * @param {Array} players - Array of player objects
  * @param {Array} scores - Array of scores corresponding to players
  * @param {number} playerIndex - Index of the player to get rank for
+ * @param {boolean} lowScoreWins - True when the lowest score ranks first
  * @returns {number|null} - 1-based rank or null if not calculable
  */
-export const calculatePlayerRank = (players, scores, playerIndex) => {
+export const calculatePlayerRank = (
+  players,
+  scores,
+  playerIndex,
+  lowScoreWins = false,
+) => {
   if (!scores?.length || !players?.length) return null;
 
   const playerScores = players.map((_, idx) => ({
@@ -17,13 +23,14 @@ export const calculatePlayerRank = (players, scores, playerIndex) => {
     score: scores[idx] || 0,
   }));
 
-  // Sort by score descending
-  playerScores.sort((a, b) => b.score - a.score);
+  // Sort best score first
+  const direction = lowScoreWins ? -1 : 1;
+  playerScores.sort((a, b) => direction * (b.score - a.score));
 
   // Find rank (1-based), handling ties
   let rank = 1;
   for (let i = 0; i < playerScores.length; i++) {
-    if (i > 0 && playerScores[i].score < playerScores[i - 1].score) {
+    if (i > 0 && playerScores[i].score !== playerScores[i - 1].score) {
       rank = i + 1;
     }
     if (playerScores[i].index === playerIndex) {
@@ -32,3 +39,31 @@ export const calculatePlayerRank = (players, scores, playerIndex) => {
   }
   return null;
 };
+
+/**
+ * Groups players into the sides that compete for the win and ranks them
+ * Without teams every player is a side of one
+ * @param {Array} players - Array of player objects
+ * @param {Array} scores - Array of scores corresponding to players
+ * @param {Array|null} teams - Seat indices of each team, or null
+ * @param {boolean} lowScoreWins - True when the lowest score ranks first
+ * @returns {Array} Sides best first, each with id, seats, members and score
+ */
+export const getStandings = (
+  players,
+  scores,
+  teams = null,
+  lowScoreWins = false,
+) => {
+  const sides = teams ?? players.map((_, idx) => [idx]);
+
+  return sides
+    .map((seats) => ({
+      id: seats.map((idx) => players[idx].id).join("-"),
+      seats,
+      members: seats.map((idx) => players[idx]),
+      // Partners share one score, mirrored on every seat
+      score: scores[seats[0]],
+    }))
+    .sort((a, b) => (lowScoreWins ? a.score - b.score : b.score - a.score));
+};
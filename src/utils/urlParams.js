@@ -0,0 +1,18 @@
+/**
+ * Utility functions for reading game options from the page URL
+ */
+
+import { parseSeed } from "../engine/random";
+
+/**
+ * Reads the deal seed from the `?seed=` query parameter
+ * @param {string} search - Query string to read (defaults to the current URL)
+ * @returns {string|null} Cleaned seed, or null when absent or invalid
+ */
+export const getSeedFromUrl = (search) => {
+  const query =
+    search ?? (typeof window !== "undefined" ? window.location.search : "");
+  return parseSeed(new URLSearchParams(query).get("seed"));
+};
+
+export default { getSeedFromUrl };
@@ -0,0 +1,29 @@
+/**
+ * Unit tests for URL parameter helpers
+ */
+
+import { describe, it, expect } from "vitest";
+import { getSeedFromUrl } from "./urlParams";
+
+describe("getSeedFromUrl", () => {
+  it("should read the seed parameter", () => {
+    expect(getSeedFromUrl("?seed=bug42")).toBe("bug42");
+  });
+
+  it("should ignore other parameters", () => {
+    expect(getSeedFromUrl("?mode=fast&seed=abc&x=1")).toBe("abc");
+  });
+
+  it("should clean unsafe seeds", () => {
+    expect(getSeedFromUrl("?seed=%3Cscript%3E1")).toBe("script1");
+  });
+
+  it("should return null when no seed is given", () => {
+    expect(getSeedFromUrl("?mode=fast")).toBeNull();
+    expect(getSeedFromUrl("")).toBeNull();
+  });
+
+  it("should default to the current page URL", () => {
+    expect(getSeedFromUrl()).toBeNull();
+  });
+});